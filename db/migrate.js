@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { mysqlPool } = require('../config/database');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_LOCK_NAME = 'ems_schema_migrations';
+const MIGRATION_LOCK_TIMEOUT_SECONDS = 30;
+// Migration files are named NNN_description.js and export async up(connection) / down(connection)
+const MIGRATION_FILE_PATTERN = /^(\d{3,})_([a-z0-9_]+)\.js$/;
+
+// Helper: read every migration file in version order, with a checksum of its contents
+const loadMigrations = () => {
+  const files = fs.existsSync(MIGRATIONS_DIR) ? fs.readdirSync(MIGRATIONS_DIR) : [];
+  return files
+    .map(file => {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) return null;
+      const filePath = path.join(MIGRATIONS_DIR, file);
+      const source = fs.readFileSync(filePath, 'utf8');
+      return {
+        version: match[1],
+        name: match[2],
+        file,
+        filePath,
+        checksum: crypto.createHash('sha256').update(source).digest('hex')
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version.localeCompare(b.version));
+};
+
+const ensureMigrationsTable = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(32) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      execution_ms INT NOT NULL DEFAULT 0,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+// Compare migration files against schema_migrations
+// pending: not applied yet; changed: applied but the file was edited since; missing: applied but the file is gone
+const getMigrationStatus = async (connection) => {
+  await ensureMigrationsTable(connection);
+  const [rows] = await connection.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  const appliedByVersion = new Map(rows.map(row => [row.version, row]));
+  const migrations = loadMigrations();
+  const fileVersions = new Set(migrations.map(m => m.version));
+
+  const applied = [];
+  const pending = [];
+  const changed = [];
+  migrations.forEach(migration => {
+    const row = appliedByVersion.get(migration.version);
+    if (!row) {
+      pending.push(migration);
+    } else {
+      applied.push({ ...migration, appliedAt: row.applied_at });
+      if (row.checksum !== migration.checksum) changed.push(migration);
+    }
+  });
+  const missing = rows.filter(row => !fileVersions.has(row.version));
+
+  return { applied, pending, changed, missing };
+};
+
+// Helper: serialise migration runs across processes / containers
+const withMigrationLock = async (connection, fn) => {
+  const [[lockRow]] = await connection.query('SELECT GET_LOCK(?, ?) AS acquired', [MIGRATION_LOCK_NAME, MIGRATION_LOCK_TIMEOUT_SECONDS]);
+  if (!lockRow || lockRow.acquired !== 1) {
+    throw new Error('Could not acquire the migration lock; another migration run may be in progress');
+  }
+  try {
+    return await fn();
+  } finally {
+    await connection.query('SELECT RELEASE_LOCK(?)', [MIGRATION_LOCK_NAME]);
+  }
+};
+
+// Apply all pending migrations in order; stops at the first failure
+const runPendingMigrations = async () => {
+  const connection = await mysqlPool.getConnection();
+  try {
+    return await withMigrationLock(connection, async () => {
+      const status = await getMigrationStatus(connection);
+      if (status.changed.length > 0) {
+        throw new Error(`Applied migrations were modified after running: ${status.changed.map(m => m.file).join(', ')}`);
+      }
+
+      const appliedNow = [];
+      for (const migration of status.pending) {
+        const { up } = require(migration.filePath);
+        if (typeof up !== 'function') throw new Error(`Migration ${migration.file} does not export up()`);
+
+        console.log(`⬆️  Applying migration ${migration.file}`);
+        const startedAt = Date.now();
+        await up(connection);
+        const executionMs = Date.now() - startedAt;
+        await connection.execute(
+          'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES (?, ?, ?, ?)',
+          [migration.version, migration.name, migration.checksum, executionMs]
+        );
+        console.log(`✅ Applied ${migration.file} (${executionMs}ms)`);
+        appliedNow.push(migration.file);
+      }
+      return appliedNow;
+    });
+  } finally {
+    connection.release();
+  }
+};
+
+// Revert the most recently applied migration
+const rollbackLastMigration = async () => {
+  const connection = await mysqlPool.getConnection();
+  try {
+    return await withMigrationLock(connection, async () => {
+      const status = await getMigrationStatus(connection);
+      const last = status.applied[status.applied.length - 1];
+      if (!last) return null;
+
+      const { down } = require(last.filePath);
+      if (typeof down !== 'function') throw new Error(`Migration ${last.file} does not export down()`);
+
+      console.log(`⬇️  Reverting migration ${last.file}`);
+      await down(connection);
+      await connection.execute('DELETE FROM schema_migrations WHERE version = ?', [last.version]);
+      console.log(`✅ Reverted ${last.file}`);
+      return last.file;
+    });
+  } finally {
+    connection.release();
+  }
+};
+
+const printMigrationStatus = async () => {
+  const connection = await mysqlPool.getConnection();
+  try {
+    const status = await getMigrationStatus(connection);
+    const changedVersions = new Set(status.changed.map(m => m.version));
+    status.applied.forEach(m => {
+      const appliedAt = m.appliedAt ? new Date(m.appliedAt).toISOString() : '';
+      console.log(`  ${changedVersions.has(m.version) ? 'CHANGED' : 'applied'}  ${m.file}  ${appliedAt}`);
+    });
+    status.pending.forEach(m => console.log(`  pending  ${m.file}`));
+    status.missing.forEach(row => console.log(`  MISSING  ${row.version}_${row.name}.js (applied ${new Date(row.applied_at).toISOString()})`));
+    console.log(`${status.applied.length} applied, ${status.pending.length} pending, ${status.changed.length} changed, ${status.missing.length} missing`);
+    return status;
+  } finally {
+    connection.release();
+  }
+};
+
+// Handle `node server.js migrate | migrate:status | migrate:rollback`; returns false for any other command
+const runMigrationCommand = async (command) => {
+  if (command === 'migrate') {
+    const applied = await runPendingMigrations();
+    console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database schema is up to date');
+    return true;
+  }
+  if (command === 'migrate:status') {
+    await printMigrationStatus();
+    return true;
+  }
+  if (command === 'migrate:rollback') {
+    const reverted = await rollbackLastMigration();
+    if (!reverted) console.log('No applied migrations to roll back');
+    return true;
+  }
+  return false;
+};
+
+module.exports = {
+  loadMigrations,
+  getMigrationStatus,
+  runPendingMigrations,
+  rollbackLastMigration,
+  printMigrationStatus,
+  runMigrationCommand
+};
@@ -0,0 +1,544 @@
+// Baseline schema: every table the application reads or writes.
+// Uses CREATE TABLE IF NOT EXISTS plus column/index checks so it can also be applied to a database
+// that was built up by the old db/init.js (where columns were added with try/catch ALTERs).
+const { addColumnIfMissing, addIndexIfMissing, dropTables } = require('../schema');
+
+const TABLES = [
+  `CREATE TABLE IF NOT EXISTS employees (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    employee_id VARCHAR(50) NULL,
+    salutation VARCHAR(20) NULL,
+    name VARCHAR(255) NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    password VARCHAR(255) DEFAULT NULL,
+    designation VARCHAR(255) NULL,
+    department VARCHAR(255) NULL,
+    work_from VARCHAR(50) NULL,
+    country VARCHAR(100) NULL,
+    mobile VARCHAR(50) NULL,
+    gender VARCHAR(20) NULL,
+    joining_date DATE NULL,
+    date_of_birth DATE NULL,
+    reporting_to VARCHAR(255) NULL,
+    language VARCHAR(255) NULL,
+    user_role VARCHAR(100) NULL,
+    address TEXT NULL,
+    about TEXT NULL,
+    photo LONGTEXT NULL,
+    login_allowed TINYINT(1) NOT NULL DEFAULT 1,
+    email_notifications TINYINT(1) NOT NULL DEFAULT 1,
+    hourly_rate DECIMAL(10,2) NULL,
+    slack_member_id VARCHAR(100) NULL,
+    skills TEXT NULL,
+    probation_end_date DATE NULL,
+    notice_period_start_date DATE NULL,
+    notice_period_end_date DATE NULL,
+    employment_type VARCHAR(50) NULL,
+    marital_status VARCHAR(50) NULL,
+    business_address TEXT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'Active',
+    working_hours DECIMAL(5,2) NOT NULL DEFAULT 8,
+    job_title VARCHAR(255) NULL,
+    emergency_contact_number VARCHAR(50) NULL,
+    emergency_contact_relation VARCHAR(100) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY email (email),
+    UNIQUE KEY employee_id (employee_id),
+    INDEX idx_employees_status (status),
+    INDEX idx_employees_department (department),
+    INDEX idx_employees_designation (designation)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS departments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    description TEXT NULL,
+    manager VARCHAR(255) NULL,
+    location VARCHAR(255) NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'Active',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_departments_name (name)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS designations (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    department VARCHAR(255) NULL,
+    description TEXT NULL,
+    level VARCHAR(50) NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'Active',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS labels (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    color VARCHAR(50) NULL,
+    description TEXT NULL,
+    category VARCHAR(100) NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'Active',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS roles (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT NULL,
+    permissions JSON NULL,
+    status ENUM('Active', 'Inactive') DEFAULT 'Active',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_roles_name (name)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS permissions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT NULL,
+    category VARCHAR(100) NULL,
+    status ENUM('Active', 'Inactive') DEFAULT 'Active',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_permissions_name (name)
+  )`,
+
+  // Legacy login table; no route reads it since POST /api/auth was removed
+  `CREATE TABLE IF NOT EXISTS users (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    username VARCHAR(100) NOT NULL,
+    password VARCHAR(255) NOT NULL,
+    name VARCHAR(255) NULL,
+    role VARCHAR(100) NULL,
+    permissions JSON NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_users_username (username)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS tasks (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    title VARCHAR(500) NOT NULL,
+    department VARCHAR(255) NULL,
+    task_category VARCHAR(255) NULL,
+    project VARCHAR(255) NULL,
+    start_date DATE NULL,
+    due_date DATE NULL,
+    without_due_date TINYINT(1) NOT NULL DEFAULT 0,
+    assigned_to TEXT NULL,
+    status VARCHAR(50) NOT NULL DEFAULT 'Pending',
+    description TEXT NULL,
+    responsible TEXT NULL,
+    accountable TEXT NULL,
+    consulted TEXT NULL,
+    informed TEXT NULL,
+    trained TEXT NULL,
+    labels TEXT NULL,
+    milestones TEXT NULL,
+    priority VARCHAR(50) NULL,
+    complexity VARCHAR(50) NULL,
+    impact VARCHAR(50) NULL,
+    unit VARCHAR(100) NULL,
+    target VARCHAR(255) NULL,
+    effort_estimate_label VARCHAR(100) NULL,
+    time_estimate_hours INT NULL DEFAULT 0,
+    time_estimate_minutes INT NULL DEFAULT 0,
+    make_private TINYINT(1) NOT NULL DEFAULT 0,
+    share TINYINT(1) NOT NULL DEFAULT 0,
+    \`repeat\` TINYINT(1) NOT NULL DEFAULT 0,
+    is_dependent TINYINT(1) NOT NULL DEFAULT 0,
+    validation_by VARCHAR(255) NULL,
+    effort_label VARCHAR(100) NULL,
+    checklist TEXT NULL,
+    checklist_completed TEXT NULL,
+    workflow_guide TEXT NULL,
+    file_links TEXT DEFAULT NULL,
+    video_links TEXT DEFAULT NULL,
+    timer_started_at DATETIME NULL,
+    logged_seconds INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS task_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    task_id INT NOT NULL,
+    action VARCHAR(255) NOT NULL,
+    description TEXT,
+    user_name VARCHAR(255),
+    user_id INT,
+    old_value TEXT,
+    new_value TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_task_id (task_id),
+    INDEX idx_created_at (created_at)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS task_timesheet (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    task_id INT NOT NULL,
+    employee_id INT NULL,
+    employee_name VARCHAR(255) NULL,
+    start_time DATETIME NULL,
+    end_time DATETIME NULL,
+    memo TEXT NULL,
+    hours_logged INT NOT NULL DEFAULT 0,
+    hours_logged_seconds INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_task_timesheet_task_id (task_id),
+    INDEX idx_task_timesheet_employee_name (employee_name),
+    INDEX idx_task_timesheet_start_time (start_time)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS task_attachments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    task_id INT NOT NULL,
+    file_name VARCHAR(255) NOT NULL,
+    file_path VARCHAR(500) NOT NULL,
+    file_size INT NULL,
+    file_type VARCHAR(100) NULL,
+    uploaded_by VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_task_attachments_task_id (task_id)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS task_configuration (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    config_type ENUM('scoring_weights', 'scoring_points') NOT NULL,
+    config_data JSON NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_config_type (config_type)
+  )`,
+
+  // employee_id holds employees.id as a string (see routes/employees.js health calculation)
+  `CREATE TABLE IF NOT EXISTS attendance (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    employee_id VARCHAR(50) NOT NULL,
+    employee_name VARCHAR(255) NULL,
+    date DATE NOT NULL,
+    clock_in DATETIME NULL,
+    clock_out DATETIME NULL,
+    duration_seconds INT NOT NULL DEFAULT 0,
+    hours_worked DECIMAL(10,4) NOT NULL DEFAULT 0,
+    session_count INT DEFAULT 1,
+    is_imported TINYINT(1) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_attendance_employee_date (employee_id, date),
+    INDEX idx_attendance_date (date)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS errors (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    employee_id INT NULL,
+    employee_name VARCHAR(100) NOT NULL,
+    task_id INT NULL,
+    error_date DATE NULL,
+    severity VARCHAR(20) NOT NULL,
+    priority VARCHAR(20) NOT NULL,
+    description TEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_employee_id (employee_id),
+    INDEX idx_task_id (task_id)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS appreciation_types (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL UNIQUE,
+    status ENUM('Active', 'Inactive') DEFAULT 'Active',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS appreciations (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    employee_id INT NOT NULL,
+    employee_name VARCHAR(255) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    description TEXT NULL,
+    appreciation_date DATE NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_appreciations_employee_id (employee_id),
+    INDEX idx_appreciations_date (appreciation_date)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS warning_letter_types (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL UNIQUE,
+    status ENUM('Active', 'Inactive') DEFAULT 'Active',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS warning_letters (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    employee_id INT NOT NULL,
+    employee_name VARCHAR(255) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    warning_date DATE,
+    severity ENUM('Low', 'Medium', 'High') DEFAULT 'Low',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_employee_id (employee_id),
+    INDEX idx_warning_date (warning_date),
+    INDEX idx_severity (severity),
+    INDEX idx_created_at (created_at)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS notices (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    title VARCHAR(255) NOT NULL,
+    description TEXT NULL,
+    priority VARCHAR(20) NULL DEFAULT 'Medium',
+    status VARCHAR(20) NULL DEFAULT 'Published',
+    recipients JSON NULL,
+    attachments JSON NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_notices_status (status),
+    INDEX idx_notices_created_at (created_at)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS notice_recipients (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    notice_id INT NOT NULL,
+    recipient_type VARCHAR(50) NOT NULL,
+    recipient_id INT NULL,
+    recipient_name VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_notice_recipients_notice_id (notice_id)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS notice_attachments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    notice_id INT NOT NULL,
+    file_name VARCHAR(255) NOT NULL,
+    file_path VARCHAR(500) NOT NULL,
+    file_size INT NULL,
+    file_type VARCHAR(100) NULL,
+    uploaded_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_notice_attachments_notice_id (notice_id)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS notice_read_status (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    notice_id INT NOT NULL,
+    user_id INT NOT NULL,
+    is_read TINYINT(1) NOT NULL DEFAULT 0,
+    read_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_notice_read_status (notice_id, user_id)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS tickets (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    ticket_number VARCHAR(50) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    description TEXT NULL,
+    category VARCHAR(100) NULL,
+    priority VARCHAR(20) NULL DEFAULT 'Medium',
+    status VARCHAR(50) NOT NULL DEFAULT 'Open',
+    assigned_to INT NULL,
+    department VARCHAR(255) NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_tickets_ticket_number (ticket_number),
+    INDEX idx_tickets_assigned_to (assigned_to),
+    INDEX idx_tickets_created_by (created_by),
+    INDEX idx_tickets_status (status),
+    INDEX idx_tickets_category_created (category, created_at)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS ticket_replies (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    ticket_id INT NOT NULL,
+    replied_by INT NULL,
+    replied_by_name VARCHAR(255) NULL,
+    reply_text TEXT NOT NULL,
+    reply_type VARCHAR(50) NULL DEFAULT 'reply',
+    is_internal TINYINT(1) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_ticket_replies_ticket_id (ticket_id)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS ticket_notifications (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    ticket_id INT NULL,
+    notification_type VARCHAR(50) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    message TEXT NULL,
+    is_read TINYINT(1) NOT NULL DEFAULT 0,
+    read_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_ticket_notifications_user_read (user_id, is_read),
+    INDEX idx_ticket_notifications_ticket_id (ticket_id)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS health_settings (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    setting_key VARCHAR(100) NOT NULL,
+    setting_value TEXT NULL,
+    setting_type VARCHAR(20) NOT NULL DEFAULT 'string',
+    description TEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_health_settings_key (setting_key)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS leave_types (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT NULL,
+    max_days_per_year INT NULL,
+    max_consecutive_days INT NULL,
+    requires_approval TINYINT(1) NOT NULL DEFAULT 1,
+    is_paid TINYINT(1) NOT NULL DEFAULT 1,
+    color VARCHAR(20) NULL,
+    status VARCHAR(20) NULL DEFAULT 'Active',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS leave_requests (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    employee_id INT NOT NULL,
+    department_id INT NULL,
+    status ENUM('pending','approved','rejected') NOT NULL DEFAULT 'pending',
+    reason TEXT,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    start_segment ENUM('shift_start','shift_middle','full_day') NOT NULL DEFAULT 'full_day',
+    end_segment ENUM('shift_middle','shift_end','full_day') NOT NULL DEFAULT 'full_day',
+    days_requested DECIMAL(5,2) NOT NULL DEFAULT 1,
+    is_paid TINYINT(1) NOT NULL DEFAULT 1,
+    is_uninformed TINYINT(1) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    decision_by INT NULL,
+    decision_at DATETIME NULL,
+    decision_reason TEXT,
+    INDEX idx_leave_employee_id (employee_id),
+    INDEX idx_leave_department_id (department_id),
+    INDEX idx_leave_status (status),
+    INDEX idx_leave_start_end_date (start_date, end_date)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS leave_balances (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    employee_id INT NOT NULL,
+    year INT NOT NULL,
+    month INT NOT NULL,
+    paid_quota INT NOT NULL DEFAULT 2,
+    paid_used INT NOT NULL DEFAULT 0,
+    uninformed_leaves INT NOT NULL DEFAULT 0,
+    next_month_deduction INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_leave_balance_employee_month (employee_id, year, month),
+    INDEX idx_leave_balance_employee_id (employee_id)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS leave_policies (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    policy_key VARCHAR(100) NOT NULL UNIQUE,
+    policy_value JSON NULL,
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS department_restricted_days (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    department_id INT NOT NULL,
+    day_of_week TINYINT NOT NULL COMMENT '0=Sunday, 1=Monday, ... 6=Saturday',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_dept_day (department_id, day_of_week),
+    INDEX idx_department_restricted_days_dept (department_id)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS idle_accountability (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    employee_id INT NULL,
+    employee_email VARCHAR(255) NULL,
+    date DATE NOT NULL,
+    idle_hours DECIMAL(10,4) NOT NULL,
+    idle_minutes INT NOT NULL,
+    threshold_minutes INT NOT NULL,
+    status ENUM('pending','submitted','ticket_created','waived') NOT NULL DEFAULT 'pending',
+    category VARCHAR(100) NULL,
+    subcategory VARCHAR(100) NULL,
+    reason_text TEXT NULL,
+    ticket_id INT NULL,
+    submitted_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_idle_emp_date (employee_id, date),
+    INDEX idx_idle_date_status (date, status),
+    INDEX idx_idle_status (status),
+    INDEX idx_idle_employee_id (employee_id),
+    INDEX idx_idle_employee_email (employee_email)
+  )`
+];
+
+// Columns older databases may be missing because they were bolted on at runtime
+const LATE_COLUMNS = [
+  ['employees', 'password', 'VARCHAR(255) DEFAULT NULL'],
+  ['tasks', 'file_links', 'TEXT DEFAULT NULL'],
+  ['tasks', 'video_links', 'TEXT DEFAULT NULL'],
+  ['attendance', 'session_count', 'INT DEFAULT 1'],
+  ['leave_requests', 'emergency_type', 'VARCHAR(100) NULL'],
+  ['leave_requests', 'requested_swap_with_leave_id', 'INT NULL'],
+  ['leave_requests', 'swap_responded_at', 'DATETIME NULL'],
+  ['leave_requests', 'swap_accepted', 'TINYINT(1) NULL'],
+  ['leave_requests', 'acknowledged_by', 'INT NULL'],
+  ['leave_requests', 'acknowledged_at', 'DATETIME NULL'],
+  ['leave_requests', 'is_important_date_override', 'TINYINT(1) NOT NULL DEFAULT 0'],
+  ['leave_requests', 'policy_reason_detail', 'TEXT NULL'],
+  ['leave_requests', 'expected_return_date', 'DATE NULL'],
+  ['leave_requests', 'leave_type_id', 'INT NULL'],
+  ['leave_requests', 'approved_via_swap', 'TINYINT(1) NOT NULL DEFAULT 0']
+];
+
+const TASK_INDEXES = [
+  ['idx_tasks_status', 'status'],
+  ['idx_tasks_priority', 'priority'],
+  ['idx_tasks_department', 'department'],
+  ['idx_tasks_complexity', 'complexity'],
+  ['idx_tasks_impact', 'impact'],
+  ['idx_tasks_created_at', 'created_at DESC'],
+  ['idx_tasks_assigned_to', 'assigned_to(255)'],
+  ['idx_tasks_dept_status', 'department, status'],
+  ['idx_tasks_assigned_status', 'assigned_to(255), status']
+];
+
+const up = async (connection) => {
+  for (const sql of TABLES) {
+    await connection.query(sql);
+  }
+  for (const [table, column, definition] of LATE_COLUMNS) {
+    await addColumnIfMissing(connection, table, column, definition);
+  }
+  for (const [indexName, columns] of TASK_INDEXES) {
+    await addIndexIfMissing(connection, 'tasks', indexName, columns);
+  }
+};
+
+const down = async (connection) => {
+  await dropTables(connection, [
+    'idle_accountability', 'department_restricted_days', 'leave_policies', 'leave_balances', 'leave_requests',
+    'leave_types', 'health_settings', 'ticket_notifications', 'ticket_replies', 'tickets', 'notice_read_status',
+    'notice_attachments', 'notice_recipients', 'notices', 'warning_letters', 'warning_letter_types', 'appreciations',
+    'appreciation_types', 'errors', 'attendance', 'task_configuration', 'task_attachments', 'task_timesheet',
+    'task_history', 'tasks', 'users', 'permissions', 'roles', 'labels', 'designations', 'departments', 'employees'
+  ]);
+};
+
+module.exports = { up, down };
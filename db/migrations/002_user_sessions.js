@@ -0,0 +1,27 @@
+// Server-side login sessions (middleware/auth.js) and hashed employee passwords (helpers/passwords.js)
+const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS user_sessions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      token_hash CHAR(64) NOT NULL,
+      employee_id INT NOT NULL,
+      ip_address VARCHAR(64) NULL,
+      user_agent VARCHAR(255) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_seen_at DATETIME NULL,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME NULL,
+      UNIQUE KEY uniq_user_sessions_token_hash (token_hash),
+      INDEX idx_user_sessions_employee_id (employee_id),
+      INDEX idx_user_sessions_expires_at (expires_at)
+    )
+  `);
+  // Older databases were created with a shared default password; new employees must get their own
+  await connection.query('ALTER TABLE employees ALTER COLUMN password DROP DEFAULT');
+};
+
+const down = async (connection) => {
+  await connection.query('DROP TABLE IF EXISTS user_sessions');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,31 @@
+// Permissions checked by requirePermission() on the server, so they can be granted from Roles & Permissions
+const PERMISSIONS = [
+  ['dwm_view', 'View DWM (daily/weekly/monthly) task report', 'Notifications'],
+  ['ca_view', 'View consecutive absences report', 'Notifications'],
+  ['mtw_view', 'View missed tasks report', 'Notifications'],
+  ['lte_view', 'View less trained employees report', 'Notifications'],
+  ['lhe_view', 'View less hours employees report', 'Notifications'],
+  ['low_idle_view', 'View low idle / currently idle employees', 'Notifications'],
+  ['clet_view', 'View tasks missing a checklist or estimated time (CLET)', 'Notifications'],
+  ['view_overestimate_tasks', 'View tasks that exceeded their time estimate', 'Notifications'],
+  ['tickets_auto_less_hours', 'Generate automatic less-hours, over-estimate and idle tickets', 'Tickets'],
+  ['delete_tickets', 'Bulk delete tickets', 'Tickets'],
+  ['delete_tasks', 'Delete tasks', 'Task Management'],
+  ['create_tasks_by_designation', 'Create tasks for every employee of a designation', 'Task Management'],
+  ['idle_accountability_admin_view', 'View idle accountability records for all employees', 'Idle Accountability']
+];
+
+const up = async (connection) => {
+  for (const [name, description, category] of PERMISSIONS) {
+    await connection.query(
+      `INSERT IGNORE INTO permissions (name, description, category, status) VALUES (?, ?, ?, 'Active')`,
+      [name, description, category]
+    );
+  }
+};
+
+const down = async (connection) => {
+  await connection.query('DELETE FROM permissions WHERE name IN (?)', [PERMISSIONS.map(([name]) => name)]);
+};
+
+module.exports = { up, down };
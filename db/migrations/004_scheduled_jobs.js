@@ -0,0 +1,51 @@
+// Background job scheduler (helpers/scheduler.js): job definitions with their live schedule, and run history
+const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS scheduled_jobs (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      description VARCHAR(255) NULL,
+      cron_expression VARCHAR(100) NOT NULL,
+      time_zone VARCHAR(64) NOT NULL DEFAULT 'Asia/Karachi',
+      enabled TINYINT(1) NOT NULL DEFAULT 1,
+      params JSON NULL,
+      max_attempts INT NOT NULL DEFAULT 3,
+      retry_backoff_seconds INT NOT NULL DEFAULT 300,
+      retry_attempt INT NOT NULL DEFAULT 0,
+      next_run_at DATETIME NULL,
+      last_run_at DATETIME NULL,
+      last_status ENUM('succeeded','failed') NULL,
+      last_duration_ms INT NULL,
+      last_rows_affected INT NULL,
+      last_error TEXT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_scheduled_jobs_name (name)
+    )
+  `);
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS job_runs (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      job_name VARCHAR(100) NOT NULL,
+      trigger_type ENUM('schedule','retry','manual') NOT NULL DEFAULT 'schedule',
+      attempt INT NOT NULL DEFAULT 1,
+      status ENUM('running','succeeded','failed') NOT NULL DEFAULT 'running',
+      started_at DATETIME NOT NULL,
+      finished_at DATETIME NULL,
+      duration_ms INT NULL,
+      rows_affected INT NULL,
+      result JSON NULL,
+      error TEXT NULL,
+      triggered_by INT NULL,
+      INDEX idx_job_runs_job_started (job_name, started_at),
+      INDEX idx_job_runs_status (status)
+    )
+  `);
+};
+
+const down = async (connection) => {
+  await connection.query('DROP TABLE IF EXISTS job_runs');
+  await connection.query('DROP TABLE IF EXISTS scheduled_jobs');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,22 @@
+// Structured recurrence rules on tasks (see helpers/recurrence.js).
+// recurrence_frequency is generated from the JSON so SQL can filter recurring tasks with an index.
+const { addColumnIfMissing, dropColumnIfExists, addIndexIfMissing, dropIndexIfExists } = require('../schema');
+
+const up = async (connection) => {
+  await addColumnIfMissing(connection, 'tasks', 'recurrence', 'JSON NULL');
+  await addColumnIfMissing(
+    connection,
+    'tasks',
+    'recurrence_frequency',
+    "VARCHAR(10) GENERATED ALWAYS AS (JSON_UNQUOTE(JSON_EXTRACT(recurrence, '$.frequency'))) STORED"
+  );
+  await addIndexIfMissing(connection, 'tasks', 'idx_tasks_recurrence_frequency', 'recurrence_frequency');
+};
+
+const down = async (connection) => {
+  await dropIndexIfExists(connection, 'tasks', 'idx_tasks_recurrence_frequency');
+  await dropColumnIfExists(connection, 'tasks', 'recurrence_frequency');
+  await dropColumnIfExists(connection, 'tasks', 'recurrence');
+};
+
+module.exports = { up, down };
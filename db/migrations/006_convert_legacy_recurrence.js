@@ -0,0 +1,81 @@
+// One-off conversion of the old DWM conventions into tasks.recurrence:
+//   - frequency from a daily / weekly / monthly label (or "daily task" etc. in the title)
+//   - weekly weekdays from day names in the title, e.g. "Stock count (Monday)"
+//   - monthly day from "(15 of month)" / "(8th of Month)" / "Monthly (8)" in the title
+// When the title carries no day, the due date (then start date, then creation date) supplies it.
+// Labels and titles are left untouched. Self-contained on purpose so later helper changes cannot alter it.
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const toDate = (value) => {
+  if (!value) return null;
+  const d = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+
+const detectFrequency = (labels, title) => {
+  const l = String(labels || '').toLowerCase();
+  const t = String(title || '').toLowerCase();
+  if (l.includes('daily') || t.includes('daily task')) return 'daily';
+  if (l.includes('weekly') || t.includes('weekly task')) return 'weekly';
+  if (l.includes('monthly') || t.includes('monthly task')) return 'monthly';
+  return null;
+};
+
+const fallbackDate = (task) => toDate(task.due_date) || toDate(task.start_date) || toDate(task.created_at);
+
+const buildRecurrence = (task) => {
+  const frequency = detectFrequency(task.labels, task.title);
+  if (!frequency) return null;
+  const title = String(task.title || '').toLowerCase();
+
+  if (frequency === 'daily') return { frequency, startDate: null, endDate: null };
+
+  if (frequency === 'weekly') {
+    let weekdays = WEEKDAYS.map((name, i) => (new RegExp(`\\b${name}\\b`).test(title) ? i : -1)).filter(i => i >= 0);
+    if (weekdays.length === 0) {
+      const d = fallbackDate(task);
+      weekdays = [d ? d.getDay() : 1];
+    }
+    return { frequency, weekdays, startDate: null, endDate: null };
+  }
+
+  const match = title.match(/\((\d{1,2})(?:st|nd|rd|th)?\s*(?:of)?\s*month\)/i) || title.match(/\bmonthly\s*\(?(\d{1,2})(?:st|nd|rd|th)?\)?/i);
+  let monthDay = match ? parseInt(match[1], 10) : null;
+  if (!monthDay) {
+    const d = fallbackDate(task);
+    monthDay = d ? d.getDate() : 1;
+  }
+  return { frequency, monthlyMode: 'day', monthDay: Math.max(1, Math.min(31, monthDay)), startDate: null, endDate: null };
+};
+
+const up = async (connection) => {
+  const [tasks] = await connection.query(`
+    SELECT id, title, labels, due_date, start_date, created_at
+    FROM tasks
+    WHERE recurrence IS NULL
+      AND (
+        LOWER(IFNULL(labels,'')) LIKE '%daily%'
+        OR LOWER(IFNULL(labels,'')) LIKE '%weekly%'
+        OR LOWER(IFNULL(labels,'')) LIKE '%monthly%'
+        OR LOWER(IFNULL(title,'')) LIKE '%daily task%'
+        OR LOWER(IFNULL(title,'')) LIKE '%weekly task%'
+        OR LOWER(IFNULL(title,'')) LIKE '%monthly task%'
+      )
+  `);
+
+  let converted = 0;
+  for (const task of tasks) {
+    const recurrence = buildRecurrence(task);
+    if (!recurrence) continue;
+    // Keep updated_at: DWM reports use it to tell when a task was completed
+    await connection.query('UPDATE tasks SET recurrence = ?, updated_at = updated_at WHERE id = ?', [JSON.stringify(recurrence), task.id]);
+    converted += 1;
+  }
+  console.log(`   Converted ${converted} DWM task(s) to structured recurrence`);
+};
+
+// Data-only migration: rolling back 005_task_recurrence drops the column it filled
+const down = async () => {};
+
+module.exports = { up, down };
@@ -0,0 +1,27 @@
+// One row per due instance of a recurring task (helpers/taskOccurrences.js).
+// assigned_to is the assignee list when the occurrence was created; completed_at is Karachi local time.
+const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS task_occurrences (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      task_id INT NOT NULL,
+      due_date DATE NOT NULL,
+      frequency VARCHAR(10) NOT NULL,
+      assigned_to TEXT NULL,
+      completed_at DATETIME NULL,
+      completed_by VARCHAR(255) NULL,
+      completed_by_id INT NULL,
+      logged_seconds INT NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_task_occurrences_task_due (task_id, due_date),
+      INDEX idx_task_occurrences_due_date (due_date, frequency)
+    )
+  `);
+};
+
+const down = async (connection) => {
+  await connection.query('DROP TABLE IF EXISTS task_occurrences');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,134 @@
+// One-off backfill of task_occurrences for the last BACKFILL_DAYS days, rebuilt from what we have:
+//   - one occurrence per day each recurring task was due (not before the task was created)
+//   - completion from task_history "Status changed" -> Completed rows
+//   - logged seconds from task_timesheet
+// Past assignees are unknown, so backfilled rows carry the current assignee list.
+// Self-contained on purpose so later helper changes cannot alter it.
+
+const TIME_ZONE = 'Asia/Karachi';
+const BACKFILL_DAYS = 93;
+const MAX_LOOKBACK_DAYS = 62;
+const BATCH_SIZE = 500;
+
+const zonedDate = (date) => new Intl.DateTimeFormat('en-CA', { timeZone: TIME_ZONE, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+const zonedDateTime = (date) => date.toLocaleString('sv-SE', { timeZone: TIME_ZONE });
+
+const parseRule = (value) => {
+  if (!value) return null;
+  try {
+    const rule = typeof value === 'string' ? JSON.parse(value) : value;
+    return rule && rule.frequency ? rule : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+const isDueOn = (rule, date) => {
+  if (rule.startDate && date < rule.startDate) return false;
+  if (rule.endDate && date > rule.endDate) return false;
+  const d = new Date(`${date}T00:00:00.000Z`);
+  const weekday = d.getUTCDay();
+  const dayOfMonth = d.getUTCDate();
+  const daysInMonth = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  if (rule.frequency === 'daily') return true;
+  if (rule.frequency === 'weekly') return (rule.weekdays || []).includes(weekday);
+  if (rule.monthlyMode === 'nth_weekday') {
+    if (weekday !== rule.weekday) return false;
+    return rule.weekOfMonth === -1 ? dayOfMonth + 7 > daysInMonth : Math.ceil(dayOfMonth / 7) === rule.weekOfMonth;
+  }
+  return dayOfMonth === Math.min(rule.monthDay, daysInMonth);
+};
+
+const addDays = (date, days) => {
+  const d = new Date(`${date}T00:00:00.000Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+};
+
+const latestDueDate = (rule, date, fromDate) => {
+  for (let i = 0; i <= MAX_LOOKBACK_DAYS; i++) {
+    const candidate = addDays(date, -i);
+    if (candidate < fromDate) return null;
+    if (isDueOn(rule, candidate)) return candidate;
+  }
+  return null;
+};
+
+const up = async (connection) => {
+  const today = zonedDate(new Date());
+  const fromDate = addDays(today, -(BACKFILL_DAYS - 1));
+
+  const [taskRows] = await connection.query(
+    'SELECT id, assigned_to, recurrence, created_at FROM tasks WHERE recurrence_frequency IS NOT NULL'
+  );
+  const tasks = new Map();
+  for (const row of taskRows) {
+    const rule = parseRule(row.recurrence);
+    if (!rule) continue;
+    const createdOn = row.created_at ? zonedDate(new Date(row.created_at)) : fromDate;
+    tasks.set(row.id, { ...row, rule, createdOn });
+  }
+  if (tasks.size === 0) return;
+
+  const rows = [];
+  for (let date = fromDate; date <= today; date = addDays(date, 1)) {
+    for (const task of tasks.values()) {
+      if (date >= task.createdOn && isDueOn(task.rule, date)) {
+        rows.push([task.id, date, task.rule.frequency, task.assigned_to]);
+      }
+    }
+  }
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    await connection.query(
+      'INSERT IGNORE INTO task_occurrences (task_id, due_date, frequency, assigned_to) VALUES ?',
+      [rows.slice(i, i + BATCH_SIZE)]
+    );
+  }
+
+  const [completions] = await connection.query(
+    `SELECT task_id, user_name, user_id, created_at FROM task_history
+     WHERE action = 'Status changed' AND new_value = 'Completed' AND created_at >= ?
+     ORDER BY created_at`,
+    [fromDate]
+  );
+  let completed = 0;
+  for (const row of completions) {
+    const task = tasks.get(row.task_id);
+    if (!task) continue;
+    const completedAt = new Date(row.created_at);
+    const dueDate = latestDueDate(task.rule, zonedDate(completedAt), fromDate);
+    if (!dueDate) continue;
+    const [result] = await connection.query(
+      `UPDATE task_occurrences SET completed_at = ?, completed_by = ?, completed_by_id = ?
+       WHERE task_id = ? AND due_date = ? AND completed_at IS NULL`,
+      [zonedDateTime(completedAt), row.user_name, row.user_id, row.task_id, dueDate]
+    );
+    completed += result.affectedRows;
+  }
+
+  // task_timesheet.start_time is stored as Karachi local time
+  const [timesheets] = await connection.query(
+    `SELECT task_id, DATE_FORMAT(start_time, '%Y-%m-%d') AS day, SUM(ABS(IFNULL(hours_logged_seconds, 0))) AS seconds
+     FROM task_timesheet
+     WHERE start_time >= ?
+     GROUP BY task_id, DATE_FORMAT(start_time, '%Y-%m-%d')`,
+    [fromDate]
+  );
+  for (const row of timesheets) {
+    const task = tasks.get(row.task_id);
+    if (!task) continue;
+    const dueDate = latestDueDate(task.rule, row.day, fromDate);
+    if (!dueDate) continue;
+    await connection.query(
+      'UPDATE task_occurrences SET logged_seconds = logged_seconds + ? WHERE task_id = ? AND due_date = ?',
+      [Number(row.seconds) || 0, row.task_id, dueDate]
+    );
+  }
+
+  console.log(`   Backfilled ${rows.length} task occurrence(s) since ${fromDate}, ${completed} completed`);
+};
+
+// Data-only migration: rolling back 007_task_occurrences drops the table it filled
+const down = async () => {};
+
+module.exports = { up, down };
@@ -0,0 +1,25 @@
+// Task assignees and RACI roles keyed by employee id (helpers/taskAssignees.js).
+// sort_order keeps the order people were listed in; the first assignee is credited for timer entries.
+const { addIndexIfMissing, dropIndexIfExists } = require('../schema');
+
+const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS task_assignees (
+      task_id INT NOT NULL,
+      employee_id INT NOT NULL,
+      role ENUM('assignee','responsible','accountable','consulted','informed','trained') NOT NULL,
+      sort_order INT NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (task_id, role, employee_id),
+      INDEX idx_task_assignees_employee (employee_id, role)
+    )
+  `);
+  await addIndexIfMissing(connection, 'task_timesheet', 'idx_task_timesheet_employee_id', 'employee_id, start_time');
+};
+
+const down = async (connection) => {
+  await dropIndexIfExists(connection, 'task_timesheet', 'idx_task_timesheet_employee_id');
+  await connection.query('DROP TABLE IF EXISTS task_assignees');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,79 @@
+// One-off backfill of task_assignees from the name columns on tasks (assigned_to, responsible, accountable,
+// consulted, informed, trained), and of task_timesheet.employee_id from employee_name. Reports used to join
+// timesheets on the name, so the name wins where an older entry carried the id of whoever stopped the timer.
+// Names are matched to employees case-insensitively on name or email; unmatched names are counted and left alone.
+// Self-contained on purpose so later helper changes cannot alter it.
+
+const ROLE_COLUMNS = {
+  assignee: 'assigned_to',
+  responsible: 'responsible',
+  accountable: 'accountable',
+  consulted: 'consulted',
+  informed: 'informed',
+  trained: 'trained'
+};
+const BATCH_SIZE = 500;
+
+const parseNames = (value) => {
+  if (!value) return [];
+  let list = String(value).trim();
+  if (list.startsWith('[')) {
+    try { list = JSON.parse(list); } catch (e) { list = list.split(','); }
+  } else {
+    list = list.split(',');
+  }
+  if (!Array.isArray(list)) return [];
+  return list.map(n => String(n || '').replace(/\s*\([^)]*\)\s*$/, '').trim()).filter(Boolean);
+};
+
+const up = async (connection) => {
+  const [employees] = await connection.query('SELECT id, name, email FROM employees ORDER BY id');
+  const byKey = new Map();
+  for (const e of employees) {
+    for (const key of [String(e.name || '').trim().toLowerCase(), String(e.email || '').trim().toLowerCase()]) {
+      if (key && !byKey.has(key)) byKey.set(key, e.id);
+    }
+  }
+
+  const [tasks] = await connection.query(
+    `SELECT id, ${Object.values(ROLE_COLUMNS).join(', ')} FROM tasks`
+  );
+  const rows = [];
+  const unmatched = new Set();
+  for (const task of tasks) {
+    for (const [role, column] of Object.entries(ROLE_COLUMNS)) {
+      const seen = new Set();
+      parseNames(task[column]).forEach((name) => {
+        const employeeId = byKey.get(name.toLowerCase());
+        if (!employeeId) {
+          unmatched.add(name);
+          return;
+        }
+        if (seen.has(employeeId)) return;
+        seen.add(employeeId);
+        rows.push([task.id, employeeId, role, seen.size - 1]);
+      });
+    }
+  }
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    await connection.query(
+      'INSERT IGNORE INTO task_assignees (task_id, employee_id, role, sort_order) VALUES ?',
+      [rows.slice(i, i + BATCH_SIZE)]
+    );
+  }
+
+  const [timesheet] = await connection.query(`
+    UPDATE task_timesheet tt
+    JOIN employees e ON LOWER(TRIM(e.name)) = LOWER(TRIM(tt.employee_name))
+    SET tt.employee_id = e.id
+    WHERE tt.employee_id IS NULL OR tt.employee_id <> e.id
+  `);
+
+  console.log(`   Backfilled ${rows.length} task assignee row(s); ${unmatched.size} name(s) matched no employee`);
+  console.log(`   Linked ${timesheet.affectedRows} timesheet entr(ies) to employee ids`);
+};
+
+// Data-only migration: rolling back 009_task_assignees drops the table it filled
+const down = async () => {};
+
+module.exports = { up, down };
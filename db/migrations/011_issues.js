@@ -0,0 +1,45 @@
+// Issues raised against a department's task (routes/issues.js). Like errors, an issue names the employee it is
+// charged to; employee_name is a copy taken when the issue is saved. The health settings below let issues count
+// towards the employee health score; they start switched off.
+const HEALTH_SETTINGS = [
+  ['issues_affect_health', 'false', 'boolean', 'Deduct health points for issues charged to an employee'],
+  ['issue_high_deduction', '10', 'number', 'Points deducted for high severity issues'],
+  ['issue_medium_deduction', '5', 'number', 'Points deducted for medium severity issues'],
+  ['issue_low_deduction', '2', 'number', 'Points deducted for low severity issues']
+];
+
+const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS issues (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      department_id INT NULL,
+      task_id INT NULL,
+      employee_id INT NULL,
+      employee_name VARCHAR(100) NULL,
+      severity VARCHAR(20) NOT NULL DEFAULT 'High',
+      description TEXT NULL,
+      issue_date DATE NULL,
+      reported_by_id INT NULL,
+      reported_by VARCHAR(255) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_issues_department (department_id),
+      INDEX idx_issues_task (task_id),
+      INDEX idx_issues_employee (employee_id, created_at),
+      INDEX idx_issues_issue_date (issue_date)
+    )
+  `);
+  for (const [key, value, type, description] of HEALTH_SETTINGS) {
+    await connection.query(
+      'INSERT IGNORE INTO health_settings (setting_key, setting_value, setting_type, description) VALUES (?, ?, ?, ?)',
+      [key, value, type, description]
+    );
+  }
+};
+
+const down = async (connection) => {
+  await connection.query('DELETE FROM health_settings WHERE setting_key IN (?)', [HEALTH_SETTINGS.map(([key]) => key)]);
+  await connection.query('DROP TABLE IF EXISTS issues');
+};
+
+module.exports = { up, down };
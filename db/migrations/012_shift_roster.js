@@ -0,0 +1,114 @@
+// Shift roster (helpers/shiftRoster.js, routes/shifts.js).
+// shifts: definitions; an end_time at or before start_time means the shift crosses midnight.
+// shift_assignments: weekly roster for an employee or a whole department, either one shift on the listed
+//   weekdays (0 = Sunday) or a rotation. shift_rotations.pattern is a JSON array of shift ids (null = day off),
+//   one per day of the cycle, counted from start_date.
+// shift_roster_overrides: one-off changes for a single employee and date (manual edits and approved swaps).
+// attendance gains the rostered shift an entry was evaluated against.
+const { addColumnIfMissing, dropColumnIfExists, dropTables } = require('../schema');
+
+const ATTENDANCE_COLUMNS = [
+  ['shift_id', 'INT NULL'],
+  ['shift_start', 'DATETIME NULL'],
+  ['shift_end', 'DATETIME NULL'],
+  ['late_minutes', 'INT NULL'],
+  ['early_leave_minutes', 'INT NULL']
+];
+
+const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS shifts (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      start_time TIME NOT NULL,
+      end_time TIME NOT NULL,
+      break_minutes INT NOT NULL DEFAULT 0,
+      grace_minutes INT NOT NULL DEFAULT 10,
+      color VARCHAR(20) NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'Active',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_shifts_name (name)
+    )
+  `);
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS shift_rotations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      start_date DATE NOT NULL,
+      pattern JSON NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_shift_rotations_name (name)
+    )
+  `);
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS shift_assignments (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      employee_id INT NULL,
+      department VARCHAR(255) NULL,
+      shift_id INT NULL,
+      rotation_id INT NULL,
+      weekdays VARCHAR(20) NOT NULL DEFAULT '1,2,3,4,5,6',
+      effective_from DATE NOT NULL,
+      effective_to DATE NULL,
+      created_by_id INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_shift_assignments_employee (employee_id, effective_from),
+      INDEX idx_shift_assignments_department (department, effective_from)
+    )
+  `);
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS shift_roster_overrides (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      employee_id INT NOT NULL,
+      date DATE NOT NULL,
+      shift_id INT NULL,
+      source VARCHAR(20) NOT NULL DEFAULT 'manual',
+      swap_request_id INT NULL,
+      created_by_id INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_shift_roster_overrides_employee_date (employee_id, date),
+      INDEX idx_shift_roster_overrides_date (date)
+    )
+  `);
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS shift_swap_requests (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      requester_id INT NOT NULL,
+      requester_date DATE NOT NULL,
+      target_id INT NOT NULL,
+      target_date DATE NOT NULL,
+      reason TEXT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'Pending',
+      responded_at DATETIME NULL,
+      reviewed_by_id INT NULL,
+      reviewed_by VARCHAR(255) NULL,
+      reviewed_at DATETIME NULL,
+      review_note TEXT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_shift_swap_requests_requester (requester_id),
+      INDEX idx_shift_swap_requests_target (target_id),
+      INDEX idx_shift_swap_requests_status (status)
+    )
+  `);
+  for (const [column, definition] of ATTENDANCE_COLUMNS) {
+    await addColumnIfMissing(connection, 'attendance', column, definition);
+  }
+  await connection.query(
+    `INSERT IGNORE INTO permissions (name, description, category, status) VALUES (?, ?, ?, 'Active')`,
+    ['shift_roster_manage', 'Manage shifts, roster assignments and shift swap approvals', 'Shift Roster']
+  );
+};
+
+const down = async (connection) => {
+  await connection.query(`DELETE FROM permissions WHERE name = 'shift_roster_manage'`);
+  for (const [column] of ATTENDANCE_COLUMNS) {
+    await dropColumnIfExists(connection, 'attendance', column);
+  }
+  await dropTables(connection, ['shift_swap_requests', 'shift_roster_overrides', 'shift_assignments', 'shift_rotations', 'shifts']);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,40 @@
+// Holiday calendar (helpers/holidays.js, routes/holidays.js). Replaces the leave_requests rows with employee_id = 0
+// and a HOLIDAY / IMPORTANT_EVENT reason; 014_backfill_holidays moves those rows across.
+// type: 'holiday' (day off, not a working day) or 'important' (working day on which leave is blocked).
+// scope: 'all', 'departments' (departments = JSON array of departments.id) or 'designations' (designations = JSON
+// array of designation names). recurring_yearly rows repeat on the same month/day every year.
+const { dropTables } = require('../schema');
+
+const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS holidays (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      type VARCHAR(20) NOT NULL DEFAULT 'holiday',
+      scope VARCHAR(20) NOT NULL DEFAULT 'all',
+      departments JSON NULL,
+      designations JSON NULL,
+      recurring_yearly TINYINT(1) NOT NULL DEFAULT 0,
+      description TEXT NULL,
+      created_by_id INT NULL,
+      created_by VARCHAR(255) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_holidays_dates (start_date, end_date),
+      INDEX idx_holidays_recurring (recurring_yearly)
+    )
+  `);
+  await connection.query(
+    `INSERT IGNORE INTO permissions (name, description, category, status) VALUES (?, ?, ?, 'Active')`,
+    ['holidays_manage', 'Add, import and remove holidays and important events', 'Holidays']
+  );
+};
+
+const down = async (connection) => {
+  await connection.query(`DELETE FROM permissions WHERE name = 'holidays_manage'`);
+  await dropTables(connection, ['holidays']);
+};
+
+module.exports = { up, down };
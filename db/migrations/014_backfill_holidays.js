@@ -0,0 +1,52 @@
+// One-off move of the holiday / important-event pseudo leaves (leave_requests with employee_id = 0 and a
+// reason of HOLIDAY[:label] or IMPORTANT_EVENT[:label]) into holidays. Rows for the same event and dates that
+// were stored once per department are merged into one holiday scoped to those departments; a row without a
+// department makes the event apply to everyone. The pseudo rows are deleted once copied.
+// Self-contained on purpose so later helper changes cannot alter it.
+
+const fmtDate = (d) => (d instanceof Date
+  ? `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`
+  : String(d).slice(0, 10));
+
+const up = async (connection) => {
+  const [rows] = await connection.query(
+    `SELECT id, department_id, reason, start_date, end_date FROM leave_requests
+     WHERE employee_id = 0 AND (reason LIKE 'HOLIDAY%' OR reason LIKE 'IMPORTANT_EVENT%')
+     ORDER BY id`
+  );
+  const events = new Map();
+  for (const row of rows) {
+    const reason = String(row.reason || '');
+    const type = reason.startsWith('IMPORTANT_EVENT') ? 'important' : 'holiday';
+    const label = reason.replace(/^(IMPORTANT_EVENT|HOLIDAY):?/, '').trim();
+    const name = label || (type === 'important' ? 'Important event' : 'Holiday');
+    const startDate = fmtDate(row.start_date);
+    const endDate = fmtDate(row.end_date || row.start_date);
+    const key = `${type}|${name}|${startDate}|${endDate}`;
+    if (!events.has(key)) events.set(key, { type, name, startDate, endDate, all: false, departments: new Set() });
+    const event = events.get(key);
+    // HOLIDAY rows always applied to everyone, whatever department_id they carried
+    if (type === 'holiday' || row.department_id == null) event.all = true;
+    else event.departments.add(Number(row.department_id));
+  }
+
+  for (const event of events.values()) {
+    const scoped = !event.all && event.departments.size > 0;
+    await connection.query(
+      `INSERT INTO holidays (name, start_date, end_date, type, scope, departments)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [event.name, event.startDate, event.endDate, event.type, scoped ? 'departments' : 'all',
+        scoped ? JSON.stringify([...event.departments]) : null]
+    );
+  }
+  if (rows.length) {
+    await connection.query('DELETE FROM leave_requests WHERE id IN (?)', [rows.map(r => r.id)]);
+  }
+
+  console.log(`   Moved ${rows.length} blocked-date row(s) into ${events.size} holiday(s)`);
+};
+
+// Data-only migration: rolling back 013_holidays drops the table it filled
+const down = async () => {};
+
+module.exports = { up, down };
@@ -0,0 +1,53 @@
+// Organisation-wide settings (helpers/orgSettings.js, routes/orgSettings.js): timezone, weekend days and default
+// shift hours, stored like health_settings. weekend_days is seeded from health_settings.working_days_per_week
+// (working days run Monday onward), which it replaces.
+const { dropTables } = require('../schema');
+
+const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS org_settings (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      setting_key VARCHAR(100) NOT NULL,
+      setting_value TEXT NULL,
+      setting_type VARCHAR(20) NOT NULL DEFAULT 'string',
+      description TEXT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_org_settings_key (setting_key)
+    )
+  `);
+
+  const [rows] = await connection.query(
+    `SELECT setting_value FROM health_settings WHERE setting_key = 'working_days_per_week' LIMIT 1`
+  );
+  const workingDays = rows.length ? Math.min(7, Math.max(1, parseInt(rows[0].setting_value, 10) || 6)) : 6;
+  const weekendDays = [0, 1, 2, 3, 4, 5, 6].filter(day => day === 0 ? workingDays < 7 : day > workingDays);
+
+  const settings = [
+    ['timezone', 'Asia/Karachi', 'string', 'Timezone used for work dates, attendance, reports and TeamLogger ranges'],
+    ['weekend_days', JSON.stringify(weekendDays), 'json', 'Days of the week that are not working days (0 = Sunday ... 6 = Saturday)'],
+    ['default_shift_hours', '8', 'number', 'Hours in a standard working day for employees without a rostered shift']
+  ];
+  for (const setting of settings) {
+    await connection.query(
+      'INSERT IGNORE INTO org_settings (setting_key, setting_value, setting_type, description) VALUES (?, ?, ?, ?)',
+      setting
+    );
+  }
+  await connection.query(`DELETE FROM health_settings WHERE setting_key = 'working_days_per_week'`);
+};
+
+const down = async (connection) => {
+  const [rows] = await connection.query(
+    `SELECT setting_value FROM org_settings WHERE setting_key = 'weekend_days' LIMIT 1`
+  );
+  let weekendDays = [0];
+  try { weekendDays = rows.length ? JSON.parse(rows[0].setting_value) : [0]; } catch (e) { /* keep default */ }
+  await connection.query(
+    `INSERT IGNORE INTO health_settings (setting_key, setting_value, setting_type, description) VALUES (?, ?, 'number', ?)`,
+    ['working_days_per_week', String(7 - weekendDays.length), 'Number of working days per week']
+  );
+  await dropTables(connection, ['org_settings']);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,51 @@
+// Local copy of TeamLogger's employee_summary_report (helpers/teamlogger.js), one row per TeamLogger employee
+// per work date in the organisation timezone. Hours are decimal hours as TeamLogger reports them.
+// last_status_* keep the live status (row.las) from the latest sync of the current day for "currently idle".
+// teamlogger_sync_log records when each date was last pulled; a date is final once synced after it ended.
+const { dropTables } = require('../schema');
+
+const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS teamlogger_daily (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      work_date DATE NOT NULL,
+      teamlogger_id VARCHAR(100) NOT NULL,
+      employee_id INT NULL,
+      employee_name VARCHAR(255) NULL,
+      email VARCHAR(255) NULL,
+      employee_code VARCHAR(100) NULL,
+      on_computer_hours DECIMAL(10,4) NOT NULL DEFAULT 0,
+      meeting_hours DECIMAL(10,4) NOT NULL DEFAULT 0,
+      off_computer_hours DECIMAL(10,4) NOT NULL DEFAULT 0,
+      idle_hours DECIMAL(10,4) NOT NULL DEFAULT 0,
+      total_hours DECIMAL(10,4) NOT NULL DEFAULT 0,
+      pay DECIMAL(12,2) NULL,
+      currency VARCHAR(10) NULL,
+      first_activity_at DATETIME NULL,
+      last_activity_at DATETIME NULL,
+      last_status_idle_seconds INT NULL,
+      last_status_at DATETIME NULL,
+      synced_at DATETIME NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_teamlogger_daily_date_member (work_date, teamlogger_id),
+      INDEX idx_teamlogger_daily_employee_date (employee_id, work_date)
+    )
+  `);
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS teamlogger_sync_log (
+      work_date DATE NOT NULL PRIMARY KEY,
+      rows_synced INT NOT NULL DEFAULT 0,
+      last_synced_at DATETIME NULL,
+      last_status ENUM('succeeded','failed') NULL,
+      last_error TEXT NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const down = async (connection) => {
+  await dropTables(connection, ['teamlogger_sync_log', 'teamlogger_daily']);
+};
+
+module.exports = { up, down };
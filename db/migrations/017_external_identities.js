@@ -0,0 +1,35 @@
+// Explicit links from external time-tracker accounts to EMS employees (helpers/externalIdentities.js).
+// Matching tries these links first and only then falls back to employee email / name.
+// idle_accountability.external_key remembers which external account an orphaned row (employee_id NULL)
+// came from so it can be re-attributed once that account is linked.
+const { addColumnIfMissing, dropColumnIfExists, addIndexIfMissing, dropIndexIfExists, dropTables } = require('../schema');
+
+const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS external_identities (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      provider VARCHAR(50) NOT NULL,
+      external_id VARCHAR(150) NOT NULL,
+      external_email VARCHAR(255) NULL,
+      external_code VARCHAR(100) NULL,
+      external_name VARCHAR(255) NULL,
+      employee_id INT NOT NULL,
+      created_by_id INT NULL,
+      created_by VARCHAR(255) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_external_identity (provider, external_id),
+      INDEX idx_external_identities_employee (employee_id)
+    )
+  `);
+  await addColumnIfMissing(connection, 'idle_accountability', 'external_key', 'VARCHAR(150) NULL AFTER employee_email');
+  await addIndexIfMissing(connection, 'idle_accountability', 'idx_idle_external_key', 'external_key');
+};
+
+const down = async (connection) => {
+  await dropIndexIfExists(connection, 'idle_accountability', 'idx_idle_external_key');
+  await dropColumnIfExists(connection, 'idle_accountability', 'external_key');
+  await dropTables(connection, ['external_identities']);
+};
+
+module.exports = { up, down };
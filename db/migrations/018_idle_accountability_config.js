@@ -0,0 +1,110 @@
+// Idle accountability configuration (helpers/idleAccountabilityConfig.js):
+// - idle_thresholds: minutes of idle time that create an accountability record, per department and/or
+//   designation (NULL = any) with an effective date range. The seeded catch-all row keeps the old 20 minutes.
+// - idle_reason_categories / idle_reason_subcategories: the reason catalogue that used to be the
+//   IDLE_REASON_CATEGORIES constant. Entries are deactivated rather than deleted so old records keep their labels.
+//   auto_waive categories waive the record on submission; requires_evidence ones need evidence_text.
+const { addColumnIfMissing, dropColumnIfExists, dropTables } = require('../schema');
+
+const SEED_CATEGORIES = [
+  {
+    key: 'personal',
+    label: 'Personal',
+    subcategories: [
+      ['health', 'Health related'],
+      ['family', 'Family emergency'],
+      ['break', 'Extended break']
+    ]
+  },
+  {
+    key: 'work_process',
+    label: 'Work / Process',
+    subcategories: [
+      ['waiting_requirements', 'Waiting for requirements'],
+      ['waiting_approvals', 'Waiting for approvals'],
+      ['tool_issues', 'Tool/infra issues']
+    ]
+  },
+  {
+    key: 'other',
+    label: 'Other',
+    subcategories: [
+      ['misc', 'Miscellaneous']
+    ]
+  }
+];
+
+const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS idle_thresholds (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      department VARCHAR(255) NULL,
+      designation VARCHAR(255) NULL,
+      threshold_minutes INT NOT NULL,
+      effective_from DATE NOT NULL,
+      effective_to DATE NULL,
+      notes VARCHAR(500) NULL,
+      created_by_id INT NULL,
+      created_by VARCHAR(255) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_idle_thresholds_scope (department, designation, effective_from)
+    )
+  `);
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS idle_reason_categories (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      category_key VARCHAR(50) NOT NULL,
+      label VARCHAR(255) NOT NULL,
+      is_active TINYINT(1) NOT NULL DEFAULT 1,
+      auto_waive TINYINT(1) NOT NULL DEFAULT 0,
+      requires_evidence TINYINT(1) NOT NULL DEFAULT 0,
+      sort_order INT NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_idle_reason_category_key (category_key)
+    )
+  `);
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS idle_reason_subcategories (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      category_id INT NOT NULL,
+      subcategory_key VARCHAR(50) NOT NULL,
+      label VARCHAR(255) NOT NULL,
+      is_active TINYINT(1) NOT NULL DEFAULT 1,
+      sort_order INT NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_idle_reason_subcategory (category_id, subcategory_key)
+    )
+  `);
+  await addColumnIfMissing(connection, 'idle_accountability', 'evidence_text', 'TEXT NULL AFTER reason_text');
+
+  const [existing] = await connection.query('SELECT COUNT(*) AS n FROM idle_thresholds');
+  if (existing[0].n === 0) {
+    await connection.query(
+      "INSERT INTO idle_thresholds (threshold_minutes, effective_from, notes) VALUES (20, '2000-01-01', 'Default for every department and designation')"
+    );
+  }
+
+  for (const [index, category] of SEED_CATEGORIES.entries()) {
+    await connection.query(
+      'INSERT IGNORE INTO idle_reason_categories (category_key, label, sort_order) VALUES (?, ?, ?)',
+      [category.key, category.label, index]
+    );
+    const [rows] = await connection.query('SELECT id FROM idle_reason_categories WHERE category_key = ?', [category.key]);
+    for (const [subIndex, [key, label]] of category.subcategories.entries()) {
+      await connection.query(
+        'INSERT IGNORE INTO idle_reason_subcategories (category_id, subcategory_key, label, sort_order) VALUES (?, ?, ?, ?)',
+        [rows[0].id, key, label, subIndex]
+      );
+    }
+  }
+};
+
+const down = async (connection) => {
+  await dropColumnIfExists(connection, 'idle_accountability', 'evidence_text');
+  await dropTables(connection, ['idle_reason_subcategories', 'idle_reason_categories', 'idle_thresholds']);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,61 @@
+// Manager review of submitted idle reasons (routes/idleAccountability.js).
+// A submitted record is accepted, waived, or rejected by the employee's reporting_to, their department's
+// manager, an idle_accountability_review holder in the same department, or an admin. Rejection reopens
+// the record (back to pending) or raises a ticket. The latest decision is copied onto idle_accountability;
+// idle_accountability_decisions keeps every submission and decision.
+const { addColumnIfMissing, dropColumnIfExists, dropTables } = require('../schema');
+
+const REVIEW_COLUMNS = [
+  ['reviewed_by_id', 'INT NULL'],
+  ['reviewed_by', 'VARCHAR(255) NULL'],
+  ['reviewed_at', 'DATETIME NULL'],
+  ['review_comment', 'TEXT NULL']
+];
+
+const up = async (connection) => {
+  await connection.query(`
+    ALTER TABLE idle_accountability
+    MODIFY status ENUM('pending','submitted','accepted','ticket_created','waived') NOT NULL DEFAULT 'pending'
+  `);
+  for (const [column, definition] of REVIEW_COLUMNS) {
+    await addColumnIfMissing(connection, 'idle_accountability', column, definition);
+  }
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS idle_accountability_decisions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      idle_accountability_id INT NOT NULL,
+      action VARCHAR(30) NOT NULL,
+      outcome VARCHAR(30) NULL,
+      to_status VARCHAR(30) NOT NULL,
+      category VARCHAR(100) NULL,
+      subcategory VARCHAR(100) NULL,
+      reason_text TEXT NULL,
+      evidence_text TEXT NULL,
+      comment TEXT NULL,
+      ticket_id INT NULL,
+      actor_id INT NULL,
+      actor_name VARCHAR(255) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_idle_decisions_record (idle_accountability_id, created_at)
+    )
+  `);
+  await connection.query(
+    `INSERT IGNORE INTO permissions (name, description, category, status) VALUES (?, ?, ?, 'Active')`,
+    ['idle_accountability_review', 'Review submitted idle reasons for employees in your department', 'Idle Accountability']
+  );
+};
+
+const down = async (connection) => {
+  await connection.query(`DELETE FROM permissions WHERE name = 'idle_accountability_review'`);
+  await dropTables(connection, ['idle_accountability_decisions']);
+  for (const [column] of REVIEW_COLUMNS) {
+    await dropColumnIfExists(connection, 'idle_accountability', column);
+  }
+  await connection.query(`UPDATE idle_accountability SET status = 'submitted' WHERE status = 'accepted'`);
+  await connection.query(`
+    ALTER TABLE idle_accountability
+    MODIFY status ENUM('pending','submitted','ticket_created','waived') NOT NULL DEFAULT 'pending'
+  `);
+};
+
+module.exports = { up, down };
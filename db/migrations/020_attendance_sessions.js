@@ -0,0 +1,59 @@
+// Attendance sessions and breaks (helpers/attendanceSessions.js). Each clock-in opens an attendance_sessions
+// row and each break an attendance_breaks row; the daily attendance row becomes a rollup of its sessions:
+// clock_in = first clock-in, clock_out = last clock-out (NULL while a session is open), duration_seconds =
+// worked time excluding breaks. Existing rows get one backfilled session; earlier sessions of days with
+// session_count > 1 were overwritten before this table existed and cannot be recovered.
+const { addColumnIfMissing, dropColumnIfExists, dropTables } = require('../schema');
+
+const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS attendance_sessions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      attendance_id INT NOT NULL,
+      employee_id INT NOT NULL,
+      clock_in DATETIME NOT NULL,
+      clock_out DATETIME NULL,
+      duration_seconds INT NOT NULL DEFAULT 0,
+      break_seconds INT NOT NULL DEFAULT 0,
+      source VARCHAR(30) NOT NULL DEFAULT 'web',
+      ip VARCHAR(64) NULL,
+      note VARCHAR(500) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_attendance_sessions_attendance (attendance_id),
+      INDEX idx_attendance_sessions_employee_open (employee_id, clock_out)
+    )
+  `);
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS attendance_breaks (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      session_id INT NOT NULL,
+      employee_id INT NOT NULL,
+      break_start DATETIME NOT NULL,
+      break_end DATETIME NULL,
+      duration_seconds INT NOT NULL DEFAULT 0,
+      note VARCHAR(500) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_attendance_breaks_session (session_id)
+    )
+  `);
+  await addColumnIfMissing(connection, 'attendance', 'break_seconds', 'INT NOT NULL DEFAULT 0 AFTER duration_seconds');
+
+  await connection.query(`
+    INSERT INTO attendance_sessions (attendance_id, employee_id, clock_in, clock_out, duration_seconds, source, note)
+    SELECT a.id, a.employee_id, a.clock_in, a.clock_out, a.duration_seconds,
+      IF(a.is_imported = 1, 'import', 'backfill'),
+      IF(a.session_count > 1, CONCAT('Backfilled from the daily row; ', a.session_count, ' sessions were merged'), NULL)
+    FROM attendance a
+    WHERE a.clock_in IS NOT NULL
+      AND a.employee_id REGEXP '^[0-9]+$'
+      AND NOT EXISTS (SELECT 1 FROM attendance_sessions s WHERE s.attendance_id = a.id)
+  `);
+};
+
+const down = async (connection) => {
+  await dropColumnIfExists(connection, 'attendance', 'break_seconds');
+  await dropTables(connection, ['attendance_breaks', 'attendance_sessions']);
+};
+
+module.exports = { up, down };
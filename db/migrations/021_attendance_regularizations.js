@@ -0,0 +1,61 @@
+// Attendance regularization requests (routes/attendanceRegularizations.js) and the attendance audit trail.
+// An employee asks to fix a day (missing clock-in or clock-out, wrong time, worked elsewhere) with a reason and
+// evidence; their reporting_to, department manager, an attendance_regularization_approve holder in the same
+// department, or an admin approves or rejects it. Approval amends the day's sessions and the change is written
+// to attendance_audit, which also records admin edits made through PUT /api/attendance/:id.
+const { dropTables } = require('../schema');
+
+const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS attendance_regularizations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      employee_id INT NOT NULL,
+      date DATE NOT NULL,
+      type VARCHAR(30) NOT NULL,
+      attendance_id INT NULL,
+      session_id INT NULL,
+      requested_clock_in DATETIME NULL,
+      requested_clock_out DATETIME NULL,
+      location VARCHAR(255) NULL,
+      reason TEXT NOT NULL,
+      evidence_text TEXT NULL,
+      evidence_url VARCHAR(500) NULL,
+      status ENUM('pending','approved','rejected','cancelled') NOT NULL DEFAULT 'pending',
+      reviewed_by_id INT NULL,
+      reviewed_by VARCHAR(255) NULL,
+      reviewed_at DATETIME NULL,
+      review_comment TEXT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_attendance_regularizations_employee (employee_id, status),
+      INDEX idx_attendance_regularizations_status (status, date)
+    )
+  `);
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS attendance_audit (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      attendance_id INT NOT NULL,
+      employee_id INT NULL,
+      action VARCHAR(40) NOT NULL,
+      source VARCHAR(30) NOT NULL,
+      source_id INT NULL,
+      before_json LONGTEXT NULL,
+      after_json LONGTEXT NULL,
+      actor_id INT NULL,
+      actor_name VARCHAR(255) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_attendance_audit_attendance (attendance_id, created_at)
+    )
+  `);
+  await connection.query(
+    `INSERT IGNORE INTO permissions (name, description, category, status) VALUES (?, ?, ?, 'Active')`,
+    ['attendance_regularization_approve', 'Approve attendance regularization requests for employees in your department', 'Attendance']
+  );
+};
+
+const down = async (connection) => {
+  await connection.query(`DELETE FROM permissions WHERE name = 'attendance_regularization_approve'`);
+  await dropTables(connection, ['attendance_audit', 'attendance_regularizations']);
+};
+
+module.exports = { up, down };
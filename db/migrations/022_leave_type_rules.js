@@ -0,0 +1,72 @@
+// Leave type rules and per-type balances (helpers/leaveTypes.js). Each leave type defines its accrual
+// (frequency and amount), maximum balance, carry-forward cap and expiry, whether it opens only after
+// probation, and whether requests need an attachment. leave_type_balances keeps one row per employee,
+// type and year; carried_forward is fixed when the row is created, the other figures are refreshed
+// from leave_requests on every read. Common types are added when missing; existing types keep no rules.
+const { addColumnIfMissing, dropColumnIfExists, dropTables } = require('../schema');
+
+const TYPE_COLUMNS = [
+  ['code', 'VARCHAR(50) NULL AFTER name'],
+  ['accrual_frequency', "VARCHAR(20) NOT NULL DEFAULT 'none'"],
+  ['accrual_amount', 'DECIMAL(6,2) NOT NULL DEFAULT 0'],
+  ['max_balance', 'DECIMAL(6,2) NULL'],
+  ['carry_forward_cap', 'DECIMAL(6,2) NOT NULL DEFAULT 0'],
+  ['carry_forward_expiry_months', 'INT NULL'],
+  ['eligible_after_probation', 'TINYINT(1) NOT NULL DEFAULT 0'],
+  ['requires_attachment', 'TINYINT(1) NOT NULL DEFAULT 0']
+];
+
+// name, code, accrual_frequency, accrual_amount, max_balance, carry_forward_cap, expiry months, max_days_per_year,
+// is_paid, eligible_after_probation, requires_attachment
+const DEFAULT_TYPES = [
+  ['Annual Leave', 'annual', 'monthly', 1.5, 30, 10, 3, null, 1, 1, 0],
+  ['Sick Leave', 'sick', 'monthly', 1, 12, 0, null, null, 1, 0, 1],
+  ['Casual Leave', 'casual', 'quarterly', 2, 8, 0, null, null, 1, 1, 0],
+  ['Unpaid Leave', 'unpaid', 'none', 0, null, 0, null, null, 0, 0, 0],
+  ['Maternity Leave', 'maternity', 'none', 0, null, 0, null, 90, 1, 0, 1]
+];
+
+const up = async (connection) => {
+  for (const [column, definition] of TYPE_COLUMNS) {
+    await addColumnIfMissing(connection, 'leave_types', column, definition);
+  }
+  await addColumnIfMissing(connection, 'leave_requests', 'attachment_url', 'VARCHAR(500) NULL');
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS leave_type_balances (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      employee_id INT NOT NULL,
+      leave_type_id INT NOT NULL,
+      year INT NOT NULL,
+      carried_forward DECIMAL(6,2) NOT NULL DEFAULT 0,
+      carry_expires_on DATE NULL,
+      accrued DECIMAL(6,2) NOT NULL DEFAULT 0,
+      used DECIMAL(6,2) NOT NULL DEFAULT 0,
+      expired DECIMAL(6,2) NOT NULL DEFAULT 0,
+      available DECIMAL(6,2) NULL,
+      computed_at DATETIME NULL,
+      UNIQUE KEY uniq_leave_type_balance (employee_id, leave_type_id, year),
+      INDEX idx_leave_type_balances_type (leave_type_id, year)
+    )
+  `);
+
+  for (const [name, code, frequency, amount, maxBalance, carryCap, expiryMonths, maxDays, isPaid, afterProbation, attachment] of DEFAULT_TYPES) {
+    await connection.query(
+      `INSERT INTO leave_types (name, code, accrual_frequency, accrual_amount, max_balance, carry_forward_cap,
+         carry_forward_expiry_months, max_days_per_year, is_paid, requires_approval, eligible_after_probation, requires_attachment, status)
+       SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?, 'Active' FROM DUAL
+       WHERE NOT EXISTS (SELECT 1 FROM leave_types WHERE LOWER(name) = LOWER(?) OR code = ?)`,
+      [name, code, frequency, amount, maxBalance, carryCap, expiryMonths, maxDays, isPaid, afterProbation, attachment, name, code]
+    );
+  }
+};
+
+const down = async (connection) => {
+  await dropTables(connection, ['leave_type_balances']);
+  await dropColumnIfExists(connection, 'leave_requests', 'attachment_url');
+  for (const [column] of TYPE_COLUMNS) {
+    await dropColumnIfExists(connection, 'leave_types', column);
+  }
+};
+
+module.exports = { up, down };
@@ -0,0 +1,74 @@
+// Append-only leave ledger (helpers/leaveBalance.js). Every change to an employee's monthly paid leave is an
+// entry: accrual, usage, uninformed_penalty, adjustment, or a reversal pointing at the entry it cancels.
+// days is signed (+ adds to the month's available paid leave). leave_balances stays as a cache of the
+// figures derived from the ledger; ledger_opened_at marks months whose accrual has been posted.
+// Existing counters are carried over as opening entries so current balances do not change.
+const { addColumnIfMissing, dropColumnIfExists, dropTables } = require('../schema');
+
+const OPENING_REASON = 'Opening balance carried over from leave_balances';
+
+const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS leave_ledger (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      employee_id INT NOT NULL,
+      year INT NOT NULL,
+      month INT NOT NULL,
+      entry_type VARCHAR(30) NOT NULL,
+      days DECIMAL(6,2) NOT NULL,
+      leave_request_id INT NULL,
+      reverses_entry_id INT NULL,
+      actor_id INT NULL,
+      actor_name VARCHAR(255) NULL,
+      reason VARCHAR(500) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_leave_ledger_employee_month (employee_id, year, month),
+      INDEX idx_leave_ledger_request (leave_request_id),
+      INDEX idx_leave_ledger_reverses (reverses_entry_id)
+    )
+  `);
+
+  // Half-day leaves make these fractional; they are derived from the ledger from now on
+  await connection.query(`
+    ALTER TABLE leave_balances
+      MODIFY paid_quota DECIMAL(6,2) NOT NULL DEFAULT 2,
+      MODIFY paid_used DECIMAL(6,2) NOT NULL DEFAULT 0,
+      MODIFY uninformed_leaves DECIMAL(6,2) NOT NULL DEFAULT 0,
+      MODIFY next_month_deduction DECIMAL(6,2) NOT NULL DEFAULT 0
+  `);
+  await addColumnIfMissing(connection, 'leave_balances', 'ledger_opened_at', 'DATETIME NULL');
+
+  const [[{ cnt }]] = await connection.query('SELECT COUNT(*) AS cnt FROM leave_ledger');
+  if (Number(cnt) > 0) return;
+
+  await connection.query(
+    `INSERT INTO leave_ledger (employee_id, year, month, entry_type, days, reason)
+     SELECT employee_id, year, month, 'accrual', paid_quota, ? FROM leave_balances`,
+    [OPENING_REASON]
+  );
+  await connection.query(
+    `INSERT INTO leave_ledger (employee_id, year, month, entry_type, days, reason)
+     SELECT employee_id, year, month, 'usage', -paid_used, ? FROM leave_balances WHERE paid_used > 0`,
+    [OPENING_REASON]
+  );
+  await connection.query(
+    `INSERT INTO leave_ledger (employee_id, year, month, entry_type, days, reason)
+     SELECT employee_id, year, month, 'uninformed_penalty', -next_month_deduction, ? FROM leave_balances WHERE next_month_deduction > 0`,
+    [OPENING_REASON]
+  );
+  await connection.query('UPDATE leave_balances SET ledger_opened_at = NOW() WHERE ledger_opened_at IS NULL');
+};
+
+const down = async (connection) => {
+  await dropTables(connection, ['leave_ledger']);
+  await dropColumnIfExists(connection, 'leave_balances', 'ledger_opened_at');
+  await connection.query(`
+    ALTER TABLE leave_balances
+      MODIFY paid_quota INT NOT NULL DEFAULT 2,
+      MODIFY paid_used INT NOT NULL DEFAULT 0,
+      MODIFY uninformed_leaves INT NOT NULL DEFAULT 0,
+      MODIFY next_month_deduction INT NOT NULL DEFAULT 0
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,87 @@
+// Multi-level leave approval (helpers/leaveApprovals.js). A chain applies to a department and/or leave type and
+// lists ordered steps; each step names how its approver is found (reporting_to, the manager's manager, the
+// department manager, a designation or a fixed employee). Pending requests get a copy of the chain's steps in
+// leave_approval_steps, so later chain edits do not change requests already in flight. Delegations hand an
+// approver's steps to someone else for a date range; idle steps escalate after escalate_after_hours.
+const { addColumnIfMissing, dropColumnIfExists, dropTables } = require('../schema');
+
+const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS leave_approval_chains (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      department_id INT NULL,
+      leave_type_id INT NULL,
+      escalate_after_hours INT NULL,
+      is_active TINYINT(1) NOT NULL DEFAULT 1,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_leave_approval_chains_scope (department_id, leave_type_id)
+    )
+  `);
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS leave_approval_chain_steps (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      chain_id INT NOT NULL,
+      step_order INT NOT NULL,
+      label VARCHAR(100) NOT NULL,
+      approver_type VARCHAR(30) NOT NULL,
+      approver_value VARCHAR(255) NULL,
+      escalate_after_hours INT NULL,
+      INDEX idx_leave_approval_chain_steps_chain (chain_id, step_order)
+    )
+  `);
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS leave_approval_steps (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      leave_request_id INT NOT NULL,
+      step_order INT NOT NULL,
+      label VARCHAR(100) NOT NULL,
+      approver_type VARCHAR(30) NOT NULL,
+      approver_id INT NULL,
+      approver_name VARCHAR(255) NULL,
+      delegated_from_id INT NULL,
+      delegated_from_name VARCHAR(255) NULL,
+      escalated_from_step_id INT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'waiting',
+      escalate_after_hours INT NULL,
+      activated_at DATETIME NULL,
+      escalate_at DATETIME NULL,
+      acted_by_id INT NULL,
+      acted_by_name VARCHAR(255) NULL,
+      acted_at DATETIME NULL,
+      comment VARCHAR(500) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_leave_approval_steps_request (leave_request_id, step_order),
+      INDEX idx_leave_approval_steps_approver (approver_id, status),
+      INDEX idx_leave_approval_steps_escalate (status, escalate_at)
+    )
+  `);
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS leave_approval_delegations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      approver_id INT NOT NULL,
+      delegate_id INT NOT NULL,
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      reason VARCHAR(255) NULL,
+      created_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_leave_approval_delegations_approver (approver_id, start_date, end_date)
+    )
+  `);
+
+  await addColumnIfMissing(connection, 'leave_requests', 'approval_chain_id', 'INT NULL');
+};
+
+const down = async (connection) => {
+  await dropColumnIfExists(connection, 'leave_requests', 'approval_chain_id');
+  await dropTables(connection, [
+    'leave_approval_delegations', 'leave_approval_steps', 'leave_approval_chain_steps', 'leave_approval_chains'
+  ]);
+};
+
+module.exports = { up, down };
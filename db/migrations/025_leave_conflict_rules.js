@@ -0,0 +1,46 @@
+// Leave conflict rules (helpers/leaveRules.js, routes/leaveRules.js). Each rule has a type with its own params,
+// a scope (department_id, designation and leave_type_id; NULL matches everyone) and a severity: 'hard' blocks
+// the application, 'soft' lets it through for a decision and is recorded in leave_requests.rule_warnings.
+// The hard-coded "one operator off per department" check becomes the seeded max_off_per_day rule.
+const { addColumnIfMissing, dropColumnIfExists, dropTables } = require('../schema');
+
+const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS leave_conflict_rules (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(150) NOT NULL,
+      rule_type VARCHAR(40) NOT NULL,
+      severity VARCHAR(10) NOT NULL DEFAULT 'hard',
+      department_id INT NULL,
+      designation VARCHAR(255) NULL,
+      leave_type_id INT NULL,
+      params JSON NULL,
+      message VARCHAR(500) NULL,
+      is_active TINYINT(1) NOT NULL DEFAULT 1,
+      created_by_id INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_leave_conflict_rules_active (is_active, rule_type)
+    )
+  `);
+  await addColumnIfMissing(connection, 'leave_requests', 'rule_warnings', 'JSON NULL');
+
+  const [[{ cnt }]] = await connection.query('SELECT COUNT(*) AS cnt FROM leave_conflict_rules');
+  if (Number(cnt) > 0) return;
+  await connection.query(
+    `INSERT INTO leave_conflict_rules (name, rule_type, severity, designation, params, message)
+     VALUES (?, 'max_off_per_day', 'hard', 'Operator', ?, ?)`,
+    [
+      'One operator off per department',
+      JSON.stringify({ max: 1 }),
+      'Another operator from this department is already on leave for these dates'
+    ]
+  );
+};
+
+const down = async (connection) => {
+  await dropColumnIfExists(connection, 'leave_requests', 'rule_warnings');
+  await dropTables(connection, ['leave_conflict_rules']);
+};
+
+module.exports = { up, down };
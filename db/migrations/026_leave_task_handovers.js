@@ -0,0 +1,40 @@
+// Task handover plans for leave requests (helpers/leaveHandovers.js). Each row hands one task of the applicant
+// to a cover employee for the leave dates: 'planned' until the leave is approved, 'scheduled' until it starts,
+// 'active' while the cover is on the task's assignees, then 'reverted' on return ('cancelled' / 'skipped' otherwise).
+// Occurrences due while a handover is applied point at it through task_occurrences.handover_id.
+const { addColumnIfMissing, dropColumnIfExists, addIndexIfMissing, dropIndexIfExists, dropTables } = require('../schema');
+
+const up = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS leave_task_handovers (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      leave_request_id INT NOT NULL,
+      task_id INT NOT NULL,
+      from_employee_id INT NOT NULL,
+      cover_employee_id INT NOT NULL,
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'planned',
+      from_sort_order INT NULL,
+      cover_added TINYINT(1) NOT NULL DEFAULT 0,
+      applied_at DATETIME NULL,
+      reverted_at DATETIME NULL,
+      note VARCHAR(255) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_leave_task_handovers_leave (leave_request_id),
+      INDEX idx_leave_task_handovers_task (task_id, start_date, end_date),
+      INDEX idx_leave_task_handovers_status (status, start_date, end_date)
+    )
+  `);
+  await addColumnIfMissing(connection, 'task_occurrences', 'handover_id', 'INT NULL');
+  await addIndexIfMissing(connection, 'task_occurrences', 'idx_task_occurrences_handover', 'handover_id');
+};
+
+const down = async (connection) => {
+  await dropIndexIfExists(connection, 'task_occurrences', 'idx_task_occurrences_handover');
+  await dropColumnIfExists(connection, 'task_occurrences', 'handover_id');
+  await dropTables(connection, ['leave_task_handovers']);
+};
+
+module.exports = { up, down };
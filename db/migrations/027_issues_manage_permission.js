@@ -0,0 +1,14 @@
+// Issues can count against an employee's health score (issues_affect_health), so raising, editing and deleting
+// them is limited to managers and holders of issues_manage (routes/issues.js).
+const up = async (connection) => {
+  await connection.query(
+    `INSERT IGNORE INTO permissions (name, description, category, status) VALUES (?, ?, ?, 'Active')`,
+    ['issues_manage', 'Raise, edit and delete issues charged to employees', 'HR']
+  );
+};
+
+const down = async (connection) => {
+  await connection.query(`DELETE FROM permissions WHERE name = 'issues_manage'`);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,24 @@
+// Write access to HR and task setup screens, checked by requirePermission() (managers pass where the route allows).
+// Read access keeps using the existing menu permissions (view_reports_menu, view_attendance_submenu, ...).
+const PERMISSIONS = [
+  ['employees_manage', 'Create, edit, delete and import employees', 'HR'],
+  ['org_structure_manage', 'Create, edit, delete and import departments and designations', 'HR'],
+  ['warning_letters_manage', 'Issue, edit and delete warning letters', 'HR'],
+  ['notices_manage', 'Publish, edit and delete notices', 'Notice Board'],
+  ['task_config_manage', 'Edit task scoring configuration and labels', 'Task Management']
+];
+
+const up = async (connection) => {
+  for (const [name, description, category] of PERMISSIONS) {
+    await connection.query(
+      `INSERT IGNORE INTO permissions (name, description, category, status) VALUES (?, ?, ?, 'Active')`,
+      [name, description, category]
+    );
+  }
+};
+
+const down = async (connection) => {
+  await connection.query('DELETE FROM permissions WHERE name IN (?)', [PERMISSIONS.map(([name]) => name)]);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,14 @@
+// Leave requests without an open approval step (no chain matched) are decided by admins and holders of
+// leave_approve (POST /api/leaves/:id/decision)
+const up = async (connection) => {
+  await connection.query(
+    `INSERT IGNORE INTO permissions (name, description, category, status) VALUES (?, ?, ?, 'Active')`,
+    ['leave_approve', 'Approve or reject leave requests that have no approval chain', 'Leaves']
+  );
+};
+
+const down = async (connection) => {
+  await connection.query(`DELETE FROM permissions WHERE name = 'leave_approve'`);
+};
+
+module.exports = { up, down };
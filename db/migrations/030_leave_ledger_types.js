@@ -0,0 +1,65 @@
+// Per-type entries in the leave ledger (helpers/leaveTypes.js). Typed entries carry leave_type_id and the date
+// they apply on (entry_date); their year/month follow that date. Monthly quota entries keep leave_type_id NULL.
+// The monthly paid quota moves from a hard-coded 2 days to the accrual of the 'monthly_paid' leave type, seeded
+// from the monthly_paid_quota leave policy when one is set. Approved usage of balance-tracked types and the
+// carry-forwards already fixed in leave_type_balances are carried over as opening entries.
+const { addColumnIfMissing, dropColumnIfExists, addIndexIfMissing, dropIndexIfExists } = require('../schema');
+
+const OPENING_REASON = 'Opening balance carried over from leave_requests';
+const MONTHLY_QUOTA_CODE = 'monthly_paid';
+
+const readPolicyQuota = async (connection) => {
+  const [rows] = await connection.query("SELECT policy_value FROM leave_policies WHERE policy_key = 'monthly_paid_quota'");
+  try {
+    const value = rows.length && rows[0].policy_value ? JSON.parse(rows[0].policy_value) : null;
+    if (value && typeof value.quota === 'number' && value.quota > 0) return value.quota;
+  } catch (e) {
+    // ignore parse error, keep default
+  }
+  return 2;
+};
+
+const up = async (connection) => {
+  await addColumnIfMissing(connection, 'leave_ledger', 'leave_type_id', 'INT NULL AFTER employee_id');
+  await addColumnIfMissing(connection, 'leave_ledger', 'entry_date', 'DATE NULL AFTER month');
+  await addIndexIfMissing(connection, 'leave_ledger', 'idx_leave_ledger_type_year', 'employee_id, leave_type_id, year');
+
+  const quota = await readPolicyQuota(connection);
+  await connection.query(
+    `INSERT INTO leave_types (name, code, description, accrual_frequency, accrual_amount, carry_forward_cap, is_paid,
+       requires_approval, eligible_after_probation, requires_attachment, status)
+     SELECT 'Monthly Paid Leave', ?, 'Monthly paid quota; unused days do not carry over', 'monthly', ?, 0, 1, 0, 0, 0, 'Active' FROM DUAL
+     WHERE NOT EXISTS (SELECT 1 FROM leave_types WHERE code = ?)`,
+    [MONTHLY_QUOTA_CODE, quota, MONTHLY_QUOTA_CODE]
+  );
+
+  const [[{ cnt }]] = await connection.query('SELECT COUNT(*) AS cnt FROM leave_ledger WHERE leave_type_id IS NOT NULL');
+  if (Number(cnt) > 0) return;
+
+  await connection.query(
+    `INSERT INTO leave_ledger (employee_id, leave_type_id, year, month, entry_date, entry_type, days, reason)
+     SELECT b.employee_id, b.leave_type_id, b.year, 1, CONCAT(b.year, '-01-01'), 'carry_forward', b.carried_forward, ?
+     FROM leave_type_balances b WHERE b.carried_forward > 0`,
+    [OPENING_REASON]
+  );
+  await connection.query(
+    `INSERT INTO leave_ledger (employee_id, leave_type_id, year, month, entry_date, entry_type, days, leave_request_id, reason)
+     SELECT r.employee_id, r.leave_type_id, YEAR(r.start_date), MONTH(r.start_date), r.start_date, 'usage', -r.days_requested, r.id, ?
+     FROM leave_requests r
+     JOIN leave_types t ON t.id = r.leave_type_id
+     WHERE r.status = 'approved' AND r.is_uninformed = 0 AND (r.is_paid = 1 OR t.is_paid = 0)
+       AND (t.code IS NULL OR t.code <> ?)
+       AND ((t.accrual_frequency IS NOT NULL AND t.accrual_frequency <> 'none') OR t.max_days_per_year IS NOT NULL)`,
+    [OPENING_REASON, MONTHLY_QUOTA_CODE]
+  );
+};
+
+const down = async (connection) => {
+  await connection.query('DELETE FROM leave_ledger WHERE leave_type_id IS NOT NULL');
+  await connection.query('DELETE FROM leave_types WHERE code = ?', [MONTHLY_QUOTA_CODE]);
+  await dropIndexIfExists(connection, 'leave_ledger', 'idx_leave_ledger_type_year');
+  await dropColumnIfExists(connection, 'leave_ledger', 'entry_date');
+  await dropColumnIfExists(connection, 'leave_ledger', 'leave_type_id');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,24 @@
+// Write access to tickets, error records and appreciations, checked by requirePermission() (routes/tickets.js,
+// routes/errors.js, routes/appreciations.js). edit_tickets and edit_own_tickets were already read by the Tickets
+// view; they are seeded here so the server can check them too.
+const PERMISSIONS = [
+  ['edit_tickets', 'Edit any ticket', 'Tickets'],
+  ['edit_own_tickets', 'Edit tickets you created', 'Tickets'],
+  ['errors_manage', 'Record and delete employee errors', 'HR'],
+  ['appreciations_manage', 'Record and delete appreciations and appreciation types', 'HR']
+];
+
+const up = async (connection) => {
+  for (const [name, description, category] of PERMISSIONS) {
+    await connection.query(
+      `INSERT IGNORE INTO permissions (name, description, category, status) VALUES (?, ?, ?, 'Active')`,
+      [name, description, category]
+    );
+  }
+};
+
+const down = async (connection) => {
+  await connection.query('DELETE FROM permissions WHERE name IN (?)', [PERMISSIONS.map(([name]) => name)]);
+};
+
+module.exports = { up, down };
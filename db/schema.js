@@ -0,0 +1,61 @@
+// Helpers shared by migration files. They inspect information_schema instead of swallowing
+// ER_DUP_FIELDNAME so a migration can converge databases created by the old db/init.js.
+
+const columnExists = async (connection, table, column) => {
+  const [rows] = await connection.query(
+    `SELECT 1 FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ? LIMIT 1`,
+    [table, column]
+  );
+  return rows.length > 0;
+};
+
+const indexExists = async (connection, table, indexName) => {
+  const [rows] = await connection.query(
+    `SELECT 1 FROM information_schema.STATISTICS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ? LIMIT 1`,
+    [table, indexName]
+  );
+  return rows.length > 0;
+};
+
+const addColumnIfMissing = async (connection, table, column, definition) => {
+  if (await columnExists(connection, table, column)) return false;
+  await connection.query(`ALTER TABLE \`${table}\` ADD COLUMN \`${column}\` ${definition}`);
+  return true;
+};
+
+const dropColumnIfExists = async (connection, table, column) => {
+  if (!(await columnExists(connection, table, column))) return false;
+  await connection.query(`ALTER TABLE \`${table}\` DROP COLUMN \`${column}\``);
+  return true;
+};
+
+// columns is the raw index column list, e.g. 'assigned_to(255), status'
+const addIndexIfMissing = async (connection, table, indexName, columns) => {
+  if (await indexExists(connection, table, indexName)) return false;
+  await connection.query(`CREATE INDEX \`${indexName}\` ON \`${table}\` (${columns})`);
+  return true;
+};
+
+const dropIndexIfExists = async (connection, table, indexName) => {
+  if (!(await indexExists(connection, table, indexName))) return false;
+  await connection.query(`DROP INDEX \`${indexName}\` ON \`${table}\``);
+  return true;
+};
+
+const dropTables = async (connection, tables) => {
+  for (const table of tables) {
+    await connection.query(`DROP TABLE IF EXISTS \`${table}\``);
+  }
+};
+
+module.exports = {
+  columnExists,
+  indexExists,
+  addColumnIfMissing,
+  dropColumnIfExists,
+  addIndexIfMissing,
+  dropIndexIfExists,
+  dropTables
+};
@@ -0,0 +1,189 @@
+// Attendance regularization (db/migrations/021_attendance_regularizations.js). Approved requests amend the day's
+// sessions through helpers/attendanceSessions.js; every amendment, and every admin edit, goes to attendance_audit
+// with a before/after snapshot of the daily row and its sessions.
+const { isAdminUser, userHasPermission } = require('../middleware/permissions');
+const {
+  recomputeAttendanceRollup,
+  openSession,
+  getSession,
+  findOpenSession,
+  closeSession,
+  setSessionTimes,
+  getSessionsByAttendance
+} = require('./attendanceSessions');
+
+const REGULARIZATION_TYPES = {
+  missing_clock_in: 'Missing clock-in',
+  missing_clock_out: 'Missing clock-out',
+  wrong_time: 'Wrong time',
+  worked_elsewhere: 'Worked from elsewhere'
+};
+
+// Which requested times each type needs
+const REQUIRED_TIMES = {
+  missing_clock_in: ['requested_clock_in', 'requested_clock_out'],
+  missing_clock_out: ['requested_clock_out'],
+  wrong_time: [],
+  worked_elsewhere: ['requested_clock_in', 'requested_clock_out']
+};
+
+// Requests the user may approve: their reports and their department's, or their department with
+// attendance_regularization_approve; admins see all. Nobody reviews their own requests.
+// Expects employees e and departments d in the query.
+const buildApprovalScope = (user) => {
+  if (isAdminUser(user) || (user.permissions || []).includes('all')) return { clause: 'e.id <> ?', params: [user.id] };
+  const name = (user.name || '').toString().trim().toLowerCase();
+  const parts = [];
+  const params = [];
+  if (name) {
+    parts.push('LOWER(TRIM(e.reporting_to)) = ?', 'LOWER(TRIM(d.manager)) = ?');
+    params.push(name, name);
+  }
+  if (user.department && userHasPermission(user, 'attendance_regularization_approve')) {
+    parts.push('e.department = ?');
+    params.push(user.department);
+  }
+  if (parts.length === 0) return { clause: '1 = 0', params: [] };
+  return { clause: `(${parts.join(' OR ')}) AND e.id <> ?`, params: [...params, user.id] };
+};
+
+// Validate a request body (times already normalized to 'YYYY-MM-DD HH:MM:SS'); returns { error } or null
+const validateRegularization = ({ type, reason, requested_clock_in: clockIn, requested_clock_out: clockOut, session_id: sessionId }, now) => {
+  if (!REGULARIZATION_TYPES[type]) return { error: `type must be one of ${Object.keys(REGULARIZATION_TYPES).join(', ')}` };
+  if (!reason || !String(reason).trim()) return { error: 'reason is required' };
+  const times = { requested_clock_in: clockIn, requested_clock_out: clockOut };
+  const missing = REQUIRED_TIMES[type].filter(field => !times[field]);
+  if (missing.length) return { error: `${missing.join(' and ')} required for ${REGULARIZATION_TYPES[type].toLowerCase()}` };
+  if (type === 'wrong_time' && (!sessionId || (!clockIn && !clockOut))) {
+    return { error: 'wrong_time needs session_id and a corrected requested_clock_in or requested_clock_out' };
+  }
+  if (clockIn && clockOut && clockOut <= clockIn) return { error: 'requested_clock_out must be after requested_clock_in' };
+  if ((clockIn && clockIn > now) || (clockOut && clockOut > now)) return { error: 'Requested times cannot be in the future' };
+  return null;
+};
+
+// The daily row and its sessions, as stored in attendance_audit
+const snapshotAttendance = async (db, attendanceId) => {
+  const [rows] = await db.execute(
+    `SELECT id, employee_id, DATE_FORMAT(date, '%Y-%m-%d') AS date, CAST(clock_in AS CHAR) AS clock_in,
+       CAST(clock_out AS CHAR) AS clock_out, duration_seconds, break_seconds, hours_worked, session_count
+     FROM attendance WHERE id = ?`,
+    [attendanceId]
+  );
+  if (rows.length === 0) return null;
+  const sessions = (await getSessionsByAttendance(db, [attendanceId])).get(attendanceId) || [];
+  return {
+    ...rows[0],
+    sessions: sessions.map(s => ({
+      id: s.id, clock_in: s.clock_in, clock_out: s.clock_out, duration_seconds: s.duration_seconds, break_seconds: s.break_seconds, source: s.source
+    }))
+  };
+};
+
+const logAttendanceAudit = async (db, { attendanceId, employeeId, action, source, sourceId = null, before = null, after = null, actor }) => {
+  await db.execute(
+    `INSERT INTO attendance_audit (attendance_id, employee_id, action, source, source_id, before_json, after_json, actor_id, actor_name)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      attendanceId,
+      employeeId || null,
+      action,
+      source,
+      sourceId,
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null,
+      actor && actor.id ? actor.id : null,
+      actor && actor.name ? actor.name : null
+    ]
+  );
+};
+
+// The day's attendance row, created empty when the employee never clocked in
+const ensureAttendanceRow = async (db, request) => {
+  const [rows] = await db.execute(
+    'SELECT id FROM attendance WHERE employee_id = ? AND date = ? ORDER BY id DESC LIMIT 1',
+    [request.employee_id, request.date]
+  );
+  if (rows.length > 0) return rows[0].id;
+  const [result] = await db.execute(
+    `INSERT INTO attendance (employee_id, employee_name, date, clock_in, session_count)
+     SELECT id, name, ?, ?, 0 FROM employees WHERE id = ?`,
+    [request.date, request.requested_clock_in, request.employee_id]
+  );
+  return result.insertId;
+};
+
+// The first of the day's other sessions that overlaps clockIn–clockOut; an open session runs on indefinitely
+const findOverlappingSession = async (db, attendanceId, { clockIn, clockOut, excludeSessionId = null }) => {
+  const sessions = (await getSessionsByAttendance(db, [attendanceId])).get(attendanceId) || [];
+  return sessions.find(s =>
+    s.id !== excludeSessionId && (!clockOut || s.clock_in < clockOut) && (!s.clock_out || s.clock_out > clockIn)
+  ) || null;
+};
+
+const overlapError = (session) => ({
+  error: `The corrected times overlap the session from ${session.clock_in} to ${session.clock_out || 'now (still open)'}`
+});
+
+// Apply an approved request to the day's sessions and audit it; returns { attendanceId } or { error }
+const applyRegularization = async (db, request, actor) => {
+  const attendanceId = await ensureAttendanceRow(db, request);
+  const before = await snapshotAttendance(db, attendanceId);
+  const note = `Regularization #${request.id}: ${REGULARIZATION_TYPES[request.type]}`;
+
+  if (request.type === 'missing_clock_out') {
+    const session = request.session_id ? await getSession(db, request.session_id) : await findOpenSession(db, attendanceId);
+    if (!session || session.attendance_id !== attendanceId) return { error: 'No open session found for that day' };
+    if (request.requested_clock_out <= String(session.clock_in)) return { error: 'requested_clock_out is before the session clock-in' };
+    const overlapping = await findOverlappingSession(db, attendanceId, {
+      clockIn: String(session.clock_in), clockOut: request.requested_clock_out, excludeSessionId: session.id
+    });
+    if (overlapping) return overlapError(overlapping);
+    await setSessionTimes(db, session.id, { clockOut: request.requested_clock_out });
+  } else if (request.type === 'wrong_time') {
+    const session = await getSession(db, request.session_id);
+    if (!session || session.attendance_id !== attendanceId) return { error: 'Session not found for that day' };
+    const clockIn = request.requested_clock_in || String(session.clock_in);
+    const clockOut = request.requested_clock_out || session.clock_out;
+    if (clockOut && clockOut <= clockIn) return { error: 'Corrected clock-out must be after clock-in' };
+    const overlapping = await findOverlappingSession(db, attendanceId, { clockIn, clockOut, excludeSessionId: session.id });
+    if (overlapping) return overlapError(overlapping);
+    await setSessionTimes(db, session.id, { clockIn: request.requested_clock_in, clockOut: request.requested_clock_out });
+  } else {
+    const overlapping = await findOverlappingSession(db, attendanceId, {
+      clockIn: request.requested_clock_in, clockOut: request.requested_clock_out
+    });
+    if (overlapping) return overlapError(overlapping);
+    const sessionId = await openSession(db, {
+      attendanceId,
+      employeeId: request.employee_id,
+      clockIn: request.requested_clock_in,
+      source: 'regularization',
+      note: request.location ? `${note} (${request.location})`.slice(0, 500) : note
+    });
+    await closeSession(db, sessionId, request.requested_clock_out);
+  }
+
+  await recomputeAttendanceRollup(db, attendanceId);
+  const after = await snapshotAttendance(db, attendanceId);
+  await logAttendanceAudit(db, {
+    attendanceId,
+    employeeId: request.employee_id,
+    action: request.type,
+    source: 'regularization',
+    sourceId: request.id,
+    before,
+    after,
+    actor
+  });
+  return { attendanceId };
+};
+
+module.exports = {
+  REGULARIZATION_TYPES,
+  buildApprovalScope,
+  validateRegularization,
+  snapshotAttendance,
+  logAttendanceAudit,
+  applyRegularization
+};
@@ -0,0 +1,175 @@
+// Attendance sessions and breaks (db/migrations/020_attendance_sessions.js). Sessions are the source of
+// truth for clocked time; the daily attendance row is recomputed from them after every change.
+// Rows without sessions (old imports, manual entries with only hours) keep their stored totals.
+const { formatAttendanceDate } = require('./dates');
+
+const SESSION_SOURCES = ['web', 'manual', 'import', 'backfill', 'kiosk', 'mobile', 'regularization'];
+
+const SESSION_COLUMNS = `s.id, s.attendance_id, s.employee_id, CAST(s.clock_in AS CHAR) AS clock_in, CAST(s.clock_out AS CHAR) AS clock_out,
+  s.duration_seconds, s.break_seconds, s.source, s.ip, s.note`;
+
+// Recompute the daily row from its sessions
+const recomputeAttendanceRollup = async (db, attendanceId) => {
+  const [rows] = await db.execute(
+    `SELECT COUNT(*) AS sessions, CAST(MIN(clock_in) AS CHAR) AS first_in, CAST(MAX(clock_out) AS CHAR) AS last_out,
+       SUM(clock_out IS NULL) AS open_sessions, COALESCE(SUM(duration_seconds), 0) AS worked,
+       COALESCE(SUM(break_seconds), 0) AS breaks
+     FROM attendance_sessions WHERE attendance_id = ?`,
+    [attendanceId]
+  );
+  const r = rows[0];
+  if (!r || !Number(r.sessions)) return null;
+  const worked = Number(r.worked) || 0;
+  await db.execute(
+    `UPDATE attendance SET clock_in = ?, clock_out = ?, duration_seconds = ?, hours_worked = ?, break_seconds = ?, session_count = ?
+     WHERE id = ?`,
+    [r.first_in, Number(r.open_sessions) ? null : r.last_out, worked, Number((worked / 3600).toFixed(4)), Number(r.breaks) || 0, Number(r.sessions), attendanceId]
+  );
+  return { duration_seconds: worked, break_seconds: Number(r.breaks) || 0, session_count: Number(r.sessions) };
+};
+
+const openSession = async (db, { attendanceId, employeeId, clockIn, source = 'web', ip = null, note = null }) => {
+  const [result] = await db.execute(
+    `INSERT INTO attendance_sessions (attendance_id, employee_id, clock_in, source, ip, note) VALUES (?, ?, ?, ?, ?, ?)`,
+    [attendanceId, employeeId, clockIn, SESSION_SOURCES.includes(source) ? source : 'web', ip, note]
+  );
+  return result.insertId;
+};
+
+const getSession = async (db, sessionId) => {
+  const [rows] = await db.execute(`SELECT ${SESSION_COLUMNS} FROM attendance_sessions s WHERE s.id = ?`, [sessionId]);
+  return rows[0] || null;
+};
+
+const findOpenSession = async (db, attendanceId) => {
+  const [rows] = await db.execute(
+    `SELECT ${SESSION_COLUMNS} FROM attendance_sessions s WHERE s.attendance_id = ? AND s.clock_out IS NULL ORDER BY s.clock_in DESC LIMIT 1`,
+    [attendanceId]
+  );
+  return rows[0] || null;
+};
+
+const findOpenBreak = async (db, sessionId) => {
+  const [rows] = await db.execute(
+    `SELECT id, session_id, CAST(break_start AS CHAR) AS break_start, note
+     FROM attendance_breaks WHERE session_id = ? AND break_end IS NULL ORDER BY break_start DESC LIMIT 1`,
+    [sessionId]
+  );
+  return rows[0] || null;
+};
+
+const startBreak = async (db, { sessionId, employeeId, at, note = null }) => {
+  const [result] = await db.execute(
+    'INSERT INTO attendance_breaks (session_id, employee_id, break_start, note) VALUES (?, ?, ?, ?)',
+    [sessionId, employeeId, at, note]
+  );
+  return result.insertId;
+};
+
+// End the session's open break (if any) at `at`
+const endBreak = async (db, sessionId, at) => {
+  const [result] = await db.execute(
+    `UPDATE attendance_breaks SET break_end = ?, duration_seconds = GREATEST(0, TIMESTAMPDIFF(SECOND, break_start, ?))
+     WHERE session_id = ? AND break_end IS NULL`,
+    [at, at, sessionId]
+  );
+  return result.affectedRows;
+};
+
+// Close a session at `at`; an open break ends with it and break time is not counted as worked
+const closeSession = async (db, sessionId, at) => {
+  await endBreak(db, sessionId, at);
+  await db.execute(
+    `UPDATE attendance_sessions
+     SET clock_out = ?,
+       break_seconds = (SELECT COALESCE(SUM(b.duration_seconds), 0) FROM attendance_breaks b WHERE b.session_id = ?),
+       duration_seconds = GREATEST(0, TIMESTAMPDIFF(SECOND, clock_in, ?) - break_seconds)
+     WHERE id = ?`,
+    [at, sessionId, at, sessionId]
+  );
+};
+
+// Move a session's clock-in and/or clock-out (regularization); breaks past the new clock-out end with it
+const setSessionTimes = async (db, sessionId, { clockIn, clockOut }) => {
+  if (clockIn) {
+    await db.execute('UPDATE attendance_sessions SET clock_in = ? WHERE id = ?', [clockIn, sessionId]);
+  }
+  if (clockOut) {
+    await db.execute(
+      `UPDATE attendance_breaks SET break_end = ?, duration_seconds = GREATEST(0, TIMESTAMPDIFF(SECOND, break_start, ?))
+       WHERE session_id = ? AND (break_end IS NULL OR break_end > ?)`,
+      [clockOut, clockOut, sessionId, clockOut]
+    );
+  }
+  const [rows] = await db.execute('SELECT CAST(clock_out AS CHAR) AS clock_out FROM attendance_sessions WHERE id = ?', [sessionId]);
+  const at = clockOut || (rows[0] && rows[0].clock_out);
+  if (at) await closeSession(db, sessionId, at);
+};
+
+// Replace a row's sessions with a single one; used when an admin enters or edits a day by hand
+const replaceWithManualSession = async (db, { attendanceId, employeeId, clockIn, clockOut, durationSeconds, note }) => {
+  await deleteSessionsForAttendance(db, [attendanceId]);
+  if (!clockIn || !/^\d+$/.test(String(employeeId))) return;
+  await db.execute(
+    `INSERT INTO attendance_sessions (attendance_id, employee_id, clock_in, clock_out, duration_seconds, source, note)
+     VALUES (?, ?, ?, ?, ?, 'manual', ?)`,
+    [attendanceId, employeeId, clockIn, clockOut || null, durationSeconds || 0, note || null]
+  );
+};
+
+const deleteSessionsForAttendance = async (db, attendanceIds) => {
+  if (!attendanceIds.length) return;
+  const placeholders = attendanceIds.map(() => '?').join(',');
+  await db.execute(
+    `DELETE b FROM attendance_breaks b JOIN attendance_sessions s ON s.id = b.session_id WHERE s.attendance_id IN (${placeholders})`,
+    attendanceIds
+  );
+  await db.execute(`DELETE FROM attendance_sessions WHERE attendance_id IN (${placeholders})`, attendanceIds);
+};
+
+// Sessions (with their breaks) for the given daily rows, keyed by attendance id
+const getSessionsByAttendance = async (db, attendanceIds) => {
+  const byAttendance = new Map();
+  if (!attendanceIds.length) return byAttendance;
+  const placeholders = attendanceIds.map(() => '?').join(',');
+  const [sessions] = await db.execute(
+    `SELECT ${SESSION_COLUMNS} FROM attendance_sessions s WHERE s.attendance_id IN (${placeholders}) ORDER BY s.clock_in`,
+    attendanceIds
+  );
+  const [breaks] = sessions.length
+    ? await db.execute(
+      `SELECT id, session_id, CAST(break_start AS CHAR) AS break_start, CAST(break_end AS CHAR) AS break_end, duration_seconds, note
+       FROM attendance_breaks WHERE session_id IN (${sessions.map(() => '?').join(',')}) ORDER BY break_start`,
+      sessions.map(s => s.id)
+    )
+    : [[]];
+  for (const s of sessions) {
+    const session = {
+      ...s,
+      clock_in: formatAttendanceDate(s.clock_in),
+      clock_out: formatAttendanceDate(s.clock_out),
+      breaks: breaks
+        .filter(b => b.session_id === s.id)
+        .map(b => ({ ...b, break_start: formatAttendanceDate(b.break_start), break_end: formatAttendanceDate(b.break_end) }))
+    };
+    if (!byAttendance.has(s.attendance_id)) byAttendance.set(s.attendance_id, []);
+    byAttendance.get(s.attendance_id).push(session);
+  }
+  return byAttendance;
+};
+
+module.exports = {
+  SESSION_SOURCES,
+  recomputeAttendanceRollup,
+  openSession,
+  getSession,
+  findOpenSession,
+  findOpenBreak,
+  startBreak,
+  endBreak,
+  closeSession,
+  setSessionTimes,
+  replaceWithManualSession,
+  deleteSessionsForAttendance,
+  getSessionsByAttendance
+};
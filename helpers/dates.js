@@ -1,3 +1,5 @@
+const { getOrgTimeZone, getOrgSettings } = require('./orgSettings');
+
 // Helper to format attendance timestamps consistently for clients
 const formatAttendanceDate = (value) => {
   if (!value) return null;
@@ -56,8 +58,70 @@ const getYearMonthFromDate = (dateStr) => {
   return { year, month };
 };
 
-// Helper: get epoch milliseconds for a specific day with timezone offset
-function getEpochMsForDay(dateStr, timezoneOffsetMinutes = 330) {
+// ─── Organisation calendar ──────────────────────────────────
+// Timezone and weekend days come from the organisation settings (helpers/orgSettings.js).
+
+// Helper: minutes the time zone is ahead of UTC at a given instant
+const getTimeZoneOffsetMinutes = (timeZone, date) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find(p => p.type === type).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return Math.round((asUtc - date.getTime()) / 60000);
+};
+
+// Organisation UTC offset in minutes on a YYYY-MM-DD date (noon, so DST switches at night do not matter)
+const getOrgOffsetMinutes = (dateStr) =>
+  getTimeZoneOffsetMinutes(getOrgTimeZone(), dateStr ? new Date(`${dateStr}T12:00:00.000Z`) : new Date());
+
+// Organisation UTC offset as "+05:00", for CONVERT_TZ in SQL
+const getOrgUtcOffset = (dateStr) => {
+  const offset = getOrgOffsetMinutes(dateStr);
+  const abs = Math.abs(offset);
+  return `${offset < 0 ? '-' : '+'}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+};
+
+// Helper: "YYYY-MM-DD HH:MM:SS" wall-clock time of an instant in the organisation timezone
+const toOrgDateTime = (date = new Date()) => date.toLocaleString('sv-SE', { timeZone: getOrgTimeZone() });
+
+const getOrgNow = () => toOrgDateTime(new Date());
+
+// Helper: YYYY-MM-DD for "today minus N days" in a time zone (the organisation's by default)
+const getZonedDateString = (daysAgo = 0, timeZone = getOrgTimeZone()) => {
+  const now = new Date(Date.now() - daysAgo * 86400000);
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(now);
+};
+
+const addDays = (dateStr, days) => {
+  const d = new Date(`${dateStr}T00:00:00.000Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+};
+
+// 0 = Sunday ... 6 = Saturday
+const getDayOfWeek = (dateStr) => new Date(`${dateStr}T00:00:00.000Z`).getUTCDay();
+
+const isWeekend = (dateStr) => getOrgSettings().weekend_days.includes(getDayOfWeek(dateStr));
+
+// holidayDates: optional Set/Map of YYYY-MM-DD (see getHolidayDates in helpers/holidays.js)
+const isWorkingDay = (dateStr, holidayDates = null) =>
+  !isWeekend(dateStr) && !(holidayDates && holidayDates.has(dateStr));
+
+const listWorkingDays = (fromDate, toDate, holidayDates = null) => {
+  const days = [];
+  for (let date = fromDate; date <= toDate; date = addDays(date, 1)) {
+    if (isWorkingDay(date, holidayDates)) days.push(date);
+  }
+  return days;
+};
+
+const countWorkingDays = (fromDate, toDate, holidayDates = null) => listWorkingDays(fromDate, toDate, holidayDates).length;
+
+const getWorkingDaysPerWeek = () => 7 - getOrgSettings().weekend_days.length;
+
+// Helper: get epoch milliseconds for a specific day with timezone offset (organisation timezone by default)
+function getEpochMsForDay(dateStr, timezoneOffsetMinutes = getOrgOffsetMinutes(dateStr)) {
   const midnightUtc = new Date(dateStr + 'T00:00:00.000Z').getTime();
   const startMs = midnightUtc - timezoneOffsetMinutes * 60 * 1000;
   const endMs = startMs + 24 * 60 * 60 * 1000 - 1;
@@ -65,50 +129,33 @@ function getEpochMsForDay(dateStr, timezoneOffsetMinutes = 330) {
 }
 
 // Helper: get epoch milliseconds for a date range with timezone offset
-function getEpochMsForRange(startDateStr, endDateStr, timezoneOffsetMinutes = 330) {
+function getEpochMsForRange(startDateStr, endDateStr, timezoneOffsetMinutes) {
   const norm = (s) => (typeof s === 'string' && s.includes('T') ? s.split('T')[0] : s);
   const start = norm(startDateStr);
   const end = norm(endDateStr);
-  const { startMs } = getEpochMsForDay(start, timezoneOffsetMinutes);
-  const endDay = getEpochMsForDay(end, timezoneOffsetMinutes);
+  const { startMs } = getEpochMsForDay(start, timezoneOffsetMinutes ?? getOrgOffsetMinutes(start));
+  const endDay = getEpochMsForDay(end, timezoneOffsetMinutes ?? getOrgOffsetMinutes(end));
   // Use start of next day as endTime so the full last day is included (Team Logger treats endTime as exclusive)
   const endMs = endDay.startMs + 24 * 60 * 60 * 1000;
   return { startMs, endMs };
 }
 
-// Shared helper: derive idle hours from Team Logger employee_summary_report row
-function getIdleHours(row) {
-  if (!row || typeof row !== 'object') return 0;
-  const h = row.idleHours ?? row.idle_hours ?? row.IdleHours;
-  if (h != null && h !== '') {
-    const num = typeof h === 'number' ? h : parseFloat(h);
-    if (!Number.isNaN(num)) return num;
-  }
-  const sec = row.inactiveSecondsCount ?? row.inactive_seconds_count ?? row.InactiveSecondsCount;
-  if (sec != null && sec !== '') {
-    const num = typeof sec === 'number' ? sec : parseFloat(sec);
-    if (!Number.isNaN(num)) return num / 3600;
-  }
-  // Fallback: find any key containing 'idle' (hours) or 'inactive' (seconds)
-  const keys = Object.keys(row);
-  for (const k of keys) {
-    const lower = k.toLowerCase();
-    if (lower.includes('idle') && !lower.includes('inactive') && !lower.includes('second')) {
-      const v = row[k];
-      if (v != null && v !== '') {
-        const num = typeof v === 'number' ? v : parseFloat(v);
-        if (!Number.isNaN(num)) return num;
-      }
-    }
-    if (lower.includes('inactive') && (lower.includes('second') || lower.includes('count'))) {
-      const v = row[k];
-      if (v != null && v !== '') {
-        const num = typeof v === 'number' ? v : parseFloat(v);
-        if (!Number.isNaN(num)) return num / 3600;
-      }
-    }
-  }
-  return 0;
-}
-
-module.exports = { formatAttendanceDate, getYearMonthFromDate, getEpochMsForDay, getEpochMsForRange, getIdleHours };
+module.exports = {
+  formatAttendanceDate,
+  getYearMonthFromDate,
+  getEpochMsForDay,
+  getEpochMsForRange,
+  getTimeZoneOffsetMinutes,
+  getOrgOffsetMinutes,
+  getOrgUtcOffset,
+  toOrgDateTime,
+  getOrgNow,
+  getZonedDateString,
+  addDays,
+  getDayOfWeek,
+  isWeekend,
+  isWorkingDay,
+  listWorkingDays,
+  countWorkingDays,
+  getWorkingDaysPerWeek
+};
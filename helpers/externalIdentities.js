@@ -0,0 +1,182 @@
+// Links between external time-tracker accounts (TeamLogger today) and EMS employees.
+// An account resolves through external_identities first (by external id, then code, then email) and only then
+// falls back to the Active employee with the same email or name. Accounts that resolve to nobody are "unmatched":
+// their teamlogger_daily / idle_accountability rows keep employee_id NULL until an admin links them.
+
+const PROVIDERS = { teamlogger: 'TeamLogger' };
+
+const isValidProvider = (provider) => Object.prototype.hasOwnProperty.call(PROVIDERS, provider);
+
+const toKey = (value) => (value === null || value === undefined ? '' : String(value).trim().toLowerCase());
+
+// Resolver for one provider: ({ externalId, email, code, name }) -> employee id or null
+const buildIdentityResolver = async (db, provider) => {
+  const [links] = await db.execute(
+    'SELECT external_id, external_email, external_code, employee_id FROM external_identities WHERE provider = ?',
+    [provider]
+  );
+  const [employees] = await db.execute(
+    'SELECT id, LOWER(TRIM(email)) AS email_key, LOWER(TRIM(name)) AS name_key FROM employees WHERE status = ?',
+    ['Active']
+  );
+
+  const linkById = new Map();
+  const linkByCode = new Map();
+  const linkByEmail = new Map();
+  for (const l of links) {
+    linkById.set(toKey(l.external_id), l.employee_id);
+    if (l.external_code) linkByCode.set(toKey(l.external_code), l.employee_id);
+    if (l.external_email) linkByEmail.set(toKey(l.external_email), l.employee_id);
+  }
+  const byEmail = new Map();
+  const byName = new Map();
+  for (const e of employees) {
+    if (e.email_key) byEmail.set(e.email_key, e.id);
+    if (e.name_key) byName.set(e.name_key, e.id);
+  }
+
+  const lookup = (map, key) => (key ? map.get(key) : undefined);
+  return ({ externalId, email, code, name } = {}) => {
+    const emailKey = toKey(email);
+    return lookup(linkById, toKey(externalId))
+      ?? lookup(linkByCode, toKey(code))
+      ?? lookup(linkByEmail, emailKey)
+      ?? lookup(byEmail, emailKey)
+      ?? lookup(byName, toKey(name))
+      ?? null;
+  };
+};
+
+// Hand orphaned idle_accountability rows (employee_id NULL) from one external account to an employee.
+// Rows match on external_key, or on email for rows stored before external_key existed. When the employee
+// already has a row for that date the orphan is a duplicate and is removed. Resolves to rows re-attributed.
+const adoptOrphanedIdleRows = async (db, employeeId, { externalKey = null, email = null } = {}) => {
+  const match = [];
+  const params = [];
+  if (externalKey) { match.push('external_key = ?'); params.push(externalKey); }
+  if (email) { match.push('(external_key IS NULL AND LOWER(TRIM(employee_email)) = ?)'); params.push(toKey(email)); }
+  if (match.length === 0) return 0;
+
+  const [orphans] = await db.execute(
+    `SELECT id FROM idle_accountability WHERE employee_id IS NULL AND (${match.join(' OR ')})`,
+    params
+  );
+
+  let adopted = 0;
+  for (const orphan of orphans) {
+    try {
+      await db.execute('UPDATE idle_accountability SET employee_id = ? WHERE id = ? AND employee_id IS NULL', [employeeId, orphan.id]);
+      adopted += 1;
+    } catch (err) {
+      if (err.code !== 'ER_DUP_ENTRY') throw err;
+      await db.execute('DELETE FROM idle_accountability WHERE id = ? AND employee_id IS NULL', [orphan.id]);
+    }
+  }
+  return adopted;
+};
+
+// Create or replace the link for one external account and re-attribute what was stored without it.
+// Resolves to { identity, storeRowsUpdated, idleRowsReattributed }.
+const linkExternalIdentity = async (db, { provider, externalId, email = null, code = null, name = null, employeeId, createdBy = null }) => {
+  await db.execute(
+    `INSERT INTO external_identities (provider, external_id, external_email, external_code, external_name, employee_id, created_by_id, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE external_email = VALUES(external_email), external_code = VALUES(external_code),
+       external_name = VALUES(external_name), employee_id = VALUES(employee_id),
+       created_by_id = VALUES(created_by_id), created_by = VALUES(created_by)`,
+    [provider, externalId, email || null, code || null, name || null, employeeId, createdBy?.id ?? null, createdBy?.name ?? null]
+  );
+
+  let storeRowsUpdated = 0;
+  if (provider === 'teamlogger') {
+    const [result] = await db.execute('UPDATE teamlogger_daily SET employee_id = ? WHERE teamlogger_id = ?', [employeeId, externalId]);
+    storeRowsUpdated = result.affectedRows;
+  }
+  const idleRowsReattributed = await adoptOrphanedIdleRows(db, employeeId, { externalKey: externalId, email });
+
+  const [rows] = await db.execute('SELECT * FROM external_identities WHERE provider = ? AND external_id = ?', [provider, externalId]);
+  return { identity: rows[0] || null, storeRowsUpdated, idleRowsReattributed };
+};
+
+// Remove a link; the account's store rows go back to being matched by email / name on the next sync.
+// Resolves to false when the link does not exist.
+const unlinkExternalIdentity = async (db, id) => {
+  const [rows] = await db.execute('SELECT provider, external_id, employee_id FROM external_identities WHERE id = ?', [id]);
+  if (rows.length === 0) return false;
+  const { provider, external_id: externalId, employee_id: employeeId } = rows[0];
+  await db.execute('DELETE FROM external_identities WHERE id = ?', [id]);
+  if (provider === 'teamlogger') {
+    await db.execute('UPDATE teamlogger_daily SET employee_id = NULL WHERE teamlogger_id = ? AND employee_id = ?', [externalId, employeeId]);
+  }
+  return true;
+};
+
+// TeamLogger accounts with nothing to attribute them to: store rows without an employee, plus orphaned
+// idle_accountability rows from before external_key was recorded (keyed like getEmployeeKey's email fallback)
+const listUnmatchedTeamLoggerUsers = async (db) => {
+  const [members] = await db.execute(
+    `SELECT teamlogger_id, MAX(employee_name) AS employee_name, MAX(email) AS email, MAX(employee_code) AS employee_code,
+       DATE_FORMAT(MIN(work_date), '%Y-%m-%d') AS first_seen, DATE_FORMAT(MAX(work_date), '%Y-%m-%d') AS last_seen,
+       COUNT(*) AS days, SUM(idle_hours) AS idle_hours
+     FROM teamlogger_daily
+     WHERE employee_id IS NULL
+     GROUP BY teamlogger_id
+     ORDER BY last_seen DESC, employee_name`
+  );
+  const [orphans] = await db.execute(
+    `SELECT external_key, LOWER(TRIM(employee_email)) AS email_key, COUNT(*) AS orphan_rows,
+       DATE_FORMAT(MAX(date), '%Y-%m-%d') AS last_seen
+     FROM idle_accountability
+     WHERE employee_id IS NULL
+     GROUP BY external_key, email_key`
+  );
+
+  const orphansByKey = new Map();
+  const legacyByEmail = new Map();
+  for (const o of orphans) {
+    if (o.external_key) orphansByKey.set(o.external_key, (orphansByKey.get(o.external_key) || 0) + Number(o.orphan_rows));
+    else if (o.email_key) legacyByEmail.set(o.email_key, o);
+  }
+
+  const users = members.map(m => {
+    const legacy = m.email ? legacyByEmail.get(toKey(m.email)) : null;
+    if (legacy) legacyByEmail.delete(toKey(m.email));
+    return {
+      provider: 'teamlogger',
+      externalId: m.teamlogger_id,
+      name: m.employee_name || '',
+      email: m.email || '',
+      code: m.employee_code || '',
+      firstSeen: m.first_seen,
+      lastSeen: m.last_seen,
+      days: Number(m.days) || 0,
+      idleHours: Number(Number(m.idle_hours || 0).toFixed(2)),
+      orphanedIdleRows: (orphansByKey.get(m.teamlogger_id) || 0) + (legacy ? Number(legacy.orphan_rows) : 0)
+    };
+  });
+  for (const [emailKey, legacy] of legacyByEmail) {
+    users.push({
+      provider: 'teamlogger',
+      externalId: `key:${emailKey}`,
+      name: '',
+      email: emailKey,
+      code: '',
+      firstSeen: null,
+      lastSeen: legacy.last_seen,
+      days: 0,
+      idleHours: 0,
+      orphanedIdleRows: Number(legacy.orphan_rows)
+    });
+  }
+  return users;
+};
+
+module.exports = {
+  PROVIDERS,
+  isValidProvider,
+  buildIdentityResolver,
+  adoptOrphanedIdleRows,
+  linkExternalIdentity,
+  unlinkExternalIdentity,
+  listUnmatchedTeamLoggerUsers
+};
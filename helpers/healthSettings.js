@@ -25,11 +25,14 @@ async function getHealthSettings(connection) {
       task_cycle_offset_days: 2,
       hours_points_per_month: 8,
       expected_hours_per_day: 8,
-      working_days_per_week: 6,
       hr_cycle_months: 3,
       error_high_deduction: 15,
       error_medium_deduction: 8,
       error_low_deduction: 3,
+      issues_affect_health: false,
+      issue_high_deduction: 10,
+      issue_medium_deduction: 5,
+      issue_low_deduction: 2,
       appreciation_bonus: 5,
       attendance_deduction: 5,
       max_absences_per_month: 2,
@@ -0,0 +1,135 @@
+// Holiday calendar lookups (table in db/migrations/013_holidays.js).
+// 'holiday' days are not working days; 'important' events are working days on which leave cannot be taken.
+// Both block leave applications for the employees they apply to. Dates are YYYY-MM-DD strings.
+const { addDays } = require('./dates');
+
+const HOLIDAY_TYPES = ['holiday', 'important'];
+const HOLIDAY_SCOPES = ['all', 'departments', 'designations'];
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Same month/day in another year; null when it does not exist (29 Feb)
+const shiftToYear = (dateStr, year) => {
+  const shifted = `${year}${dateStr.slice(4)}`;
+  const d = new Date(`${shifted}T00:00:00.000Z`);
+  return !isNaN(d.getTime()) && d.toISOString().startsWith(shifted) ? shifted : null;
+};
+
+const parseJsonList = (value) => {
+  if (value === null || value === undefined || value === '') return [];
+  let list = value;
+  if (typeof list === 'string') {
+    try { list = JSON.parse(list); } catch (e) { list = list.split(','); }
+  }
+  return Array.isArray(list) ? list.filter(v => v !== null && v !== undefined && String(v).trim() !== '') : [];
+};
+
+const formatHolidayRow = (row) => ({
+  ...row,
+  departments: parseJsonList(row.departments).map(Number).filter(Number.isFinite),
+  designations: parseJsonList(row.designations).map(d => String(d).trim()),
+  recurring_yearly: !!row.recurring_yearly
+});
+
+const HOLIDAY_SELECT = `
+  SELECT id, name, DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date, DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date,
+         type, scope, departments, designations, recurring_yearly, description, created_by_id, created_by,
+         created_at, updated_at
+  FROM holidays
+`;
+
+// Holidays that can fall between fromDate and toDate; recurring ones are always loaded
+const loadHolidays = async (db, fromDate, toDate, { types = null } = {}) => {
+  let query = `${HOLIDAY_SELECT} WHERE ((start_date <= ? AND end_date >= ?) OR recurring_yearly = 1)`;
+  const params = [toDate, fromDate];
+  if (Array.isArray(types) && types.length) {
+    query += ` AND type IN (${types.map(() => '?').join(',')})`;
+    params.push(...types);
+  }
+  const [rows] = await db.execute(`${query} ORDER BY start_date, id`, params);
+  return rows.map(formatHolidayRow);
+};
+
+// One { date, holiday } per day each holiday covers inside [fromDate, toDate], recurring holidays included
+const expandHolidays = (holidays, fromDate, toDate) => {
+  const result = [];
+  const fromYear = parseInt(fromDate.slice(0, 4), 10);
+  const toYear = parseInt(toDate.slice(0, 4), 10);
+  for (const holiday of holidays) {
+    const spanDays = Math.round(
+      (new Date(`${holiday.end_date}T00:00:00.000Z`) - new Date(`${holiday.start_date}T00:00:00.000Z`)) / 86400000
+    );
+    // A recurring holiday repeats from its first year on; one starting in late December can spill into fromYear
+    const starts = holiday.recurring_yearly
+      ? Array.from({ length: toYear - fromYear + 2 }, (_, i) => fromYear - 1 + i)
+        .filter(year => year >= parseInt(holiday.start_date.slice(0, 4), 10))
+        .map(year => shiftToYear(holiday.start_date, year))
+        .filter(Boolean)
+      : [holiday.start_date];
+    for (const start of starts) {
+      for (let i = 0; i <= spanDays; i++) {
+        const date = addDays(start, i);
+        if (date >= fromDate && date <= toDate) result.push({ date, holiday });
+      }
+    }
+  }
+  return result.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+};
+
+// employee: { department_id, designation }; null means "anyone" (company-wide views)
+const holidayAppliesTo = (holiday, employee) => {
+  if (!employee || holiday.scope === 'all') return true;
+  if (holiday.scope === 'departments') {
+    return employee.department_id != null && holiday.departments.includes(Number(employee.department_id));
+  }
+  if (holiday.scope === 'designations') {
+    const designation = String(employee.designation || '').trim().toLowerCase();
+    return designation !== '' && holiday.designations.some(d => d.toLowerCase() === designation);
+  }
+  return true;
+};
+
+// Department id and designation used to scope holidays for one employee
+const loadHolidayEmployee = async (db, employeeId) => {
+  const [rows] = await db.execute(
+    `SELECT e.id, e.department, e.designation,
+       (SELECT d.id FROM departments d WHERE d.name = e.department LIMIT 1) AS department_id
+     FROM employees e WHERE e.id = ? LIMIT 1`,
+    [employeeId]
+  );
+  return rows[0] || null;
+};
+
+// Map of date -> holidays applying to the employee (or to anyone when employee is null)
+const getHolidayDates = async (db, fromDate, toDate, { employee = null, types = null } = {}) => {
+  const holidays = await loadHolidays(db, fromDate, toDate, { types });
+  const byDate = new Map();
+  for (const { date, holiday } of expandHolidays(holidays, fromDate, toDate)) {
+    if (!holidayAppliesTo(holiday, employee)) continue;
+    if (!byDate.has(date)) byDate.set(date, []);
+    byDate.get(date).push(holiday);
+  }
+  return byDate;
+};
+
+// First holiday or important event for the employee between fromDate and toDate, or null
+const findBlockingHoliday = async (db, fromDate, toDate, employee) => {
+  const byDate = await getHolidayDates(db, fromDate, toDate, { employee });
+  const first = byDate.values().next();
+  return first.done ? null : first.value[0];
+};
+
+module.exports = {
+  HOLIDAY_TYPES,
+  HOLIDAY_SCOPES,
+  DATE_RE,
+  HOLIDAY_SELECT,
+  parseJsonList,
+  formatHolidayRow,
+  loadHolidays,
+  expandHolidays,
+  holidayAppliesTo,
+  loadHolidayEmployee,
+  getHolidayDates,
+  findBlockingHoliday
+};
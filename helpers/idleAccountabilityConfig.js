@@ -0,0 +1,123 @@
+// Idle accountability thresholds and reason catalogue (db/migrations/018_idle_accountability_config.js).
+
+const DEFAULT_IDLE_THRESHOLD_MINUTES = 20;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const REASON_KEY_RE = /^[a-z0-9_]{1,50}$/;
+
+const toKey = (value) => (value === null || value === undefined ? '' : String(value).trim().toLowerCase());
+
+// ─── Thresholds ─────────────────────────────────────────────
+// Rules in effect on date (YYYY-MM-DD)
+const getThresholdRules = async (db, date) => {
+  const [rows] = await db.execute(
+    `SELECT id, department, designation, threshold_minutes, DATE_FORMAT(effective_from, '%Y-%m-%d') AS effective_from
+     FROM idle_thresholds
+     WHERE effective_from <= ? AND (effective_to IS NULL OR effective_to >= ?)`,
+    [date, date]
+  );
+  return rows;
+};
+
+// Most specific rule for an employee: department + designation, then designation, then department, then the
+// catch-all; the latest effective_from wins a tie. Falls back to 20 minutes when no rule applies.
+const resolveThresholdMinutes = (rules, { department, designation } = {}) => {
+  const dept = toKey(department);
+  const desig = toKey(designation);
+  let best = null;
+  let bestScore = -1;
+  for (const rule of rules) {
+    if (rule.department && toKey(rule.department) !== dept) continue;
+    if (rule.designation && toKey(rule.designation) !== desig) continue;
+    const score = (rule.designation ? 2 : 0) + (rule.department ? 1 : 0);
+    if (score > bestScore || (score === bestScore && (rule.effective_from > best.effective_from
+      || (rule.effective_from === best.effective_from && rule.id > best.id)))) {
+      best = rule;
+      bestScore = score;
+    }
+  }
+  return best ? Number(best.threshold_minutes) : DEFAULT_IDLE_THRESHOLD_MINUTES;
+};
+
+// Lowest threshold any employee can have on date; used to pick candidates before resolving per employee
+const getMinThresholdMinutes = (rules) => {
+  if (!rules.length) return DEFAULT_IDLE_THRESHOLD_MINUTES;
+  const minutes = rules.map(r => Number(r.threshold_minutes));
+  // Without a catch-all rule, employees outside every scoped rule still get the default
+  if (!rules.some(r => !r.department && !r.designation)) minutes.push(DEFAULT_IDLE_THRESHOLD_MINUTES);
+  return Math.min(...minutes);
+};
+
+// Validate a threshold rule body -> { value } or { error }
+const normalizeThresholdRule = (body = {}) => {
+  const minutes = parseInt(body.threshold_minutes ?? body.thresholdMinutes, 10);
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > 24 * 60) {
+    return { error: 'threshold_minutes must be a whole number between 1 and 1440' };
+  }
+  const effectiveFrom = (body.effective_from ?? body.effectiveFrom ?? '').toString().trim();
+  const effectiveTo = (body.effective_to ?? body.effectiveTo ?? '').toString().trim() || null;
+  if (!DATE_RE.test(effectiveFrom)) return { error: 'effective_from must be YYYY-MM-DD' };
+  if (effectiveTo && !DATE_RE.test(effectiveTo)) return { error: 'effective_to must be YYYY-MM-DD' };
+  if (effectiveTo && effectiveTo < effectiveFrom) return { error: 'effective_to must not be before effective_from' };
+  const text = (value) => ((value ?? '').toString().trim() || null);
+  return {
+    value: {
+      department: text(body.department),
+      designation: text(body.designation),
+      threshold_minutes: minutes,
+      effective_from: effectiveFrom,
+      effective_to: effectiveTo,
+      notes: text(body.notes)
+    }
+  };
+};
+
+// ─── Reason catalogue ───────────────────────────────────────
+// Categories with their subcategories, in display order. Inactive entries only with includeInactive.
+const getReasonCatalogue = async (db, { includeInactive = false } = {}) => {
+  const activeOnly = includeInactive ? '' : 'WHERE is_active = 1';
+  const [categories] = await db.execute(
+    `SELECT * FROM idle_reason_categories ${activeOnly} ORDER BY sort_order, label`
+  );
+  const [subcategories] = await db.execute(
+    `SELECT * FROM idle_reason_subcategories ${activeOnly} ORDER BY sort_order, label`
+  );
+  return categories.map(c => ({
+    id: c.id,
+    key: c.category_key,
+    label: c.label,
+    isActive: !!c.is_active,
+    autoWaive: !!c.auto_waive,
+    requiresEvidence: !!c.requires_evidence,
+    sortOrder: c.sort_order,
+    subcategories: subcategories
+      .filter(s => s.category_id === c.id)
+      .map(s => ({ id: s.id, key: s.subcategory_key, label: s.label, isActive: !!s.is_active, sortOrder: s.sort_order }))
+  }));
+};
+
+// Active category and subcategory for a submission; null when either is unknown or inactive
+const findActiveReason = async (db, categoryKey, subcategoryKey) => {
+  const [rows] = await db.execute(
+    `SELECT c.category_key, c.label AS category_label, c.auto_waive, c.requires_evidence,
+       s.subcategory_key, s.label AS subcategory_label
+     FROM idle_reason_categories c
+     JOIN idle_reason_subcategories s ON s.category_id = c.id
+     WHERE c.category_key = ? AND s.subcategory_key = ? AND c.is_active = 1 AND s.is_active = 1`,
+    [categoryKey, subcategoryKey]
+  );
+  if (rows.length === 0) return null;
+  return { ...rows[0], auto_waive: !!rows[0].auto_waive, requires_evidence: !!rows[0].requires_evidence };
+};
+
+const isValidReasonKey = (key) => REASON_KEY_RE.test(key || '');
+
+module.exports = {
+  DEFAULT_IDLE_THRESHOLD_MINUTES,
+  getThresholdRules,
+  resolveThresholdMinutes,
+  getMinThresholdMinutes,
+  normalizeThresholdRule,
+  getReasonCatalogue,
+  findActiveReason,
+  isValidReasonKey
+};
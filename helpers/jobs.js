@@ -0,0 +1,107 @@
+const { registerJob } = require('./scheduler');
+const { getZonedDateString } = require('./dates');
+const { materializeOccurrences } = require('./taskOccurrences');
+const { runIncrementalSync, syncTeamLoggerRange, ensureDateSynced } = require('./teamlogger');
+const { runLeaveApprovalEscalations } = require('./leaveApprovals');
+const { runTaskHandovers } = require('./leaveHandovers');
+
+// Built-in scheduled jobs. Schedules below are only the defaults used when a job is first registered;
+// admins can change the cron expression, params or enabled flag via PUT /api/admin/jobs/:name.
+const registerDefaultJobs = () => {
+  const {
+    runIdleAccountabilityForDate,
+    createIdleTicketsForDate
+  } = require('../routes/idleAccountability');
+  const { createLessHoursTicketsForDate, createOverEstTicketsForRange } = require('../routes/tickets');
+
+  // Keep teamlogger_daily current: today plus recent dates that are not final yet. Run it manually with
+  // params { startDate, endDate } to backfill a range.
+  registerJob('teamlogger_sync', async (params) => {
+    const result = params.startDate
+      ? await syncTeamLoggerRange(params.startDate, params.endDate || params.startDate)
+      : await runIncrementalSync({ lookbackDays: params.lookbackDays ?? 7 });
+    if (result.datesSynced === 0 && result.failures.length) {
+      throw new Error(`TeamLogger sync failed: ${result.failures[0].error}`);
+    }
+    return { ...result, rowsAffected: result.rowsSynced };
+  }, {
+    schedule: '*/10 * * * *',
+    description: 'Incremental TeamLogger sync into teamlogger_daily (today and unfinished recent days)',
+    params: { lookbackDays: 7 }
+  });
+
+  // Flag yesterday's high TeamLogger idle time in idle_accountability (syncs the day first if needed)
+  registerJob('idle_accountability_sync', async (params) => {
+    const date = params.date || getZonedDateString(params.daysAgo ?? 1);
+    await ensureDateSynced(date);
+    const result = await runIdleAccountabilityForDate(date);
+    return { ...result, rowsAffected: result.processed };
+  }, {
+    schedule: '5 0 * * *',
+    description: 'Daily idle accountability sync from TeamLogger (previous day)',
+    params: { daysAgo: 1 }
+  });
+
+  // Create today's task_occurrences (plus any days missed while the server was down). Each occurrence carries
+  // its own status, so the parent recurring tasks are left as they are.
+  registerJob('recurring_task_reset', async (params) => {
+    const date = params.date || getZonedDateString(0);
+    const catchUpDays = Math.max(parseInt(params.catchUpDays ?? 7, 10) || 0, 0);
+    const fromDate = new Date(Date.parse(`${date}T00:00:00Z`) - catchUpDays * 86400000).toISOString().split('T')[0];
+    const occurrencesCreated = await materializeOccurrences(fromDate, date);
+    return { date, occurrencesCreated, rowsAffected: occurrencesCreated };
+  }, {
+    schedule: '0 0 * * *',
+    description: 'Create the task occurrences of recurring tasks due today (and missed recent days)',
+    params: { catchUpDays: 7 }
+  });
+
+  // Ticket generators are off until an admin enables them
+  registerJob('less_hours_tickets', async (params) => {
+    const date = params.date || getZonedDateString(params.daysAgo ?? 1);
+    const result = await createLessHoursTicketsForDate(date, params.minHours || 6, null, params.department || null, params.designation || null);
+    return { ...result, rowsAffected: result.ticketsCreated };
+  }, {
+    schedule: '0 10 * * *',
+    description: 'Create tickets for employees who logged fewer hours than minHours (previous day)',
+    enabled: false,
+    params: { daysAgo: 1, minHours: 6 }
+  });
+
+  registerJob('over_estimate_tickets', async (params) => {
+    const date = params.date || getZonedDateString(params.daysAgo ?? 1);
+    const result = await createOverEstTicketsForRange(date, date, params.minOverMinutes ?? 10, params.designation || null, params.department || null, null);
+    return { ...result, rowsAffected: result.ticketsCreated };
+  }, {
+    schedule: '0 10 * * *',
+    description: 'Create tickets for tasks logged over their time estimate (previous day)',
+    enabled: false,
+    params: { daysAgo: 1, minOverMinutes: 10 }
+  });
+
+  registerJob('idle_accountability_tickets', async (params) => {
+    const date = params.date || getZonedDateString(params.daysAgo ?? 1);
+    const result = await createIdleTicketsForDate(date, { department: params.department, designation: params.designation });
+    return { ...result, rowsAffected: result.ticketsCreated };
+  }, {
+    schedule: '0 18 * * *',
+    description: 'Create tickets for idle time without a submitted reason (previous day)',
+    enabled: false,
+    params: { daysAgo: 1 }
+  });
+
+  // Hand open leave approval steps to delegates of approvers now on leave, and escalate idle ones
+  registerJob('leave_approval_escalation', async () => runLeaveApprovalEscalations(), {
+    schedule: '*/15 * * * *',
+    description: 'Delegate and escalate leave approval steps that are waiting on an absent or idle approver'
+  });
+
+  // Hand tasks to covers when an approved leave starts and back on return. Hourly so today's occurrences
+  // (created at midnight) are pointed at the cover soon after they exist.
+  registerJob('leave_task_handover', async (params) => runTaskHandovers(params.date || getZonedDateString(0)), {
+    schedule: '10 * * * *',
+    description: 'Apply and revert task handovers of approved leaves'
+  });
+};
+
+module.exports = { registerDefaultJobs };
@@ -0,0 +1,431 @@
+// Multi-level leave approval chains (db/migrations/024_leave_approval_chains.js). When a request goes pending,
+// the most specific active chain for its department and leave type is copied into leave_approval_steps and
+// the first step is opened. Approvers come from employees.reporting_to, departments.manager or a designation;
+// a step whose approver is missing, is the applicant or already approved an earlier step is skipped. An open
+// step goes to the approver's delegate (an explicit delegation, or their own manager while they are on leave)
+// and escalates one level up the reporting line when nobody decides it within escalate_after_hours.
+// Steps with no approver_id are decided by admins; a chain whose steps are all skipped gets one.
+const { mysqlPool } = require('../config/database');
+const { createNotification } = require('./notifications');
+const { getZonedDateString } = require('./dates');
+const { isAdminUser } = require('../middleware/permissions');
+
+const APPROVER_TYPES = {
+  reporting_to: 'Reporting manager',
+  skip_level: "Manager's manager",
+  department_manager: 'Department manager',
+  designation: 'Designation',
+  employee: 'Specific employee'
+};
+
+const MAX_STEPS = 6;
+
+const STEP_COLUMNS = `s.id, s.leave_request_id, s.step_order, s.label, s.approver_type, s.approver_id, s.approver_name,
+  s.delegated_from_id, s.delegated_from_name, s.escalated_from_step_id, s.status, s.escalate_after_hours,
+  CAST(s.activated_at AS CHAR) AS activated_at, CAST(s.escalate_at AS CHAR) AS escalate_at,
+  s.acted_by_id, s.acted_by_name, CAST(s.acted_at AS CHAR) AS acted_at, s.comment`;
+
+const toNullableInt = (value) => (value === '' || value == null ? null : Number(value));
+
+// Validate a chain body; returns { error } or { values, steps }
+const normalizeChain = (body = {}) => {
+  const name = (body.name || '').toString().trim();
+  if (!name) return { error: 'name is required' };
+  const values = {
+    name: name.slice(0, 100),
+    department_id: toNullableInt(body.department_id),
+    leave_type_id: toNullableInt(body.leave_type_id),
+    escalate_after_hours: toNullableInt(body.escalate_after_hours),
+    is_active: body.is_active === false || body.is_active === 0 || body.is_active === '0' ? 0 : 1
+  };
+  for (const key of ['department_id', 'leave_type_id', 'escalate_after_hours']) {
+    if (values[key] != null && (!Number.isInteger(values[key]) || values[key] <= 0)) return { error: `${key} must be a positive whole number` };
+  }
+  const rawSteps = Array.isArray(body.steps) ? body.steps : [];
+  if (rawSteps.length === 0) return { error: 'At least one step is required' };
+  if (rawSteps.length > MAX_STEPS) return { error: `A chain can have at most ${MAX_STEPS} steps` };
+  const steps = [];
+  for (const [index, step] of rawSteps.entries()) {
+    const type = step.approver_type;
+    if (!APPROVER_TYPES[type]) return { error: `Step ${index + 1}: approver_type must be one of ${Object.keys(APPROVER_TYPES).join(', ')}` };
+    const value = step.approver_value == null ? '' : String(step.approver_value).trim();
+    if ((type === 'designation' || type === 'employee') && !value) return { error: `Step ${index + 1}: approver_value is required for ${type}` };
+    const hours = toNullableInt(step.escalate_after_hours);
+    if (hours != null && (!Number.isInteger(hours) || hours <= 0)) return { error: `Step ${index + 1}: escalate_after_hours must be a positive whole number` };
+    steps.push({
+      step_order: index + 1,
+      label: (step.label || '').toString().trim().slice(0, 100) || APPROVER_TYPES[type],
+      approver_type: type,
+      approver_value: value ? value.slice(0, 255) : null,
+      escalate_after_hours: hours
+    });
+  }
+  return { values, steps };
+};
+
+const getChains = async (db) => {
+  const [chains] = await db.execute(
+    `SELECT c.id, c.name, c.department_id, d.name AS department_name, c.leave_type_id, t.name AS leave_type_name,
+       c.escalate_after_hours, c.is_active
+     FROM leave_approval_chains c
+     LEFT JOIN departments d ON d.id = c.department_id
+     LEFT JOIN leave_types t ON t.id = c.leave_type_id
+     ORDER BY c.is_active DESC, c.name`
+  );
+  const [steps] = await db.execute(
+    `SELECT id, chain_id, step_order, label, approver_type, approver_value, escalate_after_hours
+     FROM leave_approval_chain_steps ORDER BY chain_id, step_order`
+  );
+  return chains.map((chain) => ({ ...chain, steps: steps.filter((s) => s.chain_id === chain.id) }));
+};
+
+const saveChainSteps = async (db, chainId, steps) => {
+  await db.execute('DELETE FROM leave_approval_chain_steps WHERE chain_id = ?', [chainId]);
+  for (const step of steps) {
+    await db.execute(
+      `INSERT INTO leave_approval_chain_steps (chain_id, step_order, label, approver_type, approver_value, escalate_after_hours)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [chainId, step.step_order, step.label, step.approver_type, step.approver_value, step.escalate_after_hours]
+    );
+  }
+};
+
+// Most specific active chain: department and leave type, then leave type, then department, then the catch-all
+const resolveChain = async (db, { departmentId, leaveTypeId }) => {
+  const [rows] = await db.execute(
+    `SELECT id, escalate_after_hours FROM leave_approval_chains
+     WHERE is_active = 1 AND (department_id IS NULL OR department_id = ?) AND (leave_type_id IS NULL OR leave_type_id = ?)
+     ORDER BY (leave_type_id IS NOT NULL) * 2 + (department_id IS NOT NULL) DESC, id
+     LIMIT 1`,
+    [departmentId ?? null, leaveTypeId ?? null]
+  );
+  return rows[0] || null;
+};
+
+const EMPLOYEE_COLUMNS = 'id, name, department, designation, reporting_to';
+
+const findEmployeeByName = async (db, name) => {
+  if (!name || !String(name).trim()) return null;
+  const [rows] = await db.execute(
+    `SELECT ${EMPLOYEE_COLUMNS} FROM employees WHERE LOWER(TRIM(name)) = LOWER(TRIM(?)) AND status = 'Active' LIMIT 1`,
+    [name]
+  );
+  return rows[0] || null;
+};
+
+const findEmployeeById = async (db, id) => {
+  if (!id) return null;
+  const [rows] = await db.execute(`SELECT ${EMPLOYEE_COLUMNS} FROM employees WHERE id = ? AND status = 'Active'`, [id]);
+  return rows[0] || null;
+};
+
+const resolveApprover = async (db, { approver_type: type, approver_value: value }, applicant) => {
+  if (type === 'reporting_to') return findEmployeeByName(db, applicant.reporting_to);
+  if (type === 'skip_level') {
+    const manager = await findEmployeeByName(db, applicant.reporting_to);
+    return manager ? findEmployeeByName(db, manager.reporting_to) : null;
+  }
+  if (type === 'department_manager') {
+    const [rows] = await db.execute('SELECT manager FROM departments WHERE name = ? LIMIT 1', [applicant.department || '']);
+    return rows.length ? findEmployeeByName(db, rows[0].manager) : null;
+  }
+  if (type === 'designation') {
+    // Prefer someone with that designation in the applicant's department
+    const [rows] = await db.execute(
+      `SELECT ${EMPLOYEE_COLUMNS} FROM employees
+       WHERE status = 'Active' AND LOWER(TRIM(designation)) = LOWER(TRIM(?)) AND id <> ?
+       ORDER BY (department = ?) DESC, id LIMIT 1`,
+      [value, applicant.id, applicant.department || '']
+    );
+    return rows[0] || null;
+  }
+  if (type === 'employee') return findEmployeeById(db, Number(value));
+  return null;
+};
+
+const isOnLeave = async (db, employeeId, date) => {
+  const [rows] = await db.execute(
+    `SELECT id FROM leave_requests WHERE employee_id = ? AND status = 'approved' AND start_date <= ? AND end_date >= ? LIMIT 1`,
+    [employeeId, date, date]
+  );
+  return rows.length > 0;
+};
+
+// Who decides for an approver today: their explicit delegate, else their manager while they are on leave
+const findDelegate = async (db, approver, applicantId, date = getZonedDateString(0)) => {
+  const [rows] = await db.execute(
+    `SELECT e.id, e.name FROM leave_approval_delegations g
+     JOIN employees e ON e.id = g.delegate_id AND e.status = 'Active'
+     WHERE g.approver_id = ? AND g.start_date <= ? AND g.end_date >= ?
+     ORDER BY g.id DESC LIMIT 1`,
+    [approver.id, date, date]
+  );
+  let delegate = rows[0] || null;
+  if (!delegate && (await isOnLeave(db, approver.id, date))) {
+    delegate = await findEmployeeByName(db, approver.reporting_to);
+  }
+  if (!delegate || delegate.id === approver.id || delegate.id === applicantId) return null;
+  return delegate;
+};
+
+const describeLeave = async (db, leaveRequestId) => {
+  const [rows] = await db.execute(
+    `SELECT lr.employee_id, e.name AS employee_name, DATE_FORMAT(lr.start_date, '%Y-%m-%d') AS start_date,
+       DATE_FORMAT(lr.end_date, '%Y-%m-%d') AS end_date
+     FROM leave_requests lr JOIN employees e ON e.id = lr.employee_id WHERE lr.id = ?`,
+    [leaveRequestId]
+  );
+  if (rows.length === 0) return { employee_id: null, text: `leave #${leaveRequestId}` };
+  const r = rows[0];
+  return { employee_id: r.employee_id, text: `${r.employee_name}'s leave ${r.start_date}${r.end_date !== r.start_date ? ` to ${r.end_date}` : ''}` };
+};
+
+// Notifications are queued on an outbox and sent with sendNotifications once the caller's transaction commits,
+// since createNotification writes through its own connection
+const notifyApprover = async (db, step, title, prefix = '', outbox) => {
+  if (!step.approver_id) return;
+  const leave = await describeLeave(db, step.leave_request_id);
+  outbox.push([step.approver_id, null, 'leave_approval_requested', title, `${prefix}${leave.text} is waiting for your approval (${step.label}).`]);
+};
+
+const sendNotifications = async (outbox = []) => {
+  for (const notification of outbox.splice(0)) {
+    await createNotification(...notification);
+  }
+};
+
+const getStep = async (db, stepId) => {
+  const [rows] = await db.execute(`SELECT ${STEP_COLUMNS} FROM leave_approval_steps s WHERE s.id = ?`, [stepId]);
+  return rows[0] || null;
+};
+
+// The step currently waiting for a decision, if any
+const getActiveStep = async (db, leaveRequestId) => {
+  const [rows] = await db.execute(
+    `SELECT ${STEP_COLUMNS} FROM leave_approval_steps s
+     WHERE s.leave_request_id = ? AND s.status = 'pending' ORDER BY s.step_order, s.id LIMIT 1`,
+    [leaveRequestId]
+  );
+  return rows[0] || null;
+};
+
+// Open the next waiting step (handing it to a delegate when needed); returns the step or null when none is left
+const activateNextStep = async (db, leaveRequestId, outbox) => {
+  const [rows] = await db.execute(
+    `SELECT ${STEP_COLUMNS} FROM leave_approval_steps s
+     WHERE s.leave_request_id = ? AND s.status = 'waiting' ORDER BY s.step_order LIMIT 1`,
+    [leaveRequestId]
+  );
+  if (rows.length === 0) return null;
+  const step = rows[0];
+  const approver = await findEmployeeById(db, step.approver_id);
+  const leave = await describeLeave(db, leaveRequestId);
+  const delegate = approver ? await findDelegate(db, approver, leave.employee_id) : null;
+  await db.execute(
+    `UPDATE leave_approval_steps
+     SET status = 'pending', activated_at = NOW(),
+       escalate_at = IF(? IS NULL, NULL, DATE_ADD(NOW(), INTERVAL ? HOUR)),
+       delegated_from_id = ?, delegated_from_name = ?, approver_id = ?, approver_name = ?
+     WHERE id = ?`,
+    [
+      step.escalate_after_hours, step.escalate_after_hours || 0,
+      delegate ? step.approver_id : null, delegate ? step.approver_name : null,
+      delegate ? delegate.id : step.approver_id, delegate ? delegate.name : step.approver_name,
+      step.id
+    ]
+  );
+  const active = await getStep(db, step.id);
+  await notifyApprover(db, active, 'Leave approval needed', delegate ? `On behalf of ${step.approver_name}: ` : '', outbox);
+  return active;
+};
+
+// Copy the matching chain onto a pending request and open its first step; returns the steps or null without a chain
+const startApprovalChain = async (db, leave, outbox) => {
+  const chain = await resolveChain(db, { departmentId: leave.department_id, leaveTypeId: leave.leave_type_id });
+  if (!chain) return null;
+  const [chainSteps] = await db.execute(
+    'SELECT step_order, label, approver_type, approver_value, escalate_after_hours FROM leave_approval_chain_steps WHERE chain_id = ? ORDER BY step_order',
+    [chain.id]
+  );
+  if (chainSteps.length === 0) return null;
+  const [applicantRows] = await db.execute(`SELECT ${EMPLOYEE_COLUMNS} FROM employees WHERE id = ?`, [leave.employee_id]);
+  const applicant = applicantRows[0] || { id: leave.employee_id };
+
+  const seen = new Set([applicant.id]);
+  for (const step of chainSteps) {
+    const approver = await resolveApprover(db, step, applicant);
+    let status = 'waiting';
+    let comment = null;
+    if (!approver) {
+      status = 'skipped';
+      comment = 'No approver found';
+    } else if (seen.has(approver.id)) {
+      status = 'skipped';
+      comment = approver.id === applicant.id ? 'Applicant is the approver' : 'Same approver as an earlier step';
+    } else {
+      seen.add(approver.id);
+    }
+    await db.execute(
+      `INSERT INTO leave_approval_steps (leave_request_id, step_order, label, approver_type, approver_id, approver_name, status, escalate_after_hours, comment)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        leave.id, step.step_order, step.label, step.approver_type, approver ? approver.id : null, approver ? approver.name : null,
+        status, step.escalate_after_hours ?? chain.escalate_after_hours ?? null, comment
+      ]
+    );
+  }
+  await db.execute('UPDATE leave_requests SET approval_chain_id = ? WHERE id = ?', [chain.id, leave.id]);
+  if (!(await activateNextStep(db, leave.id, outbox))) {
+    // Every step was skipped: escalate to admins instead of leaving the request with nobody to decide it
+    await db.execute(
+      `INSERT INTO leave_approval_steps (leave_request_id, step_order, label, approver_type, status, activated_at, comment)
+       VALUES (?, ?, 'Admin', 'admin', 'pending', NOW(), ?)`,
+      [leave.id, chainSteps.length + 1, 'Every approver in the chain was skipped']
+    );
+  }
+  return (await getApprovalSteps(db, [leave.id])).get(leave.id) || [];
+};
+
+// The step's approver (or delegate) decides it; steps without an approver are for admins
+const canActOnStep = (user, step) =>
+  step.approver_id != null ? Number(user.id) === Number(step.approver_id) : isAdminUser(user);
+
+// Record a decision on the open step. Approval opens the next step; returns { final, next } or { error }.
+const recordStepDecision = async (db, step, { approved, actor, comment = null, outbox }) => {
+  const [result] = await db.execute(
+    `UPDATE leave_approval_steps SET status = ?, acted_by_id = ?, acted_by_name = ?, acted_at = NOW(), comment = ?
+     WHERE id = ? AND status = 'pending'`,
+    [approved ? 'approved' : 'rejected', actor.id, actor.name || null, comment ? String(comment).slice(0, 500) : null, step.id]
+  );
+  if (result.affectedRows === 0) return { error: 'This step has already been decided' };
+  if (!approved) {
+    await closeOpenSteps(db, step.leave_request_id, { actor: null, comment: 'Rejected at an earlier step' });
+    return { final: true, next: null };
+  }
+  const next = await activateNextStep(db, step.leave_request_id, outbox);
+  return { final: !next, next };
+};
+
+// Close every open or waiting step, e.g. when an admin decides the request directly or it is cancelled
+const closeOpenSteps = async (db, leaveRequestId, { actor = null, comment }) => {
+  await db.execute(
+    `UPDATE leave_approval_steps SET status = 'skipped', comment = ?, acted_by_id = ?, acted_by_name = ?, acted_at = IF(? IS NULL, NULL, NOW())
+     WHERE leave_request_id = ? AND status IN ('waiting', 'pending')`,
+    [comment, actor ? actor.id : null, actor ? actor.name || null : null, actor ? actor.id : null, leaveRequestId]
+  );
+};
+
+// Hand an idle step one level up: the approver's own manager, or admins when there is none
+const escalateStep = async (db, step, outbox) => {
+  const leave = await describeLeave(db, step.leave_request_id);
+  const approver = await findEmployeeById(db, step.approver_id);
+  let target = approver ? await findEmployeeByName(db, approver.reporting_to) : null;
+  if (target && (target.id === leave.employee_id || target.id === step.approver_id)) target = null;
+
+  const [result] = await db.execute(
+    `UPDATE leave_approval_steps SET status = 'escalated', acted_at = NOW(), comment = ? WHERE id = ? AND status = 'pending'`,
+    [`No decision within ${step.escalate_after_hours} hour(s)`, step.id]
+  );
+  if (result.affectedRows === 0) return null;
+  const [insert] = await db.execute(
+    `INSERT INTO leave_approval_steps
+       (leave_request_id, step_order, label, approver_type, approver_id, approver_name, escalated_from_step_id, status,
+        escalate_after_hours, activated_at, escalate_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', ?, NOW(), IF(? IS NULL, NULL, DATE_ADD(NOW(), INTERVAL ? HOUR)))`,
+    [
+      step.leave_request_id, step.step_order, step.label, step.approver_type, target ? target.id : null, target ? target.name : null,
+      step.id, target ? step.escalate_after_hours : null, target ? step.escalate_after_hours : null, step.escalate_after_hours || 0
+    ]
+  );
+  const escalated = await getStep(db, insert.insertId);
+  if (target) {
+    outbox.push([
+      target.id, null, 'leave_approval_escalated', 'Leave approval escalated',
+      `${leave.text} was not decided by ${step.approver_name || 'the approver'} within ${step.escalate_after_hours} hour(s) and now needs your approval (${step.label}).`
+    ]);
+  }
+  return escalated;
+};
+
+// Scheduled: move open steps to delegates of approvers now on leave, then escalate overdue steps
+const runLeaveApprovalEscalations = async () => {
+  const connection = await mysqlPool.getConnection();
+  const outbox = [];
+  try {
+    let delegated = 0;
+    const [open] = await connection.execute(
+      `SELECT ${STEP_COLUMNS}, lr.employee_id AS applicant_id FROM leave_approval_steps s
+       JOIN leave_requests lr ON lr.id = s.leave_request_id AND lr.status = 'pending'
+       WHERE s.status = 'pending' AND s.approver_id IS NOT NULL AND s.delegated_from_id IS NULL`
+    );
+    for (const step of open) {
+      const approver = await findEmployeeById(connection, step.approver_id);
+      const delegate = approver ? await findDelegate(connection, approver, step.applicant_id) : null;
+      if (!delegate) continue;
+      await connection.execute(
+        `UPDATE leave_approval_steps SET delegated_from_id = approver_id, delegated_from_name = approver_name, approver_id = ?, approver_name = ?
+         WHERE id = ? AND status = 'pending'`,
+        [delegate.id, delegate.name, step.id]
+      );
+      await notifyApprover(connection, { ...step, approver_id: delegate.id }, 'Leave approval delegated to you', `On behalf of ${step.approver_name}: `, outbox);
+      delegated += 1;
+    }
+
+    const [overdue] = await connection.execute(
+      `SELECT ${STEP_COLUMNS} FROM leave_approval_steps s
+       JOIN leave_requests lr ON lr.id = s.leave_request_id AND lr.status = 'pending'
+       WHERE s.status = 'pending' AND s.escalate_at IS NOT NULL AND s.escalate_at <= NOW()`
+    );
+    let escalated = 0;
+    for (const step of overdue) {
+      if (await escalateStep(connection, step, outbox)) escalated += 1;
+    }
+    if (delegated || escalated) console.log(`⏫ Leave approvals: ${delegated} delegated, ${escalated} escalated`);
+    return { delegated, escalated, rowsAffected: delegated + escalated };
+  } finally {
+    connection.release();
+    // No transaction here: steps already moved are saved even if a later one fails, so their approvers are told
+    await sendNotifications(outbox);
+  }
+};
+
+// Steps per leave request, in order (escalations follow the step they replaced)
+const getApprovalSteps = async (db, leaveRequestIds) => {
+  const ids = [...new Set((leaveRequestIds || []).map(Number).filter(Boolean))];
+  const byLeave = new Map();
+  if (ids.length === 0) return byLeave;
+  const [rows] = await db.execute(
+    `SELECT ${STEP_COLUMNS} FROM leave_approval_steps s
+     WHERE s.leave_request_id IN (${ids.map(() => '?').join(', ')})
+     ORDER BY s.leave_request_id, s.step_order, s.id`,
+    ids
+  );
+  rows.forEach((row) => {
+    if (!byLeave.has(row.leave_request_id)) byLeave.set(row.leave_request_id, []);
+    byLeave.get(row.leave_request_id).push(row);
+  });
+  return byLeave;
+};
+
+// Add approval_steps to leave rows (rows need an id)
+const attachApprovalSteps = async (db, rows) => {
+  const steps = await getApprovalSteps(db, rows.map((r) => r.id));
+  return rows.map((r) => ({ ...r, approval_steps: steps.get(Number(r.id)) || [] }));
+};
+
+module.exports = {
+  APPROVER_TYPES,
+  normalizeChain,
+  getChains,
+  saveChainSteps,
+  startApprovalChain,
+  getActiveStep,
+  canActOnStep,
+  recordStepDecision,
+  closeOpenSteps,
+  sendNotifications,
+  runLeaveApprovalEscalations,
+  getApprovalSteps,
+  attachApprovalSteps,
+  STEP_COLUMNS
+};
@@ -1,84 +1,312 @@
-// Helper: get or create a leave_balances row for employee/month
-const getOrCreateLeaveBalance = async (connection, employeeId, year, month) => {
+// Monthly paid leave balances, derived from the append-only leave_ledger (db/migrations/023_leave_ledger.js).
+// Entry types: accrual, usage, uninformed_penalty, adjustment and reversal.
+// Entries are never updated or deleted: a correction is a reversal entry pointing at the entry it cancels.
+// leave_balances is only a cache of the derived figures so older reports keep working.
+// Monthly entries have no leave_type_id; entries with one belong to a type's balance (helpers/leaveTypes.js).
+const { getYearMonthFromDate } = require('./dates');
+
+// Leave type whose settings define the monthly paid quota (db/migrations/030_leave_ledger_types.js)
+const MONTHLY_QUOTA_CODE = 'monthly_paid';
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+const monthOf = (value) => {
+  if (value instanceof Date) return { year: value.getFullYear(), month: value.getMonth() + 1 };
+  return getYearMonthFromDate(value);
+};
+
+const nextMonth = ({ year, month }) => (month === 12 ? { year: year + 1, month: 1 } : { year, month: month + 1 });
+
+const postLedgerEntry = async (connection, {
+  employeeId, year, month, type, days, leaveTypeId = null, entryDate = null, leaveRequestId = null, reversesEntryId = null, actor = null, reason = null
+}) => {
+  const [result] = await connection.execute(
+    `INSERT INTO leave_ledger (employee_id, leave_type_id, year, month, entry_date, entry_type, days, leave_request_id, reverses_entry_id,
+       actor_id, actor_name, reason)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      employeeId,
+      leaveTypeId,
+      year,
+      month,
+      entryDate,
+      type,
+      round2(days),
+      leaveRequestId,
+      reversesEntryId,
+      actor && actor.id ? actor.id : null,
+      actor && actor.name ? actor.name : null,
+      reason ? String(reason).slice(0, 500) : null
+    ]
+  );
+  return result.insertId;
+};
+
+// Figures for one month; a reversal counts toward the type of the entry it reverses
+const deriveMonth = async (connection, employeeId, year, month) => {
   const [rows] = await connection.execute(
-    'SELECT * FROM leave_balances WHERE employee_id = ? AND year = ? AND month = ?',
+    `SELECT COALESCE(o.entry_type, l.entry_type) AS category, SUM(l.days) AS days
+     FROM leave_ledger l
+     LEFT JOIN leave_ledger o ON o.id = l.reverses_entry_id
+     WHERE l.employee_id = ? AND l.leave_type_id IS NULL AND l.year = ? AND l.month = ?
+     GROUP BY category`,
     [employeeId, year, month]
   );
-  if (rows.length > 0) return rows[0];
+  const sums = Object.fromEntries(rows.map((r) => [r.category, Number(r.days) || 0]));
+  const [uninformedRows] = await connection.execute(
+    `SELECT COALESCE(SUM(days_requested), 0) AS days FROM leave_requests
+     WHERE employee_id = ? AND is_uninformed = 1 AND status = 'approved' AND YEAR(start_date) = ? AND MONTH(start_date) = ?`,
+    [employeeId, year, month]
+  );
+  return {
+    accrued: round2(sums.accrual),
+    adjustments: round2(sums.adjustment),
+    paid_quota: round2((sums.accrual || 0) + (sums.adjustment || 0)),
+    paid_used: round2(-(sums.usage || 0)),
+    next_month_deduction: round2(-(sums.uninformed_penalty || 0)),
+    uninformed_leaves: round2(uninformedRows[0].days)
+  };
+};
+
+const refreshBalanceCache = async (connection, employeeId, year, month) => {
+  const derived = await deriveMonth(connection, employeeId, year, month);
+  await connection.execute(
+    `UPDATE leave_balances SET paid_quota = ?, paid_used = ?, uninformed_leaves = ?, next_month_deduction = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE employee_id = ? AND year = ? AND month = ?`,
+    [derived.paid_quota, derived.paid_used, derived.uninformed_leaves, derived.next_month_deduction, employeeId, year, month]
+  );
+  return derived;
+};
+
+// Days the monthly_paid leave type accrues each month; 0 when the type is missing, inactive or not monthly
+const getMonthlyQuota = async (connection) => {
+  const [rows] = await connection.execute(
+    `SELECT accrual_frequency, accrual_amount FROM leave_types
+     WHERE code = ? AND (status = 'Active' OR status IS NULL) LIMIT 1`,
+    [MONTHLY_QUOTA_CODE]
+  );
+  const type = rows[0];
+  return type && type.accrual_frequency === 'monthly' ? round2(type.accrual_amount) : 0;
+};
 
+// Helper: get the month's balance derived from the ledger, posting the month's accrual the first time it is seen.
+// Returns the leave_balances shape (paid_quota, paid_used, next_month_deduction, uninformed_leaves) plus accrued/adjustments.
+const getOrCreateLeaveBalance = async (connection, employeeId, year, month) => {
   await connection.execute(
-    'INSERT INTO leave_balances (employee_id, year, month) VALUES (?, ?, ?)',
+    'INSERT IGNORE INTO leave_balances (employee_id, year, month) VALUES (?, ?, ?)',
     [employeeId, year, month]
   );
-  const [rowsAfterInsert] = await connection.execute(
-    'SELECT * FROM leave_balances WHERE employee_id = ? AND year = ? AND month = ?',
+  const [rows] = await connection.execute(
+    'SELECT id FROM leave_balances WHERE employee_id = ? AND year = ? AND month = ?',
     [employeeId, year, month]
   );
-  return rowsAfterInsert[0];
+  const balanceId = rows[0].id;
+  // Only the caller that opens the month posts its accrual
+  const [opened] = await connection.execute(
+    'UPDATE leave_balances SET ledger_opened_at = NOW() WHERE id = ? AND ledger_opened_at IS NULL',
+    [balanceId]
+  );
+  if (opened.affectedRows > 0) {
+    const quota = await getMonthlyQuota(connection);
+    if (quota > 0) {
+      await postLedgerEntry(connection, { employeeId, year, month, type: 'accrual', days: quota, reason: 'Monthly paid leave quota' });
+    }
+  }
+  const derived = await refreshBalanceCache(connection, employeeId, year, month);
+  return { id: balanceId, employee_id: Number(employeeId), year, month, ...derived };
 };
 
-// Helper: allocate uninformed leave days into future months as deductions
-const allocateUninformedToFutureMonths = async (connection, employeeId, baseDateStr, daysToAllocate) => {
-  let remaining = daysToAllocate;
-  if (!remaining || remaining <= 0) return;
+// Paid quota of a month without opening it: the derived quota once the month is open, otherwise the quota its
+// accrual would post. Nothing is written, so months far ahead are not opened early.
+const getProjectedQuota = async (connection, employeeId, year, month) => {
+  const [rows] = await connection.execute(
+    'SELECT ledger_opened_at FROM leave_balances WHERE employee_id = ? AND year = ? AND month = ?',
+    [employeeId, year, month]
+  );
+  if (rows.length && rows[0].ledger_opened_at) return (await deriveMonth(connection, employeeId, year, month)).paid_quota;
+  return getMonthlyQuota(connection);
+};
 
-  const base = new Date(baseDateStr);
-  if (Number.isNaN(base.getTime())) return;
+// Record a paid leave against its start month's quota. Returns { isPaid: 0 } without an entry when the
+// leave does not fit the remaining quota.
+const recordPaidUsage = async (connection, { employeeId, leaveRequestId, startDate, days, actor = null, reason = null }) => {
+  const { year, month } = monthOf(startDate);
+  const balance = await getOrCreateLeaveBalance(connection, employeeId, year, month);
+  const effectiveQuota = Math.max(0, balance.paid_quota - balance.next_month_deduction);
+  const requested = Number(days) || 1;
+  if (balance.paid_used + requested > effectiveQuota) return { isPaid: 0 };
+  await postLedgerEntry(connection, {
+    employeeId,
+    year,
+    month,
+    type: 'usage',
+    days: -requested,
+    leaveRequestId,
+    actor,
+    reason: reason || `Paid leave #${leaveRequestId}`
+  });
+  await refreshBalanceCache(connection, employeeId, year, month);
+  return { isPaid: 1 };
+};
 
-  let year = base.getFullYear();
-  let month = base.getMonth() + 2;
+// Open entries: not a reversal and not yet reversed
+const OPEN_ENTRY_CLAUSE = `l.entry_type <> 'reversal'
+  AND NOT EXISTS (SELECT 1 FROM leave_ledger r WHERE r.reverses_entry_id = l.id)`;
+const ENTRY_COLUMNS = `l.id, l.employee_id, l.leave_type_id, l.year, l.month, DATE_FORMAT(l.entry_date, '%Y-%m-%d') AS entry_date,
+  l.days, l.leave_request_id`;
 
-  while (remaining > 0 && year < base.getFullYear() + 5) {
-    if (month > 12) {
-      month = 1;
-      year += 1;
-    }
-    const balance = await getOrCreateLeaveBalance(connection, employeeId, year, month);
-    const quota = balance.paid_quota || 2;
-    const alreadyDeducted = balance.next_month_deduction || 0;
-    const capacity = Math.max(0, quota - alreadyDeducted);
-    if (capacity > 0) {
-      const allocate = Math.min(remaining, capacity);
-      await connection.execute(
-        'UPDATE leave_balances SET next_month_deduction = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        [alreadyDeducted + allocate, balance.id]
-      );
-      remaining -= allocate;
-    }
-    month += 1;
+const reverseEntries = async (connection, entries, { actor = null, reason }) => {
+  const touched = new Map();
+  for (const entry of entries) {
+    await postLedgerEntry(connection, {
+      employeeId: entry.employee_id,
+      year: entry.year,
+      month: entry.month,
+      type: 'reversal',
+      days: -Number(entry.days),
+      leaveTypeId: entry.leave_type_id || null,
+      entryDate: entry.entry_date || null,
+      leaveRequestId: entry.leave_request_id,
+      reversesEntryId: entry.id,
+      actor,
+      reason
+    });
+    if (!entry.leave_type_id) touched.set(`${entry.employee_id}:${entry.year}:${entry.month}`, entry);
   }
+  for (const entry of touched.values()) {
+    await refreshBalanceCache(connection, entry.employee_id, entry.year, entry.month);
+  }
+  return entries.length;
 };
 
-// Helper: recompute cascading uninformed deductions for an employee
-const recalculateUninformedDeductionsForEmployee = async (connection, employeeId) => {
-  if (!employeeId) return;
-
-  await connection.execute(
-    'UPDATE leave_balances SET next_month_deduction = 0 WHERE employee_id = ?',
-    [employeeId]
+// Reverse every open entry of a leave (e.g. when a paid leave is cancelled); returns how many were reversed.
+// typedOnly limits it to the leave's per-type entries.
+const reverseLeaveEntries = async (connection, leaveRequestId, { actor = null, reason, typedOnly = false }) => {
+  const [entries] = await connection.execute(
+    `SELECT ${ENTRY_COLUMNS} FROM leave_ledger l
+     WHERE l.leave_request_id = ? AND ${OPEN_ENTRY_CLAUSE}${typedOnly ? ' AND l.leave_type_id IS NOT NULL' : ''}`,
+    [leaveRequestId]
   );
+  return reverseEntries(connection, entries, { actor, reason });
+};
+
+// Helper: bring uninformed penalties in line with the employee's approved uninformed leaves. Each leave's days
+// are deducted from the following months' quotas, oldest leave first, up to each month's quota. Only the
+// differences are written: penalties that no longer apply are reversed and missing ones posted. Months that are not
+// open yet get their penalty entries without being opened; the accrual is posted when the month is first used.
+const recalculateUninformedDeductionsForEmployee = async (connection, employeeId, { actor = null, reason = null } = {}) => {
+  if (!employeeId) return;
 
   const [uninformedRows] = await connection.execute(
     `
-      SELECT start_date, days_requested
+      SELECT id, DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date, days_requested
       FROM leave_requests
       WHERE employee_id = ?
         AND is_uninformed = 1
         AND status = 'approved'
-      ORDER BY start_date ASC
+      ORDER BY start_date ASC, id ASC
     `,
     [employeeId]
   );
 
+  const quotas = new Map(); // 'year:month' -> paid quota (projected for months not opened yet)
+  const planned = new Map(); // 'year:month' -> days already planned
+  const desired = new Map(); // 'leaveId:year:month' -> { leaveId, year, month, days, startDate }
   for (const row of uninformedRows) {
-    const days = Number(row.days_requested) || 0;
-    if (!days) continue;
-    await allocateUninformedToFutureMonths(connection, employeeId, row.start_date, days);
+    let remaining = Number(row.days_requested) || 0;
+    const base = monthOf(row.start_date);
+    let cursor = nextMonth(base);
+    while (remaining > 0 && cursor.year < base.year + 5) {
+      const monthKey = `${cursor.year}:${cursor.month}`;
+      if (!quotas.has(monthKey)) quotas.set(monthKey, await getProjectedQuota(connection, employeeId, cursor.year, cursor.month));
+      const already = planned.get(monthKey) || 0;
+      const capacity = Math.max(0, quotas.get(monthKey) - already);
+      if (capacity > 0) {
+        const allocate = Math.min(remaining, capacity);
+        planned.set(monthKey, already + allocate);
+        desired.set(`${row.id}:${monthKey}`, { leaveId: row.id, ...cursor, days: allocate, startDate: row.start_date });
+        remaining -= allocate;
+      }
+      cursor = nextMonth(cursor);
+    }
   }
+
+  const [openPenalties] = await connection.execute(
+    `SELECT ${ENTRY_COLUMNS} FROM leave_ledger l
+     WHERE l.employee_id = ? AND l.entry_type = 'uninformed_penalty' AND ${OPEN_ENTRY_CLAUSE}`,
+    [employeeId]
+  );
+  const current = new Map();
+  for (const entry of openPenalties) {
+    const key = `${entry.leave_request_id || 0}:${entry.year}:${entry.month}`;
+    if (!current.has(key)) current.set(key, []);
+    current.get(key).push(entry);
+  }
+
+  const toReverse = [];
+  const toPost = [];
+  for (const [key, entries] of current) {
+    const days = -entries.reduce((sum, e) => sum + Number(e.days), 0);
+    const wanted = desired.get(key);
+    if (wanted && Math.abs(wanted.days - days) < 0.005) continue;
+    toReverse.push(...entries);
+    if (wanted) toPost.push(wanted);
+  }
+  for (const [key, wanted] of desired) {
+    if (!current.has(key)) toPost.push(wanted);
+  }
+
+  await reverseEntries(connection, toReverse, { actor, reason: reason || 'Absentee deductions recalculated' });
+  for (const wanted of toPost) {
+    await postLedgerEntry(connection, {
+      employeeId,
+      year: wanted.year,
+      month: wanted.month,
+      type: 'uninformed_penalty',
+      days: -wanted.days,
+      leaveRequestId: wanted.leaveId,
+      actor,
+      reason: `Absentee on ${wanted.startDate} deducted from ${String(wanted.month).padStart(2, '0')}/${wanted.year}`
+    });
+    await refreshBalanceCache(connection, employeeId, wanted.year, wanted.month);
+  }
+};
+
+// Manual correction of a month's quota (positive adds paid days, negative removes them)
+const postLeaveAdjustment = async (connection, { employeeId, year, month, days, actor, reason }) => {
+  await getOrCreateLeaveBalance(connection, employeeId, year, month);
+  const id = await postLedgerEntry(connection, { employeeId, year, month, type: 'adjustment', days, actor, reason });
+  await refreshBalanceCache(connection, employeeId, year, month);
+  return id;
+};
+
+// Month statement: every entry in order with the running available balance (quota − deductions − usage)
+const getLedgerStatement = async (connection, employeeId, year, month) => {
+  const [rows] = await connection.execute(
+    `SELECT l.id, l.entry_type, COALESCE(o.entry_type, l.entry_type) AS category, l.days, l.leave_request_id,
+       l.reverses_entry_id, l.actor_id, l.actor_name, l.reason, CAST(l.created_at AS CHAR) AS created_at
+     FROM leave_ledger l
+     LEFT JOIN leave_ledger o ON o.id = l.reverses_entry_id
+     WHERE l.employee_id = ? AND l.leave_type_id IS NULL AND l.year = ? AND l.month = ?
+     ORDER BY l.created_at, l.id`,
+    [employeeId, year, month]
+  );
+  let running = 0;
+  const entries = rows.map((row) => {
+    running = round2(running + Number(row.days));
+    return { ...row, days: round2(row.days), balance: running };
+  });
+  return { year, month, entries, closing_balance: running };
 };
 
 module.exports = {
+  MONTHLY_QUOTA_CODE,
+  postLedgerEntry,
+  getMonthlyQuota,
   getOrCreateLeaveBalance,
-  allocateUninformedToFutureMonths,
-  recalculateUninformedDeductionsForEmployee
+  recordPaidUsage,
+  reverseLeaveEntries,
+  recalculateUninformedDeductionsForEmployee,
+  postLeaveAdjustment,
+  getLedgerStatement
 };
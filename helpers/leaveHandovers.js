@@ -0,0 +1,389 @@
+// Task handover while an employee is on leave (db/migrations/026_leave_task_handovers.js). The applicant picks a
+// cover for each recurring task due in the leave window and each open one-off task; covers are suggested from
+// the task's trained list. Once the leave is approved and starts, the cover replaces the applicant on the task's
+// assignees (task_assignees and the assigned_to display column) and on the occurrences due in the window; the day
+// after the leave ends the applicant is put back. Handover rows keep the window, so past dates can still be
+// attributed to the cover (getCoverageForDate).
+const { mysqlPool } = require('../config/database');
+const { createNotification } = require('./notifications');
+const { addDays, getZonedDateString } = require('./dates');
+const { parseRecurrence, isRecurrenceDueOn, getFrequencyLabel } = require('./recurrence');
+const { parseNameList } = require('./taskAssignees');
+
+// Recurring tasks are only checked for the first year of very long leaves
+const MAX_RANGE_DAYS = 366;
+
+const HANDOVER_COLUMNS = `h.id, h.leave_request_id, h.task_id, t.title AS task_title, h.from_employee_id, f.name AS from_name,
+  h.cover_employee_id, c.name AS cover_name, DATE_FORMAT(h.start_date, '%Y-%m-%d') AS start_date,
+  DATE_FORMAT(h.end_date, '%Y-%m-%d') AS end_date, h.status, h.from_sort_order, h.cover_added, h.applied_at, h.reverted_at, h.note`;
+
+const HANDOVER_FROM = `leave_task_handovers h
+  LEFT JOIN tasks t ON t.id = h.task_id
+  LEFT JOIN employees f ON f.id = h.from_employee_id
+  LEFT JOIN employees c ON c.id = h.cover_employee_id`;
+
+const listDates = (startDate, endDate) => {
+  const dates = [];
+  for (let date = startDate; date <= endDate && dates.length < MAX_RANGE_DAYS; date = addDays(date, 1)) dates.push(date);
+  return dates;
+};
+
+const sameName = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+// Employees with a pending or approved leave overlapping the range
+const loadOnLeave = async (db, startDate, endDate) => {
+  const [rows] = await db.execute(
+    `SELECT DISTINCT employee_id FROM leave_requests
+     WHERE employee_id <> 0 AND status IN ('pending','approved') AND start_date <= ? AND end_date >= ?`,
+    [endDate, startDate]
+  );
+  return new Set(rows.map((r) => r.employee_id));
+};
+
+// Tasks of the applicant that need a cover for the range, with cover candidates:
+// { tasks: [{ task_id, title, frequency, due_dates, due_date, trained, suggested_cover_id }], colleagues }
+const getHandoverSuggestions = async (db, { employeeId, startDate, endDate }) => {
+  const [empRows] = await db.execute('SELECT id, department FROM employees WHERE id = ?', [employeeId]);
+  if (empRows.length === 0) return { tasks: [], colleagues: [] };
+  const [taskRows] = await db.execute(
+    `SELECT t.id, t.title, t.status, t.recurrence, t.recurrence_frequency, DATE_FORMAT(t.due_date, '%Y-%m-%d') AS due_date
+     FROM tasks t
+     JOIN task_assignees ta ON ta.task_id = t.id AND ta.role = 'assignee' AND ta.employee_id = ?
+     WHERE t.recurrence_frequency IS NOT NULL OR t.status <> 'Completed'
+     ORDER BY t.recurrence_frequency IS NULL, t.title`,
+    [employeeId]
+  );
+
+  const dates = listDates(startDate, endDate || startDate);
+  const tasks = [];
+  for (const row of taskRows) {
+    const rule = row.recurrence_frequency ? parseRecurrence(row.recurrence) : null;
+    if (row.recurrence_frequency) {
+      const dueDates = rule ? dates.filter((date) => isRecurrenceDueOn(rule, date)) : [];
+      if (dueDates.length === 0) continue;
+      tasks.push({ task_id: row.id, title: row.title, frequency: getFrequencyLabel(rule), due_dates: dueDates, due_date: null });
+    } else if (!row.due_date || row.due_date <= dates[dates.length - 1]) {
+      // Open one-off tasks: those without a due date or due by the end of the leave
+      tasks.push({ task_id: row.id, title: row.title, frequency: null, due_dates: [], due_date: row.due_date });
+    }
+  }
+
+  const onLeave = await loadOnLeave(db, startDate, endDate || startDate);
+  const [colleagueRows] = empRows[0].department
+    ? await db.execute(
+      `SELECT id, name FROM employees WHERE status = 'Active' AND department = ? AND id <> ? ORDER BY name`,
+      [empRows[0].department, employeeId]
+    )
+    : [[]];
+  const colleagues = colleagueRows.map((e) => ({ id: e.id, name: e.name, on_leave: onLeave.has(e.id) }));
+  if (tasks.length === 0) return { tasks, colleagues };
+
+  const [trainedRows] = await db.query(
+    `SELECT ta.task_id, e.id, e.name FROM task_assignees ta
+     JOIN employees e ON e.id = ta.employee_id AND e.status = 'Active'
+     WHERE ta.role = 'trained' AND ta.task_id IN (?) AND ta.employee_id <> ?
+     ORDER BY ta.task_id, ta.sort_order`,
+    [tasks.map((t) => t.task_id), employeeId]
+  );
+  // Spread suggestions: the trained person not on leave with the fewest tasks suggested so far
+  const load = new Map();
+  for (const task of tasks) {
+    task.trained = trainedRows
+      .filter((r) => r.task_id === task.task_id)
+      .map((r) => ({ id: r.id, name: r.name, on_leave: onLeave.has(r.id) }));
+    const available = task.trained.filter((p) => !p.on_leave);
+    const pick = available.reduce((best, p) => (!best || (load.get(p.id) || 0) < (load.get(best.id) || 0) ? p : best), null);
+    task.suggested_cover_id = pick ? pick.id : null;
+    if (pick) load.set(pick.id, (load.get(pick.id) || 0) + 1);
+  }
+  return { tasks, colleagues };
+};
+
+// Validate a plan [{ task_id, cover_employee_id }]; entries without a cover are dropped. Returns { entries } or { error }
+const normalizeHandoverPlan = async (db, { employeeId, startDate, endDate, plan }) => {
+  if (plan == null || plan === '') return { entries: [] };
+  if (!Array.isArray(plan)) return { error: 'handover must be a list of { task_id, cover_employee_id }' };
+  const picked = plan.filter((p) => p && p.cover_employee_id != null && p.cover_employee_id !== '');
+  if (picked.length === 0) return { entries: [] };
+
+  const { tasks } = await getHandoverSuggestions(db, { employeeId, startDate, endDate });
+  const eligible = new Set(tasks.map((t) => t.task_id));
+  const entries = [];
+  const seen = new Set();
+  for (const p of picked) {
+    const taskId = Number(p.task_id);
+    const coverId = Number(p.cover_employee_id);
+    if (!eligible.has(taskId)) return { error: `Task #${p.task_id} is not one of your tasks due during this leave` };
+    if (!Number.isInteger(coverId) || coverId === Number(employeeId)) return { error: 'Choose someone else to cover your tasks' };
+    if (seen.has(taskId)) continue;
+    seen.add(taskId);
+    entries.push({ task_id: taskId, cover_employee_id: coverId });
+  }
+  const [covers] = await db.query(
+    `SELECT id FROM employees WHERE status = 'Active' AND id IN (?)`,
+    [[...new Set(entries.map((e) => e.cover_employee_id))]]
+  );
+  const active = new Set(covers.map((c) => c.id));
+  if (entries.some((e) => !active.has(e.cover_employee_id))) return { error: 'Task covers must be active employees' };
+  return { entries };
+};
+
+const saveHandoverPlan = async (db, { leaveId, employeeId, startDate, endDate, entries }) => {
+  if (!entries.length) return;
+  await db.query(
+    'INSERT INTO leave_task_handovers (leave_request_id, task_id, from_employee_id, cover_employee_id, start_date, end_date) VALUES ?',
+    [entries.map((e) => [leaveId, e.task_id, employeeId, e.cover_employee_id, startDate, endDate || startDate])]
+  );
+};
+
+const getHandoverRows = async (db, where, params) => {
+  const [rows] = await db.execute(`SELECT ${HANDOVER_COLUMNS} FROM ${HANDOVER_FROM} WHERE ${where} ORDER BY h.id`, params);
+  return rows;
+};
+
+// Map<leave_request_id, handovers[]>
+const getLeaveHandovers = async (db, leaveIds) => {
+  const result = new Map();
+  if (!leaveIds.length) return result;
+  const [rows] = await db.query(
+    `SELECT ${HANDOVER_COLUMNS} FROM ${HANDOVER_FROM} WHERE h.leave_request_id IN (?) ORDER BY h.leave_request_id, h.id`,
+    [leaveIds]
+  );
+  for (const row of rows) {
+    if (!result.has(row.leave_request_id)) result.set(row.leave_request_id, []);
+    result.get(row.leave_request_id).push(row);
+  }
+  return result;
+};
+
+const setAssignedTo = async (db, taskId, names) => {
+  await db.execute('UPDATE tasks SET assigned_to = ?, updated_at = updated_at WHERE id = ?', [names.length ? names.join(', ') : null, taskId]);
+};
+
+// Occurrences due in the window (not yet completed) follow the task's current assignees and point at the handover
+const tagOccurrences = async (db, h) => {
+  await db.execute(
+    `UPDATE task_occurrences o JOIN tasks t ON t.id = o.task_id
+     SET o.assigned_to = t.assigned_to, o.handover_id = ?
+     WHERE o.task_id = ? AND o.due_date BETWEEN ? AND ? AND o.completed_at IS NULL`,
+    [h.id, h.task_id, h.start_date, h.end_date]
+  );
+};
+
+// Put the cover on the task in place of the applicant
+const applyHandover = async (db, h) => {
+  const [assignees] = await db.execute(
+    "SELECT employee_id, sort_order FROM task_assignees WHERE task_id = ? AND role = 'assignee'",
+    [h.task_id]
+  );
+  const from = assignees.find((a) => a.employee_id === h.from_employee_id);
+  if (!from) {
+    await db.execute(
+      "UPDATE leave_task_handovers SET status = 'skipped', note = ? WHERE id = ?",
+      ['No longer assigned to the task when the leave started', h.id]
+    );
+    return false;
+  }
+  const coverPresent = assignees.some((a) => a.employee_id === h.cover_employee_id);
+  await db.execute(
+    "DELETE FROM task_assignees WHERE task_id = ? AND role = 'assignee' AND employee_id = ?",
+    [h.task_id, h.from_employee_id]
+  );
+  if (!coverPresent) {
+    await db.execute(
+      "INSERT INTO task_assignees (task_id, employee_id, role, sort_order) VALUES (?, ?, 'assignee', ?)",
+      [h.task_id, h.cover_employee_id, from.sort_order]
+    );
+  }
+
+  const [tasks] = await db.execute('SELECT assigned_to FROM tasks WHERE id = ?', [h.task_id]);
+  const names = parseNameList(tasks[0] && tasks[0].assigned_to);
+  const index = names.findIndex((n) => sameName(n, h.from_name));
+  if (index >= 0 && coverPresent) names.splice(index, 1);
+  else if (index >= 0) names[index] = h.cover_name;
+  else if (!coverPresent && !names.some((n) => sameName(n, h.cover_name))) names.push(h.cover_name);
+  await setAssignedTo(db, h.task_id, names);
+
+  await db.execute(
+    "UPDATE leave_task_handovers SET status = 'active', from_sort_order = ?, cover_added = ?, applied_at = NOW() WHERE id = ?",
+    [from.sort_order, coverPresent ? 0 : 1, h.id]
+  );
+  await tagOccurrences(db, h);
+  return true;
+};
+
+// Give the task back to the applicant; occurrences due from fromDate on are theirs again. A handover reverted
+// before its end (leave cancelled or moved) keeps only the dates it actually covered.
+const revertHandover = async (db, h, fromDate) => {
+  const [assignees] = await db.execute(
+    "SELECT employee_id FROM task_assignees WHERE task_id = ? AND role = 'assignee'",
+    [h.task_id]
+  );
+  const [tasks] = await db.execute('SELECT assigned_to FROM tasks WHERE id = ?', [h.task_id]);
+  if (tasks.length > 0) {
+    if (h.cover_added) {
+      await db.execute(
+        "DELETE FROM task_assignees WHERE task_id = ? AND role = 'assignee' AND employee_id = ?",
+        [h.task_id, h.cover_employee_id]
+      );
+    }
+    if (!assignees.some((a) => a.employee_id === h.from_employee_id)) {
+      await db.execute(
+        "INSERT INTO task_assignees (task_id, employee_id, role, sort_order) VALUES (?, ?, 'assignee', ?)",
+        [h.task_id, h.from_employee_id, h.from_sort_order || 0]
+      );
+    }
+    let names = parseNameList(tasks[0].assigned_to);
+    if (h.cover_added) names = names.filter((n) => !sameName(n, h.cover_name));
+    if (h.from_name && !names.some((n) => sameName(n, h.from_name))) names.splice(Math.min(h.from_sort_order || 0, names.length), 0, h.from_name);
+    await setAssignedTo(db, h.task_id, names);
+    await db.execute(
+      `UPDATE task_occurrences o JOIN tasks t ON t.id = o.task_id
+       SET o.assigned_to = t.assigned_to, o.handover_id = NULL
+       WHERE o.task_id = ? AND o.due_date >= ? AND o.completed_at IS NULL AND (o.handover_id IS NULL OR o.handover_id = ?)`,
+      [h.task_id, fromDate, h.id]
+    );
+  }
+
+  const coveredUntil = addDays(fromDate, -1);
+  if (coveredUntil < h.start_date) {
+    await db.execute("UPDATE leave_task_handovers SET status = 'cancelled', reverted_at = NOW() WHERE id = ?", [h.id]);
+  } else {
+    await db.execute(
+      "UPDATE leave_task_handovers SET status = 'reverted', reverted_at = NOW(), end_date = LEAST(end_date, ?) WHERE id = ?",
+      [coveredUntil, h.id]
+    );
+  }
+};
+
+// Apply handovers whose leave has started, revert those whose leave is over and keep the occurrences of active
+// ones pointed at the cover (occurrences are created daily). Optionally limited to one leave.
+const runDueHandovers = async (db, date, { leaveId = null } = {}) => {
+  const scope = leaveId ? ' AND h.leave_request_id = ?' : '';
+  const scopeParams = leaveId ? [leaveId] : [];
+  let applied = 0;
+  let reverted = 0;
+  let skipped = 0;
+
+  for (const h of await getHandoverRows(db, `h.status = 'active' AND h.end_date < ?${scope}`, [date, ...scopeParams])) {
+    await revertHandover(db, h, addDays(h.end_date, 1));
+    reverted += 1;
+  }
+  const [expired] = await db.execute(
+    `UPDATE leave_task_handovers h SET status = 'skipped', note = 'Leave ended before the handover was applied'
+     WHERE h.status = 'scheduled' AND h.end_date < ?${scope}`,
+    [date, ...scopeParams]
+  );
+  skipped += expired.affectedRows;
+  for (const h of await getHandoverRows(db, `h.status = 'scheduled' AND h.start_date <= ? AND h.end_date >= ?${scope}`, [date, date, ...scopeParams])) {
+    if (await applyHandover(db, h)) applied += 1;
+    else skipped += 1;
+  }
+  for (const h of await getHandoverRows(db, `h.status = 'active' AND h.start_date <= ? AND h.end_date >= ?${scope}`, [date, date, ...scopeParams])) {
+    await tagOccurrences(db, h);
+  }
+  return { applied, reverted, skipped };
+};
+
+// The leave was approved: schedule its plan, tell each cover, and apply it right away if the leave has started
+const scheduleLeaveHandovers = async (db, leaveId) => {
+  const [result] = await db.execute(
+    "UPDATE leave_task_handovers SET status = 'scheduled' WHERE leave_request_id = ? AND status = 'planned'",
+    [leaveId]
+  );
+  if (result.affectedRows === 0) return;
+  const rows = await getHandoverRows(db, "h.leave_request_id = ? AND h.status = 'scheduled'", [leaveId]);
+  const byCover = new Map();
+  for (const h of rows) {
+    if (!byCover.has(h.cover_employee_id)) byCover.set(h.cover_employee_id, []);
+    byCover.get(h.cover_employee_id).push(h);
+  }
+  for (const [coverId, list] of byCover) {
+    const { from_name: fromName, start_date: start, end_date: end } = list[0];
+    const range = start === end ? start : `${start} to ${end}`;
+    await createNotification(
+      coverId, null, 'task_handover', 'Tasks handed over to you',
+      `${fromName || 'A colleague'} is on leave (${range}). You cover: ${list.map((h) => h.task_title || `Task #${h.task_id}`).join(', ')}.`
+    );
+  }
+  await runDueHandovers(db, getZonedDateString(0), { leaveId });
+};
+
+// The leave was rejected, cancelled or deleted: drop the plan and give back tasks already handed over
+const cancelLeaveHandovers = async (db, leaveId, { note = null } = {}) => {
+  const today = getZonedDateString(0);
+  for (const h of await getHandoverRows(db, "h.leave_request_id = ? AND h.status = 'active'", [leaveId])) {
+    await revertHandover(db, h, today > h.start_date ? today : h.start_date);
+  }
+  await db.execute(
+    "UPDATE leave_task_handovers SET status = 'cancelled', note = COALESCE(?, note) WHERE leave_request_id = ? AND status IN ('planned', 'scheduled')",
+    [note, leaveId]
+  );
+};
+
+// The leave's dates changed: give back tasks already handed over and plan again for the new dates
+const moveLeaveHandovers = async (db, leaveId, { startDate, endDate, approved }) => {
+  const today = getZonedDateString(0);
+  const active = await getHandoverRows(db, "h.leave_request_id = ? AND h.status = 'active'", [leaveId]);
+  for (const h of active) {
+    await revertHandover(db, h, today > h.start_date ? today : h.start_date);
+  }
+  const ids = active.map((h) => h.id);
+  await db.query(
+    `UPDATE leave_task_handovers SET status = ?, start_date = ?, end_date = ?, applied_at = NULL, reverted_at = NULL, from_sort_order = NULL, cover_added = 0
+     WHERE leave_request_id = ? AND (status IN ('planned', 'scheduled')${ids.length ? ' OR id IN (?)' : ''})`,
+    [approved ? 'scheduled' : 'planned', startDate, endDate, leaveId, ...(ids.length ? [ids] : [])]
+  );
+  if (approved) await runDueHandovers(db, today, { leaveId });
+};
+
+// Map<task_id, [{ from_employee_id, from_name, cover_employee_id, cover_name }]> of handovers covering the date
+const getCoverageForDate = async (db, date) => {
+  const rows = await getHandoverRows(
+    db, "h.status IN ('active', 'reverted') AND h.start_date <= ? AND h.end_date >= ?", [date, date]
+  );
+  const result = new Map();
+  for (const h of rows) {
+    if (!result.has(h.task_id)) result.set(h.task_id, []);
+    result.get(h.task_id).push(h);
+  }
+  return result;
+};
+
+// Same for the handovers in effect now
+const getActiveCoverage = async (db) => getCoverageForDate(db, getZonedDateString(0));
+
+// "A, B" assignee names with the covered employees swapped for their covers
+const applyCoverageToNames = (assignedTo, covers = []) => {
+  let names = parseNameList(assignedTo);
+  for (const h of covers) {
+    names = names.filter((n) => !sameName(n, h.from_name));
+    if (h.cover_name && !names.some((n) => sameName(n, h.cover_name))) names.push(h.cover_name);
+  }
+  return names.join(', ');
+};
+
+// Scheduled: see runDueHandovers
+const runTaskHandovers = async (date = getZonedDateString(0)) => {
+  const connection = await mysqlPool.getConnection();
+  try {
+    const result = await runDueHandovers(connection, date);
+    return { date, ...result, rowsAffected: result.applied + result.reverted };
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = {
+  getHandoverSuggestions,
+  normalizeHandoverPlan,
+  saveHandoverPlan,
+  getLeaveHandovers,
+  scheduleLeaveHandovers,
+  cancelLeaveHandovers,
+  moveLeaveHandovers,
+  getCoverageForDate,
+  getActiveCoverage,
+  applyCoverageToNames,
+  runTaskHandovers
+};
@@ -0,0 +1,253 @@
+// Leave conflict rules (db/migrations/025_leave_conflict_rules.js). A rule applies to a request when its
+// department, designation and leave type scope match the applicant (NULL matches everyone). Rule types:
+//   max_off_per_day    { max }            at most max people (of the rule's designation, if set) off per day in a department
+//   min_present        { designation, min } at least min people with that designation present per day in a department
+//   month_end_blackout { days }           no leave in the last N days of a month
+//   min_notice         { days }           apply at least N days before the leave starts
+// Department restricted weekdays (department_restricted_days) are checked as a built-in hard rule.
+// Violations: [{ rule_id, name, rule_type, severity, message, dates }]. Dates are YYYY-MM-DD strings.
+const { addDays, getDayOfWeek, getZonedDateString } = require('./dates');
+
+const RULE_TYPES = {
+  max_off_per_day: 'Max people off on the same day',
+  min_present: 'Minimum people present by designation',
+  month_end_blackout: 'No leave near month end',
+  min_notice: 'Minimum notice days'
+};
+
+const SEVERITIES = ['hard', 'soft'];
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Ranges longer than this are only checked for their first year
+const MAX_RANGE_DAYS = 366;
+
+const parseParams = (value) => {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+  try { return JSON.parse(value); } catch (e) { return {}; }
+};
+
+const toNullableInt = (value) => (value === '' || value == null ? null : Number(value));
+
+const isPositiveInt = (n, min = 1) => Number.isInteger(n) && n >= min;
+
+// Validate a rule body; returns { error } or { values }
+const normalizeRule = (body = {}) => {
+  const name = (body.name || '').toString().trim();
+  if (!name) return { error: 'name is required' };
+  if (!RULE_TYPES[body.rule_type]) return { error: `rule_type must be one of ${Object.keys(RULE_TYPES).join(', ')}` };
+  const severity = body.severity || 'hard';
+  if (!SEVERITIES.includes(severity)) return { error: "severity must be 'hard' or 'soft'" };
+
+  const raw = parseParams(body.params);
+  let params;
+  if (body.rule_type === 'max_off_per_day') {
+    const max = Number(raw.max);
+    if (!isPositiveInt(max, 0)) return { error: 'params.max must be a whole number of 0 or more' };
+    params = { max };
+  } else if (body.rule_type === 'min_present') {
+    const designation = (raw.designation || '').toString().trim();
+    const min = Number(raw.min ?? 1);
+    if (!designation) return { error: 'params.designation is required' };
+    if (!isPositiveInt(min)) return { error: 'params.min must be a positive whole number' };
+    params = { designation, min };
+  } else {
+    const days = Number(raw.days);
+    if (!isPositiveInt(days)) return { error: 'params.days must be a positive whole number' };
+    if (body.rule_type === 'month_end_blackout' && days > 15) return { error: 'params.days can be at most 15 for month_end_blackout' };
+    params = { days };
+  }
+
+  const values = {
+    name: name.slice(0, 150),
+    rule_type: body.rule_type,
+    severity,
+    department_id: toNullableInt(body.department_id),
+    designation: body.designation ? String(body.designation).trim().slice(0, 255) || null : null,
+    leave_type_id: toNullableInt(body.leave_type_id),
+    params: JSON.stringify(params),
+    message: body.message ? String(body.message).trim().slice(0, 500) || null : null,
+    is_active: body.is_active === false || body.is_active === 0 || body.is_active === '0' ? 0 : 1
+  };
+  for (const key of ['department_id', 'leave_type_id']) {
+    if (values[key] != null && !isPositiveInt(values[key])) return { error: `${key} must be a positive whole number` };
+  }
+  return { values };
+};
+
+const formatRuleRow = (row) => ({ ...row, params: parseParams(row.params), is_active: !!row.is_active });
+
+const getRules = async (db, { includeInactive = false } = {}) => {
+  const [rows] = await db.execute(
+    `SELECT r.id, r.name, r.rule_type, r.severity, r.department_id, d.name AS department_name, r.designation,
+       r.leave_type_id, t.name AS leave_type_name, r.params, r.message, r.is_active
+     FROM leave_conflict_rules r
+     LEFT JOIN departments d ON d.id = r.department_id
+     LEFT JOIN leave_types t ON t.id = r.leave_type_id
+     ${includeInactive ? '' : 'WHERE r.is_active = 1'}
+     ORDER BY r.is_active DESC, r.severity, r.name`
+  );
+  return rows.map(formatRuleRow);
+};
+
+const getRule = async (db, id) => {
+  const rules = await getRules(db, { includeInactive: true });
+  return rules.find((r) => r.id === Number(id)) || null;
+};
+
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+const ruleApplies = (rule, applicant) =>
+  (rule.department_id == null || rule.department_id === applicant.department_id) &&
+  (!rule.designation || sameText(rule.designation, applicant.designation)) &&
+  (rule.leave_type_id == null || rule.leave_type_id === applicant.leave_type_id);
+
+const listDates = (startDate, endDate) => {
+  const dates = [];
+  for (let date = startDate; date <= endDate && dates.length < MAX_RANGE_DAYS; date = addDays(date, 1)) dates.push(date);
+  return dates;
+};
+
+const daysBetween = (from, to) =>
+  Math.round((new Date(`${to}T00:00:00.000Z`) - new Date(`${from}T00:00:00.000Z`)) / 86400000);
+
+const formatDates = (dates) => (dates.length > 3 ? `${dates.slice(0, 3).join(', ')} and ${dates.length - 3} more` : dates.join(', '));
+
+// Employees (other than the applicant) off on each date: Map<date, Set<employee_id>>
+const loadOffByDate = async (db, { departmentId, designation, startDate, endDate, employeeId, excludeLeaveId }) => {
+  const params = [departmentId, endDate, startDate, employeeId, excludeLeaveId || 0];
+  let designationClause = '';
+  if (designation) {
+    designationClause = ' AND LOWER(TRIM(e.designation)) = LOWER(TRIM(?))';
+    params.push(designation);
+  }
+  const [rows] = await db.execute(
+    `SELECT lr.employee_id, DATE_FORMAT(lr.start_date, '%Y-%m-%d') AS start_date, DATE_FORMAT(lr.end_date, '%Y-%m-%d') AS end_date
+     FROM leave_requests lr
+     JOIN employees e ON e.id = lr.employee_id
+     WHERE lr.department_id = ? AND lr.status IN ('pending','approved')
+       AND lr.start_date <= ? AND lr.end_date >= ? AND lr.employee_id <> ? AND lr.id <> ?${designationClause}`,
+    params
+  );
+  const byDate = new Map();
+  for (const date of listDates(startDate, endDate)) {
+    byDate.set(date, new Set(rows.filter((r) => r.start_date <= date && r.end_date >= date).map((r) => r.employee_id)));
+  }
+  return byDate;
+};
+
+const checkRule = async (db, rule, ctx) => {
+  const params = rule.params;
+  const dates = listDates(ctx.startDate, ctx.endDate);
+
+  if (rule.rule_type === 'max_off_per_day') {
+    if (!ctx.departmentId) return null;
+    const offByDate = await loadOffByDate(db, { ...ctx, designation: rule.designation });
+    const hits = dates.filter((date) => offByDate.get(date).size + 1 > params.max);
+    return hits.length
+      ? { dates: hits, text: `At most ${params.max} ${rule.designation || 'people'} from the department can be off on the same day (${formatDates(hits)})` }
+      : null;
+  }
+
+  if (rule.rule_type === 'min_present') {
+    // Only someone with that designation taking leave can leave too few of them present
+    if (!ctx.departmentName || !sameText(ctx.designation, params.designation)) return null;
+    const [[{ total }]] = await db.execute(
+      `SELECT COUNT(*) AS total FROM employees
+       WHERE status = 'Active' AND department = ? AND LOWER(TRIM(designation)) = LOWER(TRIM(?))`,
+      [ctx.departmentName, params.designation]
+    );
+    const offByDate = await loadOffByDate(db, { ...ctx, designation: params.designation });
+    const hits = dates.filter((date) => Number(total) - offByDate.get(date).size - 1 < params.min);
+    return hits.length
+      ? { dates: hits, text: `At least ${params.min} ${params.designation} must be present in the department (${formatDates(hits)})` }
+      : null;
+  }
+
+  if (rule.rule_type === 'month_end_blackout') {
+    const hits = dates.filter((date) => {
+      const [y, m, d] = date.split('-').map(Number);
+      const lastDay = new Date(Date.UTC(y, m, 0)).getUTCDate();
+      return d > lastDay - params.days;
+    });
+    return hits.length ? { dates: hits, text: `No leave in the last ${params.days} day(s) of the month (${formatDates(hits)})` } : null;
+  }
+
+  if (rule.rule_type === 'min_notice') {
+    const notice = daysBetween(ctx.appliedOn, ctx.startDate);
+    return notice < params.days
+      ? { dates: [ctx.startDate], text: `Apply at least ${params.days} day(s) before the leave starts (given ${Math.max(0, notice)})` }
+      : null;
+  }
+  return null;
+};
+
+// Check a leave (applied or pending) against the active rules and the department's restricted weekdays.
+// appliedOn is the application date for min_notice (today for new requests); excludeLeaveId skips the request itself.
+const evaluateLeaveRules = async (db, { employeeId, departmentId = null, leaveTypeId = null, startDate, endDate, appliedOn, excludeLeaveId = null }) => {
+  const [empRows] = await db.execute('SELECT id, department, designation FROM employees WHERE id = ?', [employeeId]);
+  if (empRows.length === 0 || !startDate) return [];
+  let deptId = departmentId ? Number(departmentId) : null;
+  if (!deptId && empRows[0].department) {
+    const [dRows] = await db.execute('SELECT id FROM departments WHERE name = ? LIMIT 1', [empRows[0].department]);
+    deptId = dRows.length ? dRows[0].id : null;
+  }
+  const ctx = {
+    employeeId: Number(employeeId),
+    departmentId: deptId,
+    departmentName: empRows[0].department || null,
+    designation: empRows[0].designation || null,
+    leave_type_id: leaveTypeId ? Number(leaveTypeId) : null,
+    startDate,
+    endDate: endDate || startDate,
+    appliedOn: appliedOn || getZonedDateString(0),
+    excludeLeaveId
+  };
+  const applicant = { department_id: ctx.departmentId, designation: ctx.designation, leave_type_id: ctx.leave_type_id };
+
+  const violations = [];
+  for (const rule of await getRules(db)) {
+    if (!ruleApplies(rule, applicant)) continue;
+    const hit = await checkRule(db, rule, ctx);
+    if (hit) {
+      violations.push({
+        rule_id: rule.id,
+        name: rule.name,
+        rule_type: rule.rule_type,
+        severity: rule.severity,
+        message: rule.message || hit.text,
+        dates: hit.dates
+      });
+    }
+  }
+
+  if (ctx.departmentId) {
+    const [restricted] = await db.execute('SELECT day_of_week FROM department_restricted_days WHERE department_id = ?', [ctx.departmentId]);
+    const weekdays = new Set(restricted.map((r) => Number(r.day_of_week)));
+    const hits = weekdays.size ? listDates(ctx.startDate, ctx.endDate).filter((date) => weekdays.has(getDayOfWeek(date))) : [];
+    if (hits.length) {
+      violations.push({
+        rule_id: null,
+        name: 'Department restricted weekday',
+        rule_type: 'restricted_weekday',
+        severity: 'hard',
+        message: `Leave is not allowed on ${[...new Set(hits.map((d) => WEEKDAY_NAMES[getDayOfWeek(d)]))].join(', ')} in this department (${formatDates(hits)})`,
+        dates: hits
+      });
+    }
+  }
+  return violations;
+};
+
+const hardViolations = (violations) => violations.filter((v) => v.severity === 'hard');
+
+module.exports = {
+  RULE_TYPES,
+  SEVERITIES,
+  normalizeRule,
+  getRules,
+  getRule,
+  evaluateLeaveRules,
+  hardViolations
+};
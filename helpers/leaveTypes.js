@@ -0,0 +1,403 @@
+// Leave type rules and per-type balances (db/migrations/022_leave_type_rules.js, 030_leave_ledger_types.js).
+// A type accrues accrual_amount days at the start of every month/quarter/year once the employee is eligible
+// (joining date, or probation end for eligible_after_probation types), capped at max_balance. Types without
+// accrual grant max_days_per_year up front; types with neither are not balance-tracked (e.g. unpaid leave)
+// and leave the monthly paid quota (helpers/leaveBalance.js) in charge, as does the monthly_paid type whose
+// accrual sets that quota. On the first balance of a year, the previous year's closing balance carries
+// forward up to carry_forward_cap and expires after carry_forward_expiry_months.
+// Balances are sums of the type's leave_ledger entries: carry_forward, accrual, usage, expiry and reversals.
+// Accruals and expiries are posted once their date is reached; usage is posted when a leave is approved.
+const { MONTHLY_QUOTA_CODE, postLedgerEntry, reverseLeaveEntries } = require('./leaveBalance');
+
+const ACCRUAL_FREQUENCIES = ['none', 'monthly', 'quarterly', 'yearly'];
+const PERIOD_MONTHS = { monthly: 1, quarterly: 3, yearly: 12 };
+
+const TYPE_COLUMNS = `id, name, code, description, max_days_per_year, max_consecutive_days, requires_approval, is_paid, color, status,
+  accrual_frequency, accrual_amount, max_balance, carry_forward_cap, carry_forward_expiry_months, eligible_after_probation,
+  requires_attachment`;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const pad = (n) => String(n).padStart(2, '0');
+const toDateOnly = (d) => {
+  if (!d) return null;
+  if (typeof d === 'string') return d.slice(0, 10);
+  if (typeof d.toISOString === 'function') return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  return String(d).slice(0, 10);
+};
+const addMonths = (dateStr, months) => {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const total = y * 12 + (m - 1) + months;
+  return `${Math.floor(total / 12)}-${pad((total % 12) + 1)}-${pad(d)}`;
+};
+
+const tracksBalance = (type) =>
+  !!type && type.code !== MONTHLY_QUOTA_CODE &&
+  ((type.accrual_frequency && type.accrual_frequency !== 'none') || type.max_days_per_year != null);
+
+const isTruthy = (value) => value === true || value === 1 || value === '1' || value === 'true';
+const toNullableNumber = (value) => (value === '' || value == null ? null : Number(value));
+
+// Validate and normalize an admin create/update body; returns { error } or { values }
+const normalizeLeaveType = (body = {}) => {
+  const name = (body.name || '').toString().trim();
+  if (!name) return { error: 'name is required' };
+  const frequency = body.accrual_frequency || 'none';
+  if (!ACCRUAL_FREQUENCIES.includes(frequency)) return { error: `accrual_frequency must be one of ${ACCRUAL_FREQUENCIES.join(', ')}` };
+  const numbers = {
+    accrual_amount: toNullableNumber(body.accrual_amount) ?? 0,
+    max_balance: toNullableNumber(body.max_balance),
+    carry_forward_cap: toNullableNumber(body.carry_forward_cap) ?? 0,
+    carry_forward_expiry_months: toNullableNumber(body.carry_forward_expiry_months),
+    max_days_per_year: toNullableNumber(body.max_days_per_year),
+    max_consecutive_days: toNullableNumber(body.max_consecutive_days)
+  };
+  for (const [key, value] of Object.entries(numbers)) {
+    if (value != null && (!Number.isFinite(value) || value < 0)) return { error: `${key} must be a non-negative number` };
+  }
+  if (frequency !== 'none' && !(numbers.accrual_amount > 0)) return { error: 'accrual_amount must be greater than 0 when the type accrues' };
+  if (numbers.carry_forward_expiry_months != null && !Number.isInteger(numbers.carry_forward_expiry_months)) {
+    return { error: 'carry_forward_expiry_months must be a whole number of months' };
+  }
+  return {
+    values: {
+      name: name.slice(0, 100),
+      code: body.code ? String(body.code).trim().toLowerCase().slice(0, 50) : null,
+      description: body.description || null,
+      color: body.color || null,
+      is_paid: isTruthy(body.is_paid ?? 1) ? 1 : 0,
+      requires_approval: isTruthy(body.requires_approval ?? 1) ? 1 : 0,
+      accrual_frequency: frequency,
+      ...numbers,
+      eligible_after_probation: isTruthy(body.eligible_after_probation) ? 1 : 0,
+      requires_attachment: isTruthy(body.requires_attachment) ? 1 : 0,
+      status: body.status === 'Inactive' ? 'Inactive' : 'Active'
+    }
+  };
+};
+
+const getLeaveTypes = async (db, { includeInactive = false } = {}) => {
+  const [rows] = await db.execute(
+    `SELECT ${TYPE_COLUMNS} FROM leave_types
+     ${includeInactive ? '' : "WHERE status = 'Active' OR status IS NULL"}
+     ORDER BY name`
+  );
+  return rows;
+};
+
+const getLeaveType = async (db, id) => {
+  const [rows] = await db.execute(`SELECT ${TYPE_COLUMNS} FROM leave_types WHERE id = ?`, [id]);
+  return rows[0] || null;
+};
+
+const loadEmployeeDates = async (db, employeeId) => {
+  const [rows] = await db.execute(
+    `SELECT id, DATE_FORMAT(joining_date, '%Y-%m-%d') AS joining_date, DATE_FORMAT(probation_end_date, '%Y-%m-%d') AS probation_end_date
+     FROM employees WHERE id = ?`,
+    [employeeId]
+  );
+  return rows[0] || null;
+};
+
+// First day the employee can use (and accrue) the type; null means no restriction
+const eligibleFrom = (type, employee) => {
+  const dates = [employee && employee.joining_date];
+  if (isTruthy(type.eligible_after_probation)) dates.push(employee && employee.probation_end_date);
+  return dates.filter(Boolean).sort().pop() || null;
+};
+
+// Accrual dates of the year on or after the eligibility date
+const accrualDates = (type, year, fromDate) => {
+  const step = PERIOD_MONTHS[type.accrual_frequency];
+  if (!step) return [];
+  const dates = [];
+  for (let month = 1; month <= 12; month += step) {
+    const date = `${year}-${pad(month)}-01`;
+    if (!fromDate || date >= fromDate) dates.push(date);
+  }
+  return dates;
+};
+
+// What the type's settings grant in the year: periodic accruals, or max_days_per_year up front
+const grantsFor = (type, year, eligibleDate) => {
+  if (type.accrual_frequency && type.accrual_frequency !== 'none') {
+    const amount = Number(type.accrual_amount) || 0;
+    return accrualDates(type, year, eligibleDate).map(date => ({ date, amount }));
+  }
+  if (type.max_days_per_year == null) return [];
+  const grantDate = eligibleDate && eligibleDate > `${year}-01-01` ? eligibleDate : `${year}-01-01`;
+  return grantDate <= `${year}-12-31` ? [{ date: grantDate, amount: Number(type.max_days_per_year) }] : [];
+};
+
+// The type's ledger entries of the year; a reversal counts toward the category of the entry it reverses
+const loadTypeEntries = async (db, employeeId, typeId, year) => {
+  const [rows] = await db.execute(
+    `SELECT COALESCE(o.entry_type, l.entry_type) AS category, l.days, DATE_FORMAT(l.entry_date, '%Y-%m-%d') AS entry_date
+     FROM leave_ledger l
+     LEFT JOIN leave_ledger o ON o.id = l.reverses_entry_id
+     WHERE l.employee_id = ? AND l.leave_type_id = ? AND l.year = ?`,
+    [employeeId, typeId, year]
+  );
+  return rows.map(r => ({ category: r.category, days: Number(r.days) || 0, entry_date: r.entry_date }));
+};
+
+const sumDays = (entries, filter = () => true) => entries.filter(filter).reduce((sum, e) => sum + e.days, 0);
+
+const postTypeEntry = (db, employeeId, type, { entryType, date, days, leaveRequestId = null, actor = null, reason }) =>
+  postLedgerEntry(db, {
+    employeeId,
+    year: Number(date.slice(0, 4)),
+    month: Number(date.slice(5, 7)),
+    type: entryType,
+    days,
+    leaveTypeId: type.id,
+    entryDate: date,
+    leaveRequestId,
+    actor,
+    reason
+  });
+
+// Post what the settings have earned up to asOf and is not in the ledger yet: accruals up to max_balance, then
+// the lapse of carried days still unused when they expire. Each is posted once (capped ones with 0 days), so
+// later usage or cancellations never rewrite them. Same-day order: accrual, usage, expiry.
+const postEarnedEntries = async (db, employee, type, { year, asOf, carried, carryExpiresOn }) => {
+  const entries = await loadTypeEntries(db, employee.id, type.id, year);
+  const cap = type.max_balance != null ? Number(type.max_balance) : null;
+  const balanceBefore = (date) => sumDays(entries, e => e.category === 'carry_forward' || e.entry_date < date);
+  for (const grant of grantsFor(type, year, eligibleFrom(type, employee))) {
+    if (grant.date > asOf) break;
+    if (entries.some(e => e.category === 'accrual' && e.entry_date === grant.date)) continue;
+    const credited = round2(cap != null ? Math.min(grant.amount, Math.max(0, cap - balanceBefore(grant.date))) : grant.amount);
+    await postTypeEntry(db, employee.id, type, {
+      entryType: 'accrual',
+      date: grant.date,
+      days: credited,
+      reason: credited < grant.amount ? `${type.name} accrual (capped at ${cap})` : `${type.name} accrual`
+    });
+    entries.push({ category: 'accrual', days: credited, entry_date: grant.date });
+  }
+  if (carried > 0 && carryExpiresOn && carryExpiresOn <= asOf && !entries.some(e => e.category === 'expiry')) {
+    const usedBefore = -sumDays(entries, e => e.category === 'usage' && e.entry_date <= carryExpiresOn);
+    const balanceAt = sumDays(entries, e => e.category === 'carry_forward' || e.entry_date <= carryExpiresOn);
+    const lapse = round2(Math.max(0, Math.min(carried - Math.min(carried, usedBefore), balanceAt)));
+    await postTypeEntry(db, employee.id, type, {
+      entryType: 'expiry',
+      date: carryExpiresOn,
+      days: -lapse,
+      reason: `Unused ${type.name} carried forward into ${year} expired`
+    });
+  }
+};
+
+// Carry-forward into `year`, posted when the year is opened; the leave_type_balances row marks opened years.
+// The previous year's closing balance (its earned entries posted through Dec 31) carries up to carry_forward_cap.
+const openTypeYear = async (db, employee, type, year) => {
+  const selectCarry = `SELECT carried_forward, DATE_FORMAT(carry_expires_on, '%Y-%m-%d') AS carry_expires_on
+    FROM leave_type_balances WHERE employee_id = ? AND leave_type_id = ? AND year = ?`;
+  const [rows] = await db.execute(selectCarry, [employee.id, type.id, year]);
+  if (rows.length > 0) return { carried: Number(rows[0].carried_forward) || 0, carryExpiresOn: rows[0].carry_expires_on };
+
+  const capForward = Number(type.carry_forward_cap) || 0;
+  let carried = 0;
+  if (capForward > 0) {
+    const [previous] = await db.execute(selectCarry, [employee.id, type.id, year - 1]);
+    await postEarnedEntries(db, employee, type, {
+      year: year - 1,
+      asOf: `${year - 1}-12-31`,
+      carried: previous.length ? Number(previous[0].carried_forward) || 0 : 0,
+      carryExpiresOn: previous.length ? previous[0].carry_expires_on : null
+    });
+    const closing = sumDays(await loadTypeEntries(db, employee.id, type.id, year - 1));
+    carried = round2(Math.max(0, Math.min(capForward, closing)));
+  }
+  const expiryMonths = type.carry_forward_expiry_months != null ? Number(type.carry_forward_expiry_months) : null;
+  const carryExpiresOn = carried > 0 && expiryMonths != null ? addMonths(`${year}-01-01`, expiryMonths) : null;
+  // Only the caller that opens the year posts its carry-forward
+  const [opened] = await db.execute(
+    `INSERT IGNORE INTO leave_type_balances (employee_id, leave_type_id, year, carried_forward, carry_expires_on, computed_at)
+     VALUES (?, ?, ?, ?, ?, NOW())`,
+    [employee.id, type.id, year, carried, carryExpiresOn]
+  );
+  if (opened.affectedRows === 0) return openTypeYear(db, employee, type, year);
+  if (carried > 0) {
+    await postTypeEntry(db, employee.id, type, {
+      entryType: 'carry_forward',
+      date: `${year}-01-01`,
+      days: carried,
+      reason: `${type.name} carried forward from ${year - 1}`
+    });
+  }
+  return { carried, carryExpiresOn };
+};
+
+// Accruals and expiry still ahead of asOf, from the type's settings; nothing is posted for them
+const projectYear = (type, entries, { year, asOf, carried, carryExpiresOn, eligibleDate, available }) => {
+  const cap = type.max_balance != null ? Number(type.max_balance) : null;
+  const events = grantsFor(type, year, eligibleDate).filter(g => g.date > asOf).map(g => ({ ...g, kind: 'accrual' }));
+  if (carried > 0 && carryExpiresOn && carryExpiresOn > asOf) events.push({ date: carryExpiresOn, kind: 'expiry' });
+  events.sort((a, b) => (a.date === b.date ? (a.kind === 'accrual' ? -1 : 1) : (a.date < b.date ? -1 : 1)));
+  let projected = available;
+  let projectedAccrual = 0;
+  let nextAccrualOn = null;
+  for (const event of events) {
+    if (event.kind === 'accrual') {
+      const credited = cap != null ? Math.min(event.amount, Math.max(0, cap - projected)) : event.amount;
+      projected += credited;
+      projectedAccrual += credited;
+      if (!nextAccrualOn) nextAccrualOn = event.date;
+    } else {
+      const usedBefore = -sumDays(entries, e => e.category === 'usage' && e.entry_date <= event.date);
+      projected -= Math.max(0, Math.min(carried - Math.min(carried, usedBefore), projected));
+    }
+  }
+  return { projected_accrual: projectedAccrual, projected_year_end: projected, next_accrual_on: nextAccrualOn };
+};
+
+// Days of the type waiting for a decision (not in the ledger until approved)
+const loadPendingDays = async (db, employeeId, type, year) => {
+  const [rows] = await db.execute(
+    `SELECT COALESCE(SUM(days_requested), 0) AS days
+     FROM leave_requests
+     WHERE employee_id = ? AND leave_type_id = ? AND status = 'pending' AND is_uninformed = 0
+       AND start_date BETWEEN ? AND ? AND (is_paid = 1 OR ? = 0)`,
+    [employeeId, type.id, `${year}-01-01`, `${year}-12-31`, isTruthy(type.is_paid) ? 1 : 0]
+  );
+  return round2(rows[0].days);
+};
+
+// Approved days of a type without a balance; they are not posted to the ledger
+const loadUntrackedUsed = async (db, employeeId, type, year) => {
+  const [rows] = await db.execute(
+    `SELECT COALESCE(SUM(days_requested), 0) AS days
+     FROM leave_requests
+     WHERE employee_id = ? AND leave_type_id = ? AND status = 'approved' AND is_uninformed = 0
+       AND start_date BETWEEN ? AND ?`,
+    [employeeId, type.id, `${year}-01-01`, `${year}-12-31`]
+  );
+  return round2(rows[0].days);
+};
+
+// Balance of one type for one employee, derived from its leave_ledger entries; leave_type_balances caches it
+const computeTypeBalance = async (db, employee, type, { year, asOf }) => {
+  const eligibleDate = eligibleFrom(type, employee);
+  const eligible = !eligibleDate || eligibleDate <= asOf;
+  const base = {
+    leave_type_id: type.id,
+    name: type.name,
+    code: type.code,
+    color: type.color,
+    is_paid: isTruthy(type.is_paid),
+    requires_attachment: isTruthy(type.requires_attachment),
+    accrual_frequency: type.accrual_frequency || 'none',
+    accrual_amount: Number(type.accrual_amount) || 0,
+    max_balance: type.max_balance != null ? Number(type.max_balance) : null,
+    carry_forward_cap: Number(type.carry_forward_cap) || 0,
+    eligible,
+    eligible_from: eligibleDate,
+    tracked: tracksBalance(type)
+  };
+  const pending = await loadPendingDays(db, employee.id, type, year);
+  if (!base.tracked) {
+    return { ...base, used: await loadUntrackedUsed(db, employee.id, type, year), pending, available: null };
+  }
+
+  const { carried, carryExpiresOn } = await openTypeYear(db, employee, type, year);
+  await postEarnedEntries(db, employee, type, { year, asOf, carried, carryExpiresOn });
+  const entries = await loadTypeEntries(db, employee.id, type.id, year);
+  const byCategory = (category) => sumDays(entries, e => e.category === category);
+  const available = round2(sumDays(entries));
+  const projection = projectYear(type, entries, { year, asOf, carried, carryExpiresOn, eligibleDate, available });
+  const balance = {
+    ...base,
+    year,
+    carried_forward: carried,
+    carry_expires_on: carryExpiresOn,
+    accrued: round2(byCategory('accrual')),
+    used: round2(-byCategory('usage')),
+    pending,
+    expired: round2(-byCategory('expiry')),
+    available,
+    projected_accrual: round2(projection.projected_accrual),
+    projected_year_end: round2(projection.projected_year_end),
+    next_accrual_on: projection.next_accrual_on
+  };
+  await db.execute(
+    `UPDATE leave_type_balances SET accrued = ?, used = ?, expired = ?, available = ?, computed_at = NOW()
+     WHERE employee_id = ? AND leave_type_id = ? AND year = ?`,
+    [balance.accrued, balance.used, balance.expired, balance.available, employee.id, type.id, year]
+  );
+  return balance;
+};
+
+// Balances of every active type for an employee; asOf defaults to today (YYYY-MM-DD)
+const getLeaveTypeBalances = async (db, employeeId, { year, asOf } = {}) => {
+  const employee = await loadEmployeeDates(db, employeeId);
+  if (!employee) return null;
+  const today = toDateOnly(new Date());
+  const useYear = Number(year) || Number(today.slice(0, 4));
+  const useAsOf = asOf || (useYear === Number(today.slice(0, 4)) ? today : `${useYear}-12-31`);
+  const types = await getLeaveTypes(db);
+  const balances = [];
+  for (const type of types) {
+    balances.push(await computeTypeBalance(db, employee, type, { year: useYear, asOf: useAsOf }));
+  }
+  return balances;
+};
+
+// Balance of one type on the date a leave starts (its year)
+const getLeaveTypeBalance = async (db, employeeId, type, onDate) => {
+  const employee = await loadEmployeeDates(db, employeeId);
+  if (!employee) return null;
+  const today = toDateOnly(new Date());
+  const date = toDateOnly(onDate) || today;
+  const year = Number(date.slice(0, 4));
+  return computeTypeBalance(db, employee, type, { year, asOf: date > today ? date : today });
+};
+
+// Record an approved leave against its type's balance, on its start date. A paid type returns { isPaid: 0 }
+// without an entry when the balance does not cover the leave; an unpaid type always records the days.
+const recordTypeUsage = async (db, { employeeId, type, leaveRequestId, startDate, days, actor = null, reason = null }) => {
+  const requested = Number(days) || 1;
+  const paidType = isTruthy(type.is_paid);
+  if (paidType) {
+    const balance = await getLeaveTypeBalance(db, employeeId, type, startDate);
+    if (!balance || balance.available < requested) return { isPaid: 0 };
+  }
+  await postTypeEntry(db, employeeId, type, {
+    entryType: 'usage',
+    date: toDateOnly(startDate),
+    days: -requested,
+    leaveRequestId,
+    actor,
+    reason: reason || `${type.name} #${leaveRequestId}`
+  });
+  return { isPaid: paidType ? 1 : 0 };
+};
+
+// Re-post a leave's type usage after its dates change: the old entries are reversed, the new days posted
+const moveTypeUsage = async (db, { leaveRequestId, employeeId, type, startDate, days, actor = null }) => {
+  const reversed = await reverseLeaveEntries(db, leaveRequestId, { actor, reason: `Leave #${leaveRequestId} moved`, typedOnly: true });
+  if (reversed === 0) return;
+  await postTypeEntry(db, employeeId, type, {
+    entryType: 'usage',
+    date: toDateOnly(startDate),
+    days: -(Number(days) || 1),
+    leaveRequestId,
+    actor,
+    reason: `${type.name} #${leaveRequestId} (moved to ${toDateOnly(startDate)})`
+  });
+};
+
+module.exports = {
+  ACCRUAL_FREQUENCIES,
+  tracksBalance,
+  normalizeLeaveType,
+  eligibleFrom,
+  grantsFor,
+  projectYear,
+  getLeaveTypes,
+  getLeaveType,
+  getLeaveTypeBalances,
+  getLeaveTypeBalance,
+  recordTypeUsage,
+  moveTypeUsage
+};
@@ -0,0 +1,90 @@
+const { mysqlPool } = require('../config/database');
+
+// Organisation-wide settings (org_settings table, db/migrations/015_org_settings.js).
+// The values are cached in memory so date helpers can read them synchronously; loadOrgSettings() fills the
+// cache at startup and again whenever /api/org-settings saves a change.
+
+const ORG_SETTING_DEFAULTS = {
+  timezone: { value: 'Asia/Karachi', type: 'string', description: 'Timezone used for work dates, attendance, reports and TeamLogger ranges' },
+  weekend_days: { value: [0], type: 'json', description: 'Days of the week that are not working days (0 = Sunday ... 6 = Saturday)' },
+  default_shift_hours: { value: 8, type: 'number', description: 'Hours in a standard working day for employees without a rostered shift' }
+};
+
+const defaultValues = () =>
+  Object.fromEntries(Object.entries(ORG_SETTING_DEFAULTS).map(([key, setting]) => [key, setting.value]));
+
+let cache = defaultValues();
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone }).format(new Date());
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+// Helper: validate and normalise one setting; returns { value } or { error }
+const normalizeOrgSetting = (key, value) => {
+  switch (key) {
+    case 'timezone': {
+      const timeZone = String(value || '').trim();
+      return isValidTimeZone(timeZone) ? { value: timeZone } : { error: `Unknown timezone: ${timeZone}` };
+    }
+    case 'weekend_days': {
+      let days = value;
+      if (typeof days === 'string') {
+        try { days = JSON.parse(days); } catch (e) { days = days.split(','); }
+      }
+      if (!Array.isArray(days)) return { error: 'weekend_days must be a list of weekday numbers' };
+      const parsed = [...new Set(days.map(d => parseInt(d, 10)))].sort((a, b) => a - b);
+      if (parsed.some(d => isNaN(d) || d < 0 || d > 6)) return { error: 'weekend_days must be numbers from 0 (Sunday) to 6 (Saturday)' };
+      if (parsed.length === 7) return { error: 'At least one day of the week must be a working day' };
+      return { value: parsed };
+    }
+    case 'default_shift_hours': {
+      const hours = parseFloat(value);
+      return hours > 0 && hours <= 24 ? { value: hours } : { error: 'default_shift_hours must be between 0 and 24' };
+    }
+    default:
+      return { error: `Unknown setting: ${key}` };
+  }
+};
+
+// Helper: stored text -> typed value, falling back to the default when the stored value is invalid
+const parseStoredValue = (key, raw) => {
+  const { value, error } = normalizeOrgSetting(key, raw);
+  return error ? ORG_SETTING_DEFAULTS[key].value : value;
+};
+
+const serializeOrgSetting = (key, value) =>
+  (ORG_SETTING_DEFAULTS[key].type === 'json' ? JSON.stringify(value) : String(value));
+
+// Reload the cache from the database; keeps the previous values if the table cannot be read
+const loadOrgSettings = async (db = mysqlPool) => {
+  try {
+    const [rows] = await db.execute('SELECT setting_key, setting_value FROM org_settings');
+    const next = defaultValues();
+    for (const row of rows) {
+      if (ORG_SETTING_DEFAULTS[row.setting_key]) next[row.setting_key] = parseStoredValue(row.setting_key, row.setting_value);
+    }
+    cache = next;
+  } catch (err) {
+    console.error('Error loading organisation settings:', err.message);
+  }
+  return getOrgSettings();
+};
+
+const getOrgSettings = () => ({ ...cache, weekend_days: [...cache.weekend_days] });
+
+const getOrgTimeZone = () => cache.timezone;
+
+module.exports = {
+  ORG_SETTING_DEFAULTS,
+  isValidTimeZone,
+  normalizeOrgSetting,
+  serializeOrgSetting,
+  loadOrgSettings,
+  getOrgSettings,
+  getOrgTimeZone
+};
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scryptAsync = promisify(crypto.scrypt);
+
+// scrypt cost parameters; stored alongside each hash so they can be raised later without breaking old hashes
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+const HASH_PREFIX = 'scrypt';
+
+// Helper to tell a stored hash apart from a legacy plaintext password
+const isPasswordHash = (stored) => typeof stored === 'string' && stored.startsWith(`${HASH_PREFIX}$`);
+
+// Hash a password as scrypt$N$r$p$salt$key (salt and key hex encoded)
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const key = await scryptAsync(String(password), salt, KEY_LENGTH, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+  return [HASH_PREFIX, SCRYPT_N, SCRYPT_R, SCRYPT_P, salt, key.toString('hex')].join('$');
+};
+
+// Helper to compare two strings without leaking where they differ
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+};
+
+// Check a password against a stored value; needsUpgrade is true when the stored value is legacy plaintext
+const verifyPassword = async (password, stored) => {
+  if (!password || !stored) return { valid: false, needsUpgrade: false };
+
+  if (!isPasswordHash(stored)) {
+    const valid = safeEqual(password, stored);
+    return { valid, needsUpgrade: valid };
+  }
+
+  const [, n, r, p, salt, keyHex] = stored.split('$');
+  if (!salt || !keyHex) return { valid: false, needsUpgrade: false };
+
+  const expected = Buffer.from(keyHex, 'hex');
+  const actual = await scryptAsync(String(password), salt, expected.length, {
+    N: parseInt(n, 10),
+    r: parseInt(r, 10),
+    p: parseInt(p, 10)
+  });
+  const valid = expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  const needsUpgrade = valid && (parseInt(n, 10) !== SCRYPT_N || parseInt(r, 10) !== SCRYPT_R || parseInt(p, 10) !== SCRYPT_P);
+  return { valid, needsUpgrade };
+};
+
+module.exports = { hashPassword, verifyPassword, isPasswordHash };
@@ -0,0 +1,162 @@
+// Hours reconciliation (GET /api/reports/reconciliation): attendance clock time, task timesheets and
+// TeamLogger hours aligned per employee per day, with flags where the sources disagree.
+// All three store org-local DATETIMEs, so times are compared as wall-clock strings.
+
+// Differences smaller than this are treated as noise
+const RECONCILIATION_TOLERANCE_SECONDS = 15 * 60;
+
+const FLAGS = {
+  TASK_EXCEEDS_CLOCKED: 'task_exceeds_clocked',
+  CLOCKED_WITHOUT_TASKS: 'clocked_without_tasks',
+  ACTIVITY_WHILE_CLOCKED_OUT: 'activity_while_clocked_out',
+  OVERLAPPING_TIMESHEETS: 'overlapping_timesheets'
+};
+
+// Same precedence as the time log reports: explicit seconds, then legacy hours_logged, then the entry's span
+const TIMESHEET_SECONDS_SQL = `
+  CASE
+    WHEN tt.hours_logged_seconds IS NOT NULL AND tt.hours_logged_seconds != 0 THEN ABS(tt.hours_logged_seconds)
+    WHEN tt.hours_logged IS NOT NULL AND tt.hours_logged != 0 THEN ABS(tt.hours_logged)
+    WHEN tt.start_time IS NOT NULL AND tt.end_time IS NOT NULL THEN ABS(TIMESTAMPDIFF(SECOND, tt.start_time, tt.end_time))
+    ELSE 0
+  END`;
+
+const toMs = (value) => (value ? Date.parse(`${String(value).replace(' ', 'T')}Z`) : NaN);
+
+// Mark timesheet entries whose [start, end) overlaps an earlier entry of the same day; returns the count marked
+const markOverlaps = (entries) => {
+  const timed = entries
+    .filter(e => !Number.isNaN(toMs(e.start_time)) && !Number.isNaN(toMs(e.end_time)))
+    .sort((a, b) => toMs(a.start_time) - toMs(b.start_time));
+  let latest = null;
+  for (const entry of timed) {
+    if (latest && toMs(entry.start_time) < toMs(latest.end_time)) {
+      entry.overlaps = true;
+      latest.overlaps = true;
+    }
+    if (!latest || toMs(entry.end_time) > toMs(latest.end_time)) latest = entry;
+  }
+  return entries.filter(e => e.overlaps).length;
+};
+
+// TeamLogger activity outside the attendance record (first clock-in to last clock-out, or more hours than clocked)
+const hasActivityWhileClockedOut = (row) => {
+  if (row.teamlogger_hours <= 0) return false;
+  if (!row.clock_in) return true;
+  const tolerance = RECONCILIATION_TOLERANCE_SECONDS;
+  if (row.teamlogger_hours * 3600 > row.clocked_seconds + tolerance && row.clock_out) return true;
+  if (row.clock_out && toMs(row.last_activity_at) > toMs(row.clock_out) + tolerance * 1000) return true;
+  if (toMs(row.first_activity_at) < toMs(row.clock_in) - tolerance * 1000) return true;
+  return false;
+};
+
+const flagRow = (row) => {
+  const flags = [];
+  const tolerance = RECONCILIATION_TOLERANCE_SECONDS;
+  if (row.task_seconds > row.clocked_seconds + tolerance) flags.push(FLAGS.TASK_EXCEEDS_CLOCKED);
+  if (row.clocked_seconds > tolerance && row.task_seconds === 0) flags.push(FLAGS.CLOCKED_WITHOUT_TASKS);
+  if (hasActivityWhileClockedOut(row)) flags.push(FLAGS.ACTIVITY_WHILE_CLOCKED_OUT);
+  if (row.overlapping_entries > 0) flags.push(FLAGS.OVERLAPPING_TIMESHEETS);
+  return flags;
+};
+
+// Rows for every employee-day with data in any source between from and to (YYYY-MM-DD), optionally one department
+const getReconciliation = async (db, { from, to, department }) => {
+  const departmentClause = department ? ' AND e.department = ?' : '';
+  const departmentParams = department ? [department] : [];
+
+  const [attendance] = await db.execute(
+    `SELECT e.id AS employee_id, e.name AS employee_name, e.department, DATE_FORMAT(a.date, '%Y-%m-%d') AS date,
+       CAST(a.clock_in AS CHAR) AS clock_in, CAST(a.clock_out AS CHAR) AS clock_out,
+       a.duration_seconds, a.session_count
+     FROM attendance a
+     JOIN employees e ON e.id = a.employee_id
+     WHERE a.date BETWEEN ? AND ?${departmentClause}`,
+    [from, to, ...departmentParams]
+  );
+  const [timesheets] = await db.execute(
+    `SELECT tt.id, e.id AS employee_id, e.name AS employee_name, e.department, DATE_FORMAT(tt.start_time, '%Y-%m-%d') AS date,
+       tt.task_id, t.title AS task_title, CAST(tt.start_time AS CHAR) AS start_time, CAST(tt.end_time AS CHAR) AS end_time,
+       ${TIMESHEET_SECONDS_SQL} AS seconds
+     FROM task_timesheet tt
+     JOIN employees e ON e.id = tt.employee_id
+     LEFT JOIN tasks t ON t.id = tt.task_id
+     WHERE tt.start_time >= ? AND tt.start_time <= ?${departmentClause}
+     ORDER BY tt.start_time`,
+    [`${from} 00:00:00`, `${to} 23:59:59`, ...departmentParams]
+  );
+  const [teamlogger] = await db.execute(
+    `SELECT e.id AS employee_id, e.name AS employee_name, e.department, DATE_FORMAT(tl.work_date, '%Y-%m-%d') AS date,
+       tl.total_hours, tl.idle_hours,
+       CAST(tl.first_activity_at AS CHAR) AS first_activity_at, CAST(tl.last_activity_at AS CHAR) AS last_activity_at
+     FROM teamlogger_daily tl
+     JOIN employees e ON e.id = tl.employee_id
+     WHERE tl.work_date BETWEEN ? AND ?${departmentClause}`,
+    [from, to, ...departmentParams]
+  );
+
+  const rows = new Map();
+  const rowFor = (source) => {
+    const key = `${source.employee_id}|${source.date}`;
+    if (!rows.has(key)) {
+      rows.set(key, {
+        employee_id: source.employee_id,
+        employee_name: source.employee_name,
+        department: source.department || null,
+        date: source.date,
+        clocked_seconds: 0,
+        session_count: 0,
+        clock_in: null,
+        clock_out: null,
+        task_seconds: 0,
+        entries: [],
+        overlapping_entries: 0,
+        teamlogger_hours: 0,
+        teamlogger_idle_hours: 0,
+        first_activity_at: null,
+        last_activity_at: null
+      });
+    }
+    return rows.get(key);
+  };
+
+  for (const a of attendance) {
+    const row = rowFor(a);
+    row.clocked_seconds += Number(a.duration_seconds) || 0;
+    row.session_count += Number(a.session_count) || 1;
+    row.clock_in = [row.clock_in, a.clock_in].filter(Boolean).sort()[0] || null;
+    row.clock_out = [row.clock_out, a.clock_out].filter(Boolean).sort().pop() || null;
+  }
+  for (const t of timesheets) {
+    const row = rowFor(t);
+    const seconds = Number(t.seconds) || 0;
+    row.task_seconds += seconds;
+    row.entries.push({
+      id: t.id, task_id: t.task_id, task_title: t.task_title, start_time: t.start_time, end_time: t.end_time, seconds, overlaps: false
+    });
+  }
+  for (const tl of teamlogger) {
+    const row = rowFor(tl);
+    row.teamlogger_hours += Number(tl.total_hours) || 0;
+    row.teamlogger_idle_hours += Number(tl.idle_hours) || 0;
+    row.first_activity_at = tl.first_activity_at;
+    row.last_activity_at = tl.last_activity_at;
+  }
+
+  const result = [...rows.values()].map(row => {
+    row.overlapping_entries = markOverlaps(row.entries);
+    row.teamlogger_hours = Number(row.teamlogger_hours.toFixed(4));
+    row.teamlogger_idle_hours = Number(row.teamlogger_idle_hours.toFixed(4));
+    return { ...row, flags: flagRow(row) };
+  });
+  result.sort((a, b) => (a.date === b.date ? (a.employee_name || '').localeCompare(b.employee_name || '') : (a.date < b.date ? 1 : -1)));
+
+  const summary = Object.fromEntries(Object.values(FLAGS).map(flag => [flag, result.filter(r => r.flags.includes(flag)).length]));
+  return { rows: result, summary };
+};
+
+module.exports = {
+  RECONCILIATION_TOLERANCE_SECONDS,
+  FLAGS,
+  getReconciliation
+};
@@ -0,0 +1,149 @@
+// Structured recurrence rules for DWM (daily / weekly / monthly) tasks, stored as JSON in tasks.recurrence.
+// Shape:
+//   { frequency: 'daily' }
+//   { frequency: 'weekly', weekdays: [1, 4] }                                   0 = Sunday ... 6 = Saturday
+//   { frequency: 'monthly', monthlyMode: 'day', monthDay: 15 }                  days past month end fall on the last day
+//   { frequency: 'monthly', monthlyMode: 'nth_weekday', weekOfMonth: 2, weekday: 1 }   weekOfMonth -1 = last
+// plus optional startDate / endDate (YYYY-MM-DD, inclusive). src/utils/recurrence.js mirrors this for the UI.
+
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// task_type values reported by DWM / CLET / LTE endpoints
+const FREQUENCY_LABELS = { daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly' };
+
+const toInt = (value) => {
+  const n = parseInt(value, 10);
+  return Number.isInteger(n) ? n : null;
+};
+
+const normalizeDate = (value) => {
+  if (!value) return null;
+  const str = value instanceof Date ? value.toISOString().split('T')[0] : String(value).split('T')[0];
+  return DATE_PATTERN.test(str) ? str : undefined;
+};
+
+// Validate user input. Returns { recurrence } (null = not recurring) or { error }.
+const validateRecurrence = (input) => {
+  if (input === undefined || input === null || input === '') return { recurrence: null };
+  let value = input;
+  if (typeof value === 'string') {
+    try { value = JSON.parse(value); } catch (e) { return { error: 'recurrence must be a JSON object' }; }
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return { error: 'recurrence must be an object' };
+
+  const frequency = String(value.frequency || '').toLowerCase();
+  if (frequency === '' || frequency === 'none') return { recurrence: null };
+  if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+    return { error: `recurrence.frequency must be one of ${RECURRENCE_FREQUENCIES.join(', ')}` };
+  }
+
+  const startDate = normalizeDate(value.startDate);
+  const endDate = normalizeDate(value.endDate);
+  if (startDate === undefined || endDate === undefined) return { error: 'recurrence dates must be YYYY-MM-DD' };
+  if (startDate && endDate && endDate < startDate) return { error: 'recurrence.endDate must be on or after startDate' };
+
+  const recurrence = { frequency };
+
+  if (frequency === 'weekly') {
+    const weekdays = [...new Set((Array.isArray(value.weekdays) ? value.weekdays : [value.weekdays]).map(toInt))]
+      .filter(d => d !== null && d >= 0 && d <= 6)
+      .sort((a, b) => a - b);
+    if (weekdays.length === 0) return { error: 'Weekly recurrence needs at least one weekday (0-6)' };
+    recurrence.weekdays = weekdays;
+  }
+
+  if (frequency === 'monthly') {
+    const monthlyMode = value.monthlyMode === 'nth_weekday' ? 'nth_weekday' : 'day';
+    recurrence.monthlyMode = monthlyMode;
+    if (monthlyMode === 'day') {
+      const monthDay = toInt(value.monthDay);
+      if (monthDay === null || monthDay < 1 || monthDay > 31) return { error: 'recurrence.monthDay must be 1-31' };
+      recurrence.monthDay = monthDay;
+    } else {
+      const weekOfMonth = toInt(value.weekOfMonth);
+      const weekday = toInt(value.weekday);
+      if (![1, 2, 3, 4, -1].includes(weekOfMonth)) return { error: 'recurrence.weekOfMonth must be 1-4 or -1 (last)' };
+      if (weekday === null || weekday < 0 || weekday > 6) return { error: 'recurrence.weekday must be 0-6' };
+      recurrence.weekOfMonth = weekOfMonth;
+      recurrence.weekday = weekday;
+    }
+  }
+
+  recurrence.startDate = startDate;
+  recurrence.endDate = endDate;
+  return { recurrence };
+};
+
+// Read tasks.recurrence from the database (JSON string or already-parsed object); invalid rules read as null
+const parseRecurrence = (value) => {
+  if (!value) return null;
+  const { recurrence, error } = validateRecurrence(value);
+  return error ? null : recurrence;
+};
+
+// Is a recurring task due on dateStr (YYYY-MM-DD)? Weekday / month day are taken from the calendar date itself.
+const isRecurrenceDueOn = (value, dateStr) => {
+  const rule = value && value.frequency ? value : parseRecurrence(value);
+  if (!rule) return false;
+  const date = normalizeDate(dateStr);
+  if (!date) return false;
+  if (rule.startDate && date < rule.startDate) return false;
+  if (rule.endDate && date > rule.endDate) return false;
+
+  const d = new Date(`${date}T00:00:00.000Z`);
+  const weekday = d.getUTCDay();
+  const dayOfMonth = d.getUTCDate();
+  const daysInMonth = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+
+  if (rule.frequency === 'daily') return true;
+  if (rule.frequency === 'weekly') return (rule.weekdays || []).includes(weekday);
+  if (rule.frequency === 'monthly') {
+    if (rule.monthlyMode === 'nth_weekday') {
+      if (weekday !== rule.weekday) return false;
+      if (rule.weekOfMonth === -1) return dayOfMonth + 7 > daysInMonth;
+      return Math.ceil(dayOfMonth / 7) === rule.weekOfMonth;
+    }
+    return dayOfMonth === Math.min(rule.monthDay, daysInMonth);
+  }
+  return false;
+};
+
+// Is the rule still producing occurrences on or after dateStr?
+const isRecurrenceActiveOn = (value, dateStr) => {
+  const rule = value && value.frequency ? value : parseRecurrence(value);
+  if (!rule) return false;
+  return !rule.endDate || normalizeDate(dateStr) <= rule.endDate;
+};
+
+// Most recent due date on or before dateStr (the occurrence a completion on dateStr belongs to), or null
+const getLatestDueDate = (value, dateStr, maxDaysBack = 62) => {
+  const rule = value && value.frequency ? value : parseRecurrence(value);
+  const date = normalizeDate(dateStr);
+  if (!rule || !date) return null;
+  const d = new Date(`${date}T00:00:00.000Z`);
+  for (let i = 0; i <= maxDaysBack; i++) {
+    const candidate = d.toISOString().split('T')[0];
+    if (rule.startDate && candidate < rule.startDate) return null;
+    if (isRecurrenceDueOn(rule, candidate)) return candidate;
+    d.setUTCDate(d.getUTCDate() - 1);
+  }
+  return null;
+};
+
+const getFrequencyLabel = (value) => {
+  const rule = value && value.frequency ? value : parseRecurrence(value);
+  return rule ? FREQUENCY_LABELS[rule.frequency] : 'Unknown';
+};
+
+module.exports = {
+  RECURRENCE_FREQUENCIES,
+  WEEKDAY_NAMES,
+  validateRecurrence,
+  parseRecurrence,
+  isRecurrenceDueOn,
+  isRecurrenceActiveOn,
+  getLatestDueDate,
+  getFrequencyLabel
+};
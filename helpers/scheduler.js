@@ -0,0 +1,291 @@
+const { mysqlPool } = require('../config/database');
+const { getTimeZoneOffsetMinutes } = require('./dates');
+const { getOrgTimeZone } = require('./orgSettings');
+
+// Background job scheduler backed by scheduled_jobs / job_runs (db/migrations/004_scheduled_jobs.js).
+// Jobs are registered in code with a default cron expression; the database row holds the live schedule,
+// next run time and retry state, so a restart picks up where the previous process left off.
+
+const TICK_INTERVAL_MS = 60 * 1000;
+const JOB_LOCK_PREFIX = 'ems_job_';
+const MAX_ERROR_LENGTH = 2000;
+
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const jobs = new Map();
+let tickTimer = null;
+let tickInProgress = false;
+
+// Helper: expand one cron field ("*", "*/15", "1-5", "0,30", "10-40/10") into a sorted list of values
+const parseCronField = (expr, { name, min, max }) => {
+  const values = new Set();
+  expr.split(',').forEach(part => {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step "${part}" in cron ${name} field`);
+
+    let start = min;
+    let end = max;
+    if (rangePart !== '*') {
+      const [a, b] = rangePart.split('-');
+      start = parseInt(a, 10);
+      end = b === undefined ? (stepPart === undefined ? start : max) : parseInt(b, 10);
+    }
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+      throw new Error(`Invalid value "${part}" in cron ${name} field`);
+    }
+    for (let v = start; v <= end; v += step) values.add(v);
+  });
+  return [...values].sort((a, b) => a - b);
+};
+
+// Parse a 5-field cron expression (minute hour day-of-month month day-of-week) or an @alias
+const parseCronExpression = (expression) => {
+  const source = CRON_ALIASES[(expression || '').trim()] || (expression || '').trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Cron expression must have 5 fields: "${expression}"`);
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+  return {
+    minutes,
+    hours,
+    daysOfMonth: new Set(daysOfMonth),
+    months: new Set(months),
+    daysOfWeek: new Set(daysOfWeek.map(d => (d === 7 ? 0 : d))),
+    // Standard cron: when both day fields are restricted a day matches if either does
+    dayOfMonthAny: parts[2] === '*',
+    dayOfWeekAny: parts[4] === '*'
+  };
+};
+
+// Next instant after `after` that matches the cron expression, evaluated as wall-clock time in timeZone
+const getNextRunAt = (expression, timeZone = getOrgTimeZone(), after = new Date()) => {
+  const cron = parseCronExpression(expression);
+  const offset = getTimeZoneOffsetMinutes(timeZone, after);
+  const localNow = new Date(after.getTime() + offset * 60000);
+  const startDay = Date.UTC(localNow.getUTCFullYear(), localNow.getUTCMonth(), localNow.getUTCDate());
+
+  for (let dayIndex = 0; dayIndex <= 366 * 4; dayIndex++) {
+    const day = new Date(startDay + dayIndex * 86400000);
+    if (!cron.months.has(day.getUTCMonth() + 1)) continue;
+    const domMatch = cron.daysOfMonth.has(day.getUTCDate());
+    const dowMatch = cron.daysOfWeek.has(day.getUTCDay());
+    const dayMatches = cron.dayOfMonthAny || cron.dayOfWeekAny
+      ? (domMatch && dowMatch)
+      : (domMatch || dowMatch);
+    if (!dayMatches) continue;
+
+    for (const hour of cron.hours) {
+      for (const minute of cron.minutes) {
+        const wallClock = day.getTime() + (hour * 60 + minute) * 60000;
+        const candidate = new Date(wallClock - getTimeZoneOffsetMinutes(timeZone, new Date(wallClock - offset * 60000)) * 60000);
+        if (candidate > after) return candidate;
+      }
+    }
+  }
+  return null;
+};
+
+// Register a job handler. handler(params, context) returns { rowsAffected, ... } which is stored on the run.
+// options: { schedule, description, timeZone, enabled, maxAttempts, retryBackoffSeconds, params }
+const registerJob = (name, handler, options = {}) => {
+  if (typeof handler !== 'function') throw new Error(`Job ${name} needs a handler function`);
+  parseCronExpression(options.schedule);
+  jobs.set(name, {
+    name,
+    handler,
+    schedule: options.schedule,
+    description: options.description || null,
+    timeZone: options.timeZone || getOrgTimeZone(),
+    enabled: options.enabled !== false,
+    maxAttempts: options.maxAttempts || 3,
+    retryBackoffSeconds: options.retryBackoffSeconds || 300,
+    params: options.params || {}
+  });
+};
+
+const getRegisteredJob = (name) => jobs.get(name) || null;
+
+// Helper: parse the JSON params column (mysql2 may already return an object)
+const parseParams = (value) => {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+  try { return JSON.parse(value); } catch (e) { return {}; }
+};
+
+// Insert a scheduled_jobs row for every registered job that does not have one yet.
+// Existing rows keep their (possibly admin-edited) schedule, enabled flag and params.
+const syncRegisteredJobs = async () => {
+  const connection = await mysqlPool.getConnection();
+  try {
+    for (const job of jobs.values()) {
+      const [existing] = await connection.execute('SELECT id FROM scheduled_jobs WHERE name = ?', [job.name]);
+      if (existing.length > 0) {
+        await connection.execute('UPDATE scheduled_jobs SET description = ? WHERE name = ?', [job.description, job.name]);
+        continue;
+      }
+      await connection.execute(
+        `INSERT INTO scheduled_jobs (name, description, cron_expression, time_zone, enabled, max_attempts, retry_backoff_seconds, params, next_run_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          job.name, job.description, job.schedule, job.timeZone, job.enabled ? 1 : 0,
+          job.maxAttempts, job.retryBackoffSeconds, JSON.stringify(job.params), getNextRunAt(job.schedule, job.timeZone)
+        ]
+      );
+      console.log(`🗓️ Registered scheduled job ${job.name} (${job.schedule} ${job.timeZone})`);
+    }
+  } finally {
+    connection.release();
+  }
+};
+
+// Helper: run the handler once and record it in job_runs; handler errors are recorded, not thrown
+const executeJob = async (jobRow, { trigger, attempt, triggeredBy, params }) => {
+  const job = jobs.get(jobRow.name);
+  const startedAt = new Date();
+  const [insert] = await mysqlPool.execute(
+    `INSERT INTO job_runs (job_name, trigger_type, attempt, status, started_at, triggered_by) VALUES (?, ?, ?, 'running', ?, ?)`,
+    [jobRow.name, trigger, attempt, startedAt, triggeredBy || null]
+  );
+  const runId = insert.insertId;
+
+  let status = 'succeeded';
+  let result = null;
+  let errorMessage = null;
+  try {
+    if (!job) throw new Error(`No handler registered for job ${jobRow.name}`);
+    result = (await job.handler({ ...parseParams(jobRow.params), ...(params || {}) }, { trigger, attempt, runId })) || {};
+  } catch (err) {
+    status = 'failed';
+    errorMessage = (err && (err.stack || err.message) ? (err.stack || err.message) : String(err)).slice(0, MAX_ERROR_LENGTH);
+  }
+
+  const finishedAt = new Date();
+  const durationMs = finishedAt - startedAt;
+  const rowsAffected = result && Number.isFinite(Number(result.rowsAffected)) ? Number(result.rowsAffected) : null;
+  await mysqlPool.execute(
+    `UPDATE job_runs SET status = ?, finished_at = ?, duration_ms = ?, rows_affected = ?, result = ?, error = ? WHERE id = ?`,
+    [status, finishedAt, durationMs, rowsAffected, result ? JSON.stringify(result) : null, errorMessage, runId]
+  );
+  await mysqlPool.execute(
+    `UPDATE scheduled_jobs SET last_run_at = ?, last_status = ?, last_duration_ms = ?, last_rows_affected = ?, last_error = ? WHERE name = ?`,
+    [startedAt, status, durationMs, rowsAffected, errorMessage, jobRow.name]
+  );
+
+  if (status === 'failed') {
+    console.error(`❌ Job ${jobRow.name} failed (attempt ${attempt}):`, errorMessage);
+  } else {
+    console.log(`✅ Job ${jobRow.name} succeeded in ${durationMs}ms${rowsAffected !== null ? `, rows affected: ${rowsAffected}` : ''}`);
+  }
+  return { id: runId, jobName: jobRow.name, trigger, attempt, status, startedAt, finishedAt, durationMs, rowsAffected, result, error: errorMessage };
+};
+
+// Helper: hold a per-job MySQL named lock while fn runs; returns { acquired: false } if another instance has it
+const withJobLock = async (name, fn) => {
+  const connection = await mysqlPool.getConnection();
+  try {
+    const [[row]] = await connection.query('SELECT GET_LOCK(?, 0) AS acquired', [`${JOB_LOCK_PREFIX}${name}`]);
+    if (!row || row.acquired !== 1) return { acquired: false };
+    try {
+      return { acquired: true, value: await fn() };
+    } finally {
+      await connection.query('SELECT RELEASE_LOCK(?)', [`${JOB_LOCK_PREFIX}${name}`]);
+    }
+  } finally {
+    connection.release();
+  }
+};
+
+// Helper: run a due job and move next_run_at forward (cron time on success, backoff on failure)
+const runScheduledJob = async (name) => {
+  return withJobLock(name, async () => {
+    // Re-read under the lock: another instance may have just run it and advanced next_run_at
+    const [rows] = await mysqlPool.execute('SELECT * FROM scheduled_jobs WHERE name = ? AND enabled = 1', [name]);
+    const jobRow = rows[0];
+    if (!jobRow || !jobRow.next_run_at || new Date(jobRow.next_run_at) > new Date()) return null;
+
+    const attempt = (jobRow.retry_attempt || 0) + 1;
+    const run = await executeJob(jobRow, { trigger: attempt > 1 ? 'retry' : 'schedule', attempt });
+
+    let nextRunAt;
+    let retryAttempt = 0;
+    if (run.status === 'failed' && attempt < jobRow.max_attempts) {
+      const backoffSeconds = jobRow.retry_backoff_seconds * Math.pow(2, attempt - 1);
+      nextRunAt = new Date(Date.now() + backoffSeconds * 1000);
+      retryAttempt = attempt;
+      console.log(`🔁 Job ${name} will retry in ${backoffSeconds}s (attempt ${attempt + 1}/${jobRow.max_attempts})`);
+    } else {
+      nextRunAt = getNextRunAt(jobRow.cron_expression, jobRow.time_zone);
+    }
+    await mysqlPool.execute('UPDATE scheduled_jobs SET next_run_at = ?, retry_attempt = ? WHERE name = ?', [nextRunAt, retryAttempt, name]);
+    return run;
+  });
+};
+
+// Run a job right away (admin "Run now"); does not change its schedule or retry state
+const runJobNow = async (name, { triggeredBy = null, params = null } = {}) => {
+  const [rows] = await mysqlPool.execute('SELECT * FROM scheduled_jobs WHERE name = ?', [name]);
+  if (rows.length === 0) return { found: false };
+  const locked = await withJobLock(name, () => executeJob(rows[0], { trigger: 'manual', attempt: 1, triggeredBy, params }));
+  return { found: true, alreadyRunning: !locked.acquired, run: locked.value || null };
+};
+
+// Helper: one scheduler pass over every enabled job that is due
+const tick = async () => {
+  if (tickInProgress) return;
+  tickInProgress = true;
+  try {
+    const [rows] = await mysqlPool.execute('SELECT name, next_run_at FROM scheduled_jobs WHERE enabled = 1');
+    const now = new Date();
+    for (const row of rows) {
+      if (!row.next_run_at || new Date(row.next_run_at) > now) continue;
+      if (!jobs.has(row.name)) continue;
+      try {
+        await runScheduledJob(row.name);
+      } catch (err) {
+        console.error(`Scheduler error for job ${row.name}:`, err.message || err);
+      }
+    }
+  } catch (err) {
+    console.error('Scheduler tick failed:', err.message || err);
+  } finally {
+    tickInProgress = false;
+  }
+};
+
+const startScheduler = async () => {
+  if (tickTimer) return;
+  await syncRegisteredJobs();
+  tickTimer = setInterval(tick, TICK_INTERVAL_MS);
+  console.log(`🗓️ Job scheduler started (${jobs.size} jobs registered)`);
+  tick();
+};
+
+const stopScheduler = () => {
+  if (tickTimer) clearInterval(tickTimer);
+  tickTimer = null;
+};
+
+module.exports = {
+  parseCronExpression,
+  getNextRunAt,
+  registerJob,
+  getRegisteredJob,
+  runJobNow,
+  startScheduler,
+  stopScheduler
+};
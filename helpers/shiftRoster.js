@@ -0,0 +1,214 @@
+// Resolves which shift an employee works on a given date (tables in db/migrations/012_shift_roster.js).
+// Precedence: a roster override for that employee and date, then the employee's own weekly assignment, then
+// their department's. An employee with none of these is unrostered and keeps the old fixed-shift behaviour;
+// a rostered day with no shift is a day off.
+// Dates are YYYY-MM-DD strings and times HH:MM:SS, both in the organisation timezone like the rest of attendance.
+const { addDays, getDayOfWeek } = require('./dates');
+
+const DEFAULT_WEEKDAYS = [1, 2, 3, 4, 5, 6];
+
+const daysBetween = (fromDate, toDate) =>
+  Math.round((new Date(`${toDate}T00:00:00.000Z`) - new Date(`${fromDate}T00:00:00.000Z`)) / 86400000);
+
+
+// Helper: "09:30" / "09:30:00" -> minutes since midnight
+const toMinutes = (time) => {
+  const [h, m] = String(time || '0:0').split(':').map(n => parseInt(n, 10) || 0);
+  return h * 60 + m;
+};
+
+const normalizeTime = (time) => {
+  const match = String(time || '').trim().match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (!match || parseInt(match[1], 10) > 23 || parseInt(match[2], 10) > 59) return null;
+  return `${match[1].padStart(2, '0')}:${match[2]}:${match[3] || '00'}`;
+};
+
+const crossesMidnight = (shift) => toMinutes(shift.end_time) <= toMinutes(shift.start_time);
+
+const getShiftDurationMinutes = (shift) => {
+  const diff = toMinutes(shift.end_time) - toMinutes(shift.start_time);
+  return diff > 0 ? diff : diff + 1440;
+};
+
+// Hours the shift expects to be worked (length minus break)
+const getShiftNetHours = (shift) =>
+  Math.max(0, getShiftDurationMinutes(shift) - (Number(shift.break_minutes) || 0)) / 60;
+
+// Scheduled start and end of a shift worked on dateStr ("YYYY-MM-DD HH:MM:SS"); night shifts end the next day
+const getShiftWindow = (shift, dateStr) => ({
+  start: `${dateStr} ${normalizeTime(shift.start_time)}`,
+  end: `${crossesMidnight(shift) ? addDays(dateStr, 1) : dateStr} ${normalizeTime(shift.end_time)}`
+});
+
+const parseWeekdays = (value) => {
+  if (!value && value !== 0) return DEFAULT_WEEKDAYS;
+  const days = String(value).split(',').map(d => parseInt(d, 10)).filter(d => d >= 0 && d <= 6);
+  return days.length ? days : DEFAULT_WEEKDAYS;
+};
+
+const parsePattern = (value) => {
+  let pattern = value;
+  if (typeof pattern === 'string') {
+    try { pattern = JSON.parse(pattern); } catch (e) { return []; }
+  }
+  if (!Array.isArray(pattern)) return [];
+  return pattern.map(id => (id === null || id === '' || id === undefined ? null : parseInt(id, 10) || null));
+};
+
+// Load everything needed to resolve rosters between fromDate and toDate (inclusive)
+const loadRosterContext = async (db, fromDate, toDate, employeeIds = null) => {
+  const [shifts] = await db.query('SELECT * FROM shifts');
+  const [rotations] = await db.query(
+    `SELECT id, name, DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date, pattern FROM shift_rotations`
+  );
+  const [assignments] = await db.query(
+    `SELECT id, employee_id, department, shift_id, rotation_id, weekdays,
+            DATE_FORMAT(effective_from, '%Y-%m-%d') AS effective_from,
+            DATE_FORMAT(effective_to, '%Y-%m-%d') AS effective_to
+     FROM shift_assignments
+     WHERE effective_from <= ? AND (effective_to IS NULL OR effective_to >= ?)
+     ORDER BY effective_from DESC, id DESC`,
+    [toDate, fromDate]
+  );
+  let overrideQuery = `SELECT employee_id, DATE_FORMAT(date, '%Y-%m-%d') AS date, shift_id, source
+                       FROM shift_roster_overrides WHERE date BETWEEN ? AND ?`;
+  const overrideParams = [fromDate, toDate];
+  if (Array.isArray(employeeIds) && employeeIds.length) {
+    overrideQuery += ' AND employee_id IN (?)';
+    overrideParams.push(employeeIds);
+  }
+  const [overrides] = await db.query(overrideQuery, overrideParams);
+
+  return {
+    shifts: new Map(shifts.map(s => [s.id, s])),
+    rotations: new Map(rotations.map(r => [r.id, { ...r, pattern: parsePattern(r.pattern) }])),
+    assignments: assignments.map(a => ({ ...a, weekdays: parseWeekdays(a.weekdays) })),
+    overrides: new Map(overrides.map(o => [`${o.employee_id}|${o.date}`, o]))
+  };
+};
+
+// Shift id an assignment puts on dateStr (null = day off)
+const getAssignmentShiftId = (ctx, assignment, dateStr) => {
+  if (assignment.rotation_id) {
+    const rotation = ctx.rotations.get(assignment.rotation_id);
+    if (!rotation || rotation.pattern.length === 0) return null;
+    const len = rotation.pattern.length;
+    const index = ((daysBetween(rotation.start_date, dateStr) % len) + len) % len;
+    return rotation.pattern[index];
+  }
+  return assignment.weekdays.includes(getDayOfWeek(dateStr)) ? assignment.shift_id : null;
+};
+
+const isAssignmentActiveOn = (assignment, dateStr) =>
+  assignment.effective_from <= dateStr && (!assignment.effective_to || assignment.effective_to >= dateStr);
+
+// employee: { id, department }. Returns { rostered, shift, source } where source is the override source
+// ('manual' / 'swap'), 'employee' or 'department'.
+const resolveRosterDay = (ctx, employee, dateStr) => {
+  const build = (shiftId, source) => ({ rostered: true, shift: (shiftId && ctx.shifts.get(shiftId)) || null, source });
+
+  const override = ctx.overrides.get(`${employee.id}|${dateStr}`);
+  if (override) return build(override.shift_id, override.source);
+
+  // Assignments are ordered newest first, so the latest effective_from wins
+  const own = ctx.assignments.find(a => a.employee_id === employee.id && isAssignmentActiveOn(a, dateStr));
+  if (own) return build(getAssignmentShiftId(ctx, own, dateStr), 'employee');
+
+  const department = (employee.department || '').trim().toLowerCase();
+  const byDepartment = department && ctx.assignments.find(a =>
+    !a.employee_id && (a.department || '').trim().toLowerCase() === department && isAssignmentActiveOn(a, dateStr));
+  if (byDepartment) return build(getAssignmentShiftId(ctx, byDepartment, dateStr), 'department');
+
+  return { rostered: false, shift: null, source: null };
+};
+
+// Roster for one employee on one date
+const getEmployeeRosterDay = async (db, employeeId, dateStr) => {
+  const [rows] = await db.execute('SELECT id, department FROM employees WHERE id = ?', [employeeId]);
+  if (!rows[0]) return { rostered: false, shift: null, source: null };
+  const ctx = await loadRosterContext(db, dateStr, dateStr, [rows[0].id]);
+  return resolveRosterDay(ctx, rows[0], dateStr);
+};
+
+// The rostered shift a clock-in at nowStr ("YYYY-MM-DD HH:MM:SS") belongs to. A night shift that started
+// yesterday still owns the clock-in until it ends, so the work date can be the previous day.
+const getShiftForClockIn = async (db, employeeId, nowStr) => {
+  const today = nowStr.split(' ')[0];
+  const yesterday = addDays(today, -1);
+  const [rows] = await db.execute('SELECT id, department FROM employees WHERE id = ?', [employeeId]);
+  if (!rows[0]) return null;
+  const ctx = await loadRosterContext(db, yesterday, today, [rows[0].id]);
+
+  const previous = resolveRosterDay(ctx, rows[0], yesterday);
+  if (previous.shift && crossesMidnight(previous.shift) && nowStr < getShiftWindow(previous.shift, yesterday).end) {
+    return { workDate: yesterday, ...previous, window: getShiftWindow(previous.shift, yesterday) };
+  }
+  const current = resolveRosterDay(ctx, rows[0], today);
+  return { workDate: today, ...current, window: current.shift ? getShiftWindow(current.shift, today) : null };
+};
+
+// Seconds logged in task_timesheet by each active employee for the work date, measured against their rostered
+// shift: required hours are the shift's net hours, night shifts count entries inside the shift window, and
+// rostered days off are left out. Unrostered employees are measured on the calendar day against fallbackHours.
+const getRosteredLoggedHours = async (db, dateStr, fallbackHours) => {
+  const [employees] = await db.query(
+    `SELECT id, name, employee_id, department, designation, working_hours FROM employees WHERE status = 'Active'`
+  );
+  const ctx = await loadRosterContext(db, dateStr, dateStr);
+  const [entries] = await db.query(
+    `SELECT employee_id, CAST(start_time AS CHAR) AS start_time,
+       CASE 
+         WHEN hours_logged_seconds IS NOT NULL AND hours_logged_seconds != 0 THEN ABS(hours_logged_seconds)
+         WHEN hours_logged IS NOT NULL AND hours_logged != 0 THEN ABS(hours_logged)
+         WHEN start_time IS NOT NULL AND end_time IS NOT NULL THEN ABS(TIMESTAMPDIFF(SECOND, start_time, end_time))
+         ELSE 0
+       END AS seconds
+     FROM task_timesheet
+     WHERE start_time >= ? AND start_time <= ? AND employee_id IS NOT NULL`,
+    [`${dateStr} 00:00:00`, `${addDays(dateStr, 1)} 23:59:59`]
+  );
+  const entriesByEmployee = new Map();
+  for (const entry of entries) {
+    if (!entriesByEmployee.has(entry.employee_id)) entriesByEmployee.set(entry.employee_id, []);
+    entriesByEmployee.get(entry.employee_id).push(entry);
+  }
+
+  const result = [];
+  for (const employee of employees) {
+    const day = resolveRosterDay(ctx, employee, dateStr);
+    if (day.rostered && !day.shift) continue;
+    const window = day.shift && crossesMidnight(day.shift)
+      ? getShiftWindow(day.shift, dateStr)
+      : { start: `${dateStr} 00:00:00`, end: `${dateStr} 23:59:59` };
+    const loggedSeconds = (entriesByEmployee.get(employee.id) || [])
+      .filter(e => e.start_time >= window.start && e.start_time <= window.end)
+      .reduce((sum, e) => sum + (parseInt(e.seconds, 10) || 0), 0);
+    result.push({
+      ...employee,
+      shift: day.shift,
+      requiredHours: day.shift ? getShiftNetHours(day.shift) : parseFloat(fallbackHours),
+      loggedSeconds
+    });
+  }
+  return result;
+};
+
+// Whole minutes from a to b (both "YYYY-MM-DD HH:MM:SS"); negative when b is earlier
+const minutesBetween = (a, b) =>
+  Math.round((new Date(b.replace(' ', 'T') + 'Z') - new Date(a.replace(' ', 'T') + 'Z')) / 60000);
+
+module.exports = {
+  normalizeTime,
+  crossesMidnight,
+  getShiftDurationMinutes,
+  getShiftNetHours,
+  getShiftWindow,
+  parseWeekdays,
+  parsePattern,
+  loadRosterContext,
+  resolveRosterDay,
+  getEmployeeRosterDay,
+  getShiftForClockIn,
+  getRosteredLoggedHours,
+  minutesBetween
+};
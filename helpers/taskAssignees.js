@@ -0,0 +1,192 @@
+const { toAssignedToString } = require('./sanitize');
+
+// task_assignees is the source of truth for who is on a task; the name columns on tasks
+// (assigned_to and the RACI columns) are kept as display copies written from it.
+// API payloads may send employee ids as { assignees: { assignee: [3, 7], responsible: [4] } } or,
+// for older clients and spreadsheet imports, names (or emails) in the name columns.
+
+const TASK_ASSIGNEE_ROLES = ['assignee', 'responsible', 'accountable', 'consulted', 'informed', 'trained'];
+const ROLE_COLUMNS = {
+  assignee: 'assigned_to',
+  responsible: 'responsible',
+  accountable: 'accountable',
+  consulted: 'consulted',
+  informed: 'informed',
+  trained: 'trained'
+};
+
+// Helper: "Ali Raza (EMP-12)" -> "Ali Raza"
+const cleanName = (value) => String(value || '').replace(/\s*\([^)]*\)\s*$/, '').trim();
+
+// Names from a name column: comma-separated string, JSON array (trained) or an array of option objects
+const parseNameList = (value) => {
+  if (value === undefined || value === null) return [];
+  let list = value;
+  if (typeof list === 'string') {
+    const trimmed = list.trim();
+    if (trimmed.startsWith('[')) {
+      try { list = JSON.parse(trimmed); } catch (e) { list = trimmed.split(','); }
+    } else {
+      list = trimmed.split(',');
+    }
+  }
+  if (!Array.isArray(list)) return [];
+  return list
+    .map(item => (item && typeof item === 'object' ? (item.label || item.name || '') : item))
+    .map(cleanName)
+    .filter(Boolean);
+};
+
+// trained is stored as a JSON array of names, the other columns as "Name, Name"
+const formatRoleColumn = (role, names) => {
+  if (!names.length) return null;
+  return role === 'trained' ? JSON.stringify(names) : names.join(', ');
+};
+
+// Helper: which roles the payload touches, as ids or as names
+const collectAssigneeInput = (taskData) => {
+  const input = {};
+  const ids = taskData && taskData.assignees && typeof taskData.assignees === 'object' ? taskData.assignees : {};
+  for (const role of TASK_ASSIGNEE_ROLES) {
+    if (Array.isArray(ids[role])) {
+      input[role] = { ids: ids[role].map(v => parseInt(v, 10)).filter(Number.isInteger) };
+    } else if (role === 'assignee' && (taskData.assigned_to !== undefined || taskData.assignedTo !== undefined)) {
+      input[role] = { names: parseNameList(toAssignedToString(taskData)) };
+    } else if (role !== 'assignee' && taskData[role] !== undefined) {
+      input[role] = { names: parseNameList(taskData[role]) };
+    }
+  }
+  return input;
+};
+
+const findEmployeesByIds = async (db, ids) => {
+  if (!ids.length) return new Map();
+  const [rows] = await db.query('SELECT id, name FROM employees WHERE id IN (?)', [ids]);
+  return new Map(rows.map(row => [row.id, row]));
+};
+
+const findEmployeesByNames = async (db, names) => {
+  if (!names.length) return new Map();
+  const keys = [...new Set(names.map(n => n.toLowerCase()))];
+  const [rows] = await db.query(
+    'SELECT id, name, email FROM employees WHERE LOWER(name) IN (?) OR LOWER(email) IN (?) ORDER BY id',
+    [keys, keys]
+  );
+  const byKey = new Map();
+  for (const row of rows) {
+    for (const key of [String(row.name || '').toLowerCase(), String(row.email || '').toLowerCase()]) {
+      if (key && !byKey.has(key)) byKey.set(key, row);
+    }
+  }
+  return byKey;
+};
+
+// Resolve the roles present in taskData to { [role]: { people: [{ id, name }], column } }.
+// Ids win over names; names that match no employee stay in the display column but get no join row.
+const resolveTaskAssignees = async (db, taskData) => {
+  const input = collectAssigneeInput(taskData || {});
+  const allIds = Object.values(input).flatMap(i => i.ids || []);
+  const allNames = Object.values(input).flatMap(i => i.names || []);
+  const [byId, byName] = await Promise.all([findEmployeesByIds(db, allIds), findEmployeesByNames(db, allNames)]);
+
+  const resolved = {};
+  for (const [role, { ids, names }] of Object.entries(input)) {
+    let people;
+    let columnNames;
+    if (ids) {
+      people = ids.map(id => byId.get(id)).filter(Boolean).map(e => ({ id: e.id, name: e.name }));
+      columnNames = people.map(p => p.name);
+    } else {
+      people = names.map(n => byName.get(n.toLowerCase())).filter(Boolean).map(e => ({ id: e.id, name: e.name }));
+      columnNames = names;
+    }
+    const seen = new Set();
+    people = people.filter(p => (seen.has(p.id) ? false : seen.add(p.id)));
+    resolved[role] = { people, column: formatRoleColumn(role, columnNames) };
+  }
+  return resolved;
+};
+
+// Replace the join rows of every role in resolved (roles not in resolved are left alone)
+const saveTaskAssignees = async (db, taskId, resolved) => {
+  for (const [role, { people }] of Object.entries(resolved)) {
+    await db.execute('DELETE FROM task_assignees WHERE task_id = ? AND role = ?', [taskId, role]);
+    if (people.length === 0) continue;
+    await db.query(
+      'INSERT INTO task_assignees (task_id, employee_id, role, sort_order) VALUES ?',
+      [people.map((p, i) => [taskId, p.id, role, i])]
+    );
+  }
+};
+
+// Rebuild join rows from the task's name columns (spreadsheet import / update)
+const syncTaskAssigneesFromColumns = async (db, taskId, roles = TASK_ASSIGNEE_ROLES) => {
+  const [rows] = await db.execute(
+    `SELECT ${roles.map(role => ROLE_COLUMNS[role]).join(', ')} FROM tasks WHERE id = ?`,
+    [taskId]
+  );
+  if (!rows[0]) return;
+  const payload = {};
+  for (const role of roles) {
+    payload[role === 'assignee' ? 'assigned_to' : role] = rows[0][ROLE_COLUMNS[role]] || '';
+  }
+  const resolved = await resolveTaskAssignees(db, payload);
+  await saveTaskAssignees(db, taskId, resolved);
+};
+
+// { taskId: { assignee: [{ employee_id, name }], responsible: [...], ... } } for the given task ids
+const getTaskAssignees = async (db, taskIds) => {
+  const result = new Map();
+  if (!taskIds.length) return result;
+  const [rows] = await db.query(
+    `SELECT ta.task_id, ta.role, ta.employee_id, e.name
+     FROM task_assignees ta
+     JOIN employees e ON e.id = ta.employee_id
+     WHERE ta.task_id IN (?)
+     ORDER BY ta.task_id, ta.role, ta.sort_order`,
+    [taskIds]
+  );
+  for (const row of rows) {
+    if (!result.has(row.task_id)) {
+      result.set(row.task_id, Object.fromEntries(TASK_ASSIGNEE_ROLES.map(role => [role, []])));
+    }
+    result.get(row.task_id)[row.role].push({ employee_id: row.employee_id, name: row.name });
+  }
+  return result;
+};
+
+const emptyAssignees = () => Object.fromEntries(TASK_ASSIGNEE_ROLES.map(role => [role, []]));
+
+// SQL condition: task (alias.id) has the employee bound to the next placeholder in the given role
+const taskHasEmployeeSql = (alias = 'tasks', role = 'assignee') =>
+  `EXISTS (SELECT 1 FROM task_assignees ta WHERE ta.task_id = ${alias}.id AND ta.role = '${role}' AND ta.employee_id = ?)`;
+
+// After an employee is renamed, swap the old name for the new one in the name columns of their tasks
+const renameEmployeeInTasks = async (db, employeeId, oldName, newName) => {
+  if (!oldName || !newName || oldName === newName) return 0;
+  const [rows] = await db.execute('SELECT DISTINCT task_id, role FROM task_assignees WHERE employee_id = ?', [employeeId]);
+  const oldKey = oldName.toLowerCase();
+  let updated = 0;
+  for (const { task_id: taskId, role } of rows) {
+    const column = ROLE_COLUMNS[role];
+    const [tasks] = await db.execute(`SELECT ${column} AS value FROM tasks WHERE id = ?`, [taskId]);
+    if (!tasks[0]) continue;
+    const names = parseNameList(tasks[0].value).map(n => (n.toLowerCase() === oldKey ? newName : n));
+    await db.execute(`UPDATE tasks SET ${column} = ?, updated_at = updated_at WHERE id = ?`, [formatRoleColumn(role, names), taskId]);
+    updated += 1;
+  }
+  return updated;
+};
+
+module.exports = {
+  TASK_ASSIGNEE_ROLES,
+  ROLE_COLUMNS,
+  parseNameList,
+  resolveTaskAssignees,
+  saveTaskAssignees,
+  syncTaskAssigneesFromColumns,
+  getTaskAssignees,
+  emptyAssignees,
+  taskHasEmployeeSql,
+  renameEmployeeInTasks
+};
@@ -0,0 +1,104 @@
+const { mysqlPool } = require('../config/database');
+const { parseRecurrence, isRecurrenceDueOn, getLatestDueDate } = require('./recurrence');
+const { getZonedDateString, toOrgDateTime } = require('./dates');
+
+// Per-occurrence records for recurring tasks. An occurrence is keyed by (task_id, due_date); completing a
+// recurring task or logging time on it is recorded against its most recent due date on or before today.
+
+const INSERT_BATCH_SIZE = 500;
+
+const toZonedDateTime = (date) => toOrgDateTime(date);
+const toZonedDate = (date) => toZonedDateTime(date).split(' ')[0];
+
+const addDays = (dateStr, days) => {
+  const d = new Date(`${dateStr}T00:00:00.000Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+};
+
+// Helper: load one recurring task with its parsed rule (null when the task does not recur)
+const getRecurringTask = async (db, taskId) => {
+  const [rows] = await db.execute('SELECT id, assigned_to, recurrence, created_at FROM tasks WHERE id = ?', [taskId]);
+  const task = rows[0];
+  if (!task) return null;
+  const rule = parseRecurrence(task.recurrence);
+  return rule ? { ...task, rule } : null;
+};
+
+const ensureOccurrence = async (db, task, dueDate) => {
+  await db.execute(
+    'INSERT IGNORE INTO task_occurrences (task_id, due_date, frequency, assigned_to) VALUES (?, ?, ?, ?)',
+    [task.id, dueDate, task.rule.frequency, task.assigned_to || null]
+  );
+};
+
+// Create the occurrences due between fromDate and toDate (inclusive) for every recurring task; existing rows are kept
+const materializeOccurrences = async (fromDate, toDate = fromDate) => {
+  const [rows] = await mysqlPool.execute(
+    'SELECT id, assigned_to, recurrence, created_at FROM tasks WHERE recurrence_frequency IS NOT NULL'
+  );
+  const values = [];
+  for (const row of rows) {
+    const rule = parseRecurrence(row.recurrence);
+    if (!rule) continue;
+    const createdOn = row.created_at ? toZonedDate(new Date(row.created_at)) : fromDate;
+    for (let date = fromDate; date <= toDate; date = addDays(date, 1)) {
+      if (date >= createdOn && isRecurrenceDueOn(rule, date)) {
+        values.push([row.id, date, rule.frequency, row.assigned_to || null]);
+      }
+    }
+  }
+
+  let created = 0;
+  for (let i = 0; i < values.length; i += INSERT_BATCH_SIZE) {
+    const [result] = await mysqlPool.query(
+      'INSERT IGNORE INTO task_occurrences (task_id, due_date, frequency, assigned_to) VALUES ?',
+      [values.slice(i, i + INSERT_BATCH_SIZE)]
+    );
+    created += result.affectedRows;
+  }
+  return created;
+};
+
+// Mirror a status change of a recurring task onto its current occurrence (no-op for one-off tasks)
+const recordOccurrenceStatus = async (db, taskId, status, user = {}) => {
+  const task = await getRecurringTask(db, taskId);
+  if (!task) return;
+  const dueDate = getLatestDueDate(task.rule, getZonedDateString(0));
+  if (!dueDate) return;
+  await ensureOccurrence(db, task, dueDate);
+
+  if (status === 'Completed') {
+    await db.execute(
+      `UPDATE task_occurrences SET completed_at = ?, completed_by = ?, completed_by_id = ?
+       WHERE task_id = ? AND due_date = ? AND completed_at IS NULL`,
+      [toZonedDateTime(new Date()), user.name || null, user.id || null, task.id, dueDate]
+    );
+  } else {
+    await db.execute(
+      `UPDATE task_occurrences SET completed_at = NULL, completed_by = NULL, completed_by_id = NULL
+       WHERE task_id = ? AND due_date = ?`,
+      [task.id, dueDate]
+    );
+  }
+};
+
+// Add time logged on workDate (YYYY-MM-DD, Karachi) to the occurrence it belongs to
+const addOccurrenceLoggedSeconds = async (db, taskId, seconds, workDate) => {
+  if (!seconds || seconds <= 0) return;
+  const task = await getRecurringTask(db, taskId);
+  if (!task) return;
+  const dueDate = getLatestDueDate(task.rule, workDate);
+  if (!dueDate) return;
+  await ensureOccurrence(db, task, dueDate);
+  await db.execute(
+    'UPDATE task_occurrences SET logged_seconds = logged_seconds + ? WHERE task_id = ? AND due_date = ?',
+    [Math.round(seconds), task.id, dueDate]
+  );
+};
+
+module.exports = {
+  materializeOccurrences,
+  recordOccurrenceStatus,
+  addOccurrenceLoggedSeconds
+};
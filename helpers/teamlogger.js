@@ -0,0 +1,276 @@
+const { mysqlPool } = require('../config/database');
+const { getEpochMsForRange, getZonedDateString, addDays, toOrgDateTime } = require('./dates');
+const { fetchEmployeeSummary } = require('./teamloggerClient');
+const { buildIdentityResolver } = require('./externalIdentities');
+
+// TeamLogger data warehouse (teamlogger_daily / teamlogger_sync_log, db/migrations/016_teamlogger_daily.js).
+// The scheduled teamlogger_sync job pulls employee_summary_report (helpers/teamloggerClient.js) one work date
+// at a time; every report, notification and idle accountability run reads the local rows instead of calling
+// TeamLogger per request. Datetimes are stored as organisation local time, like attendance and timesheets.
+
+const MAX_BACKFILL_DAYS = 93;
+// A date counts as final once it was synced this long after it ended (late uploads from the desktop client)
+const FINAL_SYNC_GRACE = '01:00:00';
+
+// Helper: epoch ms -> organisation local "YYYY-MM-DD HH:MM:SS"
+const toOrgDateTimeFromMs = (ms) => (ms ? toOrgDateTime(new Date(ms)) : null);
+
+const recordSyncResult = async (db, date, { rowsSynced = 0, syncedAt = null, error = null }) => {
+  if (error) {
+    await db.execute(
+      `INSERT INTO teamlogger_sync_log (work_date, last_status, last_error) VALUES (?, 'failed', ?)
+       ON DUPLICATE KEY UPDATE last_status = 'failed', last_error = VALUES(last_error)`,
+      [date, String(error).slice(0, 2000)]
+    );
+    return;
+  }
+  await db.execute(
+    `INSERT INTO teamlogger_sync_log (work_date, rows_synced, last_synced_at, last_status, last_error) VALUES (?, ?, ?, 'succeeded', NULL)
+     ON DUPLICATE KEY UPDATE rows_synced = VALUES(rows_synced), last_synced_at = VALUES(last_synced_at),
+       last_status = 'succeeded', last_error = NULL`,
+    [date, rowsSynced, syncedAt]
+  );
+};
+
+// Pull one work date (YYYY-MM-DD, organisation timezone) into teamlogger_daily; rows TeamLogger no longer
+// returns for that date are removed. Resolves to { date, rowsSynced }.
+const syncTeamLoggerDate = async (date, { db = mysqlPool } = {}) => {
+  const syncedAt = toOrgDateTime(new Date());
+  const isToday = date === getZonedDateString(0);
+  try {
+    const { startMs, endMs } = getEpochMsForRange(date, date);
+    const rows = await fetchEmployeeSummary(startMs, endMs);
+    const resolveEmployee = await buildIdentityResolver(db, 'teamlogger');
+    const matchEmployee = (item) => resolveEmployee({
+      externalId: item.teamloggerId, email: item.email, code: item.employeeCode, name: item.employeeName
+    });
+
+    const upsertSql = `
+      INSERT INTO teamlogger_daily (
+        work_date, teamlogger_id, employee_id, employee_name, email, employee_code,
+        on_computer_hours, meeting_hours, off_computer_hours, idle_hours, total_hours, pay, currency,
+        first_activity_at, last_activity_at, last_status_idle_seconds, last_status_at, synced_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        employee_id = VALUES(employee_id), employee_name = VALUES(employee_name), email = VALUES(email),
+        employee_code = VALUES(employee_code), on_computer_hours = VALUES(on_computer_hours),
+        meeting_hours = VALUES(meeting_hours), off_computer_hours = VALUES(off_computer_hours),
+        idle_hours = VALUES(idle_hours), total_hours = VALUES(total_hours), pay = VALUES(pay),
+        currency = VALUES(currency), first_activity_at = VALUES(first_activity_at),
+        last_activity_at = VALUES(last_activity_at), last_status_idle_seconds = VALUES(last_status_idle_seconds),
+        last_status_at = VALUES(last_status_at), synced_at = VALUES(synced_at)
+    `;
+
+    // Several report rows can share an id when TeamLogger splits a day; sum them
+    const byMember = new Map();
+    for (const item of rows) {
+      const existing = byMember.get(item.teamloggerId);
+      if (!existing) {
+        byMember.set(item.teamloggerId, item);
+        continue;
+      }
+      for (const key of ['onComputerHours', 'meetingHours', 'offComputerHours', 'idleHours', 'totalHours']) {
+        existing[key] += item[key];
+      }
+      if (item.pay != null) existing.pay = (existing.pay ?? 0) + item.pay;
+    }
+
+    for (const item of byMember.values()) {
+      await db.execute(upsertSql, [
+        date, item.teamloggerId, matchEmployee(item), item.employeeName || null, item.email || null, item.employeeCode || null,
+        Number(item.onComputerHours.toFixed(4)), Number(item.meetingHours.toFixed(4)), Number(item.offComputerHours.toFixed(4)),
+        Number(item.idleHours.toFixed(4)), Number(item.totalHours.toFixed(4)), item.pay, item.currency,
+        toOrgDateTimeFromMs(item.firstActivityMs), toOrgDateTimeFromMs(item.lastActivityMs),
+        // Live status is only meaningful for the day in progress
+        isToday ? item.statusIdleSeconds : null, isToday ? toOrgDateTimeFromMs(item.statusMs) : null,
+        syncedAt
+      ]);
+    }
+    await db.execute('DELETE FROM teamlogger_daily WHERE work_date = ? AND synced_at < ?', [date, syncedAt]);
+
+    await recordSyncResult(db, date, { rowsSynced: byMember.size, syncedAt });
+    console.log('TeamLogger sync complete for date=%s, rowsFromApi=%d, stored=%d', date, rows.length, byMember.size);
+    return { date, rowsSynced: byMember.size };
+  } catch (err) {
+    try {
+      // TeamLoggerError.kind (auth, rate_limited, timeout, ...) tells admins whether a retry can help
+      await recordSyncResult(db, date, { error: err.kind ? `[${err.kind}] ${err.message}` : (err.message || err) });
+    } catch (logErr) {
+      console.error('TeamLogger sync log update failed:', logErr.message || logErr);
+    }
+    throw err;
+  }
+};
+
+// Helper: sync each date in turn; one failed date does not stop the others
+const syncDates = async (dates, db) => {
+  const result = { dates, datesSynced: 0, rowsSynced: 0, failures: [] };
+  for (const date of dates) {
+    try {
+      const { rowsSynced } = await syncTeamLoggerDate(date, { db });
+      result.datesSynced += 1;
+      result.rowsSynced += rowsSynced;
+    } catch (err) {
+      console.error('TeamLogger sync failed for date=%s:', date, err.message || err);
+      result.failures.push({ date, error: err.message || String(err) });
+    }
+  }
+  return result;
+};
+
+// Backfill every date from startDate to endDate
+const syncTeamLoggerRange = async (startDate, endDate, { db = mysqlPool } = {}) => {
+  const dates = [];
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) dates.push(date);
+  return { startDate, endDate, ...(await syncDates(dates, db)) };
+};
+
+// Helper: has this date been synced after it ended (plus the grace period)?
+const isDateFinal = (date, lastSyncedAt) => !!lastSyncedAt && lastSyncedAt >= `${addDays(date, 1)} ${FINAL_SYNC_GRACE}`;
+
+// Incremental sync: today, plus every date in the last lookbackDays that is not final yet
+const runIncrementalSync = async ({ lookbackDays = 7, db = mysqlPool } = {}) => {
+  const today = getZonedDateString(0);
+  const fromDate = addDays(today, -Math.max(0, lookbackDays));
+  const [logRows] = await db.execute(
+    `SELECT DATE_FORMAT(work_date, '%Y-%m-%d') AS work_date, DATE_FORMAT(last_synced_at, '%Y-%m-%d %H:%i:%s') AS last_synced_at
+     FROM teamlogger_sync_log WHERE work_date >= ? AND work_date < ?`,
+    [fromDate, today]
+  );
+  const lastSynced = new Map(logRows.map(r => [r.work_date, r.last_synced_at]));
+  const dates = [];
+  for (let date = fromDate; date < today; date = addDays(date, 1)) {
+    if (!isDateFinal(date, lastSynced.get(date))) dates.push(date);
+  }
+  dates.push(today);
+  return syncDates(dates, db);
+};
+
+// Make sure a past date has final data before acting on it; used by the idle_accountability_sync job shortly after midnight
+const ensureDateSynced = async (date, { db = mysqlPool } = {}) => {
+  const [rows] = await db.execute(
+    `SELECT DATE_FORMAT(last_synced_at, '%Y-%m-%d %H:%i:%s') AS last_synced_at FROM teamlogger_sync_log WHERE work_date = ?`,
+    [date]
+  );
+  if (rows.length && isDateFinal(date, rows[0].last_synced_at)) return { date, synced: false };
+  await syncTeamLoggerDate(date, { db });
+  return { date, synced: true };
+};
+
+// Sync state for a date range: lastSyncedAt is the oldest per-date sync, i.e. how fresh the whole range is
+const getSyncStatus = async (db, startDate, endDate) => {
+  const [rows] = await db.execute(
+    `SELECT DATE_FORMAT(work_date, '%Y-%m-%d') AS work_date, rows_synced,
+       DATE_FORMAT(last_synced_at, '%Y-%m-%d %H:%i:%s') AS last_synced_at, last_status, last_error
+     FROM teamlogger_sync_log WHERE work_date >= ? AND work_date <= ? ORDER BY work_date`,
+    [startDate, endDate]
+  );
+  let totalDates = 0;
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) totalDates += 1;
+  const synced = rows.filter(r => r.last_synced_at);
+  return {
+    startDate,
+    endDate,
+    totalDates,
+    syncedDates: synced.length,
+    lastSyncedAt: synced.length === totalDates && synced.length > 0
+      ? synced.reduce((min, r) => (r.last_synced_at < min ? r.last_synced_at : min), synced[0].last_synced_at)
+      : null,
+    dates: rows
+  };
+};
+
+// Response headers the UI uses for its "last synced" indicator
+const setSyncHeaders = (res, status) => {
+  res.set('X-TeamLogger-Last-Synced', status.lastSyncedAt || '');
+  res.set('X-TeamLogger-Synced-Dates', `${status.syncedDates}/${status.totalDates}`);
+};
+
+// Per-employee totals for a date range from the local store, with the EMS department when matched
+const getEmployeeTimeSummary = async (db, startDate, endDate) => {
+  const [rows] = await db.execute(
+    `SELECT td.teamlogger_id, MAX(td.employee_id) AS employee_id, MAX(td.employee_name) AS employee_name,
+       MAX(td.email) AS email, MAX(td.employee_code) AS employee_code, MAX(td.currency) AS currency,
+       SUM(td.on_computer_hours) AS on_computer_hours, SUM(td.meeting_hours) AS meeting_hours,
+       SUM(td.off_computer_hours) AS off_computer_hours, SUM(td.idle_hours) AS idle_hours,
+       SUM(td.total_hours) AS total_hours, SUM(td.pay) AS pay, COUNT(*) AS days,
+       MAX(e.department) AS department
+     FROM teamlogger_daily td
+     LEFT JOIN employees e ON e.id = td.employee_id
+     WHERE td.work_date >= ? AND td.work_date <= ?
+     GROUP BY td.teamlogger_id`,
+    [startDate, endDate]
+  );
+  return rows.map(r => ({
+    teamloggerId: r.teamlogger_id,
+    employeeId: r.employee_id,
+    employeeName: r.employee_name || '',
+    email: r.email || '',
+    employeeCode: r.employee_code || '',
+    department: r.department || 'Unassigned',
+    onComputerHours: Number(r.on_computer_hours) || 0,
+    meetingHours: Number(r.meeting_hours) || 0,
+    offComputerHours: Number(r.off_computer_hours) || 0,
+    idleHours: Number(r.idle_hours) || 0,
+    totalHours: Number(r.total_hours) || 0,
+    pay: r.pay != null ? Number(r.pay) : null,
+    currency: r.currency || null,
+    days: Number(r.days) || 0
+  }));
+};
+
+// Employees whose idle time in the range is at least thresholdHours (Low Idle notifications)
+const getHighIdleEmployees = async (db, startDate, endDate, thresholdHours) => {
+  const summary = await getEmployeeTimeSummary(db, startDate, endDate);
+  return summary
+    .filter(item => item.idleHours >= thresholdHours)
+    .map(item => ({
+      teamloggerId: item.teamloggerId,
+      employeeId: item.employeeId,
+      employeeName: item.employeeName,
+      email: item.email,
+      employeeCode: item.employeeCode,
+      department: item.department,
+      idleHours: Number(item.idleHours.toFixed(2)),
+      idleSeconds: Math.round(item.idleHours * 3600),
+      dateRange: `${startDate} to ${endDate}`
+    }))
+    .sort((a, b) => b.idleHours - a.idleHours);
+};
+
+// Employees idle right now: TeamLogger's live status from today's latest sync, reported within the window
+const getCurrentlyIdleEmployees = async (db, windowMinutes, minIdleMinutes) => {
+  const since = toOrgDateTime(new Date(Date.now() - windowMinutes * 60 * 1000));
+  const [rows] = await db.execute(
+    `SELECT td.employee_id, td.employee_name, td.email, td.employee_code, td.last_status_idle_seconds, e.department
+     FROM teamlogger_daily td
+     LEFT JOIN employees e ON e.id = td.employee_id
+     WHERE td.work_date = ? AND td.last_status_at >= ? AND td.last_status_idle_seconds >= ?
+     ORDER BY td.last_status_idle_seconds DESC`,
+    [getZonedDateString(0), since, Math.round(minIdleMinutes * 60)]
+  );
+  return rows.map(r => ({
+    employeeId: r.employee_id,
+    employeeName: r.employee_name || '',
+    email: r.email || '',
+    employeeCode: r.employee_code || '',
+    department: r.department || 'Unassigned',
+    idleHours: Number((r.last_status_idle_seconds / 3600).toFixed(2)),
+    idleSeconds: r.last_status_idle_seconds,
+    dateRange: `Last ${windowMinutes} min`,
+    windowMinutes
+  }));
+};
+
+module.exports = {
+  MAX_BACKFILL_DAYS,
+  syncTeamLoggerDate,
+  syncTeamLoggerRange,
+  runIncrementalSync,
+  ensureDateSynced,
+  getSyncStatus,
+  setSyncHeaders,
+  getEmployeeTimeSummary,
+  getHighIdleEmployees,
+  getCurrentlyIdleEmployees
+};
@@ -0,0 +1,229 @@
+const axios = require('axios');
+
+// TeamLogger API client. Everything that talks to TeamLogger goes through here (helpers/teamlogger.js syncs
+// the local store; tools/ has the diagnostics and the offline mock server).
+// Env: TEAMLOGGER_API_KEY (required), TEAMLOGGER_API_URL (default https://api2.teamlogger.com; point it at
+// tools/teamlogger-mock-server.js to work offline), TEAMLOGGER_MIN_INTERVAL_MS (gap between requests, default 1000).
+
+const DEFAULT_BASE_URL = 'https://api2.teamlogger.com';
+const EMPLOYEE_SUMMARY_REPORT_PATH = '/api/employee_summary_report';
+const REQUEST_TIMEOUT_MS = 30000;
+const MAX_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 2000;
+const MAX_RETRY_DELAY_MS = 60000;
+
+// kind: config | auth | rate_limited | bad_request | server | timeout | network | invalid_response
+class TeamLoggerError extends Error {
+  constructor(message, { kind, status = null, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'TeamLoggerError';
+    this.kind = kind;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+const getBaseUrl = () => (process.env.TEAMLOGGER_API_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+
+const isConfigured = () => !!process.env.TEAMLOGGER_API_KEY;
+
+// ─── Rate limiting ──────────────────────────────────────────
+// Requests are serialised with a minimum gap so a backfill cannot burst the vendor API
+let queue = Promise.resolve();
+let lastRequestAt = 0;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const throttle = (fn) => {
+  const run = queue.then(async () => {
+    const minInterval = parseInt(process.env.TEAMLOGGER_MIN_INTERVAL_MS || '1000', 10) || 0;
+    const wait = lastRequestAt + minInterval - Date.now();
+    if (wait > 0) await sleep(wait);
+    lastRequestAt = Date.now();
+    return fn();
+  });
+  queue = run.catch(() => {});
+  return run;
+};
+
+// ─── Error classification ───────────────────────────────────
+const bodyMessage = (body) => {
+  if (!body) return '';
+  if (typeof body === 'object') return body.message || body.error || JSON.stringify(body).slice(0, 200);
+  return String(body).slice(0, 200);
+};
+
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+};
+
+const classifyResponse = (response) => {
+  const { status } = response;
+  const msg = bodyMessage(response.data) || `HTTP ${status}`;
+  if (status === 401 || status === 403) {
+    return new TeamLoggerError(`TeamLogger rejected the API key (${status}): ${msg}`, { kind: 'auth', status });
+  }
+  if (status === 429) {
+    return new TeamLoggerError(`TeamLogger rate limit hit: ${msg}`, {
+      kind: 'rate_limited', status, retryable: true, retryAfterMs: parseRetryAfter(response.headers?.['retry-after'])
+    });
+  }
+  if (status >= 500) {
+    return new TeamLoggerError(`TeamLogger server error (${status}): ${msg}`, { kind: 'server', status, retryable: true });
+  }
+  return new TeamLoggerError(`TeamLogger request failed (${status}): ${msg}`, { kind: 'bad_request', status });
+};
+
+const classifyRequestError = (err) => {
+  if (err instanceof TeamLoggerError) return err;
+  if (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT' || /timeout/i.test(err.message || '')) {
+    return new TeamLoggerError(`TeamLogger request timed out: ${err.message}`, { kind: 'timeout', retryable: true });
+  }
+  return new TeamLoggerError(`TeamLogger is unreachable: ${err.message || err}`, { kind: 'network', retryable: true });
+};
+
+// GET a TeamLogger endpoint with throttling and retries; resolves to the response body
+const request = async (path, params) => {
+  const apiKey = process.env.TEAMLOGGER_API_KEY;
+  if (!apiKey) {
+    throw new TeamLoggerError('Team Logger API key is not configured. Set TEAMLOGGER_API_KEY environment variable.', { kind: 'config' });
+  }
+
+  let lastError;
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    try {
+      const response = await throttle(() => axios.get(`${getBaseUrl()}${path}`, {
+        params,
+        headers: { Authorization: `Bearer ${apiKey}` },
+        timeout: REQUEST_TIMEOUT_MS,
+        validateStatus: () => true
+      }));
+      if (response.status === 200) return response.data;
+      throw classifyResponse(response);
+    } catch (err) {
+      lastError = classifyRequestError(err);
+      if (!lastError.retryable || attempt === MAX_ATTEMPTS) break;
+      const backoff = lastError.retryAfterMs ?? RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+      console.warn(`⚠️ TeamLogger ${path} attempt ${attempt} failed (${lastError.kind}), retrying in ${backoff}ms`);
+      await sleep(Math.min(backoff, MAX_RETRY_DELAY_MS));
+    }
+  }
+  throw lastError;
+};
+
+// ─── Normalisation ──────────────────────────────────────────
+// Helper: number from a TeamLogger field, null when missing or not numeric
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const num = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(num) ? num : null;
+};
+
+const toText = (value) => (value === null || value === undefined ? '' : String(value).trim());
+
+// Idle hours: idleHours, else inactiveSecondsCount, else any idle (hours) / inactive (seconds) field
+const getIdleHours = (row) => {
+  if (!row || typeof row !== 'object') return 0;
+  const hours = toNumber(row.idleHours ?? row.idle_hours ?? row.IdleHours);
+  if (hours != null) return hours;
+  const seconds = toNumber(row.inactiveSecondsCount ?? row.inactive_seconds_count ?? row.InactiveSecondsCount);
+  if (seconds != null) return seconds / 3600;
+  for (const key of Object.keys(row)) {
+    const lower = key.toLowerCase();
+    if (lower.includes('idle') && !lower.includes('inactive') && !lower.includes('second')) {
+      const value = toNumber(row[key]);
+      if (value != null) return value;
+    }
+    if (lower.includes('inactive') && (lower.includes('second') || lower.includes('count'))) {
+      const value = toNumber(row[key]);
+      if (value != null) return value / 3600;
+    }
+  }
+  return 0;
+};
+
+// Total tracked hours from whichever hours/minutes/seconds field the row has; null when none
+const getTotalHours = (row) => {
+  if (!row || typeof row !== 'object') return null;
+  for (const key of ['totalHours', 'total_hours', 'workedHours', 'worked_hours', 'hoursWorked', 'hours_worked', 'activeHours', 'active_hours']) {
+    const value = toNumber(row[key]);
+    if (value != null) return value;
+  }
+  for (const key of ['totalMinutes', 'total_minutes', 'workedMinutes', 'worked_minutes', 'minutesWorked', 'minutes_worked']) {
+    const value = toNumber(row[key]);
+    if (value != null) return value / 60;
+  }
+  for (const key of ['totalSeconds', 'total_seconds', 'workedSeconds', 'worked_seconds']) {
+    const value = toNumber(row[key]);
+    if (value != null) return value / 3600;
+  }
+  return null;
+};
+
+// Stable key for one TeamLogger member: their id, else email, name or code
+const getEmployeeKey = (row) => {
+  const id = toText(row.id);
+  if (id) return id;
+  const fallback = toText(row.email) || toText(row.title ?? row.name ?? row.employeeName) || toText(row.code ?? row.employeeCode);
+  return `key:${(fallback || 'unknown').toLowerCase()}`;
+};
+
+// One employee_summary_report row ->
+// { teamloggerId, employeeName, email, employeeCode, onComputerHours, meetingHours, offComputerHours,
+//   idleHours, totalHours, pay, currency, firstActivityMs, lastActivityMs, statusIdleSeconds, statusMs }
+// Hours are numbers (0 when missing); pay, currency, *Ms and status fields are null when TeamLogger has none.
+const normalizeEmployeeSummaryRow = (row) => {
+  const onComputerHours = toNumber(row.onComputerHours) ?? 0;
+  const meetingHours = toNumber(row.meetingHours) ?? 0;
+  const offComputerHours = toNumber(row.offComputerHours) ?? 0;
+  const status = row.las && typeof row.las === 'object' ? row.las : null;
+  const positiveMs = (value) => {
+    const ms = toNumber(value);
+    return ms && ms > 0 ? ms : null;
+  };
+  return {
+    teamloggerId: getEmployeeKey(row),
+    employeeName: toText(row.title ?? row.name ?? row.employeeName),
+    email: toText(row.email),
+    employeeCode: toText(row.code ?? row.employeeCode),
+    onComputerHours,
+    meetingHours,
+    offComputerHours,
+    idleHours: getIdleHours(row),
+    totalHours: getTotalHours(row) ?? (onComputerHours + meetingHours + offComputerHours),
+    pay: toNumber(row.pay),
+    currency: toText(row.currency).slice(0, 10) || null,
+    firstActivityMs: positiveMs(row.firstActivityTime),
+    lastActivityMs: positiveMs(row.lastActivityTime),
+    statusIdleSeconds: status ? toNumber(status.idleSecs) : null,
+    statusMs: status ? positiveMs(status.ts) : null
+  };
+};
+
+// ─── Endpoints ──────────────────────────────────────────────
+// employee_summary_report for [startMs, endMs); resolves to normalised rows
+const fetchEmployeeSummary = async (startMs, endMs) => {
+  const body = await request(EMPLOYEE_SUMMARY_REPORT_PATH, { startTime: startMs, endTime: endMs });
+  const rows = Array.isArray(body) ? body : (Array.isArray(body?.data) ? body.data : null);
+  if (!rows) {
+    throw new TeamLoggerError('TeamLogger employee_summary_report returned an unexpected body', { kind: 'invalid_response' });
+  }
+  return rows.filter(row => row && typeof row === 'object').map(normalizeEmployeeSummaryRow);
+};
+
+module.exports = {
+  TeamLoggerError,
+  EMPLOYEE_SUMMARY_REPORT_PATH,
+  getBaseUrl,
+  isConfigured,
+  getIdleHours,
+  getTotalHours,
+  getEmployeeKey,
+  normalizeEmployeeSummaryRow,
+  fetchEmployeeSummary
+};
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const { mysqlPool } = require('../config/database');
+
+const SESSION_COOKIE_NAME = 'ems_session';
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS || '12', 10);
+// How often last_seen_at / expires_at are pushed forward for an active session
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Helper: tokens are only ever stored hashed so a database dump cannot be replayed as a login
+const hashSessionToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Helper: read a single cookie value without pulling in cookie-parser
+const readCookie = (req, name) => {
+  const header = req.headers.cookie;
+  if (!header) return null;
+  for (const part of header.split(';')) {
+    const idx = part.indexOf('=');
+    if (idx === -1) continue;
+    if (part.slice(0, idx).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(idx + 1).trim());
+      } catch (e) {
+        return null;
+      }
+    }
+  }
+  return null;
+};
+
+// Helper: session token from the HTTP-only cookie, or a Bearer header for non-browser clients
+const getSessionToken = (req) => {
+  const authHeader = req.headers.authorization || '';
+  if (authHeader.toLowerCase().startsWith('bearer ')) {
+    const bearer = authHeader.slice(7).trim();
+    if (bearer) return bearer;
+  }
+  return readCookie(req, SESSION_COOKIE_NAME);
+};
+
+const buildCookie = (value, maxAgeSeconds) => {
+  const parts = [
+    `${SESSION_COOKIE_NAME}=${encodeURIComponent(value)}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${maxAgeSeconds}`
+  ];
+  if (process.env.SESSION_COOKIE_SECURE === 'true') parts.push('Secure');
+  return parts.join('; ');
+};
+
+const setSessionCookie = (res, token) => {
+  res.setHeader('Set-Cookie', buildCookie(token, SESSION_TTL_HOURS * 3600));
+};
+
+const clearSessionCookie = (res) => {
+  res.setHeader('Set-Cookie', buildCookie('', 0));
+};
+
+// Helper: load role permissions for an employee's user_role from the roles table
+const getRolePermissions = async (connection, roleName) => {
+  if (!roleName) return [];
+  const [rows] = await connection.execute(
+    `SELECT permissions FROM roles WHERE name = ? AND status = 'Active'`,
+    [roleName]
+  );
+  if (rows.length === 0 || !rows[0].permissions) return [];
+  try {
+    const parsed = typeof rows[0].permissions === 'string' ? JSON.parse(rows[0].permissions) : rows[0].permissions;
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    console.error('Error parsing permissions for role:', roleName, e);
+    return [];
+  }
+};
+
+// Helper: shape an employees row into the req.user object every route reads
+const buildSessionUser = async (connection, employee) => {
+  const rawRole = employee.user_role || 'employee';
+  const isAdmin = String(rawRole).toLowerCase() === 'admin';
+  const permissions = await getRolePermissions(connection, employee.user_role);
+  if (isAdmin && !permissions.includes('all')) permissions.push('all');
+
+  return {
+    id: employee.id,
+    employee_id: employee.employee_id,
+    name: employee.name,
+    email: employee.email,
+    role: isAdmin ? 'admin' : rawRole,
+    department: employee.department,
+    designation: employee.designation,
+    permissions
+  };
+};
+
+// Create a session row for an employee and return the raw token (only ever handed to the client)
+const createSession = async (connection, employeeId, req) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  await connection.execute(
+    `INSERT INTO user_sessions (token_hash, employee_id, ip_address, user_agent, last_seen_at, expires_at)
+     VALUES (?, ?, ?, ?, NOW(), DATE_ADD(NOW(), INTERVAL ? HOUR))`,
+    [
+      hashSessionToken(token),
+      employeeId,
+      (req.ip || '').toString().slice(0, 64) || null,
+      (req.headers['user-agent'] || '').toString().slice(0, 255) || null,
+      SESSION_TTL_HOURS
+    ]
+  );
+  return token;
+};
+
+const revokeSession = async (connection, token) => {
+  if (!token) return 0;
+  const [result] = await connection.execute(
+    'UPDATE user_sessions SET revoked_at = NOW() WHERE token_hash = ? AND revoked_at IS NULL',
+    [hashSessionToken(token)]
+  );
+  return result.affectedRows;
+};
+
+// Revoke every live session for an employee (password change, deactivation), optionally keeping one
+const revokeSessionsForEmployee = async (connection, employeeId, exceptSessionId = null) => {
+  const [result] = await connection.execute(
+    'UPDATE user_sessions SET revoked_at = NOW() WHERE employee_id = ? AND revoked_at IS NULL AND id <> ?',
+    [employeeId, exceptSessionId || 0]
+  );
+  return result.affectedRows;
+};
+
+// Resolve a raw token to { sessionId, user }, or null when missing, expired, revoked or inactive
+const resolveSession = async (connection, token) => {
+  if (!token) return null;
+  const [rows] = await connection.execute(
+    `SELECT s.id AS session_id, s.last_seen_at, e.*
+     FROM user_sessions s
+     JOIN employees e ON e.id = s.employee_id
+     WHERE s.token_hash = ?
+       AND s.revoked_at IS NULL
+       AND s.expires_at > NOW()
+       AND e.status = 'Active'`,
+    [hashSessionToken(token)]
+  );
+  if (rows.length === 0) return null;
+
+  const row = rows[0];
+  const lastSeen = row.last_seen_at ? new Date(row.last_seen_at).getTime() : 0;
+  if (!lastSeen || Date.now() - lastSeen > SESSION_TOUCH_INTERVAL_MS) {
+    // Sliding expiry: an active session stays alive for SESSION_TTL_HOURS after its last use
+    await connection.execute(
+      'UPDATE user_sessions SET last_seen_at = NOW(), expires_at = DATE_ADD(NOW(), INTERVAL ? HOUR) WHERE id = ?',
+      [SESSION_TTL_HOURS, row.session_id]
+    );
+  }
+
+  const user = await buildSessionUser(connection, row);
+  return { sessionId: row.session_id, user };
+};
+
+// Middleware: require a valid session and attach the resolved employee as req.user
+const authenticate = async (req, res, next) => {
+  const token = getSessionToken(req);
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  let connection;
+  let resolved;
+  try {
+    connection = await mysqlPool.getConnection();
+    resolved = await resolveSession(connection, token);
+  } catch (err) {
+    console.error('Error resolving session:', err);
+    return res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+
+  if (!resolved) {
+    clearSessionCookie(res);
+    return res.status(401).json({ error: 'Session expired or invalid. Please sign in again.' });
+  }
+
+  req.user = resolved.user;
+  req.sessionId = resolved.sessionId;
+  req.sessionToken = token;
+  next();
+};
+
+module.exports = {
+  SESSION_COOKIE_NAME,
+  authenticate,
+  buildSessionUser,
+  createSession,
+  revokeSession,
+  revokeSessionsForEmployee,
+  getSessionToken,
+  setSessionCookie,
+  clearSessionCookie
+};
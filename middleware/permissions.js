@@ -1,12 +1,105 @@
-// Helper function to get permissions from headers
-const getPermissionsFromHeaders = (req) => {
-  const userPermissions = req.headers['x-user-permissions'];
-  try {
-    return JSON.parse(userPermissions);
-  } catch (error) {
-    console.error('Error parsing user permissions:', error);
-    return [];
-  }
-};
-
-module.exports = { getPermissionsFromHeaders };
+// Helper function to get the signed-in user's permissions (resolved server-side by middleware/auth)
+const getUserPermissions = (req) => {
+  return (req.user && Array.isArray(req.user.permissions)) ? req.user.permissions : [];
+};
+
+const isAdminUser = (user) => !!user && (user.role || '').toString().toLowerCase() === 'admin';
+
+// Managers are recognised by role or by a designation containing "manager"
+const isManagerUser = (user) => {
+  if (!user) return false;
+  if ((user.role || '').toString().toLowerCase() === 'manager') return true;
+  const designation = (user.designation || '').toString().trim().toLowerCase();
+  return designation !== '' && designation.includes('manager');
+};
+
+// Check a user against one permission (or any of several); admins and 'all' always pass
+const userHasPermission = (user, permission, { allowManagers = false } = {}) => {
+  if (!user) return false;
+  const permissions = Array.isArray(user.permissions) ? user.permissions : [];
+  if (isAdminUser(user) || permissions.includes('all')) return true;
+  if (allowManagers && isManagerUser(user)) return true;
+  const required = Array.isArray(permission) ? permission : [permission];
+  return required.some(p => permissions.includes(p));
+};
+
+// Middleware factory: router.get('/x', requirePermission('lhe_view', { allowManagers: true }), handler)
+// Pass 'all' for admin-only endpoints. The rule is attached to the middleware so GET /api/permissions can list it.
+const requirePermission = (permission, options = {}) => {
+  const { allowManagers = false } = options;
+  const required = Array.isArray(permission) ? permission : [permission];
+
+  const middleware = (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!userHasPermission(req.user, required, { allowManagers })) {
+      console.log(`Access denied: user ${req.user.id} (${req.user.role}) lacks ${required.join(' or ')} for ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({
+        error: 'Access denied. You do not have permission to perform this action.',
+        requiredPermission: required.length === 1 ? required[0] : required,
+        allowManagers
+      });
+    }
+    next();
+  };
+  middleware.permissionRule = { permissions: required, allowManagers };
+  return middleware;
+};
+
+// Middleware factory for per-employee routes (/:id): the employee may always read their own record; anyone else
+// needs the permission, as with requirePermission
+const requireSelfOrPermission = (permission, options = {}) => {
+  const check = requirePermission(permission, options);
+  const middleware = (req, res, next) => {
+    if (req.user && String(req.params.id) === String(req.user.id)) return next();
+    return check(req, res, next);
+  };
+  middleware.permissionRule = check.permissionRule;
+  return middleware;
+};
+
+// Helper: recover the mount path of an app.use() layer from its compiled regexp (Express 4)
+const getMountPath = (layer) => {
+  if (!layer.regexp || layer.regexp.fast_slash) return '';
+  const match = layer.regexp.source.match(/^\^\\(\/.*?)\\\/\?\(\?=\\\/\|\$\)/);
+  return match ? match[1].replace(/\\\//g, '/') : '';
+};
+
+// Walk the mounted routers and return { permission: [{ method, path, allowManagers }] }
+const listPermissionEndpoints = (app) => {
+  const byPermission = {};
+  const stack = (app && app._router && app._router.stack) || [];
+
+  const visit = (layers, prefix) => {
+    layers.forEach(layer => {
+      if (layer.route) {
+        const rules = layer.route.stack.map(l => l.handle && l.handle.permissionRule).filter(Boolean);
+        const methods = Object.keys(layer.route.methods).map(m => m.toUpperCase());
+        rules.forEach(rule => {
+          rule.permissions.forEach(p => {
+            if (!byPermission[p]) byPermission[p] = [];
+            methods.forEach(method => {
+              byPermission[p].push({ method, path: `${prefix}${layer.route.path}`, allowManagers: rule.allowManagers });
+            });
+          });
+        });
+      } else if (layer.handle && Array.isArray(layer.handle.stack)) {
+        visit(layer.handle.stack, `${prefix}${getMountPath(layer)}`);
+      }
+    });
+  };
+
+  visit(stack, '');
+  return byPermission;
+};
+
+module.exports = {
+  getUserPermissions,
+  isAdminUser,
+  isManagerUser,
+  userHasPermission,
+  requirePermission,
+  requireSelfOrPermission,
+  listPermissionEndpoints
+};
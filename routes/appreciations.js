@@ -1,6 +1,10 @@
 const router = require('express').Router();
 const { mysqlPool } = require('../config/database');
 const { sanitizeForMySQL } = require('../helpers/sanitize');
+const { requirePermission } = require('../middleware/permissions');
+
+// Appreciations feed employees' health scores; managers and appreciations_manage holders write them
+const canManageAppreciations = requirePermission('appreciations_manage', { allowManagers: true });
 
 // GET /api/appreciations - List all appreciations
 router.get('/', async (req, res) => {
@@ -25,7 +29,7 @@ router.get('/', async (req, res) => {
 });
 
 // POST /api/appreciations - Create an appreciation
-router.post('/', async (req, res) => {
+router.post('/', canManageAppreciations, async (req, res) => {
   const { employee_id, title, description, appreciation_date } = req.body;
   if (!employee_id || !title) {
     return res.status(400).json({ error: 'employee_id and title are required' });
@@ -70,7 +74,7 @@ router.post('/', async (req, res) => {
 });
 
 // DELETE /api/appreciations/bulk - Bulk delete (must be before /:id)
-router.delete('/bulk', async (req, res) => {
+router.delete('/bulk', canManageAppreciations, async (req, res) => {
   const { ids } = req.body;
 
   if (!ids || !Array.isArray(ids) || ids.length === 0) {
@@ -103,7 +107,7 @@ router.delete('/bulk', async (req, res) => {
 });
 
 // DELETE /api/appreciations/:id - Delete single appreciation
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', canManageAppreciations, async (req, res) => {
   const { id } = req.params;
 
   let connection;
@@ -147,7 +151,7 @@ typesRouter.get('/', async (req, res) => {
 });
 
 // POST /api/appreciation-types
-typesRouter.post('/', async (req, res) => {
+typesRouter.post('/', canManageAppreciations, async (req, res) => {
   const { name } = req.body;
   if (!name || !String(name).trim()) {
     return res.status(400).json({ error: 'name is required' });
@@ -2,27 +2,96 @@ const router = require('express').Router();
 const multer = require('multer');
 const xlsx = require('xlsx');
 const { mysqlPool } = require('../config/database');
-const { formatAttendanceDate } = require('../helpers/dates');
+const { formatAttendanceDate, addDays, getOrgNow, toOrgDateTime, getOrgUtcOffset, countWorkingDays } = require('../helpers/dates');
 const { logTaskHistory } = require('../helpers/taskHistory');
+const { addOccurrenceLoggedSeconds } = require('../helpers/taskOccurrences');
+const { taskHasEmployeeSql } = require('../helpers/taskAssignees');
+const { getShiftForClockIn, minutesBetween } = require('../helpers/shiftRoster');
+const { getHolidayDates, loadHolidayEmployee } = require('../helpers/holidays');
+const {
+  recomputeAttendanceRollup,
+  openSession,
+  findOpenSession,
+  findOpenBreak,
+  startBreak,
+  endBreak,
+  closeSession,
+  replaceWithManualSession,
+  deleteSessionsForAttendance,
+  getSessionsByAttendance
+} = require('../helpers/attendanceSessions');
+const { buildApprovalScope, snapshotAttendance, logAttendanceAudit } = require('../helpers/attendanceRegularization');
+const { isAdminUser, requirePermission, userHasPermission } = require('../middleware/permissions');
 
 const upload = multer({ storage: multer.memoryStorage() });
 
+// Helper: open attendance entry for today, or for yesterday when it is a night shift that ends today
+const findOpenEntry = async (connection, employeeId, today, columns = '*') => {
+  const [rows] = await connection.execute(
+    `SELECT ${columns} FROM attendance
+     WHERE employee_id = ? AND clock_out IS NULL
+       AND (date = ? OR (date = ? AND shift_end IS NOT NULL AND DATE(shift_end) = ?))
+     ORDER BY clock_in DESC LIMIT 1`,
+    [employeeId, today, addDays(today, -1), today]
+  );
+  return rows;
+};
+
+// Helper: manual entries send the time of day separately from the date
+const toDateTime = (date, time) => {
+  if (!time) return null;
+  const value = String(time).trim().replace('T', ' ');
+  return value.includes(' ') ? value : `${date} ${value.length === 5 ? `${value}:00` : value}`;
+};
+
+// Helper: clock and break actions are for the signed-in employee at the server's time. Only admins may
+// act for someone else (employee_id) or record an explicit time (when). Returns { employeeId, when } or { error }.
+const resolveClockRequest = (req, { employee_id, when } = {}) => {
+  const admin = isAdminUser(req.user);
+  if (employee_id && Number(employee_id) !== Number(req.user.id) && !admin) {
+    return { error: 'You can only record your own attendance' };
+  }
+  if (when && !admin) return { error: 'Only admins can record attendance at another time' };
+  return { employeeId: admin && employee_id ? Number(employee_id) : Number(req.user.id), when: admin ? when || null : null };
+};
+
+// Helper: everyone may read their own attendance; another employee's (or everyone's) needs the Attendance page
+// permission, which managers have
+const canReadAttendance = (req, employeeId) =>
+  (!!employeeId && String(employeeId) === String(req.user.id)) ||
+  userHasPermission(req.user, 'view_attendance_submenu', { allowManagers: true });
+
+const formatShift = (shiftInfo) => {
+  if (!shiftInfo || !shiftInfo.shift) return null;
+  return {
+    id: shiftInfo.shift.id,
+    name: shiftInfo.shift.name,
+    work_date: shiftInfo.workDate,
+    start: shiftInfo.window.start,
+    end: shiftInfo.window.end,
+    source: shiftInfo.source
+  };
+};
+
 // GET /api/attendance/status - Get current clock-in status for an employee
 router.get('/status', async (req, res) => {
-  const { employee_id } = req.query;
-  if (!employee_id) return res.status(400).json({ error: 'employee_id is required' });
+  const { employeeId: employee_id, error } = resolveClockRequest(req, { employee_id: req.query.employee_id });
+  if (error) return res.status(403).json({ error });
 
   let connection;
   try {
     connection = await mysqlPool.getConnection();
     await connection.ping();
 
-    const today = new Date().toLocaleString('sv-SE', { timeZone: 'Asia/Karachi' }).split(' ')[0];
+    const nowLocal = getOrgNow();
+    const today = nowLocal.split(' ')[0];
 
-    const query = `SELECT * FROM attendance WHERE employee_id = ? AND date = ? AND clock_out IS NULL ORDER BY clock_in DESC LIMIT 1`;
-    const [rows] = await connection.execute(query, [employee_id, today]);
+    const rows = await findOpenEntry(connection, employee_id, today);
+    const shiftInfo = await getShiftForClockIn(connection, employee_id, nowLocal);
 
     let entry = null;
+    let sessions = [];
+    let currentSession = null;
 
     if (rows.length > 0) {
       const row = rows[0];
@@ -31,12 +100,31 @@ router.get('/status', async (req, res) => {
         clock_in: formatAttendanceDate(row.clock_in),
         clock_out: formatAttendanceDate(row.clock_out)
       };
+      sessions = (await getSessionsByAttendance(connection, [row.id])).get(row.id) || [];
+      currentSession = sessions.find(s => !s.clock_out) || null;
+    } else {
+      // Not clocked in: still show today's finished sessions
+      const [todayRows] = await connection.execute(
+        'SELECT id, duration_seconds FROM attendance WHERE employee_id = ? AND date = ? ORDER BY id DESC LIMIT 1',
+        [employee_id, today]
+      );
+      if (todayRows.length > 0) {
+        sessions = (await getSessionsByAttendance(connection, [todayRows[0].id])).get(todayRows[0].id) || [];
+      }
     }
+    const currentBreak = currentSession ? currentSession.breaks.find(b => !b.break_end) || null : null;
 
     res.json({
       active: Boolean(entry),
       entry,
-      totalDailyDuration: entry ? entry.duration_seconds || 0 : 0
+      current_session: currentSession,
+      on_break: Boolean(currentBreak),
+      current_break: currentBreak,
+      sessions,
+      // Worked time of finished sessions; the client adds the running session
+      totalDailyDuration: sessions.reduce((sum, s) => sum + (s.clock_out ? Number(s.duration_seconds) || 0 : 0), 0),
+      shift: formatShift(shiftInfo),
+      rostered_off: Boolean(shiftInfo && shiftInfo.rostered && !shiftInfo.shift)
     });
   } catch (err) {
     console.error('Error fetching attendance status:', err);
@@ -48,17 +136,18 @@ router.get('/status', async (req, res) => {
 
 // POST /api/attendance/clock-in
 router.post('/clock-in', async (req, res) => {
-  const { employee_id, when } = req.body;
-  if (!employee_id) return res.status(400).json({ error: 'employee_id is required' });
+  const { source, note } = req.body;
+  const { employeeId: employee_id, when, error } = resolveClockRequest(req, req.body);
+  if (error) return res.status(403).json({ error });
 
   let connection;
   try {
     connection = await mysqlPool.getConnection();
     await connection.ping();
 
-    const nowISO = when || new Date().toLocaleString('sv-SE', { timeZone: 'Asia/Karachi' }).replace(' ', 'T');
+    const nowISO = when || getOrgNow().replace(' ', 'T');
     const now = nowISO.replace('T', ' ');
-    const today = new Date().toLocaleString('sv-SE', { timeZone: 'Asia/Karachi' }).split(' ')[0];
+    const today = getOrgNow().split(' ')[0];
 
     const [employeeRows] = await connection.execute('SELECT name FROM employees WHERE id = ?', [employee_id]);
     if (employeeRows.length === 0) {
@@ -66,47 +155,67 @@ router.post('/clock-in', async (req, res) => {
     }
     const employeeName = employeeRows[0].name;
 
-    const [existingRows] = await connection.execute(
-      'SELECT id FROM attendance WHERE employee_id = ? AND date = ? AND clock_out IS NULL',
-      [employee_id, today]
-    );
+    const existingRows = await findOpenEntry(connection, employee_id, today, 'id');
     if (existingRows.length > 0) {
       return res.status(400).json({ error: 'Already clocked in for today' });
     }
 
+    // Evaluate against the rostered shift; a night shift still running from yesterday keeps yesterday's date
+    const shiftInfo = await getShiftForClockIn(connection, employee_id, now.slice(0, 19));
+    const workDate = shiftInfo ? shiftInfo.workDate : today;
+    let lateMinutes = null;
+    if (shiftInfo && shiftInfo.shift) {
+      const minutesAfterStart = minutesBetween(shiftInfo.window.start, now.slice(0, 19));
+      lateMinutes = minutesAfterStart > (Number(shiftInfo.shift.grace_minutes) || 0) ? minutesAfterStart : 0;
+    }
+
     const [todayRecord] = await connection.execute(
-      'SELECT id, session_count, duration_seconds FROM attendance WHERE employee_id = ? AND date = ? ORDER BY id DESC LIMIT 1',
-      [employee_id, today]
+      'SELECT id, late_minutes FROM attendance WHERE employee_id = ? AND date = ? ORDER BY id DESC LIMIT 1',
+      [employee_id, workDate]
     );
 
+    // Every clock-in is its own session; the daily row keeps the first clock-in and the totals
+    let attendanceId;
+    let dayLateMinutes;
+    const shift = shiftInfo && shiftInfo.shift;
     if (todayRecord.length > 0) {
-      const currentSessionCount = todayRecord[0].session_count || 1;
-      await connection.execute(
-        'UPDATE attendance SET session_count = ?, clock_in = ?, clock_out = NULL WHERE id = ?',
-        [currentSessionCount + 1, now, todayRecord[0].id]
-      );
-      res.status(200).json({
-        id: todayRecord[0].id,
-        employee_id,
-        employee_name: employeeName,
-        date: today,
-        clock_in: formatAttendanceDate(nowISO),
-        session_count: currentSessionCount + 1
-      });
+      attendanceId = todayRecord[0].id;
+      dayLateMinutes = todayRecord[0].late_minutes;
     } else {
       const [result] = await connection.execute(
-        'INSERT INTO attendance (employee_id, employee_name, date, clock_in, session_count) VALUES (?, ?, ?, ?, 1)',
-        [employee_id, employeeName, today, now]
+        `INSERT INTO attendance (employee_id, employee_name, date, clock_in, session_count, shift_id, shift_start, shift_end, late_minutes)
+         VALUES (?, ?, ?, ?, 0, ?, ?, ?, ?)`,
+        [employee_id, employeeName, workDate, now, shift ? shift.id : null, shift ? shiftInfo.window.start : null, shift ? shiftInfo.window.end : null, lateMinutes]
       );
-      res.status(201).json({
-        id: result.insertId,
-        employee_id,
-        employee_name: employeeName,
-        date: today,
-        clock_in: formatAttendanceDate(nowISO),
-        session_count: 1
-      });
+      attendanceId = result.insertId;
+      dayLateMinutes = lateMinutes;
+      if (lateMinutes) {
+        console.log(`⏰ ${employeeName} clocked in ${lateMinutes} minute(s) after the start of ${shift.name}`);
+      }
     }
+
+    const sessionId = await openSession(connection, {
+      attendanceId,
+      employeeId: employee_id,
+      clockIn: now,
+      source: source || 'web',
+      ip: req.ip || null,
+      note: note ? String(note).slice(0, 500) : null
+    });
+    const rollup = await recomputeAttendanceRollup(connection, attendanceId);
+
+    res.status(todayRecord.length > 0 ? 200 : 201).json({
+      id: attendanceId,
+      session_id: sessionId,
+      employee_id,
+      employee_name: employeeName,
+      date: workDate,
+      clock_in: formatAttendanceDate(nowISO),
+      session_count: rollup.session_count,
+      duration_seconds: rollup.duration_seconds,
+      shift: formatShift(shiftInfo),
+      late_minutes: dayLateMinutes
+    });
   } catch (err) {
     console.error('Error clocking in:', err);
     res.status(500).json({ error: 'Database error' });
@@ -117,55 +226,41 @@ router.post('/clock-in', async (req, res) => {
 
 // POST /api/attendance/clock-out
 router.post('/clock-out', async (req, res) => {
-  const { employee_id, when } = req.body;
-  if (!employee_id) return res.status(400).json({ error: 'employee_id is required' });
+  const { employeeId: employee_id, when, error } = resolveClockRequest(req, req.body);
+  if (error) return res.status(403).json({ error });
 
   let connection;
   try {
     connection = await mysqlPool.getConnection();
     await connection.ping();
 
-    const nowISO = when || new Date().toLocaleString('sv-SE', { timeZone: 'Asia/Karachi' }).replace(' ', 'T');
+    const nowISO = when || getOrgNow().replace(' ', 'T');
     const now = nowISO.replace('T', ' ');
-    const today = new Date().toLocaleString('sv-SE', { timeZone: 'Asia/Karachi' }).split(' ')[0];
+    const today = getOrgNow().split(' ')[0];
 
-    const [rows] = await connection.execute(
-      'SELECT id, clock_in, session_count, duration_seconds FROM attendance WHERE employee_id = ? AND date = ? AND clock_out IS NULL ORDER BY clock_in DESC LIMIT 1',
-      [employee_id, today]
-    );
+    const rows = await findOpenEntry(connection, employee_id, today, 'id, CAST(shift_end AS CHAR) AS shift_end');
     if (rows.length === 0) {
       return res.status(400).json({ error: 'Not clocked in for today' });
     }
 
     const row = rows[0];
 
-    const normalizeToDate = (value) => {
-      if (!value) return null;
-      if (value instanceof Date) return value;
-      const strValue = String(value).trim();
-      if (!strValue) return null;
-      if (strValue.includes('T')) return new Date(strValue);
-      if (strValue.includes(' ')) {
-        const [datePart, timePart] = strValue.split(' ');
-        return new Date(`${datePart}T${timePart}`);
-      }
-      return new Date(`${today}T${strValue}`);
-    };
-
-    const clockInTime = normalizeToDate(row.clock_in);
-    const nowDate = normalizeToDate(nowISO);
-    const nowForDb = now;
-
-    const currentSessionDuration = Math.max(0, Math.floor(((nowDate || new Date()) - (clockInTime || new Date())) / 1000));
+    // Rows opened before sessions existed get their session on the way out
+    let session = await findOpenSession(connection, row.id);
+    if (!session) {
+      const [legacy] = await connection.execute('SELECT CAST(clock_in AS CHAR) AS clock_in FROM attendance WHERE id = ?', [row.id]);
+      await openSession(connection, { attendanceId: row.id, employeeId: employee_id, clockIn: legacy[0].clock_in, source: 'backfill' });
+      session = await findOpenSession(connection, row.id);
+    }
 
-    const previousDuration = row.duration_seconds || 0;
-    const totalDurationSeconds = previousDuration + currentSessionDuration;
+    await closeSession(connection, session.id, now);
+    const rollup = await recomputeAttendanceRollup(connection, row.id);
+    const totalDurationSeconds = rollup.duration_seconds;
     const totalHoursWorked = Number((totalDurationSeconds / 3600).toFixed(4));
 
-    await connection.execute(
-      'UPDATE attendance SET clock_out = ?, duration_seconds = ?, hours_worked = ? WHERE id = ?',
-      [nowForDb, totalDurationSeconds, totalHoursWorked, row.id]
-    );
+    // Leaving before the rostered shift ends; the last clock-out of the day is the one that counts
+    const earlyLeaveMinutes = row.shift_end ? Math.max(0, minutesBetween(now.slice(0, 19), row.shift_end)) : null;
+    await connection.execute('UPDATE attendance SET early_leave_minutes = ? WHERE id = ?', [earlyLeaveMinutes, row.id]);
 
     // Auto-stop any running task timer for this employee
     const stoppedTimerTaskIds = [];
@@ -176,24 +271,19 @@ router.post('/clock-out', async (req, res) => {
         const [empRows] = await connection.execute('SELECT name FROM employees WHERE id = ?', [empIdInt]);
         const employeeName = empRows.length ? (empRows[0].name || '').trim() : null;
         if (employeeName) {
-          const norm = (s) => (s || '').trim().toLowerCase().replace(/\s+/g, '');
-          const empNorm = norm(employeeName);
           const [tasksWithTimer] = await connection.execute(
             `SELECT id, CAST(timer_started_at AS CHAR) AS timer_started_at, COALESCE(logged_seconds, 0) AS logged_seconds FROM tasks 
              WHERE timer_started_at IS NOT NULL 
-             AND (LOWER(CONCAT(',', TRIM(REPLACE(COALESCE(assigned_to,''), ' ', '')), ',')) LIKE CONCAT('%,', ?, ',%') 
-                  OR LOWER(TRIM(REPLACE(COALESCE(assigned_to,''), ' ', ''))) = ?
-                  OR LOWER(assigned_to) LIKE CONCAT(?, '%') 
-                  OR LOWER(assigned_to) LIKE CONCAT('%,', ?))`,
-            [empNorm, empNorm, empNorm, empNorm]
+             AND ${taskHasEmployeeSql()}`,
+            [empIdInt]
           );
           const formatForMySQL = (date) => {
-            return date.toLocaleString('sv-SE', { timeZone: 'Asia/Karachi' });
+            return toOrgDateTime(date);
           };
           const parseTimerStartedAt = (val) => {
             const str = String(val || '').trim().replace(' ', 'T');
             if (!str) return new Date();
-            return new Date(str.includes('+') || str.endsWith('Z') ? str : str + '+05:00');
+            return new Date(str.includes('+') || str.endsWith('Z') ? str : str + getOrgUtcOffset());
           };
           for (const t of tasksWithTimer) {
             const startTime = parseTimerStartedAt(t.timer_started_at);
@@ -215,6 +305,7 @@ router.post('/clock-out', async (req, res) => {
               `INSERT INTO task_timesheet (task_id, employee_name, employee_id, start_time, end_time, memo, hours_logged, hours_logged_seconds) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
               [t.id, employeeName, empIdInt, formatForMySQL(startTime), formatForMySQL(endTime), 'Employee clocked out', finalLoggedSeconds, finalLoggedSeconds]
             );
+            await addOccurrenceLoggedSeconds(connection, t.id, finalLoggedSeconds, formatForMySQL(startTime).split(' ')[0]);
             await logTaskHistory(t.id, 'Timer stopped', `Timer stopped (Employee clocked out). Logged ${Math.floor(finalLoggedSeconds / 3600)}h ${Math.floor((finalLoggedSeconds % 3600) / 60)}m. Memo: Employee clocked out`, employeeName, empIdInt);
             stoppedTimerTaskIds.push(t.id);
             stoppedTimers.push({ task_id: t.id, logged_seconds: newLoggedSeconds });
@@ -227,12 +318,15 @@ router.post('/clock-out', async (req, res) => {
 
     res.json({
       id: row.id,
+      session_id: session.id,
       employee_id,
-      clock_in: formatAttendanceDate(clockInTime || row.clock_in),
-      clock_out: formatAttendanceDate(nowDate || nowISO),
+      clock_in: formatAttendanceDate(session.clock_in),
+      clock_out: formatAttendanceDate(nowISO),
       duration_seconds: totalDurationSeconds,
+      break_seconds: rollup.break_seconds,
       hours_worked: totalHoursWorked,
-      session_count: row.session_count || 1,
+      session_count: rollup.session_count,
+      early_leave_minutes: earlyLeaveMinutes,
       stopped_timer_task_ids: stoppedTimerTaskIds,
       stopped_timers: stoppedTimers
     });
@@ -244,38 +338,203 @@ router.post('/clock-out', async (req, res) => {
   }
 });
 
+// Helper: the employee's open session for today, or a 400 response
+const findOpenSessionForEmployee = async (connection, employeeId) => {
+  const today = getOrgNow().split(' ')[0];
+  const rows = await findOpenEntry(connection, employeeId, today, 'id');
+  if (rows.length === 0) return null;
+  return findOpenSession(connection, rows[0].id);
+};
+
+// POST /api/attendance/break/start - { note? } (admins may pass employee_id)
+router.post('/break/start', async (req, res) => {
+  const { note } = req.body;
+  const { employeeId: employee_id, error } = resolveClockRequest(req, { employee_id: req.body.employee_id });
+  if (error) return res.status(403).json({ error });
+
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    const session = await findOpenSessionForEmployee(connection, employee_id);
+    if (!session) return res.status(400).json({ error: 'Not clocked in for today' });
+    if (await findOpenBreak(connection, session.id)) {
+      return res.status(400).json({ error: 'Already on a break' });
+    }
+
+    const now = getOrgNow();
+    const breakId = await startBreak(connection, {
+      sessionId: session.id, employeeId: employee_id, at: now, note: note ? String(note).slice(0, 500) : null
+    });
+    res.status(201).json({ id: breakId, session_id: session.id, break_start: formatAttendanceDate(now) });
+  } catch (err) {
+    console.error('Error starting break:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// POST /api/attendance/break/end (admins may pass employee_id)
+router.post('/break/end', async (req, res) => {
+  const { employeeId: employee_id, error } = resolveClockRequest(req, { employee_id: req.body.employee_id });
+  if (error) return res.status(403).json({ error });
+
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    const session = await findOpenSessionForEmployee(connection, employee_id);
+    const openBreak = session ? await findOpenBreak(connection, session.id) : null;
+    if (!openBreak) return res.status(400).json({ error: 'Not on a break' });
+
+    const now = getOrgNow();
+    await endBreak(connection, session.id, now);
+    const [rows] = await connection.execute('SELECT duration_seconds FROM attendance_breaks WHERE id = ?', [openBreak.id]);
+    res.json({
+      id: openBreak.id,
+      session_id: session.id,
+      break_start: formatAttendanceDate(openBreak.break_start),
+      break_end: formatAttendanceDate(now),
+      duration_seconds: rows[0].duration_seconds
+    });
+  } catch (err) {
+    console.error('Error ending break:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// GET /api/attendance/daily-log?date=YYYY-MM-DD[&employee_id=] - Every session of the day per employee,
+// plus active employees with no attendance that day
+router.get('/daily-log', async (req, res) => {
+  const date = req.query.date || getOrgNow().split(' ')[0];
+  const { employee_id } = req.query;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+  }
+  if (!canReadAttendance(req, employee_id)) {
+    return res.status(403).json({ error: 'You can only view your own attendance' });
+  }
+
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    const params = [date];
+    let where = 'a.date = ?';
+    if (employee_id) {
+      where += ' AND a.employee_id = ?';
+      params.push(employee_id);
+    }
+    const [rows] = await connection.execute(
+      `SELECT a.id, a.employee_id, COALESCE(e.name, a.employee_name) AS employee_name,
+         CAST(a.clock_in AS CHAR) AS clock_in, CAST(a.clock_out AS CHAR) AS clock_out,
+         a.duration_seconds, a.break_seconds, a.session_count, a.late_minutes, a.early_leave_minutes
+       FROM attendance a
+       LEFT JOIN employees e ON e.id = a.employee_id
+       WHERE ${where}
+       ORDER BY a.clock_in`,
+      params
+    );
+    const sessionsByAttendance = await getSessionsByAttendance(connection, rows.map(r => r.id));
+
+    // Rows without sessions (imports, hours-only manual entries) show as one session
+    const byEmployee = new Map();
+    for (const r of rows) {
+      const sessions = sessionsByAttendance.get(r.id) || [{
+        id: null,
+        attendance_id: r.id,
+        clock_in: formatAttendanceDate(r.clock_in),
+        clock_out: formatAttendanceDate(r.clock_out),
+        duration_seconds: r.duration_seconds || 0,
+        break_seconds: r.break_seconds || 0,
+        source: 'daily',
+        breaks: []
+      }];
+      const key = String(r.employee_id);
+      if (!byEmployee.has(key)) {
+        byEmployee.set(key, {
+          employee_id: r.employee_id,
+          employee_name: r.employee_name,
+          late_minutes: r.late_minutes,
+          early_leave_minutes: r.early_leave_minutes,
+          sessions: []
+        });
+      }
+      byEmployee.get(key).sessions.push(...sessions);
+    }
+
+    const employeeTotals = [...byEmployee.values()].map(emp => {
+      const sessions = emp.sessions.sort((a, b) => String(a.clock_in).localeCompare(String(b.clock_in)));
+      const finished = sessions.filter(s => s.clock_out);
+      return {
+        ...emp,
+        sessions,
+        first_clock_in: sessions.length ? sessions[0].clock_in : null,
+        last_clock_out: finished.length && finished.length === sessions.length ? finished[finished.length - 1].clock_out : null,
+        active: finished.length < sessions.length,
+        total_seconds: sessions.reduce((sum, s) => sum + (Number(s.duration_seconds) || 0), 0),
+        break_seconds: sessions.reduce((sum, s) => sum + (Number(s.break_seconds) || 0), 0)
+      };
+    });
+    const entries = employeeTotals.map(({ sessions, ...emp }) => ({ ...emp, session_count: sessions.length }));
+
+    let notClockedIn = [];
+    if (!employee_id) {
+      const [absent] = await connection.execute(
+        `SELECT e.id, e.name FROM employees e
+         WHERE e.status = 'Active' AND NOT EXISTS (SELECT 1 FROM attendance a WHERE a.employee_id = e.id AND a.date = ?)
+         ORDER BY e.name`,
+        [date]
+      );
+      notClockedIn = absent;
+    }
+
+    res.json({ date, entries, employee_totals: employeeTotals, notClockedIn });
+  } catch (err) {
+    console.error('Error fetching attendance daily log:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
 // GET /api/attendance/summary - Attendance summary (date-range or monthly)
 router.get('/summary', async (req, res) => {
   const { employee_id, from_date, to_date, exclude_imported } = req.query;
+  if (!canReadAttendance(req, employee_id)) {
+    return res.status(403).json({ error: 'You can only view your own attendance' });
+  }
 
   // Date-range logic
   if (from_date && to_date) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(from_date) || !/^\d{4}-\d{2}-\d{2}$/.test(to_date)) {
+      return res.status(400).json({ error: 'from_date and to_date must be YYYY-MM-DD' });
+    }
     let connection;
     try {
       connection = await mysqlPool.getConnection();
       await connection.ping();
 
-      const workingDaysQuery = `
-        WITH RECURSIVE dates(date) AS (
-          SELECT ? as date
-          UNION ALL
-            SELECT DATE_ADD(date, INTERVAL 1 DAY)
-          FROM dates
-          WHERE date <= ?
-        )
-        SELECT COUNT(*) as total_working_days
-        FROM dates
-          WHERE DAYOFWEEK(date) NOT IN (1, 7)
-        `;
-
-      const [workingDaysResult] = await connection.execute(workingDaysQuery, [from_date, to_date]);
-      const totalWorkingDays = workingDaysResult[0].total_working_days || 0;
+      // Weekends and holidays (the employee's, or company-wide ones) are not working days
+      const holidayDates = await getHolidayDates(connection, from_date, to_date, {
+        employee: employee_id ? await loadHolidayEmployee(connection, employee_id) : { department_id: null, designation: null },
+        types: ['holiday']
+      });
+      const totalWorkingDays = countWorkingDays(from_date, to_date, holidayDates);
 
       let attendanceQuery = `
         SELECT 
           COUNT(DISTINCT a.date) as total_days,
           SUM(a.hours_worked) as total_hours,
-          SUM(a.duration_seconds) as total_seconds
+          SUM(a.duration_seconds) as total_seconds,
+          SUM(a.break_seconds) as total_break_seconds,
+          SUM(a.session_count) as total_sessions
         FROM attendance a 
         WHERE a.date >= ? AND a.date <= ?
       `;
@@ -300,6 +559,8 @@ router.get('/summary', async (req, res) => {
         total_days: totalDays,
         total_hours: totalHours,
         total_seconds: attendanceRow.total_seconds || 0,
+        total_break_seconds: Number(attendanceRow.total_break_seconds) || 0,
+        total_sessions: Number(attendanceRow.total_sessions) || 0,
         absentees: absentees,
         total_working_days: totalWorkingDays
       };
@@ -332,8 +593,11 @@ router.get('/summary', async (req, res) => {
     const query = `SELECT * FROM attendance WHERE employee_id = ? AND clock_in >= ? AND clock_in < ? ORDER BY clock_in DESC`;
     const [rows] = await connection.execute(query, [employee_id, start, end]);
 
+    const sessionsByAttendance = await getSessionsByAttendance(connection, rows.map(r => r.id));
+    const entries = rows.map(r => ({ ...r, sessions: sessionsByAttendance.get(r.id) || [] }));
+
     const totalSeconds = rows.reduce((s, r) => s + (r.duration_seconds || 0), 0);
-    res.json({ total_seconds: totalSeconds, entries: rows });
+    res.json({ total_seconds: totalSeconds, entries });
   } catch (err) {
     console.error('Error fetching attendance summary:', err);
     res.status(500).json({ error: 'Database error' });
@@ -342,8 +606,8 @@ router.get('/summary', async (req, res) => {
   }
 });
 
-// POST /api/attendance/add - Add manual attendance record
-router.post('/add', async (req, res) => {
+// POST /api/attendance/add - Add manual attendance record (admin; employees use regularization requests)
+router.post('/add', requirePermission('all'), async (req, res) => {
   const { employee_id, date, clock_in, clock_out, hours_worked } = req.body;
 
   if (!employee_id || !date || !clock_in) {
@@ -377,6 +641,22 @@ router.post('/add', async (req, res) => {
     `;
 
     const [result] = await connection.execute(insert, [employee_id, employee_name, date, clock_in, clock_out || null, durationSeconds, finalHoursWorked]);
+    await replaceWithManualSession(connection, {
+      attendanceId: result.insertId,
+      employeeId: employee_id,
+      clockIn: toDateTime(date, clock_in),
+      clockOut: toDateTime(date, clock_out),
+      durationSeconds,
+      note: 'Added manually'
+    });
+    await logAttendanceAudit(connection, {
+      attendanceId: result.insertId,
+      employeeId: employee_id,
+      action: 'added',
+      source: 'admin_edit',
+      after: await snapshotAttendance(connection, result.insertId),
+      actor: req.user
+    });
 
     res.status(201).json({
       id: result.insertId,
@@ -397,8 +677,8 @@ router.post('/add', async (req, res) => {
   }
 });
 
-// PUT /api/attendance/:id - Update attendance record
-router.put('/:id', async (req, res) => {
+// PUT /api/attendance/:id - Update attendance record (admin; employees use regularization requests)
+router.put('/:id', requirePermission('all'), async (req, res) => {
   const { id } = req.params;
   const { date, clock_in, clock_out, hours_worked } = req.body;
 
@@ -411,6 +691,8 @@ router.put('/:id', async (req, res) => {
     connection = await mysqlPool.getConnection();
     await connection.ping();
 
+    const before = await snapshotAttendance(connection, Number(id));
+
     let durationSeconds = 0;
 
     if (clock_out) {
@@ -433,6 +715,26 @@ router.put('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Attendance record not found' });
     }
 
+    // The edited times replace the day's recorded sessions
+    const [edited] = await connection.execute('SELECT employee_id FROM attendance WHERE id = ?', [id]);
+    await replaceWithManualSession(connection, {
+      attendanceId: Number(id),
+      employeeId: edited[0].employee_id,
+      clockIn: toDateTime(date, clock_in),
+      clockOut: toDateTime(date, clock_out),
+      durationSeconds,
+      note: 'Edited manually'
+    });
+    await logAttendanceAudit(connection, {
+      attendanceId: Number(id),
+      employeeId: edited[0].employee_id,
+      action: 'edited',
+      source: 'admin_edit',
+      before,
+      after: await snapshotAttendance(connection, Number(id)),
+      actor: req.user
+    });
+
     res.json({
       id,
       date,
@@ -450,8 +752,50 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+// GET /api/attendance/:id/audit - Changes to a day (admin edits, approved regularizations), newest first.
+// Visible to the employee, their approvers and admins.
+router.get('/:id/audit', async (req, res) => {
+  const { id } = req.params;
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    const [records] = await connection.execute('SELECT employee_id FROM attendance WHERE id = ?', [id]);
+    if (records.length === 0) return res.status(404).json({ error: 'Attendance record not found' });
+
+    if (String(records[0].employee_id) !== String(req.user.id) && !isAdminUser(req.user)) {
+      const scope = buildApprovalScope(req.user);
+      const [allowed] = await connection.execute(
+        `SELECT e.id FROM employees e LEFT JOIN departments d ON d.name = e.department WHERE e.id = ? AND ${scope.clause}`,
+        [records[0].employee_id, ...scope.params]
+      );
+      if (allowed.length === 0) return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const [rows] = await connection.execute(
+      `SELECT id, attendance_id, employee_id, action, source, source_id, before_json, after_json, actor_id, actor_name, created_at
+       FROM attendance_audit WHERE attendance_id = ? ORDER BY created_at DESC, id DESC`,
+      [id]
+    );
+    const parse = (value) => {
+      try { return value ? JSON.parse(value) : null; } catch (e) { return null; }
+    };
+    res.json(rows.map(({ before_json: beforeJson, after_json: afterJson, ...row }) => ({
+      ...row,
+      before: parse(beforeJson),
+      after: parse(afterJson)
+    })));
+  } catch (err) {
+    console.error('Error fetching attendance audit:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
 // DELETE /api/attendance/clear-all - Clear ALL attendance data (MUST come before /:id)
-router.delete('/clear-all', async (req, res) => {
+router.delete('/clear-all', requirePermission('all'), async (req, res) => {
   if (!req.headers['x-confirm-clear-all']) {
     return res.status(400).json({
       error: 'Missing confirmation header. This operation requires explicit confirmation.'
@@ -470,6 +814,8 @@ router.delete('/clear-all', async (req, res) => {
       return res.json({ message: 'No attendance records found to delete', deletedCount: 0 });
     }
 
+    await connection.execute('DELETE FROM attendance_breaks');
+    await connection.execute('DELETE FROM attendance_sessions');
     await connection.execute('DELETE FROM attendance');
 
     res.json({
@@ -485,7 +831,7 @@ router.delete('/clear-all', async (req, res) => {
 });
 
 // DELETE /api/attendance/bulk - Bulk delete (MUST come before /:id)
-router.delete('/bulk', async (req, res) => {
+router.delete('/bulk', requirePermission('all'), async (req, res) => {
   const { ids } = req.body;
 
   if (!ids || !Array.isArray(ids) || ids.length === 0) {
@@ -517,6 +863,7 @@ router.delete('/bulk', async (req, res) => {
     const deletePlaceholders = existingIds.map(() => '?').join(',');
     const deleteQuery = `DELETE FROM attendance WHERE id IN (${deletePlaceholders})`;
 
+    await deleteSessionsForAttendance(connection, existingIds);
     const [result] = await connection.execute(deleteQuery, existingIds);
     res.json({
       message: `${result.affectedRows} attendance record(s) deleted successfully`,
@@ -531,7 +878,7 @@ router.delete('/bulk', async (req, res) => {
 });
 
 // DELETE /api/attendance/:id - Delete single record (MUST come after specific routes)
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('all'), async (req, res) => {
   const { id } = req.params;
 
   let connection;
@@ -539,6 +886,7 @@ router.delete('/:id', async (req, res) => {
     connection = await mysqlPool.getConnection();
     await connection.ping();
 
+    await deleteSessionsForAttendance(connection, [id]);
     const [result] = await connection.execute('DELETE FROM attendance WHERE id = ?', [id]);
 
     if (result.affectedRows === 0) {
@@ -556,6 +904,9 @@ router.delete('/:id', async (req, res) => {
 // GET /api/attendance/records - Get all records with filters
 router.get('/records', async (req, res) => {
   const { employee_id, from_date, to_date, start_date, end_date, exclude_imported } = req.query;
+  if (!canReadAttendance(req, employee_id)) {
+    return res.status(403).json({ error: 'You can only view your own attendance' });
+  }
 
   let where = '1=1';
   const params = [];
@@ -594,13 +945,6 @@ router.get('/records', async (req, res) => {
     connection = await mysqlPool.getConnection();
     await connection.ping();
 
-    // Ensure session_count column exists
-    try {
-      await connection.execute('ALTER TABLE attendance ADD COLUMN session_count INT DEFAULT 1');
-    } catch (err) {
-      // Column already exists, ignore error
-    }
-
     const [rows] = await connection.execute(query, params);
     res.json(rows);
   } catch (err) {
@@ -612,7 +956,7 @@ router.get('/records', async (req, res) => {
 });
 
 // GET /api/attendance/debug - Debug endpoint
-router.get('/debug', async (req, res) => {
+router.get('/debug', requirePermission('all'), async (req, res) => {
   let connection;
   try {
     connection = await mysqlPool.getConnection();
@@ -634,7 +978,7 @@ router.get('/debug', async (req, res) => {
 });
 
 // GET /api/attendance/test-clear-all - Test route accessibility
-router.get('/test-clear-all', (req, res) => {
+router.get('/test-clear-all', requirePermission('all'), (req, res) => {
   res.json({
     message: 'Clear-all route is accessible',
     route: '/api/attendance/clear-all',
@@ -644,7 +988,7 @@ router.get('/test-clear-all', (req, res) => {
 });
 
 // POST /api/attendance/import - Import attendance from Excel
-router.post('/import', upload.single('file'), async (req, res) => {
+router.post('/import', requirePermission('all'), upload.single('file'), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'No file uploaded' });
   }
@@ -810,7 +1154,7 @@ router.post('/import', upload.single('file'), async (req, res) => {
 });
 
 // GET /api/attendance/sample - Download sample import file
-router.get('/sample', (req, res) => {
+router.get('/sample', requirePermission('all'), (req, res) => {
   try {
     const workbook = xlsx.utils.book_new();
 
@@ -0,0 +1,274 @@
+const router = require('express').Router();
+const { mysqlPool } = require('../config/database');
+const { createNotification } = require('../helpers/notifications');
+const { getOrgNow } = require('../helpers/dates');
+const {
+  REGULARIZATION_TYPES,
+  buildApprovalScope,
+  validateRegularization,
+  applyRegularization
+} = require('../helpers/attendanceRegularization');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const REQUEST_COLUMNS = `r.id, r.employee_id, DATE_FORMAT(r.date, '%Y-%m-%d') AS date, r.type, r.attendance_id, r.session_id,
+  CAST(r.requested_clock_in AS CHAR) AS requested_clock_in, CAST(r.requested_clock_out AS CHAR) AS requested_clock_out,
+  r.location, r.reason, r.evidence_text, r.evidence_url, r.status, r.reviewed_by_id, r.reviewed_by,
+  CAST(r.reviewed_at AS CHAR) AS reviewed_at, r.review_comment, r.created_at`;
+
+// Times may come as HH:MM on the request date or as a full date-time (night shifts end the next day)
+const toDateTime = (date, value) => {
+  if (!value) return null;
+  const text = String(value).trim().replace('T', ' ').slice(0, 19);
+  const full = text.includes(' ') ? text : `${date} ${text}`;
+  return full.length === 16 ? `${full}:00` : full;
+};
+
+// GET /api/attendance-regularizations/types
+router.get('/types', (req, res) => {
+  res.json(Object.entries(REGULARIZATION_TYPES).map(([key, label]) => ({ key, label })));
+});
+
+// GET /api/attendance-regularizations?status= - The current user's requests
+router.get('/', async (req, res) => {
+  const { status } = req.query;
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    const params = [req.user.id];
+    let where = 'r.employee_id = ?';
+    if (status && status !== 'all') {
+      where += ' AND r.status = ?';
+      params.push(status);
+    }
+    const [rows] = await connection.execute(
+      `SELECT ${REQUEST_COLUMNS} FROM attendance_regularizations r WHERE ${where} ORDER BY r.created_at DESC LIMIT 200`,
+      params
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('Error fetching regularization requests:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// POST /api/attendance-regularizations - { date, type, requested_clock_in?, requested_clock_out?, session_id?, location?, reason, evidence_text?, evidence_url? }
+router.post('/', async (req, res) => {
+  const body = req.body || {};
+  const { date, type, session_id: sessionId, location, reason, evidence_text: evidenceText, evidence_url: evidenceUrl } = body;
+  if (!date || !DATE_RE.test(date)) return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+
+  const request = {
+    type,
+    reason,
+    session_id: sessionId ? Number(sessionId) : null,
+    requested_clock_in: toDateTime(date, body.requested_clock_in),
+    requested_clock_out: toDateTime(date, body.requested_clock_out)
+  };
+  const invalid = validateRegularization(request, getOrgNow());
+  if (invalid) return res.status(400).json(invalid);
+
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    const [attendanceRows] = await connection.execute(
+      'SELECT id FROM attendance WHERE employee_id = ? AND date = ? ORDER BY id DESC LIMIT 1',
+      [req.user.id, date]
+    );
+    const attendanceId = attendanceRows.length > 0 ? attendanceRows[0].id : null;
+    if (request.session_id) {
+      const [sessions] = await connection.execute(
+        'SELECT id FROM attendance_sessions WHERE id = ? AND attendance_id = ? AND employee_id = ?',
+        [request.session_id, attendanceId, req.user.id]
+      );
+      if (sessions.length === 0) return res.status(400).json({ error: 'session_id is not one of your sessions on that date' });
+    }
+    if (type === 'missing_clock_out' && !attendanceId) {
+      return res.status(400).json({ error: 'There is no clock-in on that date; request a missing clock-in instead' });
+    }
+
+    const [duplicates] = await connection.execute(
+      `SELECT id FROM attendance_regularizations WHERE employee_id = ? AND date = ? AND type = ? AND status = 'pending'`,
+      [req.user.id, date, type]
+    );
+    if (duplicates.length > 0) {
+      return res.status(409).json({ error: 'You already have a pending request of this type for that date', id: duplicates[0].id });
+    }
+
+    const [result] = await connection.execute(
+      `INSERT INTO attendance_regularizations
+         (employee_id, date, type, attendance_id, session_id, requested_clock_in, requested_clock_out, location, reason, evidence_text, evidence_url)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        req.user.id, date, type, attendanceId, request.session_id, request.requested_clock_in, request.requested_clock_out,
+        location ? String(location).slice(0, 255) : null, String(reason).trim(), evidenceText || null,
+        evidenceUrl ? String(evidenceUrl).slice(0, 500) : null
+      ]
+    );
+
+    // Let the reporting manager know
+    const [managers] = await connection.execute(
+      `SELECT m.id FROM employees e
+       JOIN employees m ON LOWER(TRIM(m.name)) = LOWER(TRIM(e.reporting_to)) AND m.status = 'Active'
+       WHERE e.id = ? LIMIT 1`,
+      [req.user.id]
+    );
+    if (managers.length > 0) {
+      await createNotification(
+        managers[0].id,
+        null,
+        'attendance_regularization_requested',
+        'Attendance regularization request',
+        `${req.user.name} asked to regularize ${date} (${REGULARIZATION_TYPES[type].toLowerCase()}): ${String(reason).trim()}`
+      );
+    }
+
+    console.log(`🕒 ${req.user.name} requested attendance regularization ${result.insertId} for ${date} (${type})`);
+    res.status(201).json({ id: result.insertId, status: 'pending' });
+  } catch (err) {
+    console.error('Error creating regularization request:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// GET /api/attendance-regularizations/approvals?status=pending|approved|rejected|all - Requests the user can decide
+router.get('/approvals', async (req, res) => {
+  const { status = 'pending' } = req.query;
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    const scope = buildApprovalScope(req.user);
+    const clauses = [scope.clause];
+    const params = [...scope.params];
+    if (status !== 'all') {
+      clauses.push('r.status = ?');
+      params.push(status);
+    }
+    const [rows] = await connection.execute(
+      `SELECT ${REQUEST_COLUMNS}, e.name AS employee_name, e.department
+       FROM attendance_regularizations r
+       JOIN employees e ON e.id = r.employee_id
+       LEFT JOIN departments d ON d.name = e.department
+       WHERE ${clauses.join(' AND ')}
+       ORDER BY r.created_at
+       LIMIT 500`,
+      params
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('Error fetching regularization approvals:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// POST /api/attendance-regularizations/:id/review - { decision: approve | reject, comment? }
+// Approval amends the day's sessions and writes an attendance_audit entry; rejection needs a comment.
+router.post('/:id/review', async (req, res) => {
+  const { decision, comment } = req.body || {};
+  const commentText = (comment ?? '').toString().trim() || null;
+  if (!['approve', 'reject'].includes(decision)) return res.status(400).json({ error: 'decision must be approve or reject' });
+  if (decision === 'reject' && !commentText) return res.status(400).json({ error: 'A comment is required when rejecting' });
+
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    const scope = buildApprovalScope(req.user);
+    const newStatus = decision === 'approve' ? 'approved' : 'rejected';
+    let request;
+    let attendanceId;
+    await connection.beginTransaction();
+    try {
+      // Locked so concurrent reviews of the same request wait for this one and then see its status
+      const [rows] = await connection.execute(
+        `SELECT ${REQUEST_COLUMNS}, e.name AS employee_name
+         FROM attendance_regularizations r
+         JOIN employees e ON e.id = r.employee_id
+         LEFT JOIN departments d ON d.name = e.department
+         WHERE r.id = ? AND ${scope.clause}
+         FOR UPDATE`,
+        [req.params.id, ...scope.params]
+      );
+      if (rows.length === 0) {
+        await connection.rollback();
+        return res.status(404).json({ error: 'Request not found or not yours to review' });
+      }
+      request = rows[0];
+      if (request.status !== 'pending') {
+        await connection.rollback();
+        return res.status(409).json({ error: `This request is already ${request.status}` });
+      }
+      attendanceId = request.attendance_id;
+      if (decision === 'approve') {
+        const applied = await applyRegularization(connection, request, req.user);
+        if (applied.error) {
+          await connection.rollback();
+          return res.status(409).json({ error: applied.error });
+        }
+        attendanceId = applied.attendanceId;
+      }
+      await connection.execute(
+        `UPDATE attendance_regularizations
+         SET status = ?, attendance_id = ?, reviewed_by_id = ?, reviewed_by = ?, reviewed_at = NOW(), review_comment = ?
+         WHERE id = ?`,
+        [newStatus, attendanceId, req.user.id, req.user.name || null, commentText, request.id]
+      );
+      await connection.commit();
+    } catch (err) {
+      await connection.rollback();
+      throw err;
+    }
+
+    await createNotification(
+      request.employee_id,
+      null,
+      `attendance_regularization_${newStatus}`,
+      `Attendance regularization ${newStatus}`,
+      `Your regularization request for ${request.date} was ${newStatus} by ${req.user.name}.${commentText ? ` Comment: ${commentText}` : ''}`
+    );
+
+    console.log(`🕒 Regularization ${request.id} (${request.employee_name}, ${request.date}) ${newStatus} by ${req.user.name}`);
+    res.json({ id: request.id, status: newStatus, attendance_id: attendanceId });
+  } catch (err) {
+    console.error('Error reviewing regularization request:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// POST /api/attendance-regularizations/:id/cancel - The employee withdraws a pending request
+router.post('/:id/cancel', async (req, res) => {
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    const [result] = await connection.execute(
+      `UPDATE attendance_regularizations SET status = 'cancelled' WHERE id = ? AND employee_id = ? AND status = 'pending'`,
+      [req.params.id, req.user.id]
+    );
+    if (result.affectedRows === 0) return res.status(404).json({ error: 'Pending request not found' });
+    res.json({ id: Number(req.params.id), status: 'cancelled' });
+  } catch (err) {
+    console.error('Error cancelling regularization request:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+module.exports = router;
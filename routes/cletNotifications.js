@@ -1,30 +1,9 @@
 const router = require('express').Router();
 const { mysqlPool } = require('../config/database');
+const { requirePermission } = require('../middleware/permissions');
 
 // GET /api/clet-notifications - Fetch tasks missing checklist or estimated time
-router.get('/', async (req, res) => {
-    const userRole = req.headers['x-user-role'];
-    const userPermissions = req.headers['x-user-permissions'];
-
-    if (!userRole || !userPermissions) {
-        return res.status(401).json({ error: 'User role and permissions required' });
-    }
-
-    let permissions;
-    try {
-        permissions = JSON.parse(userPermissions);
-    } catch (e) {
-        return res.status(400).json({ error: 'Invalid permissions format' });
-    }
-
-    if (!permissions.includes('clet_view') && !permissions.includes('all') && userRole !== 'admin') {
-        console.log(`Access denied: User role ${userRole} attempted to access CLET notifications without permission`);
-        return res.status(403).json({
-            error: 'Access denied. You do not have permission to view CLET notifications.',
-            requiredPermission: 'clet_view'
-        });
-    }
-
+router.get('/', requirePermission('clet_view'), async (req, res) => {
     let connection;
     try {
         connection = await mysqlPool.getConnection();
@@ -45,10 +24,10 @@ router.get('/', async (req, res) => {
         t.time_estimate_hours,
         t.time_estimate_minutes,
         t.checklist,
-        CASE 
-          WHEN LOWER(IFNULL(t.labels,'')) LIKE '%daily-task%' OR LOWER(IFNULL(t.labels,'')) LIKE '%daily task%' THEN 'Daily Task'
-          WHEN LOWER(IFNULL(t.labels,'')) LIKE '%weekly-task%' OR LOWER(IFNULL(t.labels,'')) LIKE '%weekly task%' THEN 'Weekly Task'
-          WHEN LOWER(IFNULL(t.labels,'')) LIKE '%monthly-task%' OR LOWER(IFNULL(t.labels,'')) LIKE '%monthly task%' THEN 'Monthly Task'
+        CASE t.recurrence_frequency
+          WHEN 'daily' THEN 'Daily Task'
+          WHEN 'weekly' THEN 'Weekly Task'
+          WHEN 'monthly' THEN 'Monthly Task'
           ELSE 'Unknown'
         END as task_type,
         CASE 
@@ -64,14 +43,7 @@ router.get('/', async (req, res) => {
           ELSE 'Unknown'
         END as missing_type
       FROM tasks t
-      WHERE (
-        LOWER(IFNULL(t.labels,'')) LIKE '%daily-task%'
-        OR LOWER(IFNULL(t.labels,'')) LIKE '%weekly-task%'
-        OR LOWER(IFNULL(t.labels,'')) LIKE '%monthly-task%'
-        OR LOWER(IFNULL(t.labels,'')) LIKE '%daily task%'
-        OR LOWER(IFNULL(t.labels,'')) LIKE '%weekly task%'
-        OR LOWER(IFNULL(t.labels,'')) LIKE '%monthly task%'
-      )
+      WHERE t.recurrence_frequency IS NOT NULL
       AND (
         ((t.time_estimate_hours IS NULL OR t.time_estimate_hours = 0) 
          AND (t.time_estimate_minutes IS NULL OR t.time_estimate_minutes = 0))
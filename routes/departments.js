@@ -4,8 +4,19 @@ const xlsx = require('xlsx');
 const { mysqlPool } = require('../config/database');
 const { cacheMiddleware } = require('../middleware/cache');
 const { sanitizeForMySQL } = require('../helpers/sanitize');
+const { getWorkingDaysPerWeek } = require('../helpers/dates');
+const { getOrgSettings } = require('../helpers/orgSettings');
+const { requirePermission } = require('../middleware/permissions');
 
 const upload = multer({ storage: multer.memoryStorage() });
+const canManageDepartments = requirePermission('org_structure_manage');
+
+// Helper: expected monthly hours from the organisation working week (6 days -> 26 days a month); part-timers work half days
+const getMonthlyHours = (emp) => {
+  const monthlyWorkingDays = Math.round(getWorkingDaysPerWeek() * 52 / 12);
+  const dailyHours = getOrgSettings().default_shift_hours;
+  return (emp.employment_type === 'Part-time' ? dailyHours / 2 : dailyHours) * monthlyWorkingDays;
+};
 
 // GET /api/departments - List all departments (cached)
 router.get('/', cacheMiddleware('departments'), async (req, res) => {
@@ -30,7 +41,7 @@ router.get('/', cacheMiddleware('departments'), async (req, res) => {
 });
 
 // GET /api/departments/:id/dashboard - Department dashboard aggregate
-router.get('/:id/dashboard', async (req, res) => {
+router.get('/:id/dashboard', requirePermission('view_departments_submenu', { allowManagers: true }), async (req, res) => {
   const deptId = req.params.id;
   let connection;
 
@@ -53,28 +64,10 @@ router.get('/:id/dashboard', async (req, res) => {
 
       const totalCost = employees.reduce((sum, emp) => {
         const hourlyRate = Number(emp.hourly_rate) || 0;
-        let monthlyHours = 0;
-        if (emp.employment_type === 'Full-time') {
-          monthlyHours = 8 * 26;
-        } else if (emp.employment_type === 'Part-time') {
-          monthlyHours = 4 * 26;
-        } else {
-          monthlyHours = 8 * 26;
-        }
-        return sum + (hourlyRate * monthlyHours);
+        return sum + (hourlyRate * getMonthlyHours(emp));
       }, 0);
 
-      const assignedHours = employees.reduce((sum, emp) => {
-        let monthlyHours = 0;
-        if (emp.employment_type === 'Full-time') {
-          monthlyHours = 8 * 26;
-        } else if (emp.employment_type === 'Part-time') {
-          monthlyHours = 4 * 26;
-        } else {
-          monthlyHours = 8 * 26;
-        }
-        return sum + monthlyHours;
-      }, 0);
+      const assignedHours = employees.reduce((sum, emp) => sum + getMonthlyHours(emp), 0);
 
       const [tasks] = await connection.execute('SELECT * FROM tasks WHERE department = ?', [departmentName]);
       const totalCompleted = tasks.filter(t => (t.status || '').toLowerCase() === 'completed').length;
@@ -143,7 +136,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/departments - Create new department
-router.post('/', async (req, res) => {
+router.post('/', canManageDepartments, async (req, res) => {
   const departmentData = req.body;
 
   const query = `
@@ -168,7 +161,7 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/departments/:id - Update department
-router.put('/:id', async (req, res) => {
+router.put('/:id', canManageDepartments, async (req, res) => {
   const departmentData = req.body;
 
   const query = `
@@ -198,7 +191,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /api/departments/:id - Delete department
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', canManageDepartments, async (req, res) => {
   const query = 'DELETE FROM departments WHERE id = ?';
   let connection;
 
@@ -224,7 +217,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // POST /api/departments/import - Import departments from Excel
-router.post('/import', upload.single('file'), async (req, res) => {
+router.post('/import', canManageDepartments, upload.single('file'), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'No file uploaded' });
   }
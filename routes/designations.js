@@ -3,8 +3,10 @@ const multer = require('multer');
 const xlsx = require('xlsx');
 const { mysqlPool } = require('../config/database');
 const { sanitizeForMySQL } = require('../helpers/sanitize');
+const { requirePermission } = require('../middleware/permissions');
 
 const upload = multer({ storage: multer.memoryStorage() });
+const canManageDesignations = requirePermission('org_structure_manage');
 
 // GET /api/designations - List all designations
 router.get('/', async (req, res) => {
@@ -34,7 +36,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/designations - Create new designation
-router.post('/', async (req, res) => {
+router.post('/', canManageDesignations, async (req, res) => {
   const d = req.body;
   const query = `INSERT INTO designations (name, description, department, level, status) VALUES (?, ?, ?, ?, ?)`;
   const values = [
@@ -55,7 +57,7 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/designations/:id - Update designation
-router.put('/:id', async (req, res) => {
+router.put('/:id', canManageDesignations, async (req, res) => {
   const d = req.body;
   const query = `UPDATE designations SET name = ?, description = ?, department = ?, level = ?, status = ? WHERE id = ?`;
   const values = [
@@ -80,7 +82,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /api/designations/:id - Delete designation
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', canManageDesignations, async (req, res) => {
   const query = 'DELETE FROM designations WHERE id = ?';
   try {
     const [result] = await mysqlPool.execute(query, [req.params.id]);
@@ -95,7 +97,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // POST /api/designations/import - Import from Excel
-router.post('/import', upload.single('file'), async (req, res) => {
+router.post('/import', canManageDesignations, upload.single('file'), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'No file uploaded' });
   }
@@ -6,6 +6,11 @@ const xlsx = require('xlsx');
 const { mysqlPool } = require('../config/database');
 const { sanitizeForMySQL } = require('../helpers/sanitize');
 const { getHealthSettings } = require('../helpers/healthSettings');
+const { hashPassword } = require('../helpers/passwords');
+const { renameEmployeeInTasks } = require('../helpers/taskAssignees');
+const { getHolidayDates, loadHolidayEmployee } = require('../helpers/holidays');
+const { isWorkingDay } = require('../helpers/dates');
+const { isAdminUser, requirePermission, requireSelfOrPermission } = require('../middleware/permissions');
 const upload = multer({ storage: multer.memoryStorage() });
 // TODO: Copy handlers
 // Get all employees
@@ -76,6 +81,8 @@ router.get('/', async (req, res) => {
                   ]);
                   
                   const total = countResult[0][0].total;
+                  // Never send password hashes to the client
+                  results[0].forEach(row => { delete row.password; });
                   
                   if (getAll) {
                     // Return all employees without pagination
@@ -187,7 +194,7 @@ router.get('/', async (req, res) => {
   });
   
   // Debug endpoint to see employee data
-  router.get('/debug', async (req, res) => {
+  router.get('/debug', requirePermission('all'), async (req, res) => {
     let connection;
     try {
       connection = await mysqlPool.getConnection();
@@ -206,7 +213,7 @@ router.get('/', async (req, res) => {
     }
   });
   // Get employee health score
-  router.get('/:id/health', async (req, res) => {
+  router.get('/:id/health', requireSelfOrPermission('view_health_dashboard_menu', { allowManagers: true }), async (req, res) => {
     const employeeId = req.params.id;
     const today = new Date();
     
@@ -245,35 +252,29 @@ router.get('/', async (req, res) => {
       const taskCycleEnd = new Date();
       taskCycleEnd.setDate(taskCycleEnd.getDate() - healthSettings.task_cycle_offset_days); // X days earlier from today
   
-      // Handle admin user case
-      let employee;
-      if (employeeId === 'admin') {
-        // Create a mock employee object for admin user
-        employee = {
-          id: 'admin',
-          name: 'Admin User',
-          email: 'admin@daataadirect.co.uk',
-          working_hours: 8, // Default working hours
-          user_role: 'admin'
-        };
-      } else {
-        // Get employee data from database
-        const employeeQuery = 'SELECT * FROM employees WHERE id = ?';
-        const [employeeRows] = await connection.execute(employeeQuery, [employeeId]);
-        
-        if (employeeRows.length === 0) {
-          return res.status(404).json({ error: 'Employee not found' });
-        }
-        
-        employee = employeeRows[0];
+      // Get employee data from database
+      const employeeQuery = 'SELECT * FROM employees WHERE id = ?';
+      const [employeeRows] = await connection.execute(employeeQuery, [employeeId]);
+      
+      if (employeeRows.length === 0) {
+        return res.status(404).json({ error: 'Employee not found' });
       }
       
+      const employee = employeeRows[0];
+
+      // Holidays that apply to this employee are not working days in the HR cycle
+      const toLocalDateStr = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+      const hrCycleLastDay = new Date(hrCycleStart.getFullYear(), hrCycleStart.getMonth() + healthSettings.hr_cycle_months + 1, 0);
+      const holidayDates = await getHolidayDates(connection, toLocalDateStr(hrCycleStart), toLocalDateStr(hrCycleLastDay), {
+        employee: await loadHolidayEmployee(connection, employee.id),
+        types: ['holiday']
+      });
+      
       // Get the employee_id string for attendance/errors/appreciations queries
       // Note: attendance table stores employee_id as the integer ID converted to string
       // errors and appreciations tables store employee_id as integer
-      // For admin user, use a special identifier that won't match any real employee
-      const employeeIdString = employeeId === 'admin' ? 'admin' : employeeId.toString(); // Use integer ID as string for attendance
-      const employeeIdInt = employeeId === 'admin' ? -1 : employeeId; // Use -1 for admin, integer ID for others
+      const employeeIdString = employeeId.toString(); // Use integer ID as string for attendance
+      const employeeIdInt = employeeId;
       
       console.log('Employee ID from URL:', employeeId);
       console.log('Employee ID as string:', employeeIdString);
@@ -308,29 +309,12 @@ router.get('/', async (req, res) => {
         tasks: { completed: 0, total: 0, score: 0 },
         hours: { provided: 0, required: 0, score: 0 },
         errors: { high: 0, medium: 0, low: 0, score: 0 },
+        issues: { high: 0, medium: 0, low: 0, score: 0 },
         appreciations: { count: 0, score: 0 },
         attendance: { absences: 0, score: 0 },
         warningLetters: { high: 0, medium: 0, low: 0, score: 0 }
       };
       
-      // Handle admin user - return default health data without database queries
-      if (employeeId === 'admin') {
-        const adminHealthData = {
-          employee: employee,
-          healthScore: 0,
-          calculations: calculations,
-          healthSettings: healthSettings,
-          cycles: {
-            hr: { start: hrCycleStart, end: hrCycleEnd },
-            data: { start: dataCycleStart, end: dataCycleEnd },
-            task: { start: taskCycleStart, end: taskCycleEnd }
-          },
-          message: 'Admin user - no health data available'
-        };
-        
-        return res.json(adminHealthData);
-      }
-      
       // Calculate expected working hours per day
       const expectedHoursPerDay = parseFloat(employee.working_hours) || healthSettings.expected_hours_per_day;
       
@@ -344,58 +328,22 @@ router.get('/', async (req, res) => {
           console.log('Fetching DWM report data for:', employee.name);
           console.log('Task cycle dates:', startDateStr, 'to', endDateStr);
           
-          // Get DWM completion data AND total tasks for each day
+          // Due and completed occurrences of the employee's recurring tasks for each day
           const dwmQuery = `
-            WITH RECURSIVE dates AS (
-              SELECT DATE(?) as day
-              UNION ALL
-              SELECT DATE_ADD(day, INTERVAL 1 DAY)
-              FROM dates
-              WHERE day <= DATE(?)
-            )
-            SELECT 
-              d.day,
-              COALESCE(SUM(CASE WHEN lower(t.labels) LIKE '%daily%' THEN 1 ELSE 0 END), 0) as daily_total,
-              COALESCE(SUM(CASE WHEN (
-                t.title LIKE '%(Monday)%' AND DAYOFWEEK(d.day) = 2 OR
-                t.title LIKE '%(Tuesday)%' AND DAYOFWEEK(d.day) = 3 OR
-                t.title LIKE '%(Wednesday)%' AND DAYOFWEEK(d.day) = 4 OR
-                t.title LIKE '%(Thursday)%' AND DAYOFWEEK(d.day) = 5 OR
-                t.title LIKE '%(Friday)%' AND DAYOFWEEK(d.day) = 6 OR
-                t.title LIKE '%(Saturday)%' AND DAYOFWEEK(d.day) = 7 OR
-                t.title LIKE '%(Sunday)%' AND DAYOFWEEK(d.day) = 1
-              ) THEN 1 ELSE 0 END), 0) as weekly_total,
-              COALESCE(SUM(CASE WHEN (
-                t.title LIKE '%(5 of month)%' AND DAY(d.day) = 5 OR
-                t.title LIKE '%(10 of month)%' AND DAY(d.day) = 10 OR
-                t.title LIKE '%(15 of month)%' AND DAY(d.day) = 15 OR
-                t.title LIKE '%(20 of month)%' AND DAY(d.day) = 20 OR
-                t.title LIKE '%(25 of month)%' AND DAY(d.day) = 25 OR
-                t.title LIKE '%(30 of month)%' AND DAY(d.day) = 30
-              ) THEN 1 ELSE 0 END), 0) as monthly_total,
-              COALESCE(SUM(CASE WHEN lower(t.labels) LIKE '%daily%' AND th.new_value = 'Completed' THEN 1 ELSE 0 END), 0) as daily_completed,
-              COALESCE(SUM(CASE WHEN (
-                t.title LIKE '%(Monday)%' AND DAYOFWEEK(d.day) = 2 OR
-                t.title LIKE '%(Tuesday)%' AND DAYOFWEEK(d.day) = 3 OR
-                t.title LIKE '%(Wednesday)%' AND DAYOFWEEK(d.day) = 4 OR
-                t.title LIKE '%(Thursday)%' AND DAYOFWEEK(d.day) = 5 OR
-                t.title LIKE '%(Friday)%' AND DAYOFWEEK(d.day) = 6 OR
-                t.title LIKE '%(Saturday)%' AND DAYOFWEEK(d.day) = 7 OR
-                t.title LIKE '%(Sunday)%' AND DAYOFWEEK(d.day) = 1
-              ) AND th.new_value = 'Completed' THEN 1 ELSE 0 END), 0) as weekly_completed,
-              COALESCE(SUM(CASE WHEN (
-                t.title LIKE '%(5 of month)%' AND DAY(d.day) = 5 AND th.new_value = 'Completed' OR
-                t.title LIKE '%(10 of month)%' AND DAY(d.day) = 10 AND th.new_value = 'Completed' OR
-                t.title LIKE '%(15 of month)%' AND DAY(d.day) = 15 AND th.new_value = 'Completed' OR
-                t.title LIKE '%(20 of month)%' AND DAY(d.day) = 20 AND th.new_value = 'Completed' OR
-                t.title LIKE '%(25 of month)%' AND DAY(d.day) = 25 AND th.new_value = 'Completed' OR
-                t.title LIKE '%(30 of month)%' AND DAY(d.day) = 30 AND th.new_value = 'Completed'
-              ) THEN 1 ELSE 0 END), 0) as monthly_completed
-            FROM dates d
-            LEFT JOIN tasks t ON t.assigned_to LIKE ?
-            LEFT JOIN task_history th ON DATE(th.created_at) = d.day AND th.action = 'Status changed' AND th.task_id = t.id
-            GROUP BY d.day
-            ORDER BY d.day ASC
+            SELECT
+              o.due_date as day,
+              SUM(CASE WHEN o.frequency = 'daily' THEN 1 ELSE 0 END) as daily_total,
+              SUM(CASE WHEN o.frequency = 'weekly' THEN 1 ELSE 0 END) as weekly_total,
+              SUM(CASE WHEN o.frequency = 'monthly' THEN 1 ELSE 0 END) as monthly_total,
+              SUM(CASE WHEN o.frequency = 'daily' AND o.completed_at IS NOT NULL THEN 1 ELSE 0 END) as daily_completed,
+              SUM(CASE WHEN o.frequency = 'weekly' AND o.completed_at IS NOT NULL THEN 1 ELSE 0 END) as weekly_completed,
+              SUM(CASE WHEN o.frequency = 'monthly' AND o.completed_at IS NOT NULL THEN 1 ELSE 0 END) as monthly_completed
+            FROM task_occurrences o
+            JOIN tasks t ON t.id = o.task_id
+            WHERE o.due_date BETWEEN ? AND ?
+              AND IFNULL(o.assigned_to, '') LIKE ?
+            GROUP BY o.due_date
+            ORDER BY o.due_date ASC
           `;
           
           try {
@@ -415,12 +363,12 @@ router.get('/', async (req, res) => {
             
             dwmData.forEach(dayRow => {
               const day = dayRow.day;
-              const dailyTotal = dayRow.daily_total || 0;
-              const weeklyTotal = dayRow.weekly_total || 0;
-              const monthlyTotal = dayRow.monthly_total || 0;
-              const dailyCompleted = dayRow.daily_completed || 0;
-              const weeklyCompleted = dayRow.weekly_completed || 0;
-              const monthlyCompleted = dayRow.monthly_completed || 0;
+              const dailyTotal = Number(dayRow.daily_total) || 0;
+              const weeklyTotal = Number(dayRow.weekly_total) || 0;
+              const monthlyTotal = Number(dayRow.monthly_total) || 0;
+              const dailyCompleted = Number(dayRow.daily_completed) || 0;
+              const weeklyCompleted = Number(dayRow.weekly_completed) || 0;
+              const monthlyCompleted = Number(dayRow.monthly_completed) || 0;
               
               // Day is completed if ALL required task types are completed
               let dayCompleted = true;
@@ -539,8 +487,7 @@ router.get('/', async (req, res) => {
               // Count working days in the month based on settings
               let workingDays = 0;
               for (let d = new Date(monthStart); d <= monthEnd; d.setDate(d.getDate() + 1)) {
-                const dayOfWeek = d.getDay();
-                if (dayOfWeek >= 1 && dayOfWeek <= healthSettings.working_days_per_week) { // Monday to Saturday (or configured days)
+                if (isWorkingDay(toLocalDateStr(d), holidayDates)) { // Organisation working week, minus holidays
                   workingDays++;
                 }
               }
@@ -673,6 +620,52 @@ router.get('/', async (req, res) => {
           }
         }),
         
+        // 3b. Calculate issue deductions (only when issues are switched on in health settings)
+        new Promise(async (resolve) => {
+          if (!healthSettings.issues_affect_health) {
+            return resolve();
+          }
+          const issueQuery = `
+            SELECT severity, COUNT(*) as count
+            FROM issues 
+            WHERE employee_id = ? 
+            AND created_at >= ? 
+            AND created_at <= ?
+            GROUP BY severity
+          `;
+          
+          try {
+            const [issues] = await connection.execute(issueQuery, [employeeIdInt, dataCycleStart.toISOString(), dataCycleEnd.toISOString()]);
+            
+            const deductions = {
+              High: healthSettings.issue_high_deduction ?? 10,
+              Medium: healthSettings.issue_medium_deduction ?? 5,
+              Low: healthSettings.issue_low_deduction ?? 2
+            };
+            const counts = { High: 0, Medium: 0, Low: 0 };
+            let issueDeduction = 0;
+            issues.forEach(issue => {
+              if (deductions[issue.severity] === undefined) return;
+              counts[issue.severity] = Number(issue.count);
+              issueDeduction += Number(issue.count) * deductions[issue.severity];
+            });
+            
+            console.log('Issue calculation result:', { ...counts, issueDeduction });
+            
+            calculations.issues = {
+              high: counts.High,
+              medium: counts.Medium,
+              low: counts.Low,
+              score: -issueDeduction
+            };
+            
+            resolve();
+          } catch (err) {
+            console.error('Error fetching issues:', err);
+            resolve();
+          }
+        }),
+        
         // 4. Calculate appreciation bonus
         new Promise(async (resolve) => {
           const appreciationQuery = `
@@ -756,8 +749,7 @@ router.get('/', async (req, res) => {
               
               let workingDays = 0;
               for (let d = new Date(monthStart); d <= monthEnd; d.setDate(d.getDate() + 1)) {
-                const dayOfWeek = d.getDay();
-                if (dayOfWeek >= 1 && dayOfWeek <= healthSettings.working_days_per_week) { // Monday to Saturday (or configured days)
+                if (isWorkingDay(toLocalDateStr(d), holidayDates)) { // Organisation working week, minus holidays
                   workingDays++;
                 }
               }
@@ -801,6 +793,7 @@ router.get('/', async (req, res) => {
         healthScore = calculations.tasks.score + 
                       calculations.hours.score + 
                       calculations.errors.score + 
+                      calculations.issues.score + 
                       calculations.appreciations.score + 
                       calculations.attendance.score +
                       calculations.warningLetters.score;
@@ -833,7 +826,7 @@ router.get('/', async (req, res) => {
             hr: {
               start: hrCycleStart.toISOString().split('T')[0],
               end: hrCycleEnd.toISOString().split('T')[0],
-              description: 'HR Cycle: Working Hours, Errors, Appreciations, Attendance'
+              description: 'HR Cycle: Working Hours, Errors, Issues, Appreciations, Attendance'
             },
             task: {
               start: taskCycleStart.toISOString().split('T')[0],
@@ -857,7 +850,7 @@ router.get('/', async (req, res) => {
   });
   
   // Get employee by ID
-  router.get('/:id', async (req, res) => {
+  router.get('/:id', requireSelfOrPermission('employees_manage'), async (req, res) => {
     const query = 'SELECT * FROM employees WHERE id = ?';
     let connection;
     
@@ -874,7 +867,8 @@ router.get('/', async (req, res) => {
         res.status(404).json({ error: 'Employee not found' });
         return;
       }
-      res.json(results[0]);
+      const { password, ...employee } = results[0];
+      res.json(employee);
       
     } catch (err) {
       console.error('Error fetching employee:', err);
@@ -894,14 +888,21 @@ router.get('/', async (req, res) => {
     }
   });
   // Create new employee
-  router.post('/', async (req, res) => {
+  router.post('/', requirePermission('employees_manage'), async (req, res) => {
     const employeeData = req.body;
   
     // Basic validation
     if (!employeeData.name || !employeeData.email) {
       return res.status(400).json({ error: 'Name and email are required' });
     }
+    // The role decides the new account's permissions
+    if (employeeData.user_role && !isAdminUser(req.user)) {
+      return res.status(403).json({ error: 'Only admins can assign a user role' });
+    }
     
+    // Employees created without a password cannot sign in until one is set
+    const passwordHash = employeeData.password ? await hashPassword(employeeData.password) : null;
+
     const query = `
       INSERT INTO employees (
         employee_id, salutation, name, email, password, designation, 
@@ -919,7 +920,7 @@ router.get('/', async (req, res) => {
       sanitizeForMySQL(employeeData.salutation),
       sanitizeForMySQL(employeeData.name),
       sanitizeForMySQL(employeeData.email),
-      sanitizeForMySQL(employeeData.password),
+      passwordHash,
       sanitizeForMySQL(employeeData.designation),
       sanitizeForMySQL(employeeData.department),
       sanitizeForMySQL(employeeData.work_from),
@@ -996,7 +997,7 @@ router.get('/', async (req, res) => {
     }
   });
   // Update employee
-  router.put('/:id', async (req, res) => {
+  router.put('/:id', requirePermission('employees_manage'), async (req, res) => {
     const employeeData = req.body;
   
     // Basic validation
@@ -1004,9 +1005,12 @@ router.get('/', async (req, res) => {
       return res.status(400).json({ error: 'Name and email are required' });
     }
     
+    // A blank password on edit keeps the current one
+    const passwordHash = employeeData.password ? await hashPassword(employeeData.password) : null;
+
     const query = `
       UPDATE employees SET 
-        employee_id = ?, salutation = ?, name = ?, email = ?, password = ?, 
+        employee_id = ?, salutation = ?, name = ?, email = ?, password = COALESCE(?, password), 
         designation = ?, department = ?, work_from = ?, country = ?, mobile = ?, 
         gender = ?, joining_date = ?, date_of_birth = ?, reporting_to = ?, 
         language = ?, user_role = ?, address = ?, about = ?, photo = ?, login_allowed = ?, 
@@ -1022,7 +1026,7 @@ router.get('/', async (req, res) => {
       sanitizeForMySQL(employeeData.salutation),
       sanitizeForMySQL(employeeData.name),
       sanitizeForMySQL(employeeData.email),
-      sanitizeForMySQL(employeeData.password),
+      passwordHash,
       sanitizeForMySQL(employeeData.designation),
       sanitizeForMySQL(employeeData.department),
       sanitizeForMySQL(employeeData.work_from),
@@ -1063,6 +1067,21 @@ router.get('/', async (req, res) => {
       // Check connection health
       await connection.ping();
       
+      const [current] = await connection.execute('SELECT name, user_role FROM employees WHERE id = ?', [req.params.id]);
+      if (current.length === 0) {
+        res.status(404).json({ error: 'Employee not found' });
+        return;
+      }
+      // Roles grant permissions and passwords grant the account: only admins may change them for someone else
+      if (!isAdminUser(req.user)) {
+        const roleKey = (role) => (role || '').toString().trim().toLowerCase();
+        if (roleKey(current[0].user_role) !== roleKey(sanitizeForMySQL(employeeData.user_role))) {
+          return res.status(403).json({ error: 'Only admins can change a user role' });
+        }
+        if (employeeData.password && String(req.params.id) !== String(req.user.id)) {
+          return res.status(403).json({ error: "Only admins can reset another employee's password" });
+        }
+      }
       const [result] = await connection.execute(query, values);
       
       if (result.affectedRows === 0) {
@@ -1070,6 +1089,12 @@ router.get('/', async (req, res) => {
         return;
       }
       
+      // Keep the display names on their tasks in step with the rename
+      const newName = sanitizeForMySQL(employeeData.name);
+      if (current[0] && current[0].name !== newName) {
+        await renameEmployeeInTasks(connection, req.params.id, current[0].name, newName);
+      }
+      
       res.json({ message: 'Employee updated successfully' });
       
     } catch (err) {
@@ -1102,7 +1127,7 @@ router.get('/', async (req, res) => {
   });
   
   // Delete employee
-  router.delete('/:id', async (req, res) => {
+  router.delete('/:id', requirePermission('employees_manage'), async (req, res) => {
     const query = 'DELETE FROM employees WHERE id = ?';
     let connection;
     
@@ -1141,7 +1166,7 @@ router.get('/', async (req, res) => {
   });
   
   // Import employees from Excel file
-  router.post('/import', upload.single('file'), async (req, res) => {
+  router.post('/import', requirePermission('employees_manage'), upload.single('file'), async (req, res) => {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
@@ -1211,6 +1236,10 @@ router.get('/', async (req, res) => {
               console.log(`Skipping row ${index + 1}: Missing name or email`, employeeData);
               continue;
             }
+            if (employeeData.user_role && !isAdminUser(req.user)) {
+              errors.push(`Row ${index + 1} (${employeeData.name}): Only admins can assign a user role`);
+              continue;
+            }
   
             const query = `
               INSERT INTO employees (
@@ -1226,7 +1255,7 @@ router.get('/', async (req, res) => {
   
             const values = [
               employeeData.employee_id, employeeData.salutation, employeeData.name,
-              employeeData.email, employeeData.password, employeeData.designation,
+              employeeData.email, employeeData.password ? await hashPassword(String(employeeData.password)) : null, employeeData.designation,
               employeeData.department, employeeData.work_from, employeeData.country,
               employeeData.mobile, employeeData.gender, sanitizeForMySQL(employeeData.joining_date),
               sanitizeForMySQL(employeeData.date_of_birth), employeeData.reporting_to, employeeData.language,
@@ -1282,7 +1311,7 @@ router.get('/', async (req, res) => {
   });
   
   // Get warning letters for a specific employee
-  router.get('/:id/warning-letters', async (req, res) => {
+  router.get('/:id/warning-letters', requireSelfOrPermission(['warning_letters_manage', 'view_warning_letters_submenu'], { allowManagers: true }), async (req, res) => {
       const employeeId = req.params.id;
       let connection;
       
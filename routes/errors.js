@@ -1,6 +1,10 @@
 const router = require('express').Router();
 const { mysqlPool } = require('../config/database');
 const { sanitizeForMySQL } = require('../helpers/sanitize');
+const { requirePermission } = require('../middleware/permissions');
+
+// Error records count against employees' health scores; managers and errors_manage holders write them
+const canManageErrors = requirePermission('errors_manage', { allowManagers: true });
 
 // GET /api/errors - List all errors
 router.get('/', async (req, res) => {
@@ -27,7 +31,7 @@ router.get('/', async (req, res) => {
 });
 
 // POST /api/errors - Create an error record
-router.post('/', async (req, res) => {
+router.post('/', canManageErrors, async (req, res) => {
   const { employee_id, task_id, severity, description, error_date } = req.body;
   if (!employee_id || !task_id || !severity) {
     return res.status(400).json({ error: 'employee_id, task_id and severity are required' });
@@ -75,7 +79,7 @@ router.post('/', async (req, res) => {
 });
 
 // DELETE /api/errors/bulk - Delete multiple errors (must be before /:id)
-router.delete('/bulk', async (req, res) => {
+router.delete('/bulk', canManageErrors, async (req, res) => {
   const { ids } = req.body;
 
   if (!ids || !Array.isArray(ids) || ids.length === 0) {
@@ -108,7 +112,7 @@ router.delete('/bulk', async (req, res) => {
 });
 
 // DELETE /api/errors/:id - Delete single error
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', canManageErrors, async (req, res) => {
   const { id } = req.params;
 
   let connection;
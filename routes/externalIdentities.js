@@ -0,0 +1,122 @@
+const router = require('express').Router();
+const { mysqlPool } = require('../config/database');
+const { requirePermission } = require('../middleware/permissions');
+const {
+  PROVIDERS,
+  isValidProvider,
+  linkExternalIdentity,
+  unlinkExternalIdentity,
+  listUnmatchedTeamLoggerUsers
+} = require('../helpers/externalIdentities');
+
+// GET /api/admin/external-identities - Every link, newest first
+router.get('/', requirePermission('all'), async (req, res) => {
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    const params = [];
+    let where = '';
+    if (req.query.provider) { where = 'WHERE ei.provider = ?'; params.push(req.query.provider); }
+    const [rows] = await connection.execute(
+      `SELECT ei.*, e.name AS employee_name, e.email AS employee_email, e.department
+       FROM external_identities ei
+       LEFT JOIN employees e ON e.id = ei.employee_id
+       ${where}
+       ORDER BY ei.updated_at DESC, ei.id DESC`,
+      params
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('Error fetching external identities:', err);
+    res.status(500).json({ error: 'Failed to fetch external identities' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// GET /api/admin/external-identities/unmatched - External accounts not attributed to any employee
+router.get('/unmatched', requirePermission('all'), async (req, res) => {
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    res.json(await listUnmatchedTeamLoggerUsers(connection));
+  } catch (err) {
+    console.error('Error fetching unmatched external users:', err);
+    res.status(500).json({ error: 'Failed to fetch unmatched external users' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// POST /api/admin/external-identities - Link { provider, externalId, employeeId, email?, code?, name? }
+// and re-attribute stored rows for that account
+router.post('/', requirePermission('all'), async (req, res) => {
+  const { provider = 'teamlogger', externalId, employeeId, email, code, name } = req.body || {};
+  const externalKey = (externalId ?? '').toString().trim();
+  const empId = parseInt(employeeId, 10);
+
+  if (!isValidProvider(provider)) {
+    return res.status(400).json({ error: `provider must be one of: ${Object.keys(PROVIDERS).join(', ')}` });
+  }
+  if (!externalKey || externalKey.length > 150) {
+    return res.status(400).json({ error: 'externalId is required (max 150 characters)' });
+  }
+  if (!Number.isInteger(empId) || empId <= 0) {
+    return res.status(400).json({ error: 'employeeId is required' });
+  }
+
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    const [employees] = await connection.execute('SELECT id, name FROM employees WHERE id = ?', [empId]);
+    if (employees.length === 0) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const result = await linkExternalIdentity(connection, {
+      provider,
+      externalId: externalKey,
+      email: email ? String(email).trim() : null,
+      code: code ? String(code).trim() : null,
+      name: name ? String(name).trim() : null,
+      employeeId: empId,
+      createdBy: req.user
+    });
+
+    console.log(`🔗 Linked ${provider} account ${externalKey} to ${employees[0].name} (${result.storeRowsUpdated} store rows, ${result.idleRowsReattributed} idle rows)`);
+    res.json(result);
+  } catch (err) {
+    console.error('Error linking external identity:', err);
+    res.status(500).json({ error: 'Failed to link external identity' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// DELETE /api/admin/external-identities/:id - Remove a link
+router.delete('/:id', requirePermission('all'), async (req, res) => {
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    const removed = await unlinkExternalIdentity(connection, req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'External identity not found' });
+    }
+    res.json({ message: 'External identity removed' });
+  } catch (err) {
+    console.error('Error removing external identity:', err);
+    res.status(500).json({ error: 'Failed to remove external identity' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const router = require('express').Router();
 const { mysqlPool } = require('../config/database');
+const { requirePermission } = require('../middleware/permissions');
 
 // Default health settings values
 const DEFAULT_SETTINGS = {
@@ -11,11 +12,14 @@ const DEFAULT_SETTINGS = {
   task_cycle_offset_days: { value: 2, type: 'number', description: 'Offset days for task cycle' },
   hours_points_per_month: { value: 8, type: 'number', description: 'Points awarded per hour worked per month' },
   expected_hours_per_day: { value: 8, type: 'number', description: 'Expected working hours per day' },
-  working_days_per_week: { value: 6, type: 'number', description: 'Number of working days per week' },
   hr_cycle_months: { value: 3, type: 'number', description: 'HR cycle length in months' },
   error_high_deduction: { value: 15, type: 'number', description: 'Points deducted for high severity errors' },
   error_medium_deduction: { value: 8, type: 'number', description: 'Points deducted for medium severity errors' },
   error_low_deduction: { value: 3, type: 'number', description: 'Points deducted for low severity errors' },
+  issues_affect_health: { value: false, type: 'boolean', description: 'Deduct health points for issues charged to an employee' },
+  issue_high_deduction: { value: 10, type: 'number', description: 'Points deducted for high severity issues' },
+  issue_medium_deduction: { value: 5, type: 'number', description: 'Points deducted for medium severity issues' },
+  issue_low_deduction: { value: 2, type: 'number', description: 'Points deducted for low severity issues' },
   appreciation_bonus: { value: 5, type: 'number', description: 'Points awarded for appreciations' },
   attendance_deduction: { value: 5, type: 'number', description: 'Points deducted for attendance issues' },
   max_absences_per_month: { value: 2, type: 'number', description: 'Maximum allowed absences per month' },
@@ -90,7 +94,7 @@ router.get('/', async (req, res) => {
 });
 
 // PUT /api/health-settings - Update settings
-router.put('/', async (req, res) => {
+router.put('/', requirePermission('all'), async (req, res) => {
   const settings = req.body;
   let connection;
 
@@ -130,7 +134,7 @@ router.put('/', async (req, res) => {
 });
 
 // POST /api/health-settings/reset - Reset to defaults
-router.post('/reset', async (req, res) => {
+router.post('/reset', requirePermission('all'), async (req, res) => {
   let connection;
   try {
     connection = await mysqlPool.getConnection();
@@ -153,7 +157,7 @@ router.post('/reset', async (req, res) => {
 });
 
 // POST /api/health-settings/defaults - Seed defaults (upsert)
-router.post('/defaults', async (req, res) => {
+router.post('/defaults', requirePermission('all'), async (req, res) => {
   let connection;
   try {
     connection = await mysqlPool.getConnection();
@@ -0,0 +1,310 @@
+// Holiday calendar: public holidays and important events (helpers/holidays.js)
+// Mount at: /api/holidays
+const router = require('express').Router();
+const { mysqlPool } = require('../config/database');
+const { sanitizeForMySQL } = require('../helpers/sanitize');
+const { requirePermission } = require('../middleware/permissions');
+const {
+  HOLIDAY_TYPES,
+  HOLIDAY_SCOPES,
+  DATE_RE,
+  HOLIDAY_SELECT,
+  parseJsonList,
+  formatHolidayRow,
+  loadHolidays,
+  expandHolidays,
+  holidayAppliesTo,
+  loadHolidayEmployee
+} = require('../helpers/holidays');
+
+const MANAGE = 'holidays_manage';
+const MAX_IMPORT_ROWS = 500;
+
+// Helper: department ids from a list of ids or names
+const resolveDepartmentIds = async (connection, values) => {
+  const list = parseJsonList(values);
+  if (list.length === 0) return { ids: [] };
+  const [departments] = await connection.execute('SELECT id, name FROM departments');
+  const ids = [];
+  for (const value of list) {
+    const match = departments.find(d =>
+      String(d.id) === String(value).trim() || String(d.name).trim().toLowerCase() === String(value).trim().toLowerCase());
+    if (!match) return { error: `Unknown department: ${value}` };
+    if (!ids.includes(match.id)) ids.push(match.id);
+  }
+  return { ids };
+};
+
+// Helper: validate a holiday body into column values; partial = only the fields sent (PUT)
+const buildHolidayValues = async (connection, body, { partial = false, existing = null } = {}) => {
+  const values = {};
+  if (!partial || body.name !== undefined) {
+    const name = String(body.name || '').trim();
+    if (!name) return { error: 'name is required' };
+    values.name = sanitizeForMySQL(name);
+  }
+  if (!partial || body.start_date !== undefined || body.date !== undefined) {
+    const start = String(body.start_date || body.date || '').trim();
+    if (!DATE_RE.test(start)) return { error: 'start_date is required (YYYY-MM-DD)' };
+    values.start_date = start;
+  }
+  if (!partial || body.end_date !== undefined) {
+    const end = String(body.end_date || '').trim() || values.start_date || (existing && existing.start_date);
+    if (!DATE_RE.test(end)) return { error: 'end_date must be YYYY-MM-DD' };
+    values.end_date = end;
+  }
+  const start = values.start_date || (existing && existing.start_date);
+  const end = values.end_date || (existing && existing.end_date);
+  if (start && end && end < start) return { error: 'end_date cannot be before start_date' };
+
+  if (!partial || body.type !== undefined) {
+    const type = String(body.type || 'holiday').trim().toLowerCase();
+    if (!HOLIDAY_TYPES.includes(type)) return { error: `type must be one of ${HOLIDAY_TYPES.join(', ')}` };
+    values.type = type;
+  }
+  if (!partial || body.scope !== undefined || body.departments !== undefined || body.designations !== undefined) {
+    const scope = String(body.scope || (existing && existing.scope) || 'all').trim().toLowerCase();
+    if (!HOLIDAY_SCOPES.includes(scope)) return { error: `scope must be one of ${HOLIDAY_SCOPES.join(', ')}` };
+    values.scope = scope;
+    values.departments = null;
+    values.designations = null;
+    if (scope === 'departments') {
+      const { ids, error } = await resolveDepartmentIds(connection, body.departments);
+      if (error) return { error };
+      if (ids.length === 0) return { error: 'Choose at least one department' };
+      values.departments = JSON.stringify(ids);
+    } else if (scope === 'designations') {
+      const designations = parseJsonList(body.designations).map(d => String(d).trim()).filter(Boolean);
+      if (designations.length === 0) return { error: 'Choose at least one designation' };
+      values.designations = JSON.stringify(designations);
+    }
+  }
+  if (!partial || body.recurring_yearly !== undefined) {
+    values.recurring_yearly = body.recurring_yearly === true || body.recurring_yearly === 1 ||
+      ['1', 'true', 'yes'].includes(String(body.recurring_yearly).toLowerCase()) ? 1 : 0;
+  }
+  if (!partial || body.description !== undefined) {
+    values.description = body.description ? sanitizeForMySQL(String(body.description)) : null;
+  }
+  return { values };
+};
+
+const insertHoliday = async (connection, values, user) => {
+  const [result] = await connection.execute(
+    `INSERT INTO holidays (name, start_date, end_date, type, scope, departments, designations, recurring_yearly, description, created_by_id, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [values.name, values.start_date, values.end_date, values.type, values.scope, values.departments,
+      values.designations, values.recurring_yearly, values.description, user ? user.id : null, user ? user.name : null]
+  );
+  return result.insertId;
+};
+
+// GET /api/holidays - Holiday definitions (filters: year, or start and end; type)
+router.get('/', async (req, res) => {
+  const year = parseInt(req.query.year, 10);
+  const start = year ? `${year}-01-01` : String(req.query.start || '').trim();
+  const end = year ? `${year}-12-31` : String(req.query.end || '').trim();
+  const type = req.query.type ? String(req.query.type).toLowerCase() : null;
+  if ((start && !DATE_RE.test(start)) || (end && !DATE_RE.test(end))) {
+    return res.status(400).json({ error: 'start and end must be YYYY-MM-DD' });
+  }
+  if (type && !HOLIDAY_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of ${HOLIDAY_TYPES.join(', ')}` });
+  }
+
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const rows = start || end
+      ? await loadHolidays(connection, start || '1000-01-01', end || '9999-12-31', { types: type ? [type] : null })
+      : (await connection.execute(`${HOLIDAY_SELECT} ${type ? 'WHERE type = ?' : ''} ORDER BY start_date DESC, id DESC`, type ? [type] : []))[0]
+        .map(formatHolidayRow);
+    res.json(rows);
+  } catch (err) {
+    console.error('Error fetching holidays:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// GET /api/holidays/dates?start&end[&employee_id] - One entry per holiday day in the range, recurring holidays
+// included; with employee_id only the holidays that apply to that employee
+router.get('/dates', async (req, res) => {
+  const start = String(req.query.start || '').trim();
+  const end = String(req.query.end || start).trim();
+  if (!DATE_RE.test(start) || !DATE_RE.test(end) || end < start) {
+    return res.status(400).json({ error: 'start and end (YYYY-MM-DD) are required' });
+  }
+
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    let employee = null;
+    if (req.query.employee_id) {
+      employee = await loadHolidayEmployee(connection, req.query.employee_id);
+      if (!employee) return res.status(404).json({ error: 'Employee not found' });
+    }
+    const holidays = await loadHolidays(connection, start, end);
+    const dates = expandHolidays(holidays, start, end)
+      .filter(({ holiday }) => holidayAppliesTo(holiday, employee))
+      .map(({ date, holiday }) => ({
+        date,
+        holiday_id: holiday.id,
+        name: holiday.name,
+        type: holiday.type,
+        scope: holiday.scope,
+        departments: holiday.departments,
+        designations: holiday.designations,
+        recurring_yearly: holiday.recurring_yearly
+      }));
+    res.json(dates);
+  } catch (err) {
+    console.error('Error fetching holiday dates:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// POST /api/holidays - Add a holiday or important event
+router.post('/', requirePermission(MANAGE), async (req, res) => {
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const { values, error } = await buildHolidayValues(connection, req.body || {});
+    if (error) return res.status(400).json({ error });
+    const id = await insertHoliday(connection, values, req.user);
+    const [rows] = await connection.execute(`${HOLIDAY_SELECT} WHERE id = ?`, [id]);
+    res.status(201).json({ item: formatHolidayRow(rows[0]) });
+  } catch (err) {
+    console.error('Error creating holiday:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// POST /api/holidays/import - Import a yearly list { holidays: [{ name, start_date|date, end_date, type, scope,
+// departments, designations, recurring_yearly, description }], replace_year }
+// Rows matching an existing holiday (same name and start date) are skipped; replace_year first removes that
+// year's non-recurring holidays.
+router.post('/import', requirePermission(MANAGE), async (req, res) => {
+  const { holidays, replace_year } = req.body || {};
+  if (!Array.isArray(holidays) || holidays.length === 0) {
+    return res.status(400).json({ error: 'holidays array is required' });
+  }
+  if (holidays.length > MAX_IMPORT_ROWS) {
+    return res.status(400).json({ error: `At most ${MAX_IMPORT_ROWS} holidays can be imported at once` });
+  }
+  const replaceYear = replace_year ? parseInt(replace_year, 10) : null;
+  if (replace_year && !replaceYear) {
+    return res.status(400).json({ error: 'replace_year must be a year' });
+  }
+
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    // Validate everything before writing so a bad row does not leave a half-imported year
+    const errors = [];
+    const rows = [];
+    for (let i = 0; i < holidays.length; i++) {
+      const { values, error } = await buildHolidayValues(connection, holidays[i] || {});
+      if (error) errors.push({ row: i + 1, error });
+      else rows.push(values);
+    }
+    if (errors.length) {
+      return res.status(400).json({ error: 'Some rows are invalid; nothing was imported', errors });
+    }
+
+    await connection.beginTransaction();
+    let removed = 0;
+    if (replaceYear) {
+      const [result] = await connection.execute(
+        'DELETE FROM holidays WHERE recurring_yearly = 0 AND start_date BETWEEN ? AND ?',
+        [`${replaceYear}-01-01`, `${replaceYear}-12-31`]
+      );
+      removed = result.affectedRows;
+    }
+    let inserted = 0;
+    let skipped = 0;
+    for (const values of rows) {
+      const [existing] = await connection.execute(
+        'SELECT id FROM holidays WHERE LOWER(name) = LOWER(?) AND start_date = ? LIMIT 1',
+        [values.name, values.start_date]
+      );
+      if (existing.length > 0) {
+        skipped++;
+        continue;
+      }
+      await insertHoliday(connection, values, req.user);
+      inserted++;
+    }
+    await connection.commit();
+
+    console.log(`📅 Holiday import by ${req.user.name}: ${inserted} added, ${skipped} skipped, ${removed} replaced`);
+    res.status(201).json({ success: true, inserted, skipped, removed });
+  } catch (err) {
+    if (connection) await connection.rollback().catch(() => {});
+    console.error('Error importing holidays:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// PUT /api/holidays/:id - Update a holiday; only the fields sent are changed
+router.put('/:id', requirePermission(MANAGE), async (req, res) => {
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const [existing] = await connection.execute(`${HOLIDAY_SELECT} WHERE id = ?`, [req.params.id]);
+    if (existing.length === 0) {
+      return res.status(404).json({ error: 'Holiday not found' });
+    }
+    const { values, error } = await buildHolidayValues(connection, req.body || {}, { partial: true, existing: existing[0] });
+    if (error) return res.status(400).json({ error });
+
+    const columns = Object.keys(values);
+    if (columns.length > 0) {
+      await connection.execute(
+        `UPDATE holidays SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+        [...columns.map(c => values[c]), req.params.id]
+      );
+    }
+    const [rows] = await connection.execute(`${HOLIDAY_SELECT} WHERE id = ?`, [req.params.id]);
+    res.json({ item: formatHolidayRow(rows[0]) });
+  } catch (err) {
+    console.error('Error updating holiday:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// DELETE /api/holidays/:id - Remove a holiday
+router.delete('/:id', requirePermission(MANAGE), async (req, res) => {
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const [result] = await connection.execute('DELETE FROM holidays WHERE id = ?', [req.params.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Holiday not found' });
+    }
+    res.json({ message: 'Holiday deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting holiday:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+module.exports = router;
@@ -2,96 +2,38 @@ const router = require('express').Router();
 const adminRouter = require('express').Router();
 const wagesRouter = require('express').Router();
 const notificationsRouter = require('express').Router();
-const axios = require('axios');
 const { mysqlPool } = require('../config/database');
-
-// ===== Team Logger Constants =====
-const TEAMLOGGER_EMPLOYEE_SUMMARY_REPORT_URL = 'https://api2.teamlogger.com/api/employee_summary_report';
-
-// ===== Idle Reason Categories =====
-const IDLE_REASON_CATEGORIES = [
-  {
-    key: 'personal',
-    label: 'Personal',
-    subcategories: [
-      { key: 'health', label: 'Health related' },
-      { key: 'family', label: 'Family emergency' },
-      { key: 'break', label: 'Extended break' }
-    ]
-  },
-  {
-    key: 'work_process',
-    label: 'Work / Process',
-    subcategories: [
-      { key: 'waiting_requirements', label: 'Waiting for requirements' },
-      { key: 'waiting_approvals', label: 'Waiting for approvals' },
-      { key: 'tool_issues', label: 'Tool/infra issues' }
-    ]
-  },
-  {
-    key: 'other',
-    label: 'Other',
-    subcategories: [
-      { key: 'misc', label: 'Miscellaneous' }
-    ]
-  }
-];
-
-// ===== Utility Functions =====
-function getEpochMsForDay(dateStr, timezoneOffsetMinutes = 330) {
-  const midnightUtc = new Date(dateStr + 'T00:00:00.000Z').getTime();
-  const startMs = midnightUtc - timezoneOffsetMinutes * 60 * 1000;
-  const endMs = startMs + 24 * 60 * 60 * 1000 - 1;
-  return { startMs, endMs };
-}
-
-function getEpochMsForRange(startDateStr, endDateStr, timezoneOffsetMinutes = 330) {
-  const norm = (s) => (typeof s === 'string' && s.includes('T') ? s.split('T')[0] : s);
-  const start = norm(startDateStr);
-  const end = norm(endDateStr);
-  const { startMs } = getEpochMsForDay(start, timezoneOffsetMinutes);
-  const endDay = getEpochMsForDay(end, timezoneOffsetMinutes);
-  const endMs = endDay.startMs + 24 * 60 * 60 * 1000;
-  return { startMs, endMs };
-}
-
-function getIdleHours(row) {
-  if (!row || typeof row !== 'object') return 0;
-  const h = row.idleHours ?? row.idle_hours ?? row.IdleHours;
-  if (h != null && h !== '') {
-    const num = typeof h === 'number' ? h : parseFloat(h);
-    if (!Number.isNaN(num)) return num;
-  }
-  const sec = row.inactiveSecondsCount ?? row.inactive_seconds_count ?? row.InactiveSecondsCount;
-  if (sec != null && sec !== '') {
-    const num = typeof sec === 'number' ? sec : parseFloat(sec);
-    if (!Number.isNaN(num)) return num / 3600;
-  }
-  const keys = Object.keys(row);
-  for (const k of keys) {
-    const lower = k.toLowerCase();
-    if (lower.includes('idle') && !lower.includes('inactive') && !lower.includes('second')) {
-      const v = row[k];
-      if (v != null && v !== '') {
-        const num = typeof v === 'number' ? v : parseFloat(v);
-        if (!Number.isNaN(num)) return num;
-      }
-    }
-    if (lower.includes('inactive') && (lower.includes('second') || lower.includes('count'))) {
-      const v = row[k];
-      if (v != null && v !== '') {
-        const num = typeof v === 'number' ? v : parseFloat(v);
-        if (!Number.isNaN(num)) return num / 3600;
-      }
-    }
-  }
-  return 0;
-}
+const { requirePermission, isAdminUser, userHasPermission } = require('../middleware/permissions');
+const { createNotification } = require('../helpers/notifications');
+const { isRecurrenceDueOn } = require('../helpers/recurrence');
+const { getZonedDateString } = require('../helpers/dates');
+const {
+  MAX_BACKFILL_DAYS,
+  syncTeamLoggerRange,
+  getSyncStatus,
+  setSyncHeaders,
+  getEmployeeTimeSummary,
+  getHighIdleEmployees,
+  getCurrentlyIdleEmployees
+} = require('../helpers/teamlogger');
+const { buildIdentityResolver, adoptOrphanedIdleRows } = require('../helpers/externalIdentities');
+const {
+  getThresholdRules,
+  resolveThresholdMinutes,
+  getMinThresholdMinutes,
+  normalizeThresholdRule,
+  getReasonCatalogue,
+  findActiveReason,
+  isValidReasonKey
+} = require('../helpers/idleAccountabilityConfig');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
 
 // ===== Internal Helpers =====
 
-// Upsert idle_accountability rows from a list of high-idle employees for a specific date
-async function upsertIdleAccountabilityFromListForDate(list, date, thresholdMinutes) {
+// Upsert idle_accountability rows from a list of high-idle employees for a specific date. Each employee is
+// held to the idle_thresholds rule for their department / designation in effect on that date.
+async function upsertIdleAccountabilityFromListForDate(list, date) {
   if (!Array.isArray(list) || list.length === 0) return;
 
   let connection;
@@ -99,22 +41,17 @@ async function upsertIdleAccountabilityFromListForDate(list, date, thresholdMinu
     connection = await mysqlPool.getConnection();
     await connection.ping();
 
-    const [empRows] = await connection.execute(
-      'SELECT id, LOWER(TRIM(email)) AS email_key, LOWER(TRIM(name)) AS name_key, email FROM employees WHERE status = ?',
-      ['Active']
-    );
-    const emailToEmp = {};
-    const nameToEmp = {};
-    for (const r of empRows) {
-      if (r.email_key) emailToEmp[r.email_key] = { id: r.id, email: r.email };
-      if (r.name_key) nameToEmp[r.name_key] = { id: r.id, email: r.email };
-    }
+    const resolveEmployee = await buildIdentityResolver(connection, 'teamlogger');
+    const thresholdRules = await getThresholdRules(connection, date);
+    const [empRows] = await connection.execute('SELECT id, department, designation FROM employees');
+    const employeesById = new Map(empRows.map(r => [r.id, r]));
 
     const insertSql = `
       INSERT INTO idle_accountability (
-        employee_id, employee_email, date, idle_hours, idle_minutes, threshold_minutes
-      ) VALUES (?, ?, ?, ?, ?, ?)
+        employee_id, employee_email, external_key, date, idle_hours, idle_minutes, threshold_minutes
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
       ON DUPLICATE KEY UPDATE
+        external_key = VALUES(external_key),
         idle_hours = VALUES(idle_hours),
         idle_minutes = VALUES(idle_minutes),
         threshold_minutes = VALUES(threshold_minutes),
@@ -122,30 +59,51 @@ async function upsertIdleAccountabilityFromListForDate(list, date, thresholdMinu
     `;
 
     let count = 0;
+    let reattributed = 0;
     for (const item of list) {
       const idleH = Number(item.idleHours ?? 0);
       const idleM = Math.round(idleH * 60);
-      if (!Number.isFinite(idleM) || idleM < thresholdMinutes) continue;
-
       const rawEmail = (item.email ?? '').toString().trim();
-      const name = (item.employeeName ?? '').toString().trim();
-      const emailKey = rawEmail.toLowerCase();
-      const nameKey = name.toLowerCase();
-
-      let emp = null;
-      if (emailKey && emailToEmp[emailKey]) emp = emailToEmp[emailKey];
-      else if (nameKey && nameToEmp[nameKey]) emp = nameToEmp[nameKey];
+      const externalKey = item.teamloggerId || null;
 
-      const employeeId = emp ? emp.id : null;
-      const employeeEmail = rawEmail || (emp ? emp.email : null) || null;
+      // Rows from the TeamLogger store are already matched; otherwise use external_identities, then email / name
+      const employeeId = item.employeeId ?? resolveEmployee({
+        externalId: externalKey, email: rawEmail, code: item.employeeCode, name: item.employeeName
+      });
+      // Unmatched accounts only fall under the catch-all rule
+      const thresholdMinutes = resolveThresholdMinutes(thresholdRules, employeesById.get(employeeId) || {});
+      if (!Number.isFinite(idleM) || idleM < thresholdMinutes) continue;
 
-      await connection.execute(insertSql, [
-        employeeId, employeeEmail, date, Number(idleH.toFixed(4)), idleM, thresholdMinutes
-      ]);
+      if (employeeId) {
+        // Pick up rows stored for this account while it was still unmatched
+        reattributed += await adoptOrphanedIdleRows(connection, employeeId, { externalKey, email: rawEmail });
+        await connection.execute(insertSql, [
+          employeeId, rawEmail || null, externalKey, date, Number(idleH.toFixed(4)), idleM, thresholdMinutes
+        ]);
+      } else {
+        // employee_id NULL never hits the unique key, so update this account's orphan for the date in place
+        const [existing] = await connection.execute(
+          `SELECT id FROM idle_accountability
+           WHERE employee_id IS NULL AND date = ? AND (external_key = ? OR (external_key IS NULL AND LOWER(TRIM(employee_email)) = ?))
+           LIMIT 1`,
+          [date, externalKey || '', rawEmail.toLowerCase() || '']
+        );
+        if (existing.length > 0) {
+          await connection.execute(
+            `UPDATE idle_accountability SET external_key = ?, idle_hours = ?, idle_minutes = ?, threshold_minutes = ?, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [externalKey, Number(idleH.toFixed(4)), idleM, thresholdMinutes, existing[0].id]
+          );
+        } else {
+          await connection.execute(insertSql, [
+            null, rawEmail || null, externalKey, date, Number(idleH.toFixed(4)), idleM, thresholdMinutes
+          ]);
+        }
+      }
       count += 1;
     }
 
-    console.log('Idle accountability upsert complete for date=%s, rowsFromList=%d, createdOrUpdated=%d (threshold=%dmin)', date, list.length, count, thresholdMinutes);
+    console.log('Idle accountability upsert complete for date=%s, rowsFromList=%d, createdOrUpdated=%d, reattributed=%d', date, list.length, count, reattributed);
   } catch (e) {
     console.error('Idle accountability upsert failed:', e.message || e);
   } finally {
@@ -153,6 +111,61 @@ async function upsertIdleAccountabilityFromListForDate(list, date, thresholdMinu
   }
 }
 
+// Helper: open an "Idle Time" ticket; resolves to the new ticket id
+async function insertIdleTicket(connection, { title, description, employeeId, department, createdBy }) {
+  const [maxIdRow] = await connection.execute('SELECT MAX(id) AS maxId FROM tickets');
+  const maxId = maxIdRow && maxIdRow[0] && maxIdRow[0].maxId ? Number(maxIdRow[0].maxId) : 0;
+  const ticketNumber = `T-${String(maxId + 1).padStart(6, '0')}`;
+
+  const [ticketResult] = await connection.execute(
+    `INSERT INTO tickets (ticket_number, title, description, category, priority, status, assigned_to, department, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [ticketNumber, title, description, 'Idle Time', 'High', 'Open', employeeId || null, department, createdBy || null]
+  );
+  return ticketResult.insertId;
+}
+
+// Helper: close the idle ticket of an accepted or waived record, if it is still open
+async function closeIdleTicket(connection, ticketId) {
+  if (!ticketId) return;
+  await connection.execute(
+    "UPDATE tickets SET status = 'Closed', updated_at = NOW() WHERE id = ? AND status NOT IN ('Resolved', 'Closed')",
+    [ticketId]
+  );
+}
+
+// Helper: append to the decision trail (idle_accountability_decisions)
+async function recordIdleDecision(connection, row, { action, outcome = null, toStatus, comment = null, ticketId = null, actor }) {
+  await connection.execute(
+    `INSERT INTO idle_accountability_decisions (
+       idle_accountability_id, action, outcome, to_status, category, subcategory, reason_text, evidence_text,
+       comment, ticket_id, actor_id, actor_name
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [row.id, action, outcome, toStatus, row.category || null, row.subcategory || null, row.reason_text || null,
+      row.evidence_text || null, comment, ticketId, actor?.id ?? null, actor?.name ?? null]
+  );
+}
+
+// Helper: SQL condition limiting idle records (aliases ia, e = employees, d = departments) to those `user`
+// may review: their direct reports (reporting_to), departments they manage, and with idle_accountability_review
+// their own department. Admins can review everyone; nobody reviews their own records.
+function buildReviewScope(user) {
+  if (isAdminUser(user) || (user.permissions || []).includes('all')) return { clause: '1 = 1', params: [] };
+  const name = (user.name || '').toString().trim().toLowerCase();
+  const parts = [];
+  const params = [];
+  if (name) {
+    parts.push('LOWER(TRIM(e.reporting_to)) = ?', 'LOWER(TRIM(d.manager)) = ?');
+    params.push(name, name);
+  }
+  if (user.department && userHasPermission(user, 'idle_accountability_review')) {
+    parts.push('e.department = ?');
+    params.push(user.department);
+  }
+  if (parts.length === 0) return { clause: '1 = 0', params: [] };
+  return { clause: `(${parts.join(' OR ')}) AND e.id <> ?`, params: [...params, user.id] };
+}
+
 // Auto-create high-priority tickets for idle accountability records without submitted reasons
 async function createIdleTicketsForDate(targetDate, opts = {}) {
   const todayIso = new Date().toISOString().split('T')[0];
@@ -164,7 +177,7 @@ async function createIdleTicketsForDate(targetDate, opts = {}) {
     connection = await mysqlPool.getConnection();
     await connection.ping();
 
-    const clauses = ['ia.date = ?', "ia.status IN ('pending', 'ticket_created')", 'ia.idle_minutes > 20'];
+    const clauses = ['ia.date = ?', "ia.status IN ('pending', 'ticket_created')", 'ia.idle_minutes >= ia.threshold_minutes'];
     const params = [date];
 
     if (department) {
@@ -201,23 +214,15 @@ async function createIdleTicketsForDate(targetDate, opts = {}) {
       const description =
         `${descriptionHeader}\n\nDate: ${dateOnly}\nEmployee: ${employeeName}\nDepartment: ${dept}\nIdle time: ${row.idle_minutes} minutes\n`;
 
-      const [maxIdRow] = await connection.execute('SELECT MAX(id) AS maxId FROM tickets');
-      const maxId = maxIdRow && maxIdRow[0] && maxIdRow[0].maxId ? Number(maxIdRow[0].maxId) : 0;
-      const nextId = maxId + 1;
-      const ticketNumber = `T-${String(nextId).padStart(6, '0')}`;
-
-      const [ticketResult] = await connection.execute(
-        `INSERT INTO tickets (ticket_number, title, description, category, priority, status, assigned_to, department, created_by)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [ticketNumber, title, description, 'Idle Time', 'High', 'Open', employeeId || null, dept, createdBy || null]
-      );
-
-      const ticketId = ticketResult.insertId;
+      const ticketId = await insertIdleTicket(connection, { title, description, employeeId, department: dept, createdBy });
 
       await connection.execute(
         `UPDATE idle_accountability SET status = 'ticket_created', ticket_id = ?, updated_at = NOW() WHERE id = ?`,
         [ticketId, row.id]
       );
+      await recordIdleDecision(connection, row, {
+        action: 'ticket_created', toStatus: 'ticket_created', ticketId, actor: createdBy ? { id: createdBy } : null
+      });
 
       ticketsCreated += 1;
     }
@@ -229,115 +234,67 @@ async function createIdleTicketsForDate(targetDate, opts = {}) {
   }
 }
 
-// Run idle accountability detection for a single date
+// Run idle accountability detection for a single date (defaults to yesterday) from the TeamLogger store.
+// Only reads teamlogger_daily; pulling from TeamLogger is left to the scheduled jobs and the backfill.
 async function runIdleAccountabilityForDate(targetDate) {
-  const apiKey = process.env.TEAMLOGGER_API_KEY;
-  if (!apiKey) {
-    throw new Error('Team Logger API key is not configured. Set TEAMLOGGER_API_KEY environment variable.');
-  }
-
-  const todayIso = new Date().toISOString().split('T')[0];
   const norm = (s) => (typeof s === 'string' && s.includes('T') ? s.split('T')[0] : s);
-  const today = norm(todayIso);
-  let date = targetDate ? norm(targetDate) : today;
-
-  if (!targetDate) {
-    const d = new Date(today + 'T00:00:00.000Z');
-    d.setUTCDate(d.getUTCDate() - 1);
-    date = d.toISOString().split('T')[0];
-  }
-
-  const { startMs, endMs } = getEpochMsForRange(date, date);
-
-  const response = await axios.get(TEAMLOGGER_EMPLOYEE_SUMMARY_REPORT_URL, {
-    params: { startTime: startMs, endTime: endMs },
-    headers: { Authorization: `Bearer ${apiKey}` },
-    timeout: 30000,
-    validateStatus: () => true
-  });
-
-  if (response.status !== 200) {
-    const body = response.data;
-    const msg = body && (typeof body === 'object' ? (body.message || body.error || JSON.stringify(body).slice(0, 200)) : String(body).slice(0, 200));
-    throw new Error(`Team Logger employee_summary_report failed (${response.status}): ${msg || 'no message'}`);
-  }
-
-  const responseData = response.data;
-  const rows = Array.isArray(responseData) ? responseData : (Array.isArray(responseData?.data) ? responseData.data : []);
-  const thresholdMinutes = 20;
-
-  const employeeKey = (row) => {
-    const name = (row.title ?? row.name ?? row.employeeName ?? '').toString().trim();
-    const email = (row.email ?? '').toString().trim();
-    const code = (row.code ?? row.employeeCode ?? '').toString().trim();
-    return (email || name || code || 'unknown').toLowerCase();
-  };
-
-  const aggregated = {};
-  for (const row of rows) {
-    const idleH = getIdleHours(row);
-    const idleM = Math.round(Number(idleH) * 60);
-    if (!Number.isFinite(idleM) || idleM < thresholdMinutes) continue;
-
-    const key = employeeKey(row);
-    if (!aggregated[key]) {
-      aggregated[key] = {
-        employeeName: (row.title ?? row.name ?? row.employeeName ?? '').toString().trim(),
-        email: (row.email ?? '').toString().trim(),
-        employeeCode: (row.code ?? row.employeeCode ?? '').toString().trim(),
-        idleHours: 0
-      };
-    }
-    aggregated[key].idleHours += idleH;
-  }
+  const date = targetDate ? norm(targetDate) : getZonedDateString(1);
 
-  const list = Object.values(aggregated).map((agg) => ({
-    employeeName: agg.employeeName,
-    email: agg.email,
-    employeeCode: agg.employeeCode,
-    idleHours: Number(Number(agg.idleHours).toFixed(4))
-  }));
+  // Candidates at the lowest threshold in effect; the upsert applies each employee's own threshold
+  const thresholdMinutes = getMinThresholdMinutes(await getThresholdRules(mysqlPool, date));
+  const list = await getHighIdleEmployees(mysqlPool, date, date, thresholdMinutes / 60);
 
-  await upsertIdleAccountabilityFromListForDate(list, date, thresholdMinutes);
+  await upsertIdleAccountabilityFromListForDate(list, date);
 
-  console.log('Idle accountability run complete for date=%s, rowsFromApi=%d, aggregatedEmployees=%d (threshold=%dmin)', date, rows.length, list.length, thresholdMinutes);
-  return { date, rowsFromApi: rows.length, processed: list.length, thresholdMinutes };
+  console.log('Idle accountability run complete for date=%s, highIdleEmployees=%d (min threshold=%dmin)', date, list.length, thresholdMinutes);
+  return { date, processed: list.length, thresholdMinutes };
 }
 
-// Helper: reset recurring tasks to Pending
-async function resetRecurringTasks(callback) {
-  const sql = `
-    UPDATE tasks
-    SET status = 'Pending', updated_at = CURRENT_TIMESTAMP
-    WHERE LOWER(IFNULL(labels,'')) LIKE '%daily%'
-       OR LOWER(IFNULL(labels,'')) LIKE '%weekly%'
-       OR LOWER(IFNULL(labels,'')) LIKE '%monthly%'
-  `;
-  try {
-    const [result] = await mysqlPool.execute(sql);
-    if (typeof callback === 'function') callback(null, result.affectedRows);
-  } catch (err) {
-    if (typeof callback === 'function') callback(err, 0);
-  }
+// Helper: reset recurring tasks that are due on `date` (YYYY-MM-DD, default today in PKT) to Pending.
+// Tasks tracked in task_occurrences are skipped: their status lives on each occurrence.
+// Resolves to the number of rows changed.
+async function resetRecurringTasks(date) {
+  const targetDate = date || getZonedDateString(0);
+  const [rows] = await mysqlPool.execute(
+    `SELECT t.id, t.recurrence FROM tasks t
+     WHERE t.recurrence_frequency IS NOT NULL AND t.status != 'Pending'
+       AND NOT EXISTS (SELECT 1 FROM task_occurrences o WHERE o.task_id = t.id)`
+  );
+  const dueIds = rows.filter(row => isRecurrenceDueOn(row.recurrence, targetDate)).map(row => row.id);
+  if (dueIds.length === 0) return 0;
+
+  const placeholders = dueIds.map(() => '?').join(',');
+  const [result] = await mysqlPool.execute(
+    `UPDATE tasks SET status = 'Pending', updated_at = CURRENT_TIMESTAMP WHERE id IN (${placeholders})`,
+    dueIds
+  );
+  return result.affectedRows;
 }
 
 // ============================
 // ROUTES: /api/idle-accountability
 // ============================
 
-// GET /api/idle-accountability/categories
-router.get('/categories', (req, res) => {
-  res.json(IDLE_REASON_CATEGORIES);
+// GET /api/idle-accountability/categories - Active reason categories with their subcategories
+router.get('/categories', async (req, res) => {
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    res.json(await getReasonCatalogue(connection));
+  } catch (err) {
+    console.error('Error fetching idle reason categories:', err.message || err);
+    res.status(500).json({ error: 'Failed to fetch idle reason categories', message: err.message || 'Unknown error' });
+  } finally {
+    if (connection) try { connection.release(); } catch (e) { /* ignore */ }
+  }
 });
 
 // GET /api/idle-accountability/my - Employee's own idle items
 router.get('/my', async (req, res) => {
-  const userId = Number(req.headers['x-user-id'] || req.headers['user-id'] || 0);
-  const userEmailHeader = (req.headers['x-user-email'] || req.headers['user-email'] || '').toString().trim();
-
-  if (!userId && !userEmailHeader) {
-    return res.status(401).json({ error: 'User identification required (user-id or user-email header).' });
-  }
+  const userId = Number(req.user.id || 0);
+  const userEmail = (req.user.email || '').toString().trim();
 
   const norm = (s) => (typeof s === 'string' && s.includes('T') ? s.split('T')[0] : s);
   const { from, to } = req.query || {};
@@ -370,14 +327,14 @@ router.get('/my', async (req, res) => {
     if (userId) {
       where += ' AND (ia.employee_id = ?';
       params.push(userId);
-      if (userEmailHeader) {
+      if (userEmail) {
         where += ' OR (ia.employee_id IS NULL AND LOWER(ia.employee_email) = LOWER(?))';
-        params.push(userEmailHeader);
+        params.push(userEmail);
       }
       where += ')';
-    } else if (userEmailHeader) {
+    } else if (userEmail) {
       where += ' AND LOWER(ia.employee_email) = LOWER(?)';
-      params.push(userEmailHeader);
+      params.push(userEmail);
     }
 
     const sql = `
@@ -401,47 +358,47 @@ router.get('/my', async (req, res) => {
 // POST /api/idle-accountability/:id/reason - Submit reason
 router.post('/:id/reason', async (req, res) => {
   const { id } = req.params;
-  const userId = Number(req.headers['x-user-id'] || req.headers['user-id'] || 0);
-  const userEmailHeader = (req.headers['x-user-email'] || req.headers['user-email'] || '').toString().trim();
+  const userId = Number(req.user.id || 0);
+  const userEmail = (req.user.email || '').toString().trim();
 
-  if (!userId && !userEmailHeader) {
-    return res.status(401).json({ error: 'User identification required (user-id or user-email header).' });
-  }
-
-  const { category, subcategory, reason } = req.body || {};
+  const { category, subcategory, reason, evidence } = req.body || {};
   if (!category || !subcategory || !reason || !reason.toString().trim()) {
     return res.status(400).json({ error: 'category, subcategory and reason are required.' });
   }
-
-  const cat = IDLE_REASON_CATEGORIES.find((c) => c.key === category);
-  if (!cat) return res.status(400).json({ error: 'Invalid category.' });
-  const sub = cat.subcategories.find((s) => s.key === subcategory);
-  if (!sub) return res.status(400).json({ error: 'Invalid subcategory.' });
+  const evidenceText = (evidence ?? '').toString().trim() || null;
 
   let connection;
   try {
     connection = await mysqlPool.getConnection();
     await connection.ping();
 
-    const params = [category, subcategory, reason.toString().trim(), id];
+    const selected = await findActiveReason(connection, category, subcategory);
+    if (!selected) return res.status(400).json({ error: 'Invalid category or subcategory.' });
+    if (selected.requires_evidence && !evidenceText) {
+      return res.status(400).json({ error: `${selected.category_label} reasons require evidence.` });
+    }
+    // Auto-waive categories close the record straight away
+    const newStatus = selected.auto_waive ? 'waived' : 'submitted';
+
+    const params = [category, subcategory, reason.toString().trim(), evidenceText, newStatus, id];
     let where = 'id = ?';
 
     if (userId) {
       where += ' AND (employee_id = ?';
       params.push(userId);
-      if (userEmailHeader) {
+      if (userEmail) {
         where += ' OR (employee_id IS NULL AND LOWER(employee_email) = LOWER(?))';
-        params.push(userEmailHeader);
+        params.push(userEmail);
       }
       where += ')';
-    } else if (userEmailHeader) {
+    } else if (userEmail) {
       where += ' AND LOWER(employee_email) = LOWER(?)';
-      params.push(userEmailHeader);
+      params.push(userEmail);
     }
 
     const sql = `
       UPDATE idle_accountability
-      SET category = ?, subcategory = ?, reason_text = ?, status = 'submitted', submitted_at = NOW(), updated_at = NOW()
+      SET category = ?, subcategory = ?, reason_text = ?, evidence_text = ?, status = ?, submitted_at = NOW(), updated_at = NOW()
       WHERE ${where} AND status IN ('pending', 'ticket_created')
     `;
 
@@ -450,7 +407,13 @@ router.post('/:id/reason', async (req, res) => {
       return res.status(404).json({ error: 'Idle accountability record not found or not editable.' });
     }
 
-    res.json({ message: 'Reason submitted successfully', id: Number(id) });
+    const [updated] = await connection.execute('SELECT * FROM idle_accountability WHERE id = ?', [id]);
+    if (selected.auto_waive) await closeIdleTicket(connection, updated[0].ticket_id);
+    await recordIdleDecision(connection, updated[0], {
+      action: selected.auto_waive ? 'auto_waived' : 'submitted', toStatus: newStatus, actor: req.user
+    });
+
+    res.json({ message: selected.auto_waive ? 'Reason submitted; record waived' : 'Reason submitted successfully', id: Number(id), status: newStatus });
   } catch (err) {
     console.error('Error submitting idle accountability reason:', err.message || err);
     res.status(500).json({ error: 'Failed to submit reason', message: err.message || 'Unknown error' });
@@ -459,23 +422,188 @@ router.post('/:id/reason', async (req, res) => {
   }
 });
 
+// GET /api/idle-accountability/review-queue - Records the signed-in user may review.
+// ?status=submitted (default) | all, optional from / to (YYYY-MM-DD)
+router.get('/review-queue', async (req, res) => {
+  const { status = 'submitted', from, to } = req.query || {};
+  if ((from && !DATE_RE.test(from)) || (to && !DATE_RE.test(to))) {
+    return res.status(400).json({ error: 'from and to must be YYYY-MM-DD' });
+  }
+
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    const scope = buildReviewScope(req.user);
+    const clauses = [scope.clause];
+    const params = [...scope.params];
+    if (status !== 'all') { clauses.push('ia.status = ?'); params.push(status); }
+    if (from) { clauses.push('ia.date >= ?'); params.push(from); }
+    if (to) { clauses.push('ia.date <= ?'); params.push(to); }
+
+    const [rows] = await connection.execute(
+      `SELECT ia.*, DATE_FORMAT(ia.date, '%Y-%m-%d') AS date, e.name AS employee_name, e.department, e.designation
+       FROM idle_accountability ia
+       JOIN employees e ON e.id = ia.employee_id
+       LEFT JOIN departments d ON d.name = e.department
+       WHERE ${clauses.join(' AND ')}
+       ORDER BY ia.submitted_at IS NULL, ia.submitted_at, ia.date
+       LIMIT 500`,
+      params
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('Error fetching idle review queue:', err.message || err);
+    res.status(500).json({ error: 'Failed to fetch idle review queue', message: err.message || 'Unknown error' });
+  } finally {
+    if (connection) try { connection.release(); } catch (e) { /* ignore */ }
+  }
+});
+
+const REVIEW_DECISIONS = {
+  accept: { status: 'accepted', from: ['submitted'], notice: 'accepted' },
+  waive: { status: 'waived', from: ['pending', 'submitted', 'ticket_created'], notice: 'waived' },
+  reject: { status: null, from: ['submitted'], notice: 'rejected' }
+};
+
+// POST /api/idle-accountability/:id/review - { decision: accept | waive | reject, comment?, onReject?: reopen | ticket }
+// Rejection needs a comment and either reopens the record for a new reason or raises a ticket.
+// Accepted and waived records close any open idle ticket, so they carry no ticket penalty.
+router.post('/:id/review', async (req, res) => {
+  const { decision, comment, onReject = 'reopen' } = req.body || {};
+  const rule = REVIEW_DECISIONS[decision];
+  const commentText = (comment ?? '').toString().trim() || null;
+  if (!rule) return res.status(400).json({ error: 'decision must be accept, waive or reject' });
+  if (decision === 'reject') {
+    if (!commentText) return res.status(400).json({ error: 'A comment is required when rejecting' });
+    if (!['reopen', 'ticket'].includes(onReject)) return res.status(400).json({ error: 'onReject must be reopen or ticket' });
+  }
+
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    const scope = buildReviewScope(req.user);
+    const [rows] = await connection.execute(
+      `SELECT ia.*, DATE_FORMAT(ia.date, '%Y-%m-%d') AS date, e.name AS employee_name, e.department
+       FROM idle_accountability ia
+       JOIN employees e ON e.id = ia.employee_id
+       LEFT JOIN departments d ON d.name = e.department
+       WHERE ia.id = ? AND ${scope.clause}`,
+      [req.params.id, ...scope.params]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Idle accountability record not found or not yours to review.' });
+    }
+    const row = rows[0];
+    if (!rule.from.includes(row.status)) {
+      return res.status(409).json({ error: `A ${row.status} record cannot be ${rule.notice}.` });
+    }
+
+    let newStatus = rule.status;
+    let ticketId = null;
+    let outcome = null;
+    if (decision === 'reject') {
+      outcome = onReject === 'ticket' ? 'ticket_created' : 'reopened';
+      if (onReject === 'ticket') {
+        ticketId = await insertIdleTicket(connection, {
+          title: `Idle reason rejected for ${row.date}`,
+          description: `The idle time reason submitted for ${row.date} was rejected by ${req.user.name}.\n\n` +
+            `Employee: ${row.employee_name}\nIdle time: ${row.idle_minutes} minutes\nReason given: ${row.reason_text || '-'}\n` +
+            `Reviewer comment: ${commentText}\n`,
+          employeeId: row.employee_id,
+          department: row.department || 'Unassigned',
+          createdBy: req.user.id
+        });
+        newStatus = 'ticket_created';
+      } else {
+        newStatus = 'pending';
+      }
+    } else {
+      await closeIdleTicket(connection, row.ticket_id);
+    }
+
+    await connection.execute(
+      `UPDATE idle_accountability
+       SET status = ?, ticket_id = COALESCE(?, ticket_id), reviewed_by_id = ?, reviewed_by = ?, reviewed_at = NOW(),
+         review_comment = ?, updated_at = NOW()
+       WHERE id = ?`,
+      [newStatus, ticketId, req.user.id, req.user.name || null, commentText, row.id]
+    );
+    await recordIdleDecision(connection, row, {
+      action: decision === 'accept' ? 'accepted' : decision === 'waive' ? 'waived' : 'rejected',
+      outcome,
+      toStatus: newStatus,
+      comment: commentText,
+      ticketId,
+      actor: req.user
+    });
+
+    const followUp = outcome === 'reopened'
+      ? ' Please submit a new reason.'
+      : outcome === 'ticket_created' ? ' A ticket has been raised.' : '';
+    await createNotification(
+      row.employee_id,
+      ticketId || row.ticket_id || null,
+      `idle_reason_${rule.notice}`,
+      `Idle reason ${rule.notice}`,
+      `Your idle time reason for ${row.date} was ${rule.notice} by ${req.user.name}.${commentText ? ` Comment: ${commentText}` : ''}${followUp}`
+    );
+
+    console.log(`📝 Idle record ${row.id} (${row.employee_name}, ${row.date}) ${rule.notice} by ${req.user.name}${outcome ? ` (${outcome})` : ''}`);
+    res.json({ id: row.id, status: newStatus, ticketId, outcome });
+  } catch (err) {
+    console.error('Error reviewing idle accountability reason:', err.message || err);
+    res.status(500).json({ error: 'Failed to review idle reason', message: err.message || 'Unknown error' });
+  } finally {
+    if (connection) try { connection.release(); } catch (e) { /* ignore */ }
+  }
+});
+
+// GET /api/idle-accountability/:id/decisions - Submission and review trail, for the employee, their reviewers and admins
+router.get('/:id/decisions', async (req, res) => {
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    const [records] = await connection.execute('SELECT id, employee_id FROM idle_accountability WHERE id = ?', [req.params.id]);
+    if (records.length === 0) return res.status(404).json({ error: 'Idle accountability record not found' });
+
+    const isOwner = records[0].employee_id === req.user.id;
+    if (!isOwner && !userHasPermission(req.user, 'idle_accountability_admin_view')) {
+      const scope = buildReviewScope(req.user);
+      const [allowed] = await connection.execute(
+        `SELECT ia.id FROM idle_accountability ia
+         JOIN employees e ON e.id = ia.employee_id
+         LEFT JOIN departments d ON d.name = e.department
+         WHERE ia.id = ? AND ${scope.clause}`,
+        [req.params.id, ...scope.params]
+      );
+      if (allowed.length === 0) return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const [rows] = await connection.execute(
+      'SELECT * FROM idle_accountability_decisions WHERE idle_accountability_id = ? ORDER BY created_at, id',
+      [req.params.id]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('Error fetching idle accountability decisions:', err.message || err);
+    res.status(500).json({ error: 'Failed to fetch decision history', message: err.message || 'Unknown error' });
+  } finally {
+    if (connection) try { connection.release(); } catch (e) { /* ignore */ }
+  }
+});
+
 // ============================
 // ROUTES: /api/admin (adminRouter)
 // ============================
 
 // GET /api/admin/idle-accountability - Admin listing
-adminRouter.get('/idle-accountability', async (req, res) => {
-  const userRoleHeader = req.headers['user-role'] || req.headers['x-user-role'] || 'employee';
-  const userRole = String(userRoleHeader || '').toLowerCase();
-  const permsHeader = req.headers['user-permissions'] || req.headers['x-user-permissions'] || '[]';
-  let perms = [];
-  try { perms = typeof permsHeader === 'string' ? JSON.parse(permsHeader) : []; } catch { /* ignore */ }
-
-  const isAdmin = userRole === 'admin';
-  if (!isAdmin && !perms.includes('all') && !perms.includes('idle_accountability_admin_view')) {
-    return res.status(403).json({ error: 'Access denied. Idle accountability admin view is for admins only.' });
-  }
-
+adminRouter.get('/idle-accountability', requirePermission('idle_accountability_admin_view'), async (req, res) => {
   const norm = (s) => (typeof s === 'string' && s.includes('T') ? s.split('T')[0] : s);
   const { from, to, status, department, category } = req.query || {};
 
@@ -502,7 +630,7 @@ adminRouter.get('/idle-accountability', async (req, res) => {
       params.push(department, department);
     }
     if (category) { clauses.push('ia.category = ?'); params.push(category); }
-    clauses.push('ia.idle_minutes > 20');
+    clauses.push('ia.idle_minutes >= ia.threshold_minutes');
 
     const where = clauses.join(' AND ');
 
@@ -525,8 +653,238 @@ adminRouter.get('/idle-accountability', async (req, res) => {
   }
 });
 
+// GET /api/admin/idle-thresholds - Threshold rules, current and past
+adminRouter.get('/idle-thresholds', requirePermission('idle_accountability_admin_view'), async (req, res) => {
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    const [rows] = await connection.execute(
+      `SELECT id, department, designation, threshold_minutes,
+         DATE_FORMAT(effective_from, '%Y-%m-%d') AS effective_from, DATE_FORMAT(effective_to, '%Y-%m-%d') AS effective_to,
+         notes, created_by, updated_at
+       FROM idle_thresholds
+       ORDER BY (department IS NULL AND designation IS NULL) DESC, department, designation, effective_from DESC`
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('Error fetching idle thresholds:', err.message || err);
+    res.status(500).json({ error: 'Failed to fetch idle thresholds', message: err.message || 'Unknown error' });
+  } finally {
+    if (connection) try { connection.release(); } catch (e) { /* ignore */ }
+  }
+});
+
+// POST /api/admin/idle-thresholds - Add a rule { department?, designation?, threshold_minutes, effective_from, effective_to?, notes? }
+adminRouter.post('/idle-thresholds', requirePermission('all'), async (req, res) => {
+  const { value, error } = normalizeThresholdRule(req.body);
+  if (error) return res.status(400).json({ error });
+
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    const [result] = await connection.execute(
+      `INSERT INTO idle_thresholds (department, designation, threshold_minutes, effective_from, effective_to, notes, created_by_id, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [value.department, value.designation, value.threshold_minutes, value.effective_from, value.effective_to, value.notes,
+        req.user?.id ?? null, req.user?.name ?? null]
+    );
+    res.status(201).json({ id: result.insertId, ...value });
+  } catch (err) {
+    console.error('Error creating idle threshold:', err.message || err);
+    res.status(500).json({ error: 'Failed to create idle threshold', message: err.message || 'Unknown error' });
+  } finally {
+    if (connection) try { connection.release(); } catch (e) { /* ignore */ }
+  }
+});
+
+// PUT /api/admin/idle-thresholds/:id - Replace a rule; records already created keep their threshold
+adminRouter.put('/idle-thresholds/:id', requirePermission('all'), async (req, res) => {
+  const { value, error } = normalizeThresholdRule(req.body);
+  if (error) return res.status(400).json({ error });
+
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    const [result] = await connection.execute(
+      `UPDATE idle_thresholds
+       SET department = ?, designation = ?, threshold_minutes = ?, effective_from = ?, effective_to = ?, notes = ?
+       WHERE id = ?`,
+      [value.department, value.designation, value.threshold_minutes, value.effective_from, value.effective_to, value.notes, req.params.id]
+    );
+    if (result.affectedRows === 0) return res.status(404).json({ error: 'Idle threshold not found' });
+    res.json({ id: Number(req.params.id), ...value });
+  } catch (err) {
+    console.error('Error updating idle threshold:', err.message || err);
+    res.status(500).json({ error: 'Failed to update idle threshold', message: err.message || 'Unknown error' });
+  } finally {
+    if (connection) try { connection.release(); } catch (e) { /* ignore */ }
+  }
+});
+
+// DELETE /api/admin/idle-thresholds/:id
+adminRouter.delete('/idle-thresholds/:id', requirePermission('all'), async (req, res) => {
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    const [result] = await connection.execute('DELETE FROM idle_thresholds WHERE id = ?', [req.params.id]);
+    if (result.affectedRows === 0) return res.status(404).json({ error: 'Idle threshold not found' });
+    res.json({ message: 'Idle threshold deleted' });
+  } catch (err) {
+    console.error('Error deleting idle threshold:', err.message || err);
+    res.status(500).json({ error: 'Failed to delete idle threshold', message: err.message || 'Unknown error' });
+  } finally {
+    if (connection) try { connection.release(); } catch (e) { /* ignore */ }
+  }
+});
+
+// GET /api/admin/idle-reason-categories - Full catalogue including inactive entries
+adminRouter.get('/idle-reason-categories', requirePermission('idle_accountability_admin_view'), async (req, res) => {
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    res.json(await getReasonCatalogue(connection, { includeInactive: true }));
+  } catch (err) {
+    console.error('Error fetching idle reason catalogue:', err.message || err);
+    res.status(500).json({ error: 'Failed to fetch idle reason catalogue', message: err.message || 'Unknown error' });
+  } finally {
+    if (connection) try { connection.release(); } catch (e) { /* ignore */ }
+  }
+});
+
+// Helper: 1/0 for a boolean-ish body field, undefined when absent
+const toFlag = (value) => (value === undefined ? undefined : (value === true || value === 'true' || value === 1 || value === '1' ? 1 : 0));
+
+// POST /api/admin/idle-reason-categories - { key, label, autoWaive?, requiresEvidence?, sortOrder? }
+adminRouter.post('/idle-reason-categories', requirePermission('all'), async (req, res) => {
+  const { key, label, autoWaive, requiresEvidence, sortOrder } = req.body || {};
+  if (!isValidReasonKey(key)) return res.status(400).json({ error: 'key must be 1-50 lowercase letters, digits or underscores' });
+  if (!label || !label.toString().trim()) return res.status(400).json({ error: 'label is required' });
+
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    const [result] = await connection.execute(
+      `INSERT INTO idle_reason_categories (category_key, label, auto_waive, requires_evidence, sort_order) VALUES (?, ?, ?, ?, ?)`,
+      [key, label.toString().trim(), toFlag(autoWaive) || 0, toFlag(requiresEvidence) || 0, parseInt(sortOrder, 10) || 0]
+    );
+    res.status(201).json({ id: result.insertId });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'A category with this key already exists' });
+    console.error('Error creating idle reason category:', err.message || err);
+    res.status(500).json({ error: 'Failed to create idle reason category', message: err.message || 'Unknown error' });
+  } finally {
+    if (connection) try { connection.release(); } catch (e) { /* ignore */ }
+  }
+});
+
+// PUT /api/admin/idle-reason-categories/:id - { label?, isActive?, autoWaive?, requiresEvidence?, sortOrder? }
+adminRouter.put('/idle-reason-categories/:id', requirePermission('all'), async (req, res) => {
+  const { label, isActive, autoWaive, requiresEvidence, sortOrder } = req.body || {};
+  const updates = [];
+  const params = [];
+  if (label !== undefined) {
+    if (!label.toString().trim()) return res.status(400).json({ error: 'label cannot be empty' });
+    updates.push('label = ?'); params.push(label.toString().trim());
+  }
+  if (isActive !== undefined) { updates.push('is_active = ?'); params.push(toFlag(isActive)); }
+  if (autoWaive !== undefined) { updates.push('auto_waive = ?'); params.push(toFlag(autoWaive)); }
+  if (requiresEvidence !== undefined) { updates.push('requires_evidence = ?'); params.push(toFlag(requiresEvidence)); }
+  if (sortOrder !== undefined) { updates.push('sort_order = ?'); params.push(parseInt(sortOrder, 10) || 0); }
+  if (updates.length === 0) return res.status(400).json({ error: 'Nothing to update' });
+
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    const [result] = await connection.execute(
+      `UPDATE idle_reason_categories SET ${updates.join(', ')} WHERE id = ?`,
+      [...params, req.params.id]
+    );
+    if (result.affectedRows === 0) return res.status(404).json({ error: 'Idle reason category not found' });
+    res.json({ message: 'Idle reason category updated' });
+  } catch (err) {
+    console.error('Error updating idle reason category:', err.message || err);
+    res.status(500).json({ error: 'Failed to update idle reason category', message: err.message || 'Unknown error' });
+  } finally {
+    if (connection) try { connection.release(); } catch (e) { /* ignore */ }
+  }
+});
+
+// POST /api/admin/idle-reason-categories/:id/subcategories - { key, label, sortOrder? }
+adminRouter.post('/idle-reason-categories/:id/subcategories', requirePermission('all'), async (req, res) => {
+  const { key, label, sortOrder } = req.body || {};
+  if (!isValidReasonKey(key)) return res.status(400).json({ error: 'key must be 1-50 lowercase letters, digits or underscores' });
+  if (!label || !label.toString().trim()) return res.status(400).json({ error: 'label is required' });
+
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    const [categories] = await connection.execute('SELECT id FROM idle_reason_categories WHERE id = ?', [req.params.id]);
+    if (categories.length === 0) return res.status(404).json({ error: 'Idle reason category not found' });
+
+    const [result] = await connection.execute(
+      'INSERT INTO idle_reason_subcategories (category_id, subcategory_key, label, sort_order) VALUES (?, ?, ?, ?)',
+      [categories[0].id, key, label.toString().trim(), parseInt(sortOrder, 10) || 0]
+    );
+    res.status(201).json({ id: result.insertId });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'This category already has a subcategory with this key' });
+    console.error('Error creating idle reason subcategory:', err.message || err);
+    res.status(500).json({ error: 'Failed to create idle reason subcategory', message: err.message || 'Unknown error' });
+  } finally {
+    if (connection) try { connection.release(); } catch (e) { /* ignore */ }
+  }
+});
+
+// PUT /api/admin/idle-reason-subcategories/:id - { label?, isActive?, sortOrder? }
+adminRouter.put('/idle-reason-subcategories/:id', requirePermission('all'), async (req, res) => {
+  const { label, isActive, sortOrder } = req.body || {};
+  const updates = [];
+  const params = [];
+  if (label !== undefined) {
+    if (!label.toString().trim()) return res.status(400).json({ error: 'label cannot be empty' });
+    updates.push('label = ?'); params.push(label.toString().trim());
+  }
+  if (isActive !== undefined) { updates.push('is_active = ?'); params.push(toFlag(isActive)); }
+  if (sortOrder !== undefined) { updates.push('sort_order = ?'); params.push(parseInt(sortOrder, 10) || 0); }
+  if (updates.length === 0) return res.status(400).json({ error: 'Nothing to update' });
+
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    const [result] = await connection.execute(
+      `UPDATE idle_reason_subcategories SET ${updates.join(', ')} WHERE id = ?`,
+      [...params, req.params.id]
+    );
+    if (result.affectedRows === 0) return res.status(404).json({ error: 'Idle reason subcategory not found' });
+    res.json({ message: 'Idle reason subcategory updated' });
+  } catch (err) {
+    console.error('Error updating idle reason subcategory:', err.message || err);
+    res.status(500).json({ error: 'Failed to update idle reason subcategory', message: err.message || 'Unknown error' });
+  } finally {
+    if (connection) try { connection.release(); } catch (e) { /* ignore */ }
+  }
+});
+
 // POST /api/admin/idle-accountability/run - Manual trigger
-adminRouter.post('/idle-accountability/run', async (req, res) => {
+adminRouter.post('/idle-accountability/run', requirePermission('all'), async (req, res) => {
   try {
     const { date } = req.body || {};
     const result = await runIdleAccountabilityForDate(date);
@@ -537,16 +895,55 @@ adminRouter.post('/idle-accountability/run', async (req, res) => {
   }
 });
 
-// POST /api/admin/reset-recurring - Reset recurring tasks to Pending
-adminRouter.post('/reset-recurring', async (req, res) => {
+// GET /api/admin/teamlogger/sync-status - Per-date sync log for startDate..endDate (default last 14 days)
+adminRouter.get('/teamlogger/sync-status', requirePermission('all'), async (req, res) => {
+  const endDate = req.query.endDate || getZonedDateString(0);
+  const startDate = req.query.startDate || getZonedDateString(13);
+  if (!DATE_RE.test(startDate) || !DATE_RE.test(endDate) || endDate < startDate) {
+    return res.status(400).json({ error: 'startDate and endDate must be YYYY-MM-DD with startDate <= endDate' });
+  }
+  let connection;
   try {
-    await resetRecurringTasks((err, changes) => {
-      if (err) {
-        console.error('Manual recurring reset failed:', err);
-        return res.status(500).json({ error: 'Database error' });
-      }
-      res.json({ message: 'Recurring tasks reset to Pending', rowsAffected: changes || 0, at: new Date().toISOString() });
-    });
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    res.json(await getSyncStatus(connection, startDate, endDate));
+  } catch (err) {
+    console.error('Error fetching TeamLogger sync status:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// POST /api/admin/teamlogger/sync - Backfill (or re-pull) TeamLogger data for body.startDate..body.endDate
+adminRouter.post('/teamlogger/sync', requirePermission('all'), async (req, res) => {
+  const { startDate, endDate = startDate } = req.body || {};
+  if (!DATE_RE.test(startDate || '') || !DATE_RE.test(endDate || '') || endDate < startDate) {
+    return res.status(400).json({ error: 'startDate and endDate must be YYYY-MM-DD with startDate <= endDate' });
+  }
+  if (endDate > getZonedDateString(0)) {
+    return res.status(400).json({ error: 'endDate cannot be in the future' });
+  }
+  const days = Math.round((Date.parse(`${endDate}T00:00:00Z`) - Date.parse(`${startDate}T00:00:00Z`)) / 86400000) + 1;
+  if (days > MAX_BACKFILL_DAYS) {
+    return res.status(400).json({ error: `At most ${MAX_BACKFILL_DAYS} days can be synced at once` });
+  }
+  try {
+    const result = await syncTeamLoggerRange(startDate, endDate);
+    console.log(`🔄 TeamLogger backfill ${startDate}..${endDate} by ${req.user.name}: ${result.datesSynced}/${days} dates`);
+    res.status(result.datesSynced === 0 ? 502 : 200).json({ message: 'TeamLogger sync completed', ...result });
+  } catch (err) {
+    console.error('TeamLogger backfill failed:', err);
+    res.status(500).json({ error: 'TeamLogger sync failed', message: err.message || 'Unknown error' });
+  }
+});
+
+// POST /api/admin/reset-recurring - Reset recurring tasks due on body.date (default today) to Pending
+adminRouter.post('/reset-recurring', requirePermission('all'), async (req, res) => {
+  try {
+    const { date } = req.body || {};
+    const changes = await resetRecurringTasks(date);
+    res.json({ message: 'Recurring tasks reset to Pending', rowsAffected: changes || 0, at: new Date().toISOString() });
   } catch (error) {
     console.error('Manual recurring reset failed:', error);
     res.status(500).json({ error: 'Database error' });
@@ -558,13 +955,9 @@ adminRouter.post('/reset-recurring', async (req, res) => {
 // ============================
 
 // GET /api/wages/employee-time-summary - Admin wages view
-wagesRouter.get('/employee-time-summary', async (req, res) => {
-  const userRole = req.headers['x-user-role'];
-  if (userRole !== 'admin' && userRole !== 'Admin') {
-    return res.status(403).json({ error: 'Access denied. Earn Track wages is for admins only.' });
-  }
+wagesRouter.get('/employee-time-summary', requirePermission('all'), async (req, res) => {
   const { startDate, endDate } = req.query;
-  const today = new Date().toISOString().split('T')[0];
+  const today = getZonedDateString(0);
   const norm = (s) => (typeof s === 'string' && s.includes('T') ? s.split('T')[0] : String(s || '').trim());
   const start = norm(startDate || today);
   const end = norm(endDate || today);
@@ -575,94 +968,35 @@ wagesRouter.get('/employee-time-summary', async (req, res) => {
   let endD = end;
   if (endD < startD) [startD, endD] = [endD, startD];
 
-  const apiKey = process.env.TEAMLOGGER_API_KEY;
-  if (!apiKey) {
-    return res.status(503).json({ error: 'Team Logger API is not configured. Set TEAMLOGGER_API_KEY environment variable.' });
-  }
-
-  const { startMs, endMs } = getEpochMsForRange(startD, endD);
-
+  let connection;
   try {
-    const response = await axios.get(TEAMLOGGER_EMPLOYEE_SUMMARY_REPORT_URL, {
-      params: { startTime: startMs, endTime: endMs },
-      headers: { Authorization: `Bearer ${apiKey}` },
-      timeout: 30000,
-      validateStatus: () => true
-    });
-
-    if (response.status !== 200) {
-      const body = response.data;
-      const msg = body && (typeof body === 'object' ? (body.message || body.error || JSON.stringify(body).slice(0, 200)) : String(body).slice(0, 200));
-      return res.status(502).json({ error: 'Idle data service returned an error', message: msg || `HTTP ${response.status}`, status: response.status });
-    }
-
-    const responseData = response.data;
-    const rows = Array.isArray(responseData) ? responseData : (Array.isArray(responseData?.data) ? responseData.data : []);
-
-    const getTotalHours = (row) => {
-      if (!row || typeof row !== 'object') return null;
-      const hourKeys = ['totalHours', 'total_hours', 'workedHours', 'worked_hours', 'hoursWorked', 'hours_worked', 'activeHours', 'active_hours'];
-      for (const k of hourKeys) {
-        const v = row[k];
-        if (v != null && v !== '') { const num = typeof v === 'number' ? v : parseFloat(v); if (!Number.isNaN(num)) return num; }
-      }
-      const minKeys = ['totalMinutes', 'total_minutes', 'workedMinutes', 'worked_minutes', 'minutesWorked', 'minutes_worked'];
-      for (const k of minKeys) {
-        const v = row[k];
-        if (v != null && v !== '') { const num = typeof v === 'number' ? v : parseFloat(v); if (!Number.isNaN(num)) return num / 60; }
-      }
-      const secKeys = ['totalSeconds', 'total_seconds', 'workedSeconds', 'worked_seconds'];
-      for (const k of secKeys) {
-        const v = row[k];
-        if (v != null && v !== '') { const num = typeof v === 'number' ? v : parseFloat(v); if (!Number.isNaN(num)) return num / 3600; }
-      }
-      return null;
-    };
-
-    const employeeKey = (row) => {
-      const name = (row.title ?? row.name ?? row.employeeName ?? '').toString().trim();
-      const email = (row.email ?? '').toString().trim();
-      const code = (row.code ?? row.employeeCode ?? '').toString().trim();
-      return (email || name || code || 'unknown').toLowerCase();
-    };
-
-    const aggregated = {};
-    rows.forEach((row) => {
-      const key = employeeKey(row);
-      const idleH = getIdleHours(row);
-      const totalH = getTotalHours(row);
-      if (!aggregated[key]) {
-        aggregated[key] = {
-          employeeName: (row.title ?? row.name ?? row.employeeName ?? '').toString().trim(),
-          email: (row.email ?? '').toString().trim(),
-          employeeCode: (row.code ?? row.employeeCode ?? '').toString().trim(),
-          idleHours: 0,
-          totalHours: null
-        };
-      }
-      aggregated[key].idleHours += idleH;
-      if (totalH != null) aggregated[key].totalHours = (aggregated[key].totalHours ?? 0) + totalH;
-    });
-
-    const list = Object.values(aggregated).map((agg) => {
-      const totalH = agg.totalHours != null ? agg.totalHours : null;
-      const activeH = totalH != null ? Math.max(0, totalH - agg.idleHours) : null;
-      return {
-        employeeName: agg.employeeName,
-        email: agg.email,
-        employeeCode: agg.employeeCode,
-        idleHours: Number(Number(agg.idleHours).toFixed(2)),
-        totalHours: totalH != null ? Number(Number(totalH).toFixed(2)) : null,
-        activeHours: activeH != null ? Number(Number(activeH).toFixed(2)) : null,
-        dateRange: `${startD} to ${endD}`
-      };
-    });
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
 
+    const summary = await getEmployeeTimeSummary(connection, startD, endD);
+    const list = summary.map((item) => ({
+      employeeName: item.employeeName,
+      email: item.email,
+      employeeCode: item.employeeCode,
+      department: item.department,
+      idleHours: Number(item.idleHours.toFixed(2)),
+      totalHours: Number(item.totalHours.toFixed(2)),
+      activeHours: Number(Math.max(0, item.totalHours - item.idleHours).toFixed(2)),
+      onComputerHours: Number(item.onComputerHours.toFixed(2)),
+      meetingHours: Number(item.meetingHours.toFixed(2)),
+      offComputerHours: Number(item.offComputerHours.toFixed(2)),
+      pay: item.pay,
+      currency: item.currency,
+      dateRange: `${startD} to ${endD}`
+    }));
+
+    setSyncHeaders(res, await getSyncStatus(connection, startD, endD));
     res.json(list);
   } catch (err) {
-    const msg = err.response?.data?.message || err.response?.data?.error || err.message;
-    console.error('Wages employee-time-summary error:', msg || err);
-    res.status(500).json({ error: 'Failed to fetch employee time summary', message: msg || 'Unknown error' });
+    console.error('Wages employee-time-summary error:', err);
+    res.status(500).json({ error: 'Failed to fetch employee time summary', message: err.message || 'Unknown error' });
+  } finally {
+    if (connection) connection.release();
   }
 });
 
@@ -671,30 +1005,10 @@ wagesRouter.get('/employee-time-summary', async (req, res) => {
 // ============================
 
 // GET /api/notifications/low-idle-employees
-notificationsRouter.get('/low-idle-employees', async (req, res) => {
-  const userRole = req.headers['x-user-role'];
-  const userPermissions = req.headers['x-user-permissions'];
+notificationsRouter.get('/low-idle-employees', requirePermission('low_idle_view'), async (req, res) => {
   const { date, startDate, endDate, maxIdleHours, minIdleHours = 3, minIdleMinutes = 0 } = req.query;
 
-  if (!userRole || !userPermissions) {
-    return res.status(401).json({ error: 'User role and permissions required' });
-  }
-
-  let permissions;
-  try { permissions = JSON.parse(userPermissions); } catch (e) {
-    return res.status(400).json({ error: 'Invalid permissions format' });
-  }
-
-  if (!permissions.includes('low_idle_view') && !permissions.includes('all') && userRole !== 'admin' && userRole !== 'Admin') {
-    return res.status(403).json({ error: 'Access denied. You do not have permission to view Low Idle notifications.', requiredPermission: 'low_idle_view' });
-  }
-
-  const apiKey = process.env.TEAMLOGGER_API_KEY;
-  if (!apiKey) {
-    return res.status(503).json({ error: 'Team Logger API is not configured. Set TEAMLOGGER_API_KEY environment variable.' });
-  }
-
-  const today = new Date().toISOString().split('T')[0];
+  const today = getZonedDateString(0);
   const norm = (s) => (typeof s === 'string' && s.includes('T') ? s.split('T')[0] : s);
   let start = norm(startDate || date || today);
   let end = norm(endDate || date || today);
@@ -707,77 +1021,27 @@ notificationsRouter.get('/low-idle-employees', async (req, res) => {
     return res.status(400).json({ error: 'minIdleHours and minIdleMinutes must be non-negative' });
   }
 
-  const { startMs, endMs } = getEpochMsForRange(start, end);
-
+  let connection;
   try {
-    const response = await axios.get(TEAMLOGGER_EMPLOYEE_SUMMARY_REPORT_URL, {
-      params: { startTime: startMs, endTime: endMs },
-      headers: { Authorization: `Bearer ${apiKey}` },
-      timeout: 30000,
-      validateStatus: () => true
-    });
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
 
-    if (response.status !== 200) {
-      const body = response.data;
-      const msg = body && (typeof body === 'object' ? (body.message || body.error || JSON.stringify(body).slice(0, 200)) : String(body).slice(0, 200));
-      return res.status(502).json({ error: 'Idle data service returned an error', message: msg || `HTTP ${response.status}`, status: response.status });
-    }
+    // Read from the TeamLogger store (helpers/teamlogger.js); the teamlogger_sync job keeps it current
+    const list = await getHighIdleEmployees(connection, start, end, thresholdHours);
+    const syncStatus = await getSyncStatus(connection, start, end);
 
-    const responseData = response.data;
-    const rows = Array.isArray(responseData) ? responseData : (Array.isArray(responseData?.data) ? responseData.data : []);
-
-    let list = rows
-      .filter((row) => getIdleHours(row) >= thresholdHours)
-      .map((row) => {
-        const idleH = getIdleHours(row);
-        return {
-          employeeName: (row.title ?? row.name ?? row.employeeName ?? '').toString().trim(),
-          email: (row.email ?? '').toString().trim(),
-          employeeCode: (row.code ?? row.employeeCode ?? '').toString().trim(),
-          idleHours: Number(Number(idleH).toFixed(2)),
-          dateRange: `${start} to ${end}`
-        };
-      })
-      .sort((a, b) => b.idleHours - a.idleHours);
-
-    // Enrich with department from DB
-    let connection;
-    try {
-      connection = await mysqlPool.getConnection();
-      const [empRows] = await connection.execute(
-        'SELECT LOWER(TRIM(email)) AS email, LOWER(TRIM(name)) AS name_key, department, name FROM employees WHERE status = ?',
-        ['Active']
-      );
-      const emailToDept = {};
-      const nameToDept = {};
-      for (const r of empRows) {
-        const dept = r.department || 'Unassigned';
-        if (r.email) emailToDept[r.email] = dept;
-        if (r.name_key) nameToDept[r.name_key] = dept;
-      }
-      list = list.map((item) => {
-        const emailKey = (item.email || '').toString().trim().toLowerCase();
-        const nameKey = (item.employeeName || '').toString().trim().toLowerCase();
-        const department = emailToDept[emailKey] || nameToDept[nameKey] || 'Unassigned';
-        return { ...item, department, idleSeconds: Math.round(Number(item.idleHours) * 3600) };
-      });
-    } catch (dbErr) {
-      console.error('Low Idle: DB enrichment failed:', dbErr.message || dbErr);
-      list = list.map((item) => ({ ...item, department: 'Unassigned', idleSeconds: Math.round(Number(item.idleHours) * 3600) }));
-    } finally {
-      if (connection) try { connection.release(); } catch (e) { /* ignore */ }
-    }
+    console.log('Low Idle: start=%s end=%s minIdle=%sh %sm count=%d lastSynced=%s', start, end, minH, minM, list.length, syncStatus.lastSyncedAt || 'never');
 
     res.set('X-Low-Idle-StartDate', start);
     res.set('X-Low-Idle-EndDate', end);
     res.set('X-Low-Idle-MinHours', String(thresholdHours));
     res.set('X-Low-Idle-Count', String(list.length));
+    setSyncHeaders(res, syncStatus);
 
-    // Upsert idle accountability for single-day requests
+    // Also upsert idle accountability entries when a single day is requested
     try {
       if (start === end && list.length > 0) {
-        const thresholdMinutesForAccount = (Number.isNaN(minH) ? 0 : minH * 60) + (Number.isNaN(minM) ? 0 : minM);
-        await upsertIdleAccountabilityFromListForDate(list, start, thresholdMinutesForAccount > 0 ? thresholdMinutesForAccount : 20);
+        await upsertIdleAccountabilityFromListForDate(list, start);
       }
     } catch (e) {
       console.error('Idle accountability upsert from low-idle route failed:', e.message || e);
@@ -785,182 +1049,41 @@ notificationsRouter.get('/low-idle-employees', async (req, res) => {
 
     res.json(list);
   } catch (err) {
-    const status = err.response?.status;
-    const msg = err.response?.data?.message || err.response?.data?.error || err.message;
-    console.error('Error fetching Low Idle:', status || 'no-status', msg);
-    res.status(status === 401 ? 502 : 500).json({
-      error: 'Failed to fetch idle data from tracking app',
-      message: msg || 'Unknown error'
-    });
+    console.error('Error fetching Low Idle:', err);
+    res.status(500).json({ error: 'Failed to fetch idle data', message: err.message || 'Unknown error' });
+  } finally {
+    if (connection) connection.release();
   }
 });
 
 // GET /api/notifications/currently-idle-employees
-notificationsRouter.get('/currently-idle-employees', async (req, res) => {
-  const userRole = req.headers['x-user-role'];
-  const userPermissions = req.headers['x-user-permissions'];
+notificationsRouter.get('/currently-idle-employees', requirePermission('low_idle_view'), async (req, res) => {
   const { windowMinutes = 15, minIdleMinutes = 1 } = req.query;
 
-  if (!userRole || !userPermissions) {
-    return res.status(401).json({ error: 'User role and permissions required' });
-  }
-  let permissions;
-  try { permissions = JSON.parse(userPermissions); } catch (e) {
-    return res.status(400).json({ error: 'Invalid permissions format' });
-  }
-  if (!permissions.includes('low_idle_view') && !permissions.includes('all') && userRole !== 'admin' && userRole !== 'Admin') {
-    return res.status(403).json({ error: 'Access denied. You do not have permission to view idle notifications.', requiredPermission: 'low_idle_view' });
-  }
-
-  const apiKey = process.env.TEAMLOGGER_API_KEY;
-  if (!apiKey) {
-    return res.status(503).json({ error: 'Team Logger API is not configured. Set TEAMLOGGER_API_KEY environment variable.' });
-  }
-
   const winM = Math.max(1, Math.min(60, parseInt(String(windowMinutes), 10) || 15));
   const minM = Math.max(0, parseInt(String(minIdleMinutes), 10) || 1);
-  const thresholdHours = minM / 60;
-  const endMs = Date.now();
-  const startMs = endMs - winM * 60 * 1000;
 
+  let connection;
   try {
-    const response = await axios.get(TEAMLOGGER_EMPLOYEE_SUMMARY_REPORT_URL, {
-      params: { startTime: startMs, endTime: endMs },
-      headers: { Authorization: `Bearer ${apiKey}` },
-      timeout: 30000,
-      validateStatus: () => true
-    });
-
-    if (response.status !== 200) {
-      const body = response.data;
-      const msg = body && (typeof body === 'object' ? (body.message || body.error || JSON.stringify(body).slice(0, 200)) : String(body).slice(0, 200));
-      return res.status(502).json({ error: 'Idle data service returned an error', message: msg || `HTTP ${response.status}`, status: response.status });
-    }
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
 
-    const responseData = response.data;
-    const rows = Array.isArray(responseData) ? responseData : (Array.isArray(responseData?.data) ? responseData.data : []);
-
-    let list = rows
-      .filter((row) => getIdleHours(row) >= thresholdHours)
-      .map((row) => {
-        const idleH = getIdleHours(row);
-        return {
-          employeeName: (row.title ?? row.name ?? row.employeeName ?? '').toString().trim(),
-          email: (row.email ?? '').toString().trim(),
-          employeeCode: (row.code ?? row.employeeCode ?? '').toString().trim(),
-          idleHours: Number(Number(idleH).toFixed(2)),
-          dateRange: `Last ${winM} min`,
-          windowMinutes: winM
-        };
-      })
-      .sort((a, b) => b.idleHours - a.idleHours);
-
-    // Enrich with department
-    let connection;
-    try {
-      connection = await mysqlPool.getConnection();
-      const [empRows] = await connection.execute(
-        'SELECT LOWER(TRIM(email)) AS email, LOWER(TRIM(name)) AS name_key, department, name FROM employees WHERE status = ?',
-        ['Active']
-      );
-      const emailToDept = {};
-      const nameToDept = {};
-      for (const r of empRows) {
-        const dept = r.department || 'Unassigned';
-        if (r.email) emailToDept[r.email] = dept;
-        if (r.name_key) nameToDept[r.name_key] = dept;
-      }
-      list = list.map((item) => {
-        const emailKey = (item.email || '').toString().trim().toLowerCase();
-        const nameKey = (item.employeeName || '').toString().trim().toLowerCase();
-        const department = emailToDept[emailKey] || nameToDept[nameKey] || 'Unassigned';
-        return { ...item, department, idleSeconds: Math.round(Number(item.idleHours) * 3600) };
-      });
-    } catch (dbErr) {
-      console.error('Currently Idle: DB enrichment failed:', dbErr.message || dbErr);
-      list = list.map((item) => ({ ...item, department: 'Unassigned', idleSeconds: Math.round(Number(item.idleHours) * 3600) }));
-    } finally {
-      if (connection) try { connection.release(); } catch (e) { /* ignore */ }
-    }
+    // Live status captured by today's latest TeamLogger sync
+    const list = await getCurrentlyIdleEmployees(connection, winM, minM);
+    const today = getZonedDateString(0);
 
     res.set('X-Currently-Idle-WindowMinutes', String(winM));
     res.set('X-Currently-Idle-Count', String(list.length));
+    setSyncHeaders(res, await getSyncStatus(connection, today, today));
     res.json(list);
   } catch (err) {
-    const status = err.response?.status;
-    const msg = err.response?.data?.message || err.response?.data?.error || err.message;
-    console.error('Error fetching Currently Idle:', status || 'no-status', msg);
-    res.status(status === 401 ? 502 : 500).json({
-      error: 'Failed to fetch currently idle data',
-      message: msg || 'Unknown error'
-    });
+    console.error('Error fetching Currently Idle:', err);
+    res.status(500).json({ error: 'Failed to fetch currently idle data', message: err.message || 'Unknown error' });
+  } finally {
+    if (connection) connection.release();
   }
 });
 
-// ============================
-// SCHEDULED TASKS (run on module load)
-// ============================
-
-// Daily idle accountability sync (Pakistan time)
-(function setupDailyIdleAccountability() {
-  const timeZone = 'Asia/Karachi';
-  const getYmd = () =>
-    new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date());
-  let lastYmd = getYmd();
-
-  const runForYesterday = async () => {
-    try {
-      const result = await runIdleAccountabilityForDate();
-      console.log('Daily idle accountability sync ran automatically:', result);
-    } catch (e) {
-      console.error('Daily idle accountability sync failed:', e);
-    }
-  };
-
-  runForYesterday();
-
-  setInterval(() => {
-    try {
-      const current = getYmd();
-      if (current !== lastYmd) {
-        runForYesterday();
-        lastYmd = current;
-      }
-    } catch (e) {
-      console.error('Idle accountability daily scheduler error:', e);
-    }
-  }, 60 * 1000);
-})();
-
-// Daily reset of recurring tasks (Pakistan time)
-(function setupDailyRecurringTaskReset() {
-  const timeZone = 'Asia/Karachi';
-  const getYmd = () => new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date());
-  let lastYmd = getYmd();
-
-  const resetTasks = async () => {
-    await resetRecurringTasks((err, changes) => {
-      if (err) {
-        console.error('Recurring task daily reset failed:', err);
-      } else {
-        console.log(`Recurring tasks reset to Pending for new PK date. Rows affected: ${changes}`);
-      }
-    });
-  };
-
-  setInterval(() => {
-    try {
-      const current = getYmd();
-      if (current !== lastYmd) {
-        resetTasks();
-        lastYmd = current;
-      }
-    } catch (e) {
-      console.error('Recurring reset scheduler error:', e);
-    }
-  }, 60 * 1000);
-})();
-
 // ============================
 // EXPORTS
 // ============================
@@ -970,3 +1093,5 @@ module.exports.wagesRouter = wagesRouter;
 module.exports.notificationsRouter = notificationsRouter;
 module.exports.createIdleTicketsForDate = createIdleTicketsForDate;
 module.exports.runIdleAccountabilityForDate = runIdleAccountabilityForDate;
+module.exports.upsertIdleAccountabilityFromListForDate = upsertIdleAccountabilityFromListForDate;
+module.exports.resetRecurringTasks = resetRecurringTasks;
@@ -0,0 +1,313 @@
+const router = require('express').Router();
+const { mysqlPool } = require('../config/database');
+const { sanitizeForMySQL } = require('../helpers/sanitize');
+const { requirePermission } = require('../middleware/permissions');
+
+const SEVERITIES = ['High', 'Medium', 'Low'];
+
+const ISSUE_SELECT = `
+  SELECT i.id, i.department_id, d.name AS department_name, i.task_id, t.title AS task_title,
+         i.employee_id, COALESCE(e.name, i.employee_name) AS employee_name, i.severity, i.description,
+         i.issue_date, i.reported_by_id, i.reported_by, i.created_at, i.updated_at
+  FROM issues i
+  LEFT JOIN departments d ON d.id = i.department_id
+  LEFT JOIN tasks t ON t.id = i.task_id
+  LEFT JOIN employees e ON e.id = i.employee_id
+`;
+
+// Issues can reduce health scores, so only managers and issues_manage holders change them
+const canManageIssues = requirePermission('issues_manage', { allowManagers: true });
+// Reading them follows the HR Issues page (view_errors_submenu)
+const canViewIssues = requirePermission(['issues_manage', 'view_errors_submenu'], { allowManagers: true });
+
+const toIntOrNull = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = parseInt(value, 10);
+  return isNaN(parsed) ? NaN : parsed;
+};
+
+// Helper: the employee an issue is charged to - the one given, else the task's first assignee
+const resolveIssueEmployee = async (connection, employeeId, taskId) => {
+  if (employeeId) {
+    const [rows] = await connection.execute('SELECT id, name FROM employees WHERE id = ?', [employeeId]);
+    return rows[0] || undefined;
+  }
+  if (!taskId) return null;
+  const [rows] = await connection.execute(
+    `SELECT e.id, e.name
+     FROM task_assignees ta
+     JOIN employees e ON e.id = ta.employee_id
+     WHERE ta.task_id = ? AND ta.role = 'assignee'
+     ORDER BY ta.sort_order
+     LIMIT 1`,
+    [taskId]
+  );
+  return rows[0] || null;
+};
+
+// GET /api/issues - List issues (filters: department_id, task_id, employee_id, severity, start, end)
+router.get('/', canViewIssues, async (req, res) => {
+  const { department_id, task_id, employee_id, severity, start, end } = req.query;
+  const where = [];
+  const params = [];
+
+  const idFilters = [['i.department_id', department_id], ['i.task_id', task_id], ['i.employee_id', employee_id]];
+  for (const [column, value] of idFilters) {
+    const id = toIntOrNull(value);
+    if (id === null) continue;
+    if (isNaN(id)) {
+      return res.status(400).json({ error: `${column.split('.')[1]} must be a valid number` });
+    }
+    where.push(`${column} = ?`);
+    params.push(id);
+  }
+  if (severity) {
+    if (!SEVERITIES.includes(severity)) {
+      return res.status(400).json({ error: `severity must be one of ${SEVERITIES.join(', ')}` });
+    }
+    where.push('i.severity = ?');
+    params.push(severity);
+  }
+  // Issues without an issue date are filtered on the day they were recorded
+  if (start) {
+    where.push('COALESCE(i.issue_date, DATE(i.created_at)) >= ?');
+    params.push(start);
+  }
+  if (end) {
+    where.push('COALESCE(i.issue_date, DATE(i.created_at)) <= ?');
+    params.push(end);
+  }
+
+  const query = `${ISSUE_SELECT} ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY i.created_at DESC`;
+
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const [rows] = await connection.execute(query, params);
+    res.json(rows);
+  } catch (err) {
+    console.error('Error fetching issues:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// POST /api/issues - Create an issue
+router.post('/', canManageIssues, async (req, res) => {
+  const { severity, description, issue_date } = req.body;
+  const departmentIdInt = toIntOrNull(req.body.department_id);
+  const taskIdInt = toIntOrNull(req.body.task_id);
+  const employeeIdInt = toIntOrNull(req.body.employee_id);
+
+  if (!departmentIdInt || !taskIdInt || !description || !String(description).trim()) {
+    return res.status(400).json({ error: 'department_id, task_id and description are required' });
+  }
+  if (isNaN(departmentIdInt) || isNaN(taskIdInt) || Number.isNaN(employeeIdInt)) {
+    return res.status(400).json({ error: 'department_id, task_id and employee_id must be valid numbers' });
+  }
+  const severityVal = severity || 'High';
+  if (!SEVERITIES.includes(severityVal)) {
+    return res.status(400).json({ error: `severity must be one of ${SEVERITIES.join(', ')}` });
+  }
+
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    const [tasks] = await connection.execute('SELECT id FROM tasks WHERE id = ?', [taskIdInt]);
+    if (tasks.length === 0) {
+      return res.status(400).json({ error: 'Task not found' });
+    }
+    const employee = await resolveIssueEmployee(connection, employeeIdInt, taskIdInt);
+    if (employee === undefined) {
+      return res.status(400).json({ error: 'Employee not found' });
+    }
+
+    const issueDateVal = issue_date && String(issue_date).trim() ? sanitizeForMySQL(String(issue_date).trim()) : null;
+    const [result] = await connection.execute(
+      `INSERT INTO issues (department_id, task_id, employee_id, employee_name, severity, description, issue_date, reported_by_id, reported_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        departmentIdInt,
+        taskIdInt,
+        employee ? employee.id : null,
+        employee ? employee.name : null,
+        severityVal,
+        sanitizeForMySQL(description) || '',
+        issueDateVal,
+        req.user ? req.user.id : null,
+        req.user ? req.user.name : null
+      ]
+    );
+
+    const [rows] = await connection.execute(`${ISSUE_SELECT} WHERE i.id = ?`, [result.insertId]);
+    if (rows.length > 0) {
+      res.status(201).json({ item: rows[0] });
+    } else {
+      res.status(201).json({ id: result.insertId, message: 'Saved' });
+    }
+  } catch (err) {
+    console.error('Error creating issue:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// DELETE /api/issues/bulk - Delete multiple issues (must be before /:id)
+router.delete('/bulk', canManageIssues, async (req, res) => {
+  const { ids } = req.body;
+
+  if (!ids || !Array.isArray(ids) || ids.length === 0) {
+    return res.status(400).json({ error: 'IDs array is required' });
+  }
+
+  const numericIds = ids.map(id => parseInt(id)).filter(id => !isNaN(id));
+  if (numericIds.length === 0) {
+    return res.status(400).json({ error: 'No valid IDs provided' });
+  }
+
+  const placeholders = numericIds.map(() => '?').join(',');
+  const query = `DELETE FROM issues WHERE id IN (${placeholders})`;
+
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const [result] = await connection.execute(query, numericIds);
+    res.json({
+      message: `${result.affectedRows} issue(s) deleted successfully`,
+      deletedCount: result.affectedRows
+    });
+  } catch (err) {
+    console.error('Error deleting issues:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// GET /api/issues/:id - Single issue
+router.get('/:id', canViewIssues, async (req, res) => {
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const [rows] = await connection.execute(`${ISSUE_SELECT} WHERE i.id = ?`, [req.params.id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Issue not found' });
+    }
+    res.json(rows[0]);
+  } catch (err) {
+    console.error('Error fetching issue:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// PUT /api/issues/:id - Update an issue; only the fields sent are changed
+router.put('/:id', canManageIssues, async (req, res) => {
+  const body = req.body || {};
+  const fields = [];
+  const values = [];
+
+  for (const key of ['department_id', 'task_id', 'employee_id']) {
+    if (body[key] === undefined) continue;
+    const id = toIntOrNull(body[key]);
+    if (Number.isNaN(id) || (key !== 'employee_id' && id === null)) {
+      return res.status(400).json({ error: `${key} must be a valid number` });
+    }
+  }
+  if (body.severity !== undefined && !SEVERITIES.includes(body.severity)) {
+    return res.status(400).json({ error: `severity must be one of ${SEVERITIES.join(', ')}` });
+  }
+  if (body.description !== undefined && !String(body.description || '').trim()) {
+    return res.status(400).json({ error: 'description cannot be empty' });
+  }
+
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    const [existing] = await connection.execute('SELECT id, task_id, employee_id FROM issues WHERE id = ?', [req.params.id]);
+    if (existing.length === 0) {
+      return res.status(404).json({ error: 'Issue not found' });
+    }
+
+    if (body.department_id !== undefined) {
+      fields.push('department_id = ?');
+      values.push(toIntOrNull(body.department_id));
+    }
+    const taskIdInt = body.task_id !== undefined ? toIntOrNull(body.task_id) : existing[0].task_id;
+    if (body.task_id !== undefined) {
+      const [tasks] = await connection.execute('SELECT id FROM tasks WHERE id = ?', [taskIdInt]);
+      if (tasks.length === 0) {
+        return res.status(400).json({ error: 'Task not found' });
+      }
+      fields.push('task_id = ?');
+      values.push(taskIdInt);
+    }
+    // Re-charge the issue when the employee is set explicitly or the task changes
+    if (body.employee_id !== undefined || body.task_id !== undefined) {
+      const employeeIdInt = body.employee_id !== undefined ? toIntOrNull(body.employee_id) : null;
+      const employee = await resolveIssueEmployee(connection, employeeIdInt, taskIdInt);
+      if (employee === undefined) {
+        return res.status(400).json({ error: 'Employee not found' });
+      }
+      fields.push('employee_id = ?', 'employee_name = ?');
+      values.push(employee ? employee.id : null, employee ? employee.name : null);
+    }
+    if (body.severity !== undefined) {
+      fields.push('severity = ?');
+      values.push(body.severity);
+    }
+    if (body.description !== undefined) {
+      fields.push('description = ?');
+      values.push(sanitizeForMySQL(body.description));
+    }
+    if (body.issue_date !== undefined) {
+      fields.push('issue_date = ?');
+      values.push(body.issue_date && String(body.issue_date).trim() ? sanitizeForMySQL(String(body.issue_date).trim()) : null);
+    }
+
+    if (fields.length > 0) {
+      await connection.execute(`UPDATE issues SET ${fields.join(', ')} WHERE id = ?`, [...values, req.params.id]);
+    }
+    const [rows] = await connection.execute(`${ISSUE_SELECT} WHERE i.id = ?`, [req.params.id]);
+    res.json({ item: rows[0] });
+  } catch (err) {
+    console.error('Error updating issue:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// DELETE /api/issues/:id - Delete single issue
+router.delete('/:id', canManageIssues, async (req, res) => {
+  const { id } = req.params;
+
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const [result] = await connection.execute('DELETE FROM issues WHERE id = ?', [id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Issue not found' });
+    }
+    res.json({ message: 'Issue deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting issue:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+module.exports = router;
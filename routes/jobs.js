@@ -0,0 +1,131 @@
+const router = require('express').Router();
+const { mysqlPool } = require('../config/database');
+const { requirePermission } = require('../middleware/permissions');
+const { getRegisteredJob, getNextRunAt, runJobNow } = require('../helpers/scheduler');
+
+// Helper: latest job_runs row for each job name
+const getLastRuns = async (connection) => {
+  const [rows] = await connection.execute(`
+    SELECT jr.*
+    FROM job_runs jr
+    JOIN (SELECT job_name, MAX(id) AS id FROM job_runs GROUP BY job_name) latest ON latest.id = jr.id
+  `);
+  return new Map(rows.map(row => [row.job_name, row]));
+};
+
+// GET /api/admin/jobs - Scheduled jobs with their next run and most recent run
+router.get('/', requirePermission('all'), async (req, res) => {
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    const [jobs] = await connection.execute('SELECT * FROM scheduled_jobs ORDER BY name');
+    const lastRuns = await getLastRuns(connection);
+
+    res.json(jobs.map(job => ({
+      ...job,
+      registered: !!getRegisteredJob(job.name),
+      last_run: lastRuns.get(job.name) || null
+    })));
+  } catch (err) {
+    console.error('Error fetching scheduled jobs:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// GET /api/admin/jobs/:name/runs - Run history for one job (newest first)
+router.get('/:name/runs', requirePermission('all'), async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    const [runs] = await connection.query(
+      'SELECT * FROM job_runs WHERE job_name = ? ORDER BY id DESC LIMIT ?',
+      [req.params.name, limit]
+    );
+    res.json(runs);
+  } catch (err) {
+    console.error('Error fetching job runs:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// PUT /api/admin/jobs/:name - Change schedule, enabled flag, retry policy or params
+router.put('/:name', requirePermission('all'), async (req, res) => {
+  const { cron_expression, time_zone, enabled, max_attempts, retry_backoff_seconds, params } = req.body || {};
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    const [rows] = await connection.execute('SELECT * FROM scheduled_jobs WHERE name = ?', [req.params.name]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    const job = rows[0];
+
+    const cronExpression = cron_expression !== undefined ? String(cron_expression).trim() : job.cron_expression;
+    const timeZone = time_zone !== undefined ? String(time_zone).trim() : job.time_zone;
+    let nextRunAt;
+    try {
+      nextRunAt = getNextRunAt(cronExpression, timeZone);
+    } catch (e) {
+      return res.status(400).json({ error: `Invalid schedule: ${e.message}` });
+    }
+    if (params !== undefined && (params === null || typeof params !== 'object' || Array.isArray(params))) {
+      return res.status(400).json({ error: 'params must be an object' });
+    }
+
+    await connection.execute(
+      `UPDATE scheduled_jobs
+       SET cron_expression = ?, time_zone = ?, enabled = ?, max_attempts = ?, retry_backoff_seconds = ?, params = ?,
+           next_run_at = ?, retry_attempt = 0
+       WHERE id = ?`,
+      [
+        cronExpression,
+        timeZone,
+        enabled !== undefined ? (enabled ? 1 : 0) : job.enabled,
+        max_attempts !== undefined ? Math.max(parseInt(max_attempts, 10) || 1, 1) : job.max_attempts,
+        retry_backoff_seconds !== undefined ? Math.max(parseInt(retry_backoff_seconds, 10) || 0, 0) : job.retry_backoff_seconds,
+        params !== undefined ? JSON.stringify(params) : (typeof job.params === 'string' ? job.params : JSON.stringify(job.params || {})),
+        nextRunAt,
+        job.id
+      ]
+    );
+
+    const [updated] = await connection.execute('SELECT * FROM scheduled_jobs WHERE id = ?', [job.id]);
+    res.json(updated[0]);
+  } catch (err) {
+    console.error('Error updating scheduled job:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// POST /api/admin/jobs/:name/run - Run a job now; body.params overrides the stored params for this run only
+router.post('/:name/run', requirePermission('all'), async (req, res) => {
+  const params = req.body && typeof req.body.params === 'object' ? req.body.params : null;
+  try {
+    const { found, alreadyRunning, run } = await runJobNow(req.params.name, { triggeredBy: req.user.id, params });
+    if (!found) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (alreadyRunning) {
+      return res.status(409).json({ error: 'Job is already running' });
+    }
+    res.status(run.status === 'failed' ? 500 : 200).json(run);
+  } catch (err) {
+    console.error('Error running job:', err);
+    res.status(500).json({ error: 'Failed to run job', message: err.message || 'Unknown error' });
+  }
+});
+
+module.exports = router;
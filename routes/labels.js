@@ -3,8 +3,10 @@ const multer = require('multer');
 const xlsx = require('xlsx');
 const { mysqlPool } = require('../config/database');
 const { sanitizeForMySQL } = require('../helpers/sanitize');
+const { requirePermission } = require('../middleware/permissions');
 
 const upload = multer({ storage: multer.memoryStorage() });
+const canManageLabels = requirePermission('task_config_manage');
 
 // GET /api/labels - List all labels
 router.get('/', async (req, res) => {
@@ -52,7 +54,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/labels - Create new label
-router.post('/', async (req, res) => {
+router.post('/', canManageLabels, async (req, res) => {
   const labelData = req.body;
   const query = `INSERT INTO labels (name, description, color, category, status) VALUES (?, ?, ?, ?, ?)`;
   const values = [
@@ -84,7 +86,7 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/labels/:id - Update label
-router.put('/:id', async (req, res) => {
+router.put('/:id', canManageLabels, async (req, res) => {
   const labelData = req.body;
   const query = `UPDATE labels SET name = ?, description = ?, color = ?, category = ?, status = ? WHERE id = ?`;
   const values = [
@@ -120,7 +122,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /api/labels/:id - Delete label
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', canManageLabels, async (req, res) => {
   const query = 'DELETE FROM labels WHERE id = ?';
   let connection;
   try {
@@ -144,7 +146,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // POST /api/labels/import - Import labels from Excel
-router.post('/import', upload.single('file'), async (req, res) => {
+router.post('/import', canManageLabels, upload.single('file'), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'No file uploaded' });
   }
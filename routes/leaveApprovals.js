@@ -0,0 +1,211 @@
+const router = require('express').Router();
+const { mysqlPool } = require('../config/database');
+const { requirePermission, isAdminUser } = require('../middleware/permissions');
+const { APPROVER_TYPES, normalizeChain, getChains, saveChainSteps, STEP_COLUMNS } = require('../helpers/leaveApprovals');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// GET /api/leave-approvals/approver-types
+router.get('/approver-types', (req, res) => {
+  res.json(Object.entries(APPROVER_TYPES).map(([key, label]) => ({ key, label })));
+});
+
+// GET /api/leave-approvals/chains - Approval chains with their steps (admin)
+router.get('/chains', requirePermission('all'), async (req, res) => {
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    res.json(await getChains(connection));
+  } catch (err) {
+    console.error('Error fetching leave approval chains:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// POST /api/leave-approvals/chains - { name, department_id?, leave_type_id?, escalate_after_hours?, steps: [{ label, approver_type, approver_value?, escalate_after_hours? }] }
+router.post('/chains', requirePermission('all'), async (req, res) => {
+  const { values, steps, error } = normalizeChain(req.body);
+  if (error) return res.status(400).json({ error });
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    await connection.beginTransaction();
+    const [result] = await connection.execute(
+      `INSERT INTO leave_approval_chains (name, department_id, leave_type_id, escalate_after_hours, is_active) VALUES (?, ?, ?, ?, ?)`,
+      [values.name, values.department_id, values.leave_type_id, values.escalate_after_hours, values.is_active]
+    );
+    await saveChainSteps(connection, result.insertId, steps);
+    await connection.commit();
+    res.status(201).json((await getChains(connection)).find((c) => c.id === result.insertId));
+  } catch (err) {
+    if (connection) await connection.rollback().catch(() => {});
+    console.error('Error creating leave approval chain:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// PUT /api/leave-approvals/chains/:id - Replace a chain and its steps (admin). Requests already in flight keep their copied steps.
+router.put('/chains/:id', requirePermission('all'), async (req, res) => {
+  const { values, steps, error } = normalizeChain(req.body);
+  if (error) return res.status(400).json({ error });
+  const chainId = Number(req.params.id);
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    await connection.beginTransaction();
+    const [result] = await connection.execute(
+      `UPDATE leave_approval_chains SET name = ?, department_id = ?, leave_type_id = ?, escalate_after_hours = ?, is_active = ? WHERE id = ?`,
+      [values.name, values.department_id, values.leave_type_id, values.escalate_after_hours, values.is_active, chainId]
+    );
+    if (result.affectedRows === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Approval chain not found' });
+    }
+    await saveChainSteps(connection, chainId, steps);
+    await connection.commit();
+    res.json((await getChains(connection)).find((c) => c.id === chainId));
+  } catch (err) {
+    if (connection) await connection.rollback().catch(() => {});
+    console.error('Error updating leave approval chain:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// DELETE /api/leave-approvals/chains/:id - Deactivate a chain (admin); new requests fall back to the next matching chain
+router.delete('/chains/:id', requirePermission('all'), async (req, res) => {
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const [result] = await connection.execute('UPDATE leave_approval_chains SET is_active = 0 WHERE id = ?', [req.params.id]);
+    if (result.affectedRows === 0) return res.status(404).json({ error: 'Approval chain not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deactivating leave approval chain:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// GET /api/leave-approvals/pending - Steps waiting for the current user (admins also get steps with no approver)
+router.get('/pending', async (req, res) => {
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const [rows] = await connection.execute(
+      `SELECT ${STEP_COLUMNS}, lr.employee_id, e.name AS employee_name, e.department AS department_name,
+         DATE_FORMAT(lr.start_date, '%Y-%m-%d') AS start_date, DATE_FORMAT(lr.end_date, '%Y-%m-%d') AS end_date,
+         lr.days_requested, lr.reason, lr.leave_type_id, t.name AS leave_type_name, lr.is_important_date_override
+       FROM leave_approval_steps s
+       JOIN leave_requests lr ON lr.id = s.leave_request_id AND lr.status = 'pending'
+       JOIN employees e ON e.id = lr.employee_id
+       LEFT JOIN leave_types t ON t.id = lr.leave_type_id
+       WHERE s.status = 'pending' AND (s.approver_id = ? OR (s.approver_id IS NULL AND ?))
+       ORDER BY lr.start_date, s.activated_at`,
+      [req.user.id, isAdminUser(req.user) ? 1 : 0]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('Error fetching pending leave approvals:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+const DELEGATION_COLUMNS = `g.id, g.approver_id, a.name AS approver_name, g.delegate_id, d.name AS delegate_name,
+  DATE_FORMAT(g.start_date, '%Y-%m-%d') AS start_date, DATE_FORMAT(g.end_date, '%Y-%m-%d') AS end_date, g.reason, g.created_at`;
+
+// GET /api/leave-approvals/delegations - Delegations from or to the current user (admins see all)
+router.get('/delegations', async (req, res) => {
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const admin = isAdminUser(req.user);
+    const [rows] = await connection.execute(
+      `SELECT ${DELEGATION_COLUMNS} FROM leave_approval_delegations g
+       LEFT JOIN employees a ON a.id = g.approver_id
+       LEFT JOIN employees d ON d.id = g.delegate_id
+       WHERE g.end_date >= CURDATE() AND (? OR g.approver_id = ? OR g.delegate_id = ?)
+       ORDER BY g.start_date`,
+      [admin ? 1 : 0, req.user.id, req.user.id]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('Error fetching leave approval delegations:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// POST /api/leave-approvals/delegations - { delegate_id, start_date, end_date, reason?, approver_id? (admin only) }
+router.post('/delegations', async (req, res) => {
+  const { delegate_id: delegateId, start_date: startDate, end_date: endDate, reason } = req.body || {};
+  const approverId = isAdminUser(req.user) && req.body.approver_id ? Number(req.body.approver_id) : Number(req.user.id);
+  if (!delegateId) return res.status(400).json({ error: 'delegate_id is required' });
+  if (Number(delegateId) === approverId) return res.status(400).json({ error: 'You cannot delegate to yourself' });
+  if (!DATE_RE.test(startDate || '') || !DATE_RE.test(endDate || '')) {
+    return res.status(400).json({ error: 'start_date and end_date must be YYYY-MM-DD' });
+  }
+  if (endDate < startDate) return res.status(400).json({ error: 'end_date must be on or after start_date' });
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const [delegates] = await connection.execute("SELECT id FROM employees WHERE id = ? AND status = 'Active'", [delegateId]);
+    if (delegates.length === 0) return res.status(400).json({ error: 'Delegate not found' });
+    const [result] = await connection.execute(
+      `INSERT INTO leave_approval_delegations (approver_id, delegate_id, start_date, end_date, reason, created_by) VALUES (?, ?, ?, ?, ?, ?)`,
+      [approverId, delegateId, startDate, endDate, reason ? String(reason).slice(0, 255) : null, req.user.id]
+    );
+    const [rows] = await connection.execute(
+      `SELECT ${DELEGATION_COLUMNS} FROM leave_approval_delegations g
+       LEFT JOIN employees a ON a.id = g.approver_id
+       LEFT JOIN employees d ON d.id = g.delegate_id
+       WHERE g.id = ?`,
+      [result.insertId]
+    );
+    res.status(201).json(rows[0]);
+  } catch (err) {
+    console.error('Error creating leave approval delegation:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// DELETE /api/leave-approvals/delegations/:id - Remove a delegation (its approver or an admin).
+// Steps already handed to the delegate stay with them.
+router.delete('/delegations/:id', async (req, res) => {
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const [result] = await connection.execute(
+      'DELETE FROM leave_approval_delegations WHERE id = ? AND (? OR approver_id = ?)',
+      [req.params.id, isAdminUser(req.user) ? 1 : 0, req.user.id]
+    );
+    if (result.affectedRows === 0) return res.status(404).json({ error: 'Delegation not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting leave approval delegation:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,89 @@
+const router = require('express').Router();
+const { mysqlPool } = require('../config/database');
+const { requirePermission, isAdminUser } = require('../middleware/permissions');
+const { RULE_TYPES, normalizeRule, getRules, getRule } = require('../helpers/leaveRules');
+
+const RULE_COLUMNS = ['name', 'rule_type', 'severity', 'department_id', 'designation', 'leave_type_id', 'params', 'message', 'is_active'];
+
+// GET /api/leave-rules/types
+router.get('/types', (req, res) => {
+  res.json(Object.entries(RULE_TYPES).map(([key, label]) => ({ key, label })));
+});
+
+// GET /api/leave-rules - Active conflict rules (admins may pass ?include_inactive=1)
+router.get('/', async (req, res) => {
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const includeInactive = isAdminUser(req.user) && req.query.include_inactive === '1';
+    res.json(await getRules(connection, { includeInactive }));
+  } catch (err) {
+    console.error('Error fetching leave conflict rules:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// POST /api/leave-rules - { name, rule_type, severity, department_id?, designation?, leave_type_id?, params, message? } (admin)
+router.post('/', requirePermission('all'), async (req, res) => {
+  const { values, error } = normalizeRule(req.body);
+  if (error) return res.status(400).json({ error });
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const [result] = await connection.execute(
+      `INSERT INTO leave_conflict_rules (${RULE_COLUMNS.join(', ')}, created_by_id) VALUES (${RULE_COLUMNS.map(() => '?').join(', ')}, ?)`,
+      [...RULE_COLUMNS.map((column) => values[column]), req.user.id]
+    );
+    res.status(201).json(await getRule(connection, result.insertId));
+  } catch (err) {
+    console.error('Error creating leave conflict rule:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// PUT /api/leave-rules/:id - Replace a rule (admin). Leaves already decided are not re-checked.
+router.put('/:id', requirePermission('all'), async (req, res) => {
+  const { values, error } = normalizeRule(req.body);
+  if (error) return res.status(400).json({ error });
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const [result] = await connection.execute(
+      `UPDATE leave_conflict_rules SET ${RULE_COLUMNS.map((column) => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...RULE_COLUMNS.map((column) => values[column]), req.params.id]
+    );
+    if (result.affectedRows === 0) return res.status(404).json({ error: 'Rule not found' });
+    res.json(await getRule(connection, req.params.id));
+  } catch (err) {
+    console.error('Error updating leave conflict rule:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// DELETE /api/leave-rules/:id - Deactivate a rule (admin)
+router.delete('/:id', requirePermission('all'), async (req, res) => {
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const [result] = await connection.execute('UPDATE leave_conflict_rules SET is_active = 0 WHERE id = ?', [req.params.id]);
+    if (result.affectedRows === 0) return res.status(404).json({ error: 'Rule not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deactivating leave conflict rule:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+module.exports = router;
@@ -2,36 +2,172 @@
 // Mount at: /api/leaves (+ /api/leave-types)
 const router = require('express').Router();
 const { mysqlPool } = require('../config/database');
-const { getYearMonthFromDate } = require('../helpers/dates');
-const { getOrCreateLeaveBalance, allocateUninformedToFutureMonths, recalculateUninformedDeductionsForEmployee, runSyncAbsentForDate } = require('../helpers/leaveBalance');
+const { getYearMonthFromDate, getZonedDateString } = require('../helpers/dates');
+const {
+  getMonthlyQuota,
+  getOrCreateLeaveBalance,
+  recordPaidUsage,
+  reverseLeaveEntries,
+  recalculateUninformedDeductionsForEmployee,
+  postLeaveAdjustment,
+  getLedgerStatement,
+  runSyncAbsentForDate
+} = require('../helpers/leaveBalance');
+const { requirePermission, isAdminUser, isManagerUser, userHasPermission } = require('../middleware/permissions');
+const { loadHolidays, expandHolidays, loadHolidayEmployee, findBlockingHoliday } = require('../helpers/holidays');
+const { buildApprovalScope: buildRegularizationScope } = require('../helpers/attendanceRegularization');
+const {
+  tracksBalance,
+  normalizeLeaveType,
+  getLeaveTypes,
+  getLeaveType,
+  getLeaveTypeBalances,
+  getLeaveTypeBalance,
+  recordTypeUsage,
+  moveTypeUsage
+} = require('../helpers/leaveTypes');
+const {
+  startApprovalChain,
+  getActiveStep,
+  canActOnStep,
+  recordStepDecision,
+  closeOpenSteps,
+  sendNotifications,
+  getApprovalSteps,
+  attachApprovalSteps
+} = require('../helpers/leaveApprovals');
+const { evaluateLeaveRules, hardViolations } = require('../helpers/leaveRules');
+const {
+  getHandoverSuggestions,
+  normalizeHandoverPlan,
+  saveHandoverPlan,
+  getLeaveHandovers,
+  scheduleLeaveHandovers,
+  cancelLeaveHandovers,
+  moveLeaveHandovers
+} = require('../helpers/leaveHandovers');
+const typesRouter = require('express').Router();
+
+// Typed leaves with their own balance (helpers/leaveTypes.js) do not draw on the monthly paid quota
+const usesMonthlyQuota = async (connection, leaveTypeId) => {
+  if (!leaveTypeId) return true;
+  return !tracksBalance(await getLeaveType(connection, leaveTypeId));
+};
+
+// Leave types decide whether a request needs approval (requires_approval); untyped requests keep the rulebook,
+// where paid leave needs none
+const needsApproval = async (connection, leaveTypeId, isPaid) => {
+  if (!leaveTypeId) return !isPaid;
+  const type = await getLeaveType(connection, leaveTypeId);
+  return !type || type.requires_approval === 1 || type.requires_approval === true;
+};
 // TODO: Copy handlers
 // Leave Management API Routes
 
-// Get active leave types (from leave_types table) for apply form dropdown
-router.get('/leave-types', async (req, res) => {
+// Get active leave types (from leave_types table) for apply form dropdown, with their accrual rules.
+// Admins may pass ?include_inactive=1 to manage retired types.
+const listLeaveTypes = async (req, res) => {
     let connection;
     try {
       connection = await mysqlPool.getConnection();
       await connection.ping();
-      const [rows] = await connection.execute(
-        `SELECT id, name, description, max_days_per_year, max_consecutive_days, requires_approval, is_paid, color, status
-         FROM leave_types
-         WHERE status = 'Active' OR status IS NULL
-         ORDER BY name`
-      );
-      res.json(rows);
+      const includeInactive = isAdminUser(req.user) && req.query.include_inactive === '1';
+      res.json(await getLeaveTypes(connection, { includeInactive }));
     } catch (err) {
       console.error('Error fetching leave types:', err);
       res.status(500).json({ error: 'Database error' });
     } finally {
       if (connection) connection.release();
     }
-  });
+  };
+router.get('/leave-types', listLeaveTypes);
+typesRouter.get('/', listLeaveTypes);
+
+// POST /api/leave-types - Create a leave type with its accrual rules (admin)
+typesRouter.post('/', requirePermission('all'), async (req, res) => {
+  const { values, error } = normalizeLeaveType(req.body);
+  if (error) return res.status(400).json({ error });
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const columns = Object.keys(values);
+    const [result] = await connection.execute(
+      `INSERT INTO leave_types (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      Object.values(values)
+    );
+    res.status(201).json(await getLeaveType(connection, result.insertId));
+  } catch (err) {
+    console.error('Error creating leave type:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// PUT /api/leave-types/:id - Update a leave type's rules (admin). Balances already carried into a year are kept.
+typesRouter.put('/:id', requirePermission('all'), async (req, res) => {
+  const { values, error } = normalizeLeaveType(req.body);
+  if (error) return res.status(400).json({ error });
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const [result] = await connection.execute(
+      `UPDATE leave_types SET ${Object.keys(values).map((column) => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...Object.values(values), req.params.id]
+    );
+    if (result.affectedRows === 0) return res.status(404).json({ error: 'Leave type not found' });
+    res.json(await getLeaveType(connection, req.params.id));
+  } catch (err) {
+    console.error('Error updating leave type:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// DELETE /api/leave-types/:id - Retire a leave type (admin); past requests keep their type
+typesRouter.delete('/:id', requirePermission('all'), async (req, res) => {
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const [result] = await connection.execute("UPDATE leave_types SET status = 'Inactive' WHERE id = ?", [req.params.id]);
+    if (result.affectedRows === 0) return res.status(404).json({ error: 'Leave type not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error retiring leave type:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// GET /api/leaves/balances?employee_id=&year= - Per-type balances with projected accrual to year end.
+// Employees see their own; admins and managers may pass employee_id.
+router.get('/balances', async (req, res) => {
+  const canViewOthers = isAdminUser(req.user) || isManagerUser(req.user);
+  const employeeId = canViewOthers && req.query.employee_id ? req.query.employee_id : req.user.id;
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const balances = await getLeaveTypeBalances(connection, employeeId, { year: req.query.year });
+    if (!balances) return res.status(404).json({ error: 'Employee not found' });
+    res.json({ employee_id: Number(employeeId), balances });
+  } catch (err) {
+    console.error('Error fetching leave type balances:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
   
   // Apply for leave
   router.post('/apply', async (req, res) => {
     const {
-      employee_id,
+      employee_id: bodyEmployeeId,
       department_id,
       leave_type_id,
       reason,
@@ -46,8 +182,12 @@ router.get('/leave-types', async (req, res) => {
       is_important_date_override,
       requested_swap_with_leave_id,
       policy_reason_detail,
-      expected_return_date
+      expected_return_date,
+      attachment_url,
+      handover
     } = req.body || {};
+    // Employees can only apply for themselves; admins may apply on someone's behalf
+    const employee_id = isAdminUser(req.user) && bodyEmployeeId ? bodyEmployeeId : req.user.id;
   
     if (!employee_id || !start_date || !end_date) {
       return res.status(400).json({ error: 'employee_id, start_date and end_date are required' });
@@ -74,23 +214,19 @@ router.get('/leave-types', async (req, res) => {
         deptId = dRows.length ? dRows[0].id : null;
       }
   
-      // Blocked: holiday applies to all; important applies when department_id IS NULL (all) OR = applicant's department
-      const [blockedRows] = await connection.execute(
-        `SELECT id FROM leave_requests WHERE employee_id = 0
-         AND start_date <= ? AND end_date >= ?
-         AND (
-           (reason LIKE 'HOLIDAY%' AND department_id IS NULL)
-           OR (reason LIKE 'IMPORTANT_EVENT%' AND (department_id IS NULL OR department_id = ?))
-         ) LIMIT 1`,
-        [end_date, start_date, deptId]
-      );
-      const isDateBlocked = blockedRows.length > 0;
+      // Blocked: any holiday or important event (helpers/holidays.js) scoped to the applicant's department/designation
+      const blockingHoliday = await findBlockingHoliday(connection, start_date, end_date, {
+        department_id: deptId,
+        designation: empRows[0].designation
+      });
+      const isDateBlocked = !!blockingHoliday;
       // Event dates: full block – no leave application allowed (no emergency override)
       if (isDateBlocked) {
         return res.status(200).json({
           success: false,
           date_blocked: true,
-          message: 'Leave cannot be applied on this date due to an event.'
+          holiday: { id: blockingHoliday.id, name: blockingHoliday.name, type: blockingHoliday.type },
+          message: `Leave cannot be applied on this date due to an event (${blockingHoliday.name}).`
         });
       }
   
@@ -117,53 +253,41 @@ router.get('/leave-types', async (req, res) => {
         ? (requested_swap_with_leave_id || existingLeaveId)
         : (requested_swap_with_leave_id || null);
   
-      // Department conflict check: overlapping dates in same department, pending/approved
-      if (deptId) {
-        const conflictQuery = `
-          SELECT lr.id, lr.employee_id, e.name AS employee_name, lr.start_date, lr.end_date
-          FROM leave_requests lr
-          JOIN employees e ON e.id = lr.employee_id
-          WHERE lr.department_id = ?
-            AND lr.status IN ('pending','approved')
-            AND lr.start_date <= ?
-            AND lr.end_date >= ?
-          LIMIT 1
-        `;
-        // Only enforce conflict when both the applicant and the existing leave holder
-        // are Operators in the same department and their dates overlap.
-        const applicantDesignation = String(empRows[0].designation || '').toLowerCase();
-        if (applicantDesignation === 'operator') {
-          const conflictQuery = `
-            SELECT lr.id, lr.employee_id, e.name AS employee_name, lr.start_date, lr.end_date, e.designation
-            FROM leave_requests lr
-            JOIN employees e ON e.id = lr.employee_id
-            WHERE lr.department_id = ?
-              AND lr.status IN ('pending','approved')
-              AND lr.start_date <= ?
-              AND lr.end_date >= ?
-              AND LOWER(e.designation) = 'operator'
-            LIMIT 1
-          `;
-          const [conflicts] = await connection.execute(conflictQuery, [deptId, end_date, start_date]);
-          if (conflicts.length > 0) {
-            const c = conflicts[0];
-            return res.status(200).json({
-              success: false,
-              conflict: true,
-              existing_employee_name: c.employee_name || '',
-              existing_start_date: c.start_date,
-              existing_end_date: c.end_date,
-              message: 'Another operator from this department is already on leave for these dates'
-            });
-          }
-        }
+      // Conflict rules (helpers/leaveRules.js): hard violations block the application, soft ones send it for a decision
+      const ruleViolations = await evaluateLeaveRules(connection, {
+        employeeId: employee_id,
+        departmentId: deptId,
+        leaveTypeId: leave_type_id || null,
+        startDate: start_date,
+        endDate: end_date
+      });
+      const blocking = hardViolations(ruleViolations);
+      if (blocking.length > 0) {
+        return res.status(200).json({
+          success: false,
+          conflict: true,
+          rule_violations: ruleViolations,
+          message: blocking.map((v) => v.message).join('. ')
+        });
+      }
+      const ruleWarnings = ruleViolations.filter((v) => v.severity === 'soft');
+
+      // Task handover plan (helpers/leaveHandovers.js): who covers which of the applicant's tasks
+      const handoverPlan = await normalizeHandoverPlan(connection, {
+        employeeId: employee_id,
+        startDate: start_date,
+        endDate: end_date,
+        plan: handover
+      });
+      if (handoverPlan.error) {
+        return res.status(400).json({ error: handoverPlan.error });
       }
   
-      // Enforce monthly paid leave quota (default 2 per month),
-      // taking into account any cascading uninformed leave deductions.
+      // Enforce the monthly paid leave quota (the monthly_paid leave type's accrual) for leaves without a
+      // balance-tracked type, taking into account any cascading uninformed leave deductions.
       const { year, month } = getYearMonthFromDate(start_date);
       const balance = await getOrCreateLeaveBalance(connection, employee_id, year, month);
-      const quota = balance.paid_quota || 2;
+      const quota = balance.paid_quota;
       const used = balance.paid_used || 0;
       const deduction = balance.next_month_deduction || 0;
       const effectiveQuota = Math.max(0, quota - deduction);
@@ -175,25 +299,48 @@ router.get('/leave-types', async (req, res) => {
       let isPaid = 0;
       let requiresApproval = 1;
       let resolvedLeaveTypeId = null;
-  
-      if (leave_type_id != null && leave_type_id !== '' && Number.isFinite(Number(leave_type_id))) {
-        const [typeRows] = await connection.execute(
-          'SELECT id, is_paid, requires_approval, max_consecutive_days FROM leave_types WHERE id = ? AND (status = \'Active\' OR status IS NULL) LIMIT 1',
-          [Number(leave_type_id)]
-        );
-        if (typeRows.length > 0) {
-          const t = typeRows[0];
-          isPaid = t.is_paid === 1 || t.is_paid === true ? 1 : 0;
-          requiresApproval = t.requires_approval === 1 || t.requires_approval === true ? 1 : 0;
-          resolvedLeaveTypeId = t.id;
-          const maxConsecutive = t.max_consecutive_days != null ? Number(t.max_consecutive_days) : null;
-          if (maxConsecutive != null && !Number.isNaN(maxConsecutive) && requested > maxConsecutive) {
-            return res.status(400).json({
-              error: `This leave type allows at most ${maxConsecutive} consecutive day(s). Please shorten your range.`
-            });
-          }
+      let resolvedLeaveType = null;
+      let typeBalance = null;
+  
+      if (leave_type_id != null && leave_type_id !== '') {
+        // A type that does not exist (or is retired) must not fall back to the untyped paid-leave rules
+        const t = Number.isFinite(Number(leave_type_id)) ? await getLeaveType(connection, Number(leave_type_id)) : null;
+        if (!t || (t.status !== 'Active' && t.status != null)) {
+          return res.status(400).json({ error: 'Unknown or inactive leave type' });
+        }
+        isPaid = t.is_paid === 1 || t.is_paid === true ? 1 : 0;
+        requiresApproval = t.requires_approval === 1 || t.requires_approval === true ? 1 : 0;
+        resolvedLeaveTypeId = t.id;
+        resolvedLeaveType = t;
+        const maxConsecutive = t.max_consecutive_days != null ? Number(t.max_consecutive_days) : null;
+        if (maxConsecutive != null && !Number.isNaN(maxConsecutive) && requested > maxConsecutive) {
+          return res.status(400).json({
+            error: `This leave type allows at most ${maxConsecutive} consecutive day(s). Please shorten your range.`
+          });
+        }
+        if (t.requires_attachment && !attachment_url) {
+          return res.status(400).json({ error: `${t.name} requires an attachment (e.g. a medical certificate link).` });
+        }
+        typeBalance = await getLeaveTypeBalance(connection, employee_id, t, start_date);
+        if (typeBalance && !typeBalance.eligible) {
+          return res.status(200).json({
+            success: false,
+            not_eligible: true,
+            message: `${t.name} is available from ${typeBalance.eligible_from} (after probation).`
+          });
+        }
+        // Other pending requests of the type are already spoken for
+        const typeAvailable = typeBalance && typeBalance.tracked ? typeBalance.available - typeBalance.pending : null;
+        if (typeAvailable != null && requested > typeAvailable) {
+          return res.status(200).json({
+            success: false,
+            type_balance_insufficient: true,
+            available: typeAvailable,
+            message: `You have ${Math.max(0, typeAvailable)} day(s) of ${t.name} available. Please shorten the range or choose another leave type.`
+          });
         }
       }
+      const onMonthlyQuota = !(typeBalance && typeBalance.tracked);
   
       if (resolvedLeaveTypeId == null) {
         const isPaidLeaveTypeLegacy = (leave_type || 'paid') === 'paid';
@@ -205,7 +352,7 @@ router.get('/leave-types', async (req, res) => {
       const remainingPaid = Math.max(0, effectiveQuota - used);
   
       // If they ask for more paid days than they have remaining, do not allow a paid leave.
-      if (isPaidLeaveType && requested > remainingPaid) {
+      if (onMonthlyQuota && isPaidLeaveType && requested > remainingPaid) {
         return res.status(200).json({
           success: false,
           paid_not_available: true,
@@ -215,16 +362,12 @@ router.get('/leave-types', async (req, res) => {
   
       const importantOverride = is_important_date_override ? 1 : 0;
   
-      // Rulebook: Date Available + Paid = auto-approved; Date Available + Regular = pending (admin); Date booked = pending
-      let initialStatus;
-      if (existingLeaveId) {
-        initialStatus = 'pending';
-      } else if (isPaid === 1) {
-        initialStatus = 'approved';  // Date available + paid: auto-approved (rulebook only)
-      } else {
-        initialStatus = 'pending';  // Date available + regular: need approval from admin
-      }
-  
+      // Date available + a type that needs no approval (requires_approval = 0; untyped paid leave) = auto-approved.
+      // Everything else waits for a decision: booked dates, soft rule violations and types that require approval.
+      const initialStatus = existingLeaveId || ruleWarnings.length > 0 || requiresApproval ? 'pending' : 'approved';
+
+      // The request, its ledger usage, handover plan and approval chain are saved together
+      await connection.beginTransaction();
       const insertQuery = `
         INSERT INTO leave_requests (
           employee_id,
@@ -243,8 +386,10 @@ router.get('/leave-types', async (req, res) => {
           is_important_date_override,
           policy_reason_detail,
           expected_return_date,
-          leave_type_id
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?, ?)
+          leave_type_id,
+          attachment_url,
+          rule_warnings
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
   
       const [result] = await connection.execute(insertQuery, [
@@ -263,23 +408,51 @@ router.get('/leave-types', async (req, res) => {
         importantOverride,
         policy_reason_detail || null,
         expected_return_date || null,
-        resolvedLeaveTypeId
+        resolvedLeaveTypeId,
+        attachment_url ? String(attachment_url).slice(0, 500) : null,
+        ruleWarnings.length > 0 ? JSON.stringify(ruleWarnings) : null
       ]);
   
-      if (initialStatus === 'approved' && isPaid) {
-        const { year, month } = getYearMonthFromDate(start_date);
-        const balance = await getOrCreateLeaveBalance(connection, employee_id, year, month);
-        const used = balance.paid_used || 0;
-        const deduction = balance.next_month_deduction || 0;
-        const effectiveQuota = Math.max(0, (balance.paid_quota || 2) - deduction);
-        const willExceedPaid = used + requested > effectiveQuota;
-        const newUsed = willExceedPaid ? used : used + requested;
-        await connection.execute(
-          'UPDATE leave_balances SET paid_used = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-          [newUsed, balance.id]
-        );
+      if (initialStatus === 'approved' && isPaid && onMonthlyQuota) {
+        await recordPaidUsage(connection, {
+          employeeId: employee_id,
+          leaveRequestId: result.insertId,
+          startDate: start_date,
+          days: requested,
+          actor: req.user
+        });
+      } else if (initialStatus === 'approved' && !onMonthlyQuota) {
+        // Balance-tracked type: the balance was checked above, the approval is the usage
+        await recordTypeUsage(connection, {
+          employeeId: employee_id,
+          type: resolvedLeaveType,
+          leaveRequestId: result.insertId,
+          startDate: start_date,
+          days: requested,
+          actor: req.user
+        });
       }
-  
+
+      await saveHandoverPlan(connection, {
+        leaveId: result.insertId,
+        employeeId: employee_id,
+        startDate: start_date,
+        endDate: end_date,
+        entries: handoverPlan.entries
+      });
+      if (initialStatus === 'approved') {
+        await scheduleLeaveHandovers(connection, result.insertId);
+      }
+
+      // Requests that wait for a decision (and not for a swap) go through the matching approval chain, if any
+      const notifications = [];
+      const approvalSteps = initialStatus === 'pending' && !swapLeaveId
+        ? await startApprovalChain(connection, { id: result.insertId, employee_id, department_id: deptId, leave_type_id: resolvedLeaveTypeId }, notifications)
+        : null;
+      const handovers = (await getLeaveHandovers(connection, [result.insertId])).get(result.insertId) || [];
+      await connection.commit();
+      await sendNotifications(notifications);
+
       res.status(201).json({
         success: true,
         id: result.insertId,
@@ -296,9 +469,13 @@ router.get('/leave-types', async (req, res) => {
         is_paid: isPaid,
         emergency_type: emergency_type || null,
         requested_swap_with_leave_id: swapLeaveId,
-        is_important_date_override: importantOverride === 1
+        is_important_date_override: importantOverride === 1,
+        approval_steps: approvalSteps || [],
+        rule_violations: ruleWarnings,
+        handovers
       });
     } catch (err) {
+      if (connection) try { await connection.rollback(); } catch (_) {}
       console.error('Error applying for leave:', err);
       res.status(500).json({ error: 'Database error' });
     } finally {
@@ -308,10 +485,33 @@ router.get('/leave-types', async (req, res) => {
     }
   });
   
+  // GET /api/leaves/handover-suggestions?start_date=&end_date= - Tasks to hand over for a leave and who could cover them
+  // (admins may pass employee_id to plan for someone else)
+  router.get('/handover-suggestions', async (req, res) => {
+    const { start_date, end_date, employee_id } = req.query;
+    if (!start_date) return res.status(400).json({ error: 'start_date is required (YYYY-MM-DD)' });
+    const employeeId = isAdminUser(req.user) && employee_id ? Number(employee_id) : Number(req.user.id);
+    let connection;
+    try {
+      connection = await mysqlPool.getConnection();
+      await connection.ping();
+      res.json(await getHandoverSuggestions(connection, {
+        employeeId,
+        startDate: start_date,
+        endDate: end_date && end_date >= start_date ? end_date : start_date
+      }));
+    } catch (err) {
+      console.error('Error fetching task handover suggestions:', err);
+      res.status(500).json({ error: 'Database error' });
+    } finally {
+      if (connection) connection.release();
+    }
+  });
+
   // Date availability for a single date or range (red/green): blocked or booked in range.
   // Optional exclude_leave_id: when editing a leave, exclude that leave from "booked" so the booker's own leave doesn't count.
   router.get('/date-availability', async (req, res) => {
-    const { date, end_date, employee_id, exclude_leave_id } = req.query;
+    const { date, end_date, employee_id, exclude_leave_id, leave_type_id } = req.query;
     const startDate = date || req.query.start_date;
     if (!startDate) return res.status(400).json({ error: 'date or start_date is required (YYYY-MM-DD)' });
     const endDate = end_date || req.query.end_date || startDate;
@@ -320,27 +520,12 @@ router.get('/leave-types', async (req, res) => {
     try {
       connection = await mysqlPool.getConnection();
       await connection.ping();
-      let deptId = null;
-      if (employee_id) {
-        const [empRows] = await connection.execute(
-          'SELECT department FROM employees WHERE id = ? LIMIT 1',
-          [employee_id]
-        );
-        if (empRows.length > 0 && empRows[0].department) {
-          const [dRows] = await connection.execute('SELECT id FROM departments WHERE name = ? LIMIT 1', [empRows[0].department]);
-          deptId = dRows.length ? dRows[0].id : null;
-        }
-      }
-      // Range overlap: blocked/booking overlaps [startDate, endDate] when block.start_date <= endDate AND block.end_date >= startDate
-      const [blocked] = await connection.execute(
-        `SELECT id FROM leave_requests WHERE employee_id = 0
-         AND start_date <= ? AND end_date >= ?
-         AND (
-           (reason LIKE 'HOLIDAY%' AND department_id IS NULL)
-           OR (reason LIKE 'IMPORTANT_EVENT%' AND (department_id IS NULL OR department_id = ?))
-         ) LIMIT 1`,
-        [endDate, startDate, deptId]
-      );
+      // Without an employee only company-wide holidays count as blocked
+      const employee = employee_id
+        ? (await loadHolidayEmployee(connection, employee_id)) || { department_id: null, designation: null }
+        : { department_id: null, designation: null };
+      const blockingHoliday = await findBlockingHoliday(connection, startDate, endDate, employee);
+      // Range overlap: booking overlaps [startDate, endDate] when leave.start_date <= endDate AND leave.end_date >= startDate
       let bookedQuery = `SELECT lr.id, lr.employee_id, e.name AS employee_name FROM leave_requests lr
          JOIN employees e ON e.id = lr.employee_id
          WHERE lr.employee_id != 0 AND lr.status IN ('pending','approved')
@@ -355,13 +540,25 @@ router.get('/leave-types', async (req, res) => {
         if (!acc.some((x) => x.leave_id === r.id)) acc.push({ leave_id: r.id, employee_id: r.employee_id, employee_name: r.employee_name });
         return acc;
       }, []);
+      // Conflict rules the range would break for this employee (hard ones block /apply)
+      const ruleViolations = employee_id
+        ? await evaluateLeaveRules(connection, {
+            employeeId: employee_id,
+            leaveTypeId: leave_type_id || null,
+            startDate,
+            endDate,
+            excludeLeaveId: excludeId
+          })
+        : [];
       res.json({
         date: startDate,
         end_date: endDate !== startDate ? endDate : undefined,
-        blocked: blocked.length > 0,
-        available: blocked.length === 0 && booked.length === 0,
+        blocked: !!blockingHoliday,
+        blocked_by: blockingHoliday ? { id: blockingHoliday.id, name: blockingHoliday.name, type: blockingHoliday.type } : null,
+        available: !blockingHoliday && booked.length === 0,
         bookedBy: bookedUnique,
-        bookedByCount: bookedUnique.length
+        bookedByCount: bookedUnique.length,
+        rule_violations: ruleViolations
       });
     } catch (err) {
       console.error('Error checking date availability:', err);
@@ -386,43 +583,38 @@ router.get('/leave-types', async (req, res) => {
          WHERE e.status = 'Active'
          ORDER BY e.name`
       );
-      // Only show approved leaves on calendar; pending leaves are not yet decided so show nothing for those days
-      const [leaves] = await connection.execute(
+      // Approved leaves, plus pending ones moving through an approval chain so their steps can be followed
+      const [leaveRows] = await connection.execute(
         `SELECT lr.id, lr.employee_id, e.name AS employee_name, lr.start_date, lr.end_date, lr.status,
           lr.is_uninformed, lr.start_segment, lr.end_segment, lr.reason, lr.emergency_type,
           lr.acknowledged_by, lr.acknowledged_at
          FROM leave_requests lr
          JOIN employees e ON e.id = lr.employee_id
          WHERE lr.employee_id != 0
-           AND lr.status = 'approved'
+           AND (lr.status = 'approved' OR (lr.status = 'pending' AND lr.approval_chain_id IS NOT NULL))
            AND lr.start_date <= ? AND lr.end_date >= ?`,
         [end, start]
       );
-      const [blockedRows] = await connection.execute(
-        `SELECT start_date AS date, reason, department_id,
-          (SELECT name FROM departments d WHERE d.id = lr.department_id LIMIT 1) AS department_name
-         FROM leave_requests lr
-         WHERE employee_id = 0 AND (reason LIKE 'IMPORTANT_EVENT%' OR reason LIKE 'HOLIDAY%') AND start_date <= ? AND end_date >= ?`,
-        [end, start]
-      );
-      const fmtDate = (d) => (d && typeof d.toISOString === 'function' ? d.toISOString().slice(0, 10) : (d && typeof d === 'string' ? d.slice(0, 10) : d));
-      const importantDates = [];
-      const holidayDates = [];
-      for (const r of blockedRows) {
-        const label = r.reason && r.reason !== 'IMPORTANT_EVENT' && r.reason !== 'HOLIDAY'
-          ? String(r.reason).replace(/^(IMPORTANT_EVENT|HOLIDAY):?/, '') : null;
-        const dateStr = fmtDate(r.date);
-        if (String(r.reason || '').startsWith('IMPORTANT_EVENT')) {
-          importantDates.push({
-            date: dateStr,
-            label,
-            department_id: r.department_id,
-            department_name: r.department_name || null
-          });
+      const leaves = await attachApprovalSteps(connection, leaveRows);
+      // One entry per holiday day (and per department for department-scoped events)
+      const [departmentRows] = await connection.execute('SELECT id, name FROM departments');
+      const departmentNames = new Map(departmentRows.map((d) => [d.id, d.name]));
+      const blockedRows = [];
+      for (const { date, holiday } of expandHolidays(await loadHolidays(connection, start, end), start, end)) {
+        const base = { date, type: holiday.type, label: holiday.name, holiday_id: holiday.id, designations: holiday.designations };
+        if (holiday.scope === 'departments') {
+          holiday.departments.forEach((id) => blockedRows.push({ ...base, department_id: id, department_name: departmentNames.get(id) || null }));
         } else {
-          holidayDates.push({ date: dateStr, label });
+          blockedRows.push({ ...base, department_id: null, department_name: null });
         }
       }
+      const fmtDate = (d) => (d && typeof d.toISOString === 'function' ? d.toISOString().slice(0, 10) : (d && typeof d === 'string' ? d.slice(0, 10) : d));
+      const importantDates = blockedRows
+        .filter((r) => r.type === 'important')
+        .map(({ date, label, department_id, department_name, designations }) => ({ date, label, department_id, department_name, designations }));
+      const holidayDates = blockedRows
+        .filter((r) => r.type === 'holiday')
+        .map(({ date, label, department_id, designations }) => ({ date, label, department_id, designations }));
       res.json({
         employees: employees.map((r) => ({
           id: r.id,
@@ -444,16 +636,10 @@ router.get('/leave-types', async (req, res) => {
           reason: r.reason,
           emergency_type: r.emergency_type,
           acknowledged_by: r.acknowledged_by,
-          acknowledged_at: r.acknowledged_at
-        })),
-        blockedDates: blockedRows.map((r) => ({
-          date: fmtDate(r.date),
-          type: String(r.reason || '').startsWith('IMPORTANT_EVENT') ? 'important' : 'holiday',
-          label: r.reason && r.reason !== 'IMPORTANT_EVENT' && r.reason !== 'HOLIDAY'
-            ? String(r.reason).replace(/^(IMPORTANT_EVENT|HOLIDAY):?/, '') : null,
-          department_id: r.department_id,
-          department_name: r.department_name || null
+          acknowledged_at: r.acknowledged_at,
+          approval_steps: r.approval_steps
         })),
+        blockedDates: blockedRows,
         importantDates,
         holidayDates
       });
@@ -465,44 +651,40 @@ router.get('/leave-types', async (req, res) => {
     }
   });
   
-  // Mark date(s) as important (per department) or holiday (admin only). Accept date or dates[]. For important, department_id (single) or department_ids (array); null/empty = all departments.
-  router.post('/blocked-dates', async (req, res) => {
-    const userRole = (req.headers['x-user-role'] || req.headers['user-role'] || '').toLowerCase();
-    if (userRole !== 'admin') return res.status(403).json({ error: 'Only admins can mark dates.' });
+  // Mark date(s) as important (per department) or holiday. Accept date or dates[]. For important, department_id (single) or department_ids (array); null/empty = all departments.
+  // Kept for the leaves calendar; each date becomes a one-day row in holidays (routes/holidays.js manages them in full).
+  router.post('/blocked-dates', requirePermission('holidays_manage'), async (req, res) => {
     const { date, dates, type, label, department_id, department_ids } = req.body || {};
     const typeVal = (type || 'important').toLowerCase() === 'holiday' ? 'holiday' : 'important';
-    const reasonPrefix = typeVal === 'important' ? 'IMPORTANT_EVENT' : 'HOLIDAY';
     const deptIds = Array.isArray(department_ids) && department_ids.length > 0
       ? department_ids.map((id) => Number(id)).filter(Number.isFinite)
-      : (department_id != null && department_id !== '' ? [Number(department_id)] : [null]);
+      : (department_id != null && department_id !== '' ? [Number(department_id)] : []);
+    // Holidays always apply to everyone
+    const scopedDeptIds = typeVal === 'holiday' ? [] : deptIds;
     const dateList = Array.isArray(dates) && dates.length > 0
       ? dates.filter((d) => d && String(d).match(/^\d{4}-\d{2}-\d{2}$/))
       : (date && String(date).match(/^\d{4}-\d{2}-\d{2}$/) ? [date] : []);
     if (dateList.length === 0) return res.status(400).json({ error: 'date or dates (array) is required (YYYY-MM-DD)' });
+    const name = (label && String(label).trim()) || (typeVal === 'holiday' ? 'Holiday' : 'Important event');
     let connection;
     try {
       connection = await mysqlPool.getConnection();
       await connection.ping();
       let inserted = 0;
-      for (const deptId of deptIds) {
-        for (const d of dateList) {
-          const [existing] = await connection.execute(
-            typeVal === 'holiday'
-              ? `SELECT id FROM leave_requests WHERE employee_id = 0 AND reason LIKE 'HOLIDAY%' AND department_id IS NULL AND start_date = ? AND end_date = ?`
-              : `SELECT id FROM leave_requests WHERE employee_id = 0 AND reason LIKE 'IMPORTANT_EVENT%' AND start_date = ? AND end_date = ?
-                 AND ((? IS NULL AND department_id IS NULL) OR department_id = ?)`,
-            typeVal === 'holiday' ? [d, d] : [d, d, deptId, deptId]
-          );
-          if (existing.length > 0) continue;
-          const reason = label ? `${reasonPrefix}:${label}` : reasonPrefix;
-          const insertDeptId = typeVal === 'holiday' ? null : deptId;
-          await connection.execute(
-            `INSERT INTO leave_requests (employee_id, department_id, status, reason, start_date, end_date, start_segment, end_segment, days_requested, is_paid, is_uninformed)
-             VALUES (0, ?, 'approved', ?, ?, ?, 'full_day', 'full_day', 0, 0, 0)`,
-            [insertDeptId, reason, d, d]
-          );
-          inserted++;
-        }
+      for (const d of dateList) {
+        const existing = (await loadHolidays(connection, d, d, { types: [typeVal] })).filter((h) =>
+          h.start_date === d && h.end_date === d && !h.recurring_yearly &&
+          (scopedDeptIds.length === 0
+            ? h.scope === 'all'
+            : h.scope === 'departments' && scopedDeptIds.every((id) => h.departments.includes(id))));
+        if (existing.length > 0) continue;
+        await connection.execute(
+          `INSERT INTO holidays (name, start_date, end_date, type, scope, departments, created_by_id, created_by)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [name, d, d, typeVal, scopedDeptIds.length ? 'departments' : 'all',
+            scopedDeptIds.length ? JSON.stringify(scopedDeptIds) : null, req.user.id, req.user.name]
+        );
+        inserted++;
       }
       res.status(201).json({ success: true, dates: dateList, type: typeVal, inserted, label: label || null });
     } catch (err) {
@@ -513,17 +695,16 @@ router.get('/leave-types', async (req, res) => {
     }
   });
   
-  // Unmark important or holiday date (admin only).
+  // Unmark important or holiday date.
   // Query params:
   //   type = important | holiday  (optional, default: both)
-  //   department_id (only used for type=important; limits unmarking to that department)
-  //   label (optional): when provided, only remove the block whose reason matches (exact or prefix)
-  router.delete('/blocked-dates/:date', async (req, res) => {
-    const userRole = (req.headers['x-user-role'] || req.headers['user-role'] || '').toLowerCase();
-    if (userRole !== 'admin') return res.status(403).json({ error: 'Only admins can unmark dates.' });
+  //   department_id (only used for type=important; removes that department from the event's scope)
+  //   label (optional): when provided, only remove the holiday whose name matches (exact or prefix)
+  // Only one-day, non-recurring holidays on that date are touched; longer ones are edited from the Holiday view.
+  router.delete('/blocked-dates/:date', requirePermission('holidays_manage'), async (req, res) => {
     const { date } = req.params;
     const typeFilter = (req.query.type || '').toLowerCase();
-    const labelParam = (req.query.label || req.query.reason || '').toString().trim();
+    const labelParam = (req.query.label || req.query.reason || '').toString().trim().replace(/^(IMPORTANT_EVENT|HOLIDAY):?/, '');
     let deptFilter = null;
     if (
       typeof req.query.department_id !== 'undefined' &&
@@ -534,38 +715,32 @@ router.get('/leave-types', async (req, res) => {
       const n = Number(req.query.department_id);
       if (Number.isFinite(n)) deptFilter = n;
     }
-    if (!date) return res.status(400).json({ error: 'date is required' });
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return res.status(400).json({ error: 'date is required' });
     let connection;
     try {
       connection = await mysqlPool.getConnection();
-      let condition = `employee_id = 0 AND start_date = ? AND end_date = ?`;
-      const params = [date, date];
-  
-      if (typeFilter === 'holiday') {
-        condition += ` AND reason LIKE 'HOLIDAY%'`;
-      } else if (typeFilter === 'important') {
-        condition += ` AND reason LIKE 'IMPORTANT_EVENT%'`;
-      } else {
-        condition += ` AND (reason LIKE 'IMPORTANT_EVENT%' OR reason LIKE 'HOLIDAY%')`;
-      }
-  
-      // When label/reason is provided, only remove the block matching that label
-      if (labelParam) {
-        condition += ` AND (reason = ? OR reason LIKE ?)`;
-        params.push(labelParam, `${labelParam}%`);
-      }
+      await connection.ping();
+      const types = typeFilter === 'holiday' || typeFilter === 'important' ? [typeFilter] : null;
+      const matches = (await loadHolidays(connection, date, date, { types })).filter((h) =>
+        h.start_date === date && h.end_date === date && !h.recurring_yearly &&
+        (!labelParam || h.name === labelParam || h.name.startsWith(labelParam)));
   
-      // For important types, optionally restrict to a specific department
-      if (typeFilter === 'important' && deptFilter !== null) {
-        condition += ` AND department_id = ?`;
-        params.push(deptFilter);
+      let deleted = 0;
+      for (const holiday of matches) {
+        if (typeFilter === 'important' && deptFilter !== null) {
+          // Narrow the event's scope; drop it once no department is left
+          if (holiday.scope !== 'departments' || !holiday.departments.includes(deptFilter)) continue;
+          const remaining = holiday.departments.filter((id) => id !== deptFilter);
+          if (remaining.length > 0) {
+            await connection.execute('UPDATE holidays SET departments = ? WHERE id = ?', [JSON.stringify(remaining), holiday.id]);
+            deleted++;
+            continue;
+          }
+        }
+        await connection.execute('DELETE FROM holidays WHERE id = ?', [holiday.id]);
+        deleted++;
       }
-  
-      const [result] = await connection.execute(
-        `DELETE FROM leave_requests WHERE ${condition}`,
-        params
-      );
-      res.json({ success: true, date, deleted: result.affectedRows > 0 });
+      res.json({ success: true, date, deleted: deleted > 0 });
     } catch (err) {
       console.error('Error unmarking blocked date:', err);
       res.status(500).json({ error: 'Database error' });
@@ -577,7 +752,7 @@ router.get('/leave-types', async (req, res) => {
   // Department restricted days: which day(s) of week leave is not allowed per department (admin only).
   // day_of_week: 0=Sunday, 1=Monday, ... 6=Saturday (JS getDay()).
   router.get('/department-restricted-days', async (req, res) => {
-    const userRole = (req.headers['x-user-role'] || req.headers['user-role'] || '').toLowerCase();
+    const userRole = (req.user.role || '').toLowerCase();
     const { department_id } = req.query;
     let connection;
     try {
@@ -606,9 +781,7 @@ router.get('/leave-types', async (req, res) => {
     }
   });
   
-  router.post('/department-restricted-days', async (req, res) => {
-    const userRole = (req.headers['x-user-role'] || req.headers['user-role'] || '').toLowerCase();
-    if (userRole !== 'admin') return res.status(403).json({ error: 'Only admins can set department restricted days.' });
+  router.post('/department-restricted-days', requirePermission('all'), async (req, res) => {
     const { department_ids, day_of_week } = req.body || {};
     const day = Number(day_of_week);
     if (!Number.isFinite(day) || day < 0 || day > 6) {
@@ -641,9 +814,7 @@ router.get('/leave-types', async (req, res) => {
     }
   });
   
-  router.delete('/department-restricted-days', async (req, res) => {
-    const userRole = (req.headers['x-user-role'] || req.headers['user-role'] || '').toLowerCase();
-    if (userRole !== 'admin') return res.status(403).json({ error: 'Only admins can remove department restricted days.' });
+  router.delete('/department-restricted-days', requirePermission('all'), async (req, res) => {
     const { department_id, department_ids, day_of_week } = req.query;
     const day = day_of_week !== undefined && day_of_week !== '' ? Number(day_of_week) : null;
     const singleId = department_id !== undefined && department_id !== '' ? Number(department_id) : null;
@@ -677,11 +848,9 @@ router.get('/leave-types', async (req, res) => {
   });
 
   // Sync absent: create uninformed leave for employees who logged < minHours on date (admin can also trigger manually)
-router.post('/sync-absent', async (req, res) => {
-    const userRole = (req.headers['x-user-role'] || req.headers['user-role'] || '').toLowerCase();
-    if (userRole !== 'admin') return res.status(403).json({ error: 'Only admins can run sync-absent.' });
+router.post('/sync-absent', requirePermission('all'), async (req, res) => {
     const { date, minHours = 4 } = req.body || req.query || {};
-    const targetDate = date || new Date().toISOString().split('T')[0];
+    const targetDate = date || getZonedDateString(0);
     try {
       const result = await runSyncAbsentForDate(targetDate, minHours);
       res.json({ success: true, ...result });
@@ -691,13 +860,11 @@ router.post('/sync-absent', async (req, res) => {
     }
   });
   
-  // Pending actions: swap requests (for booker) and acknowledge requests (for admin)
+  // Pending actions: swap requests (for booker), acknowledge requests (for admin) and attendance regularizations
+  // (awaiting the user's approval, and the user's own requests still pending)
   router.get('/pending-actions', async (req, res) => {
-    const { employee_id } = req.query;
-    const userRole = (req.headers['x-user-role'] || req.headers['user-role'] || '').toLowerCase();
-    const isAdmin = userRole === 'admin';
-    if (!employee_id) return res.status(400).json({ error: 'employee_id is required' });
-    const currentUserId = Number(employee_id);
+    const isAdmin = isAdminUser(req.user);
+    const currentUserId = Number(req.user.id);
     let connection;
     try {
       connection = await mysqlPool.getConnection();
@@ -829,7 +996,33 @@ router.post('/sync-absent', async (req, res) => {
         acknowledgeRequests = ackWithBookerSwapped;
       }
   
-      res.json({ swapRequests, acknowledgeRequests, acceptedSwapTargets, rejected_swap_notifications, rejected_leave_notifications });
+      const regularizationScope = buildRegularizationScope(req.user);
+      const [regularizationRows] = await connection.execute(
+        `SELECT r.id, r.employee_id, e.name AS employee_name, DATE_FORMAT(r.date, '%Y-%m-%d') AS date, r.type, r.reason,
+                CAST(r.requested_clock_in AS CHAR) AS requested_clock_in, CAST(r.requested_clock_out AS CHAR) AS requested_clock_out
+         FROM attendance_regularizations r
+         JOIN employees e ON e.id = r.employee_id
+         LEFT JOIN departments d ON d.name = e.department
+         WHERE r.status = 'pending' AND ${regularizationScope.clause}
+         ORDER BY r.created_at LIMIT 50`,
+        regularizationScope.params
+      );
+      const regularizationRequests = regularizationRows.map((r) => ({ ...r, type: 'regularization', regularization_type: r.type }));
+      const [myRegularizationRows] = await connection.execute(
+        `SELECT id, DATE_FORMAT(date, '%Y-%m-%d') AS date, type, created_at FROM attendance_regularizations
+         WHERE employee_id = ? AND status = 'pending' ORDER BY created_at DESC LIMIT 20`,
+        [currentUserId]
+      );
+
+      res.json({
+        swapRequests,
+        acknowledgeRequests,
+        acceptedSwapTargets,
+        rejected_swap_notifications,
+        rejected_leave_notifications,
+        regularizationRequests,
+        myPendingRegularizations: myRegularizationRows
+      });
     } catch (err) {
       console.error('Error fetching pending actions:', err);
       res.status(500).json({ error: 'Database error' });
@@ -925,7 +1118,7 @@ router.post('/sync-absent', async (req, res) => {
   // Booker rejects swap after having accepted (e.g. closed edit without changing date); sends requester's leave to admin for acknowledgment
   router.post('/:id/reject-swap-after-accept', async (req, res) => {
     const { id } = req.params;
-    const currentUserId = Number(req.body?.employee_id || req.headers['x-user-id'] || req.headers['user-id'] || 0);
+    const currentUserId = Number(req.user.id);
     if (!currentUserId) return res.status(400).json({ error: 'employee_id is required' });
     let connection;
     try {
@@ -953,10 +1146,8 @@ router.post('/sync-absent', async (req, res) => {
   // Booker responds to swap request (accept or reject)
   router.post('/:id/respond-swap', async (req, res) => {
     const { id } = req.params;
-    const { accept, employee_id: bodyEmployeeId } = req.body || {};
-    const currentUserId = Number(
-      req.headers['x-user-id'] || req.headers['user-id'] || bodyEmployeeId || req.query.employee_id || 0
-    );
+    const { accept } = req.body || {};
+    const currentUserId = Number(req.user.id);
     if (!currentUserId) return res.status(400).json({ error: 'Current user (employee_id) required' });
     let connection;
     try {
@@ -987,12 +1178,10 @@ router.post('/sync-absent', async (req, res) => {
   });
   
   // Admin acknowledges emergency leave (approve as paid/other or reject)
-  router.post('/:id/acknowledge', async (req, res) => {
+  router.post('/:id/acknowledge', requirePermission('all'), async (req, res) => {
     const { id } = req.params;
-    const { approved, decision_by } = req.body || {};
-    const userRole = (req.headers['x-user-role'] || req.headers['user-role'] || '').toLowerCase();
-    const adminId = Number(req.headers['x-user-id'] || req.headers['user-id'] || decision_by || 0);
-    if (userRole !== 'admin') return res.status(403).json({ error: 'Only admins can acknowledge' });
+    const { approved } = req.body || {};
+    const adminId = Number(req.user.id);
     let connection;
     try {
       connection = await mysqlPool.getConnection();
@@ -1008,27 +1197,45 @@ router.post('/sync-absent', async (req, res) => {
         await connection.rollback();
         return res.status(400).json({ error: 'Only pending requests can be acknowledged' });
       }
+      if (Number(request.employee_id) === Number(req.user.id)) {
+        await connection.rollback();
+        return res.status(403).json({ error: 'You cannot decide your own leave request' });
+      }
       // Do not change the original requested leave type here.
       // If the employee applied as paid and it was within rules, is_paid is already 1.
       // Policy/unpaid and override cases have is_paid = 0.
-      const isPaid = approved && request.is_paid ? 1 : 0;
+      let isPaid = approved && request.is_paid ? 1 : 0;
+      const onMonthlyQuota = await usesMonthlyQuota(connection, request.leave_type_id);
+      const trackedType = onMonthlyQuota ? null : await getLeaveType(connection, request.leave_type_id);
+      if (approved && trackedType && (request.is_paid || !trackedType.is_paid)) {
+        // Balance-tracked type: the approval is the usage; paid only while the type's balance covers it
+        ({ isPaid } = await recordTypeUsage(connection, {
+          employeeId: request.employee_id,
+          type: trackedType,
+          leaveRequestId: request.id,
+          startDate: request.start_date,
+          days: request.days_requested,
+          actor: req.user
+        }));
+      }
       await connection.execute(
         'UPDATE leave_requests SET acknowledged_by = ?, acknowledged_at = NOW(), status = ?, decision_by = ?, decision_at = NOW(), is_paid = ? WHERE id = ?',
         [adminId, approved ? 'approved' : 'rejected', adminId, isPaid, id]
       );
-      if (approved && isPaid) {
-        const { year, month } = getYearMonthFromDate(request.start_date);
-        const balance = await getOrCreateLeaveBalance(connection, request.employee_id, year, month);
-        const used = balance.paid_used || 0;
-        const deduction = balance.next_month_deduction || 0;
-        const effectiveQuota = Math.max(0, (balance.paid_quota || 2) - deduction);
-        const requestedDays = Number(request.days_requested) || 1;
-        const willExceedPaid = used + requestedDays > effectiveQuota;
-        const newUsed = willExceedPaid ? used : used + requestedDays;
-        await connection.execute(
-          'UPDATE leave_balances SET paid_used = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-          [newUsed, balance.id]
-        );
+      await closeOpenSteps(connection, id, { actor: req.user, comment: 'Acknowledged by an admin' });
+      if (approved) {
+        await scheduleLeaveHandovers(connection, request.id);
+      } else {
+        await cancelLeaveHandovers(connection, request.id, { note: 'Leave rejected' });
+      }
+      if (approved && isPaid && onMonthlyQuota) {
+        await recordPaidUsage(connection, {
+          employeeId: request.employee_id,
+          leaveRequestId: request.id,
+          startDate: request.start_date,
+          days: request.days_requested,
+          actor: req.user
+        });
       }
       await connection.commit();
       res.json({ success: true, id: Number(id), acknowledged: true, status: approved ? 'approved' : 'rejected' });
@@ -1045,10 +1252,11 @@ router.post('/sync-absent', async (req, res) => {
   router.patch('/:id', async (req, res) => {
     const { id } = req.params;
     const { start_date, end_date, start_segment, end_segment, employee_id } = req.body || {};
-    const currentUserId = Number(employee_id || req.headers['x-user-id'] || req.headers['user-id'] || 0);
+    const currentUserId = Number(req.user.id);
     if (!currentUserId) return res.status(400).json({ error: 'employee_id is required' });
     if (!start_date || !end_date) return res.status(400).json({ error: 'start_date and end_date are required' });
     let connection;
+    const notifications = [];
     try {
       connection = await mysqlPool.getConnection();
       await connection.ping();
@@ -1068,24 +1276,10 @@ router.post('/sync-absent', async (req, res) => {
         return res.status(400).json({ error: 'Only approved or pending leaves can be updated' });
       }
       // Validate new date range: must not be blocked (event) or already booked by another employee
-      let deptId = leave.department_id || null;
-      if (!deptId && currentUserId) {
-        const [empRows] = await connection.execute('SELECT department FROM employees WHERE id = ? LIMIT 1', [currentUserId]);
-        if (empRows.length > 0 && empRows[0].department) {
-          const [dRows] = await connection.execute('SELECT id FROM departments WHERE name = ? LIMIT 1', [empRows[0].department]);
-          deptId = dRows.length ? dRows[0].id : null;
-        }
-      }
-      const [blockedRows] = await connection.execute(
-        `SELECT id FROM leave_requests WHERE employee_id = 0
-         AND start_date <= ? AND end_date >= ?
-         AND (
-           (reason LIKE 'HOLIDAY%' AND department_id IS NULL)
-           OR (reason LIKE 'IMPORTANT_EVENT%' AND (department_id IS NULL OR department_id = ?))
-         ) LIMIT 1`,
-        [end_date, start_date, deptId]
-      );
-      if (blockedRows.length > 0) {
+      const employee = (await loadHolidayEmployee(connection, currentUserId)) || { department_id: null, designation: null };
+      if (leave.department_id) employee.department_id = leave.department_id;
+      const blockingHoliday = await findBlockingHoliday(connection, start_date, end_date, employee);
+      if (blockingHoliday) {
         await connection.rollback();
         return res.status(400).json({
           error: 'Leave cannot be moved to this date; it falls on an event (holiday or important date).',
@@ -1110,9 +1304,20 @@ router.post('/sync-absent', async (req, res) => {
           days_requested = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
         [start_date, end_date, start_segment || leave.start_segment, end_segment || leave.end_segment, daysRequested, id]
       );
+      await moveLeaveHandovers(connection, leave.id, { startDate: start_date, endDate: end_date, approved: leave.status === 'approved' });
+      if (leave.status === 'approved' && !(await usesMonthlyQuota(connection, leave.leave_type_id))) {
+        await moveTypeUsage(connection, {
+          leaveRequestId: leave.id,
+          employeeId: leave.employee_id,
+          type: await getLeaveType(connection, leave.leave_type_id),
+          startDate: start_date,
+          days: daysRequested,
+          actor: req.user
+        });
+      }
       // If this leave was the target of a swap request, check if any pending leave B has requested_swap_with_leave_id = id and no longer overlaps; if so auto-approve B
       const [pendingSwap] = await connection.execute(
-        `SELECT id, employee_id, start_date, end_date, is_paid, days_requested FROM leave_requests
+        `SELECT id, employee_id, department_id, start_date, end_date, is_paid, days_requested, leave_type_id FROM leave_requests
          WHERE requested_swap_with_leave_id = ? AND status = 'pending' AND swap_responded_at IS NOT NULL AND swap_accepted = 1`,
         [id]
       );
@@ -1124,29 +1329,53 @@ router.post('/sync-absent', async (req, res) => {
             `UPDATE leave_requests SET requested_swap_with_leave_id = NULL WHERE id = ?`,
             [B.id]
           );
-          // Paid leave: auto-approve after successful swap. Regular: leave pending for admin acknowledgement.
-          if (B.is_paid) {
-            const { year, month } = getYearMonthFromDate(B.start_date);
-            const balance = await getOrCreateLeaveBalance(connection, B.employee_id, year, month);
-            const used = balance.paid_used || 0;
-            const deduction = balance.next_month_deduction || 0;
-            const effectiveQuota = Math.max(0, (balance.paid_quota || 2) - deduction);
-            const reqDays = Number(B.days_requested) || 1;
-            const willExceedPaid = used + reqDays > effectiveQuota;
-            const newUsed = willExceedPaid ? used : used + reqDays;
+          // Types that need approval (and untyped regular leave) now go through the approval chain; the rest are
+          // approved by the swap
+          if (await needsApproval(connection, B.leave_type_id, B.is_paid)) {
+            await startApprovalChain(connection, B, notifications);
+          } else if (!(await usesMonthlyQuota(connection, B.leave_type_id))) {
+            const type = await getLeaveType(connection, B.leave_type_id);
+            const { isPaid } = B.is_paid || !type.is_paid
+              ? await recordTypeUsage(connection, {
+                employeeId: B.employee_id,
+                type,
+                leaveRequestId: B.id,
+                startDate: B.start_date,
+                days: B.days_requested,
+                actor: req.user,
+                reason: `${type.name} #${B.id} (approved via swap)`
+              })
+              : { isPaid: 0 };
             await connection.execute(
-              'UPDATE leave_balances SET paid_used = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-              [newUsed, balance.id]
+              `UPDATE leave_requests SET status = 'approved', decision_at = NOW(), is_paid = ?, approved_via_swap = 1 WHERE id = ?`,
+              [isPaid, B.id]
             );
+            await scheduleLeaveHandovers(connection, B.id);
+          } else if (B.is_paid) {
+            const { isPaid } = await recordPaidUsage(connection, {
+              employeeId: B.employee_id,
+              leaveRequestId: B.id,
+              startDate: B.start_date,
+              days: B.days_requested,
+              actor: req.user,
+              reason: `Paid leave #${B.id} (approved via swap)`
+            });
             await connection.execute(
               `UPDATE leave_requests SET status = 'approved', decision_at = NOW(), is_paid = ?, approved_via_swap = 1 WHERE id = ?`,
-              [willExceedPaid ? 0 : 1, B.id]
+              [isPaid, B.id]
             );
+            await scheduleLeaveHandovers(connection, B.id);
+          } else {
+            await connection.execute(
+              `UPDATE leave_requests SET status = 'approved', decision_at = NOW(), is_paid = 0, approved_via_swap = 1 WHERE id = ?`,
+              [B.id]
+            );
+            await scheduleLeaveHandovers(connection, B.id);
           }
-          // Regular leave remains status = 'pending' for admin to acknowledge
         }
       }
       await connection.commit();
+      await sendNotifications(notifications);
       res.json({ success: true, id: Number(id), start_date, end_date });
     } catch (err) {
       if (connection) try { await connection.rollback(); } catch (_) {}
@@ -1160,9 +1389,9 @@ router.post('/sync-absent', async (req, res) => {
   // Cancel own future leave (employee only: pending or approved, end_date >= today, not uninformed)
   router.delete('/:id', async (req, res) => {
     const { id } = req.params;
-    const currentUserId = Number(req.headers['x-user-id'] || req.headers['user-id'] || req.query.employee_id || req.body?.employee_id || 0);
+    const currentUserId = Number(req.user.id);
     if (!currentUserId) return res.status(400).json({ error: 'employee_id is required (header or body)' });
-    const today = new Date().toISOString().split('T')[0];
+    const today = getZonedDateString(0);
     let connection;
     try {
       connection = await mysqlPool.getConnection();
@@ -1177,7 +1406,18 @@ router.post('/sync-absent', async (req, res) => {
       if (leave.is_uninformed) return res.status(400).json({ error: 'Uninformed leaves cannot be cancelled here' });
       if (leave.status !== 'pending' && leave.status !== 'approved') return res.status(400).json({ error: 'Only pending or approved leaves can be cancelled' });
       if (leave.end_date < today) return res.status(400).json({ error: 'Past leaves cannot be cancelled' });
-      await connection.execute('DELETE FROM leave_requests WHERE id = ?', [id]);
+      await connection.beginTransaction();
+      try {
+        // Give back any paid quota the leave used
+        await reverseLeaveEntries(connection, leave.id, { actor: req.user, reason: `Leave #${leave.id} cancelled by employee` });
+        await closeOpenSteps(connection, leave.id, { actor: req.user, comment: 'Cancelled by employee' });
+        await cancelLeaveHandovers(connection, leave.id, { note: 'Leave cancelled' });
+        await connection.execute('DELETE FROM leave_requests WHERE id = ?', [id]);
+        await connection.commit();
+      } catch (err) {
+        await connection.rollback();
+        throw err;
+      }
       res.json({ success: true, id: Number(id) });
     } catch (err) {
       console.error('Error cancelling leave:', err);
@@ -1188,14 +1428,9 @@ router.post('/sync-absent', async (req, res) => {
   });
   
   // Admin-only: hard delete a leave request from the calendar (any employee leave, not blocked dates).
-  // NOTE: This is intended for correcting bad data and does NOT currently adjust paid_used or
-  // uninformed balances. Use sparingly for cleanup.
-  router.delete('/admin/:id', async (req, res) => {
+  // Intended for correcting bad data; the leave's ledger entries are reversed and absentee deductions recalculated.
+  router.delete('/admin/:id', requirePermission('all'), async (req, res) => {
     const { id } = req.params;
-    const userRole = (req.headers['x-user-role'] || req.headers['user-role'] || '').toLowerCase();
-    if (userRole !== 'admin') {
-      return res.status(403).json({ error: 'Only admins can delete leaves from the calendar.' });
-    }
   
     let connection;
     try {
@@ -1203,19 +1438,33 @@ router.post('/sync-absent', async (req, res) => {
       await connection.ping();
   
       const [rows] = await connection.execute(
-        'SELECT id, employee_id, status FROM leave_requests WHERE id = ?',
+        'SELECT id, employee_id, status, is_uninformed FROM leave_requests WHERE id = ?',
         [id]
       );
       if (rows.length === 0) {
         return res.status(404).json({ error: 'Leave not found' });
       }
       const leave = rows[0];
-      // Do not delete blocked dates (employee_id = 0) via this endpoint.
+      // Legacy blocked-date rows (employee_id = 0) predate the holidays table and are not leaves
       if (leave.employee_id === 0) {
-        return res.status(400).json({ error: 'Use blocked-dates APIs to remove holidays/important events.' });
+        return res.status(400).json({ error: 'Use the holidays API to remove holidays/important events.' });
       }
   
-      await connection.execute('DELETE FROM leave_requests WHERE id = ?', [id]);
+      const ledgerReason = `Leave #${leave.id} deleted by admin`;
+      await connection.beginTransaction();
+      try {
+        await connection.execute('DELETE FROM leave_requests WHERE id = ?', [id]);
+        await reverseLeaveEntries(connection, leave.id, { actor: req.user, reason: ledgerReason });
+        await closeOpenSteps(connection, leave.id, { actor: req.user, comment: ledgerReason });
+        await cancelLeaveHandovers(connection, leave.id, { note: ledgerReason });
+        if (leave.is_uninformed) {
+          await recalculateUninformedDeductionsForEmployee(connection, leave.employee_id, { actor: req.user, reason: ledgerReason });
+        }
+        await connection.commit();
+      } catch (err) {
+        await connection.rollback();
+        throw err;
+      }
       res.json({ success: true, id: Number(id) });
     } catch (err) {
       console.error('Error deleting leave as admin:', err);
@@ -1226,9 +1475,7 @@ router.post('/sync-absent', async (req, res) => {
   });
   
   // Acknowledge history: leaves where acknowledged_by IS NOT NULL (admin only)
-  router.get('/acknowledged-history', async (req, res) => {
-    const userRole = (req.headers['x-user-role'] || req.headers['user-role'] || '').toLowerCase();
-    if (userRole !== 'admin') return res.status(403).json({ error: 'Access denied. Only admins can view acknowledge history.' });
+  router.get('/acknowledged-history', requirePermission('all'), async (req, res) => {
     const { department_id, start_date, end_date, employee_name, search } = req.query;
     const nameSearch = (employee_name || search || '').toString().trim();
     let connection;
@@ -1273,9 +1520,7 @@ router.post('/sync-absent', async (req, res) => {
   });
   
   // Admin only: all employees' leaves by filter (future | past | acknowledged)
-  router.get('/all', async (req, res) => {
-    const userRole = (req.headers['x-user-role'] || req.headers['user-role'] || '').toLowerCase();
-    if (userRole !== 'admin') return res.status(403).json({ error: 'Only admins can view all leaves.' });
+  router.get('/all', requirePermission('all'), async (req, res) => {
     const { filter, department_id, start_date, end_date, type } = req.query;
     if (!filter || !['future', 'past', 'acknowledged'].includes(filter)) {
       return res.status(400).json({ error: 'filter is required and must be future, past, or acknowledged' });
@@ -1335,8 +1580,7 @@ router.post('/sync-absent', async (req, res) => {
   
   // Get current user's leaves grouped by status
   router.get('/my', async (req, res) => {
-    const { employee_id } = req.query;
-    if (!employee_id) return res.status(400).json({ error: 'employee_id is required' });
+    const employee_id = req.user.id;
   
     let connection;
     try {
@@ -1370,7 +1614,7 @@ router.post('/sync-absent', async (req, res) => {
       const approved = [];
       const rejected = [];
       const acknowledged = [];
-      rows.forEach((row) => {
+      (await attachApprovalSteps(connection, rows)).forEach((row) => {
         const r = normalizeRow(row);
         if (row.acknowledged_by != null) {
           acknowledged.push(r);
@@ -1415,7 +1659,7 @@ router.post('/sync-absent', async (req, res) => {
   });
   
   // Department leaves for managers/admins
-  router.get('/department', async (req, res) => {
+  router.get('/department', requirePermission('all', { allowManagers: true }), async (req, res) => {
     const { department_id } = req.query;
   
     // Normalize department filter
@@ -1430,16 +1674,8 @@ router.post('/sync-absent', async (req, res) => {
       deptFilter = null;
     }
   
-    const userRoleHeader = req.headers['user-role'] || req.headers['x-user-role'] || null;
-    const userRole = userRoleHeader ? String(userRoleHeader).toLowerCase() : 'employee';
-    const isAdmin = userRole === 'admin';
-    const isManager = userRole.includes('manager');
-  
-    // If a role header is explicitly provided and user is not admin/manager, block access.
-    // If no header is present, preserve legacy behavior and allow the query.
-    if (userRoleHeader && !isAdmin && !isManager) {
-      return res.status(403).json({ error: 'Access denied. Only managers and admins can view department leaves.' });
-    }
+    const isAdmin = isAdminUser(req.user);
+    const isManager = isManagerUser(req.user);
   
     // For managers, a valid department filter is required
     if (!isAdmin && isManager && !deptFilter) {
@@ -1485,7 +1721,7 @@ router.post('/sync-absent', async (req, res) => {
       const pending = [];
       const approved = [];
       const rejected = [];
-      rows.forEach((row) => {
+      (await attachApprovalSteps(connection, rows)).forEach((row) => {
         const r = normalizeRow(row);
         if (row.status === 'pending') {
           pending.push(r);
@@ -1514,16 +1750,62 @@ router.post('/sync-absent', async (req, res) => {
     }
   });
   
+  // GET /api/leaves/:id/approval-steps - Approval chain steps of a request (its employee, its approvers, managers and admins)
+  router.get('/:id/approval-steps', async (req, res) => {
+    let connection;
+    try {
+      connection = await mysqlPool.getConnection();
+      await connection.ping();
+      const [rows] = await connection.execute('SELECT id, employee_id FROM leave_requests WHERE id = ?', [req.params.id]);
+      if (rows.length === 0) return res.status(404).json({ error: 'Leave request not found' });
+      const steps = (await getApprovalSteps(connection, [rows[0].id])).get(rows[0].id) || [];
+      const userId = Number(req.user.id);
+      const allowed = isAdminUser(req.user) || isManagerUser(req.user) || rows[0].employee_id === userId ||
+        steps.some((s) => s.approver_id === userId || s.delegated_from_id === userId);
+      if (!allowed) return res.status(403).json({ error: 'Not allowed to view this request' });
+      res.json(steps);
+    } catch (err) {
+      console.error('Error fetching leave approval steps:', err);
+      res.status(500).json({ error: 'Database error' });
+    } finally {
+      if (connection) connection.release();
+    }
+  });
+
+  // GET /api/leaves/:id/handovers - Task handover plan of a request (its employee, the covers, managers and admins)
+  router.get('/:id/handovers', async (req, res) => {
+    let connection;
+    try {
+      connection = await mysqlPool.getConnection();
+      await connection.ping();
+      const [rows] = await connection.execute('SELECT id, employee_id FROM leave_requests WHERE id = ?', [req.params.id]);
+      if (rows.length === 0) return res.status(404).json({ error: 'Leave request not found' });
+      const handovers = (await getLeaveHandovers(connection, [rows[0].id])).get(rows[0].id) || [];
+      const userId = Number(req.user.id);
+      const allowed = isAdminUser(req.user) || isManagerUser(req.user) || rows[0].employee_id === userId ||
+        handovers.some((h) => h.cover_employee_id === userId);
+      if (!allowed) return res.status(403).json({ error: 'Not allowed to view this request' });
+      res.json(handovers);
+    } catch (err) {
+      console.error('Error fetching leave task handovers:', err);
+      res.status(500).json({ error: 'Database error' });
+    } finally {
+      if (connection) connection.release();
+    }
+  });
+
   // Approve or reject a leave request
   router.post('/:id/decision', async (req, res) => {
     const { id } = req.params;
-    const { status, decision_reason, decision_by } = req.body || {};
+    const { status, decision_reason } = req.body || {};
+    const decision_by = req.user.id;
   
     if (!status || !['approved', 'rejected'].includes(status)) {
       return res.status(400).json({ error: "status must be 'approved' or 'rejected'" });
     }
   
     let connection;
+    const notifications = [];
     try {
       connection = await mysqlPool.getConnection();
       await connection.ping();
@@ -1543,78 +1825,104 @@ router.post('/sync-absent', async (req, res) => {
         await connection.rollback();
         return res.status(400).json({ error: 'Only pending requests can be updated' });
       }
+      if (Number(request.employee_id) === Number(req.user.id)) {
+        await connection.rollback();
+        return res.status(403).json({ error: 'You cannot decide your own leave request' });
+      }
+
+      // Chained requests: the open step's approver decides it; only the last approval (or any rejection)
+      // decides the request. An admin who is not the approver decides the request directly.
+      const activeStep = await getActiveStep(connection, id);
+      if (activeStep) {
+        if (canActOnStep(req.user, activeStep)) {
+          const outcome = await recordStepDecision(connection, activeStep, {
+            approved: status === 'approved',
+            actor: req.user,
+            comment: decision_reason,
+            outbox: notifications
+          });
+          if (outcome.error) {
+            await connection.rollback();
+            return res.status(409).json({ error: outcome.error });
+          }
+          if (!outcome.final) {
+            await connection.commit();
+            await sendNotifications(notifications);
+            return res.json({ success: true, id: Number(id), status: 'pending', next_step: outcome.next });
+          }
+        } else if (isAdminUser(req.user)) {
+          await closeOpenSteps(connection, id, { actor: req.user, comment: `Decided directly by an admin (${status})` });
+        } else {
+          await connection.rollback();
+          return res.status(403).json({ error: `This request is waiting for ${activeStep.approver_name || 'an admin'} (${activeStep.label})` });
+        }
+      } else if (!userHasPermission(req.user, 'leave_approve')) {
+        // No chain matched this request: admins and leave_approve holders decide it
+        await connection.rollback();
+        return res.status(403).json({ error: 'Only admins or leave approvers can decide this request', requiredPermission: 'leave_approve' });
+      }
   
-      // On approval, enforce department conflict and update leave_balances
+      // On approval, enforce hard conflict rules (notice is measured from the application date) and update leave_balances
       let updatedIsPaid = request.is_paid;
       if (status === 'approved') {
-        if (request.department_id) {
-          // Only enforce conflict when both the current request and the other leave holders
-          // are Operators in the same department and their dates overlap.
-          const [empRows] = await connection.execute(
-            'SELECT designation FROM employees WHERE id = ?',
-            [request.employee_id]
-          );
-          const applicantDesignation = empRows.length
-            ? String(empRows[0].designation || '').toLowerCase()
-            : '';
-  
-          if (applicantDesignation === 'operator') {
-            const conflictQuery = `
-              SELECT lr.id
-              FROM leave_requests lr
-              JOIN employees e ON e.id = lr.employee_id
-              WHERE lr.department_id = ?
-                AND lr.status IN ('pending','approved')
-                AND lr.id <> ?
-                AND lr.start_date <= ?
-                AND lr.end_date >= ?
-                AND LOWER(e.designation) = 'operator'
-              LIMIT 1
-            `;
-            const [conflicts] = await connection.execute(conflictQuery, [
-              request.department_id,
-              id,
-              request.end_date,
-              request.start_date
-            ]);
-            if (conflicts.length > 0) {
-              await connection.rollback();
-              return res.status(409).json({
-                error:
-                  'Department conflict: another operator is already approved or pending for this period'
-              });
-            }
-          }
+        const [dates] = await connection.execute(
+          `SELECT DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date, DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date,
+             DATE_FORMAT(created_at, '%Y-%m-%d') AS applied_on
+           FROM leave_requests WHERE id = ?`,
+          [id]
+        );
+        const blocking = hardViolations(await evaluateLeaveRules(connection, {
+          employeeId: request.employee_id,
+          departmentId: request.department_id,
+          leaveTypeId: request.leave_type_id,
+          startDate: dates[0].start_date,
+          endDate: dates[0].end_date,
+          appliedOn: dates[0].applied_on,
+          excludeLeaveId: request.id
+        }));
+        if (blocking.length > 0) {
+          await connection.rollback();
+          return res.status(409).json({
+            error: `Conflict rule: ${blocking.map((v) => v.message).join('. ')}`,
+            rule_violations: blocking
+          });
         }
   
-        const { year, month } = getYearMonthFromDate(request.start_date);
-        const balance = await getOrCreateLeaveBalance(connection, request.employee_id, year, month);
-        const quota = balance.paid_quota || 2;
-        const used = balance.paid_used || 0;
-        const deduction = balance.next_month_deduction || 0;
-        const effectiveQuota = Math.max(0, quota - deduction);
         const requestedDays = Number(request.days_requested) || 1;
   
         if (request.is_uninformed) {
-          // Uninformed leaves are always unpaid but still counted for the month.
-          const uninformed = balance.uninformed_leaves || 0;
-          await connection.execute(
-            'UPDATE leave_balances SET uninformed_leaves = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-            [uninformed + requestedDays, balance.id]
-          );
-  
-          // Recalculate cascading deductions across future months for this employee.
-          await recalculateUninformedDeductionsForEmployee(connection, request.employee_id);
+          // Uninformed leaves are always unpaid; their days are deducted from future months' quotas.
+          // The status is updated below, so mark it approved first for the recalculation to see it.
+          await connection.execute(`UPDATE leave_requests SET status = 'approved' WHERE id = ?`, [id]);
+          await recalculateUninformedDeductionsForEmployee(connection, request.employee_id, {
+            actor: req.user,
+            reason: `Absentee #${request.id} approved`
+          });
           updatedIsPaid = 0;
+        } else if (!(await usesMonthlyQuota(connection, request.leave_type_id))) {
+          // Balance-tracked type: the approval is the usage; paid only while the type's balance covers it
+          const type = await getLeaveType(connection, request.leave_type_id);
+          updatedIsPaid = 0;
+          if (request.is_paid || !type.is_paid) {
+            ({ isPaid: updatedIsPaid } = await recordTypeUsage(connection, {
+              employeeId: request.employee_id,
+              type,
+              leaveRequestId: request.id,
+              startDate: request.start_date,
+              days: requestedDays,
+              actor: req.user
+            }));
+          }
         } else if (request.is_paid) {
-          // Only increment paid_used when the leave was applied as paid. Regular leaves must not deduct paid quota.
-          const willExceedPaid = used + requestedDays > effectiveQuota;
-          const newUsed = willExceedPaid ? used : used + requestedDays;
-          await connection.execute(
-            'UPDATE leave_balances SET paid_used = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-            [newUsed, balance.id]
-          );
-          updatedIsPaid = willExceedPaid ? 0 : 1;
+          // Only record usage when the leave was applied as paid. Regular leaves must not deduct paid quota.
+          const { isPaid } = await recordPaidUsage(connection, {
+            employeeId: request.employee_id,
+            leaveRequestId: request.id,
+            startDate: request.start_date,
+            days: requestedDays,
+            actor: req.user
+          });
+          updatedIsPaid = isPaid;
         } else {
           // Regular (non-paid) leave: do not touch paid_used; leave type stays unpaid.
           updatedIsPaid = 0;
@@ -1633,8 +1941,14 @@ router.post('/sync-absent', async (req, res) => {
         updatedIsPaid,
         id
       ]);
+      if (status === 'approved') {
+        await scheduleLeaveHandovers(connection, request.id);
+      } else {
+        await cancelLeaveHandovers(connection, request.id, { note: 'Leave rejected' });
+      }
   
       await connection.commit();
+      await sendNotifications(notifications);
   
       res.json({ success: true, id: Number(id), status, is_paid: updatedIsPaid });
     } catch (err) {
@@ -1655,7 +1969,7 @@ router.post('/sync-absent', async (req, res) => {
   });
   
   // Mark uninformed leave (admin/manager)
-  router.post('/mark-uninformed', async (req, res) => {
+  router.post('/mark-uninformed', requirePermission('all', { allowManagers: true }), async (req, res) => {
     const {
       employee_id,
       date,
@@ -1665,18 +1979,9 @@ router.post('/sync-absent', async (req, res) => {
       end_segment,
       days,
       days_requested,
-      reason,
-      decision_by
+      reason
     } = req.body || {};
-  
-    const userRoleHeader = req.headers['user-role'] || req.headers['x-user-role'] || 'employee';
-    const userRole = String(userRoleHeader || '').toLowerCase();
-    const isAdmin = userRole === 'admin';
-    const isManager = userRole.includes('manager');
-  
-    if (!isAdmin && !isManager) {
-      return res.status(403).json({ error: 'Access denied. Only managers and admins can mark uninformed leaves.' });
-    }
+    const decision_by = req.user.id;
   
     const effectiveStartDate = start_date || date;
     const effectiveEndDate = end_date || start_date || date;
@@ -1712,10 +2017,6 @@ router.post('/sync-absent', async (req, res) => {
         empDeptId = dRows.length ? dRows[0].id : null;
       }
   
-      const { year, month } = getYearMonthFromDate(effectiveStartDate);
-      const balance = await getOrCreateLeaveBalance(connection, employee_id, year, month);
-      const uninformed = balance.uninformed_leaves || 0;
-  
       const insertQuery = `
         INSERT INTO leave_requests (
           employee_id,
@@ -1751,13 +2052,11 @@ router.post('/sync-absent', async (req, res) => {
         );
       }
   
-      await connection.execute(
-        'UPDATE leave_balances SET uninformed_leaves = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        [uninformed + requestedDays, balance.id]
-      );
-  
-      // Recalculate cascading deductions across future months for this employee.
-      await recalculateUninformedDeductionsForEmployee(connection, employee_id);
+      // Deduct the days from future months' quotas (posted to the leave ledger).
+      await recalculateUninformedDeductionsForEmployee(connection, employee_id, {
+        actor: req.user,
+        reason: `Absentee #${result.insertId} recorded`
+      });
   
       await connection.commit();
   
@@ -1790,12 +2089,10 @@ router.post('/sync-absent', async (req, res) => {
   // Delete an uninformed leave (admin/manager, or employee deleting their own)
   router.delete('/uninformed/:id', async (req, res) => {
     const { id } = req.params;
-    const currentUserId = Number(req.headers['x-user-id'] || req.headers['user-id'] || 0);
+    const currentUserId = Number(req.user.id);
   
-    const userRoleHeader = req.headers['user-role'] || req.headers['x-user-role'] || 'employee';
-    const userRole = String(userRoleHeader || '').toLowerCase();
-    const isAdmin = userRole === 'admin';
-    const isManager = userRole.includes('manager');
+    const isAdmin = isAdminUser(req.user);
+    const isManager = isManagerUser(req.user);
   
     let connection;
     try {
@@ -1818,21 +2115,13 @@ router.post('/sync-absent', async (req, res) => {
         return res.status(403).json({ error: 'Access denied. Only managers, admins, or the leave owner can delete this record.' });
       }
   
-      const { year, month } = getYearMonthFromDate(row.start_date);
-      const balance = await getOrCreateLeaveBalance(connection, row.employee_id, year, month);
-      const currentUninformed = balance.uninformed_leaves || 0;
-      const toRemove = Number(row.days_requested) || 0;
-      const updatedUninformed = Math.max(0, currentUninformed - toRemove);
-  
-      await connection.execute(
-        'UPDATE leave_balances SET uninformed_leaves = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        [updatedUninformed, balance.id]
-      );
-  
       await connection.execute('DELETE FROM leave_requests WHERE id = ?', [id]);
   
-      // Recalculate cascading deductions based on remaining uninformed leaves
-      await recalculateUninformedDeductionsForEmployee(connection, row.employee_id);
+      // Reverse this absentee's deductions and let later absentees move into the freed months
+      await recalculateUninformedDeductionsForEmployee(connection, row.employee_id, {
+        actor: req.user,
+        reason: `Absentee #${row.id} removed`
+      });
   
       await connection.commit();
   
@@ -1863,22 +2152,26 @@ router.post('/sync-absent', async (req, res) => {
   
       const [rows] = await connection.execute('SELECT policy_key, policy_value, description FROM leave_policies');
       const policy = {
-        monthly_paid_quota: 2,
+        monthly_paid_quota: await getMonthlyQuota(connection),
+        leave_types: (await getLeaveTypes(connection)).map((t) => ({
+          id: t.id,
+          name: t.name,
+          code: t.code,
+          is_paid: !!t.is_paid,
+          accrual_frequency: t.accrual_frequency,
+          accrual_amount: Number(t.accrual_amount) || 0,
+          max_balance: t.max_balance != null ? Number(t.max_balance) : null,
+          max_days_per_year: t.max_days_per_year,
+          carry_forward_cap: Number(t.carry_forward_cap) || 0,
+          carry_forward_expiry_months: t.carry_forward_expiry_months,
+          eligible_after_probation: !!t.eligible_after_probation,
+          requires_attachment: !!t.requires_attachment
+        })),
         uninformed_penalty_text: 'Each uninformed leave day reduces paid leave quotas in future months until all such days have been deducted. No leaves this month are paid out in cash.',
         cashout_allowed: false
       };
   
       rows.forEach((row) => {
-        if (row.policy_key === 'monthly_paid_quota') {
-          try {
-            const val = row.policy_value ? JSON.parse(row.policy_value) : null;
-            if (val && typeof val.quota === 'number') {
-              policy.monthly_paid_quota = val.quota;
-            }
-          } catch (e) {
-            // ignore parse error, keep default
-          }
-        }
         if (row.policy_key === 'uninformed_penalty_rule') {
           try {
             const val = row.policy_value ? JSON.parse(row.policy_value) : null;
@@ -1902,7 +2195,44 @@ router.post('/sync-absent', async (req, res) => {
     }
   });
   
-  // Per-employee leave report
+  // POST /api/leaves/ledger/adjustments - { employee_id, year, month, days, reason } (admin)
+  // Adds (days > 0) or removes (days < 0) paid leave for a month as a manual ledger entry.
+  router.post('/ledger/adjustments', requirePermission('all'), async (req, res) => {
+    const { employee_id, year, month, reason } = req.body || {};
+    const days = Number(req.body?.days);
+    const useYear = parseInt(year, 10);
+    const useMonth = parseInt(month, 10);
+    if (!employee_id) return res.status(400).json({ error: 'employee_id is required' });
+    if (!useYear || !useMonth || useMonth < 1 || useMonth > 12) return res.status(400).json({ error: 'year and month are required' });
+    if (!Number.isFinite(days) || days === 0) return res.status(400).json({ error: 'days must be a non-zero number' });
+    if (!reason || !String(reason).trim()) return res.status(400).json({ error: 'reason is required' });
+
+    let connection;
+    try {
+      connection = await mysqlPool.getConnection();
+      await connection.ping();
+      const [empRows] = await connection.execute('SELECT id FROM employees WHERE id = ?', [employee_id]);
+      if (empRows.length === 0) return res.status(404).json({ error: 'Employee not found' });
+
+      const entryId = await postLeaveAdjustment(connection, {
+        employeeId: Number(employee_id),
+        year: useYear,
+        month: useMonth,
+        days,
+        actor: req.user,
+        reason: String(reason).trim()
+      });
+      console.log(`📒 Leave adjustment ${days > 0 ? '+' : ''}${days} for employee ${employee_id} (${useMonth}/${useYear}) by ${req.user.name}`);
+      res.status(201).json({ id: entryId, statement: await getLedgerStatement(connection, Number(employee_id), useYear, useMonth) });
+    } catch (err) {
+      console.error('Error posting leave adjustment:', err);
+      res.status(500).json({ error: 'Database error' });
+    } finally {
+      if (connection) connection.release();
+    }
+  });
+
+  // Per-employee leave report, with the month's ledger statement
   router.get('/report', async (req, res) => {
     const { employee_id, year, month } = req.query;
     if (!employee_id) return res.status(400).json({ error: 'employee_id is required' });
@@ -1917,7 +2247,7 @@ router.post('/sync-absent', async (req, res) => {
       await connection.ping();
   
       const balance = await getOrCreateLeaveBalance(connection, employee_id, useYear, useMonth);
-      const quota = balance.paid_quota || 2;
+      const quota = balance.paid_quota;
       const used = balance.paid_used || 0;
       const deductionThisMonth = balance.next_month_deduction || 0;
       const effectiveQuota = Math.max(0, quota - deductionThisMonth);
@@ -1947,17 +2277,22 @@ router.post('/sync-absent', async (req, res) => {
         [employee_id, startDate, endDate]
       );
   
-      const [futureBalances] = await connection.execute(
+      // Future deductions from open uninformed penalties in the ledger (reversals net them out)
+      const [futureRows] = await connection.execute(
         `
-          SELECT year, month, next_month_deduction
-          FROM leave_balances
-          WHERE employee_id = ?
-            AND (year > ? OR (year = ? AND month > ?))
-            AND next_month_deduction > 0
-          ORDER BY year, month
+          SELECT l.year, l.month, -SUM(l.days) AS next_month_deduction
+          FROM leave_ledger l
+          LEFT JOIN leave_ledger o ON o.id = l.reverses_entry_id
+          WHERE l.employee_id = ?
+            AND COALESCE(o.entry_type, l.entry_type) = 'uninformed_penalty'
+            AND (l.year > ? OR (l.year = ? AND l.month > ?))
+          GROUP BY l.year, l.month
+          HAVING next_month_deduction > 0
+          ORDER BY l.year, l.month
         `,
         [employee_id, useYear, useYear, useMonth]
       );
+      const futureBalances = futureRows.map((row) => ({ ...row, next_month_deduction: Number(row.next_month_deduction) }));
   
       const totalFutureDeduction = futureBalances.reduce(
         (sum, row) => sum + (Number(row.next_month_deduction) || 0),
@@ -1993,6 +2328,7 @@ router.post('/sync-absent', async (req, res) => {
       }));
   
       const uninformedCount = Math.max(Number(balance.uninformed_leaves) || 0, uninformedRows.length);
+      const statement = await getLedgerStatement(connection, employee_id, useYear, useMonth);
   
       res.json({
         employee_id: Number(employee_id),
@@ -2008,7 +2344,9 @@ router.post('/sync-absent', async (req, res) => {
         future_deductions: futureBalances,
         total_future_deduction: totalFutureDeduction,
         leaves_taken_this_month,
-        paid_leave_deductions
+        paid_leave_deductions,
+        adjustments: balance.adjustments,
+        statement
       });
     } catch (err) {
       console.error('Error fetching leave report:', err);
@@ -2020,4 +2358,5 @@ router.post('/sync-absent', async (req, res) => {
     }
   });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.typesRouter = typesRouter;
\ No newline at end of file
@@ -4,10 +4,16 @@ const path = require('path');
 const fs = require('fs');
 const { mysqlPool } = require('../config/database');
 const { sanitizeForMySQL } = require('../helpers/sanitize');
+const { isAdminUser, requirePermission, userHasPermission } = require('../middleware/permissions');
+
+// Managers and notices_manage holders publish notices; everyone reads the ones addressed to them
+const canManageNotices = requirePermission('notices_manage', { allowManagers: true });
 
 // GET /api/notices - List notices with role-based filtering
 router.get('/', async (req, res) => {
-  const { user_id, user_role } = req.query;
+  // Always the signed-in user; the user_id and user_role query parameters older clients send are ignored
+  const user_id = String(req.user.id);
+  const user_role = isAdminUser(req.user) ? 'admin' : 'employee';
   let connection;
   try {
     connection = await mysqlPool.getConnection();
@@ -135,11 +141,8 @@ router.get('/', async (req, res) => {
 
 // GET /api/notices/unread-count - Get unread notice count for a user
 router.get('/unread-count', async (req, res) => {
-  const { user_id, user_role } = req.query;
-
-  if (!user_id) {
-    return res.status(400).json({ error: 'user_id is required' });
-  }
+  const user_id = String(req.user.id);
+  const user_role = isAdminUser(req.user) ? 'admin' : 'employee';
 
   let connection;
   try {
@@ -209,15 +212,27 @@ router.get('/:id', async (req, res) => {
     connection = await mysqlPool.getConnection();
     await connection.ping();
 
-    const query = `
+    let query = `
       SELECT
         n.*,
         CONCAT('User ', n.created_by) as created_by_name
       FROM notices n
       WHERE n.id = ?
     `;
+    const params = [id];
+    // Notices not addressed to the user stay hidden unless they manage notices
+    if (!userHasPermission(req.user, 'notices_manage', { allowManagers: true })) {
+      query += `
+        AND n.id IN (
+          SELECT notice_id FROM notice_recipients
+          WHERE (recipient_type = 'employee' AND recipient_id = ?)
+             OR (recipient_type = 'department' AND recipient_id IN (SELECT department FROM employees WHERE id = ?))
+        )
+      `;
+      params.push(req.user.id, req.user.id);
+    }
 
-    const [rows] = await connection.execute(query, [id]);
+    const [rows] = await connection.execute(query, params);
 
     if (rows.length === 0) {
       return res.status(404).json({ error: 'Notice not found' });
@@ -251,8 +266,9 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/notices - Create a new notice with recipients and attachments
-router.post('/', async (req, res) => {
-  const { title, description, priority, status, recipients, attachments, created_by } = req.body;
+router.post('/', canManageNotices, async (req, res) => {
+  const { title, description, priority, status, recipients, attachments } = req.body;
+  const created_by = req.user.id;
 
   if (!title || !description || !recipients || !Array.isArray(recipients)) {
     return res.status(400).json({ error: 'Title, description, and recipients are required' });
@@ -316,7 +332,7 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/notices/:id - Update notice with recipients and attachments
-router.put('/:id', async (req, res) => {
+router.put('/:id', canManageNotices, async (req, res) => {
   const { id } = req.params;
   const { title, description, priority, status, recipients, attachments } = req.body;
 
@@ -383,7 +399,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /api/notices/:id - Delete a notice
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', canManageNotices, async (req, res) => {
   const { id } = req.params;
 
   let connection;
@@ -421,11 +437,7 @@ router.delete('/:id', async (req, res) => {
 // POST /api/notices/:id/mark-read - Mark a notice as read for a user
 router.post('/:id/mark-read', async (req, res) => {
   const { id } = req.params;
-  const { userId } = req.body;
-
-  if (!userId) {
-    return res.status(400).json({ error: 'userId is required' });
-  }
+  const userId = req.user.id;
 
   let connection;
   try {
@@ -464,7 +476,7 @@ router.post('/:id/mark-read', async (req, res) => {
 });
 
 // POST /api/notices/upload - Upload notice attachments (disk storage)
-router.post('/upload', async (req, res) => {
+router.post('/upload', canManageNotices, async (req, res) => {
   const diskUpload = multer({
     storage: multer.diskStorage({
       destination: (req, file, cb) => {
@@ -0,0 +1,77 @@
+const router = require('express').Router();
+const { mysqlPool } = require('../config/database');
+const { requirePermission } = require('../middleware/permissions');
+const {
+  ORG_SETTING_DEFAULTS,
+  normalizeOrgSetting,
+  serializeOrgSetting,
+  loadOrgSettings,
+  isValidTimeZone
+} = require('../helpers/orgSettings');
+
+// Helper: settings in the same { key: { value, type, description } } shape as /api/health-settings
+const buildSettingsResponse = (values) =>
+  Object.fromEntries(Object.entries(ORG_SETTING_DEFAULTS).map(([key, setting]) => [
+    key,
+    { value: values[key], type: setting.type, description: setting.description }
+  ]));
+
+// GET /api/org-settings - Every signed-in user needs these to render dates and working days
+router.get('/', async (req, res) => {
+  try {
+    const values = await loadOrgSettings();
+    res.json(buildSettingsResponse(values));
+  } catch (err) {
+    console.error('Error fetching organisation settings:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// GET /api/org-settings/timezones - Timezone names for the settings picker
+router.get('/timezones', (req, res) => {
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+  res.json(zones.filter(isValidTimeZone));
+});
+
+// PUT /api/org-settings - Update settings; body is { key: { value } } or { key: value }
+router.put('/', requirePermission('all'), async (req, res) => {
+  const settings = req.body || {};
+  const updates = [];
+  for (const key of Object.keys(settings)) {
+    if (!ORG_SETTING_DEFAULTS[key]) continue;
+    const setting = settings[key];
+    const raw = setting && typeof setting === 'object' && !Array.isArray(setting) ? setting.value : setting;
+    const { value, error } = normalizeOrgSetting(key, raw);
+    if (error) return res.status(400).json({ error });
+    updates.push([key, serializeOrgSetting(key, value), ORG_SETTING_DEFAULTS[key].type, ORG_SETTING_DEFAULTS[key].description]);
+  }
+  if (updates.length === 0) {
+    return res.status(400).json({ error: 'No valid settings provided' });
+  }
+
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    const updateQuery = `
+      INSERT INTO org_settings (setting_key, setting_value, setting_type, description)
+      VALUES (?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value), setting_type = VALUES(setting_type), description = VALUES(description)
+    `;
+    for (const update of updates) {
+      await connection.execute(updateQuery, update);
+    }
+
+    const values = await loadOrgSettings(connection);
+    console.log(`🌐 Organisation settings updated by ${req.user.name}: ${updates.map(u => u[0]).join(', ')}`);
+    res.json({ message: 'Organisation settings updated successfully', settings: buildSettingsResponse(values) });
+  } catch (err) {
+    console.error('Error updating organisation settings:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const router = require('express').Router();
 const { mysqlPool } = require('../config/database');
+const { listPermissionEndpoints } = require('../middleware/permissions');
 
-// GET /api/permissions - List all active permissions
+// GET /api/permissions - List all active permissions with the API endpoints each one unlocks
 router.get('/', async (req, res) => {
   let connection;
   try {
@@ -10,7 +11,13 @@ router.get('/', async (req, res) => {
 
     const query = 'SELECT * FROM permissions WHERE status = "Active" ORDER BY category, name';
     const [results] = await connection.execute(query);
-    res.json(results);
+
+    // Endpoints are read from the requirePermission() guards on the mounted routers
+    const endpointsByPermission = listPermissionEndpoints(req.app);
+    res.json(results.map(permission => ({
+      ...permission,
+      endpoints: endpointsByPermission[permission.name] || []
+    })));
   } catch (err) {
     console.error('Error fetching permissions:', err);
     res.status(500).json({ error: 'Database error' });
@@ -19,4 +26,9 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/permissions/endpoints - Map of permission -> guarded endpoints (includes 'all' = admin only)
+router.get('/endpoints', (req, res) => {
+  res.json(listPermissionEndpoints(req.app));
+});
+
 module.exports = router;
@@ -1,9 +1,31 @@
 const router = require('express').Router();
 const { mysqlPool } = require('../config/database');
+const { parseRecurrence } = require('../helpers/recurrence');
+const { getHolidayDates } = require('../helpers/holidays');
+const { isWorkingDay, addDays } = require('../helpers/dates');
+const { getReconciliation, RECONCILIATION_TOLERANCE_SECONDS } = require('../helpers/reconciliation');
+const { requirePermission } = require('../middleware/permissions');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const RECONCILIATION_MAX_DAYS = 62;
+
+// Helper: restrict task occurrences (alias o) to one employee by id. An occurrence handed over during a leave
+// belongs to the cover; otherwise to the task's assignees. Older clients send a name, matched exactly.
+const occurrenceEmployeeFilter = (employeeId, employeeName) => {
+  const who = employeeId ? '= ?' : 'IN (SELECT id FROM employees WHERE name = ?)';
+  const value = employeeId || employeeName;
+  return {
+    sql: ` AND (CASE WHEN o.handover_id IS NOT NULL
+      THEN EXISTS (SELECT 1 FROM leave_task_handovers h WHERE h.id = o.handover_id AND h.cover_employee_id ${who})
+      ELSE EXISTS (SELECT 1 FROM task_assignees ta WHERE ta.task_id = o.task_id AND ta.role = 'assignee' AND ta.employee_id ${who})
+    END)`,
+    params: [value, value]
+  };
+};
 
 // GET /api/reports/dwm - Daily/Weekly/Monthly task completion statistics
-router.get('/dwm', async (req, res) => {
-  const { startDate, endDate, department, employee } = req.query;
+router.get('/dwm', requirePermission('view_reports_menu'), async (req, res) => {
+  const { startDate, endDate, department, employee, employee_id } = req.query;
 
   if (!startDate || !endDate) {
     return res.status(400).json({ error: 'startDate and endDate are required' });
@@ -14,89 +36,42 @@ router.get('/dwm', async (req, res) => {
     connection = await mysqlPool.getConnection();
     await connection.ping();
 
-    // Get all completed tasks from task_history
-    let completedQuery = `
-      SELECT 
-        t.id,
-        t.title,
-        t.labels,
-        t.status,
-        th.created_at as completed_date
-      FROM task_history th
-      JOIN tasks t ON th.task_id = t.id
-      WHERE th.action = 'Status changed'
-        AND th.new_value = 'Completed'
+    // Due and completed occurrences per day and frequency
+    let query = `
+      SELECT
+        DATE_FORMAT(o.due_date, '%Y-%m-%d') AS day,
+        o.frequency,
+        COUNT(*) AS total,
+        SUM(CASE WHEN o.completed_at IS NOT NULL THEN 1 ELSE 0 END) AS completed
+      FROM task_occurrences o
+      JOIN tasks t ON t.id = o.task_id
+      WHERE o.due_date BETWEEN ? AND ?
     `;
-
-    const completedParams = [];
-    if (department) {
-      completedQuery += ' AND t.department = ?';
-      completedParams.push(department);
-    }
-    if (employee) {
-      completedQuery += ' AND t.assigned_to LIKE ?';
-      completedParams.push(`%${employee}%`);
-    }
-
-    // Get total tasks count (all tasks, not just completed)
-    let totalQuery = `
-      SELECT 
-        COUNT(CASE WHEN LOWER(t.labels) LIKE '%daily%' THEN 1 END) as daily_total,
-        COUNT(CASE WHEN LOWER(t.labels) LIKE '%weekly%' THEN 1 END) as weekly_total,
-        COUNT(CASE WHEN LOWER(t.labels) LIKE '%monthly%' THEN 1 END) as monthly_total
-      FROM tasks t
-      WHERE 1=1
-    `;
-
-    const totalParams = [];
+    const params = [startDate, endDate];
     if (department) {
-      totalQuery += ' AND t.department = ?';
-      totalParams.push(department);
+      query += ' AND t.department = ?';
+      params.push(department);
     }
-    if (employee) {
-      totalQuery += ' AND t.assigned_to LIKE ?';
-      totalParams.push(`%${employee}%`);
+    if (employee_id || employee) {
+      const filter = occurrenceEmployeeFilter(employee_id, employee);
+      query += filter.sql;
+      params.push(...filter.params);
     }
+    query += ' GROUP BY o.due_date, o.frequency';
 
-    const [completedRows] = await connection.execute(completedQuery, completedParams);
-    const [totalRows] = await connection.execute(totalQuery, totalParams);
+    const [rows] = await connection.execute(query, params);
+    const counts = new Map(rows.map(row => [`${row.day}|${row.frequency}`, row]));
+    const count = (day, frequency, field) => Number((counts.get(`${day}|${frequency}`) || {})[field]) || 0;
 
-    // Get all tasks to determine which days they should appear on
-    let allTasksQuery = `
-      SELECT id, title, labels, status
-      FROM tasks t
-      WHERE 1=1
-    `;
-    const allTasksParams = [];
+    // Holidays are left out like Sundays: company-wide ones, plus the filtered department's own
+    let departmentId = null;
     if (department) {
-      allTasksQuery += ' AND t.department = ?';
-      allTasksParams.push(department);
+      const [departmentRows] = await connection.execute('SELECT id FROM departments WHERE name = ? LIMIT 1', [department]);
+      departmentId = departmentRows.length ? departmentRows[0].id : null;
     }
-    if (employee) {
-      allTasksQuery += ' AND t.assigned_to LIKE ?';
-      allTasksParams.push(`%${employee}%`);
-    }
-
-    const [allTasks] = await connection.execute(allTasksQuery, allTasksParams);
-
-    const totals = totalRows[0] || { daily_total: 0, weekly_total: 0, monthly_total: 0 };
-
-    // Format completed dates
-    const completedRowsWithDates = completedRows.map(task => {
-      let taskCompletedDate;
-      if (task.completed_date instanceof Date) {
-        taskCompletedDate = task.completed_date.toISOString().split('T')[0];
-      } else if (typeof task.completed_date === 'string') {
-        const date = new Date(task.completed_date);
-        taskCompletedDate = date.toISOString().split('T')[0];
-      } else {
-        taskCompletedDate = task.completed_date;
-      }
-
-      return {
-        ...task,
-        completed_date_formatted: taskCompletedDate
-      };
+    const holidayDates = await getHolidayDates(connection, startDate, endDate, {
+      employee: { department_id: departmentId, designation: null },
+      types: ['holiday']
     });
 
     // Generate data for each day in the range
@@ -106,67 +81,17 @@ router.get('/dwm', async (req, res) => {
 
     for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
       const dayIso = d.toISOString().split('T')[0];
-      const dayOfWeek = d.getDay(); // 0 = Sunday
-      // Skip Sunday
-      if (dayOfWeek === 0) continue;
-      const dayOfMonth = d.getDate();
-
-      // Filter tasks completed on this specific day
-      const completedOnThisDay = completedRowsWithDates.filter(task => {
-        if (!task.completed_date_formatted) return false;
-        return task.completed_date_formatted === dayIso;
-      });
-
-      // Deduplicate tasks on this day
-      const uniqueCompletedTasksOnDay = new Map();
-      completedOnThisDay.forEach(task => {
-        if (!uniqueCompletedTasksOnDay.has(task.id)) {
-          uniqueCompletedTasksOnDay.set(task.id, task);
-        }
-      });
-      const uniqueCompletedOnThisDay = Array.from(uniqueCompletedTasksOnDay.values());
-
-      // Daily tasks completed on this day
-      const dailyCompleted = uniqueCompletedOnThisDay.filter(task =>
-        task.labels && task.labels.toLowerCase().includes('daily')
-      ).length;
-
-      // Weekly tasks - only count on their specific day
-      const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-      const currentDayName = dayNames[dayOfWeek];
-
-      const weeklyCompleted = uniqueCompletedOnThisDay.filter(task =>
-        task.labels && task.labels.toLowerCase().includes('weekly') &&
-        task.title && task.title.toLowerCase().includes(currentDayName)
-      ).length;
-
-      // Monthly tasks - only count on their specific day
-      const monthlyCompleted = uniqueCompletedOnThisDay.filter(task =>
-        task.labels && task.labels.toLowerCase().includes('monthly') &&
-        task.title && task.title.toLowerCase().includes(`${dayOfMonth} of month`)
-      ).length;
-
-      // Calculate totals for this specific day
-      const dailyTotal = totals.daily_total;
-
-      const weeklyTotal = allTasks.filter(task =>
-        task.labels && task.labels.toLowerCase().includes('weekly') &&
-        task.title && task.title.toLowerCase().includes(currentDayName)
-      ).length;
-
-      const monthlyTotal = allTasks.filter(task =>
-        task.labels && task.labels.toLowerCase().includes('monthly') &&
-        task.title && task.title.toLowerCase().includes(`${dayOfMonth} of month`)
-      ).length;
+      // Skip weekend days and holidays
+      if (!isWorkingDay(dayIso, holidayDates)) continue;
 
       days.push({
         day: dayIso,
-        daily_completed: dailyCompleted,
-        weekly_completed: weeklyCompleted,
-        monthly_completed: monthlyCompleted,
-        daily_total: dailyTotal,
-        weekly_total: weeklyTotal,
-        monthly_total: monthlyTotal
+        daily_completed: count(dayIso, 'daily', 'completed'),
+        weekly_completed: count(dayIso, 'weekly', 'completed'),
+        monthly_completed: count(dayIso, 'monthly', 'completed'),
+        daily_total: count(dayIso, 'daily', 'total'),
+        weekly_total: count(dayIso, 'weekly', 'total'),
+        monthly_total: count(dayIso, 'monthly', 'total')
       });
     }
 
@@ -179,9 +104,8 @@ router.get('/dwm', async (req, res) => {
   }
 });
 
-// GET /api/reports/dwm/details - DWM drill-down: list tasks for a given day/category
-router.get('/dwm/details', async (req, res) => {
-  const { date, category, department, employee, completed } = req.query;
+router.get('/dwm/details', requirePermission('view_reports_menu'), async (req, res) => {
+  const { date, category, department, employee, employee_id, completed } = req.query;
   if (!date || !category) {
     return res.status(400).json({ error: 'date (YYYY-MM-DD) and category (daily|weekly|monthly) are required' });
   }
@@ -190,70 +114,32 @@ router.get('/dwm/details', async (req, res) => {
     connection = await mysqlPool.getConnection();
     await connection.ping();
 
-    const params = [date];
-    let categoryWhere = '';
-    if (category === 'daily') {
-      categoryWhere = " AND lower(IFNULL(t.labels,'')) LIKE '%daily%'";
-    } else if (category === 'weekly') {
-      const dayName = new Date(date + 'T00:00:00').toLocaleDateString('en-US', { weekday: 'long' });
-      categoryWhere = ' AND t.title LIKE ?';
-      params.push(`%(${dayName})%`);
-    } else if (category === 'monthly') {
-      const dom = new Date(date + 'T00:00:00').getDate();
-      categoryWhere = ' AND lower(t.title) LIKE ?';
-      params.push(`%(${dom} of month)%`);
-    } else {
+    if (!['daily', 'weekly', 'monthly'].includes(category)) {
       return res.status(400).json({ error: 'Invalid category' });
     }
-
-    let filterWhere = '';
-    if (department) { filterWhere += ' AND t.department = ?'; params.push(department); }
-    if (employee) { filterWhere += " AND IFNULL(t.assigned_to,'') LIKE ?"; params.push(`%${employee}%`); }
-
     const wantCompleted = String(completed).toLowerCase() === 'true';
 
-    if (wantCompleted) {
-      const q = `
-        SELECT t.id, t.title, t.status, t.labels, t.priority,
-               COALESCE(SUM(CASE WHEN date(ts.start_time) = ? THEN ABS(IFNULL(ts.hours_logged, 0)) ELSE 0 END), 0) AS seconds
-        FROM task_history th
-        JOIN tasks t ON t.id = th.task_id
-        LEFT JOIN task_timesheet ts ON ts.task_id = t.id
-        WHERE th.action = 'Status changed'
-          AND th.new_value = 'Completed'
-          AND date(th.created_at) = ?
-          ${categoryWhere}
-          ${filterWhere}
-        GROUP BY t.id, t.title, t.status
-        ORDER BY t.title
-      `;
-      const execParams = [date, date, ...params.slice(1)];
-      const [rows] = await connection.execute(q, execParams);
-      const totalSeconds = rows.reduce((s, r) => s + (r.seconds || 0), 0);
-      res.json({ items: rows, totalSeconds });
-    } else {
-      const candidatesQ = `
-        SELECT t.id, t.title, t.status, t.labels, t.priority
-        FROM tasks t
-        WHERE 1=1 ${categoryWhere} ${filterWhere}
-      `;
-      const [candidateTasks] = await connection.execute(candidatesQ, params.slice(1));
-
-      if (candidateTasks.length === 0) return res.json({ items: [], totalSeconds: 0 });
-
-      const ids = candidateTasks.map(t => t.id);
-      const placeholders = ids.map(() => '?').join(',');
-      const completedQ = `
-        SELECT DISTINCT task_id FROM task_history
-        WHERE action = 'Status changed' AND new_value = 'Completed' AND date(created_at) = ?
-          AND task_id IN (${placeholders})
-      `;
-      const [compRows] = await connection.execute(completedQ, [date, ...ids]);
-
-      const compSet = new Set(compRows.map(r => r.task_id));
-      const items = candidateTasks.filter(t => !compSet.has(t.id));
-      res.json({ items, totalSeconds: 0 });
+    let q = `
+      SELECT t.id, t.title, t.status, t.labels, t.priority, t.recurrence,
+             o.assigned_to, o.completed_at, o.completed_by, o.logged_seconds AS seconds
+      FROM task_occurrences o
+      JOIN tasks t ON t.id = o.task_id
+      WHERE o.due_date = ? AND o.frequency = ?
+        AND o.completed_at IS ${wantCompleted ? 'NOT NULL' : 'NULL'}
+    `;
+    const params = [date, category];
+    if (department) { q += ' AND t.department = ?'; params.push(department); }
+    if (employee_id || employee) {
+      const filter = occurrenceEmployeeFilter(employee_id, employee);
+      q += filter.sql;
+      params.push(...filter.params);
     }
+    q += ' ORDER BY t.title';
+
+    const [rows] = await connection.execute(q, params);
+    const items = rows.map(r => ({ ...r, recurrence: parseRecurrence(r.recurrence) }));
+    const totalSeconds = wantCompleted ? items.reduce((s, r) => s + (r.seconds || 0), 0) : 0;
+    res.json({ items, totalSeconds });
   } catch (err) {
     console.error('Error in DWM report details:', err);
     res.status(500).json({ error: 'Database error' });
@@ -263,8 +149,8 @@ router.get('/dwm/details', async (req, res) => {
 });
 
 // GET /api/reports/timelog - Time tracking data grouped by day
-router.get('/timelog', async (req, res) => {
-  const { start, end, employee, department } = req.query;
+router.get('/timelog', requirePermission('view_reports_menu'), async (req, res) => {
+  const { start, end, employee, employee_id, department } = req.query;
   if (!start || !end) return res.status(400).json({ error: 'start and end are required (YYYY-MM-DD)' });
 
   const params = [];
@@ -273,8 +159,12 @@ router.get('/timelog', async (req, res) => {
   const endDate = `${end} 23:59:59`;
   params.push(startDate, endDate);
 
-  if (employee) {
-    where += ` AND tt.employee_name = ?`;
+  if (employee_id) {
+    where += ` AND tt.employee_id = ?`;
+    params.push(employee_id);
+  } else if (employee) {
+    // Older clients filter by name; resolve it to the employee's id
+    where += ` AND tt.employee_id IN (SELECT id FROM employees WHERE name = ?)`;
     params.push(employee);
   }
   if (department) {
@@ -283,7 +173,7 @@ router.get('/timelog', async (req, res) => {
   }
 
   const query = `
-    SELECT tt.employee_name, t.title AS task_title, t.labels, t.priority,
+    SELECT tt.employee_id, COALESCE(e.name, MAX(tt.employee_name)) AS employee_name, t.title AS task_title, t.labels, t.priority,
            DATE_FORMAT(tt.start_time, '%Y-%m-%d') as log_date,
            SUM(
              CASE 
@@ -298,8 +188,9 @@ router.get('/timelog', async (req, res) => {
            ) as seconds
     FROM task_timesheet tt
     LEFT JOIN tasks t ON t.id = tt.task_id
+    LEFT JOIN employees e ON e.id = tt.employee_id
     WHERE ${where}
-    GROUP BY tt.employee_name, t.title, t.labels, t.priority, log_date
+    GROUP BY tt.employee_id, e.name, t.title, t.labels, t.priority, log_date
     ORDER BY log_date ASC
   `;
 
@@ -319,8 +210,8 @@ router.get('/timelog', async (req, res) => {
 });
 
 // GET /api/reports/timelog/consolidated - Consolidated time log grouped by task & assignee
-router.get('/timelog/consolidated', async (req, res) => {
-  const { start, end, employee, department } = req.query;
+router.get('/timelog/consolidated', requirePermission('view_reports_menu', { allowManagers: true }), async (req, res) => {
+  const { start, end, employee, employee_id, department } = req.query;
   if (!start || !end) return res.status(400).json({ error: 'start and end are required (YYYY-MM-DD)' });
 
   const params = [];
@@ -329,8 +220,12 @@ router.get('/timelog/consolidated', async (req, res) => {
   const endDate = `${end} 23:59:59`;
   params.push(startDate, endDate);
 
-  if (employee) {
-    where += ` AND tt.employee_name = ?`;
+  if (employee_id) {
+    where += ` AND tt.employee_id = ?`;
+    params.push(employee_id);
+  } else if (employee) {
+    // Older clients filter by name; resolve it to the employee's id
+    where += ` AND tt.employee_id IN (SELECT id FROM employees WHERE name = ?)`;
     params.push(employee);
   }
   if (department) {
@@ -340,7 +235,8 @@ router.get('/timelog/consolidated', async (req, res) => {
 
   const query = `
     SELECT 
-      tt.employee_name,
+      tt.employee_id,
+      COALESCE(e.name, MAX(tt.employee_name)) AS employee_name,
       t.title AS task_title,
       t.labels,
       t.priority,
@@ -359,8 +255,9 @@ router.get('/timelog/consolidated', async (req, res) => {
       ) as seconds
     FROM task_timesheet tt
     LEFT JOIN tasks t ON t.id = tt.task_id
+    LEFT JOIN employees e ON e.id = tt.employee_id
     WHERE ${where}
-    GROUP BY tt.employee_name, t.title, t.labels, t.priority
+    GROUP BY tt.employee_id, e.name, t.title, t.labels, t.priority
     ORDER BY seconds DESC
   `;
 
@@ -379,4 +276,29 @@ router.get('/timelog/consolidated', async (req, res) => {
   }
 });
 
+// GET /api/reports/reconciliation - Attendance, task timesheet and TeamLogger hours per employee per day
+// Every employee's hours side by side: full Reports access only (admins or view_reports_menu)
+router.get('/reconciliation', requirePermission('view_reports_menu'), async (req, res) => {
+  const { from, to, department } = req.query;
+  if (!DATE_RE.test(from || '') || !DATE_RE.test(to || '') || to < from) {
+    return res.status(400).json({ error: 'from and to are required (YYYY-MM-DD, from <= to)' });
+  }
+  if (addDays(from, RECONCILIATION_MAX_DAYS - 1) < to) {
+    return res.status(400).json({ error: `The range can cover at most ${RECONCILIATION_MAX_DAYS} days` });
+  }
+
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const { rows, summary } = await getReconciliation(connection, { from, to, department: department || null });
+    res.json({ from, to, tolerance_minutes: RECONCILIATION_TOLERANCE_SECONDS / 60, summary, items: rows });
+  } catch (err) {
+    console.error('Error fetching reconciliation report:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
 module.exports = router;
@@ -1,9 +1,10 @@
 const router = require('express').Router();
 const { mysqlPool } = require('../config/database');
 const { sanitizeForMySQL } = require('../helpers/sanitize');
+const { requirePermission } = require('../middleware/permissions');
 
 // GET /api/roles - List all active roles
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('employees_manage'), async (req, res) => {
   let connection;
   try {
     connection = await mysqlPool.getConnection();
@@ -21,7 +22,7 @@ router.get('/', async (req, res) => {
 });
 
 // POST /api/roles - Create a new role
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('all'), async (req, res) => {
   let connection;
   try {
     const { name, description, permissions } = req.body;
@@ -57,7 +58,7 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/roles/:id - Update a role
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('all'), async (req, res) => {
   let connection;
   try {
     const { id } = req.params;
@@ -99,7 +100,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /api/roles/:id - Soft delete a role
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('all'), async (req, res) => {
   let connection;
   try {
     const { id } = req.params;
@@ -0,0 +1,797 @@
+const router = require('express').Router();
+const { mysqlPool } = require('../config/database');
+const { sanitizeForMySQL } = require('../helpers/sanitize');
+const { createNotification } = require('../helpers/notifications');
+const { requirePermission, userHasPermission } = require('../middleware/permissions');
+const { addDays, getOrgNow } = require('../helpers/dates');
+const {
+  normalizeTime,
+  crossesMidnight,
+  getShiftDurationMinutes,
+  getShiftNetHours,
+  getShiftWindow,
+  parseWeekdays,
+  parsePattern,
+  loadRosterContext,
+  resolveRosterDay
+} = require('../helpers/shiftRoster');
+
+const MANAGE = ['shift_roster_manage', { allowManagers: true }];
+const MAX_ROSTER_DAYS = 42;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const canManageRoster = (user) => userHasPermission(user, MANAGE[0], MANAGE[1]);
+
+const formatShiftRow = (shift) => ({
+  ...shift,
+  crosses_midnight: crossesMidnight(shift),
+  net_hours: Number(getShiftNetHours(shift).toFixed(2))
+});
+
+// Helper: validate a shift definition from the request body; returns { error } or { values }
+const readShiftBody = (body) => {
+  const name = String(body.name || '').trim();
+  const startTime = normalizeTime(body.start_time);
+  const endTime = normalizeTime(body.end_time);
+  const breakMinutes = parseInt(body.break_minutes ?? 0, 10);
+  const graceMinutes = parseInt(body.grace_minutes ?? 10, 10);
+  if (!name || !startTime || !endTime) {
+    return { error: 'name, start_time and end_time (HH:MM) are required' };
+  }
+  if (startTime === endTime) {
+    return { error: 'start_time and end_time cannot be the same' };
+  }
+  if (isNaN(breakMinutes) || breakMinutes < 0 || breakMinutes >= getShiftDurationMinutes({ start_time: startTime, end_time: endTime })) {
+    return { error: 'break_minutes must be zero or more and shorter than the shift' };
+  }
+  if (isNaN(graceMinutes) || graceMinutes < 0) {
+    return { error: 'grace_minutes must be zero or more' };
+  }
+  return {
+    values: {
+      name: sanitizeForMySQL(name),
+      start_time: startTime,
+      end_time: endTime,
+      break_minutes: breakMinutes,
+      grace_minutes: graceMinutes,
+      color: body.color ? sanitizeForMySQL(String(body.color)) : null,
+      status: body.status === 'Inactive' ? 'Inactive' : 'Active'
+    }
+  };
+};
+
+// ===== Shift definitions =====
+
+// GET /api/shifts - All shift definitions
+router.get('/', async (req, res) => {
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const [rows] = await connection.execute('SELECT * FROM shifts ORDER BY status, start_time, name');
+    res.json(rows.map(formatShiftRow));
+  } catch (err) {
+    console.error('Error fetching shifts:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// POST /api/shifts - Create a shift definition
+router.post('/', requirePermission(...MANAGE), async (req, res) => {
+  const { error, values } = readShiftBody(req.body || {});
+  if (error) return res.status(400).json({ error });
+
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const [result] = await connection.execute(
+      `INSERT INTO shifts (name, start_time, end_time, break_minutes, grace_minutes, color, status) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [values.name, values.start_time, values.end_time, values.break_minutes, values.grace_minutes, values.color, values.status]
+    );
+    const [rows] = await connection.execute('SELECT * FROM shifts WHERE id = ?', [result.insertId]);
+    res.status(201).json(formatShiftRow(rows[0]));
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ error: 'A shift with this name already exists' });
+    }
+    console.error('Error creating shift:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// ===== Rotation patterns =====
+
+// Helper: validate a rotation from the request body against the existing shift ids
+const readRotationBody = async (connection, body) => {
+  const name = String(body.name || '').trim();
+  const startDate = String(body.start_date || '').trim();
+  const pattern = parsePattern(body.pattern);
+  if (!name || !DATE_RE.test(startDate)) {
+    return { error: 'name and start_date (YYYY-MM-DD) are required' };
+  }
+  if (pattern.length === 0 || pattern.length > 56) {
+    return { error: 'pattern must list between 1 and 56 days (shift id or null for a day off)' };
+  }
+  const shiftIds = [...new Set(pattern.filter(Boolean))];
+  if (shiftIds.length) {
+    const [rows] = await connection.query('SELECT id FROM shifts WHERE id IN (?)', [shiftIds]);
+    if (rows.length !== shiftIds.length) {
+      return { error: 'pattern refers to a shift that does not exist' };
+    }
+  }
+  return { values: { name: sanitizeForMySQL(name), start_date: startDate, pattern: JSON.stringify(pattern) } };
+};
+
+// GET /api/shifts/rotations - Rotation patterns
+router.get('/rotations', async (req, res) => {
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const [rows] = await connection.execute(
+      `SELECT id, name, DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date, pattern, created_at, updated_at
+       FROM shift_rotations ORDER BY name`
+    );
+    res.json(rows.map(row => ({ ...row, pattern: parsePattern(row.pattern) })));
+  } catch (err) {
+    console.error('Error fetching shift rotations:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// POST /api/shifts/rotations - Create a rotation pattern
+router.post('/rotations', requirePermission(...MANAGE), async (req, res) => {
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const { error, values } = await readRotationBody(connection, req.body || {});
+    if (error) return res.status(400).json({ error });
+
+    const [result] = await connection.execute(
+      'INSERT INTO shift_rotations (name, start_date, pattern) VALUES (?, ?, ?)',
+      [values.name, values.start_date, values.pattern]
+    );
+    res.status(201).json({ id: result.insertId, message: 'Rotation created successfully' });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ error: 'A rotation with this name already exists' });
+    }
+    console.error('Error creating shift rotation:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// PUT /api/shifts/rotations/:id - Update a rotation pattern
+router.put('/rotations/:id', requirePermission(...MANAGE), async (req, res) => {
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const { error, values } = await readRotationBody(connection, req.body || {});
+    if (error) return res.status(400).json({ error });
+
+    const [result] = await connection.execute(
+      'UPDATE shift_rotations SET name = ?, start_date = ?, pattern = ? WHERE id = ?',
+      [values.name, values.start_date, values.pattern, req.params.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Rotation not found' });
+    }
+    res.json({ message: 'Rotation updated successfully' });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ error: 'A rotation with this name already exists' });
+    }
+    console.error('Error updating shift rotation:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// DELETE /api/shifts/rotations/:id - Delete a rotation no assignment uses
+router.delete('/rotations/:id', requirePermission(...MANAGE), async (req, res) => {
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const [used] = await connection.execute('SELECT id FROM shift_assignments WHERE rotation_id = ? LIMIT 1', [req.params.id]);
+    if (used.length > 0) {
+      return res.status(400).json({ error: 'Rotation is used by a roster assignment; remove the assignment first' });
+    }
+    const [result] = await connection.execute('DELETE FROM shift_rotations WHERE id = ?', [req.params.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Rotation not found' });
+    }
+    res.json({ message: 'Rotation deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting shift rotation:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// ===== Weekly roster assignments =====
+
+const ASSIGNMENT_SELECT = `
+  SELECT sa.id, sa.employee_id, e.name AS employee_name, sa.department, sa.shift_id, s.name AS shift_name,
+         sa.rotation_id, r.name AS rotation_name, sa.weekdays,
+         DATE_FORMAT(sa.effective_from, '%Y-%m-%d') AS effective_from,
+         DATE_FORMAT(sa.effective_to, '%Y-%m-%d') AS effective_to, sa.created_at
+  FROM shift_assignments sa
+  LEFT JOIN employees e ON e.id = sa.employee_id
+  LEFT JOIN shifts s ON s.id = sa.shift_id
+  LEFT JOIN shift_rotations r ON r.id = sa.rotation_id
+`;
+
+// Helper: validate an assignment from the request body; exactly one target and one of shift/rotation
+const readAssignmentBody = async (connection, body) => {
+  const employeeId = body.employee_id ? parseInt(body.employee_id, 10) : null;
+  const department = body.department ? String(body.department).trim() : null;
+  const shiftId = body.shift_id ? parseInt(body.shift_id, 10) : null;
+  const rotationId = body.rotation_id ? parseInt(body.rotation_id, 10) : null;
+  const effectiveFrom = String(body.effective_from || '').trim();
+  const effectiveTo = body.effective_to ? String(body.effective_to).trim() : null;
+
+  if ((employeeId ? 1 : 0) + (department ? 1 : 0) !== 1 || Number.isNaN(employeeId)) {
+    return { error: 'Provide either employee_id or department' };
+  }
+  if ((shiftId ? 1 : 0) + (rotationId ? 1 : 0) !== 1 || Number.isNaN(shiftId) || Number.isNaN(rotationId)) {
+    return { error: 'Provide either shift_id or rotation_id' };
+  }
+  if (!DATE_RE.test(effectiveFrom) || (effectiveTo && (!DATE_RE.test(effectiveTo) || effectiveTo < effectiveFrom))) {
+    return { error: 'effective_from (YYYY-MM-DD) is required and effective_to cannot be before it' };
+  }
+  if (employeeId) {
+    const [rows] = await connection.execute('SELECT id FROM employees WHERE id = ?', [employeeId]);
+    if (rows.length === 0) return { error: 'Employee not found' };
+  }
+  if (shiftId) {
+    const [rows] = await connection.execute('SELECT id FROM shifts WHERE id = ?', [shiftId]);
+    if (rows.length === 0) return { error: 'Shift not found' };
+  }
+  if (rotationId) {
+    const [rows] = await connection.execute('SELECT id FROM shift_rotations WHERE id = ?', [rotationId]);
+    if (rows.length === 0) return { error: 'Rotation not found' };
+  }
+  return {
+    values: {
+      employee_id: employeeId,
+      department: department ? sanitizeForMySQL(department) : null,
+      shift_id: shiftId,
+      rotation_id: rotationId,
+      weekdays: parseWeekdays(body.weekdays).join(','),
+      effective_from: effectiveFrom,
+      effective_to: effectiveTo
+    }
+  };
+};
+
+// GET /api/shifts/assignments - Roster assignments (filters: employee_id, department)
+router.get('/assignments', requirePermission(...MANAGE), async (req, res) => {
+  const { employee_id, department } = req.query;
+  const where = [];
+  const params = [];
+  if (employee_id) {
+    where.push('sa.employee_id = ?');
+    params.push(employee_id);
+  }
+  if (department) {
+    where.push('sa.department = ?');
+    params.push(department);
+  }
+
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const [rows] = await connection.execute(
+      `${ASSIGNMENT_SELECT} ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY sa.effective_from DESC, sa.id DESC`,
+      params
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('Error fetching shift assignments:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// POST /api/shifts/assignments - Assign a shift or rotation to an employee or department
+router.post('/assignments', requirePermission(...MANAGE), async (req, res) => {
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const { error, values } = await readAssignmentBody(connection, req.body || {});
+    if (error) return res.status(400).json({ error });
+
+    const [result] = await connection.execute(
+      `INSERT INTO shift_assignments (employee_id, department, shift_id, rotation_id, weekdays, effective_from, effective_to, created_by_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [values.employee_id, values.department, values.shift_id, values.rotation_id, values.weekdays,
+        values.effective_from, values.effective_to, req.user ? req.user.id : null]
+    );
+    const [rows] = await connection.execute(`${ASSIGNMENT_SELECT} WHERE sa.id = ?`, [result.insertId]);
+    res.status(201).json(rows[0]);
+  } catch (err) {
+    console.error('Error creating shift assignment:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// PUT /api/shifts/assignments/:id - Replace an assignment
+router.put('/assignments/:id', requirePermission(...MANAGE), async (req, res) => {
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const { error, values } = await readAssignmentBody(connection, req.body || {});
+    if (error) return res.status(400).json({ error });
+
+    const [result] = await connection.execute(
+      `UPDATE shift_assignments SET employee_id = ?, department = ?, shift_id = ?, rotation_id = ?, weekdays = ?,
+         effective_from = ?, effective_to = ?
+       WHERE id = ?`,
+      [values.employee_id, values.department, values.shift_id, values.rotation_id, values.weekdays,
+        values.effective_from, values.effective_to, req.params.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Assignment not found' });
+    }
+    const [rows] = await connection.execute(`${ASSIGNMENT_SELECT} WHERE sa.id = ?`, [req.params.id]);
+    res.json(rows[0]);
+  } catch (err) {
+    console.error('Error updating shift assignment:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// DELETE /api/shifts/assignments/:id
+router.delete('/assignments/:id', requirePermission(...MANAGE), async (req, res) => {
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const [result] = await connection.execute('DELETE FROM shift_assignments WHERE id = ?', [req.params.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Assignment not found' });
+    }
+    res.json({ message: 'Assignment deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting shift assignment:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// ===== Roster grid =====
+
+// GET /api/shifts/roster?start=&end=&department= - Resolved shift per employee per day.
+// Roster managers see everyone (optionally one department); other users see only their own row.
+router.get('/roster', async (req, res) => {
+  const start = String(req.query.start || '').trim();
+  const end = String(req.query.end || start).trim();
+  if (!DATE_RE.test(start) || !DATE_RE.test(end) || end < start) {
+    return res.status(400).json({ error: 'start and end (YYYY-MM-DD) are required' });
+  }
+  const dates = [];
+  for (let date = start; date <= end && dates.length < MAX_ROSTER_DAYS; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  if (dates[dates.length - 1] !== end) {
+    return res.status(400).json({ error: `The roster can show at most ${MAX_ROSTER_DAYS} days at a time` });
+  }
+
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    let employeeQuery = `SELECT id, name, employee_id, department, designation FROM employees WHERE status = 'Active'`;
+    const params = [];
+    if (!canManageRoster(req.user)) {
+      employeeQuery += ' AND id = ?';
+      params.push(req.user.id);
+    } else if (req.query.department) {
+      employeeQuery += ' AND department = ?';
+      params.push(req.query.department);
+    }
+    employeeQuery += ' ORDER BY department, name';
+    const [employees] = await connection.execute(employeeQuery, params);
+
+    const ctx = await loadRosterContext(connection, start, end, employees.map(e => e.id));
+    const rows = employees.map(employee => ({
+      ...employee,
+      days: Object.fromEntries(dates.map(date => {
+        const day = resolveRosterDay(ctx, employee, date);
+        return [date, {
+          rostered: day.rostered,
+          shift_id: day.shift ? day.shift.id : null,
+          source: day.source,
+          ...(day.shift ? getShiftWindow(day.shift, date) : {})
+        }];
+      }))
+    }));
+
+    res.json({
+      dates,
+      shifts: [...ctx.shifts.values()].map(formatShiftRow),
+      employees: rows
+    });
+  } catch (err) {
+    console.error('Error building shift roster:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// PUT /api/shifts/roster/overrides - Set one employee's shift for one date (shift_id null = day off)
+router.put('/roster/overrides', requirePermission(...MANAGE), async (req, res) => {
+  const employeeId = parseInt(req.body.employee_id, 10);
+  const date = String(req.body.date || '').trim();
+  const shiftId = req.body.shift_id ? parseInt(req.body.shift_id, 10) : null;
+  if (isNaN(employeeId) || !DATE_RE.test(date) || Number.isNaN(shiftId)) {
+    return res.status(400).json({ error: 'employee_id and date (YYYY-MM-DD) are required' });
+  }
+
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    if (shiftId) {
+      const [shifts] = await connection.execute('SELECT id FROM shifts WHERE id = ?', [shiftId]);
+      if (shifts.length === 0) {
+        return res.status(400).json({ error: 'Shift not found' });
+      }
+    }
+    await connection.execute(
+      `INSERT INTO shift_roster_overrides (employee_id, date, shift_id, source, created_by_id) VALUES (?, ?, ?, 'manual', ?)
+       ON DUPLICATE KEY UPDATE shift_id = VALUES(shift_id), source = 'manual', swap_request_id = NULL, created_by_id = VALUES(created_by_id)`,
+      [employeeId, date, shiftId, req.user ? req.user.id : null]
+    );
+    res.json({ message: 'Roster updated successfully' });
+  } catch (err) {
+    console.error('Error saving roster override:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// DELETE /api/shifts/roster/overrides?employee_id=&date= - Back to the weekly assignment for that date
+router.delete('/roster/overrides', requirePermission(...MANAGE), async (req, res) => {
+  const { employee_id, date } = req.query;
+  if (!employee_id || !DATE_RE.test(String(date || ''))) {
+    return res.status(400).json({ error: 'employee_id and date (YYYY-MM-DD) are required' });
+  }
+
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    await connection.execute('DELETE FROM shift_roster_overrides WHERE employee_id = ? AND date = ?', [employee_id, date]);
+    res.json({ message: 'Roster override removed' });
+  } catch (err) {
+    console.error('Error removing roster override:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// ===== Shift swaps =====
+// Pending -> (colleague) Accepted / Declined -> (roster manager) Approved / Rejected. The requester can cancel
+// until it is reviewed. Approval exchanges the two employees' rosters on both dates.
+
+const SWAP_SELECT = `
+  SELECT sw.id, sw.requester_id, req.name AS requester_name, DATE_FORMAT(sw.requester_date, '%Y-%m-%d') AS requester_date,
+         sw.target_id, tgt.name AS target_name, DATE_FORMAT(sw.target_date, '%Y-%m-%d') AS target_date,
+         sw.reason, sw.status, sw.responded_at, sw.reviewed_by, sw.reviewed_at, sw.review_note, sw.created_at
+  FROM shift_swap_requests sw
+  LEFT JOIN employees req ON req.id = sw.requester_id
+  LEFT JOIN employees tgt ON tgt.id = sw.target_id
+`;
+
+const getSwap = async (connection, id) => {
+  const [rows] = await connection.execute(`${SWAP_SELECT} WHERE sw.id = ?`, [id]);
+  return rows[0] || null;
+};
+
+// GET /api/shifts/swaps?status= - Roster managers see every request, others the ones they are part of
+router.get('/swaps', async (req, res) => {
+  const where = [];
+  const params = [];
+  if (!canManageRoster(req.user)) {
+    where.push('(sw.requester_id = ? OR sw.target_id = ?)');
+    params.push(req.user.id, req.user.id);
+  }
+  if (req.query.status) {
+    where.push('sw.status = ?');
+    params.push(req.query.status);
+  }
+
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const [rows] = await connection.execute(
+      `${SWAP_SELECT} ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY sw.created_at DESC`,
+      params
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('Error fetching shift swaps:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// POST /api/shifts/swaps - Ask a colleague to swap { requester_date, target_id, target_date, reason }
+router.post('/swaps', async (req, res) => {
+  const requesterDate = String(req.body.requester_date || '').trim();
+  const targetDate = String(req.body.target_date || requesterDate).trim();
+  const targetId = parseInt(req.body.target_id, 10);
+  if (!DATE_RE.test(requesterDate) || !DATE_RE.test(targetDate) || isNaN(targetId)) {
+    return res.status(400).json({ error: 'requester_date, target_id and target_date are required' });
+  }
+  if (targetId === req.user.id) {
+    return res.status(400).json({ error: 'You cannot swap a shift with yourself' });
+  }
+  const today = getOrgNow().split(' ')[0];
+  if (requesterDate < today || targetDate < today) {
+    return res.status(400).json({ error: 'Only upcoming shifts can be swapped' });
+  }
+
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+
+    const [employees] = await connection.execute(
+      `SELECT id, name, department FROM employees WHERE id IN (?, ?) AND status = 'Active'`,
+      [req.user.id, targetId]
+    );
+    const requester = employees.find(e => e.id === req.user.id);
+    const target = employees.find(e => e.id === targetId);
+    if (!requester || !target) {
+      return res.status(400).json({ error: 'Employee not found' });
+    }
+
+    const from = requesterDate < targetDate ? requesterDate : targetDate;
+    const to = requesterDate < targetDate ? targetDate : requesterDate;
+    const ctx = await loadRosterContext(connection, from, to, [requester.id, target.id]);
+    const mine = resolveRosterDay(ctx, requester, requesterDate);
+    const theirs = resolveRosterDay(ctx, target, targetDate);
+    if (!mine.shift) {
+      return res.status(400).json({ error: 'You have no rostered shift on that date' });
+    }
+    if (!theirs.rostered) {
+      return res.status(400).json({ error: `${target.name} is not on the roster for that date` });
+    }
+
+    const [result] = await connection.execute(
+      `INSERT INTO shift_swap_requests (requester_id, requester_date, target_id, target_date, reason) VALUES (?, ?, ?, ?, ?)`,
+      [requester.id, requesterDate, target.id, targetDate, sanitizeForMySQL(req.body.reason) || null]
+    );
+    try {
+      await createNotification(target.id, null, 'shift_swap_request', 'Shift swap request',
+        `${requester.name} asked to swap their ${mine.shift.name} shift on ${requesterDate} with your roster on ${targetDate}.`);
+    } catch (notifyErr) { console.warn('Failed to create shift swap notification:', notifyErr); }
+
+    res.status(201).json(await getSwap(connection, result.insertId));
+  } catch (err) {
+    console.error('Error creating shift swap request:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// POST /api/shifts/swaps/:id/respond - The colleague accepts or declines { accept: true|false }
+router.post('/swaps/:id/respond', async (req, res) => {
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const swap = await getSwap(connection, req.params.id);
+    if (!swap) return res.status(404).json({ error: 'Swap request not found' });
+    if (swap.target_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the colleague asked can respond to this swap' });
+    }
+    if (swap.status !== 'Pending') {
+      return res.status(400).json({ error: `Swap request is already ${swap.status.toLowerCase()}` });
+    }
+
+    const status = req.body.accept ? 'Accepted' : 'Declined';
+    await connection.execute(
+      'UPDATE shift_swap_requests SET status = ?, responded_at = ? WHERE id = ?',
+      [status, getOrgNow(), swap.id]
+    );
+    try {
+      await createNotification(swap.requester_id, null, 'shift_swap_response', `Shift swap ${status.toLowerCase()}`,
+        `${swap.target_name} ${status.toLowerCase()} your shift swap for ${swap.requester_date}.${status === 'Accepted' ? ' It now needs manager approval.' : ''}`);
+    } catch (notifyErr) { console.warn('Failed to create shift swap notification:', notifyErr); }
+
+    res.json(await getSwap(connection, swap.id));
+  } catch (err) {
+    console.error('Error responding to shift swap:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// POST /api/shifts/swaps/:id/review - A roster manager approves or rejects { approve: true|false, note }
+router.post('/swaps/:id/review', requirePermission(...MANAGE), async (req, res) => {
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const swap = await getSwap(connection, req.params.id);
+    if (!swap) return res.status(404).json({ error: 'Swap request not found' });
+    if (swap.status !== 'Accepted') {
+      return res.status(400).json({ error: 'Only swaps the colleague has accepted can be reviewed' });
+    }
+
+    await connection.beginTransaction();
+    try {
+      const status = req.body.approve ? 'Approved' : 'Rejected';
+      if (status === 'Approved') {
+        const [employees] = await connection.execute(
+          'SELECT id, department FROM employees WHERE id IN (?, ?)',
+          [swap.requester_id, swap.target_id]
+        );
+        const requester = employees.find(e => e.id === swap.requester_id) || { id: swap.requester_id };
+        const target = employees.find(e => e.id === swap.target_id) || { id: swap.target_id };
+        const dates = [...new Set([swap.requester_date, swap.target_date])].sort();
+        const ctx = await loadRosterContext(connection, dates[0], dates[dates.length - 1], [requester.id, target.id]);
+
+        // Exchange the two rosters on each date, as they stand right now
+        for (const date of dates) {
+          const requesterShift = resolveRosterDay(ctx, requester, date).shift;
+          const targetShift = resolveRosterDay(ctx, target, date).shift;
+          for (const [employeeId, shift] of [[requester.id, targetShift], [target.id, requesterShift]]) {
+            await connection.execute(
+              `INSERT INTO shift_roster_overrides (employee_id, date, shift_id, source, swap_request_id, created_by_id)
+               VALUES (?, ?, ?, 'swap', ?, ?)
+               ON DUPLICATE KEY UPDATE shift_id = VALUES(shift_id), source = 'swap',
+                 swap_request_id = VALUES(swap_request_id), created_by_id = VALUES(created_by_id)`,
+              [employeeId, date, shift ? shift.id : null, swap.id, req.user.id]
+            );
+          }
+        }
+      }
+      await connection.execute(
+        'UPDATE shift_swap_requests SET status = ?, reviewed_by_id = ?, reviewed_by = ?, reviewed_at = ?, review_note = ? WHERE id = ?',
+        [status, req.user.id, req.user.name || null, getOrgNow(), sanitizeForMySQL(req.body.note) || null, swap.id]
+      );
+      await connection.commit();
+
+      for (const employeeId of [swap.requester_id, swap.target_id]) {
+        try {
+          await createNotification(employeeId, null, 'shift_swap_review', `Shift swap ${status.toLowerCase()}`,
+            `The shift swap between ${swap.requester_name} (${swap.requester_date}) and ${swap.target_name} (${swap.target_date}) was ${status.toLowerCase()}.`);
+        } catch (notifyErr) { console.warn('Failed to create shift swap notification:', notifyErr); }
+      }
+      console.log(`🔁 Shift swap ${swap.id} ${status.toLowerCase()} by ${req.user.name}`);
+    } catch (err) {
+      await connection.rollback();
+      throw err;
+    }
+
+    res.json(await getSwap(connection, swap.id));
+  } catch (err) {
+    console.error('Error reviewing shift swap:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// POST /api/shifts/swaps/:id/cancel - The requester withdraws a swap that has not been reviewed
+router.post('/swaps/:id/cancel', async (req, res) => {
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const swap = await getSwap(connection, req.params.id);
+    if (!swap) return res.status(404).json({ error: 'Swap request not found' });
+    if (swap.requester_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the requester can cancel this swap' });
+    }
+    if (!['Pending', 'Accepted'].includes(swap.status)) {
+      return res.status(400).json({ error: `Swap request is already ${swap.status.toLowerCase()}` });
+    }
+    await connection.execute(`UPDATE shift_swap_requests SET status = 'Cancelled' WHERE id = ?`, [swap.id]);
+    res.json(await getSwap(connection, swap.id));
+  } catch (err) {
+    console.error('Error cancelling shift swap:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// ===== Single shift definition (after the named sub-routes) =====
+
+// PUT /api/shifts/:id - Update a shift definition
+router.put('/:id', requirePermission(...MANAGE), async (req, res) => {
+  const { error, values } = readShiftBody(req.body || {});
+  if (error) return res.status(400).json({ error });
+
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const [result] = await connection.execute(
+      `UPDATE shifts SET name = ?, start_time = ?, end_time = ?, break_minutes = ?, grace_minutes = ?, color = ?, status = ? WHERE id = ?`,
+      [values.name, values.start_time, values.end_time, values.break_minutes, values.grace_minutes, values.color, values.status, req.params.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Shift not found' });
+    }
+    const [rows] = await connection.execute('SELECT * FROM shifts WHERE id = ?', [req.params.id]);
+    res.json(formatShiftRow(rows[0]));
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ error: 'A shift with this name already exists' });
+    }
+    console.error('Error updating shift:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+// DELETE /api/shifts/:id - Delete a shift the roster does not use (otherwise mark it Inactive)
+router.delete('/:id', requirePermission(...MANAGE), async (req, res) => {
+  const shiftId = parseInt(req.params.id, 10);
+  if (isNaN(shiftId)) return res.status(400).json({ error: 'Invalid shift id' });
+
+  let connection;
+  try {
+    connection = await mysqlPool.getConnection();
+    await connection.ping();
+    const [assigned] = await connection.execute(
+      `SELECT (SELECT COUNT(*) FROM shift_assignments WHERE shift_id = ?) + (SELECT COUNT(*) FROM shift_roster_overrides WHERE shift_id = ?) AS count`,
+      [shiftId, shiftId]
+    );
+    const [rotations] = await connection.execute('SELECT pattern FROM shift_rotations');
+    const inRotation = rotations.some(r => parsePattern(r.pattern).includes(shiftId));
+    if (Number(assigned[0].count) > 0 || inRotation) {
+      return res.status(400).json({ error: 'Shift is used by the roster; mark it Inactive instead' });
+    }
+    const [result] = await connection.execute('DELETE FROM shifts WHERE id = ?', [shiftId]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Shift not found' });
+    }
+    res.json({ message: 'Shift deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting shift:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    if (connection) connection.release();
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const router = require('express').Router();
 const { mysqlPool } = require('../config/database');
+const { requirePermission } = require('../middleware/permissions');
 
 // GET /api/task-config - Get task scoring configuration
 router.get('/', async (req, res) => {
@@ -77,7 +78,7 @@ router.get('/', async (req, res) => {
 });
 
 // POST /api/task-config - Update task scoring configuration
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('task_config_manage'), async (req, res) => {
   const { scoringWeights, scoringPoints } = req.body;
   let connection;
 
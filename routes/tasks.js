@@ -8,21 +8,65 @@ const xlsx = require('xlsx');
 const { mysqlPool } = require('../config/database');
 const { sanitizeForMySQL, toAssignedToString } = require('../helpers/sanitize');
 const { logTaskHistory } = require('../helpers/taskHistory');
-const { getPermissionsFromHeaders } = require('../middleware/permissions');
+const { requirePermission, userHasPermission } = require('../middleware/permissions');
+const { validateRecurrence, parseRecurrence } = require('../helpers/recurrence');
+const { recordOccurrenceStatus, addOccurrenceLoggedSeconds } = require('../helpers/taskOccurrences');
+const { getOrgNow, getOrgUtcOffset, toOrgDateTime } = require('../helpers/dates');
+const {
+  resolveTaskAssignees,
+  saveTaskAssignees,
+  syncTaskAssigneesFromColumns,
+  getTaskAssignees,
+  emptyAssignees,
+  taskHasEmployeeSql
+} = require('../helpers/taskAssignees');
 const upload = multer({ storage: multer.memoryStorage() });
+
+// Helper: employee / assignedTo filters take an employee id (matched through task_assignees) or, from older clients, a name
+const buildAssigneeFilter = (value) => (/^\d+$/.test(String(value).trim())
+  ? { sql: ` AND ${taskHasEmployeeSql()}`, param: parseInt(value, 10) }
+  : { sql: ' AND assigned_to LIKE ?', param: `%${value}%` });
+
+// Middleware for routes on one task (/:id): people on the task (assignee, responsible, accountable) and whoever covers
+// it during a leave may work on it; anyone else needs the permission (edit_tasks, start_timer, ...). Managers pass.
+const requireTaskAccess = (permission) => {
+  const middleware = async (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: 'Authentication required' });
+    if (userHasPermission(req.user, permission, { allowManagers: true })) return next();
+    try {
+      const [rows] = await mysqlPool.execute(
+        `SELECT 1 FROM task_assignees
+         WHERE task_id = ? AND employee_id = ? AND role IN ('assignee', 'responsible', 'accountable')
+         UNION ALL
+         SELECT 1 FROM leave_task_handovers WHERE task_id = ? AND cover_employee_id = ? AND status = 'active'
+         LIMIT 1`,
+        [req.params.id, req.user.id, req.params.id, req.user.id]
+      );
+      if (rows.length > 0) return next();
+      res.status(403).json({ error: 'You can only work on tasks you are assigned to', requiredPermission: permission, allowManagers: true });
+    } catch (err) {
+      console.error('Error checking task access:', err);
+      res.status(500).json({ error: 'Database error' });
+    }
+  };
+  middleware.permissionRule = { permissions: [permission], allowManagers: true };
+  return middleware;
+};
+
 // TODO: Copy handlers - this is the largest route file (~2400 lines)
  // Task API Routes
  // Get all tasks (optimized)
  router.get('/', async (req, res) => {
-    const { user_id, role, employee_name, department, employee, page = 1, limit = 50, all, search, status, priority, complexity, impact, effortEstimateLabel, unit, target, labels, assignedTo } = req.query;
+    const { department, employee, page = 1, limit = 50, all, search, status, priority, complexity, impact, effortEstimateLabel, unit, target, labels, assignedTo } = req.query;
     
     // Check if all tasks are requested (for timer management)
     const getAll = all === 'true';
     
     // Get user permissions from headers FIRST
-    const userPermissions = req.headers['user-permissions'] ? JSON.parse(req.headers['user-permissions']) : [];
-    const userRole = req.headers['user-role'] || role || 'employee';
-    const userName = req.headers['user-name'] || employee_name || '';
+    const userPermissions = req.user.permissions;
+    const userRole = req.user.role;
+    const userName = req.user.name || '';
+    const userId = req.user.id;
     
     // Force pagination for all users (including admin) - only skip when explicitly requesting all
     const isAdmin = (userRole === 'admin' || userRole === 'Admin');
@@ -35,7 +79,7 @@ const upload = multer({ storage: multer.memoryStorage() });
     
     // Debug logging
     console.log('🔍 Backend Debug - Tasks API Request:', {
-      headers: req.headers,
+      userId: req.user.id,
       userPermissions: userPermissions,
       userRole: userRole,
       userName: userName,
@@ -45,7 +89,7 @@ const upload = multer({ storage: multer.memoryStorage() });
     });
                 
     // Optimized query with better indexing strategy - include all necessary fields
-    let query = 'SELECT id, title, status, priority, department, assigned_to, created_at, updated_at, due_date, timer_started_at, logged_seconds, labels, complexity, impact, effort_estimate_label, unit, target, time_estimate_hours, time_estimate_minutes, checklist, checklist_completed, file_links, video_links FROM tasks WHERE 1=1';
+    let query = 'SELECT id, title, status, priority, department, assigned_to, created_at, updated_at, due_date, timer_started_at, logged_seconds, labels, complexity, impact, effort_estimate_label, unit, target, time_estimate_hours, time_estimate_minutes, checklist, checklist_completed, file_links, video_links, recurrence FROM tasks WHERE 1=1';
     let countQuery = 'SELECT COUNT(*) as total FROM tasks WHERE 1=1';
     const params = [];
     const countParams = [];
@@ -61,22 +105,13 @@ const upload = multer({ storage: multer.memoryStorage() });
     const hasViewAllTasksPermission = userPermissions.includes('view_tasks') || userPermissions.includes('all');
     
     // If user only has view_own_tasks permission, filter by assigned_to
-    if (hasViewOwnTasks && !hasViewAllTasksPermission && !isAdminUser && userName) {
-      // If user also has dwm_view permission, include incomplete DWM tasks assigned to them
-      if (hasDwmView) {
-        // Include own tasks OR incomplete DWM tasks assigned to the user (daily/weekly/monthly)
-        query += ' AND (assigned_to LIKE ? OR (assigned_to LIKE ? AND status != \'Completed\' AND (LOWER(IFNULL(labels,\'\')) LIKE \'%daily%\' OR LOWER(IFNULL(labels,\'\')) LIKE \'%weekly%\' OR LOWER(IFNULL(labels,\'\')) LIKE \'%monthly%\')))';
-        countQuery += ' AND (assigned_to LIKE ? OR (assigned_to LIKE ? AND status != \'Completed\' AND (LOWER(IFNULL(labels,\'\')) LIKE \'%daily%\' OR LOWER(IFNULL(labels,\'\')) LIKE \'%weekly%\' OR LOWER(IFNULL(labels,\'\')) LIKE \'%monthly%\')))';
-        params.push(`%${userName}%`, `%${userName}%`);
-        countParams.push(`%${userName}%`, `%${userName}%`);
-        console.log(`🔒 Filtering tasks for user ${userName} - showing own tasks + own incomplete DWM tasks`);
-      } else {
-        query += ' AND assigned_to LIKE ?';
-        countQuery += ' AND assigned_to LIKE ?';
-        params.push(`%${userName}%`);
-        countParams.push(`%${userName}%`);
-        console.log(`🔒 Filtering tasks for user ${userName} - only showing own tasks`);
-      }
+    if (hasViewOwnTasks && !hasViewAllTasksPermission && !isAdminUser && userId) {
+      // Own tasks are matched on employee id through task_assignees (own incomplete DWM tasks are a subset)
+      query += ` AND ${taskHasEmployeeSql()}`;
+      countQuery += ` AND ${taskHasEmployeeSql()}`;
+      params.push(userId);
+      countParams.push(userId);
+      console.log(`🔒 Filtering tasks for user ${userName} - only showing own tasks`);
     } else if (hasViewAllTasksPermission || isAdminUser) {
       console.log(`🔓 User has view all tasks permission or is admin - showing all tasks`);
     } else if (hasViewTasksContent && !hasViewOwnTasks && !hasViewAllTasksPermission && !isAdminUser) {
@@ -107,10 +142,11 @@ const upload = multer({ storage: multer.memoryStorage() });
       countParams.push(department);
     }
     if (employee) {
-      query += ' AND assigned_to LIKE ?';
-      countQuery += ' AND assigned_to LIKE ?';
-      params.push(`%${employee}%`);
-      countParams.push(`%${employee}%`);
+      const assigneeFilter = buildAssigneeFilter(employee);
+      query += assigneeFilter.sql;
+      countQuery += assigneeFilter.sql;
+      params.push(assigneeFilter.param);
+      countParams.push(assigneeFilter.param);
     }
     if (status) {
       const statusParts = String(status).split(',').map(s => s.trim()).filter(Boolean);
@@ -186,10 +222,11 @@ const upload = multer({ storage: multer.memoryStorage() });
       }
     }
     if (assignedTo) {
-      query += ' AND assigned_to LIKE ?';
-      countQuery += ' AND assigned_to LIKE ?';
-      params.push(`%${assignedTo}%`);
-      countParams.push(`%${assignedTo}%`);
+      const assigneeFilter = buildAssigneeFilter(assignedTo);
+      query += assigneeFilter.sql;
+      countQuery += assigneeFilter.sql;
+      params.push(assigneeFilter.param);
+      countParams.push(assigneeFilter.param);
     }
                 
     // Use indexed column for ordering
@@ -219,12 +256,17 @@ const upload = multer({ storage: multer.memoryStorage() });
                   ]);
                   
                   const total = countResult[0][0].total;
+                  const assigneesByTask = await getTaskAssignees(mysqlPool, results[0].map(task => task.id));
                   
                   // Format timer_started_at to ISO format for JavaScript Date parsing (matching backup format)
                   // Also filter checklist_completed by date (reset if not today)
                   const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
                   const formattedTasks = results[0].map(task => {
-                    let updatedTask = { ...task };
+                    let updatedTask = {
+                      ...task,
+                      recurrence: parseRecurrence(task.recurrence),
+                      assignees: assigneesByTask.get(task.id) || emptyAssignees()
+                    };
                     
                     // Format timer_started_at
                     if (task.timer_started_at) {
@@ -313,19 +355,23 @@ const upload = multer({ storage: multer.memoryStorage() });
                   }
               });
   
-              // Get task IDs for which the employee has logged time on the given date (workload completion check)
+              // Get recurring task IDs whose occurrence due on the given date the employee has completed or logged time on
               router.get('/workload-completion', async (req, res) => {
-                const { employee_name, date } = req.query;
-                if (!employee_name || !date) {
-                  return res.status(400).json({ error: 'employee_name and date (YYYY-MM-DD) are required' });
+                const { employee_id, date } = req.query;
+                const employeeId = parseInt(employee_id, 10);
+                if (!employeeId || !date) {
+                  return res.status(400).json({ error: 'employee_id and date (YYYY-MM-DD) are required' });
                 }
                 let connection;
                 try {
                   connection = await mysqlPool.getConnection();
                   const [rows] = await connection.execute(
-                    `SELECT DISTINCT task_id FROM task_timesheet 
-                     WHERE employee_name = ? AND DATE(start_time) = ?`,
-                    [employee_name.trim(), date]
+                    `SELECT DISTINCT o.task_id
+                     FROM task_occurrences o
+                     JOIN task_assignees ta ON ta.task_id = o.task_id AND ta.role = 'assignee'
+                     WHERE o.due_date = ? AND ta.employee_id = ?
+                       AND (o.completed_at IS NOT NULL OR o.logged_seconds > 0)`,
+                    [date, employeeId]
                   );
                   res.json({ completed_task_ids: rows.map(r => r.task_id) });
                 } catch (err) {
@@ -338,12 +384,13 @@ const upload = multer({ storage: multer.memoryStorage() });
   
               // Get task summary (counts only - optimized for dashboard)
               router.get('/summary', async (req, res) => {
-                const { user_id, role, employee_name, department, employee, search, status, priority, complexity, impact, effortEstimateLabel, unit, target, labels, assignedTo } = req.query;
+                const { department, employee, search, status, priority, complexity, impact, effortEstimateLabel, unit, target, labels, assignedTo } = req.query;
                 
                 // Get user permissions from headers
-                const userPermissions = req.headers['user-permissions'] ? JSON.parse(req.headers['user-permissions']) : [];
-                const userRole = req.headers['user-role'] || role || 'employee';
-                const userName = req.headers['user-name'] || employee_name || '';
+                const userPermissions = req.user.permissions;
+                const userRole = req.user.role;
+                const userName = req.user.name || '';
+                const userId = req.user.id;
                 
                 // Build WHERE clause (same logic as /api/tasks but only return counts)
                 let query = `
@@ -368,14 +415,10 @@ const upload = multer({ storage: multer.memoryStorage() });
                 const hasViewAllTasksPermission = userPermissions.includes('view_tasks') || userPermissions.includes('all');
                 
                 // If user only has view_own_tasks permission, filter by assigned_to
-                if (hasViewOwnTasks && !hasViewAllTasksPermission && !isAdminUser && userName) {
-                  if (hasDwmView) {
-                    query += ' AND (assigned_to LIKE ? OR (assigned_to LIKE ? AND status != \'Completed\' AND (LOWER(IFNULL(labels,\'\')) LIKE \'%daily%\' OR LOWER(IFNULL(labels,\'\')) LIKE \'%weekly%\' OR LOWER(IFNULL(labels,\'\')) LIKE \'%monthly%\')))';
-                    params.push(`%${userName}%`, `%${userName}%`);
-                  } else {
-                    query += ' AND assigned_to LIKE ?';
-                    params.push(`%${userName}%`);
-                  }
+                if (hasViewOwnTasks && !hasViewAllTasksPermission && !isAdminUser && userId) {
+                  // Own tasks are matched on employee id through task_assignees (own incomplete DWM tasks are a subset)
+                  query += ` AND ${taskHasEmployeeSql()}`;
+                  params.push(userId);
                 } else if (hasViewAllTasksPermission || isAdminUser) {
                   // User can see all tasks
                 } else if (hasViewTasksContent && !hasViewOwnTasks && !hasViewAllTasksPermission && !isAdminUser) {
@@ -397,8 +440,9 @@ const upload = multer({ storage: multer.memoryStorage() });
                   params.push(department);
                 }
                 if (employee) {
-                  query += ' AND assigned_to LIKE ?';
-                  params.push(`%${employee}%`);
+                  const assigneeFilter = buildAssigneeFilter(employee);
+                  query += assigneeFilter.sql;
+                  params.push(assigneeFilter.param);
                 }
                 if (status) {
                   const statusParts = String(status).split(',').map(s => s.trim()).filter(Boolean);
@@ -453,8 +497,9 @@ const upload = multer({ storage: multer.memoryStorage() });
                   }
                 }
                 if (assignedTo) {
-                  query += ' AND assigned_to LIKE ?';
-                  params.push(`%${assignedTo}%`);
+                  const assigneeFilter = buildAssigneeFilter(assignedTo);
+                  query += assigneeFilter.sql;
+                  params.push(assigneeFilter.param);
                 }
                 
                 try {
@@ -628,6 +673,8 @@ const upload = multer({ storage: multer.memoryStorage() });
                   // Filter checklist_completed by date (reset if not today)
                   const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
                   const task = results[0];
+                  task.recurrence = parseRecurrence(task.recurrence);
+                  task.assignees = (await getTaskAssignees(mysqlPool, [task.id])).get(task.id) || emptyAssignees();
                   
                   if (task.checklist_completed) {
                     try {
@@ -668,10 +715,13 @@ const upload = multer({ storage: multer.memoryStorage() });
                     title, department, task_category, project, start_date, due_date, without_due_date,
                     assigned_to, status, description, responsible, accountable, consulted, informed, trained,
                     labels, milestones, priority, complexity, impact, unit, target, effort_estimate_label, time_estimate_hours, time_estimate_minutes, make_private, share, \`repeat\`, \`is_dependent\`,
-                    validation_by, effort_label, checklist, workflow_guide, file_links, video_links
-                  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    validation_by, effort_label, checklist, workflow_guide, file_links, video_links, recurrence
+                  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
                 `;
                 const opt = (v) => sanitizeForMySQL(v === undefined || v === null || (typeof v === 'string' && v.trim && v.trim() === '') ? null : v);
+                const recurrence = parseRecurrence(taskData.recurrence);
+                const assignees = await resolveTaskAssignees(connection, taskData);
+                const roleColumn = (role) => (assignees[role] ? assignees[role].column : null);
                 const values = [
                   sanitizeForMySQL(taskData.title), 
                   opt(taskData.department), 
@@ -680,14 +730,14 @@ const upload = multer({ storage: multer.memoryStorage() });
                   opt(taskData.startDate), 
                   opt(taskData.dueDate), 
                   taskData.withoutDueDate ? 1 : 0,
-                  toAssignedToString(taskData) || null, 
+                  roleColumn('assignee'), 
                   sanitizeForMySQL(taskData.status) || 'Pending', 
                   sanitizeForMySQL(taskData.description !== undefined ? taskData.description : ''),
-                  sanitizeForMySQL(taskData.responsible !== undefined ? taskData.responsible : null), 
-                  sanitizeForMySQL(taskData.accountable !== undefined ? taskData.accountable : null), 
-                  sanitizeForMySQL(taskData.consulted !== undefined ? taskData.consulted : null), 
-                  sanitizeForMySQL(taskData.informed !== undefined ? taskData.informed : null), 
-                  sanitizeForMySQL(taskData.trained !== undefined ? taskData.trained : null),
+                  roleColumn('responsible'), 
+                  roleColumn('accountable'), 
+                  roleColumn('consulted'), 
+                  roleColumn('informed'), 
+                  roleColumn('trained'),
                   sanitizeForMySQL(taskData.labels !== undefined ? taskData.labels : null), 
                   sanitizeForMySQL(taskData.milestones !== undefined ? taskData.milestones : null), 
                   sanitizeForMySQL(taskData.priority) || 'Medium',
@@ -707,10 +757,12 @@ const upload = multer({ storage: multer.memoryStorage() });
                   sanitizeForMySQL(taskData.checklist !== undefined ? taskData.checklist : ''), 
                   sanitizeForMySQL(taskData.workflowGuide !== undefined ? taskData.workflowGuide : ''),
                   sanitizeForMySQL(taskData.fileLinks !== undefined ? taskData.fileLinks : null),
-                  sanitizeForMySQL(taskData.videoLinks !== undefined ? taskData.videoLinks : null)
+                  sanitizeForMySQL(taskData.videoLinks !== undefined ? taskData.videoLinks : null),
+                  recurrence ? JSON.stringify(recurrence) : null
                 ];
                 const [result] = await connection.execute(query, values);
                 const newTaskId = result.insertId;
+                await saveTaskAssignees(connection, newTaskId, assignees);
                 await logTaskHistory(
                   newTaskId,
                   'Created',
@@ -722,11 +774,11 @@ const upload = multer({ storage: multer.memoryStorage() });
               };
   
               router.post('/', async (req, res) => {
-                const userRole = req.headers['user-role'] || 'employee';
-                if (!userRole && !req.headers['x-user-id']) {
-                  return res.status(401).json({ error: 'Authentication required to create tasks.' });
-                }
                 const taskData = req.body;
+                const { error: recurrenceError } = validateRecurrence(taskData.recurrence);
+                if (recurrenceError) {
+                  return res.status(400).json({ error: recurrenceError });
+                }
                 let connection;
                 try {
                   connection = await mysqlPool.getConnection();
@@ -764,7 +816,8 @@ const upload = multer({ storage: multer.memoryStorage() });
                   for (const emp of employees) {
                     const taskPayload = {
                       ...baseTaskPayload,
-                      // Override assigned_to via toAssignedToString by setting appropriate fields
+                      // One task per employee: the designation's employee is the only assignee
+                      assignees: { ...(baseTaskPayload.assignees || {}), assignee: [emp.id] },
                       assignedTo: emp.name,
                       department: baseTaskPayload.department || emp.department || null,
                     };
@@ -786,28 +839,20 @@ const upload = multer({ storage: multer.memoryStorage() });
               };
   
               // Admin-only endpoint to create tasks by designation
-              router.post('/by-designation', async (req, res) => {
+              router.post('/by-designation', requirePermission('create_tasks_by_designation'), async (req, res) => {
                 const { designation, task } = req.body || {};
-                const userRole = req.headers['user-role'] || 'employee';
-                const userPermissions = req.headers['user-permissions'] ? JSON.parse(req.headers['user-permissions']) : [];
   
                 if (!designation || typeof designation !== 'string' || !designation.trim()) {
                   return res.status(400).json({ error: 'designation is required' });
                 }
   
-                const isAdminUser = userRole === 'admin' || userRole === 'Admin';
-                const hasPermission =
-                  isAdminUser ||
-                  userPermissions.includes('all') ||
-                  userPermissions.includes('create_tasks_by_designation');
-  
-                if (!hasPermission) {
-                  return res.status(403).json({ error: 'Access denied: You do not have permission to create tasks by designation' });
-                }
-  
                 if (!task || !task.title) {
                   return res.status(400).json({ error: 'Task payload with at least a title is required' });
                 }
+                const { error: recurrenceError } = validateRecurrence(task.recurrence);
+                if (recurrenceError) {
+                  return res.status(400).json({ error: recurrenceError });
+                }
   
                 try {
                   const result = await createTasksByDesignation(task, designation.trim());
@@ -819,7 +864,7 @@ const upload = multer({ storage: multer.memoryStorage() });
               });
   
               // Update task
-              router.put('/:id', async (req, res) => {
+              router.put('/:id', requireTaskAccess('edit_tasks'), async (req, res) => {
                 const taskId = req.params.id;
                 const taskData = req.body;
                 
@@ -865,9 +910,18 @@ const upload = multer({ storage: multer.memoryStorage() });
                   updateFields.push('without_due_date = ?');
                   values.push(taskData.withoutDueDate ? 1 : 0);
                 }
-                if (taskData.assigned_to !== undefined || taskData.assignedTo !== undefined) {
+                // Assignee and RACI columns are written from the resolved task_assignees rows
+                let assignees = {};
+                try {
+                  assignees = await resolveTaskAssignees(mysqlPool, taskData);
+                } catch (err) {
+                  console.error('Error resolving task assignees:', err);
+                  res.status(500).json({ error: 'Database error' });
+                  return;
+                }
+                if (assignees.assignee) {
                   updateFields.push('assigned_to = ?');
-                  values.push(toAssignedToString(taskData) || null);
+                  values.push(assignees.assignee.column);
                 }
                 if (taskData.status !== undefined) {
                   updateFields.push('status = ?');
@@ -877,25 +931,25 @@ const upload = multer({ storage: multer.memoryStorage() });
                   updateFields.push('description = ?');
                   values.push(sanitizeForMySQL(taskData.description));
                 }
-                if (taskData.responsible !== undefined) {
+                if (assignees.responsible) {
                   updateFields.push('responsible = ?');
-                  values.push(sanitizeForMySQL(taskData.responsible));
+                  values.push(assignees.responsible.column);
                 }
-                if (taskData.accountable !== undefined) {
+                if (assignees.accountable) {
                   updateFields.push('accountable = ?');
-                  values.push(sanitizeForMySQL(taskData.accountable));
+                  values.push(assignees.accountable.column);
                 }
-                if (taskData.consulted !== undefined) {
+                if (assignees.consulted) {
                   updateFields.push('consulted = ?');
-                  values.push(sanitizeForMySQL(taskData.consulted));
+                  values.push(assignees.consulted.column);
                 }
-                if (taskData.informed !== undefined) {
+                if (assignees.informed) {
                   updateFields.push('informed = ?');
-                  values.push(sanitizeForMySQL(taskData.informed));
+                  values.push(assignees.informed.column);
                 }
-                if (taskData.trained !== undefined) {
+                if (assignees.trained) {
                   updateFields.push('trained = ?');
-                  values.push(sanitizeForMySQL(taskData.trained));
+                  values.push(assignees.trained.column);
                 }
                 if (taskData.labels !== undefined) {
                   updateFields.push('labels = ?');
@@ -988,6 +1042,15 @@ const upload = multer({ storage: multer.memoryStorage() });
                   updateFields.push('video_links = ?');
                   values.push(sanitizeForMySQL(taskData.videoLinks));
                 }
+                if (taskData.recurrence !== undefined) {
+                  const { recurrence, error: recurrenceError } = validateRecurrence(taskData.recurrence);
+                  if (recurrenceError) {
+                    res.status(400).json({ error: recurrenceError });
+                    return;
+                  }
+                  updateFields.push('recurrence = ?');
+                  values.push(recurrence ? JSON.stringify(recurrence) : null);
+                }
   
                 // Always update the updated_at timestamp
                 updateFields.push('updated_at = CURRENT_TIMESTAMP');
@@ -1018,6 +1081,14 @@ const upload = multer({ storage: multer.memoryStorage() });
                     res.status(404).json({ error: 'Task not found' });
                     return;
                   }
+                  await saveTaskAssignees(mysqlPool, taskId, assignees);
+                  if (taskData.status !== undefined) {
+                    try {
+                      await recordOccurrenceStatus(mysqlPool, taskId, taskData.status, req.user);
+                    } catch (occurrenceErr) {
+                      console.error('Error recording task occurrence status:', occurrenceErr);
+                    }
+                  }
                   res.json({ message: 'Task updated successfully' });
                 } catch (err) {
                   console.error('Error updating task:', err);
@@ -1041,7 +1112,7 @@ const upload = multer({ storage: multer.memoryStorage() });
   
   
               // Clear all timer data (for testing)
-              router.post('/clear-timers', async (req, res) => {
+              router.post('/clear-timers', requirePermission('all'), async (req, res) => {
                 const query = `
                   UPDATE tasks SET 
                     timer_started_at = NULL,
@@ -1058,23 +1129,14 @@ const upload = multer({ storage: multer.memoryStorage() });
               });
   
               // Delete specific task history entry (admin only) - using POST for better compatibility
-              router.post('/task-history/:id/delete', async (req, res) => {
+              router.post('/task-history/:id/delete', requirePermission('all'), async (req, res) => {
                 console.log('POST /api/task-history/:id/delete called');
                 console.log('Params:', req.params);
                 console.log('Body:', req.body);
-                console.log('Headers:', req.headers);
                 
                 const historyId = req.params.id;
-                const { user_role } = req.body;
                 
                 console.log('History ID:', historyId);
-                console.log('User Role:', user_role);
-                
-                // Check if user is admin
-                if (user_role !== 'admin') {
-                  console.log('Access denied: user_role is not admin');
-                  return res.status(403).json({ error: 'Only administrators can delete task history' });
-                }
                 
                 let connection;
                 try {
@@ -1102,23 +1164,14 @@ const upload = multer({ storage: multer.memoryStorage() });
                 }
               });
               // Delete all history for a specific task (admin only)
-              router.post('/task-history/task/:taskId/delete-all', async (req, res) => {
+              router.post('/task-history/task/:taskId/delete-all', requirePermission('all'), async (req, res) => {
                 console.log('POST /api/task-history/task/:taskId/delete-all called');
                 console.log('Params:', req.params);
                 console.log('Body:', req.body);
-                console.log('Headers:', req.headers);
                 
                 const taskId = req.params.taskId;
-                const { user_role } = req.body;
                 
                 console.log('Task ID:', taskId);
-                console.log('User Role:', user_role);
-                
-                // Check if user is admin
-                if (user_role !== 'admin') {
-                  console.log('Access denied: user_role is not admin');
-                  return res.status(403).json({ error: 'Only administrators can delete task history' });
-                }
                 
                 let connection;
                 try {
@@ -1157,9 +1210,9 @@ const upload = multer({ storage: multer.memoryStorage() });
                 }
               });
               // Start timer for task
-              router.post('/:id/start-timer', async (req, res) => {
+              router.post('/:id/start-timer', requireTaskAccess('start_timer'), async (req, res) => {
                 const taskId = req.params.id;
-                const { user_name, user_id } = req.body;
+                const { name: user_name, id: user_id } = req.user;
                 
                 let connection;
                 try {
@@ -1170,10 +1223,10 @@ const upload = multer({ storage: multer.memoryStorage() });
                 const checkUserActiveTimerQuery = `
                   SELECT id, title, timer_started_at 
                   FROM tasks 
-                  WHERE assigned_to LIKE ? AND timer_started_at IS NOT NULL
+                  WHERE ${taskHasEmployeeSql()} AND timer_started_at IS NOT NULL
                 `;
                 
-                  const [activeTasks] = await connection.execute(checkUserActiveTimerQuery, [`%${user_name}%`]);
+                  const [activeTasks] = await connection.execute(checkUserActiveTimerQuery, [user_id]);
                   
                   // If user already has an active timer, return error
                   if (activeTasks.length > 0) {
@@ -1187,8 +1240,8 @@ const upload = multer({ storage: multer.memoryStorage() });
                   }
                   
                   // Get the current task to check if timer is already running
-                  const getTaskQuery = 'SELECT timer_started_at, assigned_to FROM tasks WHERE id = ?';
-                  const [tasks] = await connection.execute(getTaskQuery, [taskId]);
+                  const getTaskQuery = `SELECT timer_started_at, assigned_to, ${taskHasEmployeeSql()} AS is_assignee FROM tasks WHERE id = ?`;
+                  const [tasks] = await connection.execute(getTaskQuery, [user_id, taskId]);
                   
                   if (tasks.length === 0) {
                       res.status(404).json({ error: 'Task not found' });
@@ -1198,7 +1251,7 @@ const upload = multer({ storage: multer.memoryStorage() });
                   const task = tasks[0];
                     
                     // Check if the user is assigned to this task
-                    if (!task.assigned_to || !task.assigned_to.includes(user_name)) {
+                    if (!task.is_assignee) {
                       res.status(403).json({ 
                         error: 'Access denied',
                         message: 'You are not assigned to this task'
@@ -1216,7 +1269,7 @@ const upload = multer({ storage: multer.memoryStorage() });
                     }
                     
                     // Store DATETIME format for MySQL (required by MySQL 8.4)
-                    const nowISO = new Date().toLocaleString('sv-SE', { timeZone: 'Asia/Karachi' }).replace(' ', 'T') + '.000Z';
+                    const nowISO = getOrgNow().replace(' ', 'T') + '.000Z';
                     const now = nowISO.replace('T', ' ').replace('.000Z', ''); // Convert to DATETIME format for MySQL storage
                     
                     // Start the timer with current local timestamp
@@ -1262,9 +1315,10 @@ const upload = multer({ storage: multer.memoryStorage() });
               });
   
               // Update task status with history tracking
-              router.put('/:id/status', async (req, res) => {
+              router.put('/:id/status', requireTaskAccess('edit_tasks'), async (req, res) => {
                 const taskId = req.params.id;
-                const { status, user_name, user_id, old_status } = req.body;
+                const { status, old_status } = req.body;
+                const { name: user_name, id: user_id } = req.user;
                 
                 if (!status) {
                   return res.status(400).json({ error: 'Status is required' });
@@ -1295,6 +1349,12 @@ const upload = multer({ storage: multer.memoryStorage() });
                       status
                     );
                   }
+
+                  try {
+                    await recordOccurrenceStatus(connection, taskId, status, req.user);
+                  } catch (occurrenceErr) {
+                    console.error('Error recording task occurrence status:', occurrenceErr);
+                  }
                   
                   res.json({ message: 'Task status updated successfully' });
                 } catch (err) {
@@ -1325,8 +1385,8 @@ const upload = multer({ storage: multer.memoryStorage() });
                       old_value,
                       new_value,
                       created_at,
-                      -- Convert from UTC to Pakistan time (UTC+5)
-                      DATE_FORMAT(CONVERT_TZ(created_at, '+00:00', '+05:00'), '%Y-%m-%d %H:%i:%s') as formatted_date
+                      -- Convert from UTC to the organisation timezone
+                      DATE_FORMAT(CONVERT_TZ(created_at, '+00:00', '${getOrgUtcOffset()}'), '%Y-%m-%d %H:%i:%s') as formatted_date
                     FROM task_history 
                     WHERE task_id = ? 
                     ORDER BY created_at DESC
@@ -1344,17 +1404,17 @@ const upload = multer({ storage: multer.memoryStorage() });
                 }
               });
               // Delete multiple tasks (bulk delete) - MUST be before /api/tasks/:id route
-              router.delete('/bulk', async (req, res) => {
+              router.delete('/bulk', requirePermission('delete_tasks'), async (req, res) => {
                 console.log('🔥 BULK DELETE ENDPOINT CALLED!');
                 let connection;
                 
                 try {
                   const { ids } = req.body;
                   
-                  // Get user permissions from headers
-                  const userPermissions = req.headers['user-permissions'] ? JSON.parse(req.headers['user-permissions']) : [];
-                  const userRole = req.headers['user-role'] || 'employee';
-                  const userName = req.headers['user-name'] || '';
+                  // Signed-in user (resolved by the session middleware)
+                  const userPermissions = req.user.permissions;
+                  const userRole = req.user.role;
+                  const userName = req.user.name || '';
                   
                   console.log('=== BULK DELETE SERVER DEBUG ===');
                   console.log('Bulk delete request received:', req.body);
@@ -1386,17 +1446,6 @@ const upload = multer({ storage: multer.memoryStorage() });
                     }));
                   }
                   
-                  // Check permissions (admin / global delete only; regular users cannot delete tasks)
-                  const hasDeleteAllTasks =
-                    userPermissions.includes('delete_tasks') ||
-                    userPermissions.includes('all') ||
-                    (userRole && userRole.toLowerCase() === 'admin');
-                  
-                  if (!hasDeleteAllTasks) {
-                    console.log('Access denied: User has no delete permissions');
-                    return res.status(403).json({ error: 'Access denied: You do not have permission to delete tasks. Please contact your administrator.' });
-                  }
-                  
                   // ========== FIX #5: Use transaction with row-level locking ==========
                   connection = await mysqlPool.getConnection();
                   await connection.beginTransaction();
@@ -1490,6 +1539,7 @@ const upload = multer({ storage: multer.memoryStorage() });
                   console.log('Delete query params:', taskIdsToDelete);
                   
                   const [deleteResult] = await connection.execute(deleteQuery, taskIdsToDelete);
+                  await connection.execute(`DELETE FROM task_assignees WHERE task_id IN (${deletePlaceholders})`, taskIdsToDelete);
   
                   // Commit transaction
                   await connection.commit();
@@ -1524,7 +1574,7 @@ const upload = multer({ storage: multer.memoryStorage() });
               });
   
               // Delete task
-              router.delete('/:id', async (req, res) => {
+              router.delete('/:id', requirePermission('delete_tasks'), async (req, res) => {
                 const taskId = req.params.id;
                 
                 // ========== FIX #1: Validate taskId ==========
@@ -1540,29 +1590,6 @@ const upload = multer({ storage: multer.memoryStorage() });
                   return res.status(400).json({ error: 'Task ID must be a valid positive number' });
                 }
   
-                // ========== PERMISSION CHECK: Only admins / users with global delete permission can delete tasks ==========
-                let userPermissions = [];
-                let userRole = 'employee';
-                try {
-                  userPermissions = req.headers['user-permissions']
-                    ? JSON.parse(req.headers['user-permissions'])
-                    : [];
-                } catch (e) {
-                  console.warn('Failed to parse user-permissions header for task delete:', req.headers['user-permissions']);
-                  userPermissions = [];
-                }
-                userRole = (req.headers['user-role'] || 'employee').toLowerCase();
-  
-                const hasDeleteAllTasks =
-                  userRole === 'admin' ||
-                  userPermissions.includes('all') ||
-                  userPermissions.includes('delete_tasks');
-  
-                if (!hasDeleteAllTasks) {
-                  console.log('Access denied: User has no permission to delete tasks');
-                  return res.status(403).json({ error: 'Access denied: You do not have permission to delete tasks. Please contact your administrator.' });
-                }
-  
                 let connection;
                 
                 try {
@@ -1594,6 +1621,7 @@ const upload = multer({ storage: multer.memoryStorage() });
                     res.status(404).json({ error: 'Task not found' });
                     return;
                   }
+                  await connection.execute('DELETE FROM task_assignees WHERE task_id = ?', [taskIdNum]);
                   
                   // Delete physical files from disk
                   for (const attachment of attachments) {
@@ -1620,9 +1648,10 @@ const upload = multer({ storage: multer.memoryStorage() });
               });
   
               // Stop timer for task
-              router.post('/:id/stop-timer', async (req, res) => {
+              router.post('/:id/stop-timer', requireTaskAccess('stop_timer'), async (req, res) => {
                 const taskId = req.params.id;
-                const { loggedSeconds, startTimeMs, endTimeMs, user_name, user_id, memo } = req.body;
+                const { loggedSeconds, startTimeMs, endTimeMs, memo } = req.body;
+                const { name: user_name, id: user_id } = req.user;
                 
                 let connection;
                 try {
@@ -1659,23 +1688,19 @@ const upload = multer({ storage: multer.memoryStorage() });
                   let timesheetEmployeeId = rawUserId;
   
                   try {
-                    const assignedTo = (task.assigned_to || '').toString().trim();
-                    if (assignedTo) {
-                      // Use the first assignee in a comma-separated list
-                      const firstAssigneeName = assignedTo.split(',')[0].trim();
-                      if (firstAssigneeName) {
-                        const [empMatch] = await connection.execute(
-                          'SELECT id, name FROM employees WHERE name = ? LIMIT 1',
-                          [firstAssigneeName]
-                        );
-                        if (Array.isArray(empMatch) && empMatch.length > 0) {
-                          timesheetEmployeeName = (empMatch[0].name || firstAssigneeName).toString().trim();
-                          timesheetEmployeeId = empMatch[0].id || timesheetEmployeeId;
-                        } else {
-                          // If no exact employee match, still prefer the assignee name for reporting
-                          timesheetEmployeeName = firstAssigneeName;
-                        }
-                      }
+                    // The stopping user gets the credit if they are an assignee, otherwise the first assignee does
+                    const [assigneeRows] = await connection.execute(
+                      `SELECT e.id, e.name
+                       FROM task_assignees ta
+                       JOIN employees e ON e.id = ta.employee_id
+                       WHERE ta.task_id = ? AND ta.role = 'assignee'
+                       ORDER BY (ta.employee_id = ?) DESC, ta.sort_order
+                       LIMIT 1`,
+                      [taskId, rawUserId]
+                    );
+                    if (assigneeRows.length > 0) {
+                      timesheetEmployeeName = (assigneeRows[0].name || timesheetEmployeeName).toString().trim();
+                      timesheetEmployeeId = assigneeRows[0].id;
                     }
                   } catch (assigneeErr) {
                     console.error('Stop timer: failed to resolve assignee for task', taskId, assigneeErr);
@@ -1700,10 +1725,10 @@ const upload = multer({ storage: multer.memoryStorage() });
                       // Already has explicit offset / Z → safe to pass directly.
                       startTime = new Date(timerStr);
                     } else {
-                      // Stored as "YYYY-MM-DDTHH:mm:ss" in local PKT without offset.
-                      // Attach +05:00 so JS Date interprets it as Pakistan time,
-                      // preventing an unintended +5h shift when running on UTC servers.
-                      startTime = new Date(timerStr + '+05:00');
+                      // Stored as "YYYY-MM-DDTHH:mm:ss" in organisation local time without offset.
+                      // Attach the organisation offset so JS Date reads it as local time,
+                      // preventing an unintended shift when running on UTC servers.
+                      startTime = new Date(timerStr + getOrgUtcOffset());
                     }
                   }
                   
@@ -1758,12 +1783,8 @@ const upload = multer({ storage: multer.memoryStorage() });
                     
                   try {
                     // Format times for MySQL DATETIME storage
-                    // Use consistent formatting: store as local Pakistan time strings
-                    const formatForMySQL = (date) => {
-                      // Convert to Pakistan timezone string for MySQL storage
-                      const pktString = date.toLocaleString('sv-SE', { timeZone: 'Asia/Karachi' });
-                      return pktString; // Returns "YYYY-MM-DD HH:mm:ss" format
-                    };
+                    // Use consistent formatting: store as organisation local time strings
+                    const formatForMySQL = (date) => toOrgDateTime(date); // "YYYY-MM-DD HH:mm:ss"
                     
                     const startTimeForDB = formatForMySQL(startTime);
                     const endTimeForDB = formatForMySQL(endTime);
@@ -1781,6 +1802,7 @@ const upload = multer({ storage: multer.memoryStorage() });
                       safeLoggedSeconds,
                       safeLoggedSeconds
                     ]);
+                    await addOccurrenceLoggedSeconds(connection, taskId, safeLoggedSeconds, startTimeForDB.split(' ')[0]);
                   } catch (timesheetErr) {
                     console.error('Error saving timesheet entry:', timesheetErr);
                   }
@@ -1820,7 +1842,7 @@ const upload = multer({ storage: multer.memoryStorage() });
               });
   
               // File upload for task attachments
-              router.post('/:id/upload', async (req, res) => {
+              router.post('/:id/upload', requireTaskAccess('edit_tasks'), async (req, res) => {
                 const taskId = req.params.id;
                 const upload = multer({
                   storage: multer.diskStorage({
@@ -1959,7 +1981,7 @@ const upload = multer({ storage: multer.memoryStorage() });
               });
   
               // Delete task attachment
-              router.delete('/:id/attachments/:attachmentId', async (req, res) => {
+              router.delete('/:id/attachments/:attachmentId', requireTaskAccess('edit_tasks'), async (req, res) => {
                 const { id: taskId, attachmentId } = req.params;
                 let connection;
                 
@@ -2037,9 +2059,8 @@ const upload = multer({ storage: multer.memoryStorage() });
                 }
               });
   // Import tasks from Excel file
-  router.post('/import', upload.single('file'), async (req, res) => {
+  router.post('/import', requirePermission('edit_tasks', { allowManagers: true }), upload.single('file'), async (req, res) => {
     console.log('=== TASK IMPORT REQUEST RECEIVED ===');
-    console.log('Request headers:', req.headers);
     console.log('Request body keys:', Object.keys(req.body || {}));
     console.log('File received:', req.file ? 'YES' : 'NO');
     
@@ -2281,7 +2302,8 @@ const upload = multer({ storage: multer.memoryStorage() });
           console.log('Values:', values);
           console.log('Values length:', values.length);
           
-          await mysqlPool.execute(insertQuery, values);
+          const [insertResult] = await mysqlPool.execute(insertQuery, values);
+          await syncTaskAssigneesFromColumns(mysqlPool, insertResult.insertId);
           successCount++;
           console.log(`Row ${i + 1} imported successfully`);
         } catch (err) {
@@ -2305,9 +2327,8 @@ const upload = multer({ storage: multer.memoryStorage() });
     }
   });
   // Update existing tasks from file
-  router.post('/update', upload.single('file'), async (req, res) => {
+  router.post('/update', requirePermission('edit_tasks', { allowManagers: true }), upload.single('file'), async (req, res) => {
     console.log('=== TASK UPDATE REQUEST RECEIVED ===');
-    console.log('Request headers:', req.headers);
     console.log('Request body keys:', Object.keys(req.body || {}));
     console.log('File received:', req.file ? 'YES' : 'NO');
     
@@ -2397,6 +2418,9 @@ const upload = multer({ storage: multer.memoryStorage() });
           
           const updateQuery = `UPDATE tasks SET ${updateFields.join(', ')} WHERE id = ?`;
           await connection.execute(updateQuery, updateValues);
+          if (row['Assigned To'] !== undefined && row['Assigned To'] !== null && row['Assigned To'] !== '') {
+            await syncTaskAssigneesFromColumns(connection, taskId, ['assignee']);
+          }
           
           successCount++;
           console.log(`Updated task ${taskId} successfully`);
@@ -2466,12 +2490,13 @@ router.get('/:id/timesheet', async (req, res) => {
 
   // Get task summary (counts only - optimized for dashboard)
   router.get('/summary', async (req, res) => {
-    const { user_id, role, employee_name, department, employee, search, status, priority, complexity, impact, effortEstimateLabel, unit, target, labels, assignedTo } = req.query;
+    const { department, employee, search, status, priority, complexity, impact, effortEstimateLabel, unit, target, labels, assignedTo } = req.query;
 
     // Get user permissions from headers
-    const userPermissions = req.headers['user-permissions'] ? JSON.parse(req.headers['user-permissions']) : [];
-    const userRole = req.headers['user-role'] || role || 'employee';
-    const userName = req.headers['user-name'] || employee_name || '';
+    const userPermissions = req.user.permissions;
+    const userRole = req.user.role;
+    const userName = req.user.name || '';
+    const userId = req.user.id;
 
     // Build WHERE clause (same logic as /api/tasks but only return counts)
     let query = `
@@ -2496,14 +2521,10 @@ router.get('/:id/timesheet', async (req, res) => {
     const hasViewAllTasksPermission = userPermissions.includes('view_tasks') || userPermissions.includes('all');
 
     // If user only has view_own_tasks permission, filter by assigned_to
-    if (hasViewOwnTasks && !hasViewAllTasksPermission && !isAdminUser && userName) {
-      if (hasDwmView) {
-        query += ' AND (assigned_to LIKE ? OR (assigned_to LIKE ? AND status != \'Completed\' AND (LOWER(IFNULL(labels,\'\')) LIKE \'%daily%\' OR LOWER(IFNULL(labels,\'\')) LIKE \'%weekly%\' OR LOWER(IFNULL(labels,\'\')) LIKE \'%monthly%\')))';
-        params.push(`%${userName}%`, `%${userName}%`);
-      } else {
-        query += ' AND assigned_to LIKE ?';
-        params.push(`%${userName}%`);
-      }
+    if (hasViewOwnTasks && !hasViewAllTasksPermission && !isAdminUser && userId) {
+      // Own tasks are matched on employee id through task_assignees (own incomplete DWM tasks are a subset)
+      query += ` AND ${taskHasEmployeeSql()}`;
+      params.push(userId);
     } else if (hasViewAllTasksPermission || isAdminUser) {
       // User can see all tasks
     } else if (hasViewTasksContent && !hasViewOwnTasks && !hasViewAllTasksPermission && !isAdminUser) {
@@ -2525,8 +2546,9 @@ router.get('/:id/timesheet', async (req, res) => {
       params.push(department);
     }
     if (employee) {
-      query += ' AND assigned_to LIKE ?';
-      params.push(`%${employee}%`);
+      const assigneeFilter = buildAssigneeFilter(employee);
+      query += assigneeFilter.sql;
+      params.push(assigneeFilter.param);
     }
     if (status) {
       const statusParts = String(status).split(',').map(s => s.trim()).filter(Boolean);
@@ -2581,8 +2603,9 @@ router.get('/:id/timesheet', async (req, res) => {
       }
     }
     if (assignedTo) {
-      query += ' AND assigned_to LIKE ?';
-      params.push(`%${assignedTo}%`);
+      const assigneeFilter = buildAssigneeFilter(assignedTo);
+      query += assigneeFilter.sql;
+      params.push(assigneeFilter.param);
     }
 
     try {
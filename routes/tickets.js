@@ -4,6 +4,7 @@ const path = require('path');
 const fs = require('fs');
 const { mysqlPool } = require('../config/database');
 const { createNotification } = require('../helpers/notifications');
+const { requirePermission, userHasPermission } = require('../middleware/permissions');
 const { createIdleTicketsForDate } = require('./idleAccountability');
 
 const upload = multer();
@@ -50,7 +51,7 @@ async function createLessHoursTicketsForDate(targetDate, thresholdHours = 6, cre
           END
         ), 0) as total_seconds
       FROM employees e
-      LEFT JOIN task_timesheet tt ON tt.employee_name = e.name AND tt.start_time >= ? AND tt.start_time <= ?
+      LEFT JOIN task_timesheet tt ON tt.employee_id = e.id AND tt.start_time >= ? AND tt.start_time <= ?
       WHERE ${whereClause}
       GROUP BY e.id, e.name, e.employee_id, e.department, e.designation
       HAVING total_seconds < ?
@@ -112,7 +113,7 @@ async function createOverEstTicketsForRange(startDate, endDate, minOverMinutes =
 
     const query = `
       SELECT tt.task_id, t.title AS task_title, t.labels, t.priority, t.department,
-        tt.employee_name, e.id AS employee_id, e.designation, DATE(tt.start_time) AS log_date,
+        COALESCE(e.name, MAX(tt.employee_name)) AS employee_name, tt.employee_id, e.designation, DATE(tt.start_time) AS log_date,
         MAX(COALESCE(t.time_estimate_hours, 0)) AS time_estimate_hours,
         MAX(COALESCE(t.time_estimate_minutes, 0)) AS time_estimate_minutes,
         SUM(
@@ -125,9 +126,9 @@ async function createOverEstTicketsForRange(startDate, endDate, minOverMinutes =
         ) AS actual_seconds
       FROM task_timesheet tt
       LEFT JOIN tasks t ON t.id = tt.task_id
-      LEFT JOIN employees e ON e.name = tt.employee_name
+      LEFT JOIN employees e ON e.id = tt.employee_id
       WHERE ${where}
-      GROUP BY tt.task_id, t.title, t.labels, t.priority, tt.employee_name, e.id, e.designation, t.department, DATE(tt.start_time)
+      GROUP BY tt.task_id, t.title, t.labels, t.priority, tt.employee_id, e.name, e.designation, t.department, DATE(tt.start_time)
       ORDER BY log_date DESC, actual_seconds DESC
     `;
 
@@ -199,9 +200,9 @@ router.get('/', async (req, res) => {
     connection = await mysqlPool.getConnection();
     await connection.ping();
 
-    const userPermissions = req.headers['user-permissions'] ? JSON.parse(req.headers['user-permissions']) : [];
-    const userRole = req.headers['user-role'] || 'employee';
-    const userId = req.headers['user-id'] || '';
+    const userPermissions = req.user.permissions;
+    const userRole = req.user.role;
+    const userId = req.user.id;
 
     let query = `${TICKET_SELECT} WHERE 1=1`;
     const params = [];
@@ -230,7 +231,8 @@ router.get('/', async (req, res) => {
 
 // POST /api/tickets - Create ticket
 router.post('/', async (req, res) => {
-  const { title, description, category, priority, assigned_to, department, created_by } = req.body;
+  const { title, description, category, priority, assigned_to, department } = req.body;
+  const created_by = req.user.id;
   if (!title || !category) return res.status(400).json({ error: 'Title and category are required' });
 
   let connection;
@@ -263,26 +265,13 @@ router.post('/', async (req, res) => {
 });
 
 // POST /api/tickets/auto-less-hours
-router.post('/auto-less-hours', async (req, res) => {
-  const userRole = (req.headers['user-role'] || req.headers['x-user-role'] || 'employee').toString();
-  const userPermissionsHeader = req.headers['user-permissions'] || req.headers['x-user-permissions'] || '[]';
-  const userDesignation = (req.headers['x-user-designation'] || req.headers['user-designation'] || '').toString().trim().toLowerCase();
-
-  let userPermissions = [];
-  try { userPermissions = typeof userPermissionsHeader === 'string' ? JSON.parse(userPermissionsHeader) : []; }
-  catch (e) { return res.status(400).json({ error: 'Invalid permissions format' }); }
-
-  const isManagerByRole = userRole === 'admin' || userRole === 'Admin' || userRole === 'manager' || userRole === 'Manager';
-  const isManagerByDesignation = userDesignation !== '' && userDesignation.includes('manager');
-  const canRun = isManagerByRole || isManagerByDesignation || userPermissions.includes('all') || userPermissions.includes('tickets_auto_less_hours');
-  if (!canRun) return res.status(403).json({ error: 'Access denied: You do not have permission to auto-create less-hours tickets' });
-
+router.post('/auto-less-hours', requirePermission('tickets_auto_less_hours', { allowManagers: true }), async (req, res) => {
   const body = req.body || {};
   const targetDate = (body.date || req.query.date || new Date().toISOString().split('T')[0]).split('T')[0];
   const thresholdHours = Number(body.minHours || req.query.minHours || 6) || 6;
   const department = body.department || req.query.department || null;
   const designation = body.designation || req.query.designation || null;
-  const createdBy = req.headers['user-id'] || req.headers['x-user-id'] || null;
+  const createdBy = req.user.id;
 
   try {
     const result = await createLessHoursTicketsForDate(targetDate, thresholdHours, createdBy, department, designation);
@@ -294,27 +283,14 @@ router.post('/auto-less-hours', async (req, res) => {
 });
 
 // POST /api/tickets/auto-over-estimate
-router.post('/auto-over-estimate', async (req, res) => {
-  const userRole = (req.headers['user-role'] || req.headers['x-user-role'] || 'employee').toString();
-  const userPermissionsHeader = req.headers['user-permissions'] || req.headers['x-user-permissions'] || '[]';
-  const userDesignation = (req.headers['x-user-designation'] || req.headers['user-designation'] || '').toString().trim().toLowerCase();
-
-  let userPermissions = [];
-  try { userPermissions = typeof userPermissionsHeader === 'string' ? JSON.parse(userPermissionsHeader) : []; }
-  catch (e) { return res.status(400).json({ error: 'Invalid permissions format' }); }
-
-  const isManagerByRole = userRole === 'admin' || userRole === 'Admin' || userRole === 'manager' || userRole === 'Manager';
-  const isManagerByDesignation = userDesignation !== '' && userDesignation.includes('manager');
-  const canRun = isManagerByRole || isManagerByDesignation || userPermissions.includes('all') || userPermissions.includes('tickets_auto_less_hours');
-  if (!canRun) return res.status(403).json({ error: 'Access denied: You do not have permission to auto-create over-estimate tickets' });
-
+router.post('/auto-over-estimate', requirePermission('tickets_auto_less_hours', { allowManagers: true }), async (req, res) => {
   const body = req.body || {};
   const startDate = (body.startDate || req.query.startDate || new Date().toISOString().split('T')[0]).split('T')[0];
   const endDate = (body.endDate || req.query.endDate || new Date().toISOString().split('T')[0]).split('T')[0];
   const minOverMinutes = Number(body.minOverMinutes ?? req.query.minOverMinutes ?? 10) || 10;
   const designation = body.designation || req.query.designation || null;
   const department = body.department || req.query.department || null;
-  const createdBy = req.headers['user-id'] || req.headers['x-user-id'] || null;
+  const createdBy = req.user.id;
 
   try {
     const result = await createOverEstTicketsForRange(startDate, endDate, minOverMinutes, designation, department, createdBy);
@@ -326,19 +302,9 @@ router.post('/auto-over-estimate', async (req, res) => {
 });
 
 // POST /api/tickets/auto-idle-accountability
-router.post('/auto-idle-accountability', async (req, res) => {
-  const userRole = (req.headers['user-role'] || req.headers['x-user-role'] || 'employee').toString();
-  const permsHeader = req.headers['user-permissions'] || req.headers['x-user-permissions'] || '[]';
-  let perms = [];
-  try { perms = typeof permsHeader === 'string' ? JSON.parse(permsHeader) : []; }
-  catch { return res.status(400).json({ error: 'Invalid permissions format' }); }
-
-  const isAdmin = userRole === 'admin' || userRole === 'Admin' || perms.includes('all') || perms.includes('tickets_auto_less_hours');
-  if (!isAdmin) return res.status(403).json({ error: 'Access denied: You do not have permission to auto-create idle tickets' });
-
+router.post('/auto-idle-accountability', requirePermission('tickets_auto_less_hours'), async (req, res) => {
   const body = req.body || {};
-  const creatorIdHeader = req.headers['user-id'] || req.headers['x-user-id'];
-  const createdBy = (typeof creatorIdHeader === 'string' && creatorIdHeader.trim() ? Number(creatorIdHeader) : null) || null;
+  const createdBy = req.user.id;
   const targetDate = (body.date || req.query.date || new Date().toISOString().split('T')[0]).split('T')[0];
   const department = body.department || req.query.department || null;
   const designation = body.designation || req.query.designation || null;
@@ -355,11 +321,7 @@ router.post('/auto-idle-accountability', async (req, res) => {
 });
 
 // POST /api/tickets/bulk-delete
-router.post('/bulk-delete', async (req, res) => {
-  const userPermissions = req.headers['user-permissions'] ? (typeof req.headers['user-permissions'] === 'string' ? JSON.parse(req.headers['user-permissions']) : req.headers['user-permissions']) : [];
-  const canDelete = userPermissions.includes('all') || userPermissions.includes('delete_tickets');
-  if (!canDelete) return res.status(403).json({ error: 'Access denied. You need delete_tickets permission.' });
-
+router.post('/bulk-delete', requirePermission('delete_tickets'), async (req, res) => {
   const ids = req.body?.ids;
   if (!Array.isArray(ids) || ids.length === 0) return res.status(400).json({ error: 'Request body must include an array of ticket ids' });
 
@@ -399,8 +361,8 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// PUT /api/tickets/:id
-router.put('/:id', async (req, res) => {
+// PUT /api/tickets/:id - edit_tickets edits any ticket, edit_own_tickets only the caller's own
+router.put('/:id', requirePermission(['edit_tickets', 'edit_own_tickets']), async (req, res) => {
   const { id } = req.params;
   const { title, description, category, priority, status, assigned_to, department } = req.body;
 
@@ -409,8 +371,11 @@ router.put('/:id', async (req, res) => {
     connection = await mysqlPool.getConnection();
     await connection.ping();
 
-    const [existing] = await connection.execute('SELECT id FROM tickets WHERE id = ?', [id]);
+    const [existing] = await connection.execute('SELECT id, created_by FROM tickets WHERE id = ?', [id]);
     if (existing.length === 0) return res.status(404).json({ error: 'Ticket not found' });
+    if (!userHasPermission(req.user, 'edit_tickets') && Number(existing[0].created_by) !== Number(req.user.id)) {
+      return res.status(403).json({ error: 'You can only edit tickets you created', requiredPermission: 'edit_tickets' });
+    }
 
     await connection.execute(
       `UPDATE tickets SET title = ?, description = ?, category = ?, priority = ?, status = ?, assigned_to = ?, department = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
@@ -428,7 +393,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /api/tickets/:id
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('delete_tickets'), async (req, res) => {
   let connection;
   try {
     connection = await mysqlPool.getConnection();
@@ -489,9 +454,11 @@ router.get('/:id/replies', async (req, res) => {
 // POST /api/tickets/:id/replies (with file upload)
 router.post('/:id/replies', upload.any(), async (req, res) => {
   const { id } = req.params;
-  const { reply_text, reply_type, is_internal, replied_by, replied_by_name } = req.body;
-  if (!reply_text || !replied_by || !replied_by_name) {
-    return res.status(400).json({ error: 'Reply text, replied_by, and replied_by_name are required' });
+  const { reply_text, reply_type, is_internal } = req.body;
+  const replied_by = req.user.id;
+  const replied_by_name = req.user.name;
+  if (!reply_text) {
+    return res.status(400).json({ error: 'Reply text is required' });
   }
 
   const isInternal = (is_internal === true || is_internal === 'true' || String(is_internal).toLowerCase() === 'true') ? 1 : 0;
@@ -1,9 +1,15 @@
 const router = require('express').Router();
 const { mysqlPool } = require('../config/database');
 const { sanitizeForMySQL } = require('../helpers/sanitize');
+const { requirePermission, requireSelfOrPermission } = require('../middleware/permissions');
+
+// Warning letters are disciplinary records: managers and warning_letters_manage holders issue them, and the
+// Warning Letters page permission is enough to read them
+const canManageWarningLetters = requirePermission('warning_letters_manage', { allowManagers: true });
+const canViewWarningLetters = requirePermission(['warning_letters_manage', 'view_warning_letters_submenu'], { allowManagers: true });
 
 // GET /api/warning-letters - List all warning letters
-router.get('/', async (req, res) => {
+router.get('/', canViewWarningLetters, async (req, res) => {
   let connection;
   try {
     connection = await mysqlPool.getConnection();
@@ -25,7 +31,7 @@ router.get('/', async (req, res) => {
 });
 
 // DELETE /api/warning-letters/bulk - Bulk delete (must be before /:id)
-router.delete('/bulk', async (req, res) => {
+router.delete('/bulk', canManageWarningLetters, async (req, res) => {
   const { ids } = req.body;
 
   if (!ids || !Array.isArray(ids) || ids.length === 0) {
@@ -58,7 +64,7 @@ router.delete('/bulk', async (req, res) => {
 });
 
 // POST /api/warning-letters - Create new warning letter
-router.post('/', async (req, res) => {
+router.post('/', canManageWarningLetters, async (req, res) => {
   const { employee_id, title, description, warning_date, severity } = req.body;
   if (!employee_id || !title) {
     return res.status(400).json({ error: 'employee_id and title are required' });
@@ -104,7 +110,7 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/warning-letters/:id - Update warning letter
-router.put('/:id', async (req, res) => {
+router.put('/:id', canManageWarningLetters, async (req, res) => {
   const warningLetterId = req.params.id;
   const updateData = req.body;
   let connection;
@@ -138,7 +144,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /api/warning-letters/:id - Delete warning letter
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', canManageWarningLetters, async (req, res) => {
   const warningLetterId = req.params.id;
   let connection;
 
@@ -176,7 +182,7 @@ typesRouter.get('/', async (req, res) => {
 });
 
 // POST /api/warning-letter-types
-typesRouter.post('/', async (req, res) => {
+typesRouter.post('/', canManageWarningLetters, async (req, res) => {
   const { name } = req.body;
   if (!name || !String(name).trim()) {
     return res.status(400).json({ error: 'name is required' });
@@ -220,7 +226,7 @@ module.exports.typesRouter = typesRouter;
 const employeeRouter = require('express').Router();
 
 // GET /api/employees/:id/warning-letters
-employeeRouter.get('/:id/warning-letters', async (req, res) => {
+employeeRouter.get('/:id/warning-letters', requireSelfOrPermission(['warning_letters_manage', 'view_warning_letters_submenu'], { allowManagers: true }), async (req, res) => {
   const employeeId = req.params.id;
   let connection;
 
@@ -6,8 +6,13 @@ const fs = require('fs');
 const axios = require('axios');
 
 // ─── Database & Initialization ──────────────────────────────
-const { checkMySQLHealth } = require('./config/database');
+const { checkMySQLHealth, mysqlPool } = require('./config/database');
 const { initializeDatabaseTables } = require('./db/init');
+const { runMigrationCommand } = require('./db/migrate');
+const { authenticate } = require('./middleware/auth');
+const { startScheduler } = require('./helpers/scheduler');
+const { registerDefaultJobs } = require('./helpers/jobs');
+const { loadOrgSettings } = require('./helpers/orgSettings');
 
 // ─── Express App Setup ──────────────────────────────────────
 const app = express();
@@ -22,13 +27,19 @@ app.use(express.static('build'));
 // ─── Route Modules ──────────────────────────────────────────
 app.use('/api/health', require('./routes/health'));
 app.use('/api/auth', require('./routes/auth'));
+
+// Everything below requires a signed-in session; routes read req.user, never client headers
+app.use('/api', authenticate);
+
 app.use('/api/notices', require('./routes/notices'));
 app.use('/api/attendance', require('./routes/attendance'));
+app.use('/api/attendance-regularizations', require('./routes/attendanceRegularizations'));
 app.use('/api/reports', require('./routes/reports'));
 app.use('/api/notifications', require('./routes/notifications'));
 app.use('/api/clet-notifications', require('./routes/cletNotifications'));
 app.use('/api/dashboard', require('./routes/dashboard'));
 app.use('/api/errors', require('./routes/errors'));
+app.use('/api/issues', require('./routes/issues'));
 app.use('/api/appreciations', require('./routes/appreciations'));
 app.use('/api/appreciation-types', require('./routes/appreciations').typesRouter);
 app.use('/api/employees', require('./routes/employees'));
@@ -44,8 +55,16 @@ app.use('/api/warning-letters', require('./routes/warningLetters'));
 app.use('/api/warning-letter-types', require('./routes/warningLetters').typesRouter);
 app.use('/api/employees', require('./routes/warningLetters').employeeRouter);
 app.use('/api/health-settings', require('./routes/healthSettings'));
+app.use('/api/org-settings', require('./routes/orgSettings'));
 app.use('/api/leaves', require('./routes/leaves'));
+app.use('/api/leave-types', require('./routes/leaves').typesRouter);
+app.use('/api/leave-approvals', require('./routes/leaveApprovals'));
+app.use('/api/leave-rules', require('./routes/leaveRules'));
+app.use('/api/shifts', require('./routes/shifts'));
+app.use('/api/holidays', require('./routes/holidays'));
 app.use('/api/idle-accountability', require('./routes/idleAccountability'));
+app.use('/api/admin/jobs', require('./routes/jobs'));
+app.use('/api/admin/external-identities', require('./routes/externalIdentities'));
 app.use('/api/admin', require('./routes/idleAccountability').adminRouter);
 app.use('/api/wages', require('./routes/idleAccountability').wagesRouter);
 // Note: Some route files may export additional sub-routers.
@@ -104,14 +123,49 @@ app.get('*', (req, res) => {
 
 // ─── Startup ────────────────────────────────────────────────
 (async () => {
-  // Initialize database tables & migrations
-  await initializeDatabaseTables();
+  // `node server.js migrate | migrate:status | migrate:rollback` runs the command and exits
+  const command = process.argv[2];
+  if (command) {
+    let exitCode = 0;
+    try {
+      const handled = await runMigrationCommand(command);
+      if (!handled) {
+        console.error(`Unknown command: ${command}`);
+        exitCode = 1;
+      }
+    } catch (err) {
+      console.error(`❌ ${command} failed:`, err.message);
+      exitCode = 1;
+    }
+    await mysqlPool.end();
+    // Commands never start the server below; exit with the command's status
+    process.exit(exitCode);
+  }
+
+  // Refuse to serve against a database with pending migrations
+  const schemaReady = await initializeDatabaseTables();
+  if (!schemaReady) {
+    console.error('❌ Database schema is not ready; refusing to start.');
+    await mysqlPool.end();
+    process.exit(1);
+  }
 
   // Health check
   console.log('🔍 Running initial health check...');
   const isHealthy = await checkMySQLHealth();
   console.log(isHealthy ? '✅ Initial health check passed' : '⚠️ Initial health check failed');
 
+  // Timezone and working week used by date helpers and the scheduler - see helpers/orgSettings.js
+  await loadOrgSettings();
+
+  // Background jobs (idle sync, recurring reset, ticket generators) - see helpers/jobs.js
+  registerDefaultJobs();
+  try {
+    await startScheduler();
+  } catch (err) {
+    console.error('❌ Failed to start job scheduler:', err);
+  }
+
   // Start listening
   app.listen(PORT, '0.0.0.0', () => {
     console.log(`🚀 Server running on port ${PORT}`);
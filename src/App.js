@@ -39,6 +39,7 @@ const EarnTrack = lazy(() => import('./components/views/EarnTrack'));
 const EarnTrackWages = lazy(() => import('./components/views/EarnTrackWages'));
 const IdleReasonForms = lazy(() => import('./components/views/IdleReasonForms'));
 const IdleAccountabilityAdmin = lazy(() => import('./components/views/IdleAccountabilityAdmin'));
+const AttendanceRegularization = lazy(() => import('./components/views/AttendanceRegularization'));
 
 // UI Components
 import Modal from './components/ui/Modal';
@@ -94,7 +95,7 @@ const AuthenticatedApp = () => {
 
   // Consolidated state management
   const [appState, setAppState] = useState({
-    view: user?.email === 'admin@daataadirect.co.uk' ? 'dashboard' : 'myHealth',
+    view: user?.role === 'admin' ? 'dashboard' : 'myHealth',
     searchTerm: '',
     taskToOpen: null,
     loading: true,
@@ -280,7 +281,7 @@ const AuthenticatedApp = () => {
   // sees "you can set your date back" soon after admin rejects.
   useEffect(() => {
     // Track last pending ids so we don't reopen the same modal on every poll / reload
-    const lastPendingKeys = { swap: '', ack: '' };
+    const lastPendingKeys = { swap: '', ack: '', regularization: '' };
     const checkPendingLeaves = async () => {
       if (!user?.id) return;
       try {
@@ -294,6 +295,7 @@ const AuthenticatedApp = () => {
         const data = await res.json().catch(() => ({}));
         const swapList = Array.isArray(data.swapRequests) ? data.swapRequests : [];
         const ackList = Array.isArray(data.acknowledgeRequests) ? data.acknowledgeRequests : [];
+        const regularizationList = Array.isArray(data.regularizationRequests) ? data.regularizationRequests : [];
         const rejected = data.rejected_swap_notifications || [];
         const rejectedLeaves = data.rejected_leave_notifications || [];
         setLeaveRejectedSwapNotifications(rejected);
@@ -302,6 +304,7 @@ const AuthenticatedApp = () => {
         const isAdminUser = user.role === 'admin' || user.role === 'Admin';
         const swapIds = swapList.map((s) => s.requesting_leave_id || s.my_leave_id || s.leave_id || s.id).sort().join(',');
         const ackIds = ackList.map((a) => a.leave_id || a.id).sort().join(',');
+        const regularizationIds = regularizationList.map((r) => r.id).sort().join(',');
 
         if (isAdminUser && ackList.length > 0) {
           if (ackIds && ackIds !== lastPendingKeys.ack) {
@@ -313,10 +316,16 @@ const AuthenticatedApp = () => {
             lastPendingKeys.swap = swapIds;
             setLeavePendingModal({ type: 'swap', data: swapList });
           }
+        } else if (regularizationList.length > 0) {
+          if (regularizationIds !== lastPendingKeys.regularization) {
+            lastPendingKeys.regularization = regularizationIds;
+            setLeavePendingModal({ type: 'regularization', data: regularizationList });
+          }
         } else {
           setLeavePendingModal(null);
           lastPendingKeys.swap = '';
           lastPendingKeys.ack = '';
+          lastPendingKeys.regularization = '';
         }
       } catch {
         // ignore failures here; user can still navigate to Leaves manually
@@ -355,7 +364,7 @@ const AuthenticatedApp = () => {
   const { isOpen: isModalOpen, type: modalType, editingItem } = modalState;
 
   // Global leave pending modal (swap / acknowledge) – shown regardless of current view
-  const [leavePendingModal, setLeavePendingModal] = useState(null); // { type: 'swap'|'ack', data }
+  const [leavePendingModal, setLeavePendingModal] = useState(null); // { type: 'swap'|'ack'|'regularization', data }
   const [leaveRejectedSwapNotifications, setLeaveRejectedSwapNotifications] = useState([]); // booker: "you can set date back"
   const [leaveRejectedNotifications, setLeaveRejectedNotifications] = useState([]); // applier: "your leave was rejected"
   // Remember which rejected swap requests / leaves the user has already seen,
@@ -607,8 +616,8 @@ const AuthenticatedApp = () => {
           </Suspense>
         );
       case 'myHealth':
-        // Redirect admin@daataadirect.co.uk to dashboard since they don't have health data
-        if (user?.email === 'admin@daataadirect.co.uk') {
+        // Redirect admins to dashboard; health scoring is for staff
+        if (user?.role === 'admin') {
           updateAppState({ view: 'dashboard' });
           return (
             <Suspense fallback={<LoadingFallback />}>
@@ -674,6 +683,12 @@ const AuthenticatedApp = () => {
             <IdleAccountabilityAdmin />
           </Suspense>
         );
+      case 'attendanceRegularization':
+        return (
+          <Suspense fallback={<LoadingFallback />}>
+            <AttendanceRegularization />
+          </Suspense>
+        );
       case 'errors':
         return (
           <Suspense fallback={<LoadingFallback />}>
@@ -717,8 +732,8 @@ const AuthenticatedApp = () => {
           </Suspense>
         );
       default:
-        // Default to dashboard for admin@daataadirect.co.uk, health for others
-        if (user?.email === 'admin@daataadirect.co.uk') {
+        // Default to dashboard for admins, health for others
+        if (user?.role === 'admin') {
           return (
             <Suspense fallback={<LoadingFallback />}>
               <Dashboard
@@ -855,6 +870,57 @@ const AuthenticatedApp = () => {
         </div>
       )}
 
+      {leavePendingModal && leavePendingModal.type === 'regularization' && Array.isArray(leavePendingModal.data) && leavePendingModal.data.length > 0 && (
+        <div className="fixed inset-0 z-[120] flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm" aria-modal="true" role="dialog">
+          <div className="bg-white rounded-2xl shadow-2xl max-w-md w-full overflow-hidden border border-gray-200/80">
+            <div className="px-6 py-5 bg-amber-50 border-b border-amber-100">
+              <h3 className="text-lg font-semibold text-gray-900">Attendance regularization</h3>
+              <p className="text-sm text-amber-800 mt-1">Employees have asked you to correct their attendance.</p>
+            </div>
+            <div className="px-6 py-4 space-y-3 text-sm max-h-[60vh] overflow-y-auto">
+              {leavePendingModal.data.map((item) => (
+                <div key={item.id} className="space-y-2">
+                  <div className="flex justify-between">
+                    <span className="font-medium text-gray-500">Employee</span>
+                    <span className="text-gray-900">{item.employee_name || '—'}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="font-medium text-gray-500">Date</span>
+                    <span className="text-gray-900">{formatPrettyDate(item.date)}</span>
+                  </div>
+                  {item.reason && (
+                    <div className="flex justify-between">
+                      <span className="font-medium text-gray-500">Reason</span>
+                      <span className="text-gray-900">{item.reason}</span>
+                    </div>
+                  )}
+                  <hr className="my-2 border-dashed border-gray-200" />
+                </div>
+              ))}
+            </div>
+            <div className="px-6 py-4 bg-gray-50 border-t border-gray-200 flex justify-end space-x-2">
+              <button
+                type="button"
+                onClick={() => setLeavePendingModal(null)}
+                className="px-4 py-2 text-sm font-medium rounded-lg border border-gray-300 bg-white text-gray-700 hover:bg-gray-50"
+              >
+                Close
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  setLeavePendingModal(null);
+                  startTransition(() => updateAppState({ view: 'attendanceRegularization' }));
+                }}
+                className="px-4 py-2 text-sm font-medium rounded-lg bg-indigo-600 text-white hover:bg-indigo-700"
+              >
+                Review
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {leavePendingModal && leavePendingModal.type === 'ack' && Array.isArray(leavePendingModal.data) && leavePendingModal.data.length > 0 && (
         <div className="fixed inset-0 z-[120] flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm" aria-modal="true" role="dialog">
           <div className="bg-white rounded-2xl shadow-2xl max-w-md w-full overflow-hidden border border-gray-200/80">
@@ -0,0 +1,117 @@
+/**
+ * @jest-environment node
+ */
+jest.mock('../../../config/database', () => ({ mysqlPool: {} }));
+
+const { normalizeRule, evaluateLeaveRules, hardViolations } = require('../../../helpers/leaveRules');
+
+const APPLICANT = { id: 1, department: 'Engineering', designation: 'QA' };
+
+// Answers the queries evaluateLeaveRules makes; leaves are other employees' pending/approved leaves
+const fakeDb = ({ rules = [], leaves = [], activeCount = 0, restrictedDays = [] } = {}) => ({
+  execute: async (sql) => {
+    if (/FROM employees WHERE id = \?/.test(sql)) return [[APPLICANT]];
+    if (/FROM departments WHERE name/.test(sql)) return [[{ id: 10 }]];
+    if (/FROM leave_conflict_rules/.test(sql)) {
+      return [rules.map((rule, i) => ({
+        id: i + 1, severity: 'hard', department_id: null, designation: null, leave_type_id: null, message: null, is_active: 1,
+        ...rule, params: JSON.stringify(rule.params)
+      }))];
+    }
+    if (/COUNT\(\*\) AS total FROM employees/.test(sql)) return [[{ total: activeCount }]];
+    if (/FROM leave_requests lr/.test(sql)) return [leaves];
+    if (/FROM department_restricted_days/.test(sql)) return [restrictedDays.map(day_of_week => ({ day_of_week }))];
+    throw new Error(`Unexpected query: ${sql}`);
+  }
+});
+
+const evaluate = (db, range) => evaluateLeaveRules(db, { employeeId: 1, appliedOn: '2026-03-01', ...range });
+
+describe('evaluateLeaveRules', () => {
+  test('max_off_per_day flags the days already at the limit', async () => {
+    const db = fakeDb({
+      rules: [{ name: 'One off at a time', rule_type: 'max_off_per_day', params: { max: 1 } }],
+      leaves: [{ employee_id: 7, start_date: '2026-03-10', end_date: '2026-03-11' }]
+    });
+    const violations = await evaluate(db, { startDate: '2026-03-11', endDate: '2026-03-12' });
+    expect(violations).toEqual([{
+      rule_id: 1,
+      name: 'One off at a time',
+      rule_type: 'max_off_per_day',
+      severity: 'hard',
+      message: 'At most 1 people from the department can be off on the same day (2026-03-11)',
+      dates: ['2026-03-11']
+    }]);
+  });
+
+  test('skips rules scoped to another department, designation or leave type', async () => {
+    const db = fakeDb({
+      rules: [
+        { name: 'Other department', rule_type: 'max_off_per_day', department_id: 11, params: { max: 0 } },
+        { name: 'Other designation', rule_type: 'max_off_per_day', designation: 'Developer', params: { max: 0 } },
+        { name: 'Other type', rule_type: 'max_off_per_day', leave_type_id: 3, params: { max: 0 } }
+      ]
+    });
+    expect(await evaluate(db, { startDate: '2026-03-11', leaveTypeId: 2 })).toEqual([]);
+  });
+
+  test('min_present counts the applicant and colleagues already off', async () => {
+    const db = fakeDb({
+      rules: [{ name: 'QA cover', rule_type: 'min_present', params: { designation: 'qa', min: 2 } }],
+      activeCount: 3,
+      leaves: [{ employee_id: 8, start_date: '2026-03-12', end_date: '2026-03-12' }]
+    });
+    const [violation] = await evaluate(db, { startDate: '2026-03-11', endDate: '2026-03-12' });
+    expect(violation.dates).toEqual(['2026-03-12']);
+    expect(violation.message).toBe('At least 2 qa must be present in the department (2026-03-12)');
+  });
+
+  test('month_end_blackout flags the last days of the month and uses the rule message when set', async () => {
+    const db = fakeDb({
+      rules: [{ name: 'Payroll close', rule_type: 'month_end_blackout', severity: 'soft', message: 'Payroll week', params: { days: 3 } }]
+    });
+    const violations = await evaluate(db, { startDate: '2026-02-25', endDate: '2026-03-02' });
+    expect(violations).toEqual([expect.objectContaining({
+      severity: 'soft', message: 'Payroll week', dates: ['2026-02-26', '2026-02-27', '2026-02-28']
+    })]);
+    expect(hardViolations(violations)).toEqual([]);
+  });
+
+  test('min_notice is measured from the application date', async () => {
+    const db = fakeDb({ rules: [{ name: 'One week notice', rule_type: 'min_notice', params: { days: 7 } }] });
+    const [violation] = await evaluate(db, { startDate: '2026-03-05' });
+    expect(violation.message).toBe('Apply at least 7 day(s) before the leave starts (given 4)');
+    expect(await evaluate(db, { startDate: '2026-03-08' })).toEqual([]);
+  });
+
+  test("adds the department's restricted weekdays as a hard violation", async () => {
+    const db = fakeDb({ restrictedDays: [5] });
+    expect(await evaluate(db, { startDate: '2026-03-12', endDate: '2026-03-14' })).toEqual([{
+      rule_id: null,
+      name: 'Department restricted weekday',
+      rule_type: 'restricted_weekday',
+      severity: 'hard',
+      message: 'Leave is not allowed on Friday in this department (2026-03-13)',
+      dates: ['2026-03-13']
+    }]);
+  });
+});
+
+describe('normalizeRule', () => {
+  test('keeps only the params of the rule type', () => {
+    const { values } = normalizeRule({ name: 'Cover', rule_type: 'min_present', params: '{"designation":" QA ","extra":1}', department_id: '4' });
+    expect(values).toMatchObject({ rule_type: 'min_present', severity: 'hard', department_id: 4, params: '{"designation":"QA","min":1}', is_active: 1 });
+  });
+
+  test.each([
+    [{ rule_type: 'min_notice' }, /name is required/],
+    [{ name: 'X', rule_type: 'max_per_week' }, /rule_type must be one of/],
+    [{ name: 'X', rule_type: 'min_notice', severity: 'warn', params: { days: 1 } }, /severity/],
+    [{ name: 'X', rule_type: 'max_off_per_day', params: { max: -1 } }, /params.max/],
+    [{ name: 'X', rule_type: 'min_present', params: { min: 1 } }, /params.designation is required/],
+    [{ name: 'X', rule_type: 'month_end_blackout', params: { days: 16 } }, /at most 15/],
+    [{ name: 'X', rule_type: 'min_notice', params: { days: 2 }, department_id: 'abc' }, /department_id/]
+  ])('rejects %p', (body, message) => {
+    expect(normalizeRule(body).error).toMatch(message);
+  });
+});
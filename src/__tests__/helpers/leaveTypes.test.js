@@ -0,0 +1,113 @@
+/**
+ * @jest-environment node
+ */
+jest.mock('../../../config/database', () => ({ mysqlPool: {} }));
+
+const {
+  tracksBalance,
+  normalizeLeaveType,
+  eligibleFrom,
+  grantsFor,
+  projectYear
+} = require('../../../helpers/leaveTypes');
+
+const monthly = (amount, extra = {}) => ({ id: 1, name: 'Annual', accrual_frequency: 'monthly', accrual_amount: amount, ...extra });
+
+describe('eligibleFrom', () => {
+  const employee = { joining_date: '2026-01-10', probation_end_date: '2026-04-10' };
+
+  test('uses the joining date, or the probation end for types that wait for it', () => {
+    expect(eligibleFrom({ eligible_after_probation: 0 }, employee)).toBe('2026-01-10');
+    expect(eligibleFrom({ eligible_after_probation: 1 }, employee)).toBe('2026-04-10');
+  });
+
+  test('is unrestricted without dates', () => {
+    expect(eligibleFrom({ eligible_after_probation: 1 }, { joining_date: null, probation_end_date: null })).toBeNull();
+  });
+});
+
+describe('grantsFor', () => {
+  test('accrues at the start of each period from the eligibility date', () => {
+    expect(grantsFor(monthly(1.5), 2026, '2026-04-15').map(g => g.date))
+      .toEqual(['2026-05-01', '2026-06-01', '2026-07-01', '2026-08-01', '2026-09-01', '2026-10-01', '2026-11-01', '2026-12-01']);
+    expect(grantsFor({ accrual_frequency: 'quarterly', accrual_amount: '3' }, 2026, null))
+      .toEqual([
+        { date: '2026-01-01', amount: 3 },
+        { date: '2026-04-01', amount: 3 },
+        { date: '2026-07-01', amount: 3 },
+        { date: '2026-10-01', amount: 3 }
+      ]);
+    expect(grantsFor({ accrual_frequency: 'yearly', accrual_amount: 12 }, 2026, null)).toEqual([{ date: '2026-01-01', amount: 12 }]);
+  });
+
+  test('grants max_days_per_year up front (on the eligibility date within the year) without accrual', () => {
+    const type = { accrual_frequency: 'none', max_days_per_year: 10 };
+    expect(grantsFor(type, 2026, null)).toEqual([{ date: '2026-01-01', amount: 10 }]);
+    expect(grantsFor(type, 2026, '2026-06-10')).toEqual([{ date: '2026-06-10', amount: 10 }]);
+    expect(grantsFor(type, 2026, '2027-01-05')).toEqual([]);
+  });
+
+  test('grants nothing for types without accrual or a yearly allowance', () => {
+    expect(grantsFor({ accrual_frequency: 'none', max_days_per_year: null }, 2026, null)).toEqual([]);
+  });
+});
+
+describe('projectYear', () => {
+  test('projects the remaining accruals up to max_balance', () => {
+    const projection = projectYear(monthly(2, { max_balance: 10 }), [], {
+      year: 2026, asOf: '2026-09-15', carried: 0, carryExpiresOn: null, eligibleDate: null, available: 7
+    });
+    expect(projection).toEqual({ projected_accrual: 3, projected_year_end: 10, next_accrual_on: '2026-10-01' });
+  });
+
+  test('lapses carried days still unused when they expire', () => {
+    const entries = [
+      { category: 'carry_forward', days: 5, entry_date: '2026-01-01' },
+      { category: 'accrual', days: 1, entry_date: '2026-01-01' },
+      { category: 'accrual', days: 1, entry_date: '2026-02-01' },
+      { category: 'usage', days: -2, entry_date: '2026-02-10' }
+    ];
+    const projection = projectYear(monthly(1), entries, {
+      year: 2026, asOf: '2026-02-15', carried: 5, carryExpiresOn: '2026-03-31', eligibleDate: null, available: 5
+    });
+    // 3 of the 5 carried days are unused on Mar 31 and lapse; Mar-Dec add 10 days
+    expect(projection).toEqual({ projected_accrual: 10, projected_year_end: 12, next_accrual_on: '2026-03-01' });
+  });
+
+  test('projects nothing once the year has passed', () => {
+    expect(projectYear(monthly(2), [], {
+      year: 2026, asOf: '2026-12-31', carried: 0, carryExpiresOn: null, eligibleDate: null, available: 4
+    })).toEqual({ projected_accrual: 0, projected_year_end: 4, next_accrual_on: null });
+  });
+});
+
+describe('tracksBalance', () => {
+  test('tracks accruing types and types with a yearly allowance', () => {
+    expect(tracksBalance(monthly(1))).toBe(true);
+    expect(tracksBalance({ accrual_frequency: 'none', max_days_per_year: 0 })).toBe(true);
+    expect(tracksBalance({ accrual_frequency: 'none', max_days_per_year: null })).toBe(false);
+  });
+
+  test('leaves the monthly paid quota type to the monthly ledger', () => {
+    expect(tracksBalance(monthly(2, { code: 'monthly_paid' }))).toBe(false);
+  });
+});
+
+describe('normalizeLeaveType', () => {
+  test('fills defaults', () => {
+    const { values } = normalizeLeaveType({ name: ' Sick ', code: ' SICK ', accrual_frequency: 'monthly', accrual_amount: '1' });
+    expect(values).toMatchObject({
+      name: 'Sick', code: 'sick', accrual_amount: 1, carry_forward_cap: 0, is_paid: 1, requires_approval: 1, status: 'Active'
+    });
+  });
+
+  test.each([
+    [{}, /name is required/],
+    [{ name: 'X', accrual_frequency: 'weekly' }, /accrual_frequency/],
+    [{ name: 'X', accrual_frequency: 'monthly' }, /accrual_amount must be greater than 0/],
+    [{ name: 'X', max_balance: -1 }, /max_balance must be a non-negative number/],
+    [{ name: 'X', carry_forward_expiry_months: 1.5 }, /whole number of months/]
+  ])('rejects %p', (body, message) => {
+    expect(normalizeLeaveType(body).error).toMatch(message);
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * @jest-environment node
+ */
+const { hashPassword, verifyPassword, isPasswordHash } = require('../../../helpers/passwords');
+
+describe('hashPassword', () => {
+  test('stores scrypt parameters, salt and key', async () => {
+    const hash = await hashPassword('s3cret!');
+    expect(isPasswordHash(hash)).toBe(true);
+    const [prefix, n, r, p, salt, key] = hash.split('$');
+    expect([prefix, n, r, p]).toEqual(['scrypt', '16384', '8', '1']);
+    expect(salt).toMatch(/^[0-9a-f]{32}$/);
+    expect(key).toMatch(/^[0-9a-f]{128}$/);
+  });
+
+  test('salts every hash', async () => {
+    expect(await hashPassword('same')).not.toBe(await hashPassword('same'));
+  });
+});
+
+describe('verifyPassword', () => {
+  test('accepts the right password and rejects others', async () => {
+    const hash = await hashPassword('correct horse');
+    expect(await verifyPassword('correct horse', hash)).toEqual({ valid: true, needsUpgrade: false });
+    expect(await verifyPassword('correct horse ', hash)).toEqual({ valid: false, needsUpgrade: false });
+  });
+
+  test('accepts legacy plaintext and asks for an upgrade', async () => {
+    expect(await verifyPassword('plain', 'plain')).toEqual({ valid: true, needsUpgrade: true });
+    expect(await verifyPassword('plain', 'other')).toEqual({ valid: false, needsUpgrade: false });
+  });
+
+  test('asks for an upgrade when the hash used older cost parameters', async () => {
+    const hash = (await hashPassword('pw')).replace('$16384$', '$1024$');
+    // The key was derived with N=16384, so re-deriving with N=1024 does not match
+    expect((await verifyPassword('pw', hash)).valid).toBe(false);
+
+    const [, , r, p, salt] = hash.split('$');
+    const key = require('crypto').scryptSync('pw', salt, 64, { N: 1024, r: Number(r), p: Number(p) }).toString('hex');
+    expect(await verifyPassword('pw', ['scrypt', 1024, r, p, salt, key].join('$'))).toEqual({ valid: true, needsUpgrade: true });
+  });
+
+  test('rejects missing or malformed values', async () => {
+    expect(await verifyPassword('', 'plain')).toEqual({ valid: false, needsUpgrade: false });
+    expect(await verifyPassword('pw', null)).toEqual({ valid: false, needsUpgrade: false });
+    expect(await verifyPassword('pw', 'scrypt$16384$8$1')).toEqual({ valid: false, needsUpgrade: false });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * @jest-environment node
+ */
+jest.mock('../../../config/database', () => ({ mysqlPool: { execute: jest.fn(), query: jest.fn() } }));
+
+const { mysqlPool } = require('../../../config/database');
+const {
+  validateRecurrence,
+  parseRecurrence,
+  isRecurrenceDueOn,
+  getLatestDueDate
+} = require('../../../helpers/recurrence');
+const { materializeOccurrences } = require('../../../helpers/taskOccurrences');
+
+const dueDates = (rule, from, to) => {
+  const dates = [];
+  for (let d = new Date(`${from}T00:00:00Z`); d <= new Date(`${to}T00:00:00Z`); d.setUTCDate(d.getUTCDate() + 1)) {
+    const date = d.toISOString().split('T')[0];
+    if (isRecurrenceDueOn(rule, date)) dates.push(date);
+  }
+  return dates;
+};
+
+describe('validateRecurrence', () => {
+  test('treats empty input and "none" as not recurring', () => {
+    expect(validateRecurrence(null)).toEqual({ recurrence: null });
+    expect(validateRecurrence('')).toEqual({ recurrence: null });
+    expect(validateRecurrence({ frequency: 'none' })).toEqual({ recurrence: null });
+  });
+
+  test('normalizes weekly weekdays', () => {
+    expect(validateRecurrence('{"frequency":"Weekly","weekdays":["4",1,1,9]}').recurrence)
+      .toEqual({ frequency: 'weekly', weekdays: [1, 4], startDate: null, endDate: null });
+  });
+
+  test.each([
+    ['not json', /JSON object/],
+    [{ frequency: 'yearly' }, /frequency must be one of/],
+    [{ frequency: 'weekly', weekdays: [] }, /at least one weekday/],
+    [{ frequency: 'monthly', monthDay: 32 }, /monthDay/],
+    [{ frequency: 'monthly', monthlyMode: 'nth_weekday', weekOfMonth: 5, weekday: 1 }, /weekOfMonth/],
+    [{ frequency: 'daily', startDate: '2026-03-10', endDate: '2026-03-01' }, /on or after startDate/],
+    [{ frequency: 'daily', startDate: '10/03/2026' }, /YYYY-MM-DD/]
+  ])('rejects %p', (input, message) => {
+    expect(validateRecurrence(input).error).toMatch(message);
+  });
+
+  test('parseRecurrence reads invalid stored rules as null', () => {
+    expect(parseRecurrence('{"frequency":"weekly"}')).toBeNull();
+  });
+});
+
+describe('isRecurrenceDueOn', () => {
+  test('weekly rules fall on their weekdays', () => {
+    expect(dueDates({ frequency: 'weekly', weekdays: [1, 4] }, '2026-03-01', '2026-03-14'))
+      .toEqual(['2026-03-02', '2026-03-05', '2026-03-09', '2026-03-12']);
+  });
+
+  test('monthly days past the end of a month fall on its last day', () => {
+    const rule = { frequency: 'monthly', monthlyMode: 'day', monthDay: 31 };
+    expect(dueDates(rule, '2026-01-01', '2026-04-30')).toEqual(['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+  });
+
+  test('nth weekday rules, including the last one of the month', () => {
+    expect(dueDates({ frequency: 'monthly', monthlyMode: 'nth_weekday', weekOfMonth: 2, weekday: 1 }, '2026-03-01', '2026-04-30'))
+      .toEqual(['2026-03-09', '2026-04-13']);
+    expect(dueDates({ frequency: 'monthly', monthlyMode: 'nth_weekday', weekOfMonth: -1, weekday: 5 }, '2026-03-01', '2026-04-30'))
+      .toEqual(['2026-03-27', '2026-04-24']);
+  });
+
+  test('respects startDate and endDate', () => {
+    expect(dueDates({ frequency: 'daily', startDate: '2026-03-03', endDate: '2026-03-05' }, '2026-03-01', '2026-03-07'))
+      .toEqual(['2026-03-03', '2026-03-04', '2026-03-05']);
+  });
+
+  test('accepts the stored JSON string', () => {
+    expect(isRecurrenceDueOn('{"frequency":"weekly","weekdays":[0]}', '2026-03-08')).toBe(true);
+    expect(isRecurrenceDueOn('{"frequency":"weekly","weekdays":[0]}', '2026-03-09')).toBe(false);
+  });
+});
+
+describe('getLatestDueDate', () => {
+  test('returns the most recent due date on or before the date', () => {
+    const rule = { frequency: 'weekly', weekdays: [1] };
+    expect(getLatestDueDate(rule, '2026-03-09')).toBe('2026-03-09');
+    expect(getLatestDueDate(rule, '2026-03-12')).toBe('2026-03-09');
+  });
+
+  test('returns null before the rule starts', () => {
+    expect(getLatestDueDate({ frequency: 'daily', startDate: '2026-03-10' }, '2026-03-09')).toBeNull();
+  });
+});
+
+describe('materializeOccurrences', () => {
+  beforeEach(() => {
+    mysqlPool.query.mockImplementation(async (sql, [values]) => [{ affectedRows: values.length }]);
+  });
+
+  test('expands each recurring task into its due dates within the range', async () => {
+    mysqlPool.execute.mockResolvedValue([[
+      { id: 1, assigned_to: 'Ali', recurrence: '{"frequency":"weekly","weekdays":[1,3]}', created_at: new Date('2026-01-01T00:00:00Z') },
+      { id: 2, assigned_to: null, recurrence: { frequency: 'daily' }, created_at: new Date('2026-03-04T05:00:00Z') },
+      { id: 3, assigned_to: null, recurrence: 'broken', created_at: null }
+    ]]);
+
+    const created = await materializeOccurrences('2026-03-02', '2026-03-05');
+
+    expect(created).toBe(4);
+    expect(mysqlPool.query).toHaveBeenCalledTimes(1);
+    expect(mysqlPool.query.mock.calls[0][1][0]).toEqual([
+      [1, '2026-03-02', 'weekly', 'Ali'],
+      [1, '2026-03-04', 'weekly', 'Ali'],
+      // Task 2 was created on 2026-03-04 (Karachi time), so earlier days are skipped
+      [2, '2026-03-04', 'daily', null],
+      [2, '2026-03-05', 'daily', null]
+    ]);
+  });
+
+  test('writes nothing when no occurrence is due', async () => {
+    mysqlPool.execute.mockResolvedValue([[
+      { id: 1, assigned_to: null, recurrence: { frequency: 'weekly', weekdays: [0] }, created_at: null }
+    ]]);
+
+    expect(await materializeOccurrences('2026-03-02')).toBe(0);
+    expect(mysqlPool.query).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * @jest-environment node
+ */
+jest.mock('../../../config/database', () => ({ mysqlPool: {} }));
+
+const { parseCronExpression, getNextRunAt } = require('../../../helpers/scheduler');
+
+describe('parseCronExpression', () => {
+  test('expands wildcards, steps, ranges and lists', () => {
+    const cron = parseCronExpression('*/15 9-17 1,15 * 1-5');
+    expect(cron.minutes).toEqual([0, 15, 30, 45]);
+    expect(cron.hours).toEqual([9, 10, 11, 12, 13, 14, 15, 16, 17]);
+    expect([...cron.daysOfMonth]).toEqual([1, 15]);
+    expect(cron.months.size).toBe(12);
+    expect([...cron.daysOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    expect(cron.dayOfMonthAny).toBe(false);
+    expect(cron.dayOfWeekAny).toBe(false);
+  });
+
+  test('supports stepped ranges and a start value with a step', () => {
+    expect(parseCronExpression('10-40/10 * * * *').minutes).toEqual([10, 20, 30, 40]);
+    expect(parseCronExpression('50/5 * * * *').minutes).toEqual([50, 55]);
+  });
+
+  test('reads day of week 7 as Sunday', () => {
+    expect([...parseCronExpression('0 0 * * 7').daysOfWeek]).toEqual([0]);
+  });
+
+  test('expands aliases', () => {
+    expect(parseCronExpression('@daily')).toEqual(parseCronExpression('0 0 * * *'));
+    expect(parseCronExpression('@hourly').minutes).toEqual([0]);
+  });
+
+  test.each([
+    ['* * * *', /5 fields/],
+    ['60 * * * *', /minute/],
+    ['* 24 * * *', /hour/],
+    ['* * 0 * *', /day of month/],
+    ['*/0 * * * *', /Invalid step/],
+    ['5-1 * * * *', /Invalid value/],
+    ['', /5 fields/]
+  ])('rejects %p', (expression, message) => {
+    expect(() => parseCronExpression(expression)).toThrow(message);
+  });
+});
+
+describe('getNextRunAt', () => {
+  test('returns the next matching minute strictly after the given instant', () => {
+    expect(getNextRunAt('*/10 * * * *', 'UTC', new Date('2026-03-10T12:05:30Z')).toISOString()).toBe('2026-03-10T12:10:00.000Z');
+    expect(getNextRunAt('*/10 * * * *', 'UTC', new Date('2026-03-10T12:10:00Z')).toISOString()).toBe('2026-03-10T12:20:00.000Z');
+  });
+
+  test('evaluates the schedule as wall-clock time in the time zone', () => {
+    // Midnight in Karachi (UTC+5) is 19:00 UTC the day before
+    expect(getNextRunAt('0 0 * * *', 'Asia/Karachi', new Date('2026-03-10T12:00:00Z')).toISOString()).toBe('2026-03-10T19:00:00.000Z');
+    expect(getNextRunAt('5 0 * * *', 'Asia/Karachi', new Date('2026-03-10T19:03:00Z')).toISOString()).toBe('2026-03-10T19:05:00.000Z');
+  });
+
+  test('follows daylight saving changes', () => {
+    // 09:00 in New York is 14:00 UTC before the March switch and 13:00 UTC after it
+    expect(getNextRunAt('0 9 * * *', 'America/New_York', new Date('2026-03-07T15:00:00Z')).toISOString()).toBe('2026-03-08T13:00:00.000Z');
+    expect(getNextRunAt('0 9 * * *', 'America/New_York', new Date('2026-03-06T12:00:00Z')).toISOString()).toBe('2026-03-06T14:00:00.000Z');
+  });
+
+  test('matches either day field when both are restricted', () => {
+    // The 1st of the month or any Monday: from Tuesday 2026-03-03 the next is Monday the 9th
+    expect(getNextRunAt('0 9 1 * 1', 'UTC', new Date('2026-03-03T00:00:00Z')).toISOString()).toBe('2026-03-09T09:00:00.000Z');
+    // Only the 1st when the weekday is a wildcard
+    expect(getNextRunAt('0 9 1 * *', 'UTC', new Date('2026-03-03T00:00:00Z')).toISOString()).toBe('2026-04-01T09:00:00.000Z');
+  });
+
+  test('rolls over months and years', () => {
+    expect(getNextRunAt('@monthly', 'UTC', new Date('2026-12-15T00:00:00Z')).toISOString()).toBe('2027-01-01T00:00:00.000Z');
+    expect(getNextRunAt('0 0 29 2 *', 'UTC', new Date('2026-03-01T00:00:00Z')).toISOString()).toBe('2028-02-29T00:00:00.000Z');
+  });
+
+  test('returns null when the expression never matches', () => {
+    expect(getNextRunAt('0 0 31 2 *', 'UTC', new Date('2026-01-01T00:00:00Z'))).toBeNull();
+  });
+});
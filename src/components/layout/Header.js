@@ -89,12 +89,14 @@ const Header = ({ onSearch, onLogout, tasks, employees, onStartTimer, onStopTime
     endDate: lowIdleEndDate,
     minIdleHours: lowIdleMinHours,
     minIdleMinutes: lowIdleMinMinutes,
+    lastSyncedAt: lowIdleLastSyncedAt,
     updateSettings: updateLowIdleSettings,
     currentlyIdleList,
     currentlyIdleLoading,
     currentlyIdleError,
     currentlyIdleWindowMinutes,
     currentlyIdleMinMinutes,
+    currentlyIdleLastSyncedAt,
     setCurrentlyIdleWindowMinutes,
     setCurrentlyIdleMinMinutes,
     refreshCurrentlyIdle,
@@ -146,14 +148,14 @@ const Header = ({ onSearch, onLogout, tasks, employees, onStartTimer, onStopTime
       const rows = Array.isArray(data) ? data : [];
       const pending = rows.filter(
         (i) =>
-          Number(i.idle_minutes) > 20 &&
+          Number(i.idle_minutes) >= Number(i.threshold_minutes) &&
           (i.status === 'pending' || i.status === 'ticket_created')
       );
       // Admin "Resolved Accountability" should only show entries
       // where the accountability has actually been completed by a
       // form submission (or explicitly waived), not merely ticketed.
       const resolved = rows.filter(
-        (i) => i.status === 'submitted' || i.status === 'waived'
+        (i) => i.status === 'submitted' || i.status === 'accepted' || i.status === 'waived'
       );
       setIdleAccPending(pending);
       setIdleAccResolved(resolved);
@@ -189,13 +191,13 @@ const Header = ({ onSearch, onLogout, tasks, employees, onStartTimer, onStopTime
       const rows = Array.isArray(data) ? data : [];
       const pending = rows.filter(
         (i) =>
-          Number(i.idle_minutes) > 20 &&
+          Number(i.idle_minutes) >= Number(i.threshold_minutes) &&
           (i.status === 'pending' || i.status === 'ticket_created')
       );
       // For employees as well, only consider items resolved once a
       // form is submitted (or waived).
       const resolved = rows.filter(
-        (i) => i.status === 'submitted' || i.status === 'waived'
+        (i) => i.status === 'submitted' || i.status === 'accepted' || i.status === 'waived'
       );
       setIdleAccPending(pending);
       setIdleAccResolved(resolved);
@@ -310,32 +312,34 @@ const Header = ({ onSearch, onLogout, tasks, employees, onStartTimer, onStopTime
   const currentSessionDuration = attendance.active && attendance.entry
     ? (() => {
         try {
-          // attendance.entry.clock_in can be either a TIME field (e.g., "14:46:20") or ISO timestamp
+          // The running session's start; the daily entry's clock_in is the first clock-in of the day
+          const sessionClockIn = attendance.current_session?.clock_in || attendance.entry.clock_in;
+          // clock_in can be either a TIME field (e.g., "14:46:20") or ISO timestamp
           let clockInDateTime;
           
-          if (attendance.entry.clock_in.includes('T') || attendance.entry.clock_in.includes('Z')) {
+          if (sessionClockIn.includes('T') || sessionClockIn.includes('Z')) {
             // Full ISO timestamp - server now stores Pakistan time, so parse as local time
-            clockInDateTime = new Date(attendance.entry.clock_in);
+            clockInDateTime = new Date(sessionClockIn);
           } else {
             // TIME field - combine with today's date
             const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
-            clockInDateTime = new Date(`${today}T${attendance.entry.clock_in}`);
+            clockInDateTime = new Date(`${today}T${sessionClockIn}`);
           }
           
           // Check if the time is valid
           if (isNaN(clockInDateTime.getTime())) {
-            console.warn('Invalid clock_in time:', attendance.entry.clock_in);
+            console.warn('Invalid clock_in time:', sessionClockIn);
             return 0;
           }
           
-          const duration = Math.max(0, Math.floor((now - clockInDateTime.getTime()) / 1000));
-          
-          // Debug: Log only once when duration changes significantly
-          if (duration % 60 === 0) { // Log every minute
-            console.log(`Clock-in: ${attendance.entry.clock_in} -> Current: ${new Date(now).toLocaleTimeString()} = ${Math.floor(duration/60)} minutes`);
-          }
-          
-          return duration;
+          // Breaks are not worked time: finished ones by their duration, a running one up to now
+          const breakSeconds = (attendance.current_session?.breaks || []).reduce((sum, b) => {
+            if (b.break_end) return sum + (Number(b.duration_seconds) || 0);
+            const start = new Date(b.break_start).getTime();
+            return sum + (isNaN(start) ? 0 : Math.max(0, Math.floor((now - start) / 1000)));
+          }, 0);
+
+          return Math.max(0, Math.floor((now - clockInDateTime.getTime()) / 1000) - breakSeconds);
         } catch (error) {
           console.error('Error calculating current session duration:', error);
           return 0;
@@ -343,8 +347,36 @@ const Header = ({ onSearch, onLogout, tasks, employees, onStartTimer, onStopTime
       })()
     : 0;
     
-  // For display purposes, show current session time when active, total when not active
-  const totalElapsed = attendance.active ? currentSessionDuration : totalDailyDuration;
+  // Finished sessions plus the running one
+  const totalElapsed = totalDailyDuration + (attendance.active ? currentSessionDuration : 0);
+  const todaySessions = attendance.sessions || [];
+  const sessionsTitle = todaySessions
+    .map((s, i) => {
+      const time = (value) => (value ? String(value).slice(11, 16) : 'now');
+      const breaks = (s.breaks || []).length ? `, ${s.breaks.length} break(s)` : '';
+      return `Session ${i + 1}: ${time(s.clock_in)} – ${s.clock_out ? time(s.clock_out) : 'now'}${breaks}`;
+    })
+    .join('\n');
+
+  const handleBreak = async () => {
+    if (!user?.id || !attendance.active) return;
+    try {
+      const res = await fetch(`/api/attendance/break/${attendance.on_break ? 'end' : 'start'}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ employee_id: user.id })
+      });
+      if (!res.ok) {
+        const errorData = await res.json().catch(() => ({}));
+        alert(`Break update failed: ${errorData.error || 'Unknown error'}`);
+      }
+      const statusRes = await fetch(`/api/attendance/status?employee_id=${user.id}`);
+      if (statusRes.ok) setAttendance(await statusRes.json());
+    } catch (error) {
+      console.error('❌ Break error:', error);
+      alert('Break update failed: Network error');
+    }
+  };
 
   const handleClockIn = async () => {
     if (!user?.id) return;
@@ -481,8 +513,11 @@ const Header = ({ onSearch, onLogout, tasks, employees, onStartTimer, onStopTime
               {/* Current Session Timer - Show prominently when clocked in */}
               {attendance.active && (
                 <div className="flex flex-col items-center">
-                  <span className="text-xs text-gray-500">Current Session</span>
-                  <span className="text-lg font-mono font-bold text-blue-600" title="Current session duration">
+                  <span className="text-xs text-gray-500">{attendance.on_break ? 'On Break' : 'Current Session'}</span>
+                  <span
+                    className={`text-lg font-mono font-bold ${attendance.on_break ? 'text-amber-600' : 'text-blue-600'}`}
+                    title="Current session duration, breaks excluded"
+                  >
                     {formatHMS(currentSessionDuration)}
                   </span>
                 </div>
@@ -491,13 +526,25 @@ const Header = ({ onSearch, onLogout, tasks, employees, onStartTimer, onStopTime
               {/* Total Daily Duration */}
               {totalElapsed > 0 && (
                 <div className="flex flex-col items-center">
-                  <span className="text-xs text-gray-500">Total Today</span>
-                  <span className="text-sm font-mono text-green-700" title="Total daily duration">
+                  <span className="text-xs text-gray-500">
+                    Total Today{todaySessions.length > 1 ? ` · ${todaySessions.length} sessions` : ''}
+                  </span>
+                  <span className="text-sm font-mono text-green-700" title={sessionsTitle || 'Total daily duration'}>
                     {formatHMS(totalElapsed)}
                   </span>
                 </div>
               )}
               
+              {attendance.active && (
+                <button
+                  onClick={handleBreak}
+                  className="px-3 py-2 rounded-lg text-sm font-medium border border-gray-300 text-gray-700 hover:bg-gray-50"
+                  title={attendance.on_break ? 'End your break' : 'Start a break'}
+                >
+                  {attendance.on_break ? 'Resume' : 'Break'}
+                </button>
+              )}
+
               {/* Clock In/Out Button */}
               <button
                 onClick={attendance.active ? handleClockOut : handleClockIn}
@@ -883,11 +930,13 @@ const Header = ({ onSearch, onLogout, tasks, employees, onStartTimer, onStopTime
         onUpdateSettings={updateLowIdleSettings}
         loading={lowIdleNotificationsLoading}
         error={lowIdleError}
+        lastSyncedAt={lowIdleLastSyncedAt}
         currentlyIdleList={currentlyIdleList}
         currentlyIdleLoading={currentlyIdleLoading}
         currentlyIdleError={currentlyIdleError}
         currentlyIdleWindowMinutes={currentlyIdleWindowMinutes}
         currentlyIdleMinMinutes={currentlyIdleMinMinutes}
+        currentlyIdleLastSyncedAt={currentlyIdleLastSyncedAt}
         onCurrentlyIdleWindowChange={setCurrentlyIdleWindowMinutes}
         onCurrentlyIdleMinMinutesChange={setCurrentlyIdleMinMinutes}
         onRefreshCurrentlyIdle={refreshCurrentlyIdle}
@@ -978,7 +1027,7 @@ const Header = ({ onSearch, onLogout, tasks, employees, onStartTimer, onStopTime
       <ChangePasswordModal
         isOpen={showChangePasswordModal}
         onClose={() => setShowChangePasswordModal(false)}
-        userEmail={user?.email || 'admin@daataadirect.co.uk'}
+        userEmail={user?.email || ''}
       />
     </>
   );
@@ -34,7 +34,7 @@ const NoticeBoardMenuItem = ({ currentView, onViewChange }) => {
 
   const fetchUnreadCount = async () => {
     try {
-      const response = await fetch(`/api/notices/unread-count?user_id=${user.id}&user_role=${user.role || user.user_role || 'employee'}`);
+      const response = await fetch('/api/notices/unread-count');
       if (response.ok) {
         const data = await response.json();
         setUnreadCount(data.unread_count);
@@ -59,12 +59,14 @@ const Sidebar = ({ currentView, onViewChange }) => {
 
   const isAdmin = user?.role === 'admin' || user?.role === 'Admin' || user?.user_role === 'admin' || user?.user_role === 'Admin';
   const isManager = !!user?.is_manager || (user?.designation && String(user.designation).toLowerCase().includes('manager'));
+  // Idle Accountability: admin listing, or the review queue for managers and idle_accountability_review holders
+  const canReviewIdle = () => isManager || hasPermission('idle_accountability_review');
 
   // Define menu items with permission filtering
   const getMenuItems = () => {
     const allMenuItems = [
       // Hide My Health for admin user since they don't have health data
-      ...(user?.email !== 'admin@daataadirect.co.uk' ? [{ id: 'myHealth', label: 'My Health', icon: Heart, permission: 'view_own_health' }] : []),
+      ...(user?.role !== 'admin' ? [{ id: 'myHealth', label: 'My Health', icon: Heart, permission: 'view_own_health' }] : []),
       { 
         id: 'dashboard', 
         label: 'Dashboard', 
@@ -113,6 +115,8 @@ const Sidebar = ({ currentView, onViewChange }) => {
         ]
       },
       { id: 'healthDashboard', label: 'Health Dashboard', icon: AlertTriangle, permission: 'view_health_dashboard_menu' },
+      { id: 'idleAccountabilityAdmin', label: 'Idle Accountability', icon: Clock, permission: 'idle_accountability_admin_view', specialAccess: canReviewIdle },
+      { id: 'attendanceRegularization', label: 'Attendance Requests', icon: Clock, permission: null },
       { id: 'reports', label: 'Reports', icon: BarChart2, permission: 'view_reports_menu', specialAccess: canAccessReports },
       { id: 'earntrack', label: 'EarnTrack', icon: Wallet, permission: null },
       { id: 'earnTrackWages', label: 'Wages Tracker', icon: DollarSign, adminOnly: true },
@@ -27,11 +27,13 @@ const LowIdleNotificationPanel = ({
   onUpdateSettings,
   loading,
   error,
+  lastSyncedAt = null,
   currentlyIdleList = [],
   currentlyIdleLoading = false,
   currentlyIdleError = null,
   currentlyIdleWindowMinutes = 15,
   currentlyIdleMinMinutes = 1,
+  currentlyIdleLastSyncedAt = null,
   onCurrentlyIdleWindowChange,
   onCurrentlyIdleMinMinutesChange,
   onRefreshCurrentlyIdle,
@@ -64,9 +66,11 @@ const LowIdleNotificationPanel = ({
   const [reasonForm, setReasonForm] = useState({
     category: '',
     subcategory: '',
-    reason: ''
+    reason: '',
+    evidence: ''
   });
   const [reasonSubmitting, setReasonSubmitting] = useState(false);
+  const selectedReasonCategory = categories.find((c) => c.key === reasonForm.category) || null;
   const [createTicketsOpen, setCreateTicketsOpen] = useState(false);
   const [createTicketDate, setCreateTicketDate] = useState(() =>
     formatShortDate(endDate || todayIso())
@@ -209,12 +213,20 @@ const LowIdleNotificationPanel = ({
               <p className="text-sm text-gray-600">
                 {isAdmin ? (
                   viewMode === 'current'
-                    ? `Employees idle in the last ${currentlyIdleWindowMinutes} min (≥${currentlyIdleMinMinutes} min) – Team Logger API`
-                    : `Employees with more than ${minIdleHours}h ${minIdleMinutes}m idle from ${displayStart} to ${displayEnd} (Team Logger API)`
+                    ? `Employees idle in the last ${currentlyIdleWindowMinutes} min (≥${currentlyIdleMinMinutes} min) – Team Logger`
+                    : `Employees with more than ${minIdleHours}h ${minIdleMinutes}m idle from ${displayStart} to ${displayEnd} (Team Logger)`
                 ) : (
                   'View your own idle accountability records (pending and resolved) for the selected date.'
                 )}
               </p>
+              {isAdmin && (
+                <p className="text-xs text-gray-500">
+                  {(() => {
+                    const synced = viewMode === 'current' ? currentlyIdleLastSyncedAt : lastSyncedAt;
+                    return synced ? `Last synced: ${synced}` : 'Not fully synced yet for this range';
+                  })()}
+                </p>
+              )}
             </div>
           </div>
           <div className="flex items-center space-x-2">
@@ -412,7 +424,7 @@ const LowIdleNotificationPanel = ({
               <div className="flex-1 overflow-auto p-6">
                 <div className="flex items-center justify-between mb-4">
                   <div className="text-sm text-gray-600">
-                    Showing idle accountability records above 20 minutes for date range{' '}
+                    Showing idle accountability records above the idle threshold for date range{' '}
                     <span className="font-medium">
                       {displayStart} – {displayEnd}
                     </span>
@@ -621,6 +633,8 @@ const LowIdleNotificationPanel = ({
                                                 item.status === 'pending'
                                                   ? 'bg-yellow-50 text-yellow-800'
                                                   : item.status === 'submitted'
+                                                  ? 'bg-blue-50 text-blue-800'
+                                                  : item.status === 'accepted'
                                                   ? 'bg-green-50 text-green-800'
                                                   : item.status === 'ticket_created'
                                                   ? 'bg-red-50 text-red-800'
@@ -685,7 +699,7 @@ const LowIdleNotificationPanel = ({
               <div className="flex-1 overflow-auto p-6">
                 <div className="mb-4 flex items-center justify-between">
                   <div className="text-sm text-gray-600">
-                    Select a date to view your idle accountability records (over 20 minutes).
+                    Select a date to view your idle accountability records (over your idle threshold).
                   </div>
                   {onChangeAccountabilityDate && (
                     <div className="flex items-center space-x-2">
@@ -724,7 +738,7 @@ const LowIdleNotificationPanel = ({
                         return (
                           <div className="flex items-center justify-center py-12 text-gray-500 text-center">
                             {viewMode === 'pendingAccountability'
-                              ? 'You have no pending idle accountability items for this date (over 20 minutes).'
+                              ? 'You have no pending idle accountability items for this date (over your idle threshold).'
                               : 'You have no resolved idle accountability items for this date.'}
                           </div>
                         );
@@ -764,6 +778,8 @@ const LowIdleNotificationPanel = ({
                                         item.status === 'pending'
                                           ? 'bg-yellow-50 text-yellow-800'
                                           : item.status === 'submitted'
+                                          ? 'bg-blue-50 text-blue-800'
+                                          : item.status === 'accepted'
                                           ? 'bg-green-50 text-green-800'
                                           : item.status === 'ticket_created'
                                           ? 'bg-red-50 text-red-800'
@@ -807,7 +823,8 @@ const LowIdleNotificationPanel = ({
                                         setReasonForm({
                                           category: item.category || '',
                                           subcategory: item.subcategory || '',
-                                          reason: item.reason_text || ''
+                                          reason: item.reason_text || '',
+                                          evidence: item.evidence_text || ''
                                         });
                                       }}
                                       className="px-3 py-1.5 text-sm rounded-lg bg-indigo-600 text-white hover:bg-indigo-700"
@@ -975,7 +992,7 @@ const LowIdleNotificationPanel = ({
               </h2>
               <p className="text-sm text-gray-600 mb-2">
                 The following template will be used for all matching pending
-                accountability records (above 20 minutes) for the selected
+                accountability records (above the idle threshold) for the selected
                 date, department and designation. You can edit the title and
                 description below, then confirm to create tickets.
               </p>
@@ -1126,7 +1143,7 @@ Idle time: [Idle minutes] minutes`}
                 Submit idle accountability reason
                   </h2>
                   <p className="text-xs text-gray-500 mt-1">
-                    Date {accountabilityDate || ''} · Explain why your idle time was higher than 20 minutes.
+                    Date {accountabilityDate || ''} · Explain why your idle time was over your threshold.
                   </p>
                 </div>
                 <button
@@ -1136,7 +1153,8 @@ Idle time: [Idle minutes] minutes`}
                     setReasonForm({
                       category: '',
                       subcategory: '',
-                      reason: ''
+                      reason: '',
+                      evidence: ''
                     });
                   }}
                   className="p-2 rounded-full hover:bg-gray-100 text-gray-400"
@@ -1151,7 +1169,8 @@ Idle time: [Idle minutes] minutes`}
                   if (
                     !reasonForm.category ||
                     !reasonForm.subcategory ||
-                    !reasonForm.reason.trim()
+                    !reasonForm.reason.trim() ||
+                    (selectedReasonCategory?.requiresEvidence && !reasonForm.evidence.trim())
                   ) {
                     return;
                   }
@@ -1170,7 +1189,8 @@ Idle time: [Idle minutes] minutes`}
                         body: JSON.stringify({
                           category: reasonForm.category,
                           subcategory: reasonForm.subcategory,
-                          reason: reasonForm.reason
+                          reason: reasonForm.reason,
+                          evidence: reasonForm.evidence
                         })
                       }
                     );
@@ -1184,7 +1204,8 @@ Idle time: [Idle minutes] minutes`}
                     setReasonForm({
                       category: '',
                       subcategory: '',
-                      reason: ''
+                      reason: '',
+                      evidence: ''
                     });
                     onRefreshAccountability?.({ date: accountabilityDate });
                   } catch (err) {
@@ -1236,9 +1257,7 @@ Idle time: [Idle minutes] minutes`}
                     disabled={!reasonForm.category}
                   >
                     <option value="">Select subcategory...</option>
-                    {(categories.find((c) => c.key === reasonForm.category)
-                      ?.subcategories || []
-                    ).map((s) => (
+                    {(selectedReasonCategory?.subcategories || []).map((s) => (
                       <option key={s.key} value={s.key}>
                         {s.label}
                       </option>
@@ -1263,6 +1282,31 @@ Idle time: [Idle minutes] minutes`}
                     required
                   />
                 </div>
+                {selectedReasonCategory?.requiresEvidence && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Evidence
+                    </label>
+                    <textarea
+                      value={reasonForm.evidence}
+                      onChange={(e) =>
+                        setReasonForm((prev) => ({
+                          ...prev,
+                          evidence: e.target.value
+                        }))
+                      }
+                      rows={2}
+                      className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                      placeholder="Link or reference supporting this reason (e.g. medical note, ticket number)..."
+                      required
+                    />
+                  </div>
+                )}
+                {selectedReasonCategory?.autoWaive && (
+                  <div className="text-xs text-green-700 bg-green-50 border border-green-100 rounded-md px-2 py-1">
+                    Reasons in this category are waived automatically once submitted.
+                  </div>
+                )}
                 <div className="flex items-center justify-end space-x-2 pt-2 border-t border-gray-100">
                   <button
                     type="button"
@@ -1271,7 +1315,8 @@ Idle time: [Idle minutes] minutes`}
                       setReasonForm({
                         category: '',
                         subcategory: '',
-                        reason: ''
+                        reason: '',
+                        evidence: ''
                       });
                     }}
                     className="px-3 py-2 text-sm rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50"
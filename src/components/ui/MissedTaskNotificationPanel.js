@@ -320,7 +320,10 @@ const MissedTaskNotificationPanel = ({ isOpen, onClose, missedTaskNotifications,
                                 </span>
                               </div>
                               <div className="text-sm text-gray-600 space-y-1">
-                                <p><strong>Assigned to:</strong> {notification.assignedTo}</p>
+                                <p>
+                                  <strong>Assigned to:</strong> {notification.assignedTo}
+                                  {notification.coveringFor && <span className="text-gray-500"> (covering for {notification.coveringFor})</span>}
+                                </p>
                                 <p><strong>Days since creation:</strong> {notification.daysSinceCreation} days</p>
                                 <p><strong>Created:</strong> {notification.createdDate ? new Date(notification.createdDate).toLocaleDateString() : 'N/A'}</p>
                                 {notification.dueDate && (
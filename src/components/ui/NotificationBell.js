@@ -134,7 +134,9 @@ export default function NotificationBell() {
     
     // Navigate to ticket (this would need to be implemented based on your routing)
     // For now, we'll just show an alert
-    alert(`Navigate to ticket: ${notification.ticket_number}`);
+    if (notification.ticket_number) {
+      alert(`Navigate to ticket: ${notification.ticket_number}`);
+    }
   };
 
   const formatDate = (dateString) => {
@@ -161,6 +163,24 @@ export default function NotificationBell() {
         return '🔄';
       case 'ticket_updated':
         return '✏️';
+      case 'idle_reason_accepted':
+        return '✅';
+      case 'idle_reason_waived':
+        return '🕊️';
+      case 'idle_reason_rejected':
+        return '⛔';
+      case 'attendance_regularization_requested':
+        return '🕒';
+      case 'attendance_regularization_approved':
+        return '✅';
+      case 'attendance_regularization_rejected':
+        return '⛔';
+      case 'leave_approval_requested':
+        return '🗓️';
+      case 'leave_approval_escalated':
+        return '⏫';
+      case 'task_handover':
+        return '🤝';
       default:
         return '🔔';
     }
@@ -617,6 +617,9 @@ const NotificationPanel = ({
                                       <span className="font-medium text-gray-900">
                                         {notification.employeeName}
                                       </span>
+                                      {notification.coveringFor && (
+                                        <span className="text-xs text-gray-500">(covering for {notification.coveringFor})</span>
+                                      )}
                                     </div>
                                   </div>
                                   
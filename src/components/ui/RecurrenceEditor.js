@@ -0,0 +1,108 @@
+import React from 'react';
+import { WEEKDAY_NAMES, WEEK_OF_MONTH_OPTIONS, defaultRecurrence, describeRecurrence } from '../../utils/recurrence';
+
+const selectClass = 'px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 text-sm';
+
+// Editor for task.recurrence; value is the rule object or null (not recurring)
+export default function RecurrenceEditor({ value, onChange, referenceDate }) {
+  const rule = value && value.frequency ? value : null;
+  const update = (changes) => onChange({ ...rule, ...changes });
+
+  const toggleWeekday = (day) => {
+    const current = rule.weekdays || [];
+    const weekdays = current.includes(day) ? current.filter(d => d !== day) : [...current, day].sort((a, b) => a - b);
+    update({ weekdays });
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">Recurrence</label>
+      <div className="flex flex-wrap items-center gap-3">
+        <select
+          value={rule ? rule.frequency : 'none'}
+          onChange={(e) => onChange(defaultRecurrence(e.target.value, referenceDate))}
+          className={selectClass}
+        >
+          <option value="none">Does not repeat</option>
+          <option value="daily">Daily</option>
+          <option value="weekly">Weekly</option>
+          <option value="monthly">Monthly</option>
+        </select>
+
+        {rule && rule.frequency === 'monthly' && (
+          <select
+            value={rule.monthlyMode || 'day'}
+            onChange={(e) => update(e.target.value === 'nth_weekday'
+              ? { monthlyMode: 'nth_weekday', weekOfMonth: 1, weekday: 1, monthDay: undefined }
+              : { monthlyMode: 'day', monthDay: 1, weekOfMonth: undefined, weekday: undefined })}
+            className={selectClass}
+          >
+            <option value="day">On day of month</option>
+            <option value="nth_weekday">On weekday of month</option>
+          </select>
+        )}
+
+        {rule && rule.frequency === 'monthly' && (rule.monthlyMode || 'day') === 'day' && (
+          <input
+            type="number"
+            min="1"
+            max="31"
+            value={rule.monthDay || ''}
+            onChange={(e) => update({ monthDay: parseInt(e.target.value, 10) || '' })}
+            className={`${selectClass} w-20`}
+          />
+        )}
+
+        {rule && rule.frequency === 'monthly' && rule.monthlyMode === 'nth_weekday' && (
+          <>
+            <select
+              value={rule.weekOfMonth}
+              onChange={(e) => update({ weekOfMonth: parseInt(e.target.value, 10) })}
+              className={selectClass}
+            >
+              {WEEK_OF_MONTH_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+            </select>
+            <select
+              value={rule.weekday}
+              onChange={(e) => update({ weekday: parseInt(e.target.value, 10) })}
+              className={selectClass}
+            >
+              {WEEKDAY_NAMES.map((name, i) => <option key={name} value={i}>{name}</option>)}
+            </select>
+          </>
+        )}
+      </div>
+
+      {rule && rule.frequency === 'weekly' && (
+        <div className="flex flex-wrap gap-2 mt-2">
+          {WEEKDAY_NAMES.map((name, i) => {
+            const selected = (rule.weekdays || []).includes(i);
+            return (
+              <button
+                key={name}
+                type="button"
+                onClick={() => toggleWeekday(i)}
+                className={`px-2 py-1 text-xs rounded border ${selected ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-gray-700 border-gray-300'}`}
+              >
+                {name.slice(0, 3)}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      {rule && (
+        <div className="flex flex-wrap items-center gap-3 mt-2">
+          <label className="text-sm text-gray-600">Ends</label>
+          <input
+            type="date"
+            value={rule.endDate || ''}
+            onChange={(e) => update({ endDate: e.target.value || null })}
+            className={selectClass}
+          />
+          <span className="text-xs text-gray-500">{describeRecurrence(rule)}</span>
+        </div>
+      )}
+    </div>
+  );
+}
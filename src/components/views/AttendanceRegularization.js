@@ -0,0 +1,457 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+
+const EMPTY_FORM = {
+  date: '',
+  type: 'missing_clock_out',
+  session_id: '',
+  requested_clock_in: '',
+  requested_clock_out: '',
+  location: '',
+  reason: '',
+  evidence_text: '',
+  evidence_url: ''
+};
+
+const STATUS_BADGES = {
+  pending: 'bg-amber-100 text-amber-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-600'
+};
+
+const formatTime = (value) => (value ? String(value).replace('T', ' ').slice(11, 16) : '—');
+
+// Attendance regularization: employees ask to fix a day (missing clock-in/out, wrong time, worked elsewhere);
+// their manager approves or rejects, and approved requests amend the day's sessions.
+const AttendanceRegularization = () => {
+  const { user } = useAuth();
+  const [activeTab, setActiveTab] = useState('mine');
+  const [types, setTypes] = useState([]);
+  const [mine, setMine] = useState([]);
+  const [approvals, setApprovals] = useState([]);
+  const [approvalStatus, setApprovalStatus] = useState('pending');
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [daySessions, setDaySessions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [savingId, setSavingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const typeLabel = (key) => (types.find((t) => t.key === key) || {}).label || key;
+
+  const loadMine = useCallback(async () => {
+    try {
+      setLoading(true);
+      const res = await fetch('/api/attendance-regularizations?status=all');
+      const data = await res.json().catch(() => []);
+      if (!res.ok) throw new Error(data.error || 'Failed to load requests');
+      setMine(Array.isArray(data) ? data : []);
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const loadApprovals = useCallback(async () => {
+    try {
+      setLoading(true);
+      const res = await fetch(`/api/attendance-regularizations/approvals?status=${encodeURIComponent(approvalStatus)}`);
+      const data = await res.json().catch(() => []);
+      if (!res.ok) throw new Error(data.error || 'Failed to load approvals');
+      setApprovals(Array.isArray(data) ? data : []);
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [approvalStatus]);
+
+  useEffect(() => {
+    fetch('/api/attendance-regularizations/types')
+      .then((res) => (res.ok ? res.json() : []))
+      .then((list) => setTypes(Array.isArray(list) ? list : []))
+      .catch(() => setTypes([]));
+    loadMine();
+  }, [loadMine]);
+
+  // Reloads whenever the status filter changes
+  useEffect(() => {
+    loadApprovals();
+  }, [loadApprovals]);
+
+  // Sessions of the chosen day, so wrong-time and missing clock-out requests can point at one
+  useEffect(() => {
+    if (!form.date || !user?.id) {
+      setDaySessions([]);
+      return;
+    }
+    fetch(`/api/attendance/daily-log?date=${form.date}&employee_id=${user.id}`)
+      .then((res) => (res.ok ? res.json() : {}))
+      .then((data) => {
+        const totals = (data.employee_totals || []).find((t) => String(t.employee_id) === String(user.id));
+        setDaySessions(totals ? totals.sessions || [] : []);
+      })
+      .catch(() => setDaySessions([]));
+  }, [form.date, user?.id]);
+
+  const needsSession = form.type === 'wrong_time' || form.type === 'missing_clock_out';
+  const needsClockIn = form.type !== 'missing_clock_out';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError(null);
+      const res = await fetch('/api/attendance-regularizations', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...form,
+          session_id: needsSession && form.session_id ? Number(form.session_id) : null,
+          requested_clock_in: needsClockIn ? form.requested_clock_in : null
+        })
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Failed to submit request');
+      setForm(EMPTY_FORM);
+      await loadMine();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancel = async (item) => {
+    if (!window.confirm(`Withdraw your request for ${item.date}?`)) return;
+    const res = await fetch(`/api/attendance-regularizations/${item.id}/cancel`, { method: 'POST' });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      alert(data.error || 'Failed to cancel request');
+    }
+    loadMine();
+  };
+
+  const review = async (item, decision) => {
+    let comment = '';
+    if (decision === 'reject') {
+      comment = window.prompt(`Reject ${item.employee_name}'s request for ${item.date}? Comment (required):`, '');
+      if (comment === null) return;
+      if (!comment.trim()) {
+        alert('A comment is required when rejecting');
+        return;
+      }
+    }
+    try {
+      setSavingId(item.id);
+      const res = await fetch(`/api/attendance-regularizations/${item.id}/review`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ decision, comment })
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Failed to save decision');
+      await loadApprovals();
+    } catch (e) {
+      alert(e.message);
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const requestedTimes = (item) => (
+    <>
+      {item.requested_clock_in && <div>In: {formatTime(item.requested_clock_in)}</div>}
+      {item.requested_clock_out && <div>Out: {formatTime(item.requested_clock_out)}</div>}
+    </>
+  );
+
+  return (
+    <div className="p-6">
+      <div className="mb-4">
+        <h1 className="text-2xl font-bold text-gray-900">Attendance Requests</h1>
+        <p className="text-sm text-gray-600">Ask your manager to correct a day you forgot to clock in or out, or worked elsewhere.</p>
+      </div>
+
+      <div className="mb-4 flex space-x-2 border-b border-gray-200">
+        {[
+          { id: 'mine', label: 'My Requests' },
+          { id: 'approvals', label: `Approvals${approvals.length && approvalStatus === 'pending' ? ` (${approvals.length})` : ''}` }
+        ].map((tab) => (
+          <button
+            key={tab.id}
+            onClick={() => setActiveTab(tab.id)}
+            className={`px-4 py-2 text-sm font-medium border-b-2 ${activeTab === tab.id ? 'border-indigo-600 text-indigo-600' : 'border-transparent text-gray-600 hover:text-gray-800'}`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {error && <div className="mb-3 p-3 rounded bg-red-50 text-red-700 text-sm">{error}</div>}
+
+      {activeTab === 'mine' && (
+        <div className="space-y-6">
+          <form onSubmit={handleSubmit} className="bg-white border border-gray-200 rounded-lg p-4 grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+              <input
+                type="date"
+                value={form.date}
+                onChange={(e) => setForm((prev) => ({ ...prev, date: e.target.value, session_id: '' }))}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+              <select
+                value={form.type}
+                onChange={(e) => setForm((prev) => ({ ...prev, type: e.target.value }))}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+              >
+                {types.map((t) => (
+                  <option key={t.key} value={t.key}>{t.label}</option>
+                ))}
+              </select>
+            </div>
+            {needsSession && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Session</label>
+                <select
+                  value={form.session_id}
+                  onChange={(e) => setForm((prev) => ({ ...prev, session_id: e.target.value }))}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                  required={form.type === 'wrong_time'}
+                >
+                  <option value="">{form.type === 'missing_clock_out' ? 'Open session' : 'Choose a session'}</option>
+                  {daySessions.filter((s) => s.id).map((s) => (
+                    <option key={s.id} value={s.id}>
+                      {formatTime(s.clock_in)} – {s.clock_out ? formatTime(s.clock_out) : 'no clock-out'}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+            {needsClockIn && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  {form.type === 'wrong_time' ? 'Correct clock-in (optional)' : 'Clock-in'}
+                </label>
+                <input
+                  type="time"
+                  value={form.requested_clock_in}
+                  onChange={(e) => setForm((prev) => ({ ...prev, requested_clock_in: e.target.value }))}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                  required={form.type !== 'wrong_time'}
+                />
+              </div>
+            )}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                {form.type === 'wrong_time' ? 'Correct clock-out (optional)' : 'Clock-out'}
+              </label>
+              <input
+                type="time"
+                value={form.requested_clock_out}
+                onChange={(e) => setForm((prev) => ({ ...prev, requested_clock_out: e.target.value }))}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                required={form.type !== 'wrong_time'}
+              />
+            </div>
+            {form.type === 'worked_elsewhere' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Where</label>
+                <input
+                  type="text"
+                  value={form.location}
+                  onChange={(e) => setForm((prev) => ({ ...prev, location: e.target.value }))}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                  placeholder="Client site, home..."
+                />
+              </div>
+            )}
+            <div className="md:col-span-3">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+              <textarea
+                value={form.reason}
+                onChange={(e) => setForm((prev) => ({ ...prev, reason: e.target.value }))}
+                rows={2}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                required
+              />
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Evidence</label>
+              <input
+                type="text"
+                value={form.evidence_text}
+                onChange={(e) => setForm((prev) => ({ ...prev, evidence_text: e.target.value }))}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                placeholder="Who can confirm, what you worked on..."
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Evidence link</label>
+              <input
+                type="url"
+                value={form.evidence_url}
+                onChange={(e) => setForm((prev) => ({ ...prev, evidence_url: e.target.value }))}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                placeholder="https://"
+              />
+            </div>
+            <div className="md:col-span-3 flex justify-end">
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 text-sm rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+              >
+                {saving ? 'Submitting...' : 'Submit request'}
+              </button>
+            </div>
+          </form>
+
+          {loading && mine.length === 0 ? (
+            <div className="py-12 text-center text-gray-500">Loading requests...</div>
+          ) : mine.length === 0 ? (
+            <div className="py-12 text-center text-gray-500">No regularization requests yet.</div>
+          ) : (
+            <div className="overflow-auto border border-gray-200 rounded-lg bg-white">
+              <table className="min-w-full text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Requested</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                    <th className="px-3 py-2" />
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {mine.map((item) => (
+                    <tr key={item.id} className="align-top">
+                      <td className="px-3 py-2 whitespace-nowrap text-gray-900">{item.date}</td>
+                      <td className="px-3 py-2 whitespace-nowrap text-gray-700">{typeLabel(item.type)}</td>
+                      <td className="px-3 py-2 whitespace-nowrap text-gray-700">{requestedTimes(item)}</td>
+                      <td className="px-3 py-2 text-gray-700 max-w-sm">
+                        <div className="truncate" title={item.reason}>{item.reason}</div>
+                        {item.review_comment && (
+                          <div className="truncate text-xs text-gray-500" title={item.review_comment}>
+                            {item.reviewed_by || 'Reviewer'}: {item.review_comment}
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-3 py-2 whitespace-nowrap">
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_BADGES[item.status] || ''}`}>{item.status}</span>
+                      </td>
+                      <td className="px-3 py-2 whitespace-nowrap text-right">
+                        {item.status === 'pending' && (
+                          <button onClick={() => handleCancel(item)} className="text-xs text-red-600 hover:text-red-800">
+                            Withdraw
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      {activeTab === 'approvals' && (
+        <div>
+          <div className="mb-3 flex items-center gap-3">
+            <label className="text-xs font-medium text-gray-600">Show</label>
+            <select
+              value={approvalStatus}
+              onChange={(e) => setApprovalStatus(e.target.value)}
+              className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+            >
+              <option value="pending">Awaiting approval</option>
+              <option value="approved">Approved</option>
+              <option value="rejected">Rejected</option>
+              <option value="all">All</option>
+            </select>
+          </div>
+          {approvals.length === 0 ? (
+            <div className="py-12 text-center text-gray-500">No requests to review.</div>
+          ) : (
+            <div className="overflow-auto border border-gray-200 rounded-lg bg-white">
+              <table className="min-w-full text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Employee</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Requested</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                    <th className="px-3 py-2" />
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {approvals.map((item) => (
+                    <tr key={item.id} className="align-top">
+                      <td className="px-3 py-2 whitespace-nowrap text-gray-900">{item.date}</td>
+                      <td className="px-3 py-2 whitespace-nowrap">
+                        <div className="text-gray-900">{item.employee_name}</div>
+                        <div className="text-xs text-gray-500">{item.department || 'Unassigned'}</div>
+                      </td>
+                      <td className="px-3 py-2 whitespace-nowrap text-gray-700">
+                        {typeLabel(item.type)}
+                        {item.location && <div className="text-xs text-gray-500">{item.location}</div>}
+                      </td>
+                      <td className="px-3 py-2 whitespace-nowrap text-gray-700">{requestedTimes(item)}</td>
+                      <td className="px-3 py-2 text-gray-700 max-w-sm">
+                        <div className="truncate" title={item.reason}>{item.reason}</div>
+                        {item.evidence_text && (
+                          <div className="truncate text-xs text-gray-500" title={item.evidence_text}>Evidence: {item.evidence_text}</div>
+                        )}
+                        {item.evidence_url && (
+                          <a href={item.evidence_url} target="_blank" rel="noopener noreferrer" className="text-xs text-indigo-600 hover:text-indigo-800">
+                            Evidence link
+                          </a>
+                        )}
+                      </td>
+                      <td className="px-3 py-2 whitespace-nowrap">
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_BADGES[item.status] || ''}`}>{item.status}</span>
+                      </td>
+                      <td className="px-3 py-2 whitespace-nowrap text-right space-x-2">
+                        {item.status === 'pending' && (
+                          <>
+                            <button
+                              onClick={() => review(item, 'approve')}
+                              disabled={savingId === item.id}
+                              className="px-2 py-1 text-xs rounded-lg bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+                            >
+                              Approve
+                            </button>
+                            <button
+                              onClick={() => review(item, 'reject')}
+                              disabled={savingId === item.id}
+                              className="px-2 py-1 text-xs rounded-lg bg-red-600 text-white hover:bg-red-700 disabled:opacity-50"
+                            >
+                              Reject
+                            </button>
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AttendanceRegularization;
@@ -38,6 +38,7 @@ export default function EarnTrackWages() {
   const [loadingEmployees, setLoadingEmployees] = useState(true);
   const [loadingTime, setLoadingTime] = useState(false);
   const [timeError, setTimeError] = useState(null);
+  const [syncInfo, setSyncInfo] = useState(null);
   const [overrides, setOverrides] = useState({});
   const [modalEmployee, setModalEmployee] = useState(null);
   const [modalForm, setModalForm] = useState({ hoursPerDay: '', pkrPerHour: '' });
@@ -108,6 +109,10 @@ export default function EarnTrackWages() {
       }
       const list = await res.json();
       setTimeSummary(Array.isArray(list) ? list : []);
+      setSyncInfo({
+        lastSyncedAt: res.headers.get('X-TeamLogger-Last-Synced') || null,
+        syncedDates: res.headers.get('X-TeamLogger-Synced-Dates') || null
+      });
 
       const hasTotal = list.some((r) => r.totalHours != null);
       if (!hasTotal) {
@@ -304,6 +309,13 @@ export default function EarnTrackWages() {
         {timeError && (
           <p className="mt-3 text-sm text-red-600">{timeError}</p>
         )}
+        {syncInfo && !timeError && (
+          <p className="mt-3 text-xs text-gray-500">
+            {syncInfo.lastSyncedAt
+              ? `TeamLogger data last synced: ${syncInfo.lastSyncedAt}`
+              : `TeamLogger data is not synced for every day in this range yet (${syncInfo.syncedDates || '0'} days synced)`}
+          </p>
+        )}
       </div>
 
       {loadingEmployees ? (
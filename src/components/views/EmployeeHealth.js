@@ -302,6 +302,36 @@ const EmployeeHealth = ({ employeeId }) => {
           </div>
         </div>
 
+        {/* Issues (only counted when enabled in health settings) */}
+        {healthSettings?.issues_affect_health?.value && calculations.issues && (
+          <div className="bg-white rounded-lg shadow-sm border p-6">
+            <h3 className="text-lg font-semibold text-gray-800 mb-4 flex items-center">
+              <div className="w-3 h-3 bg-orange-500 rounded-full mr-2"></div>
+              Issue Deductions
+            </h3>
+            <div className="space-y-3">
+              <div className="flex justify-between">
+                <span className="text-gray-600">High Severity:</span>
+                <span className="font-semibold text-red-600">{calculations.issues.high} (-{calculations.issues.high * (healthSettings?.issue_high_deduction?.value ?? 10)})</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Medium Severity:</span>
+                <span className="font-semibold text-orange-600">{calculations.issues.medium} (-{calculations.issues.medium * (healthSettings?.issue_medium_deduction?.value ?? 5)})</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Low Severity:</span>
+                <span className="font-semibold text-yellow-600">{calculations.issues.low} (-{calculations.issues.low * (healthSettings?.issue_low_deduction?.value ?? 2)})</span>
+              </div>
+              <div className="flex justify-between border-t pt-2">
+                <span className="text-gray-600">Total Score:</span>
+                <span className={`font-semibold ${calculations.issues.score >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                  {calculations.issues.score}
+                </span>
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Appreciations */}
         <div className="bg-white rounded-lg shadow-sm border p-6">
           <h3 className="text-lg font-semibold text-gray-800 mb-4 flex items-center">
@@ -411,6 +441,9 @@ const EmployeeHealth = ({ employeeId }) => {
               <li>• High Priority Errors: -{healthSettings?.error_high_deduction?.value || 5} points each</li>
               <li>• Medium Priority Errors: -{healthSettings?.error_medium_deduction?.value || 3} points each</li>
               <li>• Low Priority Errors: -{healthSettings?.error_low_deduction?.value || 1} point each</li>
+              {healthSettings?.issues_affect_health?.value && (
+                <li>• Issues: -{healthSettings?.issue_high_deduction?.value ?? 10} (High), -{healthSettings?.issue_medium_deduction?.value ?? 5} (Medium), -{healthSettings?.issue_low_deduction?.value ?? 2} (Low)</li>
+              )}
               <li>
                 • Attendance: -{healthSettings?.attendance_deduction?.value || 5} points per month (
                 &gt;{healthSettings?.max_absences_per_month?.value || 2} absences)
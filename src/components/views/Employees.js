@@ -247,6 +247,7 @@ const Employees = memo(() => {
       // Convert database integer values to boolean for form
       const employeeData = {
         ...employee,
+        password: '', // Passwords are never returned; leave blank to keep the current one
         login_allowed: Boolean(employee.login_allowed),
         email_notifications: Boolean(employee.email_notifications)
       };
@@ -1296,7 +1297,7 @@ const Employees = memo(() => {
                   name="password"
                   value={formData.password}
                   onChange={(e) => handleInputChange('password', e.target.value)}
-                  placeholder="Min. 8 characters"
+                  placeholder={editingEmployee ? "Leave blank to keep current password" : "Min. 8 characters"}
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
                 />
                 <button
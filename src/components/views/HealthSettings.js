@@ -256,14 +256,7 @@ const HealthSettings = ({ isOpen, onClose, onSave }) => {
                         Expected Hours Per Day
                       </label>
                       {renderInput('expected_hours_per_day', settings.expected_hours_per_day || { value: 8, type: 'number' })}
-                      <p className="text-xs text-gray-500 mt-1">Expected working hours per day</p>
-                    </div>
-                    <div>
-                      <label className="block text-sm font-medium text-gray-700 mb-1">
-                        Working Days Per Week
-                      </label>
-                      {renderInput('working_days_per_week', settings.working_days_per_week || { value: 6, type: 'number' })}
-                      <p className="text-xs text-gray-500 mt-1">Number of working days per week (Monday-Saturday)</p>
+                      <p className="text-xs text-gray-500 mt-1">Expected working hours per day. Working days follow the weekend set in Settings → Organisation</p>
                     </div>
                     <div>
                       <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -306,6 +299,43 @@ const HealthSettings = ({ isOpen, onClose, onSave }) => {
                   </div>
                 </div>
 
+                {/* Issue Deduction Settings */}
+                <div>
+                  <h3 className="text-lg font-semibold text-gray-800 mb-4 flex items-center">
+                    <div className="w-2 h-2 bg-orange-500 rounded-full mr-2"></div>
+                    Issue Deduction Settings
+                  </h3>
+                  <div className="flex items-center gap-2 mb-4">
+                    {renderInput('issues_affect_health', settings.issues_affect_health || { value: false, type: 'boolean' })}
+                    <label className="text-sm font-medium text-gray-700">
+                      Deduct points for issues charged to an employee
+                    </label>
+                  </div>
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        High Severity Deduction
+                      </label>
+                      {renderInput('issue_high_deduction', settings.issue_high_deduction || { value: 10, type: 'number' })}
+                      <p className="text-xs text-gray-500 mt-1">Points deducted per high severity issue</p>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Medium Severity Deduction
+                      </label>
+                      {renderInput('issue_medium_deduction', settings.issue_medium_deduction || { value: 5, type: 'number' })}
+                      <p className="text-xs text-gray-500 mt-1">Points deducted per medium severity issue</p>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Low Severity Deduction
+                      </label>
+                      {renderInput('issue_low_deduction', settings.issue_low_deduction || { value: 2, type: 'number' })}
+                      <p className="text-xs text-gray-500 mt-1">Points deducted per low severity issue</p>
+                    </div>
+                  </div>
+                </div>
+
                 {/* Appreciation & Attendance Settings */}
                 <div>
                   <h3 className="text-lg font-semibold text-gray-800 mb-4 flex items-center">
@@ -1,24 +1,408 @@
-import React from 'react';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+
+const TYPE_LABELS = { holiday: 'Holiday', important: 'Important event' };
+const SCOPE_LABELS = { all: 'Everyone', departments: 'Departments', designations: 'Designations' };
+
+const EMPTY_FORM = {
+  name: '',
+  start_date: '',
+  end_date: '',
+  type: 'holiday',
+  scope: 'all',
+  departments: [],
+  designations: [],
+  recurring_yearly: false,
+  description: ''
+};
+
+const IMPORT_COLUMNS = ['name', 'start_date', 'end_date', 'type', 'scope', 'targets', 'recurring_yearly', 'description'];
+
+// Split one CSV line, honouring double-quoted fields
+const splitCsvLine = (line) => {
+  const cells = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"' && quoted && line[i + 1] === '"') {
+      current += '"';
+      i++;
+    } else if (ch === '"') {
+      quoted = !quoted;
+    } else if (ch === ',' && !quoted) {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+};
+
+// CSV rows (IMPORT_COLUMNS order, optional header) -> holiday payloads for /api/holidays/import.
+// "targets" lists departments or designations separated by "|".
+const parseImportText = (text) => {
+  const lines = String(text || '').split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  if (lines.length && splitCsvLine(lines[0])[0].toLowerCase() === 'name') lines.shift();
+  return lines.map((line) => {
+    const cells = splitCsvLine(line);
+    const row = Object.fromEntries(IMPORT_COLUMNS.map((col, i) => [col, cells[i] || '']));
+    const scope = (row.scope || 'all').toLowerCase();
+    const targets = row.targets ? row.targets.split('|').map((t) => t.trim()).filter(Boolean) : [];
+    return {
+      name: row.name,
+      start_date: row.start_date,
+      end_date: row.end_date || row.start_date,
+      type: (row.type || 'holiday').toLowerCase(),
+      scope,
+      departments: scope === 'departments' ? targets : [],
+      designations: scope === 'designations' ? targets : [],
+      recurring_yearly: ['1', 'true', 'yes', 'y'].includes(String(row.recurring_yearly).toLowerCase()),
+      description: row.description
+    };
+  });
+};
+
+const formatRange = (start, end) => {
+  const fmt = (d) => new Date(`${d}T00:00:00`).toLocaleDateString('en-US', { day: 'numeric', month: 'short', year: 'numeric' });
+  return start === end ? fmt(start) : `${fmt(start)} – ${fmt(end)}`;
+};
 
 export default function Holiday() {
-  return (
-    <div className="p-6">
-      <h1 className="text-2xl font-semibold text-gray-900 mb-2">Holiday</h1>
-      <div className="bg-white border rounded p-6 text-gray-600">
-        This section is coming soon.
-      </div>
-    </div>
+  const { user } = useAuth();
+  const canManage = !!user && (
+    (user.role || '').toLowerCase() === 'admin' ||
+    user.permissions?.includes('all') ||
+    user.permissions?.includes('holidays_manage')
   );
-}
 
+  const [year, setYear] = useState(() => new Date().getFullYear());
+  const [typeFilter, setTypeFilter] = useState('');
+  const [holidays, setHolidays] = useState([]);
+  const [departments, setDepartments] = useState([]);
+  const [designations, setDesignations] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+
+  const [showImport, setShowImport] = useState(false);
+  const [importText, setImportText] = useState('');
+  const [replaceYear, setReplaceYear] = useState(false);
+  const [importErrors, setImportErrors] = useState([]);
 
+  const departmentNames = useMemo(() => new Map(departments.map((d) => [d.id, d.name])), [departments]);
+  const importRows = useMemo(() => parseImportText(importText), [importText]);
 
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ year: String(year) });
+      if (typeFilter) params.set('type', typeFilter);
+      const res = await fetch(`/api/holidays?${params.toString()}`);
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to load holidays');
+      }
+      setHolidays(await res.json());
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [year, typeFilter]);
 
+  useEffect(() => { load(); }, [load]);
 
+  useEffect(() => {
+    if (!canManage) return;
+    fetch('/api/departments')
+      .then((res) => (res.ok ? res.json() : []))
+      .then((data) => setDepartments(Array.isArray(data?.data) ? data.data : (Array.isArray(data) ? data : [])))
+      .catch(() => setDepartments([]));
+    fetch('/api/designations')
+      .then((res) => (res.ok ? res.json() : []))
+      .then((data) => setDesignations(Array.isArray(data?.data) ? data.data : (Array.isArray(data) ? data : [])))
+      .catch(() => setDesignations([]));
+  }, [canManage]);
 
+  // Recurring holidays are stored once; show them on this year's date
+  const rows = useMemo(() => holidays.filter((h) => !h.recurring_yearly || parseInt(h.start_date.slice(0, 4), 10) <= year).map((h) => {
+    if (!h.recurring_yearly || h.start_date.startsWith(String(year))) return h;
+    const offset = year - parseInt(h.start_date.slice(0, 4), 10);
+    const shift = (d) => `${parseInt(d.slice(0, 4), 10) + offset}${d.slice(4)}`;
+    return { ...h, start_date: shift(h.start_date), end_date: shift(h.end_date) };
+  }).sort((a, b) => a.start_date.localeCompare(b.start_date)), [holidays, year]);
 
+  const describeScope = (h) => {
+    if (h.scope === 'departments') return h.departments.map((id) => departmentNames.get(id) || `#${id}`).join(', ');
+    if (h.scope === 'designations') return h.designations.join(', ');
+    return SCOPE_LABELS.all;
+  };
 
+  const openForm = (holiday = null) => {
+    setEditingId(holiday ? holiday.id : null);
+    setForm(holiday ? {
+      name: holiday.name,
+      start_date: holiday.start_date,
+      end_date: holiday.end_date,
+      type: holiday.type,
+      scope: holiday.scope,
+      departments: holiday.departments,
+      designations: holiday.designations,
+      recurring_yearly: holiday.recurring_yearly,
+      description: holiday.description || ''
+    } : EMPTY_FORM);
+    setShowForm(true);
+    setShowImport(false);
+  };
 
+  const submitForm = async (e) => {
+    e.preventDefault();
+    const original = editingId ? holidays.find((h) => h.id === editingId) : null;
+    // A recurring holiday keeps its original year; only the month/day shown here may change
+    const offset = original && original.recurring_yearly && form.recurring_yearly && form.start_date
+      ? parseInt(form.start_date.slice(0, 4), 10) - parseInt(original.start_date.slice(0, 4), 10)
+      : 0;
+    const shiftYear = (d) => (d && offset ? `${parseInt(d.slice(0, 4), 10) - offset}${d.slice(4)}` : d);
+    const body = { ...form, start_date: shiftYear(form.start_date), end_date: shiftYear(form.end_date) };
+    try {
+      const res = await fetch(editingId ? `/api/holidays/${editingId}` : '/api/holidays', {
+        method: editingId ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...body, end_date: body.end_date || body.start_date })
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Failed to save holiday');
+      setShowForm(false);
+      setForm(EMPTY_FORM);
+      setEditingId(null);
+      setMessage(editingId ? 'Holiday updated.' : 'Holiday added.');
+      load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
 
+  const deleteHoliday = async (holiday) => {
+    if (!window.confirm(`Delete "${holiday.name}"?${holiday.recurring_yearly ? ' It repeats every year and will be removed from all years.' : ''}`)) return;
+    const res = await fetch(`/api/holidays/${holiday.id}`, { method: 'DELETE' });
+    if (res.ok) {
+      setMessage('Holiday deleted.');
+      load();
+    } else {
+      const data = await res.json().catch(() => ({}));
+      setError(data.error || 'Failed to delete holiday');
+    }
+  };
 
+  const handleImportFile = (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => setImportText(String(reader.result || ''));
+    reader.readAsText(file);
+  };
 
+  const submitImport = async () => {
+    if (importRows.length === 0) return;
+    setImportErrors([]);
+    try {
+      const res = await fetch('/api/holidays/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ holidays: importRows, replace_year: replaceYear ? year : undefined })
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setImportErrors(Array.isArray(data.errors) ? data.errors : []);
+        throw new Error(data.error || 'Import failed');
+      }
+      setMessage(`Imported ${data.inserted} holiday(s)${data.skipped ? `, ${data.skipped} already existed` : ''}${data.removed ? `, ${data.removed} replaced` : ''}.`);
+      setImportText('');
+      setShowImport(false);
+      load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const toggleListValue = (key, value) => setForm((f) => ({
+    ...f,
+    [key]: f[key].includes(value) ? f[key].filter((v) => v !== value) : [...f[key], value]
+  }));
+
+  return (
+    <div className="p-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h1 className="text-2xl font-semibold text-gray-900">Holiday</h1>
+        <div className="flex flex-wrap items-center gap-2">
+          <button onClick={() => setYear(year - 1)} className="px-3 py-1.5 text-sm border rounded-lg hover:bg-gray-50">←</button>
+          <span className="px-2 text-sm font-medium text-gray-700">{year}</span>
+          <button onClick={() => setYear(year + 1)} className="px-3 py-1.5 text-sm border rounded-lg hover:bg-gray-50">→</button>
+          <select value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)} className="border border-gray-300 rounded-lg px-2 py-1 text-sm">
+            <option value="">All types</option>
+            <option value="holiday">Holidays</option>
+            <option value="important">Important events</option>
+          </select>
+          {canManage && (
+            <>
+              <button onClick={() => openForm()} className="px-3 py-1.5 text-sm rounded-lg bg-indigo-600 text-white hover:bg-indigo-700">Add holiday</button>
+              <button onClick={() => { setShowImport(!showImport); setShowForm(false); }} className="px-3 py-1.5 text-sm rounded-lg border hover:bg-gray-50">Import list</button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {error && <div className="mb-3 p-3 rounded bg-red-50 text-red-700 text-sm">{error}</div>}
+      {message && <div className="mb-3 p-3 rounded bg-green-50 text-green-700 text-sm">{message}</div>}
+
+      {showForm && canManage && (
+        <form onSubmit={submitForm} className="bg-white p-4 rounded-lg border mb-4 space-y-3">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+            <div className="md:col-span-2">
+              <label className="block text-xs font-medium text-gray-600 mb-1">Name</label>
+              <input type="text" value={form.name} onChange={(e) => setForm((f) => ({ ...f, name: e.target.value }))} className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm" required />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">From</label>
+              <input type="date" value={form.start_date} onChange={(e) => setForm((f) => ({ ...f, start_date: e.target.value }))} className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm" required />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">To (optional)</label>
+              <input type="date" value={form.end_date} min={form.start_date} onChange={(e) => setForm((f) => ({ ...f, end_date: e.target.value }))} className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm" />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">Type</label>
+              <select value={form.type} onChange={(e) => setForm((f) => ({ ...f, type: e.target.value }))} className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm">
+                <option value="holiday">Holiday (day off)</option>
+                <option value="important">Important event (no leave)</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">Applies to</label>
+              <select value={form.scope} onChange={(e) => setForm((f) => ({ ...f, scope: e.target.value }))} className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm">
+                {Object.entries(SCOPE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+              </select>
+            </div>
+            <div className="md:col-span-2 flex items-end">
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input type="checkbox" checked={form.recurring_yearly} onChange={(e) => setForm((f) => ({ ...f, recurring_yearly: e.target.checked }))} />
+                Repeats every year on the same date
+              </label>
+            </div>
+          </div>
+          {form.scope === 'departments' && (
+            <div className="flex flex-wrap gap-3">
+              {departments.map((d) => (
+                <label key={d.id} className="flex items-center gap-1 text-sm text-gray-700">
+                  <input type="checkbox" checked={form.departments.includes(d.id)} onChange={() => toggleListValue('departments', d.id)} />
+                  {d.name}
+                </label>
+              ))}
+            </div>
+          )}
+          {form.scope === 'designations' && (
+            <div className="flex flex-wrap gap-3">
+              {designations.map((d) => (
+                <label key={d.id} className="flex items-center gap-1 text-sm text-gray-700">
+                  <input type="checkbox" checked={form.designations.includes(d.name)} onChange={() => toggleListValue('designations', d.name)} />
+                  {d.name}
+                </label>
+              ))}
+            </div>
+          )}
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Description</label>
+            <input type="text" value={form.description} onChange={(e) => setForm((f) => ({ ...f, description: e.target.value }))} className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm" />
+          </div>
+          <div className="flex gap-2">
+            <button type="submit" className="px-3 py-1.5 text-sm rounded-lg bg-indigo-600 text-white hover:bg-indigo-700">{editingId ? 'Save' : 'Add'}</button>
+            <button type="button" onClick={() => { setShowForm(false); setEditingId(null); }} className="px-3 py-1.5 text-sm rounded-lg border">Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {showImport && canManage && (
+        <div className="bg-white p-4 rounded-lg border mb-4 space-y-3">
+          <p className="text-sm text-gray-600">
+            Paste or upload a CSV with the columns <code className="text-xs bg-gray-100 px-1">{IMPORT_COLUMNS.join(',')}</code>.
+            Only name and start_date are required; type is <code className="text-xs bg-gray-100 px-1">holiday</code> or <code className="text-xs bg-gray-100 px-1">important</code>,
+            and targets lists departments or designations separated by <code className="text-xs bg-gray-100 px-1">|</code>.
+          </p>
+          <input type="file" accept=".csv,text/csv,text/plain" onChange={handleImportFile} className="text-sm" />
+          <textarea
+            value={importText}
+            onChange={(e) => setImportText(e.target.value)}
+            rows={6}
+            placeholder={`Eid ul Fitr,${year}-03-31,${year}-04-02,holiday\nIndependence Day,${year}-08-14,,holiday,all,,yes`}
+            className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm font-mono"
+          />
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input type="checkbox" checked={replaceYear} onChange={(e) => setReplaceYear(e.target.checked)} />
+            Replace this year's ({year}) one-off holidays
+          </label>
+          {importErrors.length > 0 && (
+            <ul className="text-sm text-red-700 list-disc pl-5">
+              {importErrors.map((e) => <li key={e.row}>Row {e.row}: {e.error}</li>)}
+            </ul>
+          )}
+          <div className="flex gap-2">
+            <button type="button" disabled={importRows.length === 0} onClick={submitImport} className="px-3 py-1.5 text-sm rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50">
+              Import {importRows.length} row(s)
+            </button>
+            <button type="button" onClick={() => setShowImport(false)} className="px-3 py-1.5 text-sm rounded-lg border">Cancel</button>
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white border rounded-lg overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              {['Name', 'Date', 'Type', 'Applies to', 'Repeats', ...(canManage ? [''] : [])].map((h, i) => (
+                <th key={i} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {loading && (
+              <tr><td colSpan={6} className="px-3 py-8 text-center text-gray-500">Loading...</td></tr>
+            )}
+            {!loading && rows.length === 0 && (
+              <tr><td colSpan={6} className="px-3 py-8 text-center text-gray-500">No holidays in {year}.</td></tr>
+            )}
+            {!loading && rows.map((h) => (
+              <tr key={h.id}>
+                <td className="px-3 py-2">
+                  <div className="font-medium text-gray-900">{h.name}</div>
+                  {h.description && <div className="text-xs text-gray-500">{h.description}</div>}
+                </td>
+                <td className="px-3 py-2 whitespace-nowrap">{formatRange(h.start_date, h.end_date)}</td>
+                <td className="px-3 py-2">
+                  <span className={`px-2 py-0.5 rounded-full text-xs ${h.type === 'holiday' ? 'bg-green-100 text-green-800' : 'bg-amber-100 text-amber-800'}`}>
+                    {TYPE_LABELS[h.type] || h.type}
+                  </span>
+                </td>
+                <td className="px-3 py-2">{describeScope(h)}</td>
+                <td className="px-3 py-2">{h.recurring_yearly ? 'Yearly' : '-'}</td>
+                {canManage && (
+                  <td className="px-3 py-2 whitespace-nowrap space-x-2">
+                    <button onClick={() => openForm(h)} className="text-indigo-600 hover:underline">Edit</button>
+                    <button onClick={() => deleteHoliday(h)} className="text-red-600 hover:underline">Delete</button>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
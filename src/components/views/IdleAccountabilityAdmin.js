@@ -1,10 +1,21 @@
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
+import UnmatchedExternalUsers from './UnmatchedExternalUsers';
+import IdleAccountabilitySettings from './IdleAccountabilitySettings';
+import IdleReviewQueue from './IdleReviewQueue';
 
 const IdleAccountabilityAdmin = () => {
   const { user } = useAuth();
   const [items, setItems] = useState([]);
-  const [activeTab, setActiveTab] = useState('pending');
+  // Reason catalogue including inactive entries, so old records still show their labels
+  const [categories, setCategories] = useState([]);
+  // Reviewers without idle_accountability_admin_view only get the Review tab
+  const canViewAll = !!user && (
+    (user.role || '').toLowerCase() === 'admin' ||
+    user.permissions?.includes('all') ||
+    user.permissions?.includes('idle_accountability_admin_view')
+  );
+  const [activeTab, setActiveTab] = useState(canViewAll ? 'pending' : 'review');
   const [filters, setFilters] = useState({
     from: '',
     to: '',
@@ -30,9 +41,66 @@ const IdleAccountabilityAdmin = () => {
   };
   const [creatingTickets, setCreatingTickets] = useState(false);
   const [ticketInfoMessage, setTicketInfoMessage] = useState('');
+  // TeamLogger store sync state (last 14 days) and backfill form; backfill needs the "all" permission
+  const canSyncTeamLogger = !!user && ((user.role || '').toLowerCase() === 'admin' || user.permissions?.includes('all'));
+  const [syncStatus, setSyncStatus] = useState(null);
+  const [backfill, setBackfill] = useState({ startDate: '', endDate: '' });
+  const [backfilling, setBackfilling] = useState(false);
+
+  const loadSyncStatus = useCallback(async () => {
+    if (!canSyncTeamLogger) return;
+    try {
+      const res = await fetch('/api/admin/teamlogger/sync-status');
+      if (res.ok) setSyncStatus(await res.json());
+    } catch (e) {
+      console.error('Failed to load TeamLogger sync status:', e);
+    }
+  }, [canSyncTeamLogger]);
+
+  const runBackfill = async () => {
+    if (!backfill.startDate) {
+      alert('Choose a start date to sync');
+      return;
+    }
+    try {
+      setBackfilling(true);
+      const res = await fetch('/api/admin/teamlogger/sync', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ startDate: backfill.startDate, endDate: backfill.endDate || backfill.startDate })
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok && !data.datesSynced) {
+        throw new Error(data.message || data.error || 'TeamLogger sync failed');
+      }
+      const failed = (data.failures || []).map((f) => f.date).join(', ');
+      alert(`Synced ${data.datesSynced} day(s), ${data.rowsSynced} row(s)${failed ? `. Failed: ${failed}` : ''}`);
+      loadSyncStatus();
+    } catch (e) {
+      alert(e.message || 'TeamLogger sync failed');
+    } finally {
+      setBackfilling(false);
+    }
+  };
+
+  const loadCategories = useCallback(async () => {
+    try {
+      const res = await fetch(canViewAll ? '/api/admin/idle-reason-categories' : '/api/idle-accountability/categories');
+      if (res.ok) {
+        const data = await res.json();
+        setCategories(Array.isArray(data) ? data : []);
+      }
+    } catch (e) {
+      console.error('Failed to load idle reason categories:', e);
+    }
+  }, [canViewAll]);
+
+  const categoryLabel = (key) => categories.find((c) => c.key === key)?.label || key;
+  const subcategoryLabel = (categoryKey, key) =>
+    categories.find((c) => c.key === categoryKey)?.subcategories.find((s) => s.key === key)?.label || key;
 
   const load = async () => {
-    if (!user) return;
+    if (!user || !canViewAll) return;
     try {
       setLoading(true);
       setError(null);
@@ -70,18 +138,24 @@ const IdleAccountabilityAdmin = () => {
     load();
   }, []);
 
+  useEffect(() => {
+    loadSyncStatus();
+  }, [loadSyncStatus]);
+
+  useEffect(() => {
+    loadCategories();
+  }, [loadCategories]);
+
   const uniqueDepartments = Array.from(
     new Set(items.map((i) => i.department || 'Unassigned'))
   ).sort();
   const uniqueCategories = Array.from(
-    new Set(items.map((i) => i.category || ''))
-  )
-    .filter(Boolean)
-    .sort();
+    new Set([...categories.map((c) => c.key), ...items.map((i) => i.category || '')])
+  ).filter(Boolean);
 
   const pendingItems = items.filter(
     (i) =>
-      Number(i.idle_minutes) > 20 &&
+      Number(i.idle_minutes) >= Number(i.threshold_minutes) &&
       (i.status === 'pending' || i.status === 'ticket_created')
   );
 
@@ -89,7 +163,7 @@ const IdleAccountabilityAdmin = () => {
   // (or the record has been waived). Creating a ticket alone does
   // not move an item into the resolved list.
   const resolvedItems = items.filter(
-    (i) => i.status === 'submitted' || i.status === 'waived'
+    (i) => i.status === 'submitted' || i.status === 'accepted' || i.status === 'waived'
   );
 
   const currentItems = activeTab === 'pending' ? pendingItems : resolvedItems;
@@ -161,135 +235,240 @@ const IdleAccountabilityAdmin = () => {
   return (
     <div className="p-6">
       <div className="flex items-center justify-between mb-4">
-        <h1 className="text-2xl font-semibold text-gray-900">Idle Accountability (Admin)</h1>
-        <button
-          onClick={load}
-          className="px-3 py-2 text-sm rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50"
-        >
-          Refresh
-        </button>
-      </div>
-
-      <div className="mb-4 grid grid-cols-1 md:grid-cols-5 gap-3">
-        <div>
-          <label className="block text-xs font-medium text-gray-600 mb-1">From date</label>
-          <input
-            type="date"
-            value={filters.from}
-            onChange={(e) => setFilters((prev) => ({ ...prev, from: e.target.value }))}
-            className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm"
-          />
-        </div>
-        <div>
-          <label className="block text-xs font-medium text-gray-600 mb-1">To date</label>
-          <input
-            type="date"
-            value={filters.to}
-            onChange={(e) => setFilters((prev) => ({ ...prev, to: e.target.value }))}
-            className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm"
-          />
-        </div>
-        <div>
-          <label className="block text-xs font-medium text-gray-600 mb-1">Status</label>
-          <select
-            value={filters.status}
-            onChange={(e) => setFilters((prev) => ({ ...prev, status: e.target.value }))}
-            className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm"
-          >
-            <option value="">All</option>
-            <option value="pending">Pending</option>
-            <option value="submitted">Submitted</option>
-            <option value="ticket_created">Ticket created</option>
-            <option value="waived">Waived</option>
-          </select>
-        </div>
-        <div>
-          <label className="block text-xs font-medium text-gray-600 mb-1">Department</label>
-          <select
-            value={filters.department}
-            onChange={(e) => setFilters((prev) => ({ ...prev, department: e.target.value }))}
-            className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm"
-          >
-            <option value="">All</option>
-            {uniqueDepartments.map((d) => (
-              <option key={d} value={d}>
-                {d}
-              </option>
-            ))}
-          </select>
-        </div>
-        <div>
-          <label className="block text-xs font-medium text-gray-600 mb-1">Category</label>
-          <select
-            value={filters.category}
-            onChange={(e) => setFilters((prev) => ({ ...prev, category: e.target.value }))}
-            className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm"
-          >
-            <option value="">All</option>
-            {uniqueCategories.map((c) => (
-              <option key={c} value={c}>
-                {c}
-              </option>
-            ))}
-          </select>
-        </div>
-      </div>
-
-      <div className="mb-4">
-        <button
-          onClick={load}
-          className="px-3 py-1.5 text-xs rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 mr-2"
-        >
-          Apply filters
-        </button>
-        {canCreateIdleTickets && (
+        <h1 className="text-2xl font-semibold text-gray-900">
+          {canViewAll ? 'Idle Accountability (Admin)' : 'Idle Accountability Review'}
+        </h1>
+        {canViewAll && (
           <button
-            onClick={handleOpenCreateTickets}
-            className="px-3 py-1.5 text-xs rounded-lg bg-red-600 text-white hover:bg-red-700"
+            onClick={load}
+            className="px-3 py-2 text-sm rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50"
           >
-            Create idle tickets
+            Refresh
           </button>
         )}
       </div>
 
-      <div className="mb-4 border-b border-gray-200">
-        <nav className="-mb-px flex space-x-4" aria-label="Tabs">
+      {canSyncTeamLogger && (
+        <div className="mb-4 p-3 rounded-lg border border-gray-200 bg-gray-50 flex flex-wrap items-end gap-3 text-sm">
+          <div className="flex-1 min-w-[200px] text-gray-700">
+            <div className="font-medium">TeamLogger data</div>
+            {syncStatus ? (
+              <div className="text-xs text-gray-500">
+                {syncStatus.syncedDates}/{syncStatus.totalDates} of the last {syncStatus.totalDates} days synced
+                {syncStatus.dates.length > 0 && ` · latest sync ${syncStatus.dates.reduce((max, d) => (d.last_synced_at && d.last_synced_at > max ? d.last_synced_at : max), '') || 'never'}`}
+                {syncStatus.dates.some((d) => d.last_status === 'failed') && (
+                  <span className="text-red-600"> · last attempt failed for {syncStatus.dates.filter((d) => d.last_status === 'failed').map((d) => d.work_date).join(', ')}</span>
+                )}
+              </div>
+            ) : (
+              <div className="text-xs text-gray-500">Loading sync status…</div>
+            )}
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Backfill from</label>
+            <input
+              type="date"
+              value={backfill.startDate}
+              onChange={(e) => setBackfill((prev) => ({ ...prev, startDate: e.target.value }))}
+              className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">to</label>
+            <input
+              type="date"
+              value={backfill.endDate}
+              onChange={(e) => setBackfill((prev) => ({ ...prev, endDate: e.target.value }))}
+              className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+            />
+          </div>
           <button
-            type="button"
-            onClick={() => setActiveTab('pending')}
-            className={`px-3 py-2 text-sm font-medium border-b-2 ${
-              activeTab === 'pending'
-                ? 'border-indigo-500 text-indigo-600'
-                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
-            }`}
+            onClick={runBackfill}
+            disabled={backfilling}
+            className="px-3 py-1.5 text-sm rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
           >
-            Pending Accountability
-            <span className="ml-1 text-xs text-gray-400">
-              ({pendingItems.length})
-            </span>
+            {backfilling ? 'Syncing…' : 'Sync range'}
           </button>
+        </div>
+      )}
+
+      {canViewAll && (
+        <>
+          <div className="mb-4 grid grid-cols-1 md:grid-cols-5 gap-3">
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">From date</label>
+              <input
+                type="date"
+                value={filters.from}
+                onChange={(e) => setFilters((prev) => ({ ...prev, from: e.target.value }))}
+                className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">To date</label>
+              <input
+                type="date"
+                value={filters.to}
+                onChange={(e) => setFilters((prev) => ({ ...prev, to: e.target.value }))}
+                className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">Status</label>
+              <select
+                value={filters.status}
+                onChange={(e) => setFilters((prev) => ({ ...prev, status: e.target.value }))}
+                className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm"
+              >
+                <option value="">All</option>
+                <option value="pending">Pending</option>
+                <option value="submitted">Submitted</option>
+                <option value="accepted">Accepted</option>
+                <option value="ticket_created">Ticket created</option>
+                <option value="waived">Waived</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">Department</label>
+              <select
+                value={filters.department}
+                onChange={(e) => setFilters((prev) => ({ ...prev, department: e.target.value }))}
+                className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm"
+              >
+                <option value="">All</option>
+                {uniqueDepartments.map((d) => (
+                  <option key={d} value={d}>
+                    {d}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">Category</label>
+              <select
+                value={filters.category}
+                onChange={(e) => setFilters((prev) => ({ ...prev, category: e.target.value }))}
+                className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm"
+              >
+                <option value="">All</option>
+                {uniqueCategories.map((c) => (
+                  <option key={c} value={c}>
+                    {categoryLabel(c)}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="mb-4">
+            <button
+              onClick={load}
+              className="px-3 py-1.5 text-xs rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 mr-2"
+            >
+              Apply filters
+            </button>
+            {canCreateIdleTickets && (
+              <button
+                onClick={handleOpenCreateTickets}
+                className="px-3 py-1.5 text-xs rounded-lg bg-red-600 text-white hover:bg-red-700"
+              >
+                Create idle tickets
+              </button>
+            )}
+          </div>
+        </>
+      )}
+
+      <div className="mb-4 border-b border-gray-200">
+        <nav className="-mb-px flex space-x-4" aria-label="Tabs">
+          {canViewAll && (
+            <>
+              <button
+                type="button"
+                onClick={() => setActiveTab('pending')}
+                className={`px-3 py-2 text-sm font-medium border-b-2 ${
+                  activeTab === 'pending'
+                    ? 'border-indigo-500 text-indigo-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                Pending Accountability
+                <span className="ml-1 text-xs text-gray-400">
+                  ({pendingItems.length})
+                </span>
+              </button>
+              <button
+                type="button"
+                onClick={() => setActiveTab('resolved')}
+                className={`px-3 py-2 text-sm font-medium border-b-2 ${
+                  activeTab === 'resolved'
+                    ? 'border-indigo-500 text-indigo-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                Resolved Accountability
+                <span className="ml-1 text-xs text-gray-400">
+                  ({resolvedItems.length})
+                </span>
+              </button>
+            </>
+          )}
           <button
             type="button"
-            onClick={() => setActiveTab('resolved')}
+            onClick={() => setActiveTab('review')}
             className={`px-3 py-2 text-sm font-medium border-b-2 ${
-              activeTab === 'resolved'
+              activeTab === 'review'
                 ? 'border-indigo-500 text-indigo-600'
                 : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
             }`}
           >
-            Resolved Accountability
-            <span className="ml-1 text-xs text-gray-400">
-              ({resolvedItems.length})
-            </span>
+            Review
           </button>
+          {canSyncTeamLogger && (
+            <button
+              type="button"
+              onClick={() => setActiveTab('unmatched')}
+              className={`px-3 py-2 text-sm font-medium border-b-2 ${
+                activeTab === 'unmatched'
+                  ? 'border-indigo-500 text-indigo-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              Unmatched Users
+            </button>
+          )}
+          {canSyncTeamLogger && (
+            <button
+              type="button"
+              onClick={() => setActiveTab('settings')}
+              className={`px-3 py-2 text-sm font-medium border-b-2 ${
+                activeTab === 'settings'
+                  ? 'border-indigo-500 text-indigo-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              Thresholds &amp; Reasons
+            </button>
+          )}
         </nav>
       </div>
 
-      {error && (
+      {error && (activeTab === 'pending' || activeTab === 'resolved') && (
         <div className="mb-3 p-3 rounded bg-red-50 text-red-700 text-sm">{error}</div>
       )}
 
-      {loading ? (
+      {activeTab === 'review' ? (
+        <IdleReviewQueue
+          categoryLabel={categoryLabel}
+          subcategoryLabel={subcategoryLabel}
+          formatIdleMinutes={formatIdleMinutes}
+          onReviewed={load}
+        />
+      ) : activeTab === 'unmatched' ? (
+        <UnmatchedExternalUsers onLinked={load} />
+      ) : activeTab === 'settings' ? (
+        <IdleAccountabilitySettings onCatalogueChange={loadCategories} />
+      ) : loading ? (
         <div className="py-12 text-center text-gray-500">Loading records...</div>
       ) : currentItems.length === 0 ? (
         <div className="py-12 text-center text-gray-500">
@@ -341,7 +520,7 @@ const IdleAccountabilityAdmin = () => {
                   <td className="px-3 py-2 whitespace-nowrap text-gray-500">
                     {item.department || 'Unassigned'}
                   </td>
-                  <td className="px-3 py-2 whitespace-nowrap text-right text-gray-900">
+                  <td className="px-3 py-2 whitespace-nowrap text-right text-gray-900" title={`Threshold ${item.threshold_minutes}m`}>
                     {formatIdleMinutes(item.idle_minutes)}
                   </td>
                   <td className="px-3 py-2 whitespace-nowrap">
@@ -350,6 +529,8 @@ const IdleAccountabilityAdmin = () => {
                         item.status === 'pending'
                           ? 'bg-yellow-50 text-yellow-800'
                           : item.status === 'submitted'
+                          ? 'bg-blue-50 text-blue-800'
+                          : item.status === 'accepted'
                           ? 'bg-green-50 text-green-800'
                           : item.status === 'ticket_created'
                           ? 'bg-red-50 text-red-800'
@@ -360,15 +541,20 @@ const IdleAccountabilityAdmin = () => {
                     </span>
                   </td>
                   <td className="px-3 py-2 whitespace-nowrap text-gray-900">
-                    {item.category || '-'}
+                    {item.category ? categoryLabel(item.category) : '-'}
                   </td>
                   <td className="px-3 py-2 whitespace-nowrap text-gray-900">
-                    {item.subcategory || '-'}
+                    {item.subcategory ? subcategoryLabel(item.category, item.subcategory) : '-'}
                   </td>
                   <td className="px-3 py-2 text-gray-700 max-w-xs">
                     <div className="truncate" title={item.reason_text || ''}>
                       {item.reason_text || '-'}
                     </div>
+                    {item.evidence_text && (
+                      <div className="truncate text-xs text-gray-500" title={item.evidence_text}>
+                        Evidence: {item.evidence_text}
+                      </div>
+                    )}
                   </td>
                   <td className="px-3 py-2 whitespace-nowrap text-gray-900">
                     {item.ticket_id ? `Ticket #${item.ticket_id}` : '-'}
@@ -0,0 +1,430 @@
+import React, { useCallback, useEffect, useState } from 'react';
+
+const EMPTY_RULE = { department: '', designation: '', threshold_minutes: '', effective_from: '', effective_to: '', notes: '' };
+
+const request = async (url, options = {}) => {
+  const res = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || 'Request failed');
+  return data;
+};
+
+// Idle thresholds per department / designation and the idle reason catalogue. Needs the "all" permission.
+const IdleAccountabilitySettings = ({ onCatalogueChange }) => {
+  const [rules, setRules] = useState([]);
+  const [catalogue, setCatalogue] = useState([]);
+  const [departments, setDepartments] = useState([]);
+  const [designations, setDesignations] = useState([]);
+  const [ruleForm, setRuleForm] = useState(EMPTY_RULE);
+  const [editingRuleId, setEditingRuleId] = useState(null);
+  const [categoryForm, setCategoryForm] = useState({ key: '', label: '', autoWaive: false, requiresEvidence: false });
+  const [subcategoryForms, setSubcategoryForms] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadRules = useCallback(async () => setRules(await request('/api/admin/idle-thresholds')), []);
+
+  const loadCatalogue = useCallback(async () => setCatalogue(await request('/api/admin/idle-reason-categories')), []);
+
+  // After an edit: reload the catalogue and let the parent refresh its category list
+  const reloadCatalogue = async () => {
+    await loadCatalogue();
+    if (onCatalogueChange) onCatalogueChange();
+  };
+
+  const load = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [departmentsRes, designationsRes] = await Promise.all([
+        fetch('/api/departments'),
+        fetch('/api/designations')
+      ]);
+      if (departmentsRes.ok) setDepartments(await departmentsRes.json());
+      if (designationsRes.ok) setDesignations(await designationsRes.json());
+      await Promise.all([loadRules(), loadCatalogue()]);
+    } catch (e) {
+      console.error('Error loading idle accountability settings:', e);
+      setError(e.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [loadRules, loadCatalogue]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const saveRule = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await request(editingRuleId ? `/api/admin/idle-thresholds/${editingRuleId}` : '/api/admin/idle-thresholds', {
+        method: editingRuleId ? 'PUT' : 'POST',
+        body: JSON.stringify(ruleForm)
+      });
+      setRuleForm(EMPTY_RULE);
+      setEditingRuleId(null);
+      await loadRules();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const editRule = (rule) => {
+    setEditingRuleId(rule.id);
+    setRuleForm({
+      department: rule.department || '',
+      designation: rule.designation || '',
+      threshold_minutes: String(rule.threshold_minutes),
+      effective_from: rule.effective_from || '',
+      effective_to: rule.effective_to || '',
+      notes: rule.notes || ''
+    });
+  };
+
+  const deleteRule = async (rule) => {
+    if (!window.confirm('Delete this threshold rule? Records already created keep their threshold.')) return;
+    try {
+      await request(`/api/admin/idle-thresholds/${rule.id}`, { method: 'DELETE' });
+      await loadRules();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const updateCategory = async (category, changes) => {
+    try {
+      await request(`/api/admin/idle-reason-categories/${category.id}`, { method: 'PUT', body: JSON.stringify(changes) });
+      await reloadCatalogue();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const updateSubcategory = async (subcategory, changes) => {
+    try {
+      await request(`/api/admin/idle-reason-subcategories/${subcategory.id}`, { method: 'PUT', body: JSON.stringify(changes) });
+      await reloadCatalogue();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const addCategory = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await request('/api/admin/idle-reason-categories', {
+        method: 'POST',
+        body: JSON.stringify({ ...categoryForm, sortOrder: catalogue.length })
+      });
+      setCategoryForm({ key: '', label: '', autoWaive: false, requiresEvidence: false });
+      await reloadCatalogue();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const addSubcategory = async (category) => {
+    const form = subcategoryForms[category.id] || {};
+    try {
+      await request(`/api/admin/idle-reason-categories/${category.id}/subcategories`, {
+        method: 'POST',
+        body: JSON.stringify({ key: form.key, label: form.label, sortOrder: category.subcategories.length })
+      });
+      setSubcategoryForms((prev) => ({ ...prev, [category.id]: { key: '', label: '' } }));
+      await reloadCatalogue();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const setSubcategoryField = (categoryId, field, value) =>
+    setSubcategoryForms((prev) => ({ ...prev, [categoryId]: { ...(prev[categoryId] || {}), [field]: value } }));
+
+  const scopeLabel = (rule) =>
+    [rule.department || 'All departments', rule.designation || 'all designations'].join(' · ');
+
+  if (loading) {
+    return <div className="py-12 text-center text-gray-500">Loading settings...</div>;
+  }
+
+  return (
+    <div className="space-y-8">
+      {error && (
+        <div className="p-3 rounded bg-red-50 text-red-700 text-sm">{error}</div>
+      )}
+
+      <div>
+        <h2 className="text-sm font-semibold text-gray-900 mb-1">Idle thresholds</h2>
+        <p className="text-xs text-gray-500 mb-3">
+          Idle time at or above the threshold creates an accountability record. The most specific rule in effect
+          on a day applies: department and designation, then designation, then department, then the catch-all.
+        </p>
+        <div className="overflow-auto border border-gray-200 rounded-lg bg-white mb-3">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Applies to</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Threshold</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Effective</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Notes</th>
+                <th className="px-3 py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {rules.map((rule) => (
+                <tr key={rule.id} className="hover:bg-gray-50">
+                  <td className="px-3 py-2 whitespace-nowrap text-gray-900">{scopeLabel(rule)}</td>
+                  <td className="px-3 py-2 whitespace-nowrap text-right text-gray-900">{rule.threshold_minutes}m</td>
+                  <td className="px-3 py-2 whitespace-nowrap text-gray-500">
+                    {rule.effective_from} – {rule.effective_to || 'open'}
+                  </td>
+                  <td className="px-3 py-2 text-gray-500">{rule.notes || '-'}</td>
+                  <td className="px-3 py-2 whitespace-nowrap text-right space-x-3">
+                    <button type="button" onClick={() => editRule(rule)} className="text-sm text-indigo-600 hover:text-indigo-800">
+                      Edit
+                    </button>
+                    <button type="button" onClick={() => deleteRule(rule)} className="text-sm text-red-600 hover:text-red-800">
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <form onSubmit={saveRule} className="grid grid-cols-1 md:grid-cols-7 gap-2 items-end text-sm">
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Department</label>
+            <select
+              value={ruleForm.department}
+              onChange={(e) => setRuleForm((prev) => ({ ...prev, department: e.target.value }))}
+              className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm"
+            >
+              <option value="">All</option>
+              {departments.map((d) => (
+                <option key={d.id} value={d.name}>{d.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Designation</label>
+            <select
+              value={ruleForm.designation}
+              onChange={(e) => setRuleForm((prev) => ({ ...prev, designation: e.target.value }))}
+              className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm"
+            >
+              <option value="">All</option>
+              {designations.map((d) => (
+                <option key={d.id} value={d.name}>{d.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Minutes</label>
+            <input
+              type="number"
+              min="1"
+              max="1440"
+              value={ruleForm.threshold_minutes}
+              onChange={(e) => setRuleForm((prev) => ({ ...prev, threshold_minutes: e.target.value }))}
+              className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Effective from</label>
+            <input
+              type="date"
+              value={ruleForm.effective_from}
+              onChange={(e) => setRuleForm((prev) => ({ ...prev, effective_from: e.target.value }))}
+              className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Effective to</label>
+            <input
+              type="date"
+              value={ruleForm.effective_to}
+              onChange={(e) => setRuleForm((prev) => ({ ...prev, effective_to: e.target.value }))}
+              className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm"
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Notes</label>
+            <input
+              type="text"
+              value={ruleForm.notes}
+              onChange={(e) => setRuleForm((prev) => ({ ...prev, notes: e.target.value }))}
+              className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm"
+            />
+          </div>
+          <div className="flex space-x-2">
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-3 py-1.5 text-sm rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {editingRuleId ? 'Save' : 'Add rule'}
+            </button>
+            {editingRuleId && (
+              <button
+                type="button"
+                onClick={() => {
+                  setEditingRuleId(null);
+                  setRuleForm(EMPTY_RULE);
+                }}
+                className="px-3 py-1.5 text-sm rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+
+      <div>
+        <h2 className="text-sm font-semibold text-gray-900 mb-1">Reason categories</h2>
+        <p className="text-xs text-gray-500 mb-3">
+          Inactive entries are hidden from the reason form but keep their labels on existing records.
+          Auto-waive categories waive the record when the reason is submitted; evidence categories need supporting evidence.
+        </p>
+        <div className="space-y-3">
+          {catalogue.map((category) => (
+            <div key={category.id} className="border border-gray-200 rounded-lg bg-white p-3">
+              <div className="flex flex-wrap items-center gap-4 text-sm">
+                <div className={`font-medium ${category.isActive ? 'text-gray-900' : 'text-gray-400 line-through'}`}>
+                  {category.label}
+                  <span className="ml-1 text-xs text-gray-400">({category.key})</span>
+                </div>
+                <label className="flex items-center gap-1 text-xs text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={category.isActive}
+                    onChange={(e) => updateCategory(category, { isActive: e.target.checked })}
+                  />
+                  Active
+                </label>
+                <label className="flex items-center gap-1 text-xs text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={category.autoWaive}
+                    onChange={(e) => updateCategory(category, { autoWaive: e.target.checked })}
+                  />
+                  Auto-waive
+                </label>
+                <label className="flex items-center gap-1 text-xs text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={category.requiresEvidence}
+                    onChange={(e) => updateCategory(category, { requiresEvidence: e.target.checked })}
+                  />
+                  Requires evidence
+                </label>
+              </div>
+              <ul className="mt-2 ml-4 space-y-1 text-sm">
+                {category.subcategories.map((sub) => (
+                  <li key={sub.id} className="flex items-center gap-3">
+                    <span className={sub.isActive ? 'text-gray-700' : 'text-gray-400 line-through'}>
+                      {sub.label} <span className="text-xs text-gray-400">({sub.key})</span>
+                    </span>
+                    <label className="flex items-center gap-1 text-xs text-gray-600">
+                      <input
+                        type="checkbox"
+                        checked={sub.isActive}
+                        onChange={(e) => updateSubcategory(sub, { isActive: e.target.checked })}
+                      />
+                      Active
+                    </label>
+                  </li>
+                ))}
+              </ul>
+              <div className="mt-2 ml-4 flex items-center gap-2">
+                <input
+                  type="text"
+                  placeholder="key"
+                  value={subcategoryForms[category.id]?.key || ''}
+                  onChange={(e) => setSubcategoryField(category.id, 'key', e.target.value)}
+                  className="border border-gray-300 rounded-lg px-2 py-1 text-xs w-32"
+                />
+                <input
+                  type="text"
+                  placeholder="Subcategory label"
+                  value={subcategoryForms[category.id]?.label || ''}
+                  onChange={(e) => setSubcategoryField(category.id, 'label', e.target.value)}
+                  className="border border-gray-300 rounded-lg px-2 py-1 text-xs w-48"
+                />
+                <button
+                  type="button"
+                  onClick={() => addSubcategory(category)}
+                  className="px-2 py-1 text-xs rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50"
+                >
+                  Add subcategory
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+        <form onSubmit={addCategory} className="mt-3 flex flex-wrap items-end gap-2 text-sm">
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Key</label>
+            <input
+              type="text"
+              value={categoryForm.key}
+              onChange={(e) => setCategoryForm((prev) => ({ ...prev, key: e.target.value }))}
+              placeholder="e.g. training"
+              className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Label</label>
+            <input
+              type="text"
+              value={categoryForm.label}
+              onChange={(e) => setCategoryForm((prev) => ({ ...prev, label: e.target.value }))}
+              className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+              required
+            />
+          </div>
+          <label className="flex items-center gap-1 text-xs text-gray-600 pb-1.5">
+            <input
+              type="checkbox"
+              checked={categoryForm.autoWaive}
+              onChange={(e) => setCategoryForm((prev) => ({ ...prev, autoWaive: e.target.checked }))}
+            />
+            Auto-waive
+          </label>
+          <label className="flex items-center gap-1 text-xs text-gray-600 pb-1.5">
+            <input
+              type="checkbox"
+              checked={categoryForm.requiresEvidence}
+              onChange={(e) => setCategoryForm((prev) => ({ ...prev, requiresEvidence: e.target.checked }))}
+            />
+            Requires evidence
+          </label>
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-3 py-1.5 text-sm rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+          >
+            Add category
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default IdleAccountabilitySettings;
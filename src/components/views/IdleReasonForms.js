@@ -14,7 +14,7 @@ const IdleReasonForms = () => {
     setFilters
   } = useIdleAccountability();
   const [selectedId, setSelectedId] = useState(null);
-  const [form, setForm] = useState({ category: '', subcategory: '', reason: '' });
+  const [form, setForm] = useState({ category: '', subcategory: '', reason: '', evidence: '' });
   const [submitting, setSubmitting] = useState(false);
   const [activeTab, setActiveTab] = useState('pending');
   const formatIdleMinutes = (minutes) => {
@@ -31,18 +31,20 @@ const IdleReasonForms = () => {
     setForm({
       category: item.category || '',
       subcategory: item.subcategory || '',
-      reason: item.reason_text || ''
+      reason: item.reason_text || '',
+      evidence: item.evidence_text || ''
     });
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     if (!selectedId || !form.category || !form.subcategory || !form.reason.trim()) return;
+    if (selectedCategory?.requiresEvidence && !form.evidence.trim()) return;
     try {
       setSubmitting(true);
       await submitReason(selectedId, form);
       setSelectedId(null);
-      setForm({ category: '', subcategory: '', reason: '' });
+      setForm({ category: '', subcategory: '', reason: '', evidence: '' });
     } catch (err) {
       alert(err.message);
     } finally {
@@ -53,6 +55,10 @@ const IdleReasonForms = () => {
   const availableCategories = categories || [];
   const selectedCategory = availableCategories.find((c) => c.key === form.category) || null;
   const subcategories = selectedCategory?.subcategories || [];
+  // Labels for records submitted under entries that have since been renamed or deactivated fall back to the key
+  const categoryLabel = (key) => availableCategories.find((c) => c.key === key)?.label || key;
+  const subcategoryLabel = (categoryKey, key) =>
+    availableCategories.find((c) => c.key === categoryKey)?.subcategories.find((sc) => sc.key === key)?.label || key;
 
   const handleApplyFilters = () => {
     refresh(filters);
@@ -154,7 +160,7 @@ const IdleReasonForms = () => {
       ) : activeTab === 'pending' ? (
         pendingItems.length === 0 ? (
           <div className="py-12 text-center text-gray-500">
-            You have no pending idle accountability items for the selected dates (over 20 minutes).
+            You have no pending idle accountability items for the selected dates (over your idle threshold).
           </div>
         ) : (
           <div className="space-y-4">
@@ -185,6 +191,11 @@ const IdleReasonForms = () => {
                       Ticket already created for this day (Ticket #{item.ticket_id})
                     </div>
                   )}
+                  {item.review_comment && (
+                    <div className="mt-1 text-xs text-red-700">
+                      Rejected{item.reviewed_by ? ` by ${item.reviewed_by}` : ''}: {item.review_comment}
+                    </div>
+                  )}
                 </div>
                 <div>
                   <button
@@ -241,6 +252,8 @@ const IdleReasonForms = () => {
                     <span
                       className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${
                         item.status === 'submitted'
+                          ? 'bg-blue-50 text-blue-800'
+                          : item.status === 'accepted'
                           ? 'bg-green-50 text-green-800'
                           : item.status === 'ticket_created'
                           ? 'bg-red-50 text-red-800'
@@ -251,10 +264,10 @@ const IdleReasonForms = () => {
                     </span>
                   </td>
                   <td className="px-3 py-2 whitespace-nowrap text-gray-900">
-                    {item.category || '-'}
+                    {item.category ? categoryLabel(item.category) : '-'}
                   </td>
                   <td className="px-3 py-2 whitespace-nowrap text-gray-900">
-                    {item.subcategory || '-'}
+                    {item.subcategory ? subcategoryLabel(item.category, item.subcategory) : '-'}
                   </td>
                   <td className="px-3 py-2 text-gray-700 max-w-xs">
                     <div className="truncate" title={item.reason_text || ''}>
@@ -329,12 +342,34 @@ const IdleReasonForms = () => {
                 />
               </div>
 
+              {selectedCategory?.requiresEvidence && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Evidence</label>
+                  <textarea
+                    value={form.evidence}
+                    onChange={(e) =>
+                      setForm((prev) => ({ ...prev, evidence: e.target.value }))
+                    }
+                    rows={2}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    placeholder="Link or reference supporting this reason (e.g. medical note, ticket number)..."
+                    required
+                  />
+                </div>
+              )}
+
+              {selectedCategory?.autoWaive && (
+                <div className="text-xs text-green-700 bg-green-50 border border-green-100 rounded-md px-2 py-1">
+                  Reasons in this category are waived automatically once submitted.
+                </div>
+              )}
+
               <div className="flex items-center justify-end space-x-2">
                 <button
                   type="button"
                   onClick={() => {
                     setSelectedId(null);
-                    setForm({ category: '', subcategory: '', reason: '' });
+                    setForm({ category: '', subcategory: '', reason: '', evidence: '' });
                   }}
                   className="px-3 py-2 text-sm rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50"
                   disabled={submitting}
@@ -0,0 +1,314 @@
+import React, { useCallback, useEffect, useState } from 'react';
+
+// Submitted idle reasons for the reviewer's reports and departments. Reviewers accept, waive, or reject
+// with a comment; a rejection either reopens the record for a new reason or raises an Idle Time ticket.
+const IdleReviewQueue = ({ categoryLabel, subcategoryLabel, formatIdleMinutes, onReviewed }) => {
+  const [items, setItems] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('submitted');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [savingId, setSavingId] = useState(null);
+  const [rejecting, setRejecting] = useState(null);
+  const [rejectForm, setRejectForm] = useState({ comment: '', onReject: 'reopen' });
+  const [history, setHistory] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const res = await fetch(`/api/idle-accountability/review-queue?status=${encodeURIComponent(statusFilter)}`);
+      if (!res.ok) {
+        const errData = await res.json().catch(() => ({}));
+        throw new Error(errData.error || 'Failed to load review queue');
+      }
+      const data = await res.json();
+      setItems(Array.isArray(data) ? data : []);
+    } catch (e) {
+      console.error('Error loading idle review queue:', e);
+      setError(e.message);
+      setItems([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  // Reloads whenever the status filter changes
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const review = async (item, decision, extra = {}) => {
+    try {
+      setSavingId(item.id);
+      const res = await fetch(`/api/idle-accountability/${item.id}/review`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ decision, ...extra })
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Failed to save review');
+      setRejecting(null);
+      await load();
+      if (onReviewed) onReviewed();
+    } catch (e) {
+      alert(e.message || 'Failed to save review');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleWaive = (item) => {
+    const comment = window.prompt(`Waive idle time for ${item.employee_name} on ${item.date}? Optional comment:`, '');
+    if (comment === null) return;
+    review(item, 'waive', { comment });
+  };
+
+  const handleReject = (e) => {
+    e.preventDefault();
+    if (!rejectForm.comment.trim()) return;
+    review(rejecting, 'reject', rejectForm);
+  };
+
+  const openHistory = async (item) => {
+    try {
+      const res = await fetch(`/api/idle-accountability/${item.id}/decisions`);
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Failed to load history');
+      setHistory({ item, decisions: Array.isArray(data) ? data : [] });
+    } catch (e) {
+      alert(e.message || 'Failed to load history');
+    }
+  };
+
+  const canReview = (item) => item.status === 'submitted';
+  const canWaive = (item) => ['pending', 'submitted', 'ticket_created'].includes(item.status);
+
+  return (
+    <div>
+      <div className="mb-3 flex items-center gap-3">
+        <label className="text-xs font-medium text-gray-600">Show</label>
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+        >
+          <option value="submitted">Awaiting review</option>
+          <option value="pending">Pending</option>
+          <option value="ticket_created">Ticket created</option>
+          <option value="accepted">Accepted</option>
+          <option value="waived">Waived</option>
+          <option value="all">All</option>
+        </select>
+        <button
+          onClick={() => load()}
+          className="px-3 py-1 text-sm rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50"
+        >
+          Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-3 p-3 rounded bg-red-50 text-red-700 text-sm">{error}</div>
+      )}
+
+      {loading ? (
+        <div className="py-12 text-center text-gray-500">Loading review queue...</div>
+      ) : items.length === 0 ? (
+        <div className="py-12 text-center text-gray-500">No idle reasons to review.</div>
+      ) : (
+        <div className="overflow-auto border border-gray-200 rounded-lg bg-white">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Employee</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Idle time</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-3 py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {items.map((item) => (
+                <tr key={item.id} className="hover:bg-gray-50 align-top">
+                  <td className="px-3 py-2 whitespace-nowrap text-gray-900">{item.date}</td>
+                  <td className="px-3 py-2 whitespace-nowrap">
+                    <div className="text-gray-900">{item.employee_name}</div>
+                    <div className="text-xs text-gray-500">{item.department || 'Unassigned'}</div>
+                  </td>
+                  <td className="px-3 py-2 whitespace-nowrap text-right text-gray-900" title={`Threshold ${item.threshold_minutes}m`}>
+                    {formatIdleMinutes(item.idle_minutes)}
+                  </td>
+                  <td className="px-3 py-2 text-gray-700 max-w-sm">
+                    {item.category && (
+                      <div className="text-xs text-gray-500">
+                        {categoryLabel(item.category)} · {subcategoryLabel(item.category, item.subcategory)}
+                      </div>
+                    )}
+                    <div className="truncate" title={item.reason_text || ''}>{item.reason_text || '-'}</div>
+                    {item.evidence_text && (
+                      <div className="truncate text-xs text-gray-500" title={item.evidence_text}>
+                        Evidence: {item.evidence_text}
+                      </div>
+                    )}
+                    {item.review_comment && (
+                      <div className="truncate text-xs text-gray-500" title={item.review_comment}>
+                        {item.reviewed_by || 'Reviewer'}: {item.review_comment}
+                      </div>
+                    )}
+                  </td>
+                  <td className="px-3 py-2 whitespace-nowrap text-gray-700">{item.status}</td>
+                  <td className="px-3 py-2 whitespace-nowrap text-right space-x-2">
+                    {canReview(item) && (
+                      <button
+                        type="button"
+                        onClick={() => review(item, 'accept')}
+                        disabled={savingId === item.id}
+                        className="px-2 py-1 text-xs rounded-lg bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+                      >
+                        Accept
+                      </button>
+                    )}
+                    {canWaive(item) && (
+                      <button
+                        type="button"
+                        onClick={() => handleWaive(item)}
+                        disabled={savingId === item.id}
+                        className="px-2 py-1 text-xs rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                      >
+                        Waive
+                      </button>
+                    )}
+                    {canReview(item) && (
+                      <button
+                        type="button"
+                        onClick={() => {
+                          setRejecting(item);
+                          setRejectForm({ comment: '', onReject: 'reopen' });
+                        }}
+                        disabled={savingId === item.id}
+                        className="px-2 py-1 text-xs rounded-lg bg-red-600 text-white hover:bg-red-700 disabled:opacity-50"
+                      >
+                        Reject
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => openHistory(item)}
+                      className="text-xs text-indigo-600 hover:text-indigo-800"
+                    >
+                      History
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {rejecting && (
+        <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-40">
+          <div className="bg-white rounded-lg shadow-xl w-full max-w-lg p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-1">Reject idle reason</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              {rejecting.employee_name} · {rejecting.date} · {formatIdleMinutes(rejecting.idle_minutes)}
+            </p>
+            <form onSubmit={handleReject} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Comment</label>
+                <textarea
+                  value={rejectForm.comment}
+                  onChange={(e) => setRejectForm((prev) => ({ ...prev, comment: e.target.value }))}
+                  rows={3}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                  placeholder="Why is this reason not accepted?"
+                  required
+                />
+              </div>
+              <div className="space-y-1 text-sm text-gray-700">
+                <label className="flex items-center gap-2">
+                  <input
+                    type="radio"
+                    checked={rejectForm.onReject === 'reopen'}
+                    onChange={() => setRejectForm((prev) => ({ ...prev, onReject: 'reopen' }))}
+                  />
+                  Reopen so the employee can submit a new reason
+                </label>
+                <label className="flex items-center gap-2">
+                  <input
+                    type="radio"
+                    checked={rejectForm.onReject === 'ticket'}
+                    onChange={() => setRejectForm((prev) => ({ ...prev, onReject: 'ticket' }))}
+                  />
+                  Raise an Idle Time ticket
+                </label>
+              </div>
+              <div className="flex items-center justify-end space-x-2">
+                <button
+                  type="button"
+                  onClick={() => setRejecting(null)}
+                  className="px-3 py-2 text-sm rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50"
+                  disabled={savingId === rejecting.id}
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="px-4 py-2 text-sm rounded-lg bg-red-600 text-white hover:bg-red-700 disabled:opacity-50"
+                  disabled={savingId === rejecting.id || !rejectForm.comment.trim()}
+                >
+                  {savingId === rejecting.id ? 'Saving...' : 'Reject'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {history && (
+        <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-40">
+          <div className="bg-white rounded-lg shadow-xl w-full max-w-lg p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-1">Decision history</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              {history.item.employee_name} · {history.item.date}
+            </p>
+            {history.decisions.length === 0 ? (
+              <div className="py-6 text-center text-gray-500 text-sm">No decisions recorded yet.</div>
+            ) : (
+              <ul className="space-y-3 max-h-96 overflow-auto">
+                {history.decisions.map((d) => (
+                  <li key={d.id} className="border-l-2 border-gray-200 pl-3 text-sm">
+                    <div className="text-gray-900">
+                      <span className="font-medium">{d.action.replace('_', ' ')}</span>
+                      {d.outcome && ` (${d.outcome.replace('_', ' ')})`} → {d.to_status}
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      {d.actor_name || 'System'} · {new Date(d.created_at).toLocaleString()}
+                      {d.ticket_id && ` · Ticket #${d.ticket_id}`}
+                    </div>
+                    {d.reason_text && (d.action === 'submitted' || d.action === 'auto_waived') && (
+                      <div className="text-xs text-gray-700">{d.reason_text}</div>
+                    )}
+                    {d.comment && <div className="text-xs text-gray-700">Comment: {d.comment}</div>}
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div className="mt-4 flex justify-end">
+              <button
+                type="button"
+                onClick={() => setHistory(null)}
+                className="px-3 py-2 text-sm rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default IdleReviewQueue;
@@ -0,0 +1,377 @@
+import React, { useEffect, useState } from 'react';
+
+const EMPTY_STEP = { label: '', approver_type: 'reporting_to', approver_value: '', escalate_after_hours: '' };
+
+const EMPTY_CHAIN = {
+  name: '',
+  department_id: '',
+  leave_type_id: '',
+  escalate_after_hours: '',
+  is_active: true,
+  steps: [{ ...EMPTY_STEP }]
+};
+
+const toFormValue = (value) => (value == null ? '' : String(value));
+
+const request = async (url, options = {}) => {
+  const res = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || 'Request failed');
+  return data;
+};
+
+// Leave approval chains per department and/or leave type. Needs the "all" permission.
+const LeaveApprovalChainsAdmin = () => {
+  const [chains, setChains] = useState([]);
+  const [approverTypes, setApproverTypes] = useState([]);
+  const [departments, setDepartments] = useState([]);
+  const [leaveTypes, setLeaveTypes] = useState([]);
+  const [designations, setDesignations] = useState([]);
+  const [employees, setEmployees] = useState([]);
+  const [form, setForm] = useState(EMPTY_CHAIN);
+  const [editingId, setEditingId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setChains(await request('/api/leave-approvals/chains'));
+    } catch (e) {
+      console.error('Error loading approval chains:', e);
+      setError(e.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+    const list = (url, pick = (d) => d) =>
+      fetch(url)
+        .then((res) => (res.ok ? res.json() : []))
+        .then((data) => {
+          const rows = pick(data);
+          return Array.isArray(rows) ? rows : [];
+        })
+        .catch(() => []);
+    Promise.all([
+      list('/api/leave-approvals/approver-types'),
+      list('/api/departments'),
+      list('/api/leave-types'),
+      list('/api/designations'),
+      list('/api/employees?all=true', (d) => d.data)
+    ]).then(([types, depts, leaveTypeRows, designationRows, employeeRows]) => {
+      setApproverTypes(types);
+      setDepartments(depts);
+      setLeaveTypes(leaveTypeRows);
+      setDesignations(designationRows.filter((d) => !d.status || d.status === 'Active'));
+      setEmployees(employeeRows.sort((a, b) => (a.name || '').localeCompare(b.name || '')));
+    });
+  }, []);
+
+  const setField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const setStep = (index, field, value) =>
+    setForm((prev) => ({
+      ...prev,
+      steps: prev.steps.map((step, i) =>
+        i === index ? { ...step, [field]: value, ...(field === 'approver_type' ? { approver_value: '' } : {}) } : step
+      )
+    }));
+
+  const moveStep = (index, delta) =>
+    setForm((prev) => {
+      const steps = [...prev.steps];
+      const target = index + delta;
+      if (target < 0 || target >= steps.length) return prev;
+      [steps[index], steps[target]] = [steps[target], steps[index]];
+      return { ...prev, steps };
+    });
+
+  const removeStep = (index) => setForm((prev) => ({ ...prev, steps: prev.steps.filter((_, i) => i !== index) }));
+
+  const addStep = () => setForm((prev) => ({ ...prev, steps: [...prev.steps, { ...EMPTY_STEP }] }));
+
+  const reset = () => {
+    setEditingId(null);
+    setForm(EMPTY_CHAIN);
+  };
+
+  const save = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await request(editingId ? `/api/leave-approvals/chains/${editingId}` : '/api/leave-approvals/chains', {
+        method: editingId ? 'PUT' : 'POST',
+        body: JSON.stringify(form)
+      });
+      reset();
+      await load();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const edit = (chain) => {
+    setEditingId(chain.id);
+    setForm({
+      name: chain.name || '',
+      department_id: toFormValue(chain.department_id),
+      leave_type_id: toFormValue(chain.leave_type_id),
+      escalate_after_hours: toFormValue(chain.escalate_after_hours),
+      is_active: !!chain.is_active,
+      steps: chain.steps.map((step) => ({
+        label: step.label || '',
+        approver_type: step.approver_type,
+        approver_value: step.approver_value || '',
+        escalate_after_hours: toFormValue(step.escalate_after_hours)
+      }))
+    });
+  };
+
+  const deactivate = async (chain) => {
+    if (!window.confirm(`Deactivate "${chain.name}"? Requests already in its chain keep their steps.`)) return;
+    try {
+      await request(`/api/leave-approvals/chains/${chain.id}`, { method: 'DELETE' });
+      await load();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const approverTypeLabel = (key) => (approverTypes.find((t) => t.key === key) || {}).label || key;
+
+  const stepSummary = (step) => {
+    if (step.approver_type === 'employee') {
+      const emp = employees.find((e) => String(e.id) === String(step.approver_value));
+      return emp ? emp.name : `Employee #${step.approver_value}`;
+    }
+    if (step.approver_type === 'designation') return step.approver_value;
+    return approverTypeLabel(step.approver_type);
+  };
+
+  if (loading) {
+    return <div className="py-12 text-center text-gray-500">Loading approval chains...</div>;
+  }
+
+  const inputClass = 'w-full border border-gray-300 rounded-lg px-2 py-1 text-sm';
+
+  return (
+    <div className="space-y-4">
+      {error && <div className="p-3 rounded bg-red-50 text-red-700 text-sm">{error}</div>}
+      <div>
+        <h2 className="text-lg font-semibold text-gray-900">Approval chains</h2>
+        <p className="text-xs text-gray-500">
+          Leave requests that need a decision use the most specific active chain: department and leave type, then leave
+          type, then department, then a chain with neither. Without a matching chain, managers and admins decide as before.
+          Steps whose approver is missing or is the applicant are skipped; idle steps escalate to the approver's manager.
+        </p>
+      </div>
+      <div className="overflow-auto border border-gray-200 rounded-lg bg-white">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Chain</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Applies to</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Steps</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Escalation</th>
+              <th className="px-3 py-2" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {chains.length === 0 && (
+              <tr>
+                <td colSpan={5} className="px-3 py-6 text-center text-gray-500">No approval chains yet.</td>
+              </tr>
+            )}
+            {chains.map((chain) => (
+              <tr key={chain.id} className={`hover:bg-gray-50 align-top ${chain.is_active ? 'text-gray-900' : 'text-gray-400'}`}>
+                <td className="px-3 py-2 whitespace-nowrap">
+                  {chain.name}
+                  {!chain.is_active && <span className="ml-1 text-xs">inactive</span>}
+                </td>
+                <td className="px-3 py-2 whitespace-nowrap">
+                  {chain.department_name || 'All departments'} · {chain.leave_type_name || 'All leave types'}
+                </td>
+                <td className="px-3 py-2 text-xs">
+                  {chain.steps.map((step) => `${step.step_order}. ${step.label} (${stepSummary(step)})`).join(' → ')}
+                </td>
+                <td className="px-3 py-2 whitespace-nowrap">
+                  {chain.escalate_after_hours ? `${chain.escalate_after_hours}h` : '-'}
+                </td>
+                <td className="px-3 py-2 whitespace-nowrap text-right space-x-3">
+                  <button type="button" onClick={() => edit(chain)} className="text-sm text-indigo-600 hover:text-indigo-800">
+                    Edit
+                  </button>
+                  {!!chain.is_active && (
+                    <button type="button" onClick={() => deactivate(chain)} className="text-sm text-red-600 hover:text-red-800">
+                      Deactivate
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <form onSubmit={save} className="bg-white border border-gray-200 rounded-lg p-4 space-y-3 text-sm">
+        <h3 className="text-sm font-semibold text-gray-900">{editingId ? 'Edit approval chain' : 'Add approval chain'}</h3>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-2 items-end">
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Name</label>
+            <input value={form.name} onChange={(e) => setField('name', e.target.value)} className={inputClass} required />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Department</label>
+            <select value={form.department_id} onChange={(e) => setField('department_id', e.target.value)} className={inputClass}>
+              <option value="">All departments</option>
+              {departments.map((d) => (
+                <option key={d.id} value={d.id}>{d.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Leave type</label>
+            <select value={form.leave_type_id} onChange={(e) => setField('leave_type_id', e.target.value)} className={inputClass}>
+              <option value="">All leave types</option>
+              {leaveTypes.map((t) => (
+                <option key={t.id} value={t.id}>{t.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Escalate idle steps after (hours)</label>
+            <input
+              type="number"
+              min="1"
+              value={form.escalate_after_hours}
+              onChange={(e) => setField('escalate_after_hours', e.target.value)}
+              className={inputClass}
+              placeholder="Never"
+            />
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <div className="text-xs font-medium text-gray-600">Steps, in order</div>
+          {form.steps.map((step, index) => (
+            <div key={index} className="grid grid-cols-1 md:grid-cols-12 gap-2 items-end">
+              <div className="md:col-span-1 text-xs text-gray-500 pb-1.5">{index + 1}.</div>
+              <div className="md:col-span-3">
+                <label className="block text-xs text-gray-500 mb-1">Label</label>
+                <input
+                  value={step.label}
+                  onChange={(e) => setStep(index, 'label', e.target.value)}
+                  className={inputClass}
+                  placeholder="e.g. Team lead"
+                />
+              </div>
+              <div className="md:col-span-3">
+                <label className="block text-xs text-gray-500 mb-1">Approver</label>
+                <select value={step.approver_type} onChange={(e) => setStep(index, 'approver_type', e.target.value)} className={inputClass}>
+                  {approverTypes.map((t) => (
+                    <option key={t.key} value={t.key}>{t.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="md:col-span-2">
+                {step.approver_type === 'designation' && (
+                  <>
+                    <label className="block text-xs text-gray-500 mb-1">Designation</label>
+                    <select value={step.approver_value} onChange={(e) => setStep(index, 'approver_value', e.target.value)} className={inputClass} required>
+                      <option value="">Select</option>
+                      {[...new Set(designations.map((d) => d.name))].map((name) => (
+                        <option key={name} value={name}>{name}</option>
+                      ))}
+                    </select>
+                  </>
+                )}
+                {step.approver_type === 'employee' && (
+                  <>
+                    <label className="block text-xs text-gray-500 mb-1">Employee</label>
+                    <select value={step.approver_value} onChange={(e) => setStep(index, 'approver_value', e.target.value)} className={inputClass} required>
+                      <option value="">Select</option>
+                      {employees.map((emp) => (
+                        <option key={emp.id} value={emp.id}>{emp.name}</option>
+                      ))}
+                    </select>
+                  </>
+                )}
+              </div>
+              <div className="md:col-span-1">
+                <label className="block text-xs text-gray-500 mb-1">Hours</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={step.escalate_after_hours}
+                  onChange={(e) => setStep(index, 'escalate_after_hours', e.target.value)}
+                  className={inputClass}
+                  title="Overrides the chain's escalation hours for this step"
+                />
+              </div>
+              <div className="md:col-span-2 flex gap-2 pb-1">
+                <button type="button" onClick={() => moveStep(index, -1)} className="text-xs text-gray-600 hover:text-gray-900" disabled={index === 0}>
+                  Up
+                </button>
+                <button
+                  type="button"
+                  onClick={() => moveStep(index, 1)}
+                  className="text-xs text-gray-600 hover:text-gray-900"
+                  disabled={index === form.steps.length - 1}
+                >
+                  Down
+                </button>
+                {form.steps.length > 1 && (
+                  <button type="button" onClick={() => removeStep(index)} className="text-xs text-red-600 hover:text-red-800">
+                    Remove
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+          <button type="button" onClick={addStep} className="text-xs text-indigo-600 hover:text-indigo-800">
+            + Add step
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4 text-sm text-gray-700">
+          {editingId && (
+            <label className="flex items-center gap-1">
+              <input type="checkbox" checked={form.is_active} onChange={(e) => setField('is_active', e.target.checked)} />
+              Active
+            </label>
+          )}
+          <div className="ml-auto flex gap-2">
+            {editingId && (
+              <button
+                type="button"
+                onClick={reset}
+                className="px-3 py-1.5 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+            )}
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-3 py-1.5 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : editingId ? 'Save changes' : 'Add chain'}
+            </button>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default LeaveApprovalChainsAdmin;
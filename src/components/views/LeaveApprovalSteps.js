@@ -0,0 +1,60 @@
+import React from 'react';
+
+const STEP_STYLES = {
+  waiting: 'bg-gray-100 text-gray-600',
+  pending: 'bg-amber-100 text-amber-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  skipped: 'bg-gray-100 text-gray-400',
+  escalated: 'bg-orange-100 text-orange-800',
+};
+
+const formatStamp = (value) => (value ? String(value).slice(0, 16).replace('T', ' ') : '');
+
+const approverText = (step) => {
+  const name = step.approver_name || 'Admins';
+  return step.delegated_from_name ? `${name} (for ${step.delegated_from_name})` : name;
+};
+
+// One-line summary for tooltips, e.g. "Approvals: 1. Team lead ✓ · 2. Manager (Sam) pending"
+export const describeApprovalSteps = (steps) => {
+  if (!steps || steps.length === 0) return '';
+  const marks = { approved: '✓', rejected: '✗', skipped: 'skipped', escalated: 'escalated' };
+  return `Approvals: ${steps
+    .map((step) => `${step.step_order}. ${step.label} (${approverText(step)}) ${marks[step.status] || step.status}`)
+    .join(' · ')}`;
+};
+
+// Approval chain steps of a leave request (helpers/leaveApprovals.js), in order
+const LeaveApprovalSteps = ({ steps }) => {
+  if (!steps || steps.length === 0) return null;
+  return (
+    <ol className="space-y-1.5">
+      {steps.map((step) => (
+        <li key={step.id} className="flex items-start gap-2 text-sm">
+          <span className="w-5 shrink-0 text-xs text-gray-500 pt-0.5">{step.step_order}.</span>
+          <div className="flex-1 min-w-0">
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="font-medium text-gray-900">{step.label}</span>
+              <span className="text-gray-600">{approverText(step)}</span>
+              <span className={`inline-flex px-2 py-0.5 text-xs rounded-full capitalize ${STEP_STYLES[step.status] || STEP_STYLES.waiting}`}>
+                {step.status}
+              </span>
+            </div>
+            <div className="text-xs text-gray-500">
+              {step.escalated_from_step_id ? 'Escalated step · ' : ''}
+              {step.acted_at
+                ? `${step.acted_by_name ? `${step.acted_by_name} · ` : ''}${formatStamp(step.acted_at)}`
+                : step.status === 'pending' && step.escalate_at
+                ? `Escalates at ${formatStamp(step.escalate_at)}`
+                : ''}
+              {step.comment ? ` · ${step.comment}` : ''}
+            </div>
+          </div>
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default LeaveApprovalSteps;
@@ -0,0 +1,297 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import LeaveApprovalSteps from './LeaveApprovalSteps';
+
+const EMPTY_DELEGATION = { delegate_id: '', start_date: '', end_date: '', reason: '' };
+
+const request = async (url, options = {}) => {
+  const res = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || 'Request failed');
+  return data;
+};
+
+// Approval steps waiting for the current user, plus the user's delegations while they are away
+const LeaveApprovalsInbox = ({ user, onDecided }) => {
+  const [pending, setPending] = useState([]);
+  const [stepsByLeave, setStepsByLeave] = useState({});
+  const [expandedId, setExpandedId] = useState(null);
+  const [comments, setComments] = useState({});
+  const [delegations, setDelegations] = useState([]);
+  const [employees, setEmployees] = useState([]);
+  const [delegationForm, setDelegationForm] = useState(EMPTY_DELEGATION);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [pendingRows, delegationRows] = await Promise.all([
+        request('/api/leave-approvals/pending'),
+        request('/api/leave-approvals/delegations')
+      ]);
+      setPending(pendingRows);
+      setDelegations(delegationRows);
+    } catch (e) {
+      console.error('Error loading leave approvals:', e);
+      setError(e.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // Delegates to choose from: everyone but the current user
+  useEffect(() => {
+    fetch('/api/employees?all=true')
+      .then((res) => (res.ok ? res.json() : { data: [] }))
+      .then((data) => {
+        const list = Array.isArray(data.data) ? data.data : [];
+        setEmployees(list.filter((e) => e.id !== user?.id).sort((a, b) => (a.name || '').localeCompare(b.name || '')));
+      })
+      .catch(() => setEmployees([]));
+  }, [user?.id]);
+
+  const toggleSteps = async (leaveId) => {
+    if (expandedId === leaveId) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(leaveId);
+    if (stepsByLeave[leaveId]) return;
+    try {
+      const data = await request(`/api/leaves/${leaveId}/approval-steps`);
+      setStepsByLeave((prev) => ({ ...prev, [leaveId]: data }));
+    } catch (e) {
+      console.error('Error loading approval steps:', e);
+    }
+  };
+
+  const decide = async (row, status) => {
+    if (!window.confirm(status === 'approved' ? 'Approve this step?' : 'Reject this leave request?')) return;
+    try {
+      setBusyId(row.id);
+      const data = await request(`/api/leaves/${row.leave_request_id}/decision`, {
+        method: 'POST',
+        body: JSON.stringify({ status, decision_reason: comments[row.id] || null })
+      });
+      if (data.status === 'pending' && data.next_step) {
+        alert(`Approved. Next: ${data.next_step.label}${data.next_step.approver_name ? ` (${data.next_step.approver_name})` : ''}.`);
+      }
+      setStepsByLeave((prev) => ({ ...prev, [row.leave_request_id]: undefined }));
+      await load();
+      if (onDecided) onDecided();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const addDelegation = async (e) => {
+    e.preventDefault();
+    try {
+      await request('/api/leave-approvals/delegations', { method: 'POST', body: JSON.stringify(delegationForm) });
+      setDelegationForm(EMPTY_DELEGATION);
+      await load();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const removeDelegation = async (delegation) => {
+    if (!window.confirm(`Remove the delegation to ${delegation.delegate_name}?`)) return;
+    try {
+      await request(`/api/leave-approvals/delegations/${delegation.id}`, { method: 'DELETE' });
+      await load();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  if (loading && pending.length === 0 && delegations.length === 0) {
+    return <div className="py-12 text-center text-gray-500">Loading approvals...</div>;
+  }
+
+  const inputClass = 'w-full border border-gray-300 rounded-lg px-2 py-1 text-sm';
+
+  return (
+    <div className="space-y-6">
+      {error && <div className="p-3 rounded bg-red-50 text-red-700 text-sm">{error}</div>}
+
+      <div>
+        <h2 className="text-lg font-semibold text-gray-900">Waiting for your approval</h2>
+        <p className="text-xs text-gray-500">
+          Approving passes the request to the next step of its approval chain; rejecting rejects the request.
+        </p>
+      </div>
+      {pending.length === 0 ? (
+        <div className="p-6 text-center text-gray-500 bg-white border rounded-lg">Nothing waiting for you.</div>
+      ) : (
+        <div className="overflow-auto border border-gray-200 rounded-lg bg-white">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Employee</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Dates</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Step</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Comment</th>
+                <th className="px-3 py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {pending.map((row) => (
+                <React.Fragment key={row.id}>
+                  <tr className="hover:bg-gray-50 align-top">
+                    <td className="px-3 py-2">
+                      <div className="font-medium text-gray-900">{row.employee_name}</div>
+                      <div className="text-xs text-gray-500">
+                        {[row.department_name, row.leave_type_name].filter(Boolean).join(' · ')}
+                      </div>
+                      {row.reason && <div className="text-xs text-gray-600 mt-0.5">{row.reason}</div>}
+                    </td>
+                    <td className="px-3 py-2 whitespace-nowrap">
+                      {row.start_date}
+                      {row.end_date !== row.start_date ? ` → ${row.end_date}` : ''}
+                      <div className="text-xs text-gray-500">{Number(row.days_requested)} day(s)</div>
+                    </td>
+                    <td className="px-3 py-2">
+                      <div>{row.step_order}. {row.label}</div>
+                      <div className="text-xs text-gray-500">
+                        {row.delegated_from_name ? `For ${row.delegated_from_name}` : ''}
+                        {row.escalated_from_step_id ? 'Escalated to you' : ''}
+                      </div>
+                      <button type="button" onClick={() => toggleSteps(row.leave_request_id)} className="text-xs text-indigo-600 hover:text-indigo-800">
+                        {expandedId === row.leave_request_id ? 'Hide chain' : 'Show chain'}
+                      </button>
+                    </td>
+                    <td className="px-3 py-2">
+                      <input
+                        value={comments[row.id] || ''}
+                        onChange={(e) => setComments((prev) => ({ ...prev, [row.id]: e.target.value }))}
+                        className={inputClass}
+                        placeholder="Optional"
+                      />
+                    </td>
+                    <td className="px-3 py-2 whitespace-nowrap space-x-2">
+                      <button
+                        type="button"
+                        disabled={busyId === row.id}
+                        onClick={() => decide(row, 'approved')}
+                        className="px-2 py-1 text-xs rounded bg-green-600 text-white disabled:opacity-50"
+                      >
+                        Approve
+                      </button>
+                      <button
+                        type="button"
+                        disabled={busyId === row.id}
+                        onClick={() => decide(row, 'rejected')}
+                        className="px-2 py-1 text-xs rounded bg-red-600 text-white disabled:opacity-50"
+                      >
+                        Reject
+                      </button>
+                    </td>
+                  </tr>
+                  {expandedId === row.leave_request_id && (
+                    <tr>
+                      <td colSpan={5} className="px-6 py-3 bg-gray-50">
+                        {stepsByLeave[row.leave_request_id] ? (
+                          <LeaveApprovalSteps steps={stepsByLeave[row.leave_request_id]} />
+                        ) : (
+                          <span className="text-xs text-gray-500">Loading...</span>
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div>
+        <h2 className="text-lg font-semibold text-gray-900">Delegations</h2>
+        <p className="text-xs text-gray-500">
+          While a delegation is active, new approval steps for you go to the delegate. Without one, your manager
+          covers your steps while you are on approved leave.
+        </p>
+      </div>
+      {delegations.length > 0 && (
+        <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg bg-white text-sm">
+          {delegations.map((d) => (
+            <li key={d.id} className="px-3 py-2 flex items-center justify-between gap-2">
+              <span>
+                {d.approver_id === user?.id ? 'You' : d.approver_name} → {d.delegate_id === user?.id ? 'you' : d.delegate_name}
+                <span className="text-gray-500"> · {d.start_date} to {d.end_date}</span>
+                {d.reason && <span className="text-gray-500"> · {d.reason}</span>}
+              </span>
+              {d.approver_id === user?.id && (
+                <button type="button" onClick={() => removeDelegation(d)} className="text-xs text-red-600 hover:text-red-800">
+                  Remove
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      <form onSubmit={addDelegation} className="bg-white border border-gray-200 rounded-lg p-4 grid grid-cols-1 md:grid-cols-5 gap-2 items-end text-sm">
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Delegate to</label>
+          <select
+            value={delegationForm.delegate_id}
+            onChange={(e) => setDelegationForm((prev) => ({ ...prev, delegate_id: e.target.value }))}
+            className={inputClass}
+            required
+          >
+            <option value="">Select employee</option>
+            {employees.map((emp) => (
+              <option key={emp.id} value={emp.id}>{emp.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">From</label>
+          <input
+            type="date"
+            value={delegationForm.start_date}
+            onChange={(e) => setDelegationForm((prev) => ({ ...prev, start_date: e.target.value }))}
+            className={inputClass}
+            required
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">To</label>
+          <input
+            type="date"
+            value={delegationForm.end_date}
+            onChange={(e) => setDelegationForm((prev) => ({ ...prev, end_date: e.target.value }))}
+            className={inputClass}
+            required
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Reason</label>
+          <input
+            value={delegationForm.reason}
+            onChange={(e) => setDelegationForm((prev) => ({ ...prev, reason: e.target.value }))}
+            className={inputClass}
+            placeholder="Optional"
+          />
+        </div>
+        <button type="submit" className="px-3 py-1.5 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700">
+          Add delegation
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LeaveApprovalsInbox;
@@ -0,0 +1,120 @@
+import React, { useEffect, useState } from 'react';
+
+const HANDOVER_STYLES = {
+  planned: 'bg-gray-100 text-gray-600',
+  scheduled: 'bg-blue-100 text-blue-800',
+  active: 'bg-green-100 text-green-800',
+  reverted: 'bg-gray-100 text-gray-600',
+  cancelled: 'bg-gray-100 text-gray-400',
+  skipped: 'bg-gray-100 text-gray-400',
+};
+
+const describeDue = (task) => {
+  if (!task.frequency) return task.due_date ? `Open task · due ${task.due_date}` : 'Open task';
+  const count = task.due_dates.length;
+  return `${task.frequency} · due ${count} time${count === 1 ? '' : 's'} during the leave`;
+};
+
+// Handover plan of a leave request (helpers/leaveHandovers.js)
+export const LeaveHandoverList = ({ handovers }) => {
+  if (!handovers || handovers.length === 0) return null;
+  return (
+    <ul className="space-y-1 text-sm">
+      {handovers.map((h) => (
+        <li key={h.id} className="flex flex-wrap items-center gap-2">
+          <span className="font-medium text-gray-900">{h.task_title || `Task #${h.task_id}`}</span>
+          <span className="text-gray-600">→ {h.cover_name || 'Unknown'}</span>
+          <span className={`inline-flex px-2 py-0.5 text-xs rounded-full capitalize ${HANDOVER_STYLES[h.status] || HANDOVER_STYLES.planned}`}>
+            {h.status}
+          </span>
+          {h.note && <span className="text-xs text-gray-500">{h.note}</span>}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// Apply form: pick a cover for each task due during the leave. value is { [task_id]: cover_employee_id | '' };
+// covers start from the server's suggestion (someone trained on the task who is not on leave). onChange should be
+// stable (e.g. a state setter): suggestions are fetched again whenever it changes.
+const LeaveHandoverPlan = ({ startDate, endDate, employeeId, value, onChange }) => {
+  const [suggestions, setSuggestions] = useState(null);
+
+  useEffect(() => {
+    if (!startDate) {
+      setSuggestions(null);
+      onChange({});
+      return undefined;
+    }
+    let cancelled = false;
+    let url = `/api/leaves/handover-suggestions?start_date=${encodeURIComponent(startDate)}`;
+    if (endDate) url += `&end_date=${encodeURIComponent(endDate)}`;
+    if (employeeId) url += `&employee_id=${employeeId}`;
+    fetch(url)
+      .then((res) => (res.ok ? res.json() : { tasks: [], colleagues: [] }))
+      .then((data) => {
+        if (cancelled) return;
+        setSuggestions(data);
+        onChange(Object.fromEntries((data.tasks || []).map((t) => [t.task_id, t.suggested_cover_id || ''])));
+      })
+      .catch(() => {
+        if (!cancelled) setSuggestions(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [startDate, endDate, employeeId, onChange]);
+
+  if (!suggestions || !suggestions.tasks || suggestions.tasks.length === 0) return null;
+
+  const personLabel = (p) => `${p.name}${p.on_leave ? ' (on leave)' : ''}`;
+
+  return (
+    <div className="mt-4 p-4 bg-gray-50 border border-gray-200 rounded space-y-3">
+      <div>
+        <p className="text-sm font-medium text-gray-900">Task handover</p>
+        <p className="text-xs text-gray-500">
+          Once the leave is approved, the cover takes over these tasks for the leave dates and they come back to you on your return.
+        </p>
+      </div>
+      {suggestions.tasks.map((task) => {
+        const trainedIds = new Set(task.trained.map((p) => p.id));
+        const others = (suggestions.colleagues || []).filter((p) => !trainedIds.has(p.id));
+        return (
+          <div key={task.task_id} className="grid grid-cols-1 md:grid-cols-2 gap-2 items-center">
+            <div>
+              <div className="text-sm text-gray-900">{task.title}</div>
+              <div className="text-xs text-gray-500">
+                {describeDue(task)}
+                {task.trained.length === 0 ? ' · nobody is trained on this task' : ''}
+              </div>
+            </div>
+            <select
+              value={value[task.task_id] ?? ''}
+              onChange={(e) => onChange({ ...value, [task.task_id]: e.target.value ? Number(e.target.value) : '' })}
+              className="w-full border rounded px-3 py-2 text-sm"
+            >
+              <option value="">No cover</option>
+              {task.trained.length > 0 && (
+                <optgroup label="Trained">
+                  {task.trained.map((p) => (
+                    <option key={p.id} value={p.id}>{personLabel(p)}</option>
+                  ))}
+                </optgroup>
+              )}
+              {others.length > 0 && (
+                <optgroup label="Department">
+                  {others.map((p) => (
+                    <option key={p.id} value={p.id}>{personLabel(p)}</option>
+                  ))}
+                </optgroup>
+              )}
+            </select>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default LeaveHandoverPlan;
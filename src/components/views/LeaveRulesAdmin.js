@@ -0,0 +1,353 @@
+import React, { useEffect, useState } from 'react';
+
+const EMPTY_RULE = {
+  name: '',
+  rule_type: 'max_off_per_day',
+  severity: 'hard',
+  department_id: '',
+  designation: '',
+  leave_type_id: '',
+  message: '',
+  is_active: true,
+  max: '1',
+  min: '1',
+  present_designation: '',
+  days: ''
+};
+
+const toFormValue = (value) => (value == null ? '' : String(value));
+
+const request = async (url, options = {}) => {
+  const res = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || 'Request failed');
+  return data;
+};
+
+// Leave conflict rules with their scope and severity. Needs the "all" permission.
+const LeaveRulesAdmin = () => {
+  const [rules, setRules] = useState([]);
+  const [ruleTypes, setRuleTypes] = useState([]);
+  const [departments, setDepartments] = useState([]);
+  const [leaveTypes, setLeaveTypes] = useState([]);
+  const [designations, setDesignations] = useState([]);
+  const [form, setForm] = useState(EMPTY_RULE);
+  const [editingId, setEditingId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setRules(await request('/api/leave-rules?include_inactive=1'));
+    } catch (e) {
+      console.error('Error loading leave rules:', e);
+      setError(e.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+    const list = (url) =>
+      fetch(url)
+        .then((res) => (res.ok ? res.json() : []))
+        .then((data) => (Array.isArray(data) ? data : []))
+        .catch(() => []);
+    Promise.all([list('/api/leave-rules/types'), list('/api/departments'), list('/api/leave-types'), list('/api/designations')]).then(
+      ([types, depts, leaveTypeRows, designationRows]) => {
+        setRuleTypes(types);
+        setDepartments(depts);
+        setLeaveTypes(leaveTypeRows);
+        setDesignations([...new Set(designationRows.filter((d) => !d.status || d.status === 'Active').map((d) => d.name))]);
+      }
+    );
+  }, []);
+
+  const setField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const paramsFromForm = () => {
+    if (form.rule_type === 'max_off_per_day') return { max: Number(form.max) };
+    if (form.rule_type === 'min_present') return { designation: form.present_designation, min: Number(form.min) };
+    return { days: Number(form.days) };
+  };
+
+  const reset = () => {
+    setEditingId(null);
+    setForm(EMPTY_RULE);
+  };
+
+  const save = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const body = {
+        name: form.name,
+        rule_type: form.rule_type,
+        severity: form.severity,
+        department_id: form.department_id,
+        designation: form.designation,
+        leave_type_id: form.leave_type_id,
+        message: form.message,
+        is_active: form.is_active,
+        params: paramsFromForm()
+      };
+      await request(editingId ? `/api/leave-rules/${editingId}` : '/api/leave-rules', {
+        method: editingId ? 'PUT' : 'POST',
+        body: JSON.stringify(body)
+      });
+      reset();
+      await load();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const edit = (rule) => {
+    const params = rule.params || {};
+    setEditingId(rule.id);
+    setForm({
+      ...EMPTY_RULE,
+      name: rule.name || '',
+      rule_type: rule.rule_type,
+      severity: rule.severity,
+      department_id: toFormValue(rule.department_id),
+      designation: rule.designation || '',
+      leave_type_id: toFormValue(rule.leave_type_id),
+      message: rule.message || '',
+      is_active: !!rule.is_active,
+      max: toFormValue(params.max ?? 1),
+      min: toFormValue(params.min ?? 1),
+      present_designation: params.designation || '',
+      days: toFormValue(params.days)
+    });
+  };
+
+  const deactivate = async (rule) => {
+    if (!window.confirm(`Deactivate "${rule.name}"?`)) return;
+    try {
+      await request(`/api/leave-rules/${rule.id}`, { method: 'DELETE' });
+      await load();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const describeRule = (rule) => {
+    const params = rule.params || {};
+    if (rule.rule_type === 'max_off_per_day') return `Max ${params.max} off per day`;
+    if (rule.rule_type === 'min_present') return `At least ${params.min} ${params.designation} present`;
+    if (rule.rule_type === 'month_end_blackout') return `No leave in last ${params.days} day(s) of month`;
+    if (rule.rule_type === 'min_notice') return `${params.days} day(s) notice`;
+    return rule.rule_type;
+  };
+
+  const describeScope = (rule) =>
+    [rule.department_name || 'All departments', rule.designation || 'all designations', rule.leave_type_name || 'all leave types'].join(' · ');
+
+  if (loading) {
+    return <div className="py-12 text-center text-gray-500">Loading conflict rules...</div>;
+  }
+
+  const inputClass = 'w-full border border-gray-300 rounded-lg px-2 py-1 text-sm';
+
+  return (
+    <div className="space-y-4">
+      {error && <div className="p-3 rounded bg-red-50 text-red-700 text-sm">{error}</div>}
+      <div>
+        <h2 className="text-lg font-semibold text-gray-900">Conflict rules</h2>
+        <p className="text-xs text-gray-500">
+          A rule applies to applicants matching its department, designation and leave type (blank matches everyone).
+          Hard rules block the application; soft rules let it through but it always needs approval. Headcount rules
+          count pending and approved leaves in the applicant's department. Department restricted weekdays are always hard.
+        </p>
+      </div>
+      <div className="overflow-auto border border-gray-200 rounded-lg bg-white">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rule</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Constraint</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Applies to</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Severity</th>
+              <th className="px-3 py-2" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {rules.length === 0 && (
+              <tr>
+                <td colSpan={5} className="px-3 py-6 text-center text-gray-500">No conflict rules yet.</td>
+              </tr>
+            )}
+            {rules.map((rule) => (
+              <tr key={rule.id} className={`hover:bg-gray-50 ${rule.is_active ? 'text-gray-900' : 'text-gray-400'}`}>
+                <td className="px-3 py-2 whitespace-nowrap">
+                  {rule.name}
+                  {!rule.is_active && <span className="ml-1 text-xs">inactive</span>}
+                </td>
+                <td className="px-3 py-2 whitespace-nowrap">{describeRule(rule)}</td>
+                <td className="px-3 py-2 text-xs">{describeScope(rule)}</td>
+                <td className="px-3 py-2 whitespace-nowrap">
+                  <span
+                    className={`inline-flex px-2 py-0.5 text-xs rounded-full ${
+                      rule.severity === 'hard' ? 'bg-red-100 text-red-800' : 'bg-amber-100 text-amber-800'
+                    }`}
+                  >
+                    {rule.severity}
+                  </span>
+                </td>
+                <td className="px-3 py-2 whitespace-nowrap text-right space-x-3">
+                  <button type="button" onClick={() => edit(rule)} className="text-sm text-indigo-600 hover:text-indigo-800">
+                    Edit
+                  </button>
+                  {rule.is_active && (
+                    <button type="button" onClick={() => deactivate(rule)} className="text-sm text-red-600 hover:text-red-800">
+                      Deactivate
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <form onSubmit={save} className="bg-white border border-gray-200 rounded-lg p-4 space-y-3 text-sm">
+        <h3 className="text-sm font-semibold text-gray-900">{editingId ? 'Edit rule' : 'Add rule'}</h3>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-2 items-end">
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Name</label>
+            <input value={form.name} onChange={(e) => setField('name', e.target.value)} className={inputClass} required />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Type</label>
+            <select value={form.rule_type} onChange={(e) => setField('rule_type', e.target.value)} className={inputClass}>
+              {ruleTypes.map((t) => (
+                <option key={t.key} value={t.key}>{t.label}</option>
+              ))}
+            </select>
+          </div>
+          {form.rule_type === 'max_off_per_day' && (
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">Max people off per day</label>
+              <input type="number" min="0" value={form.max} onChange={(e) => setField('max', e.target.value)} className={inputClass} required />
+            </div>
+          )}
+          {form.rule_type === 'min_present' && (
+            <>
+              <div>
+                <label className="block text-xs font-medium text-gray-600 mb-1">Designation that must be present</label>
+                <select
+                  value={form.present_designation}
+                  onChange={(e) => setField('present_designation', e.target.value)}
+                  className={inputClass}
+                  required
+                >
+                  <option value="">Select</option>
+                  {designations.map((name) => (
+                    <option key={name} value={name}>{name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-600 mb-1">At least</label>
+                <input type="number" min="1" value={form.min} onChange={(e) => setField('min', e.target.value)} className={inputClass} required />
+              </div>
+            </>
+          )}
+          {(form.rule_type === 'month_end_blackout' || form.rule_type === 'min_notice') && (
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">
+                {form.rule_type === 'month_end_blackout' ? 'Last N days of the month' : 'Notice days'}
+              </label>
+              <input
+                type="number"
+                min="1"
+                max={form.rule_type === 'month_end_blackout' ? 15 : undefined}
+                value={form.days}
+                onChange={(e) => setField('days', e.target.value)}
+                className={inputClass}
+                required
+              />
+            </div>
+          )}
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Department</label>
+            <select value={form.department_id} onChange={(e) => setField('department_id', e.target.value)} className={inputClass}>
+              <option value="">All departments</option>
+              {departments.map((d) => (
+                <option key={d.id} value={d.id}>{d.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Applicant designation</label>
+            <select value={form.designation} onChange={(e) => setField('designation', e.target.value)} className={inputClass}>
+              <option value="">All designations</option>
+              {designations.map((name) => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Leave type</label>
+            <select value={form.leave_type_id} onChange={(e) => setField('leave_type_id', e.target.value)} className={inputClass}>
+              <option value="">All leave types</option>
+              {leaveTypes.map((t) => (
+                <option key={t.id} value={t.id}>{t.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Severity</label>
+            <select value={form.severity} onChange={(e) => setField('severity', e.target.value)} className={inputClass}>
+              <option value="hard">Hard (block)</option>
+              <option value="soft">Soft (needs approval)</option>
+            </select>
+          </div>
+          <div className="md:col-span-2">
+            <label className="block text-xs font-medium text-gray-600 mb-1">Message shown to applicants</label>
+            <input
+              value={form.message}
+              onChange={(e) => setField('message', e.target.value)}
+              className={inputClass}
+              placeholder="Optional; a description of the rule is used otherwise"
+            />
+          </div>
+        </div>
+        <div className="flex flex-wrap items-center gap-4 text-sm text-gray-700">
+          {editingId && (
+            <label className="flex items-center gap-1">
+              <input type="checkbox" checked={form.is_active} onChange={(e) => setField('is_active', e.target.checked)} />
+              Active
+            </label>
+          )}
+          <div className="ml-auto flex gap-2">
+            {editingId && (
+              <button type="button" onClick={reset} className="px-3 py-1.5 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50">
+                Cancel
+              </button>
+            )}
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-3 py-1.5 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : editingId ? 'Save changes' : 'Add rule'}
+            </button>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default LeaveRulesAdmin;
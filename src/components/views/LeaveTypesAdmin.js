@@ -0,0 +1,320 @@
+import React, { useCallback, useEffect, useState } from 'react';
+
+const FREQUENCIES = [
+  { value: 'none', label: 'No accrual' },
+  { value: 'monthly', label: 'Monthly' },
+  { value: 'quarterly', label: 'Quarterly' },
+  { value: 'yearly', label: 'Yearly' }
+];
+
+const EMPTY_TYPE = {
+  name: '',
+  code: '',
+  is_paid: true,
+  accrual_frequency: 'none',
+  accrual_amount: '',
+  max_balance: '',
+  max_days_per_year: '',
+  carry_forward_cap: '',
+  carry_forward_expiry_months: '',
+  eligible_after_probation: false,
+  requires_attachment: false,
+  color: '',
+  description: '',
+  max_consecutive_days: '',
+  status: 'Active'
+};
+
+const toFormValue = (value) => (value == null ? '' : String(value));
+
+const request = async (url, options = {}) => {
+  const res = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || 'Request failed');
+  return data;
+};
+
+// Leave categories and their accrual, carry-forward and eligibility rules. Needs the "all" permission.
+const LeaveTypesAdmin = ({ onChange }) => {
+  const [types, setTypes] = useState([]);
+  const [form, setForm] = useState(EMPTY_TYPE);
+  const [editingId, setEditingId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setTypes(await request('/api/leave-types?include_inactive=1'));
+    } catch (e) {
+      console.error('Error loading leave types:', e);
+      setError(e.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const reload = async () => {
+    await load();
+    if (onChange) onChange();
+  };
+
+  const setField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const save = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await request(editingId ? `/api/leave-types/${editingId}` : '/api/leave-types', {
+        method: editingId ? 'PUT' : 'POST',
+        body: JSON.stringify(form)
+      });
+      setForm(EMPTY_TYPE);
+      setEditingId(null);
+      await reload();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const edit = (type) => {
+    setEditingId(type.id);
+    setForm({
+      name: type.name || '',
+      code: type.code || '',
+      is_paid: !!type.is_paid,
+      accrual_frequency: type.accrual_frequency || 'none',
+      accrual_amount: toFormValue(type.accrual_amount),
+      max_balance: toFormValue(type.max_balance),
+      max_days_per_year: toFormValue(type.max_days_per_year),
+      carry_forward_cap: toFormValue(type.carry_forward_cap),
+      carry_forward_expiry_months: toFormValue(type.carry_forward_expiry_months),
+      eligible_after_probation: !!type.eligible_after_probation,
+      requires_attachment: !!type.requires_attachment,
+      color: type.color || '',
+      description: type.description || '',
+      max_consecutive_days: toFormValue(type.max_consecutive_days),
+      status: type.status || 'Active'
+    });
+  };
+
+  const retire = async (type) => {
+    if (!window.confirm(`Retire "${type.name}"? Existing leave requests keep their type.`)) return;
+    try {
+      await request(`/api/leave-types/${type.id}`, { method: 'DELETE' });
+      await reload();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const accrualLabel = (type) => {
+    if (!type.accrual_frequency || type.accrual_frequency === 'none') {
+      return type.max_days_per_year != null ? `${type.max_days_per_year} / year up front` : 'Not tracked';
+    }
+    return `${Number(type.accrual_amount)} ${type.accrual_frequency}`;
+  };
+
+  const carryLabel = (type) => {
+    if (!(Number(type.carry_forward_cap) > 0)) return '-';
+    return `${Number(type.carry_forward_cap)}${type.carry_forward_expiry_months ? `, expires after ${type.carry_forward_expiry_months}m` : ''}`;
+  };
+
+  if (loading) {
+    return <div className="py-12 text-center text-gray-500">Loading leave types...</div>;
+  }
+
+  const inputClass = 'w-full border border-gray-300 rounded-lg px-2 py-1 text-sm';
+
+  return (
+    <div className="space-y-4">
+      {error && (
+        <div className="p-3 rounded bg-red-50 text-red-700 text-sm">{error}</div>
+      )}
+      <div>
+        <h2 className="text-lg font-semibold text-gray-900">Leave types</h2>
+        <p className="text-xs text-gray-500">
+          Types that accrue or have a yearly allowance keep their own balance and do not use the monthly paid quota.
+          Carry-forward applies to the previous year's closing balance.
+        </p>
+      </div>
+      <div className="overflow-auto border border-gray-200 rounded-lg bg-white">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Accrual</th>
+              <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Max balance</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Carry forward</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rules</th>
+              <th className="px-3 py-2" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {types.map((type) => (
+              <tr key={type.id} className={`hover:bg-gray-50 ${type.status === 'Inactive' ? 'text-gray-400' : 'text-gray-900'}`}>
+                <td className="px-3 py-2 whitespace-nowrap">
+                  {type.name}
+                  {type.code && <span className="ml-1 text-xs text-gray-500">({type.code})</span>}
+                  {type.status === 'Inactive' && <span className="ml-1 text-xs">retired</span>}
+                </td>
+                <td className="px-3 py-2 whitespace-nowrap">{accrualLabel(type)}</td>
+                <td className="px-3 py-2 whitespace-nowrap text-right">{type.max_balance != null ? Number(type.max_balance) : '-'}</td>
+                <td className="px-3 py-2 whitespace-nowrap">{carryLabel(type)}</td>
+                <td className="px-3 py-2 text-xs text-gray-600">
+                  {[
+                    type.is_paid ? 'Paid' : 'Unpaid',
+                    type.eligible_after_probation ? 'after probation' : null,
+                    type.requires_attachment ? 'attachment required' : null
+                  ].filter(Boolean).join(' · ')}
+                </td>
+                <td className="px-3 py-2 whitespace-nowrap text-right space-x-3">
+                  <button type="button" onClick={() => edit(type)} className="text-sm text-indigo-600 hover:text-indigo-800">
+                    Edit
+                  </button>
+                  {type.status !== 'Inactive' && (
+                    <button type="button" onClick={() => retire(type)} className="text-sm text-red-600 hover:text-red-800">
+                      Retire
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <form onSubmit={save} className="bg-white border border-gray-200 rounded-lg p-4 space-y-3 text-sm">
+        <h3 className="text-sm font-semibold text-gray-900">{editingId ? 'Edit leave type' : 'Add leave type'}</h3>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-2 items-end">
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Name</label>
+            <input value={form.name} onChange={(e) => setField('name', e.target.value)} className={inputClass} required />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Code</label>
+            <input value={form.code} onChange={(e) => setField('code', e.target.value)} className={inputClass} placeholder="e.g. annual" />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Accrual</label>
+            <select value={form.accrual_frequency} onChange={(e) => setField('accrual_frequency', e.target.value)} className={inputClass}>
+              {FREQUENCIES.map((f) => (
+                <option key={f.value} value={f.value}>{f.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Days per period</label>
+            <input
+              type="number"
+              min="0"
+              step="0.5"
+              value={form.accrual_amount}
+              onChange={(e) => setField('accrual_amount', e.target.value)}
+              className={inputClass}
+              disabled={form.accrual_frequency === 'none'}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Max balance</label>
+            <input type="number" min="0" step="0.5" value={form.max_balance} onChange={(e) => setField('max_balance', e.target.value)} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Yearly allowance (no accrual)</label>
+            <input
+              type="number"
+              min="0"
+              value={form.max_days_per_year}
+              onChange={(e) => setField('max_days_per_year', e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Carry forward cap</label>
+            <input
+              type="number"
+              min="0"
+              step="0.5"
+              value={form.carry_forward_cap}
+              onChange={(e) => setField('carry_forward_cap', e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Carried days expire after (months)</label>
+            <input
+              type="number"
+              min="0"
+              value={form.carry_forward_expiry_months}
+              onChange={(e) => setField('carry_forward_expiry_months', e.target.value)}
+              className={inputClass}
+              placeholder="Never"
+            />
+          </div>
+        </div>
+        <div className="flex flex-wrap items-center gap-4 text-sm text-gray-700">
+          <label className="flex items-center gap-1">
+            <input type="checkbox" checked={form.is_paid} onChange={(e) => setField('is_paid', e.target.checked)} />
+            Paid
+          </label>
+          <label className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={form.eligible_after_probation}
+              onChange={(e) => setField('eligible_after_probation', e.target.checked)}
+            />
+            Only after probation
+          </label>
+          <label className="flex items-center gap-1">
+            <input type="checkbox" checked={form.requires_attachment} onChange={(e) => setField('requires_attachment', e.target.checked)} />
+            Requires attachment
+          </label>
+          {editingId && (
+            <label className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={form.status === 'Active'}
+                onChange={(e) => setField('status', e.target.checked ? 'Active' : 'Inactive')}
+              />
+              Active
+            </label>
+          )}
+          <div className="ml-auto flex gap-2">
+            {editingId && (
+              <button
+                type="button"
+                onClick={() => {
+                  setEditingId(null);
+                  setForm(EMPTY_TYPE);
+                }}
+                className="px-3 py-1.5 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+            )}
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-3 py-1.5 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : editingId ? 'Save changes' : 'Add type'}
+            </button>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default LeaveTypesAdmin;
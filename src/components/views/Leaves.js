@@ -1,5 +1,11 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
+import LeaveTypesAdmin from './LeaveTypesAdmin';
+import LeaveApprovalChainsAdmin from './LeaveApprovalChainsAdmin';
+import LeaveRulesAdmin from './LeaveRulesAdmin';
+import LeaveApprovalsInbox from './LeaveApprovalsInbox';
+import LeaveApprovalSteps from './LeaveApprovalSteps';
+import LeaveHandoverPlan, { LeaveHandoverList } from './LeaveHandoverPlan';
 
 const TABS = {
   APPLY: 'apply',
@@ -15,6 +21,20 @@ const TABS = {
   ACK_HISTORY: 'ack_history',
   ALL_FUTURE: 'all_future',
   ALL_PAST: 'all_past',
+  LEAVE_TYPES: 'leave_types',
+  APPROVALS: 'approvals',
+  APPROVAL_CHAINS: 'approval_chains',
+  CONFLICT_RULES: 'conflict_rules',
+};
+
+const ACCRUAL_LABELS = { monthly: 'per month', quarterly: 'per quarter', yearly: 'per year' };
+
+const LEDGER_LABELS = {
+  accrual: 'Monthly quota',
+  usage: 'Paid leave',
+  uninformed_penalty: 'Absentee deduction',
+  adjustment: 'Manual adjustment',
+  reversal: 'Reversal',
 };
 
 /*
@@ -35,6 +55,9 @@ const TABS = {
  * - Date Available + Regular leave:
  *   Form appears; need approval from admin.
  *
+ * - Typed leave: the type's "requires approval" setting decides; when it is on, the request goes through the
+ *   approval chain even on an available date, and when it is off an available date is auto-approved.
+ *
  * - Important/holiday date: no leave allowed (blocked).
  * - If requested paid days > remaining paid quota: cannot select paid (use Regular or shorten range).
  */
@@ -68,7 +91,7 @@ export default function Leaves({ initialTab, initialManagerSection }) {
   };
   // Tab state for Department view (acknowledge / ack_history only)
   const [departmentTab, setDepartmentTab] = useState(
-    initialTab && [TABS.ACKNOWLEDGE, TABS.ACK_HISTORY, TABS.ALL_FUTURE, TABS.ALL_PAST, TABS.REJECTED].includes(initialTab)
+    initialTab && [TABS.ACKNOWLEDGE, TABS.ACK_HISTORY, TABS.ALL_FUTURE, TABS.ALL_PAST, TABS.REJECTED, TABS.APPROVAL_CHAINS, TABS.CONFLICT_RULES].includes(initialTab)
       ? initialTab
       : TABS.ACKNOWLEDGE
   );
@@ -86,10 +109,14 @@ export default function Leaves({ initialTab, initialManagerSection }) {
     reason: '',
     leave_type: 'paid', // paid | other — drives rulebook and quota only
     emergency_type: '', // when date is booked: reason from leave_types (e.g. Sick Leave, Maternity)
+    leave_type_id: '', // optional leave category with its own balance (annual, sick...)
+    attachment_url: '',
   });
-  const [leaveTypes, setLeaveTypes] = useState([]); // used only for emergency reason dropdown
+  const [leaveTypes, setLeaveTypes] = useState([]); // emergency reason dropdown and leave category
+  const [typeBalances, setTypeBalances] = useState([]); // per-type balances from /api/leaves/balances
   const EMERGENCY_OPTIONS_FALLBACK = ['Medical', 'Family emergency', 'Bereavement', 'Other'];
   const [dateAvailability, setDateAvailability] = useState(null); // { blocked, available, bookedBy } for apply form
+  const [handoverCovers, setHandoverCovers] = useState({}); // { [task_id]: cover employee id } for apply form
   const [editDateAvailability, setEditDateAvailability] = useState(null); // availability for edit-dates modal
   const [pendingActions, setPendingActions] = useState({ swapRequests: [], acknowledgeRequests: [], rejected_swap_notifications: [] });
   const [pendingActionModal, setPendingActionModal] = useState(null); // { type: 'swap'|'ack', data }
@@ -171,6 +198,7 @@ export default function Leaves({ initialTab, initialManagerSection }) {
   const [uninformedEmployeeSearch, setUninformedEmployeeSearch] = useState('');
   const [uninformedDepartmentFilter, setUninformedDepartmentFilter] = useState('');
   const [selectedEmployeeReport, setSelectedEmployeeReport] = useState(null);
+  const [adjustmentForm, setAdjustmentForm] = useState({ days: '', reason: '' });
   const [uninformedEmployeeDropdownOpen, setUninformedEmployeeDropdownOpen] = useState(false);
   const uninformedEmployeeDropdownRef = useRef(null);
 
@@ -321,6 +349,19 @@ export default function Leaves({ initialTab, initialManagerSection }) {
     }
   };
 
+  const loadTypeBalances = useCallback(async () => {
+    if (!employeeId) return;
+    try {
+      const res = await fetch(`/api/leaves/balances?employee_id=${employeeId}`);
+      if (res.ok) {
+        const data = await res.json();
+        setTypeBalances(Array.isArray(data.balances) ? data.balances : []);
+      }
+    } catch (err) {
+      console.error('Error loading leave type balances', err);
+    }
+  }, [employeeId]);
+
   const loadDepartmentRestrictedDays = async () => {
     if (!departmentId) {
       setDepartmentRestrictedDays([]);
@@ -463,16 +504,20 @@ export default function Leaves({ initialTab, initialManagerSection }) {
     }
   }, [employeeId, departmentId, mode]);
 
+  useEffect(() => {
+    if (mode === 'my') loadTypeBalances();
+  }, [mode, loadTypeBalances]);
+
   // When report shows no paid leave remaining (and user has taken leaves this month), switch to Regular
   useEffect(() => {
     if (!report) return;
     const remaining = report.remaining_paid ?? null;
     const leavesTakenThisMonth = Number(report.leaves_taken_this_month) ?? 0;
     const noQuota = remaining !== null && remaining <= 0;
-    if (noQuota && leavesTakenThisMonth > 0 && form.leave_type === 'paid') {
+    if (noQuota && leavesTakenThisMonth > 0 && form.leave_type === 'paid' && !form.leave_type_id) {
       setForm((prev) => ({ ...prev, leave_type: 'other' }));
     }
-  }, [report?.remaining_paid, report?.leaves_taken_this_month, form.leave_type]);
+  }, [report?.remaining_paid, report?.leaves_taken_this_month, form.leave_type, form.leave_type_id]);
 
   const loadDateAvailability = async (startDate, endDate) => {
     if (!startDate) {
@@ -484,6 +529,7 @@ export default function Leaves({ initialTab, initialManagerSection }) {
       let url = `/api/leaves/date-availability?date=${encodeURIComponent(startDate)}`;
       if (end !== startDate) url += `&end_date=${encodeURIComponent(end)}`;
       if (employeeId) url += `&employee_id=${employeeId}`;
+      if (form.leave_type_id) url += `&leave_type_id=${form.leave_type_id}`;
       const res = await fetch(url);
       if (res.ok) {
         const data = await res.json();
@@ -560,7 +606,7 @@ export default function Leaves({ initialTab, initialManagerSection }) {
   useEffect(() => {
     if (form.start_date) loadDateAvailability(form.start_date, form.end_date);
     else setDateAvailability(null);
-  }, [form.start_date, form.end_date]);
+  }, [form.start_date, form.end_date, form.leave_type_id]);
 
   // Keep edit-dates modal in sync with availability (events / existing bookings); exclude current leave when editing
   useEffect(() => {
@@ -793,6 +839,11 @@ export default function Leaves({ initialTab, initialManagerSection }) {
         end_segment: form.end_segment,
         days_requested: daysRequested,
         leave_type: policyApplies ? 'other' : (form.leave_type || 'paid'), // Paid vs Regular only — rulebook & quota
+        leave_type_id: form.leave_type_id ? Number(form.leave_type_id) : null,
+        attachment_url: form.attachment_url || null,
+        handover: Object.entries(handoverCovers)
+          .filter(([, coverId]) => coverId)
+          .map(([taskId, coverId]) => ({ task_id: Number(taskId), cover_employee_id: coverId })),
       };
       if (policyApplies) {
         // Prefer structured reason from the Regular (unpaid) form; fall back to free-text reason.
@@ -854,10 +905,9 @@ export default function Leaves({ initialTab, initialManagerSection }) {
       }
 
       if (data.conflict && !data.success) {
-        const name = data.existing_employee_name || 'Someone else';
         showNotification(
-          'Department conflict',
-          `${name} from your department is already on leave for these dates. Please contact administration.`,
+          'Leave rule conflict',
+          `${data.message || 'These dates break a leave rule.'} Please choose other dates or contact administration.`,
           true
         );
         setLoading(false);
@@ -874,12 +924,17 @@ export default function Leaves({ initialTab, initialManagerSection }) {
       const wasEmergencyRequest = !!form.emergency_type && (dateAvailability?.bookedByCount > 0 || !dateAvailability?.available);
       if (wasEmergencyRequest) {
         setEmergencySubmitModal(true);
+      } else if (data.status === 'pending' && (data.rule_violations || []).length > 0) {
+        showNotification(
+          'Submitted for approval',
+          `Your leave needs approval because of: ${data.rule_violations.map((v) => v.message).join('; ')}.`
+        );
       } else if (data.status === 'pending') {
         showNotification('Submitted', 'Your leave has been submitted. Admin will acknowledge it.');
       } else {
         showNotification('Success', 'Leave application submitted successfully.');
       }
-      // Optimistic update: add auto-approved (paid available) leave so it shows immediately in Future
+      // Optimistic update: add auto-approved leave (date available, type needs no approval) so it shows immediately in Future
       if (data.status === 'approved' && data.id) {
         const newLeave = {
           id: data.id,
@@ -892,7 +947,7 @@ export default function Leaves({ initialTab, initialManagerSection }) {
           end_segment: data.end_segment || 'full_day',
           reason: data.reason || '',
           days_requested: payload.days_requested ?? 1,
-          is_paid: 1,
+          is_paid: data.is_paid ?? 1,
           is_uninformed: 0,
         };
         setMyLeaves((prev) => ({
@@ -908,11 +963,15 @@ export default function Leaves({ initialTab, initialManagerSection }) {
         reason: '',
         leave_type: 'paid',
         emergency_type: '',
+        leave_type_id: '',
+        attachment_url: '',
       });
       setPolicyForm({ policy_reason_detail: '', expected_return_date: '', policy_duration_explanation: '' });
       setDateAvailability(null);
+      setHandoverCovers({});
       await loadMyLeaves();
       await loadReport();
+      await loadTypeBalances();
       await loadPendingActions();
     } catch (err) {
       console.error('Error applying for leave', err);
@@ -925,15 +984,21 @@ export default function Leaves({ initialTab, initialManagerSection }) {
   const renderApplyForm = () => {
     const daysRequested = computeDaysRequested();
     const remaining = report?.remaining_paid ?? null;
+    const selectedType = leaveTypes.find((t) => String(t.id) === String(form.leave_type_id));
+    const selectedBalance = typeBalances.find((b) => String(b.leave_type_id) === String(form.leave_type_id));
+    const typeTracked = !!selectedBalance?.tracked;
     // Disable Paid when the requested range is more than the remaining paid quota for this month
+    // (leave categories with their own balance do not use the monthly quota)
     const paidDisabled =
+      !typeTracked &&
       report != null &&
       remaining != null &&
       daysRequested > remaining;
     const effectiveLeaveType = paidDisabled ? 'other' : form.leave_type;
     const showPolicyForm = effectiveLeaveType === 'other';
     const isEventBlocked = dateAvailability?.blocked;
-    const applyDisabled = isEventBlocked;
+    const ruleViolations = dateAvailability?.rule_violations || [];
+    const applyDisabled = isEventBlocked || ruleViolations.some((v) => v.severity === 'hard');
 
     return (
       <div className="bg-white border border-gray-200 rounded-lg shadow-sm p-6 space-y-6">
@@ -1031,6 +1096,54 @@ export default function Leaves({ initialTab, initialManagerSection }) {
               </p>
             )}
           </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Leave category</label>
+            <select
+              name="leave_type_id"
+              value={form.leave_type_id}
+              onChange={(e) => {
+                const type = leaveTypes.find((t) => String(t.id) === e.target.value);
+                setForm((prev) => ({
+                  ...prev,
+                  leave_type_id: e.target.value,
+                  leave_type: type ? (type.is_paid ? 'paid' : 'other') : prev.leave_type,
+                }));
+              }}
+              className="w-full border rounded px-3 py-2"
+            >
+              <option value="">Monthly paid quota</option>
+              {leaveTypes.map((t) => {
+                const balance = typeBalances.find((b) => b.leave_type_id === t.id);
+                const suffix = balance?.tracked ? ` (${balance.available} available)` : '';
+                return (
+                  <option key={t.id} value={t.id} disabled={balance && !balance.eligible}>
+                    {t.name}{suffix}{balance && !balance.eligible ? ' – after probation' : ''}
+                  </option>
+                );
+              })}
+            </select>
+            {selectedBalance?.tracked && (
+              <p className={`mt-1 text-xs ${daysRequested > selectedBalance.available - (selectedBalance.pending || 0) ? 'text-amber-700' : 'text-gray-500'}`}>
+                {selectedBalance.available} day(s) available
+                {selectedBalance.pending ? `, ${selectedBalance.pending} pending` : ''}
+                {selectedBalance.next_accrual_on ? `; +${selectedBalance.accrual_amount} on ${formatDate(selectedBalance.next_accrual_on)}` : ''}
+              </p>
+            )}
+          </div>
+          {selectedType?.requires_attachment ? (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Attachment link</label>
+              <input
+                type="url"
+                name="attachment_url"
+                value={form.attachment_url}
+                onChange={handleFormChange}
+                placeholder="https:// (e.g. medical certificate)"
+                className="w-full border rounded px-3 py-2"
+              />
+              <p className="mt-1 text-xs text-gray-500">{selectedType.name} requires supporting documents.</p>
+            </div>
+          ) : null}
         </div>
 
         {isEventBlocked && form.start_date && (
@@ -1039,6 +1152,28 @@ export default function Leaves({ initialTab, initialManagerSection }) {
           </div>
         )}
 
+        {ruleViolations.length > 0 && form.start_date && (
+          <div className="mt-4 space-y-2">
+            {ruleViolations.map((v) => (
+              <div
+                key={`${v.rule_id}-${v.rule_type}`}
+                className={`p-3 rounded border text-sm ${v.severity === 'hard' ? 'bg-red-50 border-red-200 text-red-800' : 'bg-amber-50 border-amber-200 text-amber-800'}`}
+              >
+                <span className="font-medium">{v.name}:</span> {v.message}
+                {v.severity === 'soft' && <span className="block text-xs mt-0.5">You can still apply; the request will need approval.</span>}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <LeaveHandoverPlan
+          startDate={form.start_date}
+          endDate={form.end_date}
+          employeeId={employeeId}
+          value={handoverCovers}
+          onChange={setHandoverCovers}
+        />
+
         {dateAvailability && !dateAvailability.available && !dateAvailability.blocked && form.start_date && form.leave_type === 'paid' && (
           <div className="mt-4 p-3 bg-amber-50 border border-amber-200 rounded">
             <p className="text-sm text-amber-800 mb-2">This date is already booked. Select an emergency reason below to request leave.</p>
@@ -1133,6 +1268,11 @@ export default function Leaves({ initialTab, initialManagerSection }) {
 
   const openLeaveDetails = (row) => {
     setSelectedLeaveForDetails(row);
+    // Task handover plan is loaded with the details
+    fetch(`/api/leaves/${row.id}/handovers`)
+      .then((res) => (res.ok ? res.json() : []))
+      .then((handovers) => setSelectedLeaveForDetails((prev) => (prev && prev.id === row.id ? { ...prev, handovers } : prev)))
+      .catch(() => {});
   };
 
   const filterByCommonCriteria = (rows, filters) => {
@@ -1362,6 +1502,9 @@ export default function Leaves({ initialTab, initialManagerSection }) {
         alert(data.error || 'Failed to update leave decision');
         return;
       }
+      if (data.status === 'pending' && data.next_step) {
+        alert(`Step approved. Now waiting for ${data.next_step.approver_name || 'an admin'} (${data.next_step.label}).`);
+      }
       await loadDepartmentLeaves();
       await loadMyLeaves();
       await loadReport();
@@ -1652,6 +1795,14 @@ export default function Leaves({ initialTab, initialManagerSection }) {
                     {row.status !== 'pending' && row.decision_by_name
                       ? ` (by ${row.decision_by_name})`
                       : ''}
+                    {row.status === 'pending' && (row.approval_steps || []).some((st) => st.status === 'pending') && (() => {
+                      const step = row.approval_steps.find((st) => st.status === 'pending');
+                      return (
+                        <span className="block text-xs text-gray-500">
+                          Step {step.step_order}/{row.approval_steps.filter((st) => !st.escalated_from_step_id).length}: {step.label} ({step.approver_name || 'admins'})
+                        </span>
+                      );
+                    })()}
                   </td>
                   {showActions && (
                     <td className="px-4 py-2 text-gray-800 space-x-2">
@@ -1731,6 +1882,14 @@ export default function Leaves({ initialTab, initialManagerSection }) {
     if (!selectedLeaveForDetails) return null;
     const L = selectedLeaveForDetails;
     const status = (L.status || 'pending').toLowerCase();
+    let ruleWarnings = L.rule_warnings || [];
+    if (typeof ruleWarnings === 'string') {
+      try {
+        ruleWarnings = JSON.parse(ruleWarnings);
+      } catch {
+        ruleWarnings = [];
+      }
+    }
     const statusBg =
       status === 'approved' ? 'bg-emerald-500/90' : status === 'rejected' ? 'bg-red-500/90' : 'bg-amber-500/90';
     return (
@@ -1843,6 +2002,32 @@ export default function Leaves({ initialTab, initialManagerSection }) {
                   </dd>
                 </div>
               )}
+              {Array.isArray(ruleWarnings) && ruleWarnings.length > 0 && (
+                <div className="sm:col-span-2">
+                  <dt className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-0.5">Rule warnings at application</dt>
+                  <dd className="text-amber-800">
+                    {ruleWarnings.map((v) => (
+                      <div key={`${v.rule_id}-${v.rule_type}`}>{v.name}: {v.message}</div>
+                    ))}
+                  </dd>
+                </div>
+              )}
+              {L.approval_steps && L.approval_steps.length > 0 && (
+                <div className="sm:col-span-2">
+                  <dt className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-1">Approval steps</dt>
+                  <dd>
+                    <LeaveApprovalSteps steps={L.approval_steps} />
+                  </dd>
+                </div>
+              )}
+              {L.handovers && L.handovers.length > 0 && (
+                <div className="sm:col-span-2">
+                  <dt className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-1">Task handover</dt>
+                  <dd>
+                    <LeaveHandoverList handovers={L.handovers} />
+                  </dd>
+                </div>
+              )}
               {status === 'pending' && L.requested_swap_with_leave_id && (
                 <div className="sm:col-span-2">
                   <dt className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-0.5">Swap</dt>
@@ -1960,6 +2145,29 @@ export default function Leaves({ initialTab, initialManagerSection }) {
           </p>
         </section>
 
+        {/* Leave categories with their own balance */}
+        {Array.isArray(policy?.leave_types) && policy.leave_types.length > 0 && (
+          <section>
+            <h3 className="text-base font-semibold text-gray-900 mb-2">Leave Categories</h3>
+            <ul className="list-disc list-inside space-y-1.5 ml-2 text-gray-700">
+              {policy.leave_types.map((t) => (
+                <li key={t.id}>
+                  <strong>{t.name}</strong>
+                  {t.is_paid ? ' (paid)' : ' (unpaid)'}
+                  {t.accrual_frequency !== 'none' ? ` — ${t.accrual_amount} day(s) ${ACCRUAL_LABELS[t.accrual_frequency] || t.accrual_frequency}` : ''}
+                  {t.max_days_per_year ? ` — up to ${t.max_days_per_year} day(s) a year` : ''}
+                  {t.max_balance != null ? `, balance capped at ${t.max_balance}` : ''}
+                  {t.carry_forward_cap > 0
+                    ? `; up to ${t.carry_forward_cap} day(s) carry forward${t.carry_forward_expiry_months ? ` and expire after ${t.carry_forward_expiry_months} month(s)` : ''}`
+                    : ''}
+                  {t.eligible_after_probation ? '; available after probation' : ''}
+                  {t.requires_attachment ? '; supporting document required' : ''}
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+
         {/* Uninformed Leave / Deductions */}
         <section className="pt-2 border-t border-gray-200">
           <h3 className="text-base font-semibold text-gray-900 mb-2">Uninformed Leave &amp; Deductions</h3>
@@ -1979,6 +2187,84 @@ export default function Leaves({ initialTab, initialManagerSection }) {
     return { stars, label: labels[stars] ?? (stars === -1 ? 'Negative' : `${stars} star(s)`) };
   };
 
+  // Month statement from the leave ledger: each entry with the running available balance
+  const renderLedgerStatement = (statement) => {
+    if (!statement || !Array.isArray(statement.entries)) return null;
+    return (
+      <div className="border rounded-lg p-4 bg-white shadow-sm mt-4">
+        <div className="text-xs font-semibold uppercase tracking-wide text-indigo-600 mb-2">
+          Paid leave statement ({String(statement.month).padStart(2, '0')}/{statement.year})
+        </div>
+        {statement.entries.length === 0 ? (
+          <div className="text-xs text-gray-500 py-1">No entries for this month yet.</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-left">
+              <thead>
+                <tr className="text-gray-500 border-b border-gray-200">
+                  <th className="pr-2 py-1.5 font-medium">When</th>
+                  <th className="pr-2 py-1.5 font-medium">Entry</th>
+                  <th className="pr-2 py-1.5 font-medium">Reason</th>
+                  <th className="pr-2 py-1.5 font-medium">By</th>
+                  <th className="pr-2 py-1.5 font-medium text-right">Days</th>
+                  <th className="py-1.5 font-medium text-right">Balance</th>
+                </tr>
+              </thead>
+              <tbody>
+                {statement.entries.map((entry) => (
+                  <tr key={entry.id} className="border-b border-gray-100">
+                    <td className="pr-2 py-1.5 text-gray-600 whitespace-nowrap">{formatDateTime(entry.created_at)}</td>
+                    <td className="pr-2 py-1.5 text-gray-800">
+                      {LEDGER_LABELS[entry.entry_type] || entry.entry_type}
+                      {entry.entry_type === 'reversal' && entry.category !== 'reversal' && (
+                        <span className="text-gray-500"> of {(LEDGER_LABELS[entry.category] || entry.category).toLowerCase()}</span>
+                      )}
+                    </td>
+                    <td className="pr-2 py-1.5 text-gray-700">{entry.reason || '—'}</td>
+                    <td className="pr-2 py-1.5 text-gray-600">{entry.actor_name || 'System'}</td>
+                    <td className={`pr-2 py-1.5 text-right font-medium ${entry.days < 0 ? 'text-red-600' : 'text-green-700'}`}>
+                      {entry.days > 0 ? '+' : ''}{entry.days}
+                    </td>
+                    <td className="py-1.5 text-right font-semibold text-gray-900">{entry.balance}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const submitAdjustment = async (e) => {
+    e.preventDefault();
+    if (!selectedEmployeeReport) return;
+    try {
+      const res = await fetch('/api/leaves/ledger/adjustments', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          employee_id: selectedEmployeeReport.employee_id,
+          year: selectedEmployeeReport.year,
+          month: selectedEmployeeReport.month,
+          days: Number(adjustmentForm.days),
+          reason: adjustmentForm.reason,
+        }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        alert(data.error || 'Failed to post adjustment');
+        return;
+      }
+      setAdjustmentForm({ days: '', reason: '' });
+      await loadEmployeeReport(selectedEmployeeReport.employee_id);
+      if (Number(selectedEmployeeReport.employee_id) === Number(employeeId)) await loadReport();
+    } catch (err) {
+      console.error('Error posting leave adjustment', err);
+      alert('Error posting leave adjustment');
+    }
+  };
+
   const renderReport = () => {
     if (!report) {
       return (
@@ -2100,6 +2386,59 @@ export default function Leaves({ initialTab, initialManagerSection }) {
           </div>
         </div>
 
+        {/* Balances per leave category (accrual, carry-forward and expiry) */}
+        {typeBalances.some((b) => b.tracked) && (
+          <div className="border rounded-lg p-4 bg-white shadow-sm mt-4">
+            <div className="text-xs font-semibold uppercase tracking-wide text-indigo-600 mb-2">
+              Balances by leave type ({new Date().getFullYear()})
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-left">
+                <thead>
+                  <tr className="text-gray-500 border-b border-gray-200">
+                    <th className="pr-2 py-1.5 font-medium">Type</th>
+                    <th className="pr-2 py-1.5 font-medium text-right">Carried</th>
+                    <th className="pr-2 py-1.5 font-medium text-right">Accrued</th>
+                    <th className="pr-2 py-1.5 font-medium text-right">Used</th>
+                    <th className="pr-2 py-1.5 font-medium text-right">Pending</th>
+                    <th className="pr-2 py-1.5 font-medium text-right">Expired</th>
+                    <th className="pr-2 py-1.5 font-medium text-right">Available</th>
+                    <th className="pr-2 py-1.5 font-medium text-right">Year end</th>
+                    <th className="py-1.5 font-medium">Next accrual</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {typeBalances.filter((b) => b.tracked).map((b) => (
+                    <tr key={b.leave_type_id} className="border-b border-gray-100">
+                      <td className="pr-2 py-1.5">
+                        {b.name}
+                        {!b.eligible && b.eligible_from && (
+                          <span className="ml-1 text-xs text-amber-700">(from {formatDate(b.eligible_from)})</span>
+                        )}
+                      </td>
+                      <td className="pr-2 py-1.5 text-right">
+                        {b.carried_forward}
+                        {b.carry_expires_on && b.carried_forward > 0 && (
+                          <span className="block text-[11px] text-gray-500">expires {formatDate(b.carry_expires_on)}</span>
+                        )}
+                      </td>
+                      <td className="pr-2 py-1.5 text-right">{b.accrued}</td>
+                      <td className="pr-2 py-1.5 text-right">{b.used}</td>
+                      <td className="pr-2 py-1.5 text-right">{b.pending}</td>
+                      <td className="pr-2 py-1.5 text-right">{b.expired}</td>
+                      <td className="pr-2 py-1.5 text-right font-semibold">{b.available}</td>
+                      <td className="pr-2 py-1.5 text-right text-gray-600">{b.projected_year_end ?? '—'}</td>
+                      <td className="py-1.5 text-gray-600">
+                        {b.next_accrual_on ? `+${b.accrual_amount} on ${formatDate(b.next_accrual_on)}` : '—'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
         {/* Paid quota deductions: which leaves used the paid quota this month (not absentees, not cancelled) */}
         <div className="border rounded-lg p-4 bg-white shadow-sm mt-4">
           <div className="text-xs font-semibold uppercase tracking-wide text-indigo-600 mb-2">
@@ -2137,6 +2476,8 @@ export default function Leaves({ initialTab, initialManagerSection }) {
           )}
         </div>
 
+        {renderLedgerStatement(report.statement)}
+
         <div>
           <div className="flex items-center justify-between mb-2">
             <h3 className="text-sm font-semibold text-gray-900">Absentee details</h3>
@@ -2935,6 +3276,16 @@ export default function Leaves({ initialTab, initialManagerSection }) {
         return renderPolicy();
       case TABS.REPORT:
         return renderReport();
+      case TABS.APPROVALS:
+        return (
+          <LeaveApprovalsInbox
+            user={user}
+            onDecided={() => {
+              loadMyLeaves();
+              if (isManagerOrAdmin) loadDepartmentLeaves();
+            }}
+          />
+        );
       default:
         return null;
     }
@@ -3013,6 +3364,12 @@ export default function Leaves({ initialTab, initialManagerSection }) {
             {renderDepartmentTable(allFutureLeaves, false, { hideFilters: true })}
           </div>
         );
+      case TABS.LEAVE_TYPES:
+        return <LeaveTypesAdmin onChange={loadLeaveTypes} />;
+      case TABS.APPROVAL_CHAINS:
+        return <LeaveApprovalChainsAdmin />;
+      case TABS.CONFLICT_RULES:
+        return <LeaveRulesAdmin />;
       case TABS.ALL_PAST: {
         const approvedPast = (allPastLeaves || []).filter(
           (row) => (row.status || '').toLowerCase() !== 'rejected'
@@ -3351,6 +3708,36 @@ export default function Leaves({ initialTab, initialManagerSection }) {
                     </span>
                   </div>
                 </div>
+                {renderLedgerStatement(selectedEmployeeReport.statement)}
+                {isAdmin && (
+                  <form onSubmit={submitAdjustment} className="flex flex-wrap items-end gap-2 text-xs text-gray-700">
+                    <div>
+                      <label className="block mb-1 font-medium">Adjust days</label>
+                      <input
+                        type="number"
+                        step="0.5"
+                        value={adjustmentForm.days}
+                        onChange={(e) => setAdjustmentForm((f) => ({ ...f, days: e.target.value }))}
+                        className="border rounded px-2 py-1 w-20"
+                        placeholder="+1 / -1"
+                        required
+                      />
+                    </div>
+                    <div className="flex-1 min-w-[12rem]">
+                      <label className="block mb-1 font-medium">Reason</label>
+                      <input
+                        type="text"
+                        value={adjustmentForm.reason}
+                        onChange={(e) => setAdjustmentForm((f) => ({ ...f, reason: e.target.value }))}
+                        className="border rounded px-2 py-1 w-full"
+                        required
+                      />
+                    </div>
+                    <button type="submit" className="px-3 py-1.5 bg-indigo-600 text-white rounded hover:bg-indigo-700">
+                      Post adjustment
+                    </button>
+                  </form>
+                )}
                 <div>
                   <div className="flex items-center justify-between mb-2">
                     <h3 className="text-sm font-semibold text-gray-900">
@@ -3652,7 +4039,7 @@ export default function Leaves({ initialTab, initialManagerSection }) {
               ...(isAdmin ? [TABS.ALL_FUTURE, TABS.ALL_PAST] : []),
               ...(isAdmin ? [TABS.REJECTED] : []),
               TABS.ACKNOWLEDGE,
-              ...(isAdmin ? [TABS.ACK_HISTORY] : []),
+              ...(isAdmin ? [TABS.ACK_HISTORY, TABS.LEAVE_TYPES, TABS.APPROVAL_CHAINS, TABS.CONFLICT_RULES] : []),
             ].map((tabId) => {
               const label =
                 tabId === TABS.ALL_FUTURE
@@ -3663,6 +4050,12 @@ export default function Leaves({ initialTab, initialManagerSection }) {
                   ? 'Rejected'
                   : tabId === TABS.ACKNOWLEDGE
                   ? 'Acknowledge'
+                  : tabId === TABS.LEAVE_TYPES
+                  ? 'Leave types'
+                  : tabId === TABS.APPROVAL_CHAINS
+                  ? 'Approval chains'
+                  : tabId === TABS.CONFLICT_RULES
+                  ? 'Conflict rules'
                   : 'Acknowledge history';
               return (
                 <button
@@ -4127,6 +4520,7 @@ export default function Leaves({ initialTab, initialManagerSection }) {
               { id: TABS.PAST, label: 'Past leaves' },
               { id: TABS.PENDING, label: 'Pending leaves' },
               { id: TABS.SWAP_REQUESTS, label: 'Swap requests' },
+              { id: TABS.APPROVALS, label: 'Approvals' },
               { id: TABS.REJECTED, label: 'Rejected leaves' },
               { id: TABS.MY_ACK, label: 'Acknowledged' },
               { id: TABS.POLICY, label: 'Leave Policy' },
@@ -1,11 +1,13 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import { ChevronLeft, ChevronRight, Lock, Unlock, RefreshCw, Filter } from 'lucide-react';
+import { describeApprovalSteps } from './LeaveApprovalSteps';
 
 const CELL_COLORS = {
   holiday: 'bg-sky-200',
   important: 'bg-amber-500',   // base color for Important (no leave)
   rejected: 'bg-red-500',      // red for rejected leaves
+  pending: 'bg-orange-200',    // pending, moving through an approval chain
   awol: 'bg-purple-400',
   full_day: 'bg-green-300',
   first_half: 'bg-yellow-300',
@@ -37,6 +39,7 @@ function getCellStyle(leave, dateStr) {
   const end = leave.end_date && typeof leave.end_date === 'string' ? leave.end_date.slice(0, 10) : leave.end_date;
   if (start > d || end < d) return '';
   if (leave.status === 'rejected') return CELL_COLORS.rejected;
+  if (leave.status === 'pending') return CELL_COLORS.pending;
   if (leave.is_uninformed) return CELL_COLORS.awol;
   const startSeg = leave.start_segment || 'full_day';
   const endSeg = leave.end_segment || 'full_day';
@@ -49,6 +52,10 @@ function getCellStyle(leave, dateStr) {
 function getLeaveSegmentLabel(leave) {
   if (!leave) return '';
   if (leave.status === 'rejected') return 'Rejected';
+  if (leave.status === 'pending') {
+    const step = (leave.approval_steps || []).find((s) => s.status === 'pending');
+    return step ? `Step ${step.step_order}` : 'Pending';
+  }
   if (leave.is_uninformed) return 'Absent';
   const startSeg = leave.start_segment || 'full_day';
   const endSeg = leave.end_segment || 'full_day';
@@ -224,10 +231,17 @@ export default function LeavesCalendar() {
       (blockedDates || []).filter((b) => b.type === 'holiday').map((b) => toDateStr(b.date)).filter(Boolean)
     )
   );
+  // Events are scoped to a department or to designations; neither means everyone
+  const entryAppliesToEmployee = (b, emp) => {
+    if (b.department_id != null) return Number(b.department_id) === Number(emp.department_id);
+    if (Array.isArray(b.designations) && b.designations.length > 0) {
+      const designation = String(emp.designation || '').trim().toLowerCase();
+      return b.designations.some((d) => String(d).trim().toLowerCase() === designation);
+    }
+    return true;
+  };
   const isDateImportantForEmployee = (dateStr, emp) =>
-    allImportantEntries.some(
-      (b) => toDateStr(b.date) === dateStr && (b.department_id == null || Number(b.department_id) === Number(emp.department_id))
-    );
+    allImportantEntries.some((b) => toDateStr(b.date) === dateStr && entryAppliesToEmployee(b, emp));
 
   const getImportantLabelsForDate = (dateStr) => {
     const labels = allImportantEntries
@@ -242,7 +256,7 @@ export default function LeavesCalendar() {
       .filter(
         (b) =>
           toDateStr(b.date) === dateStr &&
-          (b.department_id == null || Number(b.department_id) === Number(emp.department_id)) &&
+          entryAppliesToEmployee(b, emp) &&
           b.label
       )
       .map((b) => String(b.label).trim())
@@ -685,6 +699,10 @@ export default function LeavesCalendar() {
             <span className={`w-6 h-6 rounded ${CELL_COLORS.rejected}`} />
             <span className="text-sm text-gray-700">Rejected</span>
           </div>
+          <div className="flex items-center gap-2">
+            <span className={`w-6 h-6 rounded ${CELL_COLORS.pending}`} />
+            <span className="text-sm text-gray-700">Pending approval</span>
+          </div>
           <div className="flex items-center gap-2">
             <span className={`w-6 h-6 rounded ${CELL_COLORS.awol}`} />
             <span className="text-sm text-gray-700">AWOL / Absent</span>
@@ -961,6 +979,7 @@ export default function LeavesCalendar() {
                       tooltipParts.push(leave.status || 'Leave');
                       tooltipParts.push(getLeaveSegmentLabel(leave));
                       if (leave.reason) tooltipParts.push(leave.reason);
+                      tooltipParts.push(describeApprovalSteps(leave.approval_steps));
                     } else if (importantForEmp) {
                       tooltipParts.push('Important (no leave)');
                       if (importantLabelsForEmp.length) tooltipParts.push(importantLabelsForEmp.join(', '));
@@ -25,6 +25,13 @@ import MultiSelect from '../ui/MultiSelect';
 
 const NoticeBoard = () => {
   const { user } = useAuth();
+  // Managers and notices_manage holders publish notices (routes/notices.js)
+  const canManage = !!user && (
+    (user.role || '').toLowerCase() === 'admin' ||
+    user.permissions?.includes('all') ||
+    user.permissions?.includes('notices_manage') ||
+    (user.designation || '').toLowerCase().includes('manager')
+  );
   const [notices, setNotices] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
@@ -47,7 +54,7 @@ const NoticeBoard = () => {
   const fetchNotices = async () => {
     try {
       setLoading(true);
-      const response = await fetch(`/api/notices?user_id=${user.id}&user_role=${user.role || user.user_role || 'employee'}`);
+      const response = await fetch('/api/notices');
       if (response.ok) {
         const data = await response.json();
         setNotices(data);
@@ -140,11 +147,7 @@ const NoticeBoard = () => {
   const handleMarkAsRead = async (noticeId) => {
     try {
       const response = await fetch(`/api/notices/${noticeId}/mark-read`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ userId: user.id })
+        method: 'POST'
       });
       if (response.ok) {
         fetchNotices(); // Refresh to get updated read status
@@ -170,13 +173,15 @@ const NoticeBoard = () => {
           <h1 className="text-2xl font-bold text-gray-900">Notice Board</h1>
           <p className="text-gray-600">Manage and view company notices</p>
         </div>
-        <Button
-          onClick={() => setShowAddModal(true)}
-          className="flex items-center space-x-2"
-        >
-          <Plus className="w-4 h-4" />
-          <span>Add Notice</span>
-        </Button>
+        {canManage && (
+          <Button
+            onClick={() => setShowAddModal(true)}
+            className="flex items-center space-x-2"
+          >
+            <Plus className="w-4 h-4" />
+            <span>Add Notice</span>
+          </Button>
+        )}
       </div>
 
       {/* Filters */}
@@ -299,7 +304,7 @@ const NoticeBoard = () => {
                     >
                       <Eye className="w-4 h-4" />
                     </Button>
-                    {user.role === 'admin' && (
+                    {canManage && (
                       <>
                         <Button
                           variant="secondary"
@@ -0,0 +1,179 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const OrganisationSettings = ({ canEdit }) => {
+  const [timezone, setTimezone] = useState('');
+  const [weekendDays, setWeekendDays] = useState([]);
+  const [shiftHours, setShiftHours] = useState('');
+  const [timezones, setTimezones] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const applySettings = useCallback((data) => {
+    setTimezone(data.timezone?.value || '');
+    setWeekendDays(Array.isArray(data.weekend_days?.value) ? data.weekend_days.value : []);
+    setShiftHours(data.default_shift_hours?.value ?? '');
+  }, []);
+
+  const fetchSettings = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await fetch('/api/org-settings');
+      if (!response.ok) {
+        throw new Error('Failed to fetch settings');
+      }
+      applySettings(await response.json());
+    } catch (err) {
+      setError('Failed to fetch settings: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [applySettings]);
+
+  const fetchTimezones = useCallback(async () => {
+    try {
+      const response = await fetch('/api/org-settings/timezones');
+      if (response.ok) {
+        const data = await response.json();
+        setTimezones(Array.isArray(data) ? data : []);
+      }
+    } catch (err) {
+      console.error('Error fetching timezones:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSettings();
+    fetchTimezones();
+  }, [fetchSettings, fetchTimezones]);
+
+  const toggleWeekendDay = (day) => {
+    setWeekendDays(prev => (prev.includes(day) ? prev.filter(d => d !== day) : [...prev, day].sort((a, b) => a - b)));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError('');
+      setSuccess('');
+      const response = await fetch('/api/org-settings', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          timezone,
+          weekend_days: weekendDays,
+          default_shift_hours: shiftHours
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save settings');
+      }
+      applySettings(data.settings || {});
+      setSuccess('Organisation settings saved successfully!');
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="text-sm text-gray-500">Loading organisation settings...</div>;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 space-y-6 max-w-2xl">
+      {error && (
+        <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded text-sm">{error}</div>
+      )}
+      {success && (
+        <div className="p-3 bg-green-100 border border-green-400 text-green-700 rounded text-sm">{success}</div>
+      )}
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Timezone</label>
+        {timezones.length > 0 ? (
+          <select
+            value={timezone}
+            onChange={(e) => setTimezone(e.target.value)}
+            disabled={!canEdit}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+          >
+            {!timezones.includes(timezone) && <option value={timezone}>{timezone}</option>}
+            {timezones.map(tz => (
+              <option key={tz} value={tz}>{tz}</option>
+            ))}
+          </select>
+        ) : (
+          <input
+            type="text"
+            value={timezone}
+            onChange={(e) => setTimezone(e.target.value)}
+            disabled={!canEdit}
+            placeholder="e.g. Asia/Karachi"
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+          />
+        )}
+        <p className="text-xs text-gray-500 mt-1">Work dates, attendance times, reports, scheduled jobs and TeamLogger ranges use this timezone</p>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Weekend Days</label>
+        <div className="flex flex-wrap gap-3">
+          {WEEKDAYS.map((name, day) => (
+            <label key={day} className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={weekendDays.includes(day)}
+                onChange={() => toggleWeekendDay(day)}
+                disabled={!canEdit}
+                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              {name}
+            </label>
+          ))}
+        </div>
+        <p className="text-xs text-gray-500 mt-1">
+          Every other day is a working day ({7 - weekendDays.length} per week) for attendance, leaves, reports and health scores. Holidays are managed on the Holiday page.
+        </p>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Default Shift Hours</label>
+        <input
+          type="number"
+          min="0.5"
+          max="24"
+          step="0.5"
+          value={shiftHours}
+          onChange={(e) => setShiftHours(e.target.value)}
+          disabled={!canEdit}
+          className="w-32 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+        />
+        <p className="text-xs text-gray-500 mt-1">Length of a working day for employees without a rostered shift</p>
+      </div>
+
+      {canEdit && (
+        <div className="flex justify-end">
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save Settings'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OrganisationSettings;
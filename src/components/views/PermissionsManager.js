@@ -678,6 +678,13 @@ const PermissionsManager = () => {
                                     <div>
                                       <div className="font-medium text-gray-900">{permission.name}</div>
                                       <div className="text-sm text-gray-600">{permission.description}</div>
+                                      {permission.endpoints && permission.endpoints.length > 0 && (
+                                        <div className="mt-1 text-xs text-gray-500 font-mono">
+                                          {permission.endpoints.map((ep) => (
+                                            <div key={`${ep.method} ${ep.path}`}>{ep.method} {ep.path}</div>
+                                          ))}
+                                        </div>
+                                      )}
                                     </div>
                                     <label className="flex items-center gap-2 cursor-pointer">
                                       <input
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { 
   BarChart2, 
   Clock, 
@@ -16,6 +16,7 @@ import Button from '../ui/Button';
 import Input from '../ui/Input';
 import Modal from '../ui/Modal';
 import { useAuth } from '../../contexts/AuthContext';
+import * as XLSX from 'xlsx';
 
 const Reports = () => {
   const { user } = useAuth();
@@ -195,7 +196,7 @@ const Reports = () => {
     // Fetch aggregated completions from server
     const params = new URLSearchParams({ startDate, endDate });
     if (department) params.append('department', department);
-    if (employee) params.append('employee', employee);
+    if (employee) params.append('employee_id', employee);
 
     // Note: This is synchronous within render; in production, move to useEffect + state
     // For now, compute from cached fetch below
@@ -212,7 +213,7 @@ const Reports = () => {
         if (!startDate || !endDate) { setDwmAggregates([]); return; }
         const params = new URLSearchParams({ startDate, endDate });
         if (department) params.append('department', department);
-        if (employee) params.append('employee', employee);
+        if (employee) params.append('employee_id', employee);
         const res = await fetch(`/api/reports/dwm?${params.toString()}`);
         if (res.ok) {
           const data = await res.json();
@@ -258,7 +259,8 @@ const Reports = () => {
     { id: 'task', label: 'Task Report', icon: BarChart2 },
     { id: 'timelog', label: 'Time Log Report', icon: Clock },
     { id: 'consolidated_timelog', label: 'Consolidated Time Log Report', icon: Clock },
-    { id: 'dwm', label: 'DWM Report', icon: Calendar }
+    { id: 'dwm', label: 'DWM Report', icon: Calendar },
+    { id: 'reconciliation', label: 'Reconciliation', icon: AlertTriangle }
   ];
   const tabs = isManagerOnlyView
     ? [{ id: 'consolidated_timelog', label: 'Consolidated Time Log Report', icon: Clock }]
@@ -340,6 +342,10 @@ const Reports = () => {
           <ConsolidatedTimeLogReport />
         )}
 
+        {activeTab === 'reconciliation' && (
+          <ReconciliationReport />
+        )}
+
         {activeTab === 'dwm' && (
           <DWMReport 
             stats={dwmStats}
@@ -673,7 +679,7 @@ const TimeLogReport = () => {
   const fetchReport = async () => {
     if (!filters.startDate || !filters.endDate) return;
     const params = new URLSearchParams({ start: filters.startDate, end: filters.endDate });
-    if (filters.employee) params.append('employee', filters.employee);
+    if (filters.employee) params.append('employee_id', filters.employee);
     if (filters.department) params.append('department', filters.department);
     const res = await fetch(`/api/reports/timelog?${params.toString()}`);
     const data = res.ok ? await res.json() : { items: [], totalSeconds: 0 };
@@ -716,7 +722,7 @@ const TimeLogReport = () => {
             <label className="block text-sm font-medium text-gray-700 mb-2">Employee</label>
             <select value={filters.employee} onChange={(e)=>setFilters(f=>({...f, employee: e.target.value}))} className="w-full border rounded px-3 py-2">
               <option value="">All</option>
-              {(employees || []).map(emp => <option key={emp.id} value={emp.name}>{emp.name}</option>)}
+              {(employees || []).map(emp => <option key={emp.id} value={emp.id}>{emp.name}</option>)}
             </select>
           </div>
           <div>
@@ -826,7 +832,7 @@ const ConsolidatedTimeLogReport = () => {
   const fetchReport = async () => {
     if (!filters.startDate || !filters.endDate) return;
     const params = new URLSearchParams({ start: filters.startDate, end: filters.endDate });
-    if (filters.employee) params.append('employee', filters.employee);
+    if (filters.employee) params.append('employee_id', filters.employee);
     if (filters.department) params.append('department', filters.department);
     const res = await fetch(`/api/reports/timelog/consolidated?${params.toString()}`);
     const data = res.ok ? await res.json() : { items: [], totalSeconds: 0 };
@@ -857,7 +863,7 @@ const ConsolidatedTimeLogReport = () => {
             <label className="block text-sm font-medium text-gray-700 mb-2">Employee</label>
             <select value={filters.employee} onChange={(e)=>setFilters(f=>({...f, employee: e.target.value}))} className="w-full border rounded px-3 py-2">
               <option value="">All</option>
-              {(employees || []).map(emp => <option key={emp.id} value={emp.name}>{emp.name}</option>)}
+              {(employees || []).map(emp => <option key={emp.id} value={emp.id}>{emp.name}</option>)}
             </select>
           </div>
           <div>
@@ -904,6 +910,235 @@ const ConsolidatedTimeLogReport = () => {
   );
 };
 
+// Reconciliation Report Component
+const RECONCILIATION_FLAGS = {
+  task_exceeds_clocked: { label: 'Task time > clocked', className: 'bg-red-100 text-red-800' },
+  clocked_without_tasks: { label: 'Clocked, no tasks', className: 'bg-yellow-100 text-yellow-800' },
+  activity_while_clocked_out: { label: 'Active while clocked out', className: 'bg-orange-100 text-orange-800' },
+  overlapping_timesheets: { label: 'Overlapping timesheets', className: 'bg-purple-100 text-purple-800' }
+};
+
+const ReconciliationReport = () => {
+  const [departments, setDepartments] = useState([]);
+  const [filters, setFilters] = useState({ startDate: '', endDate: '', department: '', flag: '' });
+  const [report, setReport] = useState({ items: [], summary: {}, tolerance_minutes: 0 });
+  const [expanded, setExpanded] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const init = async () => {
+      const deptRes = await fetch('/api/departments');
+      if (deptRes.ok) {
+        const deptData = await deptRes.json();
+        setDepartments(Array.isArray(deptData.data) ? deptData.data : (Array.isArray(deptData) ? deptData : []));
+      }
+    };
+    init();
+    // default last 7 days
+    const end = new Date();
+    const start = new Date();
+    start.setDate(end.getDate() - 6);
+    const toISO = (d) => new Date(d.getTime() - d.getTimezoneOffset()*60000).toISOString().slice(0,10);
+    setFilters(f => ({ ...f, startDate: toISO(start), endDate: toISO(end) }));
+  }, []);
+
+  const formatHMS = (s) => {
+    const seconds = Math.round(Number(s) || 0);
+    const h = Math.floor(seconds / 3600), m = Math.floor((seconds%3600)/60), sec = seconds%60;
+    return `${h}:${String(m).padStart(2,'0')}:${String(sec).padStart(2,'0')}`;
+  };
+  const formatTime = (value) => (value ? String(value).slice(11, 16) : '-');
+
+  const fetchReport = useCallback(async () => {
+    if (!filters.startDate || !filters.endDate) return;
+    try {
+      setLoading(true);
+      setError(null);
+      const params = new URLSearchParams({ from: filters.startDate, to: filters.endDate });
+      if (filters.department) params.append('department', filters.department);
+      const res = await fetch(`/api/reports/reconciliation?${params.toString()}`);
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Failed to load reconciliation report');
+      setReport(data);
+      setExpanded(null);
+    } catch (e) {
+      setError(e.message);
+      setReport({ items: [], summary: {}, tolerance_minutes: 0 });
+    } finally {
+      setLoading(false);
+    }
+  }, [filters.startDate, filters.endDate, filters.department]);
+
+  useEffect(() => { fetchReport(); }, [fetchReport]);
+
+  const rows = (report.items || []).filter(r => !filters.flag || r.flags.includes(filters.flag));
+
+  const exportXlsx = () => {
+    const dayRows = rows.map(r => ({
+      Date: r.date,
+      Employee: r.employee_name,
+      Department: r.department || '',
+      'Clock in': r.clock_in || '',
+      'Clock out': r.clock_out || '',
+      'Clocked (h)': Number((r.clocked_seconds / 3600).toFixed(2)),
+      'Task time (h)': Number((r.task_seconds / 3600).toFixed(2)),
+      'TeamLogger (h)': Number(Number(r.teamlogger_hours).toFixed(2)),
+      'TeamLogger idle (h)': Number(Number(r.teamlogger_idle_hours).toFixed(2)),
+      'First activity': r.first_activity_at || '',
+      'Last activity': r.last_activity_at || '',
+      'Overlapping entries': r.overlapping_entries,
+      Flags: r.flags.map(f => RECONCILIATION_FLAGS[f]?.label || f).join(', ')
+    }));
+    const entryRows = rows.flatMap(r => r.entries.map(e => ({
+      Date: r.date,
+      Employee: r.employee_name,
+      Task: e.task_title || `Task #${e.task_id}`,
+      Start: e.start_time || '',
+      End: e.end_time || '',
+      'Time (h)': Number((e.seconds / 3600).toFixed(2)),
+      Overlaps: e.overlaps ? 'Yes' : ''
+    })));
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(dayRows), 'Reconciliation');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(entryRows), 'Timesheet entries');
+    XLSX.writeFile(workbook, `reconciliation_${filters.startDate}_${filters.endDate}.xlsx`);
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Filters */}
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Hours Reconciliation</h3>
+          <Button variant="outline" className="flex items-center space-x-2" onClick={exportXlsx} disabled={rows.length === 0}>
+            <Download className="w-4 h-4" />
+            <span>Export XLSX</span>
+          </Button>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Start Date</label>
+            <input type="date" value={filters.startDate} onChange={(e)=>setFilters(f=>({...f, startDate: e.target.value}))} className="w-full border rounded px-3 py-2" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">End Date</label>
+            <input type="date" value={filters.endDate} onChange={(e)=>setFilters(f=>({...f, endDate: e.target.value}))} className="w-full border rounded px-3 py-2" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Department</label>
+            <select value={filters.department} onChange={(e)=>setFilters(f=>({...f, department: e.target.value}))} className="w-full border rounded px-3 py-2">
+              <option value="">All</option>
+              {(departments || []).map(d => <option key={d.id} value={d.name}>{d.name}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Flag</label>
+            <select value={filters.flag} onChange={(e)=>setFilters(f=>({...f, flag: e.target.value}))} className="w-full border rounded px-3 py-2">
+              <option value="">All days</option>
+              {Object.entries(RECONCILIATION_FLAGS).map(([key, flag]) => (
+                <option key={key} value={key}>{flag.label} ({report.summary?.[key] || 0})</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <p className="mt-3 text-xs text-gray-500">
+          Differences under {report.tolerance_minutes || 0} minutes are ignored. Click a row for its timesheet entries.
+        </p>
+        {error && <div className="mt-3 p-3 rounded bg-red-50 text-red-700 text-sm">{error}</div>}
+      </div>
+
+      {/* Table */}
+      <div className="bg-white rounded-lg shadow overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50 text-gray-700 uppercase text-xs">
+            <tr>
+              <th className="px-4 py-3 text-left">Date</th>
+              <th className="px-4 py-3 text-left">Employee</th>
+              <th className="px-4 py-3 text-left">Clock in / out</th>
+              <th className="px-4 py-3 text-right">Clocked</th>
+              <th className="px-4 py-3 text-right">Task Time</th>
+              <th className="px-4 py-3 text-right">TeamLogger</th>
+              <th className="px-4 py-3 text-left">Flags</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => {
+              const key = `${r.employee_id}|${r.date}`;
+              const isOpen = expanded === key;
+              return (
+                <React.Fragment key={key}>
+                  <tr className="border-b cursor-pointer hover:bg-gray-50" onClick={() => setExpanded(isOpen ? null : key)}>
+                    <td className="px-4 py-3 whitespace-nowrap">{r.date}</td>
+                    <td className="px-4 py-3">
+                      <div>{r.employee_name}</div>
+                      <div className="text-xs text-gray-500">{r.department || '-'}</div>
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap font-mono text-gray-600">
+                      {formatTime(r.clock_in)} – {formatTime(r.clock_out)}
+                      {r.session_count > 1 && <span className="ml-1 text-xs text-gray-400">({r.session_count} sessions)</span>}
+                    </td>
+                    <td className="px-4 py-3 text-right font-mono">{formatHMS(r.clocked_seconds)}</td>
+                    <td className="px-4 py-3 text-right font-mono text-indigo-700">{formatHMS(r.task_seconds)}</td>
+                    <td className="px-4 py-3 text-right font-mono" title={`Idle ${formatHMS(r.teamlogger_idle_hours * 3600)}`}>
+                      {formatHMS(r.teamlogger_hours * 3600)}
+                    </td>
+                    <td className="px-4 py-3">
+                      <div className="flex flex-wrap gap-1">
+                        {r.flags.map(f => (
+                          <span key={f} className={`px-2 py-0.5 rounded-full text-xs font-medium ${RECONCILIATION_FLAGS[f]?.className || 'bg-gray-100 text-gray-800'}`}>
+                            {RECONCILIATION_FLAGS[f]?.label || f}
+                          </span>
+                        ))}
+                      </div>
+                    </td>
+                  </tr>
+                  {isOpen && (
+                    <tr className="border-b bg-gray-50">
+                      <td colSpan="7" className="px-6 py-4">
+                        <div className="text-xs text-gray-600 mb-2">
+                          TeamLogger activity {formatTime(r.first_activity_at)} – {formatTime(r.last_activity_at)}
+                        </div>
+                        {r.entries.length === 0 ? (
+                          <div className="text-sm text-gray-500">No timesheet entries for this day.</div>
+                        ) : (
+                          <table className="min-w-full text-xs">
+                            <thead className="text-gray-500 uppercase">
+                              <tr>
+                                <th className="px-3 py-1 text-left">Task</th>
+                                <th className="px-3 py-1 text-left">Start</th>
+                                <th className="px-3 py-1 text-left">End</th>
+                                <th className="px-3 py-1 text-right">Time</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {r.entries.map(e => (
+                                <tr key={e.id} className={e.overlaps ? 'text-purple-800 bg-purple-50' : ''}>
+                                  <td className="px-3 py-1">{e.task_title || `Task #${e.task_id}`}{e.overlaps && ' (overlaps)'}</td>
+                                  <td className="px-3 py-1 font-mono">{formatTime(e.start_time)}</td>
+                                  <td className="px-3 py-1 font-mono">{formatTime(e.end_time)}</td>
+                                  <td className="px-3 py-1 text-right font-mono">{formatHMS(e.seconds)}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            })}
+            {rows.length === 0 && (
+              <tr><td colSpan="7" className="px-6 py-4 text-center text-gray-500">{loading ? 'Loading...' : 'No data'}</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
 // DWM Report Component
 const DWMReport = ({ stats, filters, setFilters, employees }) => {
   const [departments, setDepartments] = useState([]);
@@ -974,7 +1209,7 @@ const DWMReport = ({ stats, filters, setFilters, employees }) => {
       }
       const params = new URLSearchParams({ date: iso, category, completed: String(completed) });
       if (filters.department) params.append('department', filters.department);
-      if (filters.employee) params.append('employee', filters.employee);
+      if (filters.employee) params.append('employee_id', filters.employee);
       const res = await fetch(`/api/reports/dwm/details?${params.toString()}`);
       const data = res.ok ? await res.json() : { items: [], totalSeconds: 0 };
       setDetailModal({ open: true, date: dateLabel, category, completed, items: data.items || [], totalSeconds: data.totalSeconds || 0 });
@@ -1023,7 +1258,7 @@ const DWMReport = ({ stats, filters, setFilters, employees }) => {
             >
               <option value="">Select...</option>
               {(employees || []).filter(emp => emp.status === 'Active').map((emp) => (
-                <option key={emp.id} value={emp.name}>
+                <option key={emp.id} value={emp.id}>
                   {emp.name} ({emp.employee_id})
                 </option>
               ))}
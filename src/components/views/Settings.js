@@ -1,12 +1,14 @@
 import React, { useState } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import PermissionsManager from './PermissionsManager';
+import OrganisationSettings from './OrganisationSettings';
 import { HelpCircle } from 'lucide-react';
 
 export default function Settings() {
   const { user } = useAuth();
   const [activeTab, setActiveTab] = useState('roles');
   const [showHelp, setShowHelp] = useState(true);
+  const isAdmin = !!user && ((user.role || '').toLowerCase() === 'admin' || user.permissions?.includes('all'));
 
   return (
     <div className="space-y-6">
@@ -28,6 +30,16 @@ export default function Settings() {
           >
             Roles & Permissions
           </button>
+          <button
+            onClick={() => setActiveTab('organisation')}
+            className={`py-2 px-1 border-b-2 font-medium text-sm ${
+              activeTab === 'organisation'
+                ? 'border-blue-500 text-blue-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            }`}
+          >
+            Organisation
+          </button>
         </nav>
       </div>
 
@@ -51,12 +63,16 @@ export default function Settings() {
               <li><strong>Assigning</strong> — When you add or edit an employee, you choose their role. That role’s permissions define their menu items and actions (e.g. who can approve leaves, create tickets, or see LHE/OverEst notifications).</li>
               <li><strong>Admin</strong> — Users with the Admin role (or the &quot;all&quot; permission) have full access regardless of other permissions.</li>
             </ul>
+            <p><strong>Organisation</strong> sets the timezone, weekend days and default shift length that attendance, leaves, reports, health scores and TeamLogger syncs use. Only admins can change it.</p>
           </div>
         )}
       </div>
 
       {/* Roles & Permissions Tab */}
       {activeTab === 'roles' && <PermissionsManager />}
+
+      {/* Organisation Tab */}
+      {activeTab === 'organisation' && <OrganisationSettings canEdit={isAdmin} />}
     </div>
   );
 } 
\ No newline at end of file
@@ -1,24 +1,697 @@
-import React from 'react';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+
+const TABS = {
+  ROSTER: 'roster',
+  SWAPS: 'swaps',
+  SHIFTS: 'shifts',
+  ASSIGNMENTS: 'assignments',
+  ROTATIONS: 'rotations'
+};
+
+const WEEKDAYS = [
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' },
+  { value: 0, label: 'Sun' }
+];
+
+const EMPTY_SHIFT = { name: '', start_time: '09:00', end_time: '18:00', break_minutes: 60, grace_minutes: 10, color: '#6366f1', status: 'Active' };
+const EMPTY_ASSIGNMENT = { target: 'employee', employee_id: '', department: '', kind: 'shift', shift_id: '', rotation_id: '', weekdays: [1, 2, 3, 4, 5, 6], effective_from: '', effective_to: '' };
+const EMPTY_ROTATION = { name: '', start_date: '', pattern: ['', '', '', '', '', '', ''] };
+const EMPTY_SWAP = { requester_date: '', target_id: '', target_date: '', reason: '' };
+
+// Helper: YYYY-MM-DD in local time
+const toDateStr = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+const addDays = (dateStr, days) => {
+  const d = new Date(`${dateStr}T00:00:00`);
+  d.setDate(d.getDate() + days);
+  return toDateStr(d);
+};
+
+// Monday of the week containing dateStr
+const startOfWeek = (dateStr) => {
+  const d = new Date(`${dateStr}T00:00:00`);
+  const offset = (d.getDay() + 6) % 7;
+  return addDays(dateStr, -offset);
+};
+
+const formatDay = (dateStr) =>
+  new Date(`${dateStr}T00:00:00`).toLocaleDateString('en-US', { weekday: 'short', day: 'numeric', month: 'short' });
+
+const shortTime = (time) => String(time || '').slice(0, 5);
+
+// Helper: read an error message from a failed response
+const readError = async (res, fallback) => {
+  const data = await res.json().catch(() => ({}));
+  return data.error || fallback;
+};
 
 export default function ShiftRoster() {
-  return (
-    <div className="p-6">
-      <h1 className="text-2xl font-semibold text-gray-900 mb-2">Shift Roster</h1>
-      <div className="bg-white border rounded p-6 text-gray-600">
-        This section is coming soon.
+  const { user } = useAuth();
+  const canManage = !!user && (
+    (user.role || '').toLowerCase() === 'admin' ||
+    (user.role || '').toLowerCase() === 'manager' ||
+    (user.designation || '').toLowerCase().includes('manager') ||
+    user.permissions?.includes('all') ||
+    user.permissions?.includes('shift_roster_manage')
+  );
+
+  const [activeTab, setActiveTab] = useState(TABS.ROSTER);
+  const [error, setError] = useState('');
+  const [shifts, setShifts] = useState([]);
+  const [rotations, setRotations] = useState([]);
+  const [employees, setEmployees] = useState([]);
+  const [departments, setDepartments] = useState([]);
+
+  const [weekStart, setWeekStart] = useState(() => startOfWeek(toDateStr(new Date())));
+  const [department, setDepartment] = useState('');
+  const [roster, setRoster] = useState({ dates: [], employees: [] });
+  const [loadingRoster, setLoadingRoster] = useState(false);
+
+  const [shiftForm, setShiftForm] = useState(EMPTY_SHIFT);
+  const [editingShiftId, setEditingShiftId] = useState(null);
+  const [assignments, setAssignments] = useState([]);
+  const [assignmentForm, setAssignmentForm] = useState(EMPTY_ASSIGNMENT);
+  const [rotationForm, setRotationForm] = useState(EMPTY_ROTATION);
+  const [editingRotationId, setEditingRotationId] = useState(null);
+  const [swaps, setSwaps] = useState([]);
+  const [swapForm, setSwapForm] = useState(EMPTY_SWAP);
+
+  const shiftsById = useMemo(() => new Map(shifts.map(s => [s.id, s])), [shifts]);
+
+  const loadShifts = useCallback(async () => {
+    const [shiftRes, rotationRes] = await Promise.all([fetch('/api/shifts'), fetch('/api/shifts/rotations')]);
+    if (shiftRes.ok) setShifts(await shiftRes.json());
+    if (rotationRes.ok) setRotations(await rotationRes.json());
+  }, []);
+
+  const loadRoster = useCallback(async () => {
+    setLoadingRoster(true);
+    try {
+      const params = new URLSearchParams({ start: weekStart, end: addDays(weekStart, 6) });
+      if (department) params.set('department', department);
+      const res = await fetch(`/api/shifts/roster?${params.toString()}`);
+      if (!res.ok) throw new Error(await readError(res, 'Failed to load roster'));
+      setRoster(await res.json());
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoadingRoster(false);
+    }
+  }, [weekStart, department]);
+
+  const loadAssignments = useCallback(async () => {
+    if (!canManage) return;
+    const res = await fetch('/api/shifts/assignments');
+    if (res.ok) setAssignments(await res.json());
+  }, [canManage]);
+
+  const loadSwaps = useCallback(async () => {
+    const res = await fetch('/api/shifts/swaps');
+    if (res.ok) setSwaps(await res.json());
+  }, []);
+
+  useEffect(() => {
+    loadShifts();
+    loadSwaps();
+    fetch('/api/employees?all=true')
+      .then(res => (res.ok ? res.json() : []))
+      .then(data => setEmployees(Array.isArray(data?.data) ? data.data : (Array.isArray(data) ? data : [])))
+      .catch(() => setEmployees([]));
+    fetch('/api/departments')
+      .then(res => (res.ok ? res.json() : []))
+      .then(data => setDepartments(Array.isArray(data?.data) ? data.data : (Array.isArray(data) ? data : [])))
+      .catch(() => setDepartments([]));
+  }, [loadShifts, loadSwaps]);
+
+  useEffect(() => { loadRoster(); }, [loadRoster]);
+  useEffect(() => { if (activeTab === TABS.ASSIGNMENTS) loadAssignments(); }, [activeTab, loadAssignments]);
+
+  // Send a JSON request and surface the API error; returns true on success
+  const send = async (url, method, body) => {
+    try {
+      const res = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      if (!res.ok) throw new Error(await readError(res, 'Request failed'));
+      setError('');
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  // ===== Roster grid =====
+
+  const handleCellChange = async (employeeId, date, value) => {
+    const ok = value === 'reset'
+      ? await send(`/api/shifts/roster/overrides?employee_id=${employeeId}&date=${date}`, 'DELETE')
+      : await send('/api/shifts/roster/overrides', 'PUT', { employee_id: employeeId, date, shift_id: value === 'off' ? null : Number(value) });
+    if (ok) loadRoster();
+  };
+
+  const renderCell = (employee, date) => {
+    const day = employee.days[date] || {};
+    const shift = day.shift_id ? shiftsById.get(day.shift_id) : null;
+    const label = shift ? shift.name : day.rostered ? 'Off' : '—';
+    const title = shift ? `${shortTime(shift.start_time)}–${shortTime(shift.end_time)} (${day.source})` : day.source || 'Not rostered';
+    if (!canManage) {
+      return (
+        <span
+          className={`inline-block px-2 py-1 rounded text-xs ${shift ? 'text-white' : 'text-gray-500 bg-gray-100'}`}
+          style={shift ? { backgroundColor: shift.color || '#6366f1' } : undefined}
+          title={title}
+        >
+          {label}{shift && <span className="ml-1 opacity-80">{shortTime(shift.start_time)}</span>}
+        </span>
+      );
+    }
+    const isOverride = day.source === 'manual' || day.source === 'swap';
+    return (
+      <select
+        value={shift ? String(shift.id) : day.rostered ? 'off' : ''}
+        onChange={e => handleCellChange(employee.id, date, e.target.value)}
+        title={title}
+        className={`w-full border rounded px-1 py-1 text-xs ${isOverride ? 'border-indigo-400 bg-indigo-50' : 'border-gray-200'}`}
+        style={shift ? { borderLeft: `4px solid ${shift.color || '#6366f1'}` } : undefined}
+      >
+        {!day.rostered && <option value="">—</option>}
+        <option value="off">Off</option>
+        {shifts.filter(s => s.status === 'Active' || s.id === day.shift_id).map(s => (
+          <option key={s.id} value={String(s.id)}>{s.name} ({shortTime(s.start_time)})</option>
+        ))}
+        {isOverride && <option value="reset">↺ Use weekly roster</option>}
+      </select>
+    );
+  };
+
+  const renderRoster = () => (
+    <div>
+      <div className="flex flex-wrap items-end gap-3 mb-4">
+        <button onClick={() => setWeekStart(addDays(weekStart, -7))} className="px-3 py-1.5 text-sm border rounded-lg hover:bg-gray-50">← Previous</button>
+        <input
+          type="date"
+          value={weekStart}
+          onChange={e => e.target.value && setWeekStart(startOfWeek(e.target.value))}
+          className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+        />
+        <button onClick={() => setWeekStart(addDays(weekStart, 7))} className="px-3 py-1.5 text-sm border rounded-lg hover:bg-gray-50">Next →</button>
+        {canManage && (
+          <select value={department} onChange={e => setDepartment(e.target.value)} className="border border-gray-300 rounded-lg px-2 py-1 text-sm">
+            <option value="">All departments</option>
+            {departments.map(d => <option key={d.id} value={d.name}>{d.name}</option>)}
+          </select>
+        )}
       </div>
+      {loadingRoster ? (
+        <div className="py-12 text-center text-gray-500">Loading roster...</div>
+      ) : roster.employees.length === 0 ? (
+        <div className="py-12 text-center text-gray-500">No employees to show.</div>
+      ) : (
+        <div className="overflow-x-auto bg-white border rounded-lg">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Employee</th>
+                {roster.dates.map(date => (
+                  <th key={date} className="px-2 py-2 text-left text-xs font-medium text-gray-500 uppercase whitespace-nowrap">{formatDay(date)}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {roster.employees.map(employee => (
+                <tr key={employee.id} className="hover:bg-gray-50">
+                  <td className="px-3 py-2 whitespace-nowrap">
+                    <div className="font-medium text-gray-900">{employee.name}</div>
+                    <div className="text-xs text-gray-500">{employee.department || 'Unassigned'}</div>
+                  </td>
+                  {roster.dates.map(date => (
+                    <td key={date} className="px-2 py-2 min-w-[8rem]">{renderCell(employee, date)}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <p className="text-xs text-gray-500 mt-2">
+        “—” means no roster applies and the standard working hours are used. Highlighted cells are one-off changes.
+      </p>
     </div>
   );
-}
 
+  // ===== Swap requests =====
 
+  const submitSwap = async (e) => {
+    e.preventDefault();
+    if (!swapForm.requester_date || !swapForm.target_id) return alert('Choose your shift date and a colleague.');
+    const ok = await send('/api/shifts/swaps', 'POST', { ...swapForm, target_date: swapForm.target_date || swapForm.requester_date });
+    if (ok) {
+      setSwapForm(EMPTY_SWAP);
+      loadSwaps();
+    }
+  };
 
+  const swapAction = async (swap, action, body) => {
+    if (await send(`/api/shifts/swaps/${swap.id}/${action}`, 'POST', body)) {
+      loadSwaps();
+      if (action === 'review') loadRoster();
+    }
+  };
 
+  const renderSwaps = () => (
+    <div className="space-y-6">
+      <form onSubmit={submitSwap} className="bg-white p-4 rounded-lg border grid grid-cols-1 md:grid-cols-5 gap-3 items-end">
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">My shift on</label>
+          <input type="date" value={swapForm.requester_date} onChange={e => setSwapForm(f => ({ ...f, requester_date: e.target.value }))} className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm" />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Swap with</label>
+          <select value={swapForm.target_id} onChange={e => setSwapForm(f => ({ ...f, target_id: e.target.value }))} className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm">
+            <option value="">Select colleague...</option>
+            {employees.filter(emp => emp.id !== user?.id).map(emp => <option key={emp.id} value={emp.id}>{emp.name}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Their roster on</label>
+          <input type="date" value={swapForm.target_date} placeholder="Same day" onChange={e => setSwapForm(f => ({ ...f, target_date: e.target.value }))} className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm" />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Reason</label>
+          <input type="text" value={swapForm.reason} onChange={e => setSwapForm(f => ({ ...f, reason: e.target.value }))} className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm" />
+        </div>
+        <button type="submit" className="px-3 py-1.5 text-sm rounded-lg bg-indigo-600 text-white hover:bg-indigo-700">Request swap</button>
+      </form>
 
+      <div className="bg-white border rounded-lg overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              {['Requested by', 'Date', 'Colleague', 'Date', 'Reason', 'Status', ''].map((h, i) => (
+                <th key={i} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {swaps.length === 0 && (
+              <tr><td colSpan={7} className="px-3 py-8 text-center text-gray-500">No swap requests.</td></tr>
+            )}
+            {swaps.map(swap => (
+              <tr key={swap.id}>
+                <td className="px-3 py-2">{swap.requester_name}</td>
+                <td className="px-3 py-2 whitespace-nowrap">{swap.requester_date}</td>
+                <td className="px-3 py-2">{swap.target_name}</td>
+                <td className="px-3 py-2 whitespace-nowrap">{swap.target_date}</td>
+                <td className="px-3 py-2 max-w-xs truncate" title={swap.reason || ''}>{swap.reason || '-'}</td>
+                <td className="px-3 py-2">{swap.status}{swap.review_note ? ` – ${swap.review_note}` : ''}</td>
+                <td className="px-3 py-2 whitespace-nowrap space-x-2">
+                  {swap.status === 'Pending' && swap.target_id === user?.id && (
+                    <>
+                      <button onClick={() => swapAction(swap, 'respond', { accept: true })} className="text-green-600 hover:underline">Accept</button>
+                      <button onClick={() => swapAction(swap, 'respond', { accept: false })} className="text-red-600 hover:underline">Decline</button>
+                    </>
+                  )}
+                  {swap.status === 'Accepted' && canManage && (
+                    <>
+                      <button onClick={() => swapAction(swap, 'review', { approve: true })} className="text-green-600 hover:underline">Approve</button>
+                      <button onClick={() => swapAction(swap, 'review', { approve: false, note: window.prompt('Reason for rejecting (optional)') || '' })} className="text-red-600 hover:underline">Reject</button>
+                    </>
+                  )}
+                  {['Pending', 'Accepted'].includes(swap.status) && swap.requester_id === user?.id && (
+                    <button onClick={() => swapAction(swap, 'cancel')} className="text-gray-600 hover:underline">Cancel</button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+
+  // ===== Shift definitions =====
+
+  const submitShift = async (e) => {
+    e.preventDefault();
+    const ok = editingShiftId
+      ? await send(`/api/shifts/${editingShiftId}`, 'PUT', shiftForm)
+      : await send('/api/shifts', 'POST', shiftForm);
+    if (ok) {
+      setShiftForm(EMPTY_SHIFT);
+      setEditingShiftId(null);
+      loadShifts();
+    }
+  };
+
+  const deleteShift = async (shift) => {
+    if (!window.confirm(`Delete the ${shift.name} shift?`)) return;
+    if (await send(`/api/shifts/${shift.id}`, 'DELETE')) loadShifts();
+  };
 
+  const renderShifts = () => (
+    <div className="space-y-6">
+      <form onSubmit={submitShift} className="bg-white p-4 rounded-lg border grid grid-cols-2 md:grid-cols-8 gap-3 items-end">
+        <div className="col-span-2">
+          <label className="block text-xs font-medium text-gray-600 mb-1">Name</label>
+          <input type="text" value={shiftForm.name} onChange={e => setShiftForm(f => ({ ...f, name: e.target.value }))} className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm" required />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Start</label>
+          <input type="time" value={shortTime(shiftForm.start_time)} onChange={e => setShiftForm(f => ({ ...f, start_time: e.target.value }))} className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm" required />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">End</label>
+          <input type="time" value={shortTime(shiftForm.end_time)} onChange={e => setShiftForm(f => ({ ...f, end_time: e.target.value }))} className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm" required />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Break (min)</label>
+          <input type="number" min="0" value={shiftForm.break_minutes} onChange={e => setShiftForm(f => ({ ...f, break_minutes: e.target.value }))} className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm" />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Grace (min)</label>
+          <input type="number" min="0" value={shiftForm.grace_minutes} onChange={e => setShiftForm(f => ({ ...f, grace_minutes: e.target.value }))} className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm" />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Colour</label>
+          <input type="color" value={shiftForm.color || '#6366f1'} onChange={e => setShiftForm(f => ({ ...f, color: e.target.value }))} className="w-full h-8 border border-gray-300 rounded-lg" />
+        </div>
+        <div className="flex gap-2">
+          <button type="submit" className="px-3 py-1.5 text-sm rounded-lg bg-indigo-600 text-white hover:bg-indigo-700">{editingShiftId ? 'Save' : 'Add'}</button>
+          {editingShiftId && (
+            <button type="button" onClick={() => { setEditingShiftId(null); setShiftForm(EMPTY_SHIFT); }} className="px-3 py-1.5 text-sm rounded-lg border">Cancel</button>
+          )}
+        </div>
+      </form>
+
+      <div className="bg-white border rounded-lg overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              {['Shift', 'Hours', 'Break', 'Net hours', 'Grace', 'Status', ''].map((h, i) => (
+                <th key={i} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {shifts.map(shift => (
+              <tr key={shift.id}>
+                <td className="px-3 py-2">
+                  <span className="inline-block w-3 h-3 rounded-full mr-2 align-middle" style={{ backgroundColor: shift.color || '#6366f1' }}></span>
+                  {shift.name}
+                </td>
+                <td className="px-3 py-2 whitespace-nowrap">
+                  {shortTime(shift.start_time)}–{shortTime(shift.end_time)}
+                  {shift.crosses_midnight && <span className="ml-2 text-xs text-indigo-600">night</span>}
+                </td>
+                <td className="px-3 py-2">{shift.break_minutes} min</td>
+                <td className="px-3 py-2">{shift.net_hours}</td>
+                <td className="px-3 py-2">{shift.grace_minutes} min</td>
+                <td className="px-3 py-2">
+                  <button
+                    onClick={async () => { if (await send(`/api/shifts/${shift.id}`, 'PUT', { ...shift, status: shift.status === 'Active' ? 'Inactive' : 'Active' })) loadShifts(); }}
+                    className={`px-2 py-0.5 rounded-full text-xs ${shift.status === 'Active' ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'}`}
+                  >
+                    {shift.status}
+                  </button>
+                </td>
+                <td className="px-3 py-2 whitespace-nowrap space-x-2">
+                  <button onClick={() => { setEditingShiftId(shift.id); setShiftForm({ ...shift }); }} className="text-indigo-600 hover:underline">Edit</button>
+                  <button onClick={() => deleteShift(shift)} className="text-red-600 hover:underline">Delete</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
 
+  // ===== Weekly assignments =====
+
+  const submitAssignment = async (e) => {
+    e.preventDefault();
+    const f = assignmentForm;
+    const ok = await send('/api/shifts/assignments', 'POST', {
+      employee_id: f.target === 'employee' ? f.employee_id : null,
+      department: f.target === 'department' ? f.department : null,
+      shift_id: f.kind === 'shift' ? f.shift_id : null,
+      rotation_id: f.kind === 'rotation' ? f.rotation_id : null,
+      weekdays: f.weekdays.join(','),
+      effective_from: f.effective_from,
+      effective_to: f.effective_to || null
+    });
+    if (ok) {
+      setAssignmentForm(EMPTY_ASSIGNMENT);
+      loadAssignments();
+      loadRoster();
+    }
+  };
+
+  const toggleWeekday = (day) => setAssignmentForm(f => ({
+    ...f,
+    weekdays: f.weekdays.includes(day) ? f.weekdays.filter(d => d !== day) : [...f.weekdays, day]
+  }));
+
+  const renderAssignments = () => (
+    <div className="space-y-6">
+      <form onSubmit={submitAssignment} className="bg-white p-4 rounded-lg border space-y-3">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Assign to</label>
+            <div className="flex gap-2">
+              <select value={assignmentForm.target} onChange={e => setAssignmentForm(f => ({ ...f, target: e.target.value }))} className="border border-gray-300 rounded-lg px-2 py-1 text-sm">
+                <option value="employee">Employee</option>
+                <option value="department">Department</option>
+              </select>
+              {assignmentForm.target === 'employee' ? (
+                <select value={assignmentForm.employee_id} onChange={e => setAssignmentForm(f => ({ ...f, employee_id: e.target.value }))} className="flex-1 border border-gray-300 rounded-lg px-2 py-1 text-sm" required>
+                  <option value="">Select...</option>
+                  {employees.map(emp => <option key={emp.id} value={emp.id}>{emp.name}</option>)}
+                </select>
+              ) : (
+                <select value={assignmentForm.department} onChange={e => setAssignmentForm(f => ({ ...f, department: e.target.value }))} className="flex-1 border border-gray-300 rounded-lg px-2 py-1 text-sm" required>
+                  <option value="">Select...</option>
+                  {departments.map(d => <option key={d.id} value={d.name}>{d.name}</option>)}
+                </select>
+              )}
+            </div>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Works</label>
+            <div className="flex gap-2">
+              <select value={assignmentForm.kind} onChange={e => setAssignmentForm(f => ({ ...f, kind: e.target.value }))} className="border border-gray-300 rounded-lg px-2 py-1 text-sm">
+                <option value="shift">Shift</option>
+                <option value="rotation">Rotation</option>
+              </select>
+              {assignmentForm.kind === 'shift' ? (
+                <select value={assignmentForm.shift_id} onChange={e => setAssignmentForm(f => ({ ...f, shift_id: e.target.value }))} className="flex-1 border border-gray-300 rounded-lg px-2 py-1 text-sm" required>
+                  <option value="">Select...</option>
+                  {shifts.filter(s => s.status === 'Active').map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                </select>
+              ) : (
+                <select value={assignmentForm.rotation_id} onChange={e => setAssignmentForm(f => ({ ...f, rotation_id: e.target.value }))} className="flex-1 border border-gray-300 rounded-lg px-2 py-1 text-sm" required>
+                  <option value="">Select...</option>
+                  {rotations.map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+                </select>
+              )}
+            </div>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">From</label>
+            <input type="date" value={assignmentForm.effective_from} onChange={e => setAssignmentForm(f => ({ ...f, effective_from: e.target.value }))} className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm" required />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Until (optional)</label>
+            <input type="date" value={assignmentForm.effective_to} onChange={e => setAssignmentForm(f => ({ ...f, effective_to: e.target.value }))} className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm" />
+          </div>
+        </div>
+        <div className="flex flex-wrap items-center gap-3">
+          {assignmentForm.kind === 'shift' && WEEKDAYS.map(day => (
+            <label key={day.value} className="flex items-center gap-1 text-sm text-gray-700">
+              <input type="checkbox" checked={assignmentForm.weekdays.includes(day.value)} onChange={() => toggleWeekday(day.value)} />
+              {day.label}
+            </label>
+          ))}
+          <button type="submit" className="ml-auto px-3 py-1.5 text-sm rounded-lg bg-indigo-600 text-white hover:bg-indigo-700">Add assignment</button>
+        </div>
+      </form>
+
+      <div className="bg-white border rounded-lg overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              {['Assigned to', 'Works', 'Days', 'From', 'Until', ''].map((h, i) => (
+                <th key={i} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {assignments.length === 0 && (
+              <tr><td colSpan={6} className="px-3 py-8 text-center text-gray-500">No roster assignments yet.</td></tr>
+            )}
+            {assignments.map(a => (
+              <tr key={a.id}>
+                <td className="px-3 py-2">{a.employee_name || `${a.department} (department)`}</td>
+                <td className="px-3 py-2">{a.shift_name || `${a.rotation_name} (rotation)`}</td>
+                <td className="px-3 py-2">
+                  {a.rotation_id ? '-' : WEEKDAYS.filter(d => String(a.weekdays).split(',').includes(String(d.value))).map(d => d.label).join(', ')}
+                </td>
+                <td className="px-3 py-2 whitespace-nowrap">{a.effective_from}</td>
+                <td className="px-3 py-2 whitespace-nowrap">{a.effective_to || '-'}</td>
+                <td className="px-3 py-2">
+                  <button
+                    onClick={async () => { if (window.confirm('Remove this assignment?') && await send(`/api/shifts/assignments/${a.id}`, 'DELETE')) { loadAssignments(); loadRoster(); } }}
+                    className="text-red-600 hover:underline"
+                  >
+                    Remove
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
 
+  // ===== Rotation patterns =====
 
+  const submitRotation = async (e) => {
+    e.preventDefault();
+    const body = { ...rotationForm, pattern: rotationForm.pattern.map(id => (id ? Number(id) : null)) };
+    const ok = editingRotationId
+      ? await send(`/api/shifts/rotations/${editingRotationId}`, 'PUT', body)
+      : await send('/api/shifts/rotations', 'POST', body);
+    if (ok) {
+      setRotationForm(EMPTY_ROTATION);
+      setEditingRotationId(null);
+      loadShifts();
+    }
+  };
 
+  const setPatternDay = (index, value) => setRotationForm(f => ({
+    ...f,
+    pattern: f.pattern.map((id, i) => (i === index ? value : id))
+  }));
 
+  const renderRotations = () => (
+    <div className="space-y-6">
+      <form onSubmit={submitRotation} className="bg-white p-4 rounded-lg border space-y-3">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Name</label>
+            <input type="text" value={rotationForm.name} onChange={e => setRotationForm(f => ({ ...f, name: e.target.value }))} className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm" required />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Day 1 of the cycle</label>
+            <input type="date" value={rotationForm.start_date} onChange={e => setRotationForm(f => ({ ...f, start_date: e.target.value }))} className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm" required />
+          </div>
+          <div className="flex items-end gap-2">
+            <button type="button" onClick={() => setRotationForm(f => ({ ...f, pattern: [...f.pattern, ''] }))} className="px-3 py-1.5 text-sm rounded-lg border">+ Day</button>
+            <button type="button" disabled={rotationForm.pattern.length <= 1} onClick={() => setRotationForm(f => ({ ...f, pattern: f.pattern.slice(0, -1) }))} className="px-3 py-1.5 text-sm rounded-lg border disabled:opacity-50">− Day</button>
+          </div>
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-7 gap-2">
+          {rotationForm.pattern.map((id, index) => (
+            <div key={index}>
+              <label className="block text-xs text-gray-500 mb-1">Day {index + 1}</label>
+              <select value={id || ''} onChange={e => setPatternDay(index, e.target.value)} className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm">
+                <option value="">Off</option>
+                {shifts.filter(s => s.status === 'Active' || String(s.id) === String(id)).map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+              </select>
+            </div>
+          ))}
+        </div>
+        <div className="flex gap-2">
+          <button type="submit" className="px-3 py-1.5 text-sm rounded-lg bg-indigo-600 text-white hover:bg-indigo-700">{editingRotationId ? 'Save rotation' : 'Add rotation'}</button>
+          {editingRotationId && (
+            <button type="button" onClick={() => { setEditingRotationId(null); setRotationForm(EMPTY_ROTATION); }} className="px-3 py-1.5 text-sm rounded-lg border">Cancel</button>
+          )}
+        </div>
+      </form>
 
+      <div className="bg-white border rounded-lg overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              {['Rotation', 'Starts', 'Cycle', ''].map((h, i) => (
+                <th key={i} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {rotations.map(r => (
+              <tr key={r.id}>
+                <td className="px-3 py-2">{r.name}</td>
+                <td className="px-3 py-2 whitespace-nowrap">{r.start_date}</td>
+                <td className="px-3 py-2">{r.pattern.map(id => (id ? shiftsById.get(id)?.name || `#${id}` : 'Off')).join(' → ')}</td>
+                <td className="px-3 py-2 whitespace-nowrap space-x-2">
+                  <button onClick={() => { setEditingRotationId(r.id); setRotationForm({ name: r.name, start_date: r.start_date, pattern: r.pattern.map(id => (id ? String(id) : '')) }); }} className="text-indigo-600 hover:underline">Edit</button>
+                  <button
+                    onClick={async () => { if (window.confirm(`Delete the ${r.name} rotation?`) && await send(`/api/shifts/rotations/${r.id}`, 'DELETE')) loadShifts(); }}
+                    className="text-red-600 hover:underline"
+                  >
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+
+  const tabs = [
+    { id: TABS.ROSTER, label: 'Roster' },
+    { id: TABS.SWAPS, label: 'Shift Swaps' },
+    ...(canManage ? [
+      { id: TABS.SHIFTS, label: 'Shifts' },
+      { id: TABS.ASSIGNMENTS, label: 'Weekly Assignments' },
+      { id: TABS.ROTATIONS, label: 'Rotations' }
+    ] : [])
+  ];
+
+  return (
+    <div className="p-6">
+      <h1 className="text-2xl font-semibold text-gray-900 mb-4">Shift Roster</h1>
+
+      <div className="mb-4 border-b border-gray-200">
+        <nav className="-mb-px flex space-x-4" aria-label="Tabs">
+          {tabs.map(tab => (
+            <button
+              key={tab.id}
+              type="button"
+              onClick={() => setActiveTab(tab.id)}
+              className={`px-3 py-2 text-sm font-medium border-b-2 ${
+                activeTab === tab.id
+                  ? 'border-indigo-500 text-indigo-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {error && <div className="mb-3 p-3 rounded bg-red-50 text-red-700 text-sm">{error}</div>}
+
+      {activeTab === TABS.ROSTER && renderRoster()}
+      {activeTab === TABS.SWAPS && renderSwaps()}
+      {activeTab === TABS.SHIFTS && canManage && renderShifts()}
+      {activeTab === TABS.ASSIGNMENTS && canManage && renderAssignments()}
+      {activeTab === TABS.ROTATIONS && canManage && renderRotations()}
+    </div>
+  );
+}
@@ -9,6 +9,8 @@ import { useAuth } from '../../contexts/AuthContext';
 import { useTaskConfig } from '../../contexts/TaskConfigContext';
 import performanceMonitor, { measureTaskLoading, measureTimerOperation, measureTaskDetails } from '../../utils/performanceMonitor';
 import { getWorkloadTasksForDate } from '../../utils/workload';
+import { describeRecurrence } from '../../utils/recurrence';
+import RecurrenceEditor from '../ui/RecurrenceEditor';
 
 // When logged time exceeds estimate by more than this many minutes, show a warning to the user
 const TIME_ESTIMATE_OVERRUN_THRESHOLD_MINUTES = 10;
@@ -915,6 +917,7 @@ const Tasks = memo(function Tasks({ initialOpenTask, onConsumeInitialOpenTask })
     makePrivate: false,
     share: false,
     repeat: false,
+    recurrence: null,
     isDependent: false,
     validationBy: '',
     effortLabel: '',
@@ -1795,13 +1798,13 @@ const Tasks = memo(function Tasks({ initialOpenTask, onConsumeInitialOpenTask })
   // Task IDs that have exceeded estimate today; amber box shows these for the whole day (resets at midnight)
   const [exceededEstimateTaskIdsToday, setExceededEstimateTaskIdsToday] = useState([]);
   useEffect(() => {
-    if (!isEmployeeView || !user?.name || !tasks.length) return;
+    if (!isEmployeeView || !user?.id || !tasks.length) return;
     const today = new Date().toISOString().slice(0, 10);
-    fetch(`/api/tasks/workload-completion?employee_name=${encodeURIComponent(user.name)}&date=${today}`)
+    fetch(`/api/tasks/workload-completion?employee_id=${encodeURIComponent(user.id)}&date=${today}`)
       .then(r => r.ok ? r.json() : { completed_task_ids: [] })
       .then(data => setCompletedTaskIdsToday(data.completed_task_ids || []))
       .catch(() => setCompletedTaskIdsToday([]));
-  }, [isEmployeeView, user?.name, tasks.length, tick]);
+  }, [isEmployeeView, user?.id, tasks.length, tick]);
 
   const workloadAllCompletedToday = workloadTasksToday.length > 0 && workloadTasksToday.every(t => completedTaskIdsToday.includes(t.id));
   useEffect(() => {
@@ -2269,6 +2272,7 @@ const Tasks = memo(function Tasks({ initialOpenTask, onConsumeInitialOpenTask })
         consulted: employeeArrayToString(formData.consulted),
         informed: employeeArrayToString(formData.informed),
         trained: trainedArrayToJSON(formData.trained), // ✅ Use JSON format for trained field
+        assignees: buildAssigneesPayload(formData),
         impact: formData.impact,
         complexity: formData.complexity,
         unit: formData.unit,
@@ -2617,6 +2621,27 @@ const Tasks = memo(function Tasks({ initialOpenTask, onConsumeInitialOpenTask })
     return arr.map(item => item.label.split(' (')[0]).join(', ');
   };
 
+  // Helper function to collect employee ids per role (the API stores assignees by id).
+  // A role holding a fallback entry (name not in the employee list) is left out so the API keeps the names.
+  const buildAssigneesPayload = (data) => {
+    const roles = {
+      assignee: data.assignedTo,
+      responsible: data.responsible,
+      accountable: data.accountable,
+      consulted: data.consulted,
+      informed: data.informed,
+      trained: data.trained
+    };
+    const payload = {};
+    Object.entries(roles).forEach(([role, arr]) => {
+      const list = Array.isArray(arr) ? arr : [];
+      if (list.every(item => typeof item.value === 'number')) {
+        payload[role] = list.map(item => item.value);
+      }
+    });
+    return payload;
+  };
+
   // Helper function to convert trained array to JSON string (for database storage)
   const trainedArrayToJSON = (arr) => {
     if (!arr || !Array.isArray(arr) || arr.length === 0) return null;
@@ -3802,6 +3827,7 @@ const Tasks = memo(function Tasks({ initialOpenTask, onConsumeInitialOpenTask })
       makePrivate: task.make_private === 1,
       share: task.share === 1,
       repeat: task.repeat === 1,
+      recurrence: task.recurrence || null,
       isDependent: task.is_dependent === 1,
       validationBy: task.validation_by || '',
       effortLabel: task.effort_label || '',
@@ -3860,6 +3886,7 @@ const Tasks = memo(function Tasks({ initialOpenTask, onConsumeInitialOpenTask })
       makePrivate: false,
       share: false,
       repeat: false,
+      recurrence: null,
       isDependent: false,
       validationBy: '',
       effortLabel: '',
@@ -3904,6 +3931,7 @@ const Tasks = memo(function Tasks({ initialOpenTask, onConsumeInitialOpenTask })
       makePrivate: false,
       share: false,
       repeat: false,
+      recurrence: null,
       isDependent: false,
       validationBy: '',
       effortLabel: '',
@@ -4784,7 +4812,7 @@ const Tasks = memo(function Tasks({ initialOpenTask, onConsumeInitialOpenTask })
                             <span className="text-sm text-gray-900">{task.share ? 'Yes' : 'No'}</span>
                           )}
                           {columnKey === 'repeat' && (
-                            <span className="text-sm text-gray-900">{task.repeat ? 'Yes' : 'No'}</span>
+                            <span className="text-sm text-gray-900">{task.recurrence ? describeRecurrence(task.recurrence) : (task.repeat ? 'Yes' : 'No')}</span>
                           )}
                           {columnKey === 'is_dependent' && (
                             <span className="text-sm text-gray-900">{task.is_dependent ? 'Yes' : 'No'}</span>
@@ -5049,6 +5077,7 @@ const Tasks = memo(function Tasks({ initialOpenTask, onConsumeInitialOpenTask })
               consulted: formData.consulted,
               informed: formData.informed,
               trained: formData.trained,
+              assignees: buildAssigneesPayload(formData),
               labels: formData.labels,
               milestones: formData.milestones,
               priority: formData.priority,
@@ -5062,6 +5091,7 @@ const Tasks = memo(function Tasks({ initialOpenTask, onConsumeInitialOpenTask })
               makePrivate: formData.makePrivate,
               share: formData.share,
               repeat: formData.repeat,
+              recurrence: formData.recurrence,
               isDependent: formData.isDependent,
               validationBy: formData.validationBy,
               effortLabel: formData.effortLabel,
@@ -5437,6 +5467,13 @@ const Tasks = memo(function Tasks({ initialOpenTask, onConsumeInitialOpenTask })
                 <span className="ml-2 text-sm text-gray-600">Task is dependent on another task</span>
               </label>
             </div>
+            <div className="mt-4">
+              <RecurrenceEditor
+                value={formData.recurrence}
+                onChange={(recurrence) => setFormData({ ...formData, recurrence })}
+                referenceDate={formData.dueDate || formData.startDate}
+              />
+            </div>
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Validation By</label>
@@ -5982,6 +6019,13 @@ const Tasks = memo(function Tasks({ initialOpenTask, onConsumeInitialOpenTask })
                 <span className="ml-2 text-sm text-gray-600">Task is dependent on another task</span>
               </label>
             </div>
+            <div className="mt-4">
+              <RecurrenceEditor
+                value={formData.recurrence}
+                onChange={(recurrence) => setFormData({ ...formData, recurrence })}
+                referenceDate={formData.dueDate || formData.startDate}
+              />
+            </div>
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Validation By</label>
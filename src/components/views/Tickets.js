@@ -68,9 +68,7 @@ export default function Tickets() {
 
   const canDeleteTicket = (ticket) => {
     if (!user || !user.permissions) return false;
-    if (user.permissions.includes('all') || user.permissions.includes('delete_tickets')) return true;
-    if (user.permissions.includes('edit_tickets') && ticket.created_by === user.id) return true;
-    return false;
+    return user.permissions.includes('all') || user.permissions.includes('delete_tickets');
   };
 
   const canRespondToTickets = () => {
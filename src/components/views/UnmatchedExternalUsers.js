@@ -0,0 +1,212 @@
+import React, { useEffect, useState } from 'react';
+
+// TeamLogger accounts that match no employee, with one-click linking; linking also re-attributes
+// their stored TeamLogger days and orphaned idle accountability rows. Needs the "all" permission.
+const UnmatchedExternalUsers = ({ onLinked }) => {
+  const [unmatched, setUnmatched] = useState([]);
+  const [links, setLinks] = useState([]);
+  const [employees, setEmployees] = useState([]);
+  const [selected, setSelected] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [savingId, setSavingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [unmatchedRes, linksRes, employeesRes] = await Promise.all([
+        fetch('/api/admin/external-identities/unmatched'),
+        fetch('/api/admin/external-identities'),
+        fetch('/api/employees?all=true')
+      ]);
+      if (!unmatchedRes.ok || !linksRes.ok) {
+        const errData = await (unmatchedRes.ok ? linksRes : unmatchedRes).json().catch(() => ({}));
+        throw new Error(errData.error || 'Failed to load external users');
+      }
+      setUnmatched(await unmatchedRes.json());
+      setLinks(await linksRes.json());
+      if (employeesRes.ok) {
+        const data = await employeesRes.json();
+        const list = Array.isArray(data.data) ? data.data : (Array.isArray(data) ? data : []);
+        setEmployees(list.filter((e) => !e.status || e.status === 'Active').sort((a, b) => (a.name || '').localeCompare(b.name || '')));
+      }
+    } catch (e) {
+      console.error('Error loading external users:', e);
+      setError(e.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const link = async (row) => {
+    const employeeId = selected[row.externalId];
+    if (!employeeId) {
+      alert('Choose an employee to link');
+      return;
+    }
+    try {
+      setSavingId(row.externalId);
+      const res = await fetch('/api/admin/external-identities', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          provider: row.provider,
+          externalId: row.externalId,
+          employeeId,
+          email: row.email,
+          code: row.code,
+          name: row.name
+        })
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Failed to link account');
+      alert(`Linked. ${data.storeRowsUpdated} TeamLogger day(s) and ${data.idleRowsReattributed} idle record(s) re-attributed.`);
+      await load();
+      if (onLinked) onLinked();
+    } catch (e) {
+      alert(e.message || 'Failed to link account');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const unlink = async (identity) => {
+    if (!window.confirm(`Remove the link for ${identity.external_name || identity.external_email || identity.external_id}?`)) return;
+    try {
+      const res = await fetch(`/api/admin/external-identities/${identity.id}`, { method: 'DELETE' });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Failed to remove link');
+      await load();
+    } catch (e) {
+      alert(e.message || 'Failed to remove link');
+    }
+  };
+
+  if (loading) {
+    return <div className="py-12 text-center text-gray-500">Loading external users...</div>;
+  }
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <div className="p-3 rounded bg-red-50 text-red-700 text-sm">{error}</div>
+      )}
+
+      <div>
+        <h2 className="text-sm font-semibold text-gray-900 mb-2">Unmatched TeamLogger users</h2>
+        {unmatched.length === 0 ? (
+          <div className="py-8 text-center text-gray-500 text-sm border border-gray-200 rounded-lg bg-white">
+            Every TeamLogger user is matched to an employee.
+          </div>
+        ) : (
+          <div className="overflow-auto border border-gray-200 rounded-lg bg-white">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">TeamLogger user</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last seen</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Days</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Orphaned idle records</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Link to employee</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {unmatched.map((row) => (
+                  <tr key={`${row.provider}:${row.externalId}`} className="hover:bg-gray-50">
+                    <td className="px-3 py-2 whitespace-nowrap">
+                      <div className="text-gray-900">{row.name || row.email || row.externalId}</div>
+                      <div className="text-xs text-gray-500">
+                        {[row.email, row.code, `ID ${row.externalId}`].filter(Boolean).join(' · ')}
+                      </div>
+                    </td>
+                    <td className="px-3 py-2 whitespace-nowrap text-gray-500">{row.lastSeen || '-'}</td>
+                    <td className="px-3 py-2 whitespace-nowrap text-right text-gray-900">{row.days}</td>
+                    <td className="px-3 py-2 whitespace-nowrap text-right text-gray-900">{row.orphanedIdleRows}</td>
+                    <td className="px-3 py-2 whitespace-nowrap">
+                      <div className="flex items-center gap-2">
+                        <select
+                          value={selected[row.externalId] || ''}
+                          onChange={(e) => setSelected((prev) => ({ ...prev, [row.externalId]: e.target.value }))}
+                          className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                        >
+                          <option value="">Select employee</option>
+                          {employees.map((emp) => (
+                            <option key={emp.id} value={emp.id}>
+                              {emp.name}{emp.email ? ` (${emp.email})` : ''}
+                            </option>
+                          ))}
+                        </select>
+                        <button
+                          type="button"
+                          onClick={() => link(row)}
+                          disabled={savingId === row.externalId}
+                          className="px-3 py-1 text-sm rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+                        >
+                          {savingId === row.externalId ? 'Linking...' : 'Link'}
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <div>
+        <h2 className="text-sm font-semibold text-gray-900 mb-2">Linked accounts</h2>
+        {links.length === 0 ? (
+          <div className="py-8 text-center text-gray-500 text-sm border border-gray-200 rounded-lg bg-white">
+            No explicit links yet. Accounts are matched by email, then name.
+          </div>
+        ) : (
+          <div className="overflow-auto border border-gray-200 rounded-lg bg-white">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Account</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Employee</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Linked by</th>
+                  <th className="px-3 py-2" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {links.map((identity) => (
+                  <tr key={identity.id} className="hover:bg-gray-50">
+                    <td className="px-3 py-2 whitespace-nowrap">
+                      <div className="text-gray-900">{identity.external_name || identity.external_email || identity.external_id}</div>
+                      <div className="text-xs text-gray-500">
+                        {[identity.provider, identity.external_email, `ID ${identity.external_id}`].filter(Boolean).join(' · ')}
+                      </div>
+                    </td>
+                    <td className="px-3 py-2 whitespace-nowrap text-gray-900">
+                      {identity.employee_name || `Employee #${identity.employee_id}`}
+                    </td>
+                    <td className="px-3 py-2 whitespace-nowrap text-gray-500">{identity.created_by || '-'}</td>
+                    <td className="px-3 py-2 whitespace-nowrap text-right">
+                      <button
+                        type="button"
+                        onClick={() => unlink(identity)}
+                        className="text-sm text-red-600 hover:text-red-800"
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UnmatchedExternalUsers;
@@ -16,26 +16,28 @@ export const AuthProvider = ({ children }) => {
   const [isLoading, setIsLoading] = useState(true);
 
   useEffect(() => {
-    // Check if user is already authenticated on app load
-    const checkAuthStatus = () => {
+    // Verify the stored session with the server on app load; the cookie is the source of truth
+    const checkAuthStatus = async () => {
       const isAuth = localStorage.getItem('isAuthenticated') === 'true';
-      const userData = localStorage.getItem('user');
-      
-      if (isAuth && userData) {
-        try {
-          const parsedUser = JSON.parse(userData);
-          // Ensure the user object has required properties
-          if (parsedUser && parsedUser.id) {
-            setUser(parsedUser);
-            setIsAuthenticated(true);
-          } else {
-            console.warn('User data is incomplete, logging out');
-            logout();
-          }
-        } catch (error) {
-          console.error('Error parsing user data:', error);
-          logout();
+      if (!isAuth) {
+        setIsLoading(false);
+        return;
+      }
+
+      try {
+        const response = await fetch('/api/auth/me');
+        const data = response.ok ? await response.json() : null;
+        if (data && data.user && data.user.id) {
+          setUser(data.user);
+          setIsAuthenticated(true);
+          localStorage.setItem('user', JSON.stringify(data.user));
+        } else {
+          console.warn('Session is no longer valid, logging out');
+          clearLocalSession();
         }
+      } catch (error) {
+        console.error('Error verifying session:', error);
+        clearLocalSession();
       }
       setIsLoading(false);
     };
@@ -43,21 +45,44 @@ export const AuthProvider = ({ children }) => {
     checkAuthStatus();
   }, []);
 
-  const login = (userData) => {
-    setUser(userData);
-    setIsAuthenticated(true);
-    localStorage.setItem('isAuthenticated', 'true');
-    localStorage.setItem('user', JSON.stringify(userData));
-  };
+  useEffect(() => {
+    // Any API call rejected with 401 means the session expired or was revoked server-side
+    const originalFetch = window.fetch;
+    window.fetch = async (...args) => {
+      const response = await originalFetch(...args);
+      const url = typeof args[0] === 'string' ? args[0] : (args[0] && args[0].url) || '';
+      if (response.status === 401 && url.includes('/api/') && !url.includes('/api/auth/login')) {
+        clearLocalSession();
+      }
+      return response;
+    };
+    return () => {
+      window.fetch = originalFetch;
+    };
+  }, []);
 
-  const logout = () => {
+  const clearLocalSession = () => {
     setUser(null);
     setIsAuthenticated(false);
     localStorage.removeItem('isAuthenticated');
     localStorage.removeItem('user');
   };
 
+  const login = (userData) => {
+    setUser(userData);
+    setIsAuthenticated(true);
+    localStorage.setItem('isAuthenticated', 'true');
+    localStorage.setItem('user', JSON.stringify(userData));
+  };
 
+  const logout = async () => {
+    try {
+      await fetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+      console.error('Error logging out:', error);
+    }
+    clearLocalSession();
+  };
 
   const value = {
     user,
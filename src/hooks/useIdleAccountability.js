@@ -49,13 +49,13 @@ export const useIdleAccountability = () => {
       const rows = Array.isArray(data) ? data : [];
       const pending = rows.filter(
         (i) =>
-          Number(i.idle_minutes) > 20 &&
+          Number(i.idle_minutes) >= Number(i.threshold_minutes) &&
           (i.status === 'pending' || i.status === 'ticket_created')
       );
       // An accountability item is only considered "resolved" once
-      // the employee has submitted a form (or it has been waived).
+      // the employee has submitted a form (or it has been accepted or waived).
       const resolved = rows.filter(
-        (i) => i.status === 'submitted' || i.status === 'waived'
+        (i) => i.status === 'submitted' || i.status === 'accepted' || i.status === 'waived'
       );
       setPendingItems(pending);
       setResolvedItems(resolved);
@@ -17,6 +17,9 @@ export const useLowIdleNotifications = () => {
   const [endDate, setEndDate] = useState(today());
   const [minIdleHours, setMinIdleHours] = useState(0);
   const [minIdleMinutes, setMinIdleMinutes] = useState(30);
+  // When the TeamLogger store behind each list was last synced (organisation local time)
+  const [lastSyncedAt, setLastSyncedAt] = useState(null);
+  const [currentlyIdleLastSyncedAt, setCurrentlyIdleLastSyncedAt] = useState(null);
 
   // Currently idle (rolling window, e.g. last 15 min)
   const [currentlyIdleList, setCurrentlyIdleList] = useState([]);
@@ -51,6 +54,7 @@ export const useLowIdleNotifications = () => {
       if (response.ok) {
         const data = await response.json();
         setCurrentlyIdleList(Array.isArray(data) ? data : []);
+        setCurrentlyIdleLastSyncedAt(response.headers.get('X-TeamLogger-Last-Synced') || null);
       } else {
         const errData = await response.json().catch(() => ({}));
         const msg = errData.error || errData.message || `Request failed (${response.status})`;
@@ -97,6 +101,7 @@ export const useLowIdleNotifications = () => {
         const data = await response.json();
         setLowIdleNotifications(Array.isArray(data) ? data : []);
         setHasLowIdleNotifications(Array.isArray(data) ? data.length > 0 : false);
+        setLastSyncedAt(response.headers.get('X-TeamLogger-Last-Synced') || null);
       } else {
         const errData = await response.json().catch(() => ({}));
         const msg = errData.error || errData.message || `Request failed (${response.status})`;
@@ -139,6 +144,7 @@ export const useLowIdleNotifications = () => {
     endDate,
     minIdleHours,
     minIdleMinutes,
+    lastSyncedAt,
     refreshLowIdleNotifications: () => fetchLowIdleNotifications(),
     updateSettings,
     // Currently idle (rolling window)
@@ -147,6 +153,7 @@ export const useLowIdleNotifications = () => {
     currentlyIdleError,
     currentlyIdleWindowMinutes,
     currentlyIdleMinMinutes,
+    currentlyIdleLastSyncedAt,
     setCurrentlyIdleWindowMinutes,
     setCurrentlyIdleMinMinutes,
     refreshCurrentlyIdle: () => fetchCurrentlyIdle(),
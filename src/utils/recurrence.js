@@ -0,0 +1,79 @@
+// Structured recurrence rules for DWM tasks (task.recurrence). Mirrors helpers/recurrence.js on the server.
+// { frequency: 'daily' | 'weekly' | 'monthly', weekdays, monthlyMode, monthDay, weekOfMonth, weekday, startDate, endDate }
+
+export const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+export const WEEK_OF_MONTH_OPTIONS = [
+  { value: 1, label: 'First' },
+  { value: 2, label: 'Second' },
+  { value: 3, label: 'Third' },
+  { value: 4, label: 'Fourth' },
+  { value: -1, label: 'Last' }
+];
+
+export function parseRecurrence(value) {
+  if (!value) return null;
+  let rule = value;
+  if (typeof rule === 'string') {
+    try { rule = JSON.parse(rule); } catch (e) { return null; }
+  }
+  if (!rule || !['daily', 'weekly', 'monthly'].includes(rule.frequency)) return null;
+  return rule;
+}
+
+// Default rule when the user picks a frequency in the task form
+export function defaultRecurrence(frequency, referenceDate) {
+  if (!frequency || frequency === 'none') return null;
+  const ref = referenceDate ? new Date(referenceDate) : new Date();
+  const base = { frequency, startDate: null, endDate: null };
+  if (frequency === 'weekly') return { ...base, weekdays: [ref.getDay()] };
+  if (frequency === 'monthly') return { ...base, monthlyMode: 'day', monthDay: ref.getDate() };
+  return base;
+}
+
+// dateISO is YYYY-MM-DD; weekday and day of month come from that calendar date
+export function isRecurrenceDueOn(value, dateISO) {
+  const rule = parseRecurrence(value);
+  if (!rule || !dateISO) return false;
+  const date = String(dateISO).slice(0, 10);
+  if (rule.startDate && date < rule.startDate) return false;
+  if (rule.endDate && date > rule.endDate) return false;
+
+  const d = new Date(`${date}T00:00:00.000Z`);
+  const weekday = d.getUTCDay();
+  const dayOfMonth = d.getUTCDate();
+  const daysInMonth = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+
+  if (rule.frequency === 'daily') return true;
+  if (rule.frequency === 'weekly') return (rule.weekdays || []).map(Number).includes(weekday);
+  if (rule.monthlyMode === 'nth_weekday') {
+    if (weekday !== Number(rule.weekday)) return false;
+    if (Number(rule.weekOfMonth) === -1) return dayOfMonth + 7 > daysInMonth;
+    return Math.ceil(dayOfMonth / 7) === Number(rule.weekOfMonth);
+  }
+  return dayOfMonth === Math.min(Number(rule.monthDay), daysInMonth);
+}
+
+function ordinal(n) {
+  const s = ['th', 'st', 'nd', 'rd'];
+  const v = n % 100;
+  return n + (s[(v - 20) % 10] || s[v] || s[0]);
+}
+
+// Short human-readable summary, e.g. "Weekly on Monday, Thursday" or "Monthly on the last Friday"
+export function describeRecurrence(value) {
+  const rule = parseRecurrence(value);
+  if (!rule) return '';
+  let text;
+  if (rule.frequency === 'daily') {
+    text = 'Daily';
+  } else if (rule.frequency === 'weekly') {
+    text = `Weekly on ${(rule.weekdays || []).map(d => WEEKDAY_NAMES[d]).join(', ')}`;
+  } else if (rule.monthlyMode === 'nth_weekday') {
+    const week = WEEK_OF_MONTH_OPTIONS.find(o => o.value === Number(rule.weekOfMonth));
+    text = `Monthly on the ${(week ? week.label : '').toLowerCase()} ${WEEKDAY_NAMES[rule.weekday]}`;
+  } else {
+    text = `Monthly on the ${ordinal(Number(rule.monthDay))}`;
+  }
+  if (rule.endDate) text += ` until ${rule.endDate}`;
+  return text;
+}
@@ -0,0 +1,35 @@
+import { isRecurrenceDueOn, describeRecurrence, defaultRecurrence } from './recurrence';
+
+const server = require('../../helpers/recurrence');
+
+const RULES = [
+  { frequency: 'daily', startDate: '2026-02-10', endDate: '2026-03-20' },
+  { frequency: 'weekly', weekdays: [0, 3, 6] },
+  { frequency: 'monthly', monthlyMode: 'day', monthDay: 30 },
+  { frequency: 'monthly', monthlyMode: 'nth_weekday', weekOfMonth: 1, weekday: 2 },
+  { frequency: 'monthly', monthlyMode: 'nth_weekday', weekOfMonth: -1, weekday: 0 }
+];
+
+test('matches the server rules on every day of a year', () => {
+  for (const rule of RULES) {
+    for (let d = new Date('2026-01-01T00:00:00Z'); d.getUTCFullYear() === 2026; d.setUTCDate(d.getUTCDate() + 1)) {
+      const date = d.toISOString().split('T')[0];
+      expect([date, isRecurrenceDueOn(JSON.stringify(rule), date)]).toEqual([date, server.isRecurrenceDueOn(rule, date)]);
+    }
+  }
+});
+
+test('describeRecurrence', () => {
+  expect(describeRecurrence({ frequency: 'weekly', weekdays: [1, 4] })).toBe('Weekly on Monday, Thursday');
+  expect(describeRecurrence({ frequency: 'monthly', monthlyMode: 'nth_weekday', weekOfMonth: -1, weekday: 5 })).toBe('Monthly on the last Friday');
+  expect(describeRecurrence({ frequency: 'monthly', monthlyMode: 'day', monthDay: 22, endDate: '2026-12-31' })).toBe('Monthly on the 22nd until 2026-12-31');
+  expect(describeRecurrence(null)).toBe('');
+});
+
+test('defaultRecurrence takes the weekday or day of month from the reference date', () => {
+  expect(defaultRecurrence('none')).toBeNull();
+  expect(defaultRecurrence('weekly', new Date(2026, 2, 11))).toEqual({ frequency: 'weekly', startDate: null, endDate: null, weekdays: [3] });
+  expect(defaultRecurrence('monthly', new Date(2026, 2, 11))).toEqual({
+    frequency: 'monthly', startDate: null, endDate: null, monthlyMode: 'day', monthDay: 11
+  });
+});
@@ -5,8 +5,10 @@
 //   - task.time_estimate_minutes (number of minutes)
 //   - task.time_estimate_hours (number of hours)
 //   - task.time_estimate (string like "2h 30m" or number of minutes)
-// - Recurrence determined by task.labels string containing 'Daily', 'Weekly', or 'Monthly'
-// - Weekly tasks are counted on the date that matches their due_date's weekday when due_date exists; otherwise, they are not included (insufficient data to infer weekday)
+// - Recurrence comes from the structured task.recurrence rule (see utils/recurrence.js); a task counts
+//   on every date the rule is due
+
+import { parseRecurrence, isRecurrenceDueOn } from './recurrence';
 
 function parseMinutesFromEstimate(task) {
   // ✅ FIX: Combine both hours AND minutes (was only returning one or the other)
@@ -45,11 +47,6 @@ function parseMinutesFromEstimate(task) {
   return 0;
 }
 
-function hasLabel(task, label) {
-  const labels = String(task.labels || '').toLowerCase();
-  return labels.includes(String(label).toLowerCase());
-}
-
 /** Returns true if task has a label that is "Daily Operation(s)" (handles numeric prefixes like "07-daily-operations"). */
 function hasDailyOperationsLabel(task) {
   const raw = String(task.labels || '').trim();
@@ -90,10 +87,6 @@ function toISODateLocal(date) {
   return local.toISOString().slice(0, 10);
 }
 
-function sameWeekday(dateA, dateB) {
-  return new Date(dateA).getDay() === new Date(dateB).getDay();
-}
-
 function addDays(date, days) {
   const d = new Date(date);
   d.setDate(d.getDate() + days);
@@ -122,47 +115,6 @@ function endOfMonth(date) {
   return new Date(d.getFullYear(), d.getMonth() + 1, 0);
 }
 
-function normalizeWeekday(value) {
-  if (!value) return '';
-  const map = {
-    mon: 'monday', monday: 'monday',
-    tue: 'tuesday', tues: 'tuesday', tuesday: 'tuesday',
-    wed: 'wednesday', wednesday: 'wednesday',
-    thu: 'thursday', thur: 'thursday', thurs: 'thursday', thursday: 'thursday',
-    fri: 'friday', friday: 'friday',
-    sat: 'saturday', saturday: 'saturday',
-    sun: 'sunday', sunday: 'sunday'
-  };
-  const key = String(value).trim().toLowerCase();
-  return map[key] || '';
-}
-
-function weekdayName(date) {
-  return ['sunday','monday','tuesday','wednesday','thursday','friday','saturday'][new Date(date).getDay()];
-}
-
-function taskMatchesWeeklyDay(task, dateISO) {
-  const wd = weekdayName(dateISO);
-  // support common fields that might store the weekday
-  const candidates = [task.weekly_day, task.week_day, task.weekday, task.repeat_day, task.repeat_on];
-  for (const c of candidates) {
-    if (!c) continue;
-    const val = normalizeWeekday(c);
-    if (val && val === wd) return true;
-  }
-  // try to infer weekday from title or task name, e.g., "(Saturday)" or "Saturday Report"
-  const title = String(task.title || task.task || '').toLowerCase();
-  if (title) {
-    const weekNames = ['sunday','monday','tuesday','wednesday','thursday','friday','saturday'];
-    for (const name of weekNames) {
-      if (title.includes(name) && name === wd) return true;
-    }
-  }
-  // fallback to due_date weekday
-  if (task.due_date && sameWeekday(task.due_date, dateISO)) return true;
-  return false;
-}
-
 function computeForDate(tasks, employeeName, targetDate) {
   const iso = toISODateLocal(targetDate);
   let daily = 0;
@@ -173,36 +125,12 @@ function computeForDate(tasks, employeeName, targetDate) {
     if (!isAssignedTo(task, employeeName)) continue;
     const minutes = parseMinutesFromEstimate(task);
     if (minutes <= 0) continue;
-    const isDaily = hasLabel(task, 'Daily') || hasLabel(task, 'Daily Task');
-    const isWeekly = hasLabel(task, 'Weekly') || hasLabel(task, 'Weekly Task');
-    const isMonthly = hasLabel(task, 'Monthly') || hasLabel(task, 'Monthly Task');
-
-    if (isDaily) {
-      daily += minutes;
-    }
-
-    if (isWeekly && taskMatchesWeeklyDay(task, iso)) {
-      weekly += minutes;
-    }
+    const rule = parseRecurrence(task.recurrence);
+    if (!rule || !isRecurrenceDueOn(rule, iso)) continue;
 
-    if (isMonthly) {
-      // Count monthly tasks on exact due_date if present
-      const dueIso = task.due_date ? toISODateLocal(task.due_date) : '';
-      const dateObj = new Date(iso);
-      let matches = false;
-      if (dueIso && dueIso === iso) {
-        matches = true;
-      } else {
-        // If no due_date, try to infer day-of-month from title like "(8th of Month)"
-        const title = String(task.title || task.task || '').toLowerCase();
-        const m = title.match(/\((\d{1,2})(?:st|nd|rd|th)?\s*(?:of)?\s*month\)/i) || title.match(/\bmonthly\s*\(?(\d{1,2})(?:st|nd|rd|th)?\)?/i);
-        if (m) {
-          const dayNum = Math.max(1, Math.min(31, parseInt(m[1], 10)));
-          if (dateObj.getDate() === dayNum) matches = true;
-        }
-      }
-      if (matches) monthly += minutes;
-    }
+    if (rule.frequency === 'daily') daily += minutes;
+    else if (rule.frequency === 'weekly') weekly += minutes;
+    else monthly += minutes;
   }
 
   return { iso, totals: { daily, weekly, monthly }, totalMinutes: daily + weekly + monthly };
@@ -222,34 +150,7 @@ export function getWorkloadTasksForDate(tasks, employeeName, targetDate) {
     // Exclude Daily Operations tasks from workload view; they should appear only
     // in "Assigned to me" / "All", not in "My workload".
     if (hasDailyOperationsLabel(task)) continue;
-    const isDaily = hasLabel(task, 'Daily') || hasLabel(task, 'Daily Task');
-    const isWeekly = hasLabel(task, 'Weekly') || hasLabel(task, 'Weekly Task');
-    const isMonthly = hasLabel(task, 'Monthly') || hasLabel(task, 'Monthly Task');
-
-    if (isDaily) {
-      result.push(task);
-      continue;
-    }
-    if (isWeekly && taskMatchesWeeklyDay(task, iso)) {
-      result.push(task);
-      continue;
-    }
-    if (isMonthly) {
-      const dueIso = task.due_date ? toISODateLocal(task.due_date) : '';
-      const dateObj = new Date(iso);
-      let matches = false;
-      if (dueIso && dueIso === iso) {
-        matches = true;
-      } else {
-        const title = String(task.title || task.task || '').toLowerCase();
-        const m = title.match(/\((\d{1,2})(?:st|nd|rd|th)?\s*(?:of)?\s*month\)/i) || title.match(/\bmonthly\s*\(?(\d{1,2})(?:st|nd|rd|th)?\)?/i);
-        if (m) {
-          const dayNum = Math.max(1, Math.min(31, parseInt(m[1], 10)));
-          if (dateObj.getDate() === dayNum) matches = true;
-        }
-      }
-      if (matches) result.push(task);
-    }
+    if (isRecurrenceDueOn(task.recurrence, iso)) result.push(task);
   }
   return result;
 }
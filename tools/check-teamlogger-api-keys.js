@@ -0,0 +1,25 @@
+// Check that TEAMLOGGER_API_KEY is set and accepted: `npm run check-teamlogger-keys`
+// Requests the last hour of employee_summary_report from TEAMLOGGER_API_URL (or the real API).
+require('dotenv').config();
+const { fetchEmployeeSummary, getBaseUrl, isConfigured } = require('../helpers/teamloggerClient');
+
+(async () => {
+  console.log(`🔍 TeamLogger API: ${getBaseUrl()}`);
+  if (!isConfigured()) {
+    console.error('❌ TEAMLOGGER_API_KEY is not set');
+    process.exit(1);
+  }
+  const key = process.env.TEAMLOGGER_API_KEY;
+  console.log(`   Key: ${key.slice(0, 4)}…${key.slice(-4)} (${key.length} chars)`);
+
+  const endMs = Date.now();
+  try {
+    const rows = await fetchEmployeeSummary(endMs - 60 * 60 * 1000, endMs);
+    console.log(`✅ Key accepted; ${rows.length} member(s) in the last hour`);
+    process.exit(0);
+  } catch (err) {
+    console.error(`❌ ${err.kind || 'error'}: ${err.message}`);
+    if (err.kind === 'auth') console.error('   The key was rejected - generate a new one in TeamLogger settings.');
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,129 @@
+// Offline stand-in for the TeamLogger API. Replays employee_summary_report fixtures shaped like
+// teamlogger-sample.json ({ startStr, endStr, rows }), scaled to the requested time range.
+//
+//   npm run teamlogger:mock
+//   TEAMLOGGER_API_URL=http://localhost:5055 TEAMLOGGER_API_KEY=dev npm run server
+//
+// Env:
+//   TEAMLOGGER_MOCK_PORT          port to listen on (default 5055)
+//   TEAMLOGGER_MOCK_FIXTURES      fixture file, or a directory of them (default ./teamlogger-sample.json)
+//   TEAMLOGGER_MOCK_API_KEY       only accept this bearer token (default: any non-empty token)
+//   TEAMLOGGER_MOCK_LATENCY_MS    delay every response (default 0)
+//   TEAMLOGGER_MOCK_FAILURE_RATE  0..1 share of requests answered with 503 or 429, to exercise retries
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = parseInt(process.env.TEAMLOGGER_MOCK_PORT || '5055', 10);
+const FIXTURES_PATH = path.resolve(process.env.TEAMLOGGER_MOCK_FIXTURES || path.join(__dirname, '..', 'teamlogger-sample.json'));
+const API_KEY = process.env.TEAMLOGGER_MOCK_API_KEY || '';
+const LATENCY_MS = parseInt(process.env.TEAMLOGGER_MOCK_LATENCY_MS || '0', 10) || 0;
+const FAILURE_RATE = Math.min(1, Math.max(0, parseFloat(process.env.TEAMLOGGER_MOCK_FAILURE_RATE || '0') || 0));
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const HOUR_FIELDS = ['onComputerHours', 'meetingHours', 'offComputerHours', 'totalHours', 'idleHours', 'breakHours', 'overHours', 'spanHours', 'pay'];
+const COUNT_FIELDS = ['totalSecondsCount', 'activeSecondsCount', 'inactiveSecondsCount', 'totalTimeTupleCount', 'activeTimeTupleCount', 'inactiveTimeTupleCount'];
+
+// Fixture span in ms; endStr is inclusive
+const loadFixture = (file) => {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(data.rows)) throw new Error(`${file} has no rows array`);
+  const startMs = Date.parse(`${data.startStr}T00:00:00Z`);
+  const endMs = Date.parse(`${data.endStr}T00:00:00Z`) + DAY_MS;
+  return { file: path.basename(file), startMs, spanMs: Math.max(DAY_MS, endMs - startMs), rows: data.rows };
+};
+
+const loadFixtures = () => {
+  const files = fs.statSync(FIXTURES_PATH).isDirectory()
+    ? fs.readdirSync(FIXTURES_PATH).filter(f => f.endsWith('.json')).sort().map(f => path.join(FIXTURES_PATH, f))
+    : [FIXTURES_PATH];
+  const fixtures = files.map(loadFixture);
+  if (fixtures.length === 0) throw new Error(`No fixtures found in ${FIXTURES_PATH}`);
+  return fixtures;
+};
+
+// Helper: deterministic 0..1 from a string, so the same member and day always get the same numbers
+const hashUnit = (text) => {
+  let h = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return (h >>> 0) / 4294967295;
+};
+
+// A fixture covering startMs is replayed as-is; otherwise the first one is scaled to the requested span
+const buildReport = (fixtures, startMs, endMs) => {
+  const exact = fixtures.find(f => f.startMs === startMs || (startMs >= f.startMs && endMs <= f.startMs + f.spanMs));
+  const fixture = exact || fixtures[0];
+  const baseScale = Math.min(1, (endMs - startMs) / fixture.spanMs);
+  const now = Date.now();
+  const dayKey = String(Math.floor(startMs / DAY_MS));
+
+  return fixture.rows.map((source) => {
+    const row = { ...source };
+    const id = String(row.id || row.email || row.title || '');
+    // +/-20% per member per day so scaled days are not all identical
+    const scale = baseScale * (exact ? 1 : 0.8 + 0.4 * hashUnit(`${id}:${dayKey}`));
+    for (const field of HOUR_FIELDS) {
+      if (typeof row[field] === 'number') row[field] = row[field] * scale;
+    }
+    for (const field of COUNT_FIELDS) {
+      if (typeof row[field] === 'number') row[field] = Math.round(row[field] * scale);
+    }
+    const tracked = (row.totalHours || 0) > 0;
+    row.firstActivityTime = tracked ? startMs + Math.round((3 + hashUnit(`${id}:first:${dayKey}`)) * 3600000) : 0;
+    row.lastActivityTime = tracked ? Math.min(endMs, now, row.firstActivityTime + Math.round((row.spanHours || row.totalHours) * 3600000)) : 0;
+    if (row.las && typeof row.las === 'object') {
+      // Live status: a fresh heartbeat with idle time that changes every 10 minutes
+      row.las = {
+        ...row.las,
+        ts: now,
+        idleSecs: Math.round(hashUnit(`${id}:${Math.floor(now / 600000)}`) ** 3 * 1800)
+      };
+    }
+    row.lastSyncedTime = now;
+    return row;
+  });
+};
+
+const app = express();
+let fixtures = loadFixtures();
+
+app.use((req, res, next) => {
+  console.log(`${new Date().toISOString()} ${req.method} ${req.originalUrl}`);
+  setTimeout(next, LATENCY_MS);
+});
+
+app.get('/api/employee_summary_report', (req, res) => {
+  const auth = req.get('authorization') || '';
+  const token = auth.startsWith('Bearer ') ? auth.slice(7).trim() : '';
+  if (!token || (API_KEY && token !== API_KEY)) {
+    return res.status(401).json({ message: 'Invalid API key' });
+  }
+  if (FAILURE_RATE > 0 && Math.random() < FAILURE_RATE) {
+    if (Math.random() < 0.5) {
+      res.set('Retry-After', '2');
+      return res.status(429).json({ message: 'Too many requests (mock)' });
+    }
+    return res.status(503).json({ message: 'Service unavailable (mock)' });
+  }
+
+  const startMs = Number(req.query.startTime);
+  const endMs = Number(req.query.endTime);
+  if (!Number.isFinite(startMs) || !Number.isFinite(endMs) || endMs <= startMs) {
+    return res.status(400).json({ message: 'startTime and endTime (epoch ms, endTime > startTime) are required' });
+  }
+  res.json(buildReport(fixtures, startMs, endMs));
+});
+
+// POST /__reload - re-read fixtures after editing them
+app.post('/__reload', (req, res) => {
+  fixtures = loadFixtures();
+  res.json({ fixtures: fixtures.map(f => ({ file: f.file, rows: f.rows.length })) });
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 TeamLogger mock listening on http://localhost:${PORT}`);
+  console.log(`   Fixtures: ${fixtures.map(f => `${f.file} (${f.rows.length} rows)`).join(', ')}`);
+});
@@ -0,0 +1,44 @@
+// Print the normalised employee_summary_report for a date range:
+//   npm run test:teamlogger-report -- 2026-02-03 [2026-02-10] [--tz=Asia/Karachi]
+// Dates are work dates in the given timezone (default: the organisation default timezone).
+require('dotenv').config();
+const { fetchEmployeeSummary, getBaseUrl } = require('../helpers/teamloggerClient');
+const { getEpochMsForRange, getTimeZoneOffsetMinutes } = require('../helpers/dates');
+const { ORG_SETTING_DEFAULTS } = require('../helpers/orgSettings');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const args = process.argv.slice(2);
+const tzArg = args.find(a => a.startsWith('--tz='));
+const timeZone = tzArg ? tzArg.slice(5) : ORG_SETTING_DEFAULTS.timezone.value;
+const [startDate, endDate = startDate] = args.filter(a => !a.startsWith('--'));
+
+if (!DATE_RE.test(startDate || '') || !DATE_RE.test(endDate || '')) {
+  console.error('Usage: node tools/test-teamlogger-employee-summary.js YYYY-MM-DD [YYYY-MM-DD] [--tz=Area/City]');
+  process.exit(1);
+}
+
+(async () => {
+  const offset = getTimeZoneOffsetMinutes(timeZone, new Date(`${startDate}T12:00:00.000Z`));
+  const { startMs, endMs } = getEpochMsForRange(startDate, endDate, offset);
+  console.log(`📊 ${getBaseUrl()} employee_summary_report ${startDate}..${endDate} (${timeZone}): ${startMs} - ${endMs}`);
+  try {
+    const rows = await fetchEmployeeSummary(startMs, endMs);
+    const fmt = (n) => (n == null ? '' : Number(n).toFixed(2));
+    console.table(rows.map(r => ({
+      name: r.employeeName,
+      email: r.email,
+      onComputer: fmt(r.onComputerHours),
+      meeting: fmt(r.meetingHours),
+      offComputer: fmt(r.offComputerHours),
+      idle: fmt(r.idleHours),
+      total: fmt(r.totalHours),
+      pay: r.pay == null ? '' : `${fmt(r.pay)} ${r.currency || ''}`.trim()
+    })));
+    console.log(`✅ ${rows.length} member(s)`);
+    process.exit(0);
+  } catch (err) {
+    console.error(`❌ ${err.kind || 'error'}: ${err.message}`);
+    process.exit(1);
+  }
+})();